@@ -19,7 +19,8 @@ module.exports = [
         Set: "readonly",
         Map: "readonly",
         Promise: "readonly",
-        URL: "readonly"
+        URL: "readonly",
+        AbortController: "readonly"
       }
     },
     rules: {
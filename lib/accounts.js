@@ -0,0 +1,97 @@
+/**
+ * Accounts
+ *
+ * Rules shared by login and user management for the entries in users.json. A fresh install has a
+ * single `admin` entry without a password; until an admin sets a password that entry logs in with
+ * an empty one. Once an enabled admin with a password exists, passwordless entries can no longer
+ * log in. The first-run registration screen closes as soon as any user has a password.
+ */
+
+const ROLES = ['admin', 'user'];
+const MIN_PASSWORD_LENGTH = 6;
+const USERNAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,31}$/;
+const BCRYPT_ROUNDS = 10;
+
+// users.json is a plain object, so look entries up without reaching the prototype
+function getUser(users, username) {
+  if (!users || !username || !Object.prototype.hasOwnProperty.call(users, username)) return null;
+  return users[username] || null;
+}
+
+function isActiveAdmin(user) {
+  return !!(user && user.role === 'admin' && user.passwordHash && !user.disabled);
+}
+
+/**
+ * Whether any enabled admin has a password; until then the install is still bootstrapping.
+ */
+function hasActiveAdmin(users) {
+  return Object.keys(users || {}).some(name => isActiveAdmin(users[name]));
+}
+
+/**
+ * Whether first-run registration is open: only while no user has a password, so it can never add
+ * an admin next to real accounts.
+ */
+function isRegistrationOpen(users) {
+  return !Object.keys(users || {}).some(name => !!(users[name] && users[name].passwordHash));
+}
+
+function validateUsername(username) {
+  const name = typeof username === 'string' ? username.trim() : '';
+  if (!name) throw new Error('username required');
+  if (!USERNAME_PATTERN.test(name)) throw new Error('username may use letters, digits, ".", "_" and "-" (up to 32 characters)');
+  return name;
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  return password;
+}
+
+function validateRole(role) {
+  const value = role === undefined || role === null || role === '' ? 'user' : String(role);
+  if (!ROLES.includes(value)) throw new Error(`role must be one of: ${ROLES.join(', ')}`);
+  return value;
+}
+
+/**
+ * The form of a user the API returns; never includes the password hash or settings.
+ */
+function publicUser(username, user) {
+  return {
+    username,
+    role: (user && user.role) || 'user',
+    disabled: !!(user && user.disabled),
+    hasPassword: !!(user && user.passwordHash),
+    createdAt: (user && user.createdAt) || null
+  };
+}
+
+/**
+ * Why `username` cannot lose admin rights (demote, disable, delete), or null when it can.
+ * The last enabled admin with a password must stay, or nobody could manage users again.
+ */
+function lastAdminGuard(users, username) {
+  const user = getUser(users, username);
+  if (!isActiveAdmin(user)) return null;
+  const others = Object.keys(users).filter(name => name !== username && isActiveAdmin(users[name]));
+  return others.length ? null : 'cannot remove the last admin';
+}
+
+module.exports = {
+  ROLES,
+  MIN_PASSWORD_LENGTH,
+  BCRYPT_ROUNDS,
+  getUser,
+  isActiveAdmin,
+  hasActiveAdmin,
+  isRegistrationOpen,
+  validateUsername,
+  validatePassword,
+  validateRole,
+  publicUser,
+  lastAdminGuard
+};
@@ -0,0 +1,275 @@
+/**
+ * AniDB title index
+ *
+ * Keeps the AniDB anime-titles dump (https://anidb.net/api/anime-titles.xml.gz) in SQLite and
+ * answers title questions without touching the network:
+ *   - `lookupExact(name)` is Jellyfin's AniDbTitleMatcher: original name, then comparable name.
+ *   - `search(query)` ranks every main, official, synonym and short title, in every language,
+ *     by trigram similarity. Candidates come from the FTS5 trigram index in lib/db.js.
+ *   - `resolve(title, { season })` returns one AID only when the match is close and unambiguous,
+ *     so enrichment can ask AniDB for the episode directly instead of hashing the file.
+ *
+ * The dump is downloaded at most once per TTL (weekly, like Jellyfin); AniDB bans clients that
+ * fetch it more often, so failed downloads are not retried for an hour either.
+ */
+
+const TITLES_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const DOWNLOAD_RETRY_MS = 60 * 60 * 1000;
+// Dump title types, best first when two titles of one anime match equally well
+const TITLE_TYPES = ['main', 'official', 'syn', 'short'];
+// Enrichment only trusts near-exact matches; a wrong AID is worse than hashing the file
+const RESOLVE_MIN_SCORE = 0.85;
+// Two different anime scoring within this margin of each other are treated as ambiguous
+const AMBIGUOUS_MARGIN = 0.02;
+const MAX_QUERY_GRAMS = 64;
+const CANDIDATE_LIMIT = 200;
+
+// Direct port of AniDbTitleMatcher.GetComparableName() from the Jellyfin plugin
+function comparableName(name) {
+  const REMOVE  = new Set([...'"\' !`?']);
+  const SPACERS = new Set([...'/,.:;\\(){}[]+-_=\u2013*']);
+  let result = String(name || '').toLowerCase().normalize('NFC');
+  let sb = '';
+  for (const ch of result) {
+    const cp = ch.codePointAt(0);
+    if (cp >= 0x2B0 && cp <= 0x0333) continue;  // skip modifiers / diacritics
+    else if (REMOVE.has(ch))  continue;           // drop punctuation
+    else if (SPACERS.has(ch)) sb += ' ';          // spacers -> space
+    else if (ch === '&')      sb += ' and ';
+    else                      sb += ch;
+  }
+  result = sb;
+  result = result.replace(/, the/g, '').replace(/the /g, ' ').replace(/ the /g, ' ');
+  let prev;
+  do { prev = result; result = result.replace(/  +/g, ' '); } while (result !== prev);
+  return result.trim();
+}
+
+function decodeEntities(text) {
+  return String(text)
+    .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Rows { aid, title, lang, type, comparable } for every <title> in the dump.
+ */
+function parseTitlesXml(xml) {
+  const rows = [];
+  const animeRe = /<anime\s+aid="(\d+)"[^>]*>([\s\S]*?)<\/anime>/g;
+  let m;
+  while ((m = animeRe.exec(String(xml || ''))) !== null) {
+    const aid = Number(m[1]);
+    if (!aid) continue;
+    const titleRe = /<title([^>]*)>([^<]+)<\/title>/g;
+    let t;
+    while ((t = titleRe.exec(m[2])) !== null) {
+      const title = decodeEntities(t[2]).trim();
+      const comparable = comparableName(title);
+      if (!title || !comparable) continue;
+      const lang = /xml:lang="([^"]*)"/.exec(t[1]);
+      const type = /type="([^"]*)"/.exec(t[1]);
+      rows.push({ aid, title, lang: lang ? lang[1] : null, type: type ? type[1] : null, comparable });
+    }
+  }
+  return rows;
+}
+
+function trigrams(text) {
+  const padded = `  ${text} `;
+  const grams = new Set();
+  for (let i = 0; i + 3 <= padded.length; i++) grams.add(padded.slice(i, i + 3));
+  return grams;
+}
+
+/**
+ * Dice coefficient over padded trigrams of two comparable names (1 = identical).
+ */
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  const ga = trigrams(a);
+  const gb = trigrams(b);
+  let shared = 0;
+  for (const g of ga) if (gb.has(g)) shared++;
+  return (2 * shared) / (ga.size + gb.size);
+}
+
+function typeRank(type) {
+  const idx = TITLE_TYPES.indexOf(type);
+  return idx === -1 ? TITLE_TYPES.length : idx;
+}
+
+function ordinal(n) {
+  const mod100 = n % 100;
+  if (mod100 >= 11 && mod100 <= 13) return `${n}th`;
+  return `${n}${({ 1: 'st', 2: 'nd', 3: 'rd' })[n % 10] || 'th'}`;
+}
+
+module.exports = function buildAnidbTitleIndex({ db, appendLog, download, ttlMs = TITLES_TTL_MS } = {}) {
+  let loadPromise = null;
+  let refreshPromise = null;
+  let lastFailureAt = 0;
+
+  const log = (line) => { try { if (typeof appendLog === 'function') appendLog(line); } catch (e) {} };
+
+  function info() {
+    try { return db.getAnidbTitlesInfo(); } catch (e) { return { titles: 0, anime: 0, fetchedAt: null, fts: false }; }
+  }
+
+  function ready() {
+    return info().titles > 0;
+  }
+
+  function refresh() {
+    if (refreshPromise) return refreshPromise;
+    if (typeof download !== 'function') return Promise.resolve(false);
+    if (lastFailureAt && Date.now() - lastFailureAt < DOWNLOAD_RETRY_MS) return Promise.resolve(false);
+    refreshPromise = (async () => {
+      try {
+        log('ANIDB_TITLES_DB_DOWNLOAD_START');
+        const rows = parseTitlesXml(await download());
+        if (!rows.length) throw new Error('no titles in dump');
+        db.replaceAnidbTitles(rows, Date.now());
+        const now = info();
+        log(`ANIDB_TITLES_DB_DOWNLOAD_OK titles=${now.titles} anime=${now.anime} fts=${now.fts}`);
+        lastFailureAt = 0;
+        return true;
+      } catch (e) {
+        lastFailureAt = Date.now();
+        log(`ANIDB_TITLES_DB_DOWNLOAD_FAIL err=${e && e.message ? e.message : String(e)}`);
+        return false;
+      }
+    })().finally(() => { refreshPromise = null; });
+    return refreshPromise;
+  }
+
+  /**
+   * Make sure the index has titles. An empty index waits for the download; a stale one is
+   * refreshed in the background and keeps answering from the old dump meanwhile.
+   */
+  function load({ force = false } = {}) {
+    const current = info();
+    const stale = !current.fetchedAt || Date.now() - Number(current.fetchedAt) >= ttlMs;
+    if (current.titles > 0 && !force) {
+      if (stale) refresh();
+      return Promise.resolve(true);
+    }
+    if (!loadPromise) {
+      loadPromise = refresh().finally(() => { loadPromise = null; });
+    }
+    return loadPromise;
+  }
+
+  function lookupExact(name) {
+    const raw = String(name || '').trim();
+    const comparable = comparableName(raw);
+    if (!comparable) return null;
+    let rows = [];
+    try { rows = db.findAnidbTitlesByComparable(comparable); } catch (e) { return null; }
+    if (!rows.length) return null;
+    rows.sort((a, b) => (b.title === raw) - (a.title === raw) || typeRank(a.type) - typeRank(b.type) || a.aid - b.aid);
+    return rows[0].aid;
+  }
+
+  /**
+   * Anime whose titles best match `query`, best first:
+   * [{ aid, score, title, lang, type, mainTitle, englishTitle }]
+   */
+  function search(query, { limit = 10, minScore = 0.3 } = {}) {
+    const comparable = comparableName(query);
+    if (!comparable) return [];
+    let rows = [];
+    try {
+      rows = db.findAnidbTitlesByComparable(comparable);
+      if (comparable.length >= 3) {
+        const grams = [];
+        for (let i = 0; i + 3 <= comparable.length && grams.length < MAX_QUERY_GRAMS; i++) {
+          const gram = comparable.slice(i, i + 3);
+          if (!grams.includes(gram)) grams.push(gram);
+        }
+        rows = rows.concat(db.searchAnidbTitles(grams, CANDIDATE_LIMIT));
+      }
+    } catch (e) {
+      log(`ANIDB_TITLES_SEARCH_FAIL q=${String(query).slice(0, 120)} err=${e.message}`);
+      return [];
+    }
+
+    const byAid = new Map();
+    for (const row of rows) {
+      const score = similarity(comparable, row.comparable);
+      if (score < minScore) continue;
+      const best = byAid.get(row.aid);
+      if (!best || score > best.score || (score === best.score && typeRank(row.type) < typeRank(best.type))) {
+        byAid.set(row.aid, { aid: row.aid, score, title: row.title, lang: row.lang, type: row.type });
+      }
+    }
+    const hits = Array.from(byAid.values())
+      .sort((a, b) => b.score - a.score || typeRank(a.type) - typeRank(b.type) || a.aid - b.aid)
+      .slice(0, limit);
+    if (!hits.length) return hits;
+
+    let names = [];
+    try { names = db.getAnidbTitlesForAids(hits.map(h => h.aid)); } catch (e) {}
+    for (const hit of hits) {
+      const own = names.filter(n => n.aid === hit.aid);
+      const main = own.find(n => n.type === 'main');
+      const english = own.find(n => n.type === 'official' && n.lang === 'en');
+      hit.score = Math.round(hit.score * 1000) / 1000;
+      hit.mainTitle = main ? main.title : hit.title;
+      hit.englishTitle = english ? english.title : null;
+    }
+    return hits;
+  }
+
+  /**
+   * The one AID a parsed filename title refers to, or null when the index is empty, nothing
+   * is close enough, or two anime match equally well. Seasons after the first are separate
+   * AniDB entries, so "Title" season 2 is looked up as "Title Season 2" / "Title 2".
+   */
+  function resolve(title, { season = null, minScore = RESOLVE_MIN_SCORE } = {}) {
+    const base = String(title || '').trim();
+    if (!base) return null;
+    if (!ready()) {
+      load();
+      return null;
+    }
+    const seasonNum = Number(season);
+    const queries = Number.isInteger(seasonNum) && seasonNum > 1
+      ? [`${base} Season ${seasonNum}`, `${base} ${seasonNum}`, `${base} ${ordinal(seasonNum)} Season`]
+      : [base];
+
+    let hits = [];
+    for (const query of queries) hits = hits.concat(search(query, { limit: 5, minScore }).map(h => Object.assign(h, { query })));
+    const bestByAid = new Map();
+    for (const hit of hits) {
+      const seen = bestByAid.get(hit.aid);
+      if (!seen || hit.score > seen.score) bestByAid.set(hit.aid, hit);
+    }
+    const ranked = Array.from(bestByAid.values()).sort((a, b) => b.score - a.score || a.aid - b.aid);
+    if (!ranked.length) {
+      log(`ANIDB_TITLE_INDEX_MISS title=${base.slice(0, 120)} season=${season == null ? '' : season}`);
+      return null;
+    }
+    const [best, runnerUp] = ranked;
+    if (runnerUp && best.score - runnerUp.score < AMBIGUOUS_MARGIN) {
+      log(`ANIDB_TITLE_INDEX_AMBIGUOUS title=${base.slice(0, 120)} season=${season == null ? '' : season} aids=${best.aid},${runnerUp.aid} score=${best.score}`);
+      return null;
+    }
+    log(`ANIDB_TITLE_INDEX_HIT title=${base.slice(0, 120)} season=${season == null ? '' : season} aid=${best.aid} score=${best.score} matched=${String(best.title).slice(0, 120)}`);
+    return best;
+  }
+
+  return { load, refresh, ready, info, lookupExact, search, resolve };
+};
+
+module.exports.TITLE_TYPES = TITLE_TYPES;
+module.exports.RESOLVE_MIN_SCORE = RESOLVE_MIN_SCORE;
+module.exports.comparableName = comparableName;
+module.exports.parseTitlesXml = parseTitlesXml;
+module.exports.similarity = similarity;
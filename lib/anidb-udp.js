@@ -16,6 +16,7 @@ const crypto = require('crypto')
 const zlib = require('zlib')
 const { computeEd2kHash } = require('./ed2k-hash')
 const { waitForRateLimit } = require('./anidb-rate-limiter')
+const fixtures = require('./fixtures')
 const fs = require('fs')
 
 // Pre-compiled regex patterns for performance
@@ -101,7 +102,8 @@ class AniDBUDPClient {
    * Initialize UDP socket
    */
   _initSocket() {
-    if (this.socket) return;
+    // Replayed commands never reach the network
+    if (this.socket || fixtures.isReplay()) return;
     
     this.socket = dgram.createSocket('udp4');
     
@@ -204,9 +206,16 @@ class AniDBUDPClient {
   }
 
   /**
-   * Send UDP command with rate limiting
+   * Send UDP command, recorded or replayed when fixtures are on (lib/fixtures.js)
    */
   async _sendCommand(command, params = {}, isFileCommand = false) {
+    return fixtures.exchange('anidb-udp', { command, params }, () => this._sendCommandLive(command, params, isFileCommand));
+  }
+
+  /**
+   * Send UDP command with rate limiting
+   */
+  async _sendCommandLive(command, params, isFileCommand) {
     this._initSocket();
     
     // Check ban status
@@ -437,7 +446,18 @@ class AniDBUDPClient {
   /**
    * Lookup episode details by episode ID
    */
-  async lookupEpisode(eid, _retried = false) {
+  async lookupEpisode(eid) {
+    return this._lookupEpisodeBy({ eid });
+  }
+
+  /**
+   * Lookup an episode by anime ID and AniDB episode number ("3", "S1" for specials)
+   */
+  async lookupEpisodeByNumber(aid, epno) {
+    return this._lookupEpisodeBy({ aid, epno });
+  }
+
+  async _lookupEpisodeBy(params, _retried = false) {
     // Ensure socket is initialized before any operations
     this._initSocket();
     
@@ -447,13 +467,12 @@ class AniDBUDPClient {
       await this.loginToAniDB();
     }
     
-    console.log('[AniDB UDP] Looking up episode:', eid);
+    console.log('[AniDB UDP] Looking up episode:', params);
     
     try {
-      const response = await this._sendCommand('EPISODE', {
-        s: this.sessionKey,
-        eid: eid
-      }, false);
+      const response = await this._sendCommand('EPISODE', Object.assign({
+        s: this.sessionKey
+      }, params), false);
       
       if (response.code === '240') { // EPISODE response code
         return this._parseEpisodeResponse(response.data);
@@ -471,7 +490,7 @@ class AniDBUDPClient {
         this.sessionKey = null;
         this.loggedIn = false;
         await this.loginToAniDB();
-        return this.lookupEpisode(eid, true);
+        return this._lookupEpisodeBy(params, true);
       }
       
       throw new Error(`AniDB episode lookup failed: ${response.code}`);
@@ -0,0 +1,208 @@
+/**
+ * API tokens
+ *
+ * Per-user tokens for scripts and download clients, sent as `Authorization: Bearer <token>`.
+ * Only a SHA-256 of each token is stored; the token itself is shown once, when it is created.
+ * A token request runs as the token's user without a cookie session, so it skips the CSRF check.
+ *
+ * Reads (GET) need the `read` scope. Writes need a scope covering the route:
+ * - `scan`   start scans and rescans
+ * - `enrich` fetch metadata, hashes and artwork
+ * - `apply`  preview, apply, unapprove and undo renames
+ * - `import` hand finished downloads to `POST /api/import`
+ * Writes outside those areas (settings, users, tokens, webhooks) cannot be made with a token.
+ * Settings, tokens and the debug views cannot be read with a token either, since they carry
+ * provider credentials, and `requireAdmin` refuses token reads of the admin-only views.
+ */
+
+const crypto = require('crypto');
+const { getUser } = require('./accounts');
+
+const TOKEN_PREFIX = 'mmp_';
+const SCOPES = ['read', 'scan', 'enrich', 'apply', 'import'];
+const MAX_LABEL_LENGTH = 80;
+const MAX_EXPIRY_DAYS = 3650;
+// last_used_at is rewritten at most this often per token
+const TOUCH_INTERVAL_MS = 60 * 1000;
+const READ_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+// Closed to tokens whatever their scopes
+const DENIED_ROUTES = [
+  /^\/api\/settings$/,
+  /^\/api\/tokens(\/|$)/,
+  /^\/api\/debug\//
+];
+
+const WRITE_ROUTES = [
+  { pattern: /^\/api\/scan(\/|$)/, scopes: ['scan'] },
+  { pattern: /^\/api\/jobs\/bulk-rescan$/, scopes: ['scan'] },
+  { pattern: /^\/api\/completeness\/refresh$/, scopes: ['scan'] },
+  { pattern: /^\/api\/enrich(\/|$)/, scopes: ['enrich'] },
+  { pattern: /^\/api\/integrity\/verify$/, scopes: ['enrich'] },
+  { pattern: /^\/api\/approved-series\//, scopes: ['enrich'] },
+  { pattern: /^\/api\/rename\//, scopes: ['apply'] },
+  { pattern: /^\/api\/jobs\/(approve|check-conflicts|backfill-subtitles)$/, scopes: ['apply'] },
+  { pattern: /^\/api\/history\/undo$/, scopes: ['apply'] },
+  { pattern: /^\/api\/auto-apply\/run$/, scopes: ['apply'] },
+  { pattern: /^\/api\/import$/, scopes: ['import'] },
+  { pattern: /^\/api\/jobs\/[^/]+\/cancel$/, scopes: ['scan', 'enrich', 'apply'] }
+];
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function isReadMethod(method) {
+  return READ_METHODS.has(String(method).toUpperCase());
+}
+
+/**
+ * Clean a scope list from a client, in SCOPES order.
+ * @param {string[]|string} value - array or comma-separated list
+ */
+function normalizeScopes(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  const wanted = new Set(list.map(s => String(s).trim().toLowerCase()).filter(Boolean));
+  if (!wanted.size) throw new Error('at least one scope is required');
+  const unknown = [...wanted].filter(s => !SCOPES.includes(s));
+  if (unknown.length) throw new Error(`unknown scope: ${unknown.join(', ')}`);
+  return SCOPES.filter(s => wanted.has(s));
+}
+
+/**
+ * Whether a token with `scopes` may make this request.
+ * @param {string[]} scopes
+ * @param {string} method - HTTP method
+ * @param {string} urlPath - path without the query string
+ */
+function scopeAllows(scopes, method, urlPath) {
+  if (!Array.isArray(scopes) || !scopes.length) return false;
+  if (DENIED_ROUTES.some(pattern => pattern.test(urlPath))) return false;
+  if (isReadMethod(method)) return scopes.includes('read');
+  const route = WRITE_ROUTES.find(r => r.pattern.test(urlPath));
+  return !!route && route.scopes.some(s => scopes.includes(s));
+}
+
+module.exports = function buildApiTokens(ctx) {
+  const { db, users, appendLog, uuidv4 } = ctx;
+
+  const log = (line) => { try { appendLog(line); } catch (e) {} };
+
+  function parseScopes(row) {
+    try { return JSON.parse(row.scopes) || []; } catch (e) { return []; }
+  }
+
+  // Never includes the hash
+  function publicToken(row) {
+    return {
+      id: row.id,
+      username: row.username,
+      label: row.label || '',
+      prefix: row.prefix,
+      scopes: parseScopes(row),
+      createdAt: row.created_at,
+      expiresAt: row.expires_at || null,
+      lastUsedAt: row.last_used_at || null,
+      revokedAt: row.revoked_at || null,
+      expired: !!(row.expires_at && row.expires_at <= Date.now())
+    };
+  }
+
+  /**
+   * Create a token for `username`.
+   * @param {string} username
+   * @param {Object} opts
+   * @param {string} [opts.label]
+   * @param {string[]} opts.scopes - from SCOPES
+   * @param {number} [opts.expiresInDays] - empty or 0 for a token that does not expire
+   * @returns {{ token: Object, secret: string }} secret is the only copy of the token
+   */
+  function create(username, { label = '', scopes, expiresInDays = null } = {}) {
+    if (!db) throw new Error('API tokens need the SQLite database');
+    const cleanScopes = normalizeScopes(scopes);
+    const cleanLabel = String(label || '').trim().slice(0, MAX_LABEL_LENGTH);
+    let expiresAt = null;
+    if (expiresInDays !== null && expiresInDays !== undefined && expiresInDays !== '' && Number(expiresInDays) !== 0) {
+      const days = Number(expiresInDays);
+      if (!Number.isFinite(days) || days < 0 || days > MAX_EXPIRY_DAYS) throw new Error(`expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}`);
+      expiresAt = Date.now() + Math.round(days * 24 * 60 * 60 * 1000);
+    }
+    const secret = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const row = {
+      id: uuidv4(),
+      username,
+      label: cleanLabel,
+      token_hash: hashToken(secret),
+      prefix: secret.slice(0, TOKEN_PREFIX.length + 6),
+      scopes: JSON.stringify(cleanScopes),
+      created_at: Date.now(),
+      expires_at: expiresAt
+    };
+    db.insertApiToken(row);
+    log(`API_TOKEN_CREATED id=${row.id} user=${username} scopes=${cleanScopes.join(',')} expires=${expiresAt || 'never'}`);
+    return { token: publicToken(row), secret };
+  }
+
+  function list(username = null) {
+    return db ? db.listApiTokens(username).map(publicToken) : [];
+  }
+
+  function get(id) {
+    const row = db ? db.getApiToken(id) : null;
+    return row ? publicToken(row) : null;
+  }
+
+  function revoke(id, by = null) {
+    if (!db || !db.revokeApiTokens({ id })) return false;
+    log(`API_TOKEN_REVOKED id=${id} by=${by || ''}`);
+    return true;
+  }
+
+  function revokeAllFor(username, by = null) {
+    const count = db ? db.revokeApiTokens({ username }) : 0;
+    if (count) log(`API_TOKEN_REVOKED user=${username} count=${count} by=${by || ''}`);
+    return count;
+  }
+
+  /**
+   * Express middleware: authenticate `Authorization: Bearer` requests. Requests without the
+   * header pass through to the cookie session; a bad token is rejected rather than ignored.
+   */
+  function middleware(req, res, next) {
+    const header = req.get('authorization') || '';
+    const match = /^Bearer\s+(\S+)\s*$/i.exec(header);
+    if (!match) return next();
+    const where = `method=${req.method} path=${req.path}`;
+    const reject = (status, error, reason, id = '') => {
+      log(`API_TOKEN_REJECTED id=${id} reason=${reason} ${where}`);
+      return res.status(status).json({ error });
+    };
+    const row = db ? db.getApiTokenByHash(hashToken(match[1])) : null;
+    if (!row) return reject(401, 'invalid token', 'unknown');
+    if (row.revoked_at) return reject(401, 'token revoked', 'revoked', row.id);
+    const now = Date.now();
+    if (row.expires_at && row.expires_at <= now) return reject(401, 'token expired', 'expired', row.id);
+    const user = getUser(users, row.username);
+    if (!user || user.disabled) return reject(401, 'invalid token', 'user', row.id);
+    const scopes = parseScopes(row);
+    if (!scopeAllows(scopes, req.method, req.path)) return reject(403, `token scopes (${scopes.join(', ')}) do not allow ${req.method} ${req.path}`, 'scope', row.id);
+
+    if (!row.last_used_at || now - row.last_used_at >= TOUCH_INTERVAL_MS) {
+      try { db.touchApiToken(row.id, now); } catch (e) {}
+    }
+    log(`API_TOKEN_USED id=${row.id} user=${row.username} ${where}`);
+    // A plain session object in place of cookie-session's, so nothing is written back as a cookie
+    Object.defineProperty(req, 'session', { value: { username: row.username }, writable: true, configurable: true, enumerable: true });
+    req.apiToken = { id: row.id, username: row.username, scopes };
+    return next();
+  }
+
+  return { create, list, get, revoke, revokeAllFor, middleware };
+};
+
+module.exports.SCOPES = SCOPES;
+module.exports.TOKEN_PREFIX = TOKEN_PREFIX;
+module.exports.hashToken = hashToken;
+module.exports.normalizeScopes = normalizeScopes;
+module.exports.scopeAllows = scopeAllows;
+module.exports.isReadMethod = isReadMethod;
@@ -0,0 +1,397 @@
+/**
+ * Journaled rename batches
+ *
+ * Every apply is written to the `rename_batches` / `rename_batch_items` journal before any
+ * file is touched. Items move pending -> in_progress -> done|skipped|failed, and the batch
+ * only becomes `committed` once caches and history rows are written; if the journal cannot be
+ * written before an item is touched, the batch stops there as `aborted`. Each item records its
+ * apply mode (see lib/file-ops.js) so it is reversed the same way it was created. In atomic
+ * mode a single failure rolls back every entry and directory the batch created. On startup,
+ * `recoverIncompleteBatches` finishes best-effort batches and undoes atomic ones. Batches hold the
+ * shared `apply` lock, so the server and the CLI never apply at the same time.
+ */
+
+const { performFileOp, isOpTarget, targetIdentity, reverseFileOp, normalizeApplyMode, OP_STATUS } = require('./file-ops');
+
+const APPLY_LOCK = 'apply';
+
+module.exports = function buildBatchApplier(ctx) {
+  const { fs, path, db, enrichCache, renderedIndex, canonicalize, appendLog, uuidv4, dataLock, integrityChecker } = ctx;
+
+  const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+  const log = (line) => { try { if (typeof appendLog === 'function') appendLog(line); } catch (e) {} };
+  const journal = (fn) => { try { if (db) fn(db); } catch (e) { log(`BATCH_JOURNAL_FAIL err=${e && e.message ? e.message : String(e)}`); } };
+
+  // Ancestors of `dir` that do not exist yet, outermost first
+  function missingDirs(dir) {
+    const out = [];
+    let cur = path.resolve(dir);
+    while (cur && !fs.existsSync(cur)) {
+      out.unshift(cur);
+      const parent = path.dirname(cur);
+      if (parent === cur) break;
+      cur = parent;
+    }
+    return out;
+  }
+
+  function removeDirsIfEmpty(dirs) {
+    const removed = [];
+    for (const d of [...dirs].reverse()) {
+      try {
+        if (fs.existsSync(d) && fs.readdirSync(d).length === 0) {
+          fs.rmdirSync(d);
+          removed.push(d);
+        }
+      } catch (e) { /* leave non-empty or busy directories in place */ }
+    }
+    return removed;
+  }
+
+  function createdDirsOf(item) {
+    try { return item.created_dirs ? JSON.parse(item.created_dirs) : []; } catch (e) { return []; }
+  }
+
+  function targetIdentityOf(item) {
+    try { return item.target_stat ? JSON.parse(item.target_stat) : null; } catch (e) { return null; }
+  }
+
+  function markApplied(fromPath, toPath, op) {
+    const fromKey = canonicalize(fromPath);
+    enrichCache[fromKey] = enrichCache[fromKey] || {};
+    enrichCache[fromKey].applied = true;
+    enrichCache[fromKey].hidden = true;
+    enrichCache[fromKey].appliedAt = Date.now();
+    enrichCache[fromKey].appliedTo = toPath;
+    enrichCache[fromKey].appliedOp = op || 'hardlink';
+    const finalBasename = path.basename(toPath);
+    enrichCache[fromKey].renderedName = finalBasename;
+    enrichCache[fromKey].metadataFilename = finalBasename.replace(path.extname(finalBasename), '');
+    renderedIndex[canonicalize(toPath)] = {
+      source: fromPath,
+      renderedName: finalBasename,
+      appliedTo: toPath,
+      metadataFilename: enrichCache[fromKey].metadataFilename,
+      provider: enrichCache[fromKey].provider || null,
+      parsed: enrichCache[fromKey].parsed || null
+    };
+    return fromKey;
+  }
+
+  function unmarkApplied(fromPath, toPath) {
+    const fromKey = canonicalize(fromPath);
+    const entry = enrichCache[fromKey];
+    if (entry && entry.appliedTo && canonicalize(entry.appliedTo) === canonicalize(toPath)) {
+      entry.applied = false;
+      entry.hidden = false;
+      delete entry.appliedAt;
+      delete entry.appliedTo;
+      delete entry.appliedOp;
+    }
+    try { delete renderedIndex[canonicalize(toPath)]; } catch (e) {}
+  }
+
+  async function performWithRetry(op, fromPath, toPath, onProgress) {
+    // Hardlinks get retries for "fails first time" issues on network shares
+    const attempts = op === 'hardlink' ? 3 : 1;
+    let lastErr = null;
+    for (let attempt = 0; attempt < attempts; attempt++) {
+      try {
+        await performFileOp(op, fromPath, toPath, { onProgress });
+        return;
+      } catch (err) {
+        lastErr = err;
+        if (err.code === 'EEXIST' && isOpTarget(op, fromPath, toPath)) return;
+        if (attempt < attempts - 1) await sleep(100 * (attempt + 1));
+      }
+    }
+    throw lastErr || new Error(`${op} failed after retries`);
+  }
+
+  // Undo one journaled item. Only touches the target when it still is the entry we created.
+  function revertItem(item) {
+    const out = { reverted: null, removedDirs: [], error: null };
+    try {
+      out.reverted = reverseFileOp(item.op || 'hardlink', item.from_path, item.to_path, targetIdentityOf(item));
+    } catch (e) { out.error = e.message; }
+    out.removedDirs = removeDirsIfEmpty(createdDirsOf(item));
+    unmarkApplied(item.from_path, item.to_path);
+    return out;
+  }
+
+  /**
+   * Roll back every item of a journaled batch that touched the disk. Failed items only lose the
+   * directories created for them before their file operation failed.
+   * @param {string} batchId
+   * @param {string} [reason]
+   * @returns {{ batchId: string, reverted: string[], removedDirs: string[], errors: Object[] }|null}
+   */
+  function rollbackBatch(batchId, reason) {
+    if (!db) return null;
+    const batch = db.getRenameBatch(batchId);
+    if (!batch) return null;
+    const summary = { batchId, reverted: [], removedDirs: [], errors: [] };
+    for (const item of [...batch.items].reverse()) {
+      if (item.status === 'failed') {
+        summary.removedDirs.push(...removeDirsIfEmpty(createdDirsOf(item)));
+        continue;
+      }
+      if (item.status !== 'done' && item.status !== 'in_progress') continue;
+      const r = revertItem(item);
+      if (r.reverted && r.reverted !== 'skipped') summary.reverted.push(item.to_path);
+      summary.removedDirs.push(...r.removedDirs);
+      if (r.error) summary.errors.push({ path: item.to_path, error: r.error });
+      journal(d => d.updateRenameBatchItem(batchId, item.idx, { status: 'rolled_back' }));
+    }
+    journal(d => {
+      for (const action of d.getActionsByBatch(batchId)) d.updateActionStatus(action.id, 'reverted');
+      d.setRenameBatchStatus(batchId, 'rolled_back', reason || null);
+    });
+    log(`BATCH_ROLLBACK id=${batchId} entries=${summary.reverted.length} dirs=${summary.removedDirs.length} reason=${reason || ''}`);
+    return summary;
+  }
+
+  /**
+   * Apply a batch of resolved plans.
+   * @param {Array<{itemId, fromPath, toPath, op, overwrite}>} entries - absolute source/target paths;
+   *   `op` is an apply mode from lib/file-ops.js (default hardlink)
+   * @param {Object} [opts]
+   * @param {string} [opts.username]
+   * @param {boolean} [opts.atomic] - roll back the whole batch if any item fails
+   * @param {boolean} [opts.ignoreIntegrity] - apply files whose CRC32 does not match their name
+   *   (see lib/integrity.js); they are rejected with `blocked: 'integrity'` otherwise
+   * @param {string} [opts.jobId] - background job id recorded on history rows
+   * @param {string} [opts.actionType] - history action_type (default 'approve')
+   * @param {Function} [opts.onItemDone] - async hook per applied/existing item ({ entry, result })
+   * @param {Function} [opts.onProgress] - ({ itemId, op, bytes, total }) during copies and cross-device moves
+   * @returns {Promise<{ batchId: string|null, status: string, results: Object[] }>} status is
+   *   'aborted' when validation fails atomically, another process holds the apply lock, or the
+   *   journal cannot record the batch or an entry before it is touched (entries applied before
+   *   that are kept in best-effort mode and rolled back in atomic mode)
+   */
+  async function applyBatch(entries, opts = {}) {
+    const { username = null, atomic = false, ignoreIntegrity = false } = opts;
+    const results = [];
+    const work = [];
+
+    // Validate up front so atomic batches fail before anything is written
+    for (const entry of entries) {
+      const resultItem = { itemId: entry.itemId, fromPath: entry.fromPath, status: 'pending' };
+      const blocked = integrityChecker && !ignoreIntegrity && entry.toPath ? integrityChecker.blockReason(entry.fromPath) : null;
+      if (!entry.toPath) {
+        resultItem.status = 'error';
+        resultItem.error = 'Plan missing target path (preview required)';
+      } else if (entry.fromPath === entry.toPath) {
+        resultItem.status = 'noop';
+      } else if (!fs.existsSync(entry.fromPath)) {
+        resultItem.status = 'error';
+        resultItem.error = 'Source file not found';
+      } else if (blocked) {
+        resultItem.status = 'error';
+        resultItem.error = blocked;
+        resultItem.blocked = 'integrity';
+        log(`APPLY_BLOCKED_INTEGRITY user=${username || '<anon>'} from=${entry.fromPath}`);
+      } else {
+        work.push({ entry, resultItem, op: normalizeApplyMode(entry.op) || 'hardlink' });
+      }
+      results.push(resultItem);
+    }
+    if (atomic && results.some(r => r.status === 'error')) {
+      for (const w of work) { w.resultItem.status = 'skipped'; w.resultItem.error = 'Batch aborted: another item failed validation'; }
+      log(`BATCH_ABORTED user=${username || '<anon>'} reason=validation`);
+      return { batchId: null, status: 'aborted', results };
+    }
+    if (!work.length) return { batchId: null, status: 'committed', results };
+
+    try {
+      if (dataLock) dataLock.acquire(APPLY_LOCK);
+    } catch (e) {
+      for (const w of work) { w.resultItem.status = 'skipped'; w.resultItem.error = e.message; }
+      log(`BATCH_ABORTED user=${username || '<anon>'} reason=locked`);
+      return { batchId: null, status: 'aborted', results };
+    }
+    try {
+      return await runBatch(work, results, opts);
+    } finally {
+      if (dataLock) dataLock.release(APPLY_LOCK);
+    }
+  }
+
+  // Journal and perform validated entries, then record the outcome in caches and history
+  async function runBatch(work, results, opts) {
+    const { username = null, atomic = false, jobId = null, actionType = 'approve', onItemDone, onProgress } = opts;
+    const batchId = uuidv4();
+    try {
+      if (db) db.createRenameBatch({
+        id: batchId,
+        username,
+        job_id: jobId,
+        action_type: actionType,
+        mode: atomic ? 'atomic' : 'best-effort',
+        items: work.map((w, idx) => ({ idx, item_id: w.entry.itemId, from_path: w.entry.fromPath, to_path: w.entry.toPath, op: w.op }))
+      });
+    } catch (e) {
+      for (const w of work) { w.resultItem.status = 'skipped'; w.resultItem.error = `Batch aborted: journal write failed: ${e.message}`; }
+      log(`BATCH_ABORTED user=${username || '<anon>'} reason=journal err=${e.message}`);
+      return { batchId: null, status: 'aborted', results };
+    }
+    log(`BATCH_START id=${batchId} user=${username || '<anon>'} mode=${atomic ? 'atomic' : 'best-effort'} items=${work.length}`);
+
+    let failure = null;
+    let journalFailure = null;
+    for (let idx = 0; idx < work.length; idx++) {
+      const { entry, resultItem, op } = work[idx];
+      const { fromPath, toPath } = entry;
+      resultItem.op = op;
+      const createdDirs = missingDirs(path.dirname(toPath));
+      // An entry the journal does not know about could not be rolled back or recovered
+      try {
+        if (db) db.updateRenameBatchItem(batchId, idx, { status: 'in_progress', created_dirs: JSON.stringify(createdDirs) });
+      } catch (e) {
+        journalFailure = e;
+        break;
+      }
+      try {
+        if (createdDirs.length) fs.mkdirSync(path.dirname(toPath), { recursive: true });
+        if (fs.existsSync(toPath) && entry.overwrite && !isOpTarget(op, fromPath, toPath)) {
+          try { fs.unlinkSync(toPath); } catch (e) {}
+        }
+        if (fs.existsSync(toPath)) {
+          resultItem.status = 'exists';
+          resultItem.to = toPath;
+          journal(d => d.updateRenameBatchItem(batchId, idx, { status: 'skipped' }));
+          continue;
+        }
+        const progress = typeof onProgress === 'function'
+          ? (p) => onProgress(Object.assign({ itemId: entry.itemId, op }, p))
+          : null;
+        await performWithRetry(op, fromPath, toPath, progress);
+        journal(d => d.updateRenameBatchItem(batchId, idx, { status: 'done', target_stat: JSON.stringify(targetIdentity(toPath)) }));
+        resultItem.status = OP_STATUS[op];
+        resultItem.to = toPath;
+        log(`${op === 'hardlink' ? 'HARDLINK' : 'APPLY_' + op.toUpperCase().replace(/-/g, '_')}_SUCCESS batch=${batchId} from=${fromPath} to=${toPath}`);
+      } catch (e) {
+        resultItem.status = 'error';
+        resultItem.error = e.message;
+        journal(d => d.updateRenameBatchItem(batchId, idx, { status: 'failed', error: e.message }));
+        removeDirsIfEmpty(createdDirs);
+        log(`APPLY_ERROR batch=${batchId} item=${entry.itemId} err=${e.message}`);
+        if (atomic) { failure = e; break; }
+      }
+    }
+
+    if (journalFailure) {
+      for (const { resultItem } of work) {
+        if (resultItem.status !== 'pending') continue;
+        resultItem.status = 'skipped';
+        resultItem.error = `Batch aborted: journal write failed: ${journalFailure.message}`;
+      }
+      log(`BATCH_ABORTED id=${batchId} reason=journal err=${journalFailure.message}`);
+      if (atomic) failure = journalFailure;
+    }
+
+    if (failure) {
+      rollbackBatch(batchId, failure.message);
+      for (const { resultItem } of work) {
+        if (resultItem.status === OP_STATUS[resultItem.op] || resultItem.status === 'pending') {
+          resultItem.status = 'rolled_back';
+          resultItem.error = resultItem.error || `Batch rolled back: ${failure.message}`;
+        }
+      }
+      return { batchId, status: journalFailure ? 'aborted' : 'rolled_back', results };
+    }
+
+    // Disk phase finished - record the outcome in caches and history before committing
+    const appliedKeys = {};
+    for (const { entry, resultItem, op } of work) {
+      if (resultItem.status !== OP_STATUS[op]) continue;
+      const fromKey = markApplied(entry.fromPath, entry.toPath, op);
+      appliedKeys[fromKey] = enrichCache[fromKey];
+      journal(d => d.logAction({ job_id: jobId, batch_id: batchId, action_type: actionType, original_path: entry.fromPath, resolved_path: entry.toPath }));
+    }
+    journal(d => {
+      if (Object.keys(appliedKeys).length) d.saveEnrichCacheBatch(appliedKeys);
+      d.setKV('renderedIndex', renderedIndex);
+      if (journalFailure) d.setRenameBatchStatus(batchId, 'aborted', journalFailure.message);
+      else d.setRenameBatchStatus(batchId, 'committed');
+    });
+
+    if (typeof onItemDone === 'function') {
+      for (const { entry, resultItem, op } of work) {
+        if (resultItem.status !== OP_STATUS[op] && resultItem.status !== 'exists') continue;
+        try { await onItemDone({ entry, result: resultItem, batchId }); } catch (e) {
+          log(`BATCH_ITEM_HOOK_FAIL batch=${batchId} item=${entry.itemId} err=${e && e.message ? e.message : String(e)}`);
+        }
+      }
+    }
+    log(`BATCH_COMMIT id=${batchId} applied=${Object.keys(appliedKeys).length}/${work.length}`);
+    return { batchId, status: journalFailure ? 'aborted' : 'committed', results };
+  }
+
+  /**
+   * Resolve batches left `pending` by a crash: atomic batches are rolled back, best-effort
+   * batches keep the entries that exist on disk and record them as applied.
+   */
+  function recoverIncompleteBatches() {
+    if (!db) return [];
+    // A batch still being applied by another process is not interrupted
+    const busy = dataLock ? dataLock.holder(APPLY_LOCK) : null;
+    if (busy) {
+      log(`BATCH_RECOVERY_SKIPPED holder=${busy.owner}`);
+      return [];
+    }
+    const summaries = [];
+    for (const batch of db.getIncompleteRenameBatches()) {
+      try {
+        if (batch.mode === 'atomic') {
+          const r = rollbackBatch(batch.id, 'recovered after interrupted apply');
+          summaries.push({ batchId: batch.id, action: 'rolled_back', reverted: r ? r.reverted.length : 0 });
+          continue;
+        }
+        const loggedPaths = new Set(db.getActionsByBatch(batch.id).map(a => a.original_path));
+        const appliedKeys = {};
+        let finished = 0;
+        for (const item of batch.items) {
+          const linked = (item.status === 'done' || item.status === 'in_progress') && isOpTarget(item.op || 'hardlink', item.from_path, item.to_path, targetIdentityOf(item));
+          if (linked) {
+            const fromKey = markApplied(item.from_path, item.to_path, item.op);
+            appliedKeys[fromKey] = enrichCache[fromKey];
+            if (!loggedPaths.has(item.from_path)) {
+              db.logAction({ job_id: batch.job_id, batch_id: batch.id, action_type: batch.action_type || 'approve', original_path: item.from_path, resolved_path: item.to_path });
+            }
+            db.updateRenameBatchItem(batch.id, item.idx, { status: 'done' });
+            finished++;
+          } else if (item.status === 'pending' || item.status === 'in_progress') {
+            removeDirsIfEmpty(createdDirsOf(item));
+            db.updateRenameBatchItem(batch.id, item.idx, { status: 'abandoned' });
+          } else if (item.status === 'failed') {
+            removeDirsIfEmpty(createdDirsOf(item));
+          }
+        }
+        if (Object.keys(appliedKeys).length) db.saveEnrichCacheBatch(appliedKeys);
+        db.setKV('renderedIndex', renderedIndex);
+        db.setRenameBatchStatus(batch.id, 'committed', 'recovered after interrupted apply');
+        summaries.push({ batchId: batch.id, action: 'finished', applied: finished });
+      } catch (e) {
+        log(`BATCH_RECOVERY_FAIL id=${batch.id} err=${e && e.message ? e.message : String(e)}`);
+      }
+    }
+    if (summaries.length) log(`BATCH_RECOVERY batches=${summaries.length} detail=${JSON.stringify(summaries)}`);
+    return summaries;
+  }
+
+  return { applyBatch, rollbackBatch, recoverIncompleteBatches };
+};
+
+module.exports.APPLY_LOCK = APPLY_LOCK;
+
+/**
+ * Summarise applied results for the `items_applied` event.
+ * @param {Object[]} results - applyBatch results
+ * @returns {Array<{ itemId, from, to, op }>}
+ */
+module.exports.appliedItems = function appliedItems(results) {
+  return (results || [])
+    .filter(r => r && r.op && r.status === OP_STATUS[r.op])
+    .map(r => ({ itemId: r.itemId, from: r.fromPath, to: r.to, op: r.op }));
+};
@@ -0,0 +1,166 @@
+/**
+ * Audit log
+ *
+ * A structured record of state-changing actions in SQLite: who (user and whether they came in
+ * through the browser session or an API token), what (an action name such as `settings.update`
+ * or `rename.apply`), on what (a target path, user or id) and when. Unlike the free-form log file
+ * it can be filtered per user and action and exported.
+ *
+ * Entries older than the `audit_retention_days` server setting are pruned (0 keeps everything).
+ * Recording never fails the action being audited; a failed write only goes to the log file.
+ */
+
+const DEFAULT_RETENTION_DAYS = 90;
+const MAX_RETENTION_DAYS = 3650;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const MAX_DETAILS_LENGTH = 4000;
+const EXPORT_LIMIT = 100000;
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+const EXPORT_COLUMNS = ['id', 'at', 'username', 'via', 'action', 'target', 'details', 'ip'];
+
+/**
+ * Parse a retention setting; null for anything that is not a whole number of days in range.
+ */
+function normalizeRetentionDays(value) {
+  const n = Number(value);
+  if (value === '' || value === null || value === undefined || !Number.isInteger(n) || n < 0 || n > MAX_RETENTION_DAYS) return null;
+  return n;
+}
+
+// Milliseconds, or anything Date.parse understands (e.g. 2024-05-01)
+function parseTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const n = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(String(value));
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Turn query-string filters into the shape lib/db.js expects. An `action` ending in `.` matches
+ * every action in that group (`user.` covers user.create, user.delete, ...).
+ */
+function parseFilters(query = {}) {
+  const text = (v) => (v === undefined || v === null ? '' : String(v).trim());
+  const limit = parseInt(query.limit, 10);
+  const offset = parseInt(query.offset, 10);
+  return {
+    username: text(query.username) || null,
+    action: text(query.action) || null,
+    since: parseTime(query.since),
+    until: parseTime(query.until),
+    q: text(query.q) || null,
+    limit: Number.isFinite(limit) ? Math.min(MAX_PAGE_SIZE, Math.max(1, limit)) : DEFAULT_PAGE_SIZE,
+    offset: Number.isFinite(offset) ? Math.max(0, offset) : 0
+  };
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const s = String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Audit rows as CSV with a header line; `at` is written as an ISO timestamp.
+ */
+function toCsv(rows) {
+  const lines = [EXPORT_COLUMNS.join(',')];
+  for (const row of rows) {
+    lines.push(EXPORT_COLUMNS.map(c => csvCell(c === 'at' ? new Date(row.at).toISOString() : row[c])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = function buildAuditLog(ctx) {
+  const { db, serverSettings, appendLog } = ctx;
+  let lastPruneAt = 0;
+
+  const log = (line) => { try { appendLog(line); } catch (e) {} };
+
+  function retentionDays() {
+    const days = normalizeRetentionDays(serverSettings && serverSettings.audit_retention_days);
+    return days === null ? DEFAULT_RETENTION_DAYS : days;
+  }
+
+  /**
+   * Drop entries older than the retention window.
+   * @returns {number} entries removed
+   */
+  function prune(now = Date.now()) {
+    lastPruneAt = now;
+    const days = retentionDays();
+    if (!db || !days) return 0;
+    const removed = db.deleteAuditEntriesBefore(now - days * 24 * 60 * 60 * 1000);
+    if (removed) log(`AUDIT_PRUNED removed=${removed} retentionDays=${days}`);
+    return removed;
+  }
+
+  // An express request, or a username for actions taken outside a request
+  function actorOf(source) {
+    if (source && typeof source === 'object') {
+      const username = source.session && source.session.username ? source.session.username : null;
+      const via = source.apiToken ? `token:${source.apiToken.id}` : (username ? 'session' : 'anonymous');
+      return { username, via, ip: source.ip || null };
+    }
+    return { username: source || null, via: 'system', ip: null };
+  }
+
+  /**
+   * Record one action.
+   * @param {Object|string|null} source - the request that caused it, or a username
+   * @param {string} action - dotted name, e.g. `user.create`
+   * @param {Object} [opts]
+   * @param {string} [opts.target] - what it was done to (path, username, id)
+   * @param {Object} [opts.details] - JSON-serializable extras; never secrets or passwords
+   */
+  function record(source, action, { target = null, details = null } = {}) {
+    try {
+      if (!db) return;
+      const actor = actorOf(source);
+      let detailsJson = details === null || details === undefined ? null : JSON.stringify(details);
+      if (detailsJson && detailsJson.length > MAX_DETAILS_LENGTH) detailsJson = JSON.stringify({ truncated: detailsJson.slice(0, MAX_DETAILS_LENGTH) });
+      const now = Date.now();
+      db.insertAuditEntry({ at: now, username: actor.username, via: actor.via, action, target: target === null ? null : String(target), details: detailsJson, ip: actor.ip });
+      if (now - lastPruneAt >= PRUNE_INTERVAL_MS) prune(now);
+    } catch (e) {
+      log(`AUDIT_FAIL action=${action} err=${e && e.message ? e.message : String(e)}`);
+    }
+  }
+
+  function parseRow(row) {
+    let details = null;
+    try { details = row.details ? JSON.parse(row.details) : null; } catch (e) { details = row.details; }
+    return Object.assign({}, row, { details });
+  }
+
+  /**
+   * Filtered entries, newest first.
+   * @param {Object} filters - username, action, since, until (ms), q, limit, offset
+   */
+  function query(filters = {}) {
+    if (!db) return { entries: [], total: 0 };
+    const { rows, total } = db.queryAuditEntries(filters);
+    return { entries: rows.map(parseRow), total };
+  }
+
+  /**
+   * Every entry matching `filters` (up to EXPORT_LIMIT), as CSV or a JSON array.
+   * @returns {{ body: string, contentType: string, extension: string }}
+   */
+  function exportEntries(filters = {}, format = 'json') {
+    const { rows } = db ? db.queryAuditEntries(Object.assign({}, filters, { limit: EXPORT_LIMIT, offset: 0 })) : { rows: [] };
+    if (format === 'csv') return { body: toCsv(rows), contentType: 'text/csv; charset=utf-8', extension: 'csv' };
+    return { body: JSON.stringify(rows.map(parseRow), null, 2), contentType: 'application/json; charset=utf-8', extension: 'json' };
+  }
+
+  function facets() {
+    return db ? db.listAuditFacets() : { actions: [], usernames: [] };
+  }
+
+  return { record, query, exportEntries, facets, prune, retentionDays };
+};
+
+module.exports.DEFAULT_RETENTION_DAYS = DEFAULT_RETENTION_DAYS;
+module.exports.normalizeRetentionDays = normalizeRetentionDays;
+module.exports.parseFilters = parseFilters;
+module.exports.toCsv = toCsv;
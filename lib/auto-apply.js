@@ -0,0 +1,166 @@
+/**
+ * Auto-apply rules
+ *
+ * Users declare rules in `settings.auto_apply_rules`; after enrichment each unapplied item is checked
+ * against the enabled rules in order and the first match decides its output folder. Matches are
+ * applied by an `auto-apply` job so they land in history as their own action type and can be undone
+ * like any other batch.
+ */
+
+// Facts a rule can test, with the label shown in the settings UI
+const RULE_CONDITIONS = {
+  hash_match: 'AniDB ED2K hash identified the exact file',
+  provider_complete: 'Provider metadata is complete',
+  series_approved: 'Series already has approved items'
+};
+
+const HASH_MATCH_SOURCE = 'anidb-ed2k';
+
+/**
+ * Validate and fill defaults for a rule. `existing` keeps fields a partial update leaves out.
+ * @param {Object} input
+ * @param {Object} [existing]
+ * @returns {{id:string,name:string,enabled:boolean,match:'all'|'any',conditions:string[],outputFolder:string|null}}
+ * @throws {Error} when a condition is unknown or the output folder is not absolute
+ */
+function normalizeRule(input, existing = null) {
+  const src = Object.assign({}, existing || {}, input || {});
+  const conditions = Array.isArray(src.conditions) ? [...new Set(src.conditions.map(c => String(c).trim()).filter(Boolean))] : [];
+  if (!conditions.length) throw new Error('at least one condition is required');
+  for (const c of conditions) {
+    if (!RULE_CONDITIONS[c]) throw new Error(`unknown condition "${c}"`);
+  }
+  const match = src.match === 'any' ? 'any' : 'all';
+  const outputFolder = src.outputFolder ? String(src.outputFolder).trim() : '';
+  if (outputFolder && !/^([a-zA-Z]:[\\/]|[\\/])/.test(outputFolder)) throw new Error('output folder must be an absolute path');
+  return {
+    id: src.id ? String(src.id) : null,
+    name: String(src.name || '').trim() || conditions.map(c => c.replace(/_/g, ' ')).join(match === 'any' ? ' or ' : ' and '),
+    enabled: src.enabled === undefined ? true : !!src.enabled,
+    match,
+    conditions,
+    outputFolder: outputFolder || null
+  };
+}
+
+/**
+ * Whether a rule's conditions hold for an item's facts.
+ * @param {Object} rule - normalized rule
+ * @param {Object<string, boolean>} facts - keyed by condition name
+ */
+function ruleMatches(rule, facts) {
+  if (!rule || !rule.enabled || !Array.isArray(rule.conditions) || !rule.conditions.length) return false;
+  const test = (c) => !!(facts && facts[c]);
+  return rule.match === 'any' ? rule.conditions.some(test) : rule.conditions.every(test);
+}
+
+module.exports = function buildAutoApplier(ctx) {
+  const {
+    users,
+    enrichCache,
+    canonicalize,
+    isProviderComplete,
+    getSeriesNameForApprovedEntry,
+    normalizeForCache,
+    appendLog
+  } = ctx;
+
+  function rulesFor(username) {
+    const settings = username && users[username] && users[username].settings;
+    const rules = settings && Array.isArray(settings.auto_apply_rules) ? settings.auto_apply_rules : [];
+    return rules.filter(r => r && r.enabled);
+  }
+
+  const seriesKey = (name) => {
+    const text = String(name || '').trim();
+    if (!text) return null;
+    return (normalizeForCache ? normalizeForCache(text) : null) || text.toLowerCase();
+  };
+
+  function metadataSeriesName(entry) {
+    const prov = entry.provider || {};
+    return entry.seriesTitleEnglish || prov.seriesTitleEnglish || entry.seriesTitle || entry.title || prov.title || null;
+  }
+
+  // Series keys for everything applied so far, by output folder name and by metadata title so
+  // either spelling of a not-yet-applied item's series finds it
+  function approvedSeriesKeys() {
+    const keys = new Set();
+    for (const key of Object.keys(enrichCache || {})) {
+      const entry = enrichCache[key];
+      if (!entry || entry.applied !== true) continue;
+      const targets = Array.isArray(entry.appliedTo) ? entry.appliedTo : [entry.appliedTo];
+      for (const target of targets) {
+        if (!target || !getSeriesNameForApprovedEntry) continue;
+        try { const k = seriesKey(getSeriesNameForApprovedEntry(entry, target)); if (k) keys.add(k); } catch (e) {}
+      }
+      const k = seriesKey(metadataSeriesName(entry));
+      if (k) keys.add(k);
+    }
+    return keys;
+  }
+
+  function factsFor(entry, approvedKeys) {
+    const prov = entry.provider || null;
+    const complete = !!(isProviderComplete && isProviderComplete(prov));
+    const k = seriesKey(metadataSeriesName(entry));
+    return {
+      hash_match: !!(prov && prov.matched) && (entry.source === HASH_MATCH_SOURCE || (prov && prov.source === HASH_MATCH_SOURCE)),
+      provider_complete: complete,
+      series_approved: complete && !!k && approvedKeys.has(k)
+    };
+  }
+
+  /**
+   * Group the given paths by the first enabled rule each one matches.
+   * Applied, hidden and unenriched items are never auto-applied.
+   * @param {string} username
+   * @param {string[]} paths
+   * @returns {Array<{rule:Object, paths:string[]}>}
+   */
+  function evaluate(username, paths) {
+    const rules = rulesFor(username);
+    if (!rules.length || !Array.isArray(paths) || !paths.length) return [];
+    const approvedKeys = rules.some(r => r.conditions.includes('series_approved')) ? approvedSeriesKeys() : new Set();
+    const groups = new Map();
+    for (const p of new Set(paths.map(x => canonicalize(x)))) {
+      const entry = enrichCache[p];
+      if (!entry || entry.applied || entry.hidden) continue;
+      const facts = factsFor(entry, approvedKeys);
+      const rule = rules.find(r => ruleMatches(r, facts));
+      if (!rule) continue;
+      if (!groups.has(rule.id)) groups.set(rule.id, { rule, paths: [] });
+      groups.get(rule.id).paths.push(p);
+    }
+    return [...groups.values()];
+  }
+
+  /**
+   * Queue an auto-apply job for freshly enriched paths that currently match a rule.
+   * The job evaluates the rules again when it runs.
+   * @param {string} username
+   * @param {string[]} paths
+   * @param {string} triggerName - what ran the enrichment, recorded on the job
+   * @returns {Object|null} the queued job
+   */
+  function trigger(username, paths, triggerName) {
+    if (!username || !ctx.jobQueue) return null;
+    const list = evaluate(username, paths).reduce((acc, g) => acc.concat(g.paths), []);
+    if (!list.length) return null;
+    try {
+      const job = ctx.jobQueue.enqueue('auto-apply', { username, totalItems: list.length, payload: { paths: list, trigger: triggerName || null } });
+      appendLog(`AUTO_APPLY_QUEUED job=${job.id} user=${username} trigger=${triggerName || '-'} items=${list.length}`);
+      return job;
+    } catch (e) {
+      appendLog(`AUTO_APPLY_QUEUE_FAIL user=${username} err=${e.message}`);
+      return null;
+    }
+  }
+
+  return { rulesFor, evaluate, trigger };
+};
+
+module.exports.RULE_CONDITIONS = RULE_CONDITIONS;
+module.exports.HASH_MATCH_SOURCE = HASH_MATCH_SOURCE;
+module.exports.normalizeRule = normalizeRule;
+module.exports.ruleMatches = ruleMatches;
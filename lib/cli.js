@@ -0,0 +1,396 @@
+/**
+ * Command-line interface
+ *
+ * `bin/mmp-renamer` loads the server's engine without starting the HTTP server and runs one
+ * command against the same data directory: the same SQLite store, scan cache and settings. Scans
+ * and applies take the same cross-process locks as the server (lib/data-lock.js), and every
+ * enrichment the CLI saves is picked up by a running server within a few seconds.
+ */
+
+const minimist = require('minimist');
+const buildPlanGenerator = require('./plan');
+const buildBatchApplier = require('./apply');
+const buildSidecarWriter = require('./nfo');
+const { OP_STATUS } = require('./file-ops');
+
+const EXIT = { ok: 0, failed: 1, usage: 2, locked: 3 };
+
+const USAGE = `Usage: mmp-renamer <command> [options]
+
+Commands:
+  scan [dir]              Scan the input library (default: the user's scan input path)
+      --full              Walk every file instead of using the scan cache
+      --library <id>      Scan this library instead (see GET /api/libraries)
+  enrich <path...>        Look up metadata for files, or every video file under a folder
+      --force             Ignore cached provider data and earlier failures
+  preview [path...]       Show planned renames for the latest scan, or for the given paths
+      --scan <id>         Use this scan instead of the latest one
+      --output <dir>      Output folder (default: the user's output path)
+  apply [path...]         Apply the planned renames (same item selection as preview)
+      --atomic            Roll back the whole batch if any item fails
+      --ignore-integrity  Also apply files whose CRC32 does not match their name
+  unapprove <path...>     Undo applied items; --last <n> takes the n most recent instead
+  history                 Recent actions (--limit <n>, --type <action type>)
+  duplicates              Duplicate groups with the suggested keeper
+
+Options:
+  --user <name>           Use this user's settings (default: the first admin)
+  --json                  Print JSON instead of tables
+  --dry-run               Report what would change without writing anything
+  -h, --help              Show this help
+
+Exit codes: 0 done, 1 an item or command failed, 2 bad usage, 3 locked by another process`;
+
+function usageError(message) {
+  const err = new Error(message);
+  err.usage = true;
+  return err;
+}
+
+/**
+ * Split argv into the command, positional arguments and flags.
+ * @returns {{ command: string|null, args: Object }} minimist output with the command removed from `_`
+ */
+function parseArgs(argv) {
+  const args = minimist(argv || [], {
+    boolean: ['json', 'dry-run', 'full', 'force', 'atomic', 'help', 'enrich', 'ignore-integrity'],
+    string: ['user', 'scan', 'output', 'type', 'library'],
+    alias: { h: 'help' },
+    default: { enrich: true }
+  });
+  const positional = args._.map(String);
+  return { command: positional.shift() || null, args: Object.assign(args, { _: positional }) };
+}
+
+/**
+ * Plain-text table with a header row; columns are [key, label] pairs.
+ */
+function formatTable(rows, columns) {
+  if (!rows.length) return '(none)';
+  const cell = (v) => (v === null || v === undefined ? '' : String(v));
+  const widths = columns.map(([key, label]) => Math.max(label.length, ...rows.map(r => cell(r[key]).length)));
+  const line = (values) => values.map((v, i) => (i === values.length - 1 ? v : v.padEnd(widths[i]))).join('  ').trimEnd();
+  return [
+    line(columns.map(([, label]) => label)),
+    line(widths.map(w => '-'.repeat(w))),
+    ...rows.map(r => line(columns.map(([key]) => cell(r[key]))))
+  ].join('\n');
+}
+
+module.exports = function buildCli(ctx) {
+  const {
+    fs, path, db, users, serverSettings, enrichCache, scans, canonicalize, appendLog,
+    activeScans, dataLock, runLibraryScan, libraryRegistry, fullScanLibrary, getEffectiveScanInputPath,
+    externalEnrich, renderProviderName, extractProviderRaw, cloneProviderRaw, updateEnrichCache,
+    isProviderComplete, resolveMetadataProviderOrder, buildAppliedSourcesSet, isHiddenOrAppliedPath,
+    performUnapprove, resolveApplyAtomicSetting, resolveNfoSidecarsSetting, resolveArtworkSidecarsSetting,
+    duplicateResolver, webhookDispatcher, holdCacheWrites
+  } = ctx;
+
+  const generatePlanForItem = buildPlanGenerator(ctx);
+  const { applyBatch } = buildBatchApplier(ctx);
+  const { writeSidecars } = buildSidecarWriter(ctx);
+
+  function resolveUser(name) {
+    if (name) {
+      if (!users[name]) throw usageError(`unknown user: ${name}`);
+      return name;
+    }
+    return Object.keys(users || {}).find(u => users[u] && users[u].role === 'admin') || null;
+  }
+
+  function userSetting(username, key) {
+    const own = username && users[username] && users[username].settings ? users[username].settings[key] : null;
+    return own || (serverSettings && serverSettings[key]) || null;
+  }
+
+  function saveEntries(keys) {
+    const batch = {};
+    for (const k of keys) if (enrichCache[k]) batch[k] = enrichCache[k];
+    if (db && Object.keys(batch).length) db.saveEnrichCacheBatch(batch);
+  }
+
+  // The process exits when the command ends, so wait for the first delivery attempt rather than
+  // leaving it to the background dispatcher
+  async function notify(type, payload) {
+    if (!webhookDispatcher) return;
+    const hooks = webhookDispatcher.listWebhooks().filter(h => h && h.enabled && Array.isArray(h.events) && h.events.includes(type));
+    await Promise.all(hooks.map(h => webhookDispatcher.deliver(h, type, payload, { retries: false }).catch(() => null)));
+  }
+
+  function expandPaths(rawPaths) {
+    const items = [];
+    for (const raw of rawPaths) {
+      const p = path.resolve(raw);
+      let st = null;
+      try { st = fs.statSync(p); } catch (e) { throw usageError(`no such file or directory: ${p}`); }
+      if (st.isDirectory()) items.push(...fullScanLibrary(p));
+      else items.push({ id: canonicalize(p), canonicalPath: canonicalize(p) });
+    }
+    return items;
+  }
+
+  // Explicit paths, else the visible items of --scan or the latest scan (as the dashboard shows them)
+  function selectItems(args) {
+    if (args._.length) return expandPaths(args._);
+    const all = Object.keys(scans || {}).map(k => scans[k]).filter(Boolean);
+    const scan = args.scan ? scans[args.scan] : all.sort((a, b) => (b.generatedAt || 0) - (a.generatedAt || 0))[0];
+    if (!scan) throw usageError(args.scan ? `unknown scan: ${args.scan}` : 'no scans yet; run `mmp-renamer scan` first');
+    const appliedSources = buildAppliedSourcesSet();
+    return (scan.items || []).filter(it => {
+      if (!it || !it.canonicalPath) return false;
+      const k = canonicalize(it.canonicalPath);
+      return !isHiddenOrAppliedPath(k) && !appliedSources.has(k);
+    });
+  }
+
+  function effectiveOutputFor(args, username) {
+    const out = args.output || userSetting(username, 'scan_output_path');
+    return out ? canonicalize(out) : '';
+  }
+
+  /**
+   * Look up one file the way the preview route does. Results stay in memory on --dry-run.
+   */
+  async function enrichOne(key, username, { force = false, dryRun = false } = {}) {
+    const existing = enrichCache[key] || null;
+    if (!force && existing && isProviderComplete(existing.provider)) return { path: key, status: 'cached', entry: existing };
+    const order = resolveMetadataProviderOrder(username, key);
+    const opts = { username, force };
+    if (order && order.length && order[0] === 'anidb') opts.forceHash = true;
+    const data = await externalEnrich(key, userSetting(username, 'tmdb_api_key'), opts);
+    if (!data) return { path: key, status: 'unmatched', entry: existing };
+    const providerBlock = {
+      title: data.title,
+      year: data.year,
+      season: data.season,
+      episode: data.episode,
+      episodeTitle: data.episodeTitle || '',
+      raw: cloneProviderRaw(extractProviderRaw(data)),
+      renderedName: renderProviderName(data, key, { username }),
+      matched: !!data.title,
+      source: data.source || (data.provider && data.provider.source) || null,
+      seriesTitleEnglish: data.seriesTitleEnglish || null,
+      seriesTitleRomaji: data.seriesTitleRomaji || null,
+      seriesTitleExact: data.seriesTitleExact || null,
+      originalSeriesTitle: data.originalSeriesTitle || null
+    };
+    updateEnrichCache(key, Object.assign({}, enrichCache[key] || {}, data, { provider: providerBlock, sourceId: 'provider', cachedAt: Date.now() }));
+    if (!dryRun) saveEntries([key]);
+    return { path: key, status: providerBlock.matched ? 'matched' : 'unmatched', entry: enrichCache[key] };
+  }
+
+  async function enrichMissing(items, username, dryRun) {
+    for (const it of items) {
+      try { await enrichOne(canonicalize(it.canonicalPath), username, { dryRun }); } catch (e) {
+        appendLog(`CLI_ENRICH_FAIL path=${it.canonicalPath} err=${e && e.message ? e.message : String(e)}`);
+      }
+    }
+  }
+
+  function planItems(items, username, args) {
+    const effectiveOutput = effectiveOutputFor(args, username);
+    return items.map(it => generatePlanForItem(it, { username, effectiveOutput, applyFilenameAsTitle: false, explicitOutput: !!args.output })).filter(Boolean);
+  }
+
+  const commands = {
+    async scan(args, username) {
+      const library = args.library ? (libraryRegistry && libraryRegistry.get(username, args.library)) : null;
+      if (args.library && !library) throw usageError(`unknown library: ${args.library}`);
+      const input = args._[0] || (library && library.scan_input_path) || getEffectiveScanInputPath(username);
+      if (!input) throw usageError('no scan input path configured; pass a directory');
+      const libPath = path.resolve(input);
+      if (!fs.existsSync(libPath) || !fs.statSync(libPath).isDirectory()) throw usageError(`not a directory: ${libPath}`);
+      if (args['dry-run']) {
+        const found = fullScanLibrary(libPath);
+        const rows = found.map(it => ({ path: it.canonicalPath, known: enrichCache[canonicalize(it.canonicalPath)] ? 'yes' : 'no' }));
+        return {
+          data: { path: libPath, totalCount: rows.length, newItems: rows.filter(r => r.known === 'no').map(r => r.path) },
+          text: `${formatTable(rows, [['known', 'Known'], ['path', 'Path']])}\n${rows.length} files in ${libPath} (dry run, nothing saved)`
+        };
+      }
+      const lockKey = `scanPath:${libPath}`;
+      activeScans.add(lockKey);
+      let outcome;
+      try {
+        outcome = await runLibraryScan(username, libPath, { full: args.full, kind: 'cli', libraryId: library ? library.id : 'local' });
+      } finally {
+        activeScans.delete(lockKey);
+      }
+      appendLog(`CLI_SCAN path=${libPath} scan=${outcome.scanId} items=${outcome.totalCount} new=${outcome.newItems.length}`);
+      return {
+        data: Object.assign({ path: libPath }, outcome),
+        text: `Scan ${outcome.scanId}: ${outcome.totalCount} items to review, ${outcome.newItems.length} new or changed, in ${libPath}`
+      };
+    },
+
+    async enrich(args, username) {
+      if (!args._.length) throw usageError('enrich needs at least one path');
+      const results = [];
+      let failed = 0;
+      for (const it of expandPaths(args._)) {
+        const key = canonicalize(it.canonicalPath);
+        try {
+          results.push(await enrichOne(key, username, { force: args.force, dryRun: args['dry-run'] }));
+        } catch (e) {
+          failed++;
+          results.push({ path: key, status: 'error', error: e.message });
+        }
+      }
+      const rows = results.map(r => {
+        const p = (r.entry && r.entry.provider) || {};
+        return { path: r.path, status: r.status, title: p.title || '', season: p.season, episode: p.episode, episodeTitle: p.episodeTitle || r.error || '' };
+      });
+      return {
+        data: results,
+        text: formatTable(rows, [['status', 'Status'], ['title', 'Title'], ['season', 'S'], ['episode', 'E'], ['episodeTitle', 'Episode title'], ['path', 'Path']]),
+        code: failed ? EXIT.failed : EXIT.ok
+      };
+    },
+
+    async preview(args, username) {
+      const items = selectItems(args);
+      if (args.enrich) await enrichMissing(items, username, args['dry-run']);
+      const plans = planItems(items, username, args);
+      if (!args['dry-run']) saveEntries(plans.map(p => p.fromPath));
+      const rows = plans.map(p => ({ from: p.fromPath, to: p.toPath, op: p.actions[0].op }));
+      return { data: { plans }, text: formatTable(rows, [['op', 'Op'], ['from', 'From'], ['to', 'To']]) };
+    },
+
+    async apply(args, username) {
+      const items = selectItems(args);
+      if (args.enrich) await enrichMissing(items, username, args['dry-run']);
+      const plans = planItems(items, username, args);
+      const entries = plans.map(p => ({ itemId: p.itemId, fromPath: path.resolve(p.fromPath), toPath: path.resolve(p.toPath), op: p.actions[0].op }));
+      const columns = [['status', 'Status'], ['fromPath', 'From'], ['to', 'To'], ['error', 'Error']];
+      if (args['dry-run']) {
+        const results = entries.map(e => ({
+          itemId: e.itemId,
+          fromPath: e.fromPath,
+          status: e.fromPath === e.toPath ? 'noop' : (fs.existsSync(e.fromPath) ? 'dry-run' : 'error'),
+          error: fs.existsSync(e.fromPath) ? undefined : 'Source file not found',
+          op: e.op,
+          to: e.toPath
+        }));
+        return { data: { results, batchId: null, batchStatus: null }, text: formatTable(results, columns) };
+      }
+      const atomic = args.atomic || resolveApplyAtomicSetting(username);
+      const outcome = await applyBatch(entries, {
+        username,
+        atomic,
+        ignoreIntegrity: args['ignore-integrity'],
+        actionType: 'apply',
+        onItemDone: async ({ entry }) => {
+          const nfo = resolveNfoSidecarsSetting(username);
+          const artwork = resolveArtworkSidecarsSetting(username);
+          if (!nfo && !artwork) return;
+          try { await writeSidecars({ fromPath: entry.fromPath, toPath: entry.toPath, username, nfo, artwork }); } catch (e) {
+            appendLog(`SIDECAR_WRITE_FAIL to=${entry.toPath} err=${e && e.message ? e.message : String(e)}`);
+          }
+        }
+      });
+      // Drop applied items from the scans that listed them, like the apply route does
+      const appliedPaths = new Set(outcome.results.filter(r => r.op && r.status === OP_STATUS[r.op]).map(r => canonicalize(r.fromPath)));
+      for (const sid of Object.keys(scans || {})) {
+        const scan = scans[sid];
+        if (!scan || !Array.isArray(scan.items)) continue;
+        const before = scan.items.length;
+        scan.items = scan.items.filter(it => !appliedPaths.has(canonicalize(it.canonicalPath)));
+        if (scan.items.length !== before) {
+          scan.totalCount = scan.items.length;
+          try { if (db) db.upsertScan(scan); } catch (e) {}
+        }
+      }
+      const applied = buildBatchApplier.appliedItems(outcome.results);
+      if (applied.length) await notify('items_applied', { source: 'cli', batchId: outcome.batchId, username, count: applied.length, items: applied });
+      const locked = outcome.status === 'aborted' && outcome.results.some(r => r.error && / is locked by /.test(r.error));
+      const failed = outcome.status !== 'committed' || outcome.results.some(r => r.status === 'error');
+      return {
+        data: { results: outcome.results, batchId: outcome.batchId, batchStatus: outcome.status },
+        text: `${formatTable(outcome.results, columns)}\nBatch ${outcome.batchId || '-'} ${outcome.status}: ${applied.length}/${entries.length} applied`,
+        code: locked ? EXIT.locked : (failed ? EXIT.failed : EXIT.ok)
+      };
+    },
+
+    async unapprove(args, username) {
+      const last = args.last != null ? parseInt(args.last, 10) : null;
+      if (!args._.length && !(last > 0)) throw usageError('unapprove needs paths or --last <n>');
+      const requestedPaths = args._.length ? args._.map(p => canonicalize(path.resolve(p))) : null;
+      if (args['dry-run']) {
+        const keys = requestedPaths
+          ? requestedPaths.filter(k => enrichCache[k] && (enrichCache[k].applied || enrichCache[k].hidden || enrichCache[k].appliedTo))
+          : Object.keys(enrichCache).filter(k => enrichCache[k] && enrichCache[k].applied)
+            .sort((a, b) => (enrichCache[b].appliedAt || 0) - (enrichCache[a].appliedAt || 0)).slice(0, last);
+        const rows = keys.map(k => ({ path: k, appliedTo: enrichCache[k].appliedTo || '' }));
+        return { data: { unapproved: keys, deletedHardlinks: [], hardlinkErrors: [] }, text: formatTable(rows, [['path', 'Path'], ['appliedTo', 'Applied to']]) };
+      }
+      const outcome = await dataLock.withLock(buildBatchApplier.APPLY_LOCK, () => performUnapprove({ requestedPaths, count: last || 10, username }));
+      saveEntries(outcome.changed);
+      appendLog(`CLI_UNAPPROVE count=${outcome.changed.length} removed=${outcome.deletedHardlinks.length}`);
+      if (outcome.changed.length) await notify('items_unapproved', { source: 'cli', username, count: outcome.changed.length, paths: outcome.changed, removed: outcome.deletedHardlinks });
+      const rows = outcome.changed.map(p => ({ path: p }));
+      return {
+        data: { unapproved: outcome.changed, deletedHardlinks: outcome.deletedHardlinks, hardlinkErrors: outcome.hardlinkErrors },
+        text: `${formatTable(rows, [['path', 'Unapproved']])}\n${outcome.deletedHardlinks.length} output files removed`,
+        code: outcome.hardlinkErrors.length ? EXIT.failed : EXIT.ok
+      };
+    },
+
+    async history(args) {
+      const limit = args.limit != null ? parseInt(args.limit, 10) : 50;
+      if (!(limit > 0)) throw usageError('--limit must be a positive number');
+      const rows = db ? db.getHistory(limit, { actionType: args.type || null }) : [];
+      const display = rows.map(r => Object.assign({}, r, { when: new Date(r.timestamp).toISOString() }));
+      return {
+        data: rows,
+        text: formatTable(display, [['id', 'Id'], ['when', 'When'], ['action_type', 'Action'], ['status', 'Status'], ['original_path', 'Original'], ['resolved_path', 'Resolved']])
+      };
+    },
+
+    async duplicates() {
+      const groups = duplicateResolver.findGroups();
+      const rows = groups.map(g => ({ type: g.groupType, name: g.previewName || g.hash || g.metadataKey, files: g.items.length, keeper: g.suggestedKeeper || '' }));
+      return { data: { groups, total: groups.length }, text: formatTable(rows, [['type', 'Match'], ['files', 'Files'], ['name', 'Name'], ['keeper', 'Suggested keeper']]) };
+    }
+  };
+
+  /**
+   * Run one command. Output goes to `io.out`, errors to `io.err`.
+   * @returns {Promise<number>} process exit code (see EXIT)
+   */
+  async function run(argv, io = { out: (s) => process.stdout.write(s), err: (s) => process.stderr.write(s) }) {
+    let parsed;
+    try { parsed = parseArgs(argv); } catch (e) { io.err(`${e.message}\n`); return EXIT.usage; }
+    const { command, args } = parsed;
+    if (args.help || !command) { io.out(`${USAGE}\n`); return args.help ? EXIT.ok : EXIT.usage; }
+    if (!Object.prototype.hasOwnProperty.call(commands, command)) {
+      io.err(`unknown command: ${command}\n\n${USAGE}\n`);
+      return EXIT.usage;
+    }
+    // Lookups made during a dry run must not reach the store, the search index or the cache files
+    const holdWrites = !!args['dry-run'] && typeof holdCacheWrites === 'function';
+    if (holdWrites) holdCacheWrites(true);
+    try {
+      const username = resolveUser(args.user);
+      appendLog(`CLI_COMMAND cmd=${command} user=${username || '<none>'} dryRun=${!!args['dry-run']}`);
+      const result = await commands[command](args, username);
+      io.out(`${args.json ? JSON.stringify(result.data, null, 2) : result.text}\n`);
+      return result.code || EXIT.ok;
+    } catch (e) {
+      if (e.usage) { io.err(`${e.message}\n`); return EXIT.usage; }
+      if (e.code === 'ELOCKED') { io.err(`${e.message}\n`); return EXIT.locked; }
+      appendLog(`CLI_FAIL cmd=${command} err=${e && e.message ? e.message : String(e)}`);
+      io.err(`${command} failed: ${e && e.message ? e.message : String(e)}\n`);
+      return EXIT.failed;
+    } finally {
+      if (holdWrites) holdCacheWrites(false);
+    }
+  }
+
+  return { run, commands };
+};
+
+module.exports.EXIT = EXIT;
+module.exports.USAGE = USAGE;
+module.exports.parseArgs = parseArgs;
+module.exports.formatTable = formatTable;
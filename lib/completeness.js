@@ -0,0 +1,328 @@
+/**
+ * Series completeness
+ *
+ * Compares the episodes we hold for each series against the episode list its provider publishes.
+ * Files are grouped by the provider series they matched (AniDB aid, TVDB, TMDb or AniList id), the
+ * provider's list is fetched once a day and cached in the `completenessLists` KV entry, and each
+ * episode is reported as applied to the output, present in the input library, or missing. Season 0
+ * is reported separately as specials, and files that fit no listed episode are extras.
+ */
+
+const LIST_TTL_MS = 24 * 60 * 60 * 1000;
+const LIST_CACHE_KEY = 'completenessLists';
+const EXTRAS_FOLDER = /(^|[\\/])(extras?|bonus(es)?|featurettes?|creditless|nc ?op|nc ?ed|menus?)([\\/]|$)/i;
+
+function positive(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+/**
+ * The provider series an enrichment matched, or null when it only has a title.
+ * @returns {{provider:'anidb'|'tvdb'|'tmdb'|'anilist', id:string}|null}
+ */
+function seriesIdentity(entry) {
+  const raw = entry && entry.provider && entry.provider.raw && typeof entry.provider.raw === 'object' ? entry.provider.raw : null;
+  if (!raw) return null;
+  if (raw.aid) return { provider: 'anidb', id: String(raw.aid) };
+  const source = String(raw.source || '').toLowerCase();
+  if (source === 'tvdb' && raw.id) return { provider: 'tvdb', id: String(raw.id) };
+  if (source === 'tmdb' && raw.id && raw.media_type !== 'movie') return { provider: 'tmdb', id: String(raw.id) };
+  if (source === 'anilist' && raw.id) return { provider: 'anilist', id: String(raw.id) };
+  return null;
+}
+
+/**
+ * Season and episode numbers a file covers; a `01-03` range yields three episodes.
+ * @returns {{season:number, episodes:number[]}}
+ */
+function fileEpisodes(entry) {
+  const season = entry.season != null && Number.isFinite(Number(entry.season)) ? Number(entry.season) : 1;
+  const range = String(entry.episodeRange || '').match(/^(\d+)-(\d+)$/);
+  if (range) {
+    const from = Number(range[1]);
+    const to = Number(range[2]);
+    if (to >= from && to - from < 50) return { season, episodes: Array.from({ length: to - from + 1 }, (_, i) => from + i) };
+  }
+  const ep = entry.episode != null ? Number(entry.episode) : NaN;
+  return { season, episodes: Number.isFinite(ep) ? [ep] : [] };
+}
+
+function countList(season, count) {
+  return Array.from({ length: count }, (_, i) => ({ season, episode: i + 1, title: null, airDate: null }));
+}
+
+/**
+ * Episode list from TMDb `/3/tv/{id}` details. Only season counts are available there, so titles are
+ * left empty; the latest aired episode caps the current season.
+ */
+function expectedFromTmdb(details) {
+  if (!details || !Array.isArray(details.seasons)) return null;
+  const last = details.last_episode_to_air || null;
+  const out = [];
+  for (const s of details.seasons) {
+    const season = Number(s.season_number);
+    let count = positive(s.episode_count) || 0;
+    if (!Number.isFinite(season)) continue;
+    if (last && season === Number(last.season_number)) count = Math.min(count, Number(last.episode_number) || count);
+    if (last && season > Number(last.season_number)) count = 0;
+    out.push(...countList(season, count));
+  }
+  return out;
+}
+
+/**
+ * Episode list from TVDB's default order, without episodes that have not aired yet.
+ * @param {Array<{season:number, episode:number, title:string|null, airDate:string|null}>} episodes
+ */
+function expectedFromTvdb(episodes, now = Date.now()) {
+  if (!Array.isArray(episodes)) return null;
+  return episodes.filter(ep => !ep.airDate || Date.parse(ep.airDate) <= now);
+}
+
+/**
+ * Episode list for providers that only report a count (AniDB, AniList). These are per-season
+ * entries, so the count applies to the season our files were filed under.
+ */
+function expectedFromCount(count, season) {
+  const n = positive(count);
+  return n ? countList(season, n) : null;
+}
+
+/**
+ * Compare one series' files to its expected episodes.
+ * @param {{key:string, title:string, provider:string|null, id:string|null, files:Array}} series
+ * @param {Array|null} expected - from one of the expectedFrom* helpers, null when unknown
+ */
+function buildReport(series, expected) {
+  const slots = new Map();
+  const slotKey = (s, e) => `${s}:${e}`;
+  for (const ep of expected || []) slots.set(slotKey(ep.season, ep.episode), { ...ep, status: 'missing', files: [] });
+  const extras = [];
+
+  for (const f of series.files) {
+    const placed = !f.extrasFolder && f.episodes.length && (!expected || f.season === 0 || f.episodes.every(e => slots.has(slotKey(f.season, e))));
+    if (!placed) { extras.push({ path: f.path, season: f.season, episodes: f.episodes, applied: f.applied }); continue; }
+    for (const e of f.episodes) {
+      const k = slotKey(f.season, e);
+      if (!slots.has(k)) slots.set(k, { season: f.season, episode: e, title: null, airDate: null, status: 'missing', files: [] });
+      const slot = slots.get(k);
+      slot.files.push(f.path);
+      if (f.applied) slot.status = 'applied';
+      else if (slot.status !== 'applied') slot.status = 'input';
+    }
+  }
+
+  const bySeason = new Map();
+  for (const slot of [...slots.values()].sort((a, b) => a.season - b.season || a.episode - b.episode)) {
+    if (!bySeason.has(slot.season)) bySeason.set(slot.season, []);
+    bySeason.get(slot.season).push(slot);
+  }
+  const summarize = (season, episodes) => ({
+    season,
+    expected: expected ? episodes.filter(ep => expected.some(x => x.season === season && x.episode === ep.episode)).length : null,
+    have: episodes.filter(ep => ep.status !== 'missing').length,
+    applied: episodes.filter(ep => ep.status === 'applied').length,
+    missing: episodes.filter(ep => ep.status === 'missing').map(ep => ep.episode),
+    episodes
+  });
+  const seasons = [...bySeason.entries()].filter(([s]) => s !== 0).map(([s, eps]) => summarize(s, eps));
+  const specials = bySeason.has(0) ? summarize(0, bySeason.get(0)) : null;
+  const missing = seasons.reduce((n, s) => n + s.missing.length, 0);
+
+  return {
+    key: series.key,
+    title: series.title,
+    provider: series.provider,
+    id: series.id,
+    known: !!expected,
+    complete: !!expected && missing === 0,
+    counts: {
+      expected: expected ? seasons.reduce((n, s) => n + s.expected, 0) : null,
+      have: seasons.reduce((n, s) => n + s.have, 0),
+      applied: seasons.reduce((n, s) => n + s.applied, 0),
+      missing,
+      specials: specials ? specials.have : 0,
+      extras: extras.length
+    },
+    seasons,
+    specials,
+    extras
+  };
+}
+
+module.exports = function buildCompletenessReporter(ctx) {
+  const {
+    path, db, enrichCache, users, serverSettings, normalizeForCache, appendLog,
+    httpRequest, fetchAniListById, getAniDBClient, resolveTvdbCredentials, tvdb
+  } = ctx;
+
+  let lists = null;
+  const inflight = new Map();
+
+  function loadLists() {
+    if (lists) return lists;
+    let stored = null;
+    try { stored = db ? db.getKV(LIST_CACHE_KEY) : null; } catch (e) {}
+    lists = stored && typeof stored === 'object' ? stored : {};
+    return lists;
+  }
+
+  function saveLists() {
+    try { if (db) db.setKV(LIST_CACHE_KEY, lists); } catch (e) {}
+  }
+
+  /**
+   * Group every enriched, non-movie file by the series it matched. Files a user hid without
+   * applying are left out; applied files count even though applying also hides them.
+   */
+  function collectSeries() {
+    const map = new Map();
+    for (const key of Object.keys(enrichCache || {})) {
+      const entry = enrichCache[key];
+      if (!entry || !entry.provider || !entry.provider.matched || entry.isMovie === true) continue;
+      if (entry.hidden && !entry.applied) continue;
+      const identity = seriesIdentity(entry);
+      const title = entry.seriesTitleEnglish || entry.seriesTitle || entry.provider.title || entry.title || path.basename(key);
+      const seriesKey = identity ? `${identity.provider}:${identity.id}` : `title:${normalizeForCache(title) || title.toLowerCase()}`;
+      if (!map.has(seriesKey)) map.set(seriesKey, { key: seriesKey, title, provider: identity ? identity.provider : null, id: identity ? identity.id : null, files: [] });
+      const { season, episodes } = fileEpisodes(entry);
+      map.get(seriesKey).files.push({
+        path: key,
+        season,
+        episodes,
+        applied: entry.applied === true,
+        extrasFolder: EXTRAS_FOLDER.test(path.dirname(key)),
+        episodeCount: positive(entry.provider.raw && (entry.provider.raw.episodes || entry.provider.raw.episodeCount))
+      });
+    }
+    return map;
+  }
+
+  // The season count-only providers apply to: whichever season most of the files sit in
+  function dominantSeason(series) {
+    const tally = new Map();
+    for (const f of series.files) if (f.season !== 0) tally.set(f.season, (tally.get(f.season) || 0) + 1);
+    let best = 1;
+    let bestN = 0;
+    for (const [s, n] of tally) if (n > bestN) { best = s; bestN = n; }
+    return best;
+  }
+
+  function tmdbKeyFor(username) {
+    const settings = username && users[username] && users[username].settings;
+    return (settings && settings.tmdb_api_key) || (serverSettings && serverSettings.tmdb_api_key) || null;
+  }
+
+  async function fetchExpected(series, username) {
+    switch (series.provider) {
+      case 'tmdb': {
+        const apiKey = tmdbKeyFor(username);
+        if (!apiKey) throw new Error('no TMDb API key configured');
+        const res = await httpRequest({ hostname: 'api.themoviedb.org', path: `/3/tv/${encodeURIComponent(series.id)}?api_key=${encodeURIComponent(apiKey)}&language=en-US`, method: 'GET', headers: { Accept: 'application/json' } }, null, 10000);
+        if (!res || res.statusCode !== 200) throw new Error(`TMDb returned ${res ? res.statusCode : 'no response'}`);
+        return expectedFromTmdb(JSON.parse(res.body || '{}'));
+      }
+      case 'tvdb': {
+        const creds = resolveTvdbCredentials(username, null);
+        if (!creds) throw new Error('no TVDB API key configured');
+        return expectedFromTvdb(await tvdb.fetchSeriesEpisodes(creds, series.id, appendLog));
+      }
+      case 'anilist': {
+        const media = await fetchAniListById(series.id);
+        const raw = media && media.raw ? media.raw : media;
+        const aired = raw && raw.nextAiringEpisode && raw.nextAiringEpisode.episode ? raw.nextAiringEpisode.episode - 1 : null;
+        return expectedFromCount(aired || (raw && raw.episodes), dominantSeason(series));
+      }
+      case 'anidb': {
+        const settings = (username && users[username] && users[username].settings) || {};
+        const client = getAniDBClient('', '', settings.anidb_client_name || serverSettings.anidb_client_name || 'mediabrowser', settings.anidb_client_version || serverSettings.anidb_client_version || 1);
+        const anime = await client.getAnimeInfo(series.id);
+        return expectedFromCount(anime && anime.episodeCount, dominantSeason(series));
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Cached provider list for a series, fetched when missing, stale or `force` is set. A failed
+   * fetch keeps the previous list and records the error next to it.
+   */
+  async function expectedFor(series, { username = null, force = false } = {}) {
+    if (!series.provider) return { episodes: null, fetchedAt: null, error: null };
+    const cache = loadLists();
+    const cached = cache[series.key];
+    if (cached && !force && Date.now() - cached.fetchedAt < LIST_TTL_MS) return cached;
+    if (inflight.has(series.key)) return inflight.get(series.key);
+    const work = (async () => {
+      try {
+        const episodes = await fetchExpected(series, username);
+        cache[series.key] = { episodes, fetchedAt: Date.now(), error: null };
+        appendLog(`COMPLETENESS_LIST_FETCHED series=${series.key} episodes=${episodes ? episodes.length : 0}`);
+      } catch (e) {
+        cache[series.key] = { episodes: cached ? cached.episodes : null, fetchedAt: Date.now(), error: e.message };
+        appendLog(`COMPLETENESS_LIST_FAIL series=${series.key} err=${e.message}`);
+      }
+      saveLists();
+      return cache[series.key];
+    })();
+    inflight.set(series.key, work);
+    try { return await work; } finally { inflight.delete(series.key); }
+  }
+
+  function withListInfo(report, list) {
+    return Object.assign(report, { fetchedAt: list ? list.fetchedAt : null, error: list ? list.error : null });
+  }
+
+  /**
+   * One line per series from cached lists only, so the overview never waits on providers.
+   */
+  function summary() {
+    const cache = loadLists();
+    return [...collectSeries().values()]
+      .map(series => {
+        const list = cache[series.key] || null;
+        const { seasons, specials, extras, ...rest } = withListInfo(buildReport(series, list ? list.episodes : null), list);
+        return { ...rest, seasonCount: seasons.length, stale: !!series.provider && (!list || Date.now() - list.fetchedAt >= LIST_TTL_MS) };
+      })
+      .sort((a, b) => a.title.localeCompare(b.title));
+  }
+
+  /**
+   * Full report for one series, fetching its provider list if needed.
+   * @returns {Promise<Object|null>} null when no enriched file belongs to `seriesKey`
+   */
+  async function seriesReport(seriesKey, opts = {}) {
+    const series = collectSeries().get(seriesKey);
+    if (!series) return null;
+    const list = await expectedFor(series, opts);
+    return withListInfo(buildReport(series, list.episodes), list);
+  }
+
+  /**
+   * Refresh stale (or, with `force`, all) provider lists one series at a time.
+   * @param {{username?:string, force?:boolean, signal?:AbortSignal, onProgress?:Function}} opts
+   */
+  async function refreshAll({ username = null, force = false, signal = null, onProgress = null } = {}) {
+    const all = [...collectSeries().values()].filter(s => s.provider);
+    let done = 0;
+    for (const series of all) {
+      if (signal && signal.aborted) break;
+      await expectedFor(series, { username, force });
+      done += 1;
+      if (onProgress) onProgress(done, all.length);
+    }
+    return { refreshed: done, total: all.length };
+  }
+
+  return { collectSeries, summary, seriesReport, refreshAll };
+};
+
+module.exports.LIST_TTL_MS = LIST_TTL_MS;
+module.exports.seriesIdentity = seriesIdentity;
+module.exports.fileEpisodes = fileEpisodes;
+module.exports.expectedFromTmdb = expectedFromTmdb;
+module.exports.expectedFromTvdb = expectedFromTvdb;
+module.exports.expectedFromCount = expectedFromCount;
+module.exports.buildReport = buildReport;
@@ -0,0 +1,138 @@
+/**
+ * Minimal five-field cron expressions (minute hour day-of-month month day-of-week)
+ *
+ * Supports `*`, lists (`1,15`), ranges (`1-5`), steps (`*\/10`, `0-30/5`), month and weekday
+ * names and the @hourly/@daily/@weekly/@monthly/@yearly aliases. Times are local to the server.
+ * As in Vixie cron, when both day fields are restricted a day matches if either does.
+ */
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameBase: 1 },
+  { name: 'dayOfWeek', min: 0, max: 7, names: DAY_NAMES, nameBase: 0 }
+];
+
+// Give up looking for the next run after this many years (e.g. "0 0 30 2 *" never fires)
+const SEARCH_LIMIT_YEARS = 5;
+
+function parseValue(token, field) {
+  const lower = token.toLowerCase();
+  if (field.names) {
+    const idx = field.names.indexOf(lower);
+    if (idx !== -1) return idx + field.nameBase;
+  }
+  if (!/^\d+$/.test(token)) throw new Error(`invalid ${field.name} value "${token}"`);
+  const n = parseInt(token, 10);
+  if (n < field.min || n > field.max) throw new Error(`${field.name} value ${n} out of range ${field.min}-${field.max}`);
+  return n;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [rangeText, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (!Number.isFinite(step) || step < 1 || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+      throw new Error(`invalid ${field.name} step "${stepText}"`);
+    }
+    let lo;
+    let hi;
+    if (rangeText === '*') {
+      lo = field.min;
+      hi = field.max;
+    } else if (rangeText.includes('-')) {
+      const [a, b] = rangeText.split('-');
+      lo = parseValue(a, field);
+      hi = parseValue(b, field);
+      if (lo > hi) throw new Error(`invalid ${field.name} range "${rangeText}"`);
+    } else {
+      lo = parseValue(rangeText, field);
+      hi = stepText === undefined ? lo : field.max;
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parse a cron expression.
+ * @param {string} expr
+ * @returns {{minute:Set<number>,hour:Set<number>,dayOfMonth:Set<number>,month:Set<number>,dayOfWeek:Set<number>,domRestricted:boolean,dowRestricted:boolean}}
+ * @throws {Error} when the expression is malformed
+ */
+function parseCron(expr) {
+  const raw = String(expr || '').trim();
+  const text = ALIASES[raw.toLowerCase()] || raw;
+  const parts = text.split(/\s+/).filter(Boolean);
+  if (parts.length !== 5) throw new Error('cron expression must have 5 fields');
+  const out = {};
+  FIELDS.forEach((field, i) => { out[field.name] = parseField(parts[i], field); });
+  // 7 is an alias for Sunday
+  if (out.dayOfWeek.has(7)) { out.dayOfWeek.delete(7); out.dayOfWeek.add(0); }
+  out.domRestricted = parts[2] !== '*';
+  out.dowRestricted = parts[4] !== '*';
+  return out;
+}
+
+function dayMatches(spec, date) {
+  const dom = spec.dayOfMonth.has(date.getDate());
+  const dow = spec.dayOfWeek.has(date.getDay());
+  if (spec.domRestricted && spec.dowRestricted) return dom || dow;
+  if (spec.domRestricted) return dom;
+  if (spec.dowRestricted) return dow;
+  return true;
+}
+
+/**
+ * Next time strictly after `from` that matches the expression.
+ * @param {string|Object} expr - expression or the result of parseCron
+ * @param {Date|number} [from]
+ * @returns {Date|null} null when nothing matches within the search window
+ */
+function nextCronRun(expr, from = Date.now()) {
+  const spec = typeof expr === 'string' ? parseCron(expr) : expr;
+  const d = new Date(typeof from === 'number' ? from : from.getTime());
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+  const limit = new Date(d.getTime());
+  limit.setFullYear(limit.getFullYear() + SEARCH_LIMIT_YEARS);
+  while (d <= limit) {
+    if (!spec.month.has(d.getMonth() + 1)) {
+      d.setMonth(d.getMonth() + 1, 1);
+      d.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!dayMatches(spec, d)) {
+      d.setDate(d.getDate() + 1);
+      d.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!spec.hour.has(d.getHours())) {
+      d.setHours(d.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!spec.minute.has(d.getMinutes())) {
+      d.setMinutes(d.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return d;
+  }
+  return null;
+}
+
+module.exports = { parseCron, nextCronRun };
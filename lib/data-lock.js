@@ -0,0 +1,122 @@
+/**
+ * Cross-process locks
+ *
+ * The server and the CLI (bin/mmp-renamer) work on the same data directory, so anything that must
+ * not overlap between them - scanning a library path, applying a rename batch - takes a named lock
+ * in the `locks` table. Locks belong to a process: taking one again from the same process nests,
+ * and a lock counts as free once its holder has exited (same host) or stopped renewing it (another
+ * host sharing the directory).
+ */
+
+const os = require('os');
+
+const HEARTBEAT_MS = 15 * 1000;
+const STALE_MS = 60 * 1000;
+
+function pidAlive(pid) {
+  try { process.kill(pid, 0); return true; } catch (e) { return e.code === 'EPERM'; }
+}
+
+module.exports = function buildDataLock(ctx) {
+  const { db, appendLog, role = 'server' } = ctx;
+  const host = os.hostname();
+  const owner = `${role}:${host}:${process.pid}`;
+  const depth = new Map();
+  let heartbeat = null;
+
+  const log = (line) => { try { if (typeof appendLog === 'function') appendLog(line); } catch (e) {} };
+
+  function isStale(row, now = Date.now()) {
+    if (row.host === host && row.pid) return !pidAlive(row.pid);
+    return now - row.heartbeat_at > STALE_MS;
+  }
+
+  function syncHeartbeat() {
+    if (depth.size && !heartbeat && db) {
+      heartbeat = setInterval(() => { try { db.heartbeatLocks(owner); } catch (e) {} }, HEARTBEAT_MS);
+      if (heartbeat.unref) heartbeat.unref();
+    } else if (!depth.size && heartbeat) {
+      clearInterval(heartbeat);
+      heartbeat = null;
+    }
+  }
+
+  /**
+   * The live lock row for `name` when another process holds it, otherwise null.
+   */
+  function holder(name) {
+    if (!db) return null;
+    const row = db.getLock(name);
+    return row && row.owner !== owner && !isStale(row) ? row : null;
+  }
+
+  /**
+   * Take `name` or throw an error with code `ELOCKED` naming the holder.
+   */
+  function acquire(name) {
+    if (depth.has(name)) { depth.set(name, depth.get(name) + 1); return; }
+    const outcome = db ? db.acquireLock({ name, owner, pid: process.pid, host, isStale }) : { acquired: true };
+    if (!outcome.acquired) {
+      const err = new Error(`${name} is locked by ${outcome.holder.owner} since ${new Date(outcome.holder.acquired_at).toISOString()}`);
+      err.code = 'ELOCKED';
+      err.holder = outcome.holder;
+      log(`LOCK_BUSY name=${name} holder=${outcome.holder.owner}`);
+      throw err;
+    }
+    depth.set(name, 1);
+    syncHeartbeat();
+  }
+
+  function release(name) {
+    const n = depth.get(name);
+    if (!n) return;
+    if (n > 1) { depth.set(name, n - 1); return; }
+    depth.delete(name);
+    try { if (db) db.releaseLock(name, owner); } catch (e) { log(`LOCK_RELEASE_FAIL name=${name} err=${e.message}`); }
+    syncHeartbeat();
+  }
+
+  async function withLock(name, fn) {
+    acquire(name);
+    try { return await fn(); } finally { release(name); }
+  }
+
+  /**
+   * A Set-like view over locks so existing `has`/`add`/`delete` call sites (activeScans) also
+   * see and take locks held by other processes. `add` throws `ELOCKED` when another process won.
+   */
+  function lockSet() {
+    const local = new Set();
+    return {
+      has: (key) => local.has(key) || !!holder(key),
+      add(key) {
+        if (!local.has(key)) { acquire(key); local.add(key); }
+        return this;
+      },
+      delete(key) {
+        if (!local.delete(key)) return false;
+        release(key);
+        return true;
+      },
+      get size() { return local.size; },
+      [Symbol.iterator]: () => local.values()
+    };
+  }
+
+  function list() {
+    if (!db) return [...depth.keys()].map(name => ({ name, owner }));
+    return db.listLocks().map(row => ({ ...row, mine: row.owner === owner, stale: row.owner !== owner && isStale(row) }));
+  }
+
+  // Locks die with the process; clearing them on exit lets the next run start without waiting
+  function releaseAll() {
+    depth.clear();
+    syncHeartbeat();
+    try { if (db) db.releaseLocksOf(owner); } catch (e) {}
+  }
+
+  return { owner, holder, acquire, release, withLock, lockSet, list, releaseAll };
+};
+
+module.exports.HEARTBEAT_MS = HEARTBEAT_MS;
+module.exports.STALE_MS = STALE_MS;
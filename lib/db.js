@@ -1,9 +1,16 @@
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
 let Database = null;
 try { Database = require('better-sqlite3'); } catch (e) { Database = null }
 
 let db = null;
+// Tags enrichment rows this process writes so other processes sharing the database can reload them
+const writerId = `${os.hostname()}:${process.pid}:${Date.now().toString(36)}`;
+const ENRICHMENT_CHANGE_KEEP_MS = 24 * 60 * 60 * 1000;
+let anidbTitlesFts = false;
+let searchFts = false;
+const SEARCH_TEXT_COLUMNS = ['basename', 'title', 'alt_titles', 'episode_title', 'ids', 'path'];
 
 function init(dbPath) {
   if (!Database) throw new Error('better-sqlite3 not installed');
@@ -54,6 +61,9 @@ function init(dbPath) {
     );
     CREATE INDEX IF NOT EXISTS idx_ed2k_hash ON ed2k_hashes(ed2k_hash);
   `);
+  // CRC32 is taken in the same read as the ED2K hash; rows hashed before that have none
+  const ed2kCols = db.prepare('PRAGMA table_info(ed2k_hashes)').all().map(c => c.name);
+  if (!ed2kCols.includes('crc32')) db.exec('ALTER TABLE ed2k_hashes ADD COLUMN crc32 TEXT');
   // Action history for undo functionality
   db.exec(`
     CREATE TABLE IF NOT EXISTS action_history (
@@ -67,25 +77,223 @@ function init(dbPath) {
     );
     CREATE INDEX IF NOT EXISTS idx_action_history_time ON action_history(timestamp DESC);
   `);
+  // Older databases predate batch ids on history rows
+  const historyCols = db.prepare('PRAGMA table_info(action_history)').all().map(c => c.name);
+  if (!historyCols.includes('batch_id')) db.exec('ALTER TABLE action_history ADD COLUMN batch_id TEXT');
+  // JSON snapshot of whatever an action changed, for actions that cannot be undone from the paths alone
+  if (!historyCols.includes('details')) db.exec('ALTER TABLE action_history ADD COLUMN details TEXT');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_action_history_batch ON action_history(batch_id)');
+  // Rename batch journal - written before any file is touched so interrupted applies can be recovered
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS rename_batches (
+      id TEXT PRIMARY KEY,
+      username TEXT,
+      job_id TEXT,
+      mode TEXT NOT NULL,
+      status TEXT NOT NULL,
+      item_count INTEGER,
+      created_at INTEGER NOT NULL,
+      completed_at INTEGER,
+      error TEXT
+    );
+    CREATE TABLE IF NOT EXISTS rename_batch_items (
+      batch_id TEXT NOT NULL,
+      idx INTEGER NOT NULL,
+      item_id TEXT,
+      from_path TEXT NOT NULL,
+      to_path TEXT NOT NULL,
+      op TEXT NOT NULL,
+      status TEXT NOT NULL,
+      created_dirs TEXT,
+      target_stat TEXT,
+      error TEXT,
+      PRIMARY KEY(batch_id, idx)
+    );
+    CREATE INDEX IF NOT EXISTS idx_rename_batches_status ON rename_batches(status);
+  `);
+  const batchCols = db.prepare('PRAGMA table_info(rename_batches)').all().map(c => c.name);
+  if (!batchCols.includes('action_type')) db.exec('ALTER TABLE rename_batches ADD COLUMN action_type TEXT');
+  const batchItemCols = db.prepare('PRAGMA table_info(rename_batch_items)').all().map(c => c.name);
+  if (!batchItemCols.includes('target_stat')) db.exec('ALTER TABLE rename_batch_items ADD COLUMN target_stat TEXT');
+  // Outgoing webhook delivery log
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id TEXT PRIMARY KEY,
+      webhook_id TEXT,
+      event TEXT NOT NULL,
+      status TEXT NOT NULL,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      response_status INTEGER,
+      error TEXT,
+      payload TEXT,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER
+    );
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_created ON webhook_deliveries(created_at DESC);
+  `);
+  // Persistent background job queue
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS jobs (
+      id TEXT PRIMARY KEY,
+      type TEXT NOT NULL,
+      status TEXT NOT NULL,
+      username TEXT,
+      schedule_id TEXT,
+      payload TEXT,
+      state TEXT,
+      error TEXT,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 1,
+      run_after INTEGER,
+      total_items INTEGER NOT NULL DEFAULT 0,
+      processed_items INTEGER NOT NULL DEFAULT 0,
+      created_at INTEGER NOT NULL,
+      started_at INTEGER,
+      completed_at INTEGER
+    );
+    CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status, created_at);
+  `);
+  // Named locks shared by every process using this data directory (see lib/data-lock.js)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS locks (
+      name TEXT PRIMARY KEY,
+      owner TEXT NOT NULL,
+      pid INTEGER,
+      host TEXT,
+      acquired_at INTEGER NOT NULL,
+      heartbeat_at INTEGER NOT NULL
+    );
+  `);
+  // Which process saved which enrichment row, so the server can reload rows the CLI wrote
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS enrichment_changes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      canonical_path TEXT NOT NULL,
+      writer TEXT NOT NULL,
+      changed_at INTEGER NOT NULL
+    );
+  `);
+  // Per-user API tokens; only the SHA-256 of each token is kept (see lib/api-tokens.js)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS api_tokens (
+      id TEXT PRIMARY KEY,
+      username TEXT NOT NULL,
+      label TEXT,
+      token_hash TEXT NOT NULL UNIQUE,
+      prefix TEXT NOT NULL,
+      scopes TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      expires_at INTEGER,
+      last_used_at INTEGER,
+      revoked_at INTEGER
+    );
+    CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens(username);
+  `);
+  // Who changed what and when (see lib/audit.js)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      at INTEGER NOT NULL,
+      username TEXT,
+      via TEXT NOT NULL,
+      action TEXT NOT NULL,
+      target TEXT,
+      details TEXT,
+      ip TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_audit_log_at ON audit_log(at DESC);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_user ON audit_log(username, at DESC);
+  `);
+  // Local copy of the AniDB anime-titles dump (see lib/anidb-titles.js)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS anidb_titles (
+      id INTEGER PRIMARY KEY,
+      aid INTEGER NOT NULL,
+      title TEXT NOT NULL,
+      lang TEXT,
+      type TEXT,
+      comparable TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_anidb_titles_comparable ON anidb_titles(comparable);
+    CREATE INDEX IF NOT EXISTS idx_anidb_titles_aid ON anidb_titles(aid);
+  `);
+  // Trigram full-text index over the comparable titles; SQLite builds without FTS5 fall back to LIKE
+  try {
+    db.exec("CREATE VIRTUAL TABLE IF NOT EXISTS anidb_titles_fts USING fts5(comparable, content='anidb_titles', content_rowid='id', tokenize='trigram')");
+    anidbTitlesFts = true;
+  } catch (e) {
+    anidbTitlesFts = false;
+  }
+  // Search documents, one per file (see lib/search-index.js)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS search_docs (
+      id INTEGER PRIMARY KEY,
+      path TEXT NOT NULL UNIQUE,
+      basename TEXT,
+      title TEXT,
+      alt_titles TEXT,
+      episode_title TEXT,
+      ids TEXT,
+      provider TEXT,
+      season INTEGER,
+      episode INTEGER,
+      year INTEGER,
+      matched INTEGER NOT NULL DEFAULT 0,
+      updated_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_search_docs_provider ON search_docs(provider, season, episode);
+  `);
+  // Kept in step with search_docs by triggers; without FTS5 search falls back to substring matching
+  try {
+    db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS search_fts USING fts5(${SEARCH_TEXT_COLUMNS.join(', ')}, content='search_docs', content_rowid='id', tokenize='unicode61 remove_diacritics 2');
+      CREATE TRIGGER IF NOT EXISTS search_docs_ai AFTER INSERT ON search_docs BEGIN
+        INSERT INTO search_fts(rowid, ${SEARCH_TEXT_COLUMNS.join(', ')}) VALUES (new.id, ${SEARCH_TEXT_COLUMNS.map(c => `new.${c}`).join(', ')});
+      END;
+      CREATE TRIGGER IF NOT EXISTS search_docs_ad AFTER DELETE ON search_docs BEGIN
+        INSERT INTO search_fts(search_fts, rowid, ${SEARCH_TEXT_COLUMNS.join(', ')}) VALUES ('delete', old.id, ${SEARCH_TEXT_COLUMNS.map(c => `old.${c}`).join(', ')});
+      END;
+      CREATE TRIGGER IF NOT EXISTS search_docs_au AFTER UPDATE ON search_docs BEGIN
+        INSERT INTO search_fts(search_fts, rowid, ${SEARCH_TEXT_COLUMNS.join(', ')}) VALUES ('delete', old.id, ${SEARCH_TEXT_COLUMNS.map(c => `old.${c}`).join(', ')});
+        INSERT INTO search_fts(rowid, ${SEARCH_TEXT_COLUMNS.join(', ')}) VALUES (new.id, ${SEARCH_TEXT_COLUMNS.map(c => `new.${c}`).join(', ')});
+      END;
+    `);
+    searchFts = true;
+  } catch (e) {
+    searchFts = false;
+  }
+}
+
+function scanFromRow(r) {
+  const items = [];
+  const itemsRows = db.prepare('SELECT idx, item FROM scan_items WHERE scan_id = ? ORDER BY idx ASC').all(r.id);
+  for (const ir of itemsRows) {
+    try { items.push(JSON.parse(ir.item)); } catch (e) { items.push(null); }
+  }
+  let meta = {};
+  try { meta = r.meta ? JSON.parse(r.meta) : {}; } catch (e) { meta = {}; }
+  return { id: r.id, libraryId: r.libraryId, totalCount: r.totalCount, generatedAt: r.generatedAt, items, meta };
 }
 
 function loadScansObject() {
   if (!db) return {};
   const out = {};
   const rows = db.prepare('SELECT id, libraryId, totalCount, generatedAt, meta FROM scans').all();
-  for (const r of rows) {
-    const items = [];
-    const itemsRows = db.prepare('SELECT idx, item FROM scan_items WHERE scan_id = ? ORDER BY idx ASC').all(r.id);
-    for (const ir of itemsRows) {
-      try { items.push(JSON.parse(ir.item)); } catch (e) { items.push(null); }
-    }
-    let meta = {};
-    try { meta = r.meta ? JSON.parse(r.meta) : {}; } catch (e) { meta = {}; }
-    out[r.id] = { id: r.id, libraryId: r.libraryId, totalCount: r.totalCount, generatedAt: r.generatedAt, items, meta };
-  }
+  for (const r of rows) out[r.id] = scanFromRow(r);
   return out;
 }
 
+function loadScan(id) {
+  if (!db) return null;
+  const r = db.prepare('SELECT id, libraryId, totalCount, generatedAt, meta FROM scans WHERE id = ?').get(id);
+  return r ? scanFromRow(r) : null;
+}
+
+function listScanHeaders() {
+  if (!db) return [];
+  return db.prepare('SELECT id, generatedAt FROM scans').all();
+}
+
 function saveScansObject(scansObj) {
   if (!db) return;
   const existingIds = db.prepare('SELECT id FROM scans').all().map(r => r.id);
@@ -181,10 +389,19 @@ function getEd2kHash(filePath, fileSize) {
   return row.ed2k_hash;
 }
 
-function setEd2kHash(filePath, ed2kHash, fileSize) {
+function setEd2kHash(filePath, ed2kHash, fileSize, crc32 = null) {
   if (!db) return;
-  const stmt = db.prepare('INSERT OR REPLACE INTO ed2k_hashes (file_path, ed2k_hash, file_size, computed_at) VALUES (?, ?, ?, ?)');
-  stmt.run(filePath, ed2kHash, fileSize, Date.now());
+  const stmt = db.prepare('INSERT OR REPLACE INTO ed2k_hashes (file_path, ed2k_hash, file_size, computed_at, crc32) VALUES (?, ?, ?, ?, ?)');
+  stmt.run(filePath, ed2kHash, fileSize, Date.now(), crc32 || null);
+}
+
+// Both hashes of a file, or null when it was never hashed or its size changed since
+function getFileHashes(filePath, fileSize) {
+  if (!db) return null;
+  const row = db.prepare('SELECT ed2k_hash, crc32, file_size, computed_at FROM ed2k_hashes WHERE file_path = ?').get(filePath);
+  if (!row) return null;
+  if (fileSize != null && row.file_size !== fileSize) return null;
+  return { ed2k: row.ed2k_hash, crc32: row.crc32 || null, fileSize: row.file_size, computedAt: row.computed_at };
 }
 
 function deleteEd2kHash(filePath) {
@@ -210,36 +427,89 @@ function loadEnrichCache() {
 function saveEnrichCacheBatch(batchObj) {
   if (!db || !batchObj) return;
   const insert = db.prepare('INSERT OR REPLACE INTO enrichments (canonical_path, hidden, applied, data) VALUES (?, ?, ?, ?)');
+  const remove = db.prepare('DELETE FROM enrichments WHERE canonical_path = ?');
+  const change = db.prepare('INSERT INTO enrichment_changes (canonical_path, writer, changed_at) VALUES (?, ?, ?)');
   const txn = db.transaction((batch) => {
+    const now = Date.now();
     for (const key of Object.keys(batch)) {
        const v = batch[key];
-       const hidden = v.hidden ? 1 : 0;
-       const applied = v.applied ? 1 : 0;
-       insert.run(key, hidden, applied, JSON.stringify(v, (_, x) => typeof x === 'bigint' ? String(x) : x));
+       if (v) {
+         const hidden = v.hidden ? 1 : 0;
+         const applied = v.applied ? 1 : 0;
+         insert.run(key, hidden, applied, JSON.stringify(v, (_, x) => typeof x === 'bigint' ? String(x) : x));
+       } else {
+         remove.run(key);
+       }
+       change.run(key, writerId, now);
     }
+    db.prepare('DELETE FROM enrichment_changes WHERE changed_at < ?').run(now - ENRICHMENT_CHANGE_KEEP_MS);
   });
   txn(batchObj);
 }
 
+/**
+ * Enrichment rows other processes saved after change `sinceId`.
+ * @returns {{ lastId: number, paths: string[] }} lastId also covers this process's own changes
+ */
+function getEnrichmentChangesSince(sinceId) {
+  if (!db) return { lastId: sinceId || 0, paths: [] };
+  const rows = db.prepare('SELECT id, canonical_path, writer FROM enrichment_changes WHERE id > ? ORDER BY id ASC').all(sinceId || 0);
+  const paths = new Set();
+  for (const r of rows) if (r.writer !== writerId) paths.add(r.canonical_path);
+  return { lastId: rows.length ? rows[rows.length - 1].id : (sinceId || 0), paths: [...paths] };
+}
+
+function getLatestEnrichmentChangeId() {
+  if (!db) return 0;
+  const row = db.prepare('SELECT MAX(id) AS id FROM enrichment_changes').get();
+  return (row && row.id) || 0;
+}
+
+// Current rows for the given paths; paths without a row are left out
+function loadEnrichments(paths) {
+  if (!db) return {};
+  const out = {};
+  const stmt = db.prepare('SELECT hidden, applied, data FROM enrichments WHERE canonical_path = ?');
+  for (const p of paths || []) {
+    const r = stmt.get(p);
+    if (!r) continue;
+    try {
+      const obj = JSON.parse(r.data);
+      obj.hidden = r.hidden === 1;
+      obj.applied = r.applied === 1;
+      out[p] = obj;
+    } catch (e) {}
+  }
+  return out;
+}
+
 function logAction(action) {
   if (!db) return null;
   const stmt = db.prepare(`
-    INSERT INTO action_history (job_id, action_type, original_path, resolved_path, timestamp, status)
-    VALUES (?, ?, ?, ?, ?, ?)
+    INSERT INTO action_history (job_id, batch_id, action_type, original_path, resolved_path, timestamp, status, details)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
   `);
   const result = stmt.run(
     action.job_id || null,
+    action.batch_id || null,
     action.action_type || 'approve',
     action.original_path,
     action.resolved_path,
     action.timestamp || Date.now(),
-    action.status || 'applied'
+    action.status || 'applied',
+    action.details != null ? JSON.stringify(action.details) : null
   );
   return result.lastInsertRowid;
 }
 
-function getHistory(limit = 100) {
+function getHistory(limit = 100, { actionType = null, actionTypePrefix = null } = {}) {
   if (!db) return [];
+  if (actionType) {
+    return db.prepare(`SELECT * FROM action_history WHERE action_type = ? ORDER BY timestamp DESC LIMIT ?`).all(actionType, limit);
+  }
+  if (actionTypePrefix) {
+    return db.prepare(`SELECT * FROM action_history WHERE substr(action_type, 1, ?) = ? ORDER BY timestamp DESC, id DESC LIMIT ?`).all(actionTypePrefix.length, actionTypePrefix, limit);
+  }
   const stmt = db.prepare(`
     SELECT * FROM action_history ORDER BY timestamp DESC LIMIT ?
   `);
@@ -258,9 +528,415 @@ function updateActionStatus(id, status) {
   stmt.run(status, id);
 }
 
+function getActionsByBatch(batchId) {
+  if (!db) return [];
+  return db.prepare(`SELECT * FROM action_history WHERE batch_id = ? ORDER BY id ASC`).all(batchId);
+}
+
+/**
+ * Journal a rename batch and its items in one transaction.
+ * @param {Object} batch - { id, username, job_id, action_type, mode, items: [{ idx, item_id, from_path, to_path, op }] }
+ */
+function createRenameBatch(batch) {
+  if (!db) return;
+  const insertBatch = db.prepare(`
+    INSERT INTO rename_batches (id, username, job_id, action_type, mode, status, item_count, created_at)
+    VALUES (?, ?, ?, ?, ?, 'pending', ?, ?)
+  `);
+  const insertItem = db.prepare(`
+    INSERT INTO rename_batch_items (batch_id, idx, item_id, from_path, to_path, op, status)
+    VALUES (?, ?, ?, ?, ?, ?, 'pending')
+  `);
+  const tx = db.transaction((b) => {
+    const items = Array.isArray(b.items) ? b.items : [];
+    insertBatch.run(b.id, b.username || null, b.job_id || null, b.action_type || null, b.mode || 'best-effort', items.length, Date.now());
+    for (const it of items) {
+      insertItem.run(b.id, it.idx, it.item_id != null ? String(it.item_id) : null, it.from_path, it.to_path, it.op || 'hardlink');
+    }
+  });
+  tx(batch);
+}
+
+function updateRenameBatchItem(batchId, idx, fields) {
+  if (!db) return;
+  const cols = ['status', 'created_dirs', 'target_stat', 'error', 'op', 'to_path'].filter(k => fields && fields[k] !== undefined);
+  if (!cols.length) return;
+  const sql = `UPDATE rename_batch_items SET ${cols.map(c => `${c} = ?`).join(', ')} WHERE batch_id = ? AND idx = ?`;
+  db.prepare(sql).run(...cols.map(c => fields[c]), batchId, idx);
+}
+
+function setRenameBatchStatus(batchId, status, error) {
+  if (!db) return;
+  const done = status === 'pending' ? null : Date.now();
+  db.prepare(`UPDATE rename_batches SET status = ?, completed_at = ?, error = ? WHERE id = ?`).run(status, done, error || null, batchId);
+}
+
+function getRenameBatch(batchId) {
+  if (!db) return null;
+  const batch = db.prepare(`SELECT * FROM rename_batches WHERE id = ?`).get(batchId);
+  if (!batch) return null;
+  batch.items = db.prepare(`SELECT * FROM rename_batch_items WHERE batch_id = ? ORDER BY idx ASC`).all(batchId);
+  return batch;
+}
+
+function getIncompleteRenameBatches() {
+  if (!db) return [];
+  return db.prepare(`SELECT id FROM rename_batches WHERE status = 'pending' ORDER BY created_at ASC`).all().map(r => getRenameBatch(r.id)).filter(Boolean);
+}
+
+function getRenameBatches(limit = 50) {
+  if (!db) return [];
+  return db.prepare(`SELECT * FROM rename_batches ORDER BY created_at DESC LIMIT ?`).all(limit);
+}
+
+const WEBHOOK_DELIVERY_KEEP = 2000;
+
+function upsertWebhookDelivery(d) {
+  if (!db) return;
+  const existing = db.prepare(`SELECT id FROM webhook_deliveries WHERE id = ?`).get(d.id);
+  if (existing) {
+    db.prepare(`
+      UPDATE webhook_deliveries SET status = ?, attempts = ?, response_status = ?, error = ?, updated_at = ? WHERE id = ?
+    `).run(d.status, d.attempts || 0, d.response_status == null ? null : d.response_status, d.error || null, d.updated_at || Date.now(), d.id);
+    return;
+  }
+  db.prepare(`
+    INSERT INTO webhook_deliveries (id, webhook_id, event, status, attempts, response_status, error, payload, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(d.id, d.webhook_id || null, d.event, d.status, d.attempts || 0, d.response_status == null ? null : d.response_status, d.error || null, d.payload || null, d.created_at || Date.now(), d.updated_at || null);
+  // Keep the log bounded
+  db.prepare(`
+    DELETE FROM webhook_deliveries WHERE id IN (
+      SELECT id FROM webhook_deliveries ORDER BY created_at DESC LIMIT -1 OFFSET ?
+    )
+  `).run(WEBHOOK_DELIVERY_KEEP);
+}
+
+function getWebhookDeliveries({ webhookId = null, limit = 100 } = {}) {
+  if (!db) return [];
+  if (webhookId) {
+    return db.prepare(`SELECT * FROM webhook_deliveries WHERE webhook_id = ? ORDER BY created_at DESC LIMIT ?`).all(webhookId, limit);
+  }
+  return db.prepare(`SELECT * FROM webhook_deliveries ORDER BY created_at DESC LIMIT ?`).all(limit);
+}
+
+function insertApiToken(row) {
+  if (!db) throw new Error('database unavailable');
+  db.prepare(`
+    INSERT INTO api_tokens (id, username, label, token_hash, prefix, scopes, created_at, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(row.id, row.username, row.label || null, row.token_hash, row.prefix, row.scopes, row.created_at, row.expires_at == null ? null : row.expires_at);
+}
+
+function getApiTokenByHash(tokenHash) {
+  if (!db) return null;
+  return db.prepare(`SELECT * FROM api_tokens WHERE token_hash = ?`).get(tokenHash) || null;
+}
+
+function getApiToken(id) {
+  if (!db) return null;
+  return db.prepare(`SELECT * FROM api_tokens WHERE id = ?`).get(id) || null;
+}
+
+function listApiTokens(username = null) {
+  if (!db) return [];
+  if (username) return db.prepare(`SELECT * FROM api_tokens WHERE username = ? ORDER BY created_at DESC`).all(username);
+  return db.prepare(`SELECT * FROM api_tokens ORDER BY created_at DESC`).all();
+}
+
+function touchApiToken(id, usedAt) {
+  if (!db) return;
+  db.prepare(`UPDATE api_tokens SET last_used_at = ? WHERE id = ?`).run(usedAt, id);
+}
+
+/**
+ * Revoke one token, or every live token of `username` when `id` is null.
+ * @returns {number} tokens revoked
+ */
+function revokeApiTokens({ id = null, username = null, revokedAt = Date.now() } = {}) {
+  if (!db) return 0;
+  if (id) return db.prepare(`UPDATE api_tokens SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL`).run(revokedAt, id).changes;
+  return db.prepare(`UPDATE api_tokens SET revoked_at = ? WHERE username = ? AND revoked_at IS NULL`).run(revokedAt, username).changes;
+}
+
+function insertAuditEntry(row) {
+  if (!db) return null;
+  return db.prepare(`
+    INSERT INTO audit_log (at, username, via, action, target, details, ip) VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(row.at, row.username || null, row.via, row.action, row.target || null, row.details || null, row.ip || null).lastInsertRowid;
+}
+
+/**
+ * Audit entries newest first. `action` ending in "." matches every action with that prefix;
+ * `q` searches target and details.
+ * @returns {{ rows: Object[], total: number }}
+ */
+function queryAuditEntries({ username = null, action = null, since = null, until = null, q = null, limit = 100, offset = 0 } = {}) {
+  if (!db) return { rows: [], total: 0 };
+  const where = [];
+  const args = [];
+  if (username) { where.push('username = ?'); args.push(username); }
+  if (action && action.endsWith('.')) { where.push('action LIKE ?'); args.push(`${action.replace(/[%_]/g, '')}%`); }
+  else if (action) { where.push('action = ?'); args.push(action); }
+  if (since) { where.push('at >= ?'); args.push(since); }
+  if (until) { where.push('at <= ?'); args.push(until); }
+  if (q) { where.push('(target LIKE ? OR details LIKE ?)'); args.push(`%${q}%`, `%${q}%`); }
+  const clause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  const total = db.prepare(`SELECT COUNT(*) AS n FROM audit_log ${clause}`).get(...args).n;
+  const rows = db.prepare(`SELECT * FROM audit_log ${clause} ORDER BY at DESC, id DESC LIMIT ? OFFSET ?`).all(...args, limit, offset);
+  return { rows, total };
+}
+
+function listAuditFacets() {
+  if (!db) return { actions: [], usernames: [] };
+  return {
+    actions: db.prepare(`SELECT DISTINCT action FROM audit_log ORDER BY action`).all().map(r => r.action),
+    usernames: db.prepare(`SELECT DISTINCT username FROM audit_log WHERE username IS NOT NULL ORDER BY username`).all().map(r => r.username)
+  };
+}
+
+function deleteAuditEntriesBefore(ts) {
+  if (!db) return 0;
+  return db.prepare(`DELETE FROM audit_log WHERE at < ?`).run(ts).changes;
+}
+
+const JOB_HISTORY_KEEP = 1000;
+const JOB_COLUMNS = ['id', 'type', 'status', 'username', 'schedule_id', 'payload', 'state', 'error', 'attempts', 'max_attempts', 'run_after', 'total_items', 'processed_items', 'created_at', 'started_at', 'completed_at'];
+
+/**
+ * Insert or replace a job row. Finished rows beyond JOB_HISTORY_KEEP are pruned.
+ * @param {Object} row - keys from JOB_COLUMNS; payload/state are JSON strings
+ */
+function upsertJob(row) {
+  if (!db) return;
+  db.prepare(`
+    INSERT OR REPLACE INTO jobs (${JOB_COLUMNS.join(', ')})
+    VALUES (${JOB_COLUMNS.map(() => '?').join(', ')})
+  `).run(...JOB_COLUMNS.map(c => (row[c] === undefined ? null : row[c])));
+  if (row.completed_at) {
+    db.prepare(`
+      DELETE FROM jobs WHERE id IN (
+        SELECT id FROM jobs WHERE completed_at IS NOT NULL ORDER BY completed_at DESC LIMIT -1 OFFSET ?
+      )
+    `).run(JOB_HISTORY_KEEP);
+  }
+}
+
+function getJob(id) {
+  if (!db) return null;
+  return db.prepare(`SELECT * FROM jobs WHERE id = ?`).get(id) || null;
+}
+
+function listJobs({ statuses = null, limit = 100 } = {}) {
+  if (!db) return [];
+  if (Array.isArray(statuses) && statuses.length) {
+    return db.prepare(`SELECT * FROM jobs WHERE status IN (${statuses.map(() => '?').join(', ')}) ORDER BY created_at DESC LIMIT ?`).all(...statuses, limit);
+  }
+  return db.prepare(`SELECT * FROM jobs ORDER BY created_at DESC LIMIT ?`).all(limit);
+}
+
+/**
+ * Take lock `name` for `owner` unless another owner holds it. `isStale(row)` decides whether a
+ * foreign holder may be replaced. Runs as an immediate transaction so two processes cannot both win.
+ * @returns {{ acquired: boolean, holder: Object|null }}
+ */
+function acquireLock({ name, owner, pid, host, isStale }) {
+  if (!db) return { acquired: true, holder: null };
+  const txn = db.transaction(() => {
+    const now = Date.now();
+    const row = db.prepare('SELECT * FROM locks WHERE name = ?').get(name);
+    if (row && row.owner !== owner && !(typeof isStale === 'function' && isStale(row, now))) return { acquired: false, holder: row };
+    const acquiredAt = row && row.owner === owner ? row.acquired_at : now;
+    db.prepare('INSERT OR REPLACE INTO locks (name, owner, pid, host, acquired_at, heartbeat_at) VALUES (?, ?, ?, ?, ?, ?)')
+      .run(name, owner, pid || null, host || null, acquiredAt, now);
+    return { acquired: true, holder: null };
+  });
+  return txn.immediate();
+}
+
+function releaseLock(name, owner) {
+  if (!db) return;
+  db.prepare('DELETE FROM locks WHERE name = ? AND owner = ?').run(name, owner);
+}
+
+function releaseLocksOf(owner) {
+  if (!db) return;
+  db.prepare('DELETE FROM locks WHERE owner = ?').run(owner);
+}
+
+function heartbeatLocks(owner) {
+  if (!db) return;
+  db.prepare('UPDATE locks SET heartbeat_at = ? WHERE owner = ?').run(Date.now(), owner);
+}
+
+function getLock(name) {
+  if (!db) return null;
+  return db.prepare('SELECT * FROM locks WHERE name = ?').get(name) || null;
+}
+
+function listLocks() {
+  if (!db) return [];
+  return db.prepare('SELECT * FROM locks ORDER BY acquired_at ASC').all();
+}
+
+/**
+ * Replace the stored AniDB titles with `rows` ({ aid, title, lang, type, comparable }) in one transaction.
+ */
+function replaceAnidbTitles(rows, fetchedAt = Date.now()) {
+  if (!db) return 0;
+  const insert = db.prepare('INSERT INTO anidb_titles (aid, title, lang, type, comparable) VALUES (?, ?, ?, ?, ?)');
+  const txn = db.transaction(() => {
+    db.prepare('DELETE FROM anidb_titles').run();
+    for (const r of rows) insert.run(r.aid, r.title, r.lang || null, r.type || null, r.comparable);
+    if (anidbTitlesFts) db.prepare("INSERT INTO anidb_titles_fts(anidb_titles_fts) VALUES('rebuild')").run();
+    db.prepare('INSERT OR REPLACE INTO kv (k, v) VALUES (?, ?)').run('anidbTitlesFetchedAt', JSON.stringify(fetchedAt));
+  });
+  txn();
+  return rows.length;
+}
+
+function getAnidbTitlesInfo() {
+  if (!db) return { titles: 0, anime: 0, fetchedAt: null, fts: false };
+  const row = db.prepare('SELECT COUNT(*) AS titles, COUNT(DISTINCT aid) AS anime FROM anidb_titles').get();
+  return { titles: row.titles, anime: row.anime, fetchedAt: getKV('anidbTitlesFetchedAt'), fts: anidbTitlesFts };
+}
+
+function findAnidbTitlesByComparable(comparable) {
+  if (!db) return [];
+  return db.prepare('SELECT aid, title, lang, type, comparable FROM anidb_titles WHERE comparable = ?').all(comparable);
+}
+
+/**
+ * Titles sharing the most of `grams` (three-character substrings of a comparable title), best first.
+ */
+function searchAnidbTitles(grams, limit = 200) {
+  if (!db || !grams || !grams.length) return [];
+  if (anidbTitlesFts) {
+    const match = grams.map(g => `"${String(g).replace(/"/g, '""')}"`).join(' OR ');
+    return db.prepare(`
+      SELECT t.aid, t.title, t.lang, t.type, t.comparable
+      FROM anidb_titles_fts f JOIN anidb_titles t ON t.id = f.rowid
+      WHERE anidb_titles_fts MATCH ?
+      ORDER BY f.rank
+      LIMIT ?
+    `).all(match, limit);
+  }
+  const some = grams.slice(0, 8);
+  const where = some.map(() => "comparable LIKE ? ESCAPE '\\'").join(' OR ');
+  const params = some.map(g => `%${String(g).replace(/[\\%_]/g, c => `\\${c}`)}%`);
+  return db.prepare(`SELECT aid, title, lang, type, comparable FROM anidb_titles WHERE ${where} LIMIT ?`).all(...params, limit);
+}
+
+function getAnidbTitlesForAids(aids) {
+  if (!db || !aids || !aids.length) return [];
+  return db.prepare(`SELECT aid, title, lang, type FROM anidb_titles WHERE aid IN (${aids.map(() => '?').join(',')})`).all(...aids);
+}
+
+function isSearchFtsAvailable() {
+  return !!db && searchFts;
+}
+
+/**
+ * Insert or update search documents ({ path, basename, title, altTitles, episodeTitle, ids,
+ * provider, season, episode, year, matched }) in one transaction.
+ */
+function upsertSearchDocs(docs) {
+  if (!db || !docs || !docs.length) return 0;
+  const upsert = db.prepare(`
+    INSERT INTO search_docs (path, basename, title, alt_titles, episode_title, ids, provider, season, episode, year, matched, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(path) DO UPDATE SET
+      basename = excluded.basename, title = excluded.title, alt_titles = excluded.alt_titles,
+      episode_title = excluded.episode_title, ids = excluded.ids, provider = excluded.provider,
+      season = excluded.season, episode = excluded.episode, year = excluded.year,
+      matched = excluded.matched, updated_at = excluded.updated_at
+  `);
+  const txn = db.transaction((rows) => {
+    const now = Date.now();
+    for (const d of rows) {
+      upsert.run(d.path, d.basename || null, d.title || null, d.altTitles || null, d.episodeTitle || null, d.ids || null,
+        d.provider || null, d.season == null ? null : d.season, d.episode == null ? null : d.episode, d.year == null ? null : d.year,
+        d.matched ? 1 : 0, now);
+    }
+  });
+  txn(docs);
+  return docs.length;
+}
+
+function deleteSearchDocs(paths) {
+  if (!db || !paths || !paths.length) return 0;
+  const remove = db.prepare('DELETE FROM search_docs WHERE path = ?');
+  let removed = 0;
+  db.transaction(() => { for (const p of paths) removed += remove.run(p).changes; })();
+  return removed;
+}
+
+function clearSearchDocs() {
+  if (!db) return;
+  db.prepare('DELETE FROM search_docs').run();
+}
+
+function listSearchDocPaths() {
+  if (!db) return [];
+  return db.prepare('SELECT path FROM search_docs').pluck().all();
+}
+
+/**
+ * Paths of documents matching an FTS5 expression and column filters, best match first
+ * (or by path when there is no expression).
+ * @param {Object} opts
+ * @param {string|null} opts.match - FTS5 MATCH expression
+ * @param {Object} [opts.filters] - provider, season, episode, year, matched
+ * @param {number[]} [opts.weights] - bm25 weight per text column
+ * @returns {Array<{ path: string, score: number|null }>}
+ */
+function searchDocs({ match = null, filters = {}, weights = null } = {}) {
+  if (!db) return [];
+  const where = [];
+  const args = [];
+  if (filters.provider) { where.push('d.provider = ?'); args.push(filters.provider); }
+  for (const col of ['season', 'episode', 'year']) {
+    if (filters[col] !== undefined && filters[col] !== null) { where.push(`d.${col} = ?`); args.push(filters[col]); }
+  }
+  if (typeof filters.matched === 'boolean') { where.push('d.matched = ?'); args.push(filters.matched ? 1 : 0); }
+  if (!match) {
+    const clause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+    return db.prepare(`SELECT d.path, NULL AS score FROM search_docs d ${clause} ORDER BY d.path`).all(...args);
+  }
+  const rank = weights && weights.length ? `bm25(search_fts, ${weights.map(w => Number(w) || 0).join(', ')})` : 'f.rank';
+  return db.prepare(`
+    SELECT d.path, ${rank} AS score
+    FROM search_fts f JOIN search_docs d ON d.id = f.rowid
+    WHERE search_fts MATCH ?${where.length ? ` AND ${where.join(' AND ')}` : ''}
+    ORDER BY score, d.path
+  `).all(match, ...args);
+}
+
+/**
+ * Text columns of `paths` with the terms of `match` wrapped in `open`/`close`.
+ * @returns {Object<string, Object>} by path; keys are SEARCH_TEXT_COLUMNS
+ */
+function highlightSearchDocs(match, paths, open, close) {
+  if (!db || !searchFts || !match || !paths || !paths.length) return {};
+  const cols = SEARCH_TEXT_COLUMNS.map((c, i) => `highlight(search_fts, ${i}, @open, @close) AS ${c}`).join(', ');
+  const stmt = db.prepare(`
+    SELECT ${cols}
+    FROM search_fts f JOIN search_docs d ON d.id = f.rowid
+    WHERE search_fts MATCH @match AND d.path = @path
+  `);
+  const out = {};
+  for (const p of paths) {
+    const row = stmt.get({ match, path: p, open, close });
+    if (row) out[p] = row;
+  }
+  return out;
+}
+
 module.exports = { 
   init, 
   loadScansObject, 
+  loadScan,
+  listScanHeaders,
   saveScansObject, 
   upsertScan, 
   deleteScansNotIn, 
@@ -271,11 +947,55 @@ module.exports = {
   setHideEvents,
   getEd2kHash,
   setEd2kHash,
+  getFileHashes,
   deleteEd2kHash,
   loadEnrichCache,
   saveEnrichCacheBatch,
+  getEnrichmentChangesSince,
+  getLatestEnrichmentChangeId,
+  loadEnrichments,
   logAction,
   getHistory,
   getActionById,
-  updateActionStatus
+  updateActionStatus,
+  getActionsByBatch,
+  createRenameBatch,
+  updateRenameBatchItem,
+  setRenameBatchStatus,
+  getRenameBatch,
+  getIncompleteRenameBatches,
+  getRenameBatches,
+  upsertWebhookDelivery,
+  getWebhookDeliveries,
+  insertApiToken,
+  getApiTokenByHash,
+  getApiToken,
+  listApiTokens,
+  touchApiToken,
+  revokeApiTokens,
+  insertAuditEntry,
+  queryAuditEntries,
+  listAuditFacets,
+  deleteAuditEntriesBefore,
+  upsertJob,
+  getJob,
+  listJobs,
+  acquireLock,
+  releaseLock,
+  releaseLocksOf,
+  heartbeatLocks,
+  getLock,
+  listLocks,
+  replaceAnidbTitles,
+  getAnidbTitlesInfo,
+  findAnidbTitlesByComparable,
+  searchAnidbTitles,
+  getAnidbTitlesForAids,
+  isSearchFtsAvailable,
+  upsertSearchDocs,
+  deleteSearchDocs,
+  clearSearchDocs,
+  listSearchDocPaths,
+  searchDocs,
+  highlightSearchDocs
 };
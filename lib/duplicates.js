@@ -0,0 +1,520 @@
+/**
+ * Duplicate resolution
+ *
+ * Groups copies of the same episode (same preview name, ED2K hash, or series/season/episode), picks
+ * which copy to keep and retires the rest. The keeper is suggested by comparing file quality criterion by criterion in the
+ * admin's configured order (`serverSettings.duplicate_keeper_rules`). Losers are hidden, unapproved
+ * or deleted in one batch, and every step is written to `action_history` with a snapshot of the
+ * entry so the batch can be undone. "Delete" moves the file into a `.mmp-trash` folder beside it
+ * rather than unlinking, which is what makes it reversible.
+ */
+
+const fileQuality = require('./file-quality');
+const { performFileOp, moveFileSync } = require('./file-ops');
+
+const ACTIONS = ['hide', 'unapprove', 'delete'];
+const ACTION_TYPE_PREFIX = 'duplicate-';
+const TRASH_DIR_NAME = '.mmp-trash';
+
+// Criteria a keeper rule list may use, with the label shown in settings
+const KEEPER_CRITERIA = {
+  group: 'Preferred release group',
+  applied: 'Already renamed into the library',
+  resolution: 'Higher resolution',
+  version: 'Newer release version (v2)',
+  source: 'Better source (Blu-ray > WEB > TV > DVD)',
+  codec: 'Preferred codec',
+  bitrate: 'Higher bitrate',
+  size: 'Larger file'
+};
+
+const SOURCE_RANK = ['bluray', 'web', 'tv', 'dvd'];
+const DEFAULT_CODEC_ORDER = ['av1', 'hevc', 'avc', 'vp9', 'mpeg2', 'mpeg4'];
+
+const DEFAULT_KEEPER_RULES = {
+  order: ['group', 'applied', 'resolution', 'version', 'source', 'codec', 'bitrate', 'size'],
+  codecs: DEFAULT_CODEC_ORDER,
+  preferredGroups: []
+};
+
+/**
+ * Validate keeper rules, filling anything missing from the defaults.
+ * @param {Object} input - { order: string[], codecs: string[], preferredGroups: string[] }
+ * @returns {{order:string[], codecs:string[], preferredGroups:string[]}}
+ * @throws {Error} on an unknown criterion or codec
+ */
+function normalizeKeeperRules(input) {
+  const src = input && typeof input === 'object' ? input : {};
+  const list = (v) => (Array.isArray(v) ? v.map(x => String(x).trim()).filter(Boolean) : null);
+  const order = list(src.order) || DEFAULT_KEEPER_RULES.order;
+  for (const c of order) {
+    if (!KEEPER_CRITERIA[c]) throw new Error(`unknown keeper criterion "${c}"`);
+  }
+  const codecs = (list(src.codecs) || DEFAULT_CODEC_ORDER).map(c => c.toLowerCase());
+  for (const c of codecs) {
+    if (!DEFAULT_CODEC_ORDER.includes(c)) throw new Error(`unknown codec "${c}"`);
+  }
+  return {
+    order: [...new Set(order)],
+    codecs: [...new Set(codecs)],
+    preferredGroups: [...new Set(list(src.preferredGroups) || [])].slice(0, 50)
+  };
+}
+
+// Higher is better; null means "unknown" and always loses to a known value
+function scoreFor(criterion, file, rules) {
+  const q = file.quality || {};
+  switch (criterion) {
+    case 'group': {
+      if (!q.releaseGroup || !rules.preferredGroups.length) return null;
+      const idx = rules.preferredGroups.findIndex(g => g.toLowerCase() === q.releaseGroup.toLowerCase());
+      return idx === -1 ? null : rules.preferredGroups.length - idx;
+    }
+    case 'applied': return file.applied ? 1 : 0;
+    case 'source': return q.source ? SOURCE_RANK.length - SOURCE_RANK.indexOf(q.source) : null;
+    case 'codec': {
+      const idx = q.codec ? rules.codecs.indexOf(q.codec) : -1;
+      return idx === -1 ? null : rules.codecs.length - idx;
+    }
+    default: return q[criterion] != null ? q[criterion] : null;
+  }
+}
+
+function compareBy(criterion, a, b, rules) {
+  const sa = scoreFor(criterion, a, rules);
+  const sb = scoreFor(criterion, b, rules);
+  if (sa === sb) return 0;
+  if (sa == null) return 1;
+  if (sb == null) return -1;
+  return sb - sa;
+}
+
+function formatValue(criterion, file) {
+  const q = file.quality || {};
+  switch (criterion) {
+    case 'applied': return file.applied ? 'renamed' : 'not renamed';
+    case 'resolution': return q.resolution ? `${q.resolution}p` : 'unknown';
+    case 'version': return `v${q.version || 1}`;
+    case 'bitrate': return q.bitrate ? `${Math.round(q.bitrate / 1000)} kb/s` : 'unknown';
+    case 'size': return q.size ? `${(q.size / (1024 * 1024)).toFixed(0)} MB` : 'unknown';
+    case 'group': return q.releaseGroup || 'no group';
+    default: return q[criterion] || 'unknown';
+  }
+}
+
+/**
+ * Order files best-first by the rules. Ties keep their input order.
+ * @param {Array<{path:string, applied?:boolean, quality:Object}>} files
+ * @param {Object} rules - normalized keeper rules
+ */
+function rankFiles(files, rules) {
+  const r = rules || DEFAULT_KEEPER_RULES;
+  return files
+    .map((f, i) => ({ f, i }))
+    .sort((x, y) => {
+      for (const c of r.order) {
+        const d = compareBy(c, x.f, y.f, r);
+        if (d !== 0) return d;
+      }
+      return x.i - y.i;
+    })
+    .map(x => x.f);
+}
+
+/**
+ * Suggest which file of a group to keep and say why it beat the runner-up.
+ * @returns {{keeper:string, reason:string}|null}
+ */
+function suggestKeeper(files, rules) {
+  if (!Array.isArray(files) || files.length < 2) return null;
+  const r = rules || DEFAULT_KEEPER_RULES;
+  const [best, next] = rankFiles(files, r);
+  const decider = r.order.find(c => compareBy(c, best, next, r) !== 0);
+  const reason = decider
+    ? `${KEEPER_CRITERIA[decider]} (${formatValue(decider, best)} vs ${formatValue(decider, next)})`
+    : 'No difference in quality; kept the first copy';
+  return { keeper: best.path, reason };
+}
+
+module.exports = function buildDuplicateResolver(ctx) {
+  const {
+    fs, path, db, execFile, uuidv4, enrichCache, renderedIndex, scans, serverSettings, hideEvents,
+    canonicalize, performUnapprove, persistEnrichCacheNow, writeJson, scanStoreFile, appendLog, broadcastEvent,
+    normalizeEnrichEntry, normalizeForCache
+  } = ctx;
+
+  // Probe results keyed by path, invalidated when the file's size or mtime changes
+  const probeCache = new Map();
+
+  function keeperRules() {
+    try { return normalizeKeeperRules(serverSettings && serverSettings.duplicate_keeper_rules); } catch (e) { return normalizeKeeperRules(null); }
+  }
+
+  function statOf(p) {
+    try { return fs.statSync(p); } catch (e) { return null; }
+  }
+
+  /**
+   * Quality from the file name and size, plus any cached probe. Cheap enough for whole lists.
+   */
+  function qualityOf(p) {
+    const st = statOf(p);
+    const q = fileQuality.fromFilename(p);
+    q.size = st ? st.size : null;
+    const cached = probeCache.get(p);
+    if (cached && st && cached.size === st.size && cached.mtimeMs === st.mtimeMs) return fileQuality.merge(q, cached.probed);
+    return q;
+  }
+
+  /**
+   * Probe files with ffprobe one at a time and return full quality keyed by path.
+   */
+  async function inspect(paths) {
+    const out = {};
+    for (const p of paths) {
+      const st = statOf(p);
+      if (st) {
+        const cached = probeCache.get(p);
+        if (!cached || cached.size !== st.size || cached.mtimeMs !== st.mtimeMs) {
+          const probed = await fileQuality.probe(execFile, p);
+          if (probed) probeCache.set(p, { size: st.size, mtimeMs: st.mtimeMs, probed });
+        }
+      }
+      out[p] = qualityOf(p);
+    }
+    return out;
+  }
+
+  function rankingInput(p, quality) {
+    const entry = enrichCache[p] || {};
+    return { path: p, applied: entry.applied === true, quality: quality || qualityOf(p) };
+  }
+
+  /**
+   * Every enrichment grouped by provider-rendered preview name (case-insensitive), ED2K hash and
+   * series/season/episode; groups of one are dropped. Each item carries name/size quality and each
+   * group a suggested keeper. Largest groups first.
+   */
+  function findGroups() {
+    const groupsByPreview = new Map();
+    const groupsByHash = new Map();
+    const groupsByMetadata = new Map();
+
+    const derivePreviewName = (key, entry) => {
+      try {
+        const normalized = normalizeEnrichEntry(entry || {}) || {};
+        if (normalized.provider && normalized.provider.renderedName) return normalized.provider.renderedName;
+        if (entry && entry.renderedName) return entry.renderedName;
+        // Do not fall back to parsed names here; duplicates should be based on provider-rendered previews only
+        return path.basename(key);
+      } catch (e) { return path.basename(key); }
+    };
+
+    const deriveMetadataKey = (entry) => {
+      try {
+        const normalized = normalizeEnrichEntry(entry || {}) || {};
+        const seriesTitle = normalized.seriesTitleExact || normalized.seriesTitle || normalized.title || null;
+        const season = normalized.season != null ? normalized.season : null;
+        const episode = normalized.episode != null ? normalized.episode : null;
+        if (!seriesTitle || season == null || episode == null) return null;
+        const seriesNorm = normalizeForCache(seriesTitle);
+        return `${seriesNorm}::S${String(season).padStart(2,'0')}E${String(episode).padStart(2,'0')}`;
+      } catch (e) { return null; }
+    };
+
+    const resolveHash = (key, entry) => {
+      let h = null;
+      try {
+        if (db) {
+          try {
+            const st = fs.existsSync(key) ? fs.statSync(key) : null;
+            h = db.getEd2kHash(key, st ? st.size : null) || null;
+          } catch (e) {}
+        }
+        if (!h && entry && entry.provider && entry.provider.raw && entry.provider.raw.ed2k) {
+          h = entry.provider.raw.ed2k;
+        }
+      } catch (e) { h = null; }
+      return h;
+    };
+
+    const addItem = (map, groupKey, meta, extra = {}) => {
+      if (!groupKey) return;
+      if (!map.has(groupKey)) map.set(groupKey, { key: groupKey, items: [], ...extra });
+      const group = map.get(groupKey);
+      if (extra.previewName && !group.previewName) group.previewName = extra.previewName;
+      if (extra.previewKey && !group.previewKey) group.previewKey = extra.previewKey;
+      group.items.push(meta);
+    };
+
+    for (const key of Object.keys(enrichCache || {})) {
+      const entry = enrichCache[key];
+      if (!entry) continue;
+      const previewNameRaw = derivePreviewName(key, entry);
+      const previewKey = previewNameRaw ? previewNameRaw.toLowerCase() : null;
+      const metadataKey = deriveMetadataKey(entry);
+      const hash = resolveHash(key, entry);
+      const parsed = entry.parsed || {};
+      const provider = entry.provider || {};
+      const meta = {
+        path: key,
+        basename: path.basename(key),
+        previewName: previewNameRaw || null,
+        applied: entry.applied === true,
+        hidden: entry.hidden === true,
+        appliedTo: entry.appliedTo || null,
+        appliedAt: entry.appliedAt || null,
+        providerTitle: provider.renderedName || provider.title || null,
+        parsedTitle: parsed.parsedName || parsed.title || null
+      };
+
+      if (previewKey) addItem(groupsByPreview, previewKey, meta, { previewName: previewNameRaw || null, previewKey });
+      if (hash) addItem(groupsByHash, hash, meta, { previewName: previewNameRaw || null });
+      if (metadataKey) addItem(groupsByMetadata, metadataKey, meta, { previewName: previewNameRaw || null });
+    }
+
+    const previewGroups = Array.from(groupsByPreview.values())
+      .map((v) => ({
+        groupType: 'preview',
+        previewName: v.previewName || v.items[0]?.previewName || v.previewKey || v.key,
+        previewKey: v.previewKey || v.key,
+        items: v.items
+      }))
+      .filter(g => g.items.length > 1);
+    const hashGroups = Array.from(groupsByHash.entries())
+      .map(([k, v]) => ({ groupType: 'hash', hash: k, previewName: v.items[0]?.previewName || null, items: v.items }))
+      .filter(g => g.items.length > 1);
+    const metadataGroups = Array.from(groupsByMetadata.entries())
+      .map(([k, v]) => ({ groupType: 'metadata', metadataKey: k, previewName: v.items[0]?.previewName || null, items: v.items }))
+      .filter(g => g.items.length > 1);
+
+    const groups = [...previewGroups, ...hashGroups, ...metadataGroups];
+    groups.sort((a, b) => b.items.length - a.items.length || (a.previewName || '').localeCompare(b.previewName || ''));
+    // Quality comes from names, sizes and earlier probes only; inspect() runs ffprobe on demand
+    const rules = keeperRules();
+    const qualityByPath = new Map();
+    for (const group of groups) {
+      for (const it of group.items) {
+        if (!qualityByPath.has(it.path)) qualityByPath.set(it.path, qualityOf(it.path));
+        it.quality = qualityByPath.get(it.path);
+      }
+      const suggestion = suggestKeeper(group.items.map(it => rankingInput(it.path, it.quality)), rules);
+      group.suggestedKeeper = suggestion ? suggestion.keeper : null;
+      group.keeperReason = suggestion ? suggestion.reason : null;
+    }
+    return groups;
+  }
+
+  function snapshotOf(key) {
+    const entry = enrichCache[key] || {};
+    return {
+      hidden: entry.hidden === true,
+      applied: entry.applied === true,
+      appliedAt: entry.appliedAt || null,
+      appliedTo: entry.appliedTo || null,
+      appliedOp: entry.appliedOp || null
+    };
+  }
+
+  function saveScans() {
+    try { if (db) db.saveScansObject(scans); else writeJson(scanStoreFile, scans); } catch (e) {}
+  }
+
+  // Same effect as POST /api/enrich/hide, for many paths at once
+  function hidePaths(keys) {
+    const set = new Set(keys);
+    const modifiedScanIds = [];
+    for (const sid of Object.keys(scans || {})) {
+      const s = scans[sid];
+      if (!s || !Array.isArray(s.items)) continue;
+      const before = s.items.length;
+      s.items = s.items.filter(it => { try { return !set.has(canonicalize(it.canonicalPath)); } catch (e) { return true; } });
+      if (s.items.length !== before) { s.totalCount = s.items.length; modifiedScanIds.push(sid); }
+    }
+    if (modifiedScanIds.length) saveScans();
+    for (const key of keys) {
+      enrichCache[key] = enrichCache[key] || {};
+      enrichCache[key].hidden = true;
+      const evt = { ts: Date.now(), path: key, originalPath: key, modifiedScanIds };
+      hideEvents.push(evt);
+      try { broadcastEvent('hide_event', evt); } catch (e) {}
+    }
+    if (hideEvents.length > 200) hideEvents.splice(0, hideEvents.length - 200);
+    try { if (db) db.setHideEvents(hideEvents); } catch (e) {}
+    if (modifiedScanIds.length) { try { broadcastEvent('scan_updated', {}); } catch (e) {} }
+  }
+
+  function restoreToScans(keys) {
+    let modified = false;
+    for (const sid of Object.keys(scans || {})) {
+      const s = scans[sid];
+      if (!s || !Array.isArray(s.items)) continue;
+      for (const key of keys) {
+        if (s.items.some(it => canonicalize(it.canonicalPath) === key)) continue;
+        s.items.push({ id: uuidv4(), canonicalPath: key, scannedAt: Date.now() });
+        s.totalCount = s.items.length;
+        modified = true;
+      }
+    }
+    if (modified) saveScans();
+  }
+
+  function trashPathFor(key) {
+    const dir = path.join(path.dirname(key), TRASH_DIR_NAME);
+    const ext = path.extname(key);
+    let candidate = path.join(dir, path.basename(key));
+    for (let n = 1; fs.existsSync(candidate); n++) candidate = path.join(dir, `${path.basename(key, ext)} (${n})${ext}`);
+    return candidate;
+  }
+
+  function retire(key, action, username) {
+    const snapshot = snapshotOf(key);
+    if ((action === 'unapprove' || action === 'delete') && (snapshot.applied || snapshot.appliedTo)) {
+      const { hardlinkErrors } = performUnapprove({ requestedPaths: [key], username });
+      if (hardlinkErrors && hardlinkErrors.length) throw new Error(hardlinkErrors[0].error);
+    }
+    if (action === 'delete') {
+      const trashPath = trashPathFor(key);
+      fs.mkdirSync(path.dirname(trashPath), { recursive: true });
+      moveFileSync(key, trashPath);
+      snapshot.trashPath = trashPath;
+    }
+    hidePaths([key]);
+    return snapshot;
+  }
+
+  /**
+   * Keep one file of a group and retire the others. The keeper and every loser must share one
+   * of the groups from `findGroups()`. Every loser is logged as its own `duplicate-<action>`
+   * history row under one batch id.
+   * @param {{keep:string, losers:string[], action:string, username?:string}} request
+   * @returns {{batchId:string, action:string, results:Array<{path:string, ok:boolean, error?:string}>}}
+   */
+  function resolve({ keep, losers, action, username = null }) {
+    if (!db) throw new Error('action history is unavailable, so resolutions cannot be recorded');
+    if (!ACTIONS.includes(action)) throw new Error(`action must be one of ${ACTIONS.join(', ')}`);
+    const keeper = canonicalize(keep);
+    const targets = [...new Set((losers || []).map(p => canonicalize(p)))].filter(p => p && p !== keeper);
+    if (!keeper) throw new Error('keep is required');
+    if (!targets.length) throw new Error('at least one other file must be resolved');
+    // Only files the resolver itself grouped together may be retired in favour of each other
+    const inGroup = (group, key) => group.items.some(it => it.path === key);
+    const group = findGroups().find(g => inGroup(g, keeper) && targets.every(key => inGroup(g, key)));
+    if (!group) throw new Error('keep and losers must belong to the same duplicate group');
+
+    const batchId = uuidv4();
+    const results = [];
+    for (const key of targets) {
+      try {
+        if (!enrichCache[key] && !fs.existsSync(key)) throw new Error('file is not known');
+        const snapshot = retire(key, action, username);
+        db.logAction({ batch_id: batchId, action_type: ACTION_TYPE_PREFIX + action, original_path: key, resolved_path: keeper, details: snapshot });
+        results.push({ path: key, ok: true });
+      } catch (e) {
+        results.push({ path: key, ok: false, error: e.message });
+      }
+    }
+    try { persistEnrichCacheNow(); } catch (e) {}
+    appendLog(`DUPLICATES_RESOLVED batch=${batchId} action=${action} keep=${keeper} retired=${results.filter(r => r.ok).length} failed=${results.filter(r => !r.ok).length}`);
+    return { batchId, action, keep: keeper, results };
+  }
+
+  async function revert(action) {
+    const key = action.original_path;
+    let snapshot = {};
+    try { snapshot = action.details ? JSON.parse(action.details) : {}; } catch (e) {}
+    if (snapshot.trashPath) {
+      if (fs.existsSync(key)) throw new Error('a file already exists at the original path');
+      fs.mkdirSync(path.dirname(key), { recursive: true });
+      moveFileSync(snapshot.trashPath, key);
+      try { fs.rmdirSync(path.dirname(snapshot.trashPath)); } catch (e) { /* trash still holds other files */ }
+    }
+    const entry = enrichCache[key] = enrichCache[key] || {};
+    if (snapshot.appliedTo) {
+      const targets = Array.isArray(snapshot.appliedTo) ? snapshot.appliedTo : [snapshot.appliedTo];
+      for (const target of targets) {
+        if (fs.existsSync(target)) continue;
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        await performFileOp(snapshot.appliedOp || 'hardlink', key, target);
+      }
+      entry.appliedTo = snapshot.appliedTo;
+      entry.appliedOp = snapshot.appliedOp || 'hardlink';
+      entry.appliedAt = snapshot.appliedAt || Date.now();
+      entry.applied = snapshot.applied;
+      for (const target of targets) {
+        renderedIndex[canonicalize(target)] = {
+          source: key,
+          renderedName: path.basename(target),
+          appliedTo: target,
+          metadataFilename: entry.metadataFilename || null,
+          provider: entry.provider || null,
+          parsed: entry.parsed || null
+        };
+      }
+    }
+    entry.hidden = snapshot.hidden === true;
+    if (!entry.hidden) restoreToScans([key]);
+    return key;
+  }
+
+  /**
+   * Undo duplicate-resolution history rows that are still applied.
+   * @param {Array<Object>} actions - action_history rows
+   * @returns {{restored:string[], errors:Array<{path:string, error:string}>}}
+   */
+  async function undoActions(actions, username = null) {
+    const restored = [];
+    const errors = [];
+    for (const action of actions) {
+      if (!action || action.status !== 'applied' || !String(action.action_type || '').startsWith(ACTION_TYPE_PREFIX)) continue;
+      try {
+        restored.push(await revert(action));
+        db.updateActionStatus(action.id, 'reverted');
+      } catch (e) {
+        errors.push({ path: action.original_path, error: e.message });
+      }
+    }
+    try { persistEnrichCacheNow(); } catch (e) {}
+    try { if (db) db.setKV('renderedIndex', renderedIndex); } catch (e) {}
+    if (restored.length) {
+      try { broadcastEvent('scan_updated', {}); } catch (e) {}
+    }
+    appendLog(`DUPLICATES_UNDO user=${username || '-'} restored=${restored.length} failed=${errors.length}`);
+    return { restored, errors };
+  }
+
+  async function undoBatch(batchId, username = null) {
+    const actions = db ? db.getActionsByBatch(batchId) : [];
+    if (!actions.some(a => String(a.action_type || '').startsWith(ACTION_TYPE_PREFIX))) return null;
+    return undoActions(actions, username);
+  }
+
+  /**
+   * Recent resolutions grouped by batch, newest first.
+   */
+  function recentResolutions(limit = 20) {
+    const rows = db ? db.getHistory(limit * 10, { actionTypePrefix: ACTION_TYPE_PREFIX }) : [];
+    const batches = new Map();
+    for (const row of rows) {
+      if (!batches.has(row.batch_id)) {
+        if (batches.size >= limit) continue;
+        batches.set(row.batch_id, { batchId: row.batch_id, action: row.action_type.slice(ACTION_TYPE_PREFIX.length), keep: row.resolved_path, timestamp: row.timestamp, paths: [], reverted: true });
+      }
+      const b = batches.get(row.batch_id);
+      b.paths.push(row.original_path);
+      if (row.status === 'applied') b.reverted = false;
+    }
+    return Array.from(batches.values());
+  }
+
+  return { keeperRules, qualityOf, inspect, rankingInput, findGroups, resolve, undoActions, undoBatch, recentResolutions };
+};
+
+module.exports.ACTIONS = ACTIONS;
+module.exports.ACTION_TYPE_PREFIX = ACTION_TYPE_PREFIX;
+module.exports.TRASH_DIR_NAME = TRASH_DIR_NAME;
+module.exports.KEEPER_CRITERIA = KEEPER_CRITERIA;
+module.exports.DEFAULT_KEEPER_RULES = DEFAULT_KEEPER_RULES;
+module.exports.normalizeKeeperRules = normalizeKeeperRules;
+module.exports.rankFiles = rankFiles;
+module.exports.suggestKeeper = suggestKeeper;
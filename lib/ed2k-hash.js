@@ -48,19 +48,54 @@ function computeMD4(data) {
   return md4Fallback(data);
 }
 
+// zlib.crc32 arrived in Node 20.15 / 22.2; older runtimes use the table below
+let zlibCrc32 = null;
+try {
+  const zlib = require('zlib');
+  if (typeof zlib.crc32 === 'function') zlibCrc32 = zlib.crc32;
+} catch (err) {
+  zlibCrc32 = null;
+}
+
+let crcTable = null;
+
 /**
- * Compute ED2K (AniDB/Shoko) file hash
- * 
- * Algorithm:
+ * Continue a CRC32 (IEEE, as written in fansub filenames) over another piece of data
+ * @param {Buffer} data - Next bytes of the file
+ * @param {number} [crc=0] - CRC32 of everything before `data`
+ * @returns {number} - Unsigned 32-bit CRC
+ */
+function updateCrc32(data, crc = 0) {
+  if (zlibCrc32) return zlibCrc32(data, crc);
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let c = (crc ^ 0xFFFFFFFF) >>> 0;
+  for (let i = 0; i < data.length; i++) c = crcTable[(c ^ data[i]) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Compute the ED2K hash and CRC32 of a file in a single read
+ *
+ * ED2K algorithm:
  * 1. Split file into chunks of 9,728,000 bytes
  * 2. Compute MD4 hash for each chunk
  * 3. If single chunk: return that chunk's MD4 as hex
  * 4. If multiple chunks: compute MD4 of concatenated chunk MD4 digests
- * 
+ *
+ * The CRC32 is taken over the same bytes as they stream past.
+ *
  * @param {string|fs.ReadStream} filePathOrStream - File path or readable stream
- * @returns {Promise<string>} - 32-character lowercase hex hash
+ * @returns {Promise<{ed2k: string, crc32: string}>} - 32-character lowercase hex ED2K hash and
+ *   8-character uppercase hex CRC32 (the form used in `[ABCD1234]` filename tags)
  */
-async function computeEd2kHash(filePathOrStream) {
+async function computeFileHashes(filePathOrStream) {
   return new Promise((resolve, reject) => {
     // Determine if we have a path or stream
     let stream;
@@ -81,9 +116,11 @@ async function computeEd2kHash(filePathOrStream) {
     const chunkDigests = [];
     let currentChunk = Buffer.alloc(0);
     let totalBytesRead = 0;
+    let crc = 0;
 
     stream.on('data', (data) => {
       totalBytesRead += data.length;
+      crc = updateCrc32(data, crc);
       currentChunk = Buffer.concat([currentChunk, data]);
 
       // Process complete chunks
@@ -97,6 +134,8 @@ async function computeEd2kHash(filePathOrStream) {
 
     stream.on('end', () => {
       try {
+        const crc32 = (crc >>> 0).toString(16).toUpperCase().padStart(8, '0');
+
         // Process any remaining data as the final chunk
         if (currentChunk.length > 0) {
           const digest = computeMD4(currentChunk);
@@ -106,18 +145,18 @@ async function computeEd2kHash(filePathOrStream) {
         // Handle empty file case
         if (chunkDigests.length === 0) {
           const emptyDigest = computeMD4(Buffer.alloc(0));
-          return resolve(emptyDigest.toString('hex').toLowerCase());
+          return resolve({ ed2k: emptyDigest.toString('hex').toLowerCase(), crc32 });
         }
 
         // Single chunk case
         if (chunkDigests.length === 1) {
-          return resolve(chunkDigests[0].toString('hex').toLowerCase());
+          return resolve({ ed2k: chunkDigests[0].toString('hex').toLowerCase(), crc32 });
         }
 
         // Multiple chunks: compute MD4 of concatenated chunk digests
         const concatenatedDigests = Buffer.concat(chunkDigests);
         const finalDigest = computeMD4(concatenatedDigests);
-        return resolve(finalDigest.toString('hex').toLowerCase());
+        return resolve({ ed2k: finalDigest.toString('hex').toLowerCase(), crc32 });
 
       } catch (err) {
         reject(err);
@@ -137,6 +176,15 @@ async function computeEd2kHash(filePathOrStream) {
   });
 }
 
+/**
+ * Compute ED2K (AniDB/Shoko) file hash
+ * @param {string|fs.ReadStream} filePathOrStream - File path or readable stream
+ * @returns {Promise<string>} - 32-character lowercase hex hash
+ */
+async function computeEd2kHash(filePathOrStream) {
+  return (await computeFileHashes(filePathOrStream)).ed2k;
+}
+
 /**
  * Compute ED2K hash synchronously (for smaller files where memory isn't a concern)
  * @param {string} filePath - Path to file
@@ -192,8 +240,10 @@ function computeEd2kHashSync(filePath) {
 
 module.exports = {
   computeEd2kHash,
+  computeFileHashes,
   computeEd2kHashSync,
   ED2K_CHUNK_SIZE,
   // Export for testing
-  computeMD4
+  computeMD4,
+  updateCrc32
 };
@@ -0,0 +1,259 @@
+/**
+ * Apply-mode file operations
+ *
+ * Each op knows how to create a library entry from a source file, how to recognise an entry
+ * it created, and how to reverse it:
+ * - hardlink          fs.link (source and target share an inode)
+ * - symlink           absolute symlink to the source
+ * - symlink-relative  symlink with a path relative to the target directory
+ * - reflink           copy-on-write clone where the filesystem supports it, otherwise a copy
+ * - copy              streamed byte copy with progress callbacks
+ * - move              rename, falling back to copy + unlink across filesystems (EXDEV)
+ *
+ * Copies are recognised by the identity recorded when they were made (see targetIdentity), or
+ * failing that by sampling their content against the source.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { Transform } = require('stream');
+const { findOutputFolderEntry, userSettingsFor } = require('./output-folders');
+
+const APPLY_MODES = ['hardlink', 'symlink', 'symlink-relative', 'reflink', 'copy', 'move'];
+
+// Result status reported to clients for each op
+const OP_STATUS = {
+  hardlink: 'hardlinked',
+  symlink: 'symlinked',
+  'symlink-relative': 'symlinked',
+  reflink: 'copied',
+  copy: 'copied',
+  move: 'moved'
+};
+
+function normalizeApplyMode(value) {
+  const mode = String(value || '').trim().toLowerCase();
+  return APPLY_MODES.includes(mode) ? mode : null;
+}
+
+/**
+ * Resolve the apply mode for an output path: output folder entry -> library -> user -> server -> hardlink.
+ */
+function selectApplyMode({ username, users, serverSettings, effectiveOutput, canonicalize, library } = {}) {
+  const entry = findOutputFolderEntry({ username, users, serverSettings, effectiveOutput, canonicalize });
+  return normalizeApplyMode(entry && entry.apply_mode)
+    || normalizeApplyMode(library && library.apply_mode)
+    || normalizeApplyMode(userSettingsFor(username, users).apply_mode)
+    || normalizeApplyMode(serverSettings && serverSettings.apply_mode)
+    || 'hardlink';
+}
+
+function sameInode(a, b) {
+  try {
+    const sa = fs.statSync(a);
+    const sb = fs.statSync(b);
+    return sa.ino === sb.ino && sa.dev === sb.dev;
+  } catch (e) { return false; }
+}
+
+/**
+ * Identity of a created entry, recorded in the batch journal so a copy can be told apart from an
+ * unrelated file of the same size later.
+ * @returns {{dev:number, ino:number, size:number, mtimeMs:number}|null}
+ */
+function targetIdentity(toPath) {
+  try {
+    const st = fs.lstatSync(toPath);
+    return { dev: st.dev, ino: st.ino, size: st.size, mtimeMs: st.mtimeMs };
+  } catch (e) { return null; }
+}
+
+function matchesIdentity(st, identity) {
+  return st.dev === identity.dev && st.ino === identity.ino && st.size === identity.size && st.mtimeMs === identity.mtimeMs;
+}
+
+// Compare the start, middle and end of two files of equal size instead of hashing whole videos
+const SAMPLE_BYTES = 64 * 1024;
+function sameSampledContent(a, b) {
+  const size = fs.statSync(a).size;
+  if (fs.statSync(b).size !== size) return false;
+  const fa = fs.openSync(a, 'r');
+  try {
+    const fb = fs.openSync(b, 'r');
+    try {
+      const bufA = Buffer.alloc(SAMPLE_BYTES);
+      const bufB = Buffer.alloc(SAMPLE_BYTES);
+      for (const offset of [0, Math.floor(size / 2), Math.max(0, size - SAMPLE_BYTES)]) {
+        const na = fs.readSync(fa, bufA, 0, SAMPLE_BYTES, offset);
+        const nb = fs.readSync(fb, bufB, 0, SAMPLE_BYTES, offset);
+        if (na !== nb || !bufA.subarray(0, na).equals(bufB.subarray(0, nb))) return false;
+      }
+      return true;
+    } finally { fs.closeSync(fb); }
+  } finally { fs.closeSync(fa); }
+}
+
+function assertTargetFree(toPath) {
+  if (fs.existsSync(toPath)) {
+    const err = new Error(`EEXIST: file already exists, '${toPath}'`);
+    err.code = 'EEXIST';
+    throw err;
+  }
+}
+
+async function copyWithProgress(fromPath, toPath, onProgress) {
+  assertTargetFree(toPath);
+  const total = fs.statSync(fromPath).size;
+  let copied = 0;
+  let lastReport = 0;
+  const meter = new Transform({
+    transform(chunk, enc, cb) {
+      copied += chunk.length;
+      const now = Date.now();
+      if (typeof onProgress === 'function' && (now - lastReport > 250 || copied === total)) {
+        lastReport = now;
+        try { onProgress({ bytes: copied, total }); } catch (e) {}
+      }
+      cb(null, chunk);
+    }
+  });
+  const tmpPath = `${toPath}.partial`;
+  try {
+    await pipeline(fs.createReadStream(fromPath), meter, fs.createWriteStream(tmpPath, { flags: 'wx' }));
+    const st = fs.statSync(fromPath);
+    try { fs.utimesSync(tmpPath, st.atime, st.mtime); } catch (e) {}
+    // rename() replaces silently, so re-check in case the target appeared while copying
+    assertTargetFree(toPath);
+    fs.renameSync(tmpPath, toPath);
+  } catch (e) {
+    try { fs.unlinkSync(tmpPath); } catch (ee) {}
+    throw e;
+  }
+  if (typeof onProgress === 'function' && copied !== total) {
+    try { onProgress({ bytes: total, total }); } catch (e) {}
+  }
+}
+
+async function moveFile(fromPath, toPath, onProgress) {
+  assertTargetFree(toPath);
+  try {
+    fs.renameSync(fromPath, toPath);
+  } catch (e) {
+    if (e.code !== 'EXDEV') throw e;
+    await copyWithProgress(fromPath, toPath, onProgress);
+    fs.unlinkSync(fromPath);
+  }
+}
+
+/**
+ * Create `toPath` from `fromPath` using `op`. The target must not already exist.
+ * @param {string} op - one of APPLY_MODES
+ * @param {string} fromPath
+ * @param {string} toPath
+ * @param {Object} [opts]
+ * @param {Function} [opts.onProgress] - ({ bytes, total }) for copy/move fallbacks
+ */
+async function performFileOp(op, fromPath, toPath, opts = {}) {
+  const { onProgress } = opts;
+  switch (op) {
+    case 'hardlink':
+      fs.linkSync(fromPath, toPath);
+      return;
+    case 'symlink':
+      fs.symlinkSync(path.resolve(fromPath), toPath, 'file');
+      return;
+    case 'symlink-relative':
+      fs.symlinkSync(path.relative(path.dirname(toPath), path.resolve(fromPath)), toPath, 'file');
+      return;
+    case 'reflink':
+      // COPYFILE_FICLONE uses a CoW clone when supported and silently falls back to a copy
+      fs.copyFileSync(fromPath, toPath, fs.constants.COPYFILE_FICLONE | fs.constants.COPYFILE_EXCL);
+      if (typeof onProgress === 'function') {
+        const size = fs.statSync(toPath).size;
+        try { onProgress({ bytes: size, total: size }); } catch (e) {}
+      }
+      return;
+    case 'copy':
+      await copyWithProgress(fromPath, toPath, onProgress);
+      return;
+    case 'move':
+      await moveFile(fromPath, toPath, onProgress);
+      return;
+    default:
+      throw new Error(`Unsupported apply mode: ${op}`);
+  }
+}
+
+/**
+ * True when `toPath` looks like the entry `op` would have created from `fromPath`.
+ * Used before removing anything so unrelated files are never deleted.
+ * @param {Object} [identity] - targetIdentity() recorded when the entry was created; copies
+ *   must match it, and without it they must match the source's sampled content
+ */
+function isOpTarget(op, fromPath, toPath, identity = null) {
+  try {
+    const lst = fs.lstatSync(toPath);
+    switch (op) {
+      case 'hardlink':
+        return lst.isFile() && sameInode(fromPath, toPath);
+      case 'symlink':
+      case 'symlink-relative': {
+        if (!lst.isSymbolicLink()) return false;
+        const linkTarget = fs.readlinkSync(toPath);
+        return path.resolve(path.dirname(toPath), linkTarget) === path.resolve(fromPath);
+      }
+      case 'reflink':
+      case 'copy':
+        if (!lst.isFile()) return false;
+        if (identity) return matchesIdentity(lst, identity);
+        return fs.existsSync(fromPath) && sameSampledContent(fromPath, toPath);
+      case 'move':
+        return lst.isFile() && !fs.existsSync(fromPath);
+      default:
+        return false;
+    }
+  } catch (e) { return false; }
+}
+
+// Synchronous move used when undoing; reversals run inside synchronous unapprove paths
+function moveFileSync(fromPath, toPath) {
+  try {
+    fs.renameSync(fromPath, toPath);
+  } catch (e) {
+    if (e.code !== 'EXDEV') throw e;
+    fs.copyFileSync(fromPath, toPath, fs.constants.COPYFILE_EXCL);
+    try { const st = fs.statSync(fromPath); fs.utimesSync(toPath, st.atime, st.mtime); } catch (ee) {}
+    fs.unlinkSync(fromPath);
+  }
+}
+
+/**
+ * Undo `op`: remove the created entry, or move the file back for `move`.
+ * @param {Object} [identity] - see isOpTarget
+ * @returns {'removed'|'restored'|'skipped'}
+ */
+function reverseFileOp(op, fromPath, toPath, identity = null) {
+  if (!isOpTarget(op, fromPath, toPath, identity)) return 'skipped';
+  if (op === 'move') {
+    const dir = path.dirname(fromPath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    moveFileSync(toPath, fromPath);
+    return 'restored';
+  }
+  fs.unlinkSync(toPath);
+  return 'removed';
+}
+
+module.exports = {
+  APPLY_MODES,
+  OP_STATUS,
+  normalizeApplyMode,
+  selectApplyMode,
+  performFileOp,
+  isOpTarget,
+  targetIdentity,
+  reverseFileOp,
+  moveFileSync,
+  sameInode
+};
@@ -0,0 +1,98 @@
+/**
+ * File quality
+ *
+ * Describes a video file by resolution, codec, bitrate, size, release group, version and source so
+ * copies of the same episode can be told apart. Release names carry most of this; ffprobe fills in
+ * what the name leaves out and wins where the two disagree, since the stream header cannot lie.
+ */
+
+const { parseReleaseInfo } = require('./release-info');
+
+const PROBE_TIMEOUT_MS = 15000;
+
+// ffprobe codec names folded onto the labels release names use
+const CODEC_ALIASES = {
+  hevc: 'hevc', h265: 'hevc', x265: 'hevc',
+  h264: 'avc', avc: 'avc', x264: 'avc', avc1: 'avc',
+  av1: 'av1', vp9: 'vp9',
+  mpeg4: 'mpeg4', xvid: 'mpeg4', divx: 'mpeg4',
+  mpeg2video: 'mpeg2', mpeg2: 'mpeg2'
+};
+
+// Release-name source labels folded onto the coarser buckets duplicates are ranked by
+const SOURCE_BUCKETS = { BluRay: 'bluray', 'WEB-DL': 'web', WEBRip: 'web', WEB: 'web', HDTV: 'tv', DVD: 'dvd' };
+
+function normalizeCodec(value) {
+  if (!value) return null;
+  const key = String(value).toLowerCase().replace(/[.\s-]/g, '');
+  return CODEC_ALIASES[key] || null;
+}
+
+function emptyQuality() {
+  return { resolution: null, codec: null, bitrate: null, size: null, releaseGroup: null, version: 1, source: null };
+}
+
+/**
+ * Read what the release name says about a file.
+ * @param {string} filename - basename or full path
+ * @returns {{resolution:number|null, codec:string|null, bitrate:null, size:null, releaseGroup:string|null, version:number, source:string|null}}
+ */
+function fromFilename(filename) {
+  const q = emptyQuality();
+  if (!filename) return q;
+  const info = parseReleaseInfo(filename);
+  if (info.resolution) q.resolution = parseInt(info.resolution, 10);
+  if (info.videoCodec) q.codec = normalizeCodec(info.videoCodec);
+  q.releaseGroup = info.releaseGroup;
+  if (info.version) q.version = info.version;
+  q.source = SOURCE_BUCKETS[info.source] || null;
+  return q;
+}
+
+/**
+ * Read the first video stream and container bitrate from `ffprobe -print_format json` output.
+ * @param {string|Object} output
+ * @returns {{resolution:number|null, codec:string|null, bitrate:number|null, size:number|null}}
+ */
+function fromProbe(output) {
+  const data = typeof output === 'string' ? JSON.parse(output) : (output || {});
+  const video = (Array.isArray(data.streams) ? data.streams : []).find(s => s && s.codec_type === 'video' && !(s.disposition && s.disposition.attached_pic));
+  const format = data.format || {};
+  const num = (v) => { const n = Number(v); return Number.isFinite(n) && n > 0 ? n : null; };
+  return {
+    resolution: video ? num(video.height) : null,
+    codec: video ? normalizeCodec(video.codec_name) : null,
+    bitrate: num(format.bit_rate) || (video ? num(video.bit_rate) : null),
+    size: num(format.size)
+  };
+}
+
+/**
+ * Overlay probe results onto name-derived quality; null probe fields leave the name's value alone.
+ */
+function merge(fromName, probed) {
+  const out = Object.assign(emptyQuality(), fromName || {});
+  for (const k of Object.keys(probed || {})) {
+    if (probed[k] != null) out[k] = probed[k];
+  }
+  return out;
+}
+
+/**
+ * Run ffprobe against a file. Resolves null when ffprobe is missing, times out or cannot parse the
+ * file; the name-derived quality is still usable then.
+ * @param {Function} execFile - child_process.execFile
+ * @param {string} filePath
+ */
+function probe(execFile, filePath) {
+  return new Promise((resolve) => {
+    try {
+      execFile('ffprobe', ['-v', 'quiet', '-print_format', 'json', '-show_streams', '-show_format', filePath], { timeout: PROBE_TIMEOUT_MS, maxBuffer: 4 * 1024 * 1024 }, (err, stdout) => {
+        if (err) return resolve(null);
+        try { resolve(fromProbe(stdout)); } catch (e) { resolve(null); }
+      });
+    } catch (e) { resolve(null); }
+  });
+}
+
+module.exports = { PROBE_TIMEOUT_MS, normalizeCodec, fromFilename, fromProbe, merge, probe };
@@ -59,6 +59,7 @@ function cleanSeries(str) {
 
 const path = require('path')
 const fs = require('fs')
+const { parseReleaseInfo } = require('./release-info')
 
 // Pre-compiled noise token sets for O(1) lookup
 const NOISE_TOKENS = new Set([
@@ -177,7 +178,8 @@ module.exports = function parseFilename(name) {
               episodeRange: parsedRange,
               episodeTitle: episodeTitle ? String(episodeTitle).trim() : '',
               year: year ? String(year).trim() : null,
-              parsedName
+              parsedName,
+              ...parseReleaseInfo(original)
             };
           }
         }
@@ -848,5 +850,7 @@ module.exports = function parseFilename(name) {
   // We intentionally do not provide an episodeTitle from filename parsing
   // — titles will be retrieved from the API/enrichment step to avoid false positives.
   episodeTitle = '';
-  return { original, title, parsedName, season, episode, episodeTitle, episodeRange };
+  // Release tokens ([Group], 1080p, HEVC, [CRC32], v2...) were stripped from the title above;
+  // hand them back as fields for templates and quality checks
+  return { original, title, parsedName, season, episode, episodeTitle, episodeRange, ...parseReleaseInfo(original) };
 }
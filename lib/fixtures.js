@@ -0,0 +1,218 @@
+/**
+ * Provider fixtures: record and replay external API traffic
+ *
+ * The HTTP helpers in server.js, the TVDB client and the AniDB UDP client pass every request
+ * through `exchange(kind, request, perform)`. In the default `off` mode that just calls
+ * `perform`. In `record` mode the request/response pair is also written to the fixture
+ * directory. In `replay` mode the stored response is returned and the network is never
+ * touched; a request without a fixture fails with code EFIXTUREMISSING.
+ *
+ * Fixtures are keyed on the request with secrets removed (API keys, PINs, passwords, AniDB
+ * session keys), so a bundle recorded with one user's credentials replays with any others.
+ * Tokens in recorded responses are redacted too. One JSON file per request; `exportBundle`
+ * and `importBundle` move a whole directory as one document for bug reports.
+ *
+ * The mode comes from MMP_FIXTURES (record|replay|off) and the directory from
+ * MMP_FIXTURES_DIR; server.js falls back to the `provider_fixtures` setting.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { URLSearchParams } = require('url');
+
+const FIXTURE_MODES = ['off', 'record', 'replay'];
+const BUNDLE_VERSION = 1;
+const REDACTED = 'REDACTED';
+// Query, form and JSON fields that carry credentials rather than the question being asked
+const SECRET_FIELDS = new Set(['api_key', 'apikey', 'key', 'token', 'access_token', 'pin', 'user', 'pass', 'password', 's']);
+const KIND_PATTERN = /^[a-z0-9-]+$/;
+
+const state = { mode: 'off', dir: null, log: null, stats: { recorded: 0, replayed: 0, missing: 0 } };
+
+function normalizeMode(value) {
+  const mode = String(value || '').trim().toLowerCase();
+  return FIXTURE_MODES.includes(mode) ? mode : 'off';
+}
+
+function log(line) {
+  try { if (typeof state.log === 'function') state.log(line); } catch (e) {}
+}
+
+/**
+ * Set the mode and fixture directory. Called once at startup and again when the setting changes.
+ */
+function configure({ mode, dir, appendLog } = {}) {
+  if (appendLog !== undefined) state.log = appendLog;
+  if (dir !== undefined) state.dir = dir ? path.resolve(dir) : null;
+  if (mode !== undefined) state.mode = normalizeMode(mode);
+  if (state.mode !== 'off' && !state.dir) throw new Error(`fixture ${state.mode} mode needs a directory`);
+  if (state.mode === 'record') fs.mkdirSync(state.dir, { recursive: true });
+  return status();
+}
+
+function status() {
+  return { mode: state.mode, dir: state.dir, stats: Object.assign({}, state.stats) };
+}
+
+function redactQuery(query) {
+  const params = new URLSearchParams(query);
+  for (const name of Array.from(params.keys())) {
+    if (SECRET_FIELDS.has(name.toLowerCase())) params.set(name, REDACTED);
+  }
+  return params.toString();
+}
+
+function redactJson(value) {
+  if (Array.isArray(value)) return value.map(redactJson);
+  if (!value || typeof value !== 'object') return value;
+  const out = {};
+  for (const [k, v] of Object.entries(value)) out[k] = SECRET_FIELDS.has(k.toLowerCase()) ? REDACTED : redactJson(v);
+  return out;
+}
+
+function redactBody(body) {
+  if (body == null || body === '') return body == null ? null : '';
+  const text = Buffer.isBuffer(body) ? body.toString('utf8') : String(body);
+  try { return JSON.stringify(redactJson(JSON.parse(text))); } catch (e) {}
+  return text;
+}
+
+function redactPath(p) {
+  const str = String(p || '/');
+  const q = str.indexOf('?');
+  return q === -1 ? str : `${str.slice(0, q)}?${redactQuery(str.slice(q + 1))}`;
+}
+
+/**
+ * The identifying part of a request, secrets removed. HTTP requests are
+ * { host, method, path, body }; UDP commands are { command, params }.
+ */
+function describeRequest(request) {
+  if (request && request.command) {
+    const params = {};
+    for (const [k, v] of Object.entries(request.params || {})) {
+      if (k === 'tag' || v === undefined || v === null) continue;
+      params[k] = SECRET_FIELDS.has(k.toLowerCase()) ? REDACTED : String(v);
+    }
+    return { command: String(request.command), params };
+  }
+  return {
+    host: String((request && (request.host || request.hostname)) || ''),
+    method: String((request && request.method) || 'GET').toUpperCase(),
+    path: redactPath(request && request.path),
+    body: redactBody(request && request.body)
+  };
+}
+
+function fixtureKey(kind, request) {
+  const described = describeRequest(request);
+  const hash = crypto.createHash('sha1').update(JSON.stringify([kind, described])).digest('hex').slice(0, 16);
+  const label = String(described.host || described.command || 'request').replace(/[^A-Za-z0-9.-]+/g, '_').slice(0, 40);
+  return { file: `${kind}-${label}-${hash}.json`, described };
+}
+
+function redactResponse(kind, response) {
+  if (!response || typeof response !== 'object') return response;
+  const out = Object.assign({}, response);
+  if (typeof out.body === 'string') out.body = redactBody(out.body);
+  // The AniDB AUTH reply carries the session key ("200 {key} LOGIN ACCEPTED")
+  if (kind === 'anidb-udp' && (out.code === '200' || out.code === '201')) {
+    if (typeof out.data === 'string') out.data = out.data.replace(/^\S+/, REDACTED);
+    if (Array.isArray(out.dataLines) && out.dataLines.length) out.dataLines = [String(out.dataLines[0]).replace(/^\S+/, REDACTED), ...out.dataLines.slice(1)];
+    if (typeof out.fullResponse === 'string') out.fullResponse = out.fullResponse.replace(/^(\S+\s+20[01]\s+)\S+/, `$1${REDACTED}`);
+  }
+  return out;
+}
+
+function missingError(kind, described) {
+  const err = new Error(`no ${kind} fixture for ${described.command || `${described.method} ${described.host}${described.path}`}`);
+  err.code = 'EFIXTUREMISSING';
+  return err;
+}
+
+/**
+ * Run `perform()` according to the fixture mode. `kind` names the transport
+ * (http, tvdb, anidb-udp); `request` identifies the call for the fixture key.
+ */
+async function exchange(kind, request, perform) {
+  if (state.mode === 'off') return perform();
+  if (!KIND_PATTERN.test(kind)) throw new Error(`invalid fixture kind ${kind}`);
+  const { file, described } = fixtureKey(kind, request);
+  const full = path.join(state.dir, file);
+
+  if (state.mode === 'replay') {
+    let fixture;
+    try { fixture = JSON.parse(fs.readFileSync(full, 'utf8')); } catch (e) {
+      state.stats.missing++;
+      log(`FIXTURE_MISSING kind=${kind} file=${file}`);
+      throw missingError(kind, described);
+    }
+    state.stats.replayed++;
+    if (fixture.error) {
+      const err = new Error(fixture.error.message || 'recorded error');
+      if (fixture.error.code) err.code = fixture.error.code;
+      throw err;
+    }
+    return fixture.response;
+  }
+
+  let response;
+  let error = null;
+  try { response = await perform(); } catch (e) { error = e; }
+  const fixture = { kind, recordedAt: new Date().toISOString(), request: described };
+  if (error) fixture.error = { message: error.message || String(error), code: error.code || null };
+  else fixture.response = redactResponse(kind, response);
+  try {
+    fs.writeFileSync(full, JSON.stringify(fixture, null, 2));
+    state.stats.recorded++;
+  } catch (e) {
+    log(`FIXTURE_WRITE_FAIL file=${file} err=${e.message}`);
+  }
+  if (error) throw error;
+  return response;
+}
+
+/**
+ * All fixtures in the directory as one document.
+ */
+function exportBundle(dir = state.dir) {
+  const fixtures = {};
+  let names = [];
+  try { names = fs.readdirSync(dir).filter(n => n.endsWith('.json')).sort(); } catch (e) {}
+  for (const name of names) {
+    try { fixtures[name] = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')); } catch (e) {}
+  }
+  return { version: BUNDLE_VERSION, exportedAt: new Date().toISOString(), fixtures };
+}
+
+/**
+ * Write a bundle's fixtures into `dir`. Returns the number written.
+ * @throws {Error} when the bundle is malformed
+ */
+function importBundle(bundle, dir = state.dir) {
+  if (!bundle || bundle.version !== BUNDLE_VERSION || !bundle.fixtures || typeof bundle.fixtures !== 'object') {
+    throw new Error('not a fixture bundle');
+  }
+  if (!dir) throw new Error('no fixture directory configured');
+  fs.mkdirSync(dir, { recursive: true });
+  let written = 0;
+  for (const [name, fixture] of Object.entries(bundle.fixtures)) {
+    // Names come from fixtureKey; anything else could escape the directory
+    if (!/^[a-z0-9-]+-[A-Za-z0-9._-]+-[0-9a-f]{16}\.json$/.test(name) || name.includes('..')) throw new Error(`invalid fixture name ${name}`);
+    fs.writeFileSync(path.join(dir, name), JSON.stringify(fixture, null, 2));
+    written++;
+  }
+  return written;
+}
+
+module.exports = {
+  FIXTURE_MODES,
+  configure,
+  status,
+  exchange,
+  fixtureKey,
+  exportBundle,
+  importBundle,
+  isReplay: () => state.mode === 'replay'
+};
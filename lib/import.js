@@ -0,0 +1,280 @@
+/**
+ * Download-client imports
+ *
+ * Torrent and Usenet clients call `POST /api/import` when a download finishes, instead of waiting
+ * for the folder watcher to notice it. An `import` job enriches just the video files of that
+ * download, using the caller's hints (series name, AniDB id) when the release name is not enough,
+ * then adds them to their library's scan so they show up in the UI.
+ *
+ * The download's category decides what happens next. Categories are kept in the user's
+ * `import_categories` setting as `{ name, outputFolder, apply }`. With `apply` set, matched files are
+ * planned and preflighted like a preview, and the ones without errors go to an approve job that
+ * writes into the category's output folder (or the library's or user's when it has none).
+ * Downloads with no category, or one that does not apply, go through the auto-apply rules instead.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const buildPlanGenerator = require('./plan');
+
+const VIDEO_EXTS = new Set(['mkv', 'mp4', 'avi', 'mov', 'm4v', 'mpg', 'mpeg', 'webm', 'wmv', 'flv', 'ts', 'ogg', 'ogv', '3gp', '3g2']);
+const IGNORED_DIRS = new Set(['node_modules', '.git', '.svn', '__pycache__', '.mmp-trash']);
+const MAX_DEPTH = 10;
+const MAX_CATEGORIES = 50;
+const MAX_NAME_LENGTH = 64;
+
+/**
+ * Validate a category list from the settings UI. Names are matched case-insensitively.
+ * @param {Array<Object>} list - [{ name, outputFolder, apply }]
+ * @throws {Error} on a missing or duplicate name, or an output folder that is not absolute
+ */
+function normalizeCategories(list) {
+  if (list === undefined || list === null) return [];
+  if (!Array.isArray(list)) throw new Error('categories must be an array');
+  if (list.length > MAX_CATEGORIES) throw new Error(`at most ${MAX_CATEGORIES} categories`);
+  const seen = new Set();
+  return list.map((input) => {
+    const src = input || {};
+    const name = String(src.name || '').trim();
+    if (!name) throw new Error('category name is required');
+    if (name.length > MAX_NAME_LENGTH) throw new Error(`category name is longer than ${MAX_NAME_LENGTH} characters`);
+    if (seen.has(name.toLowerCase())) throw new Error(`duplicate category "${name}"`);
+    seen.add(name.toLowerCase());
+    const outputFolder = src.outputFolder ? String(src.outputFolder).trim() : '';
+    if (outputFolder && !/^([a-zA-Z]:[\\/]|[\\/])/.test(outputFolder)) throw new Error(`output folder of "${name}" must be an absolute path`);
+    return { name, outputFolder: outputFolder || null, apply: src.apply === true || src.apply === 'true' };
+  });
+}
+
+/**
+ * Lookup hints sent with an import.
+ * @param {Object} body - request fields `series` and `anidbId`
+ * @returns {{ series: string|null, anidbId: number|null }}
+ * @throws {Error} when anidbId is not a positive whole number
+ */
+function normalizeHints(body) {
+  const src = body || {};
+  const series = String(src.series || '').trim().slice(0, 200) || null;
+  let anidbId = null;
+  if (src.anidbId !== undefined && src.anidbId !== null && String(src.anidbId).trim() !== '') {
+    anidbId = Number(String(src.anidbId).trim());
+    if (!Number.isInteger(anidbId) || anidbId <= 0) throw new Error('anidbId must be a positive whole number');
+  }
+  return { series, anidbId };
+}
+
+/**
+ * The video files of a finished download: the file itself, or every video under the folder.
+ * @param {string} target - absolute file or folder path
+ * @param {Object} [fsImpl]
+ * @returns {string[]} sorted absolute paths
+ */
+function collectMediaFiles(target, fsImpl = fs) {
+  const isVideo = (p) => VIDEO_EXTS.has(path.extname(p).slice(1).toLowerCase());
+  const stat = fsImpl.statSync(target);
+  if (!stat.isDirectory()) return isVideo(target) ? [target] : [];
+  const out = [];
+  const walk = (dir, depth) => {
+    let entries;
+    try { entries = fsImpl.readdirSync(dir, { withFileTypes: true }); } catch (e) { return; }
+    for (const entry of entries) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (depth < MAX_DEPTH && !IGNORED_DIRS.has(entry.name)) walk(full, depth + 1);
+      } else if (entry.isFile() && isVideo(full)) {
+        out.push(full);
+      }
+    }
+  };
+  walk(target, 0);
+  return out.sort();
+}
+
+module.exports = function buildImporter(ctx) {
+  const {
+    users,
+    serverSettings,
+    enrichCache,
+    canonicalize,
+    externalEnrich,
+    updateEnrichCache,
+    renderProviderName,
+    extractProviderRaw,
+    cloneProviderRaw,
+    isProviderComplete,
+    resolveMetadataProviderOrder,
+    persistEnrichCacheNow,
+    appendLog
+  } = ctx;
+  const generatePlanForItem = buildPlanGenerator(ctx);
+
+  const userSettings = (username) => (username && users[username] && users[username].settings) || {};
+
+  function categories(username) {
+    const list = userSettings(username).import_categories;
+    return Array.isArray(list) ? list : [];
+  }
+
+  function categoryFor(username, name) {
+    if (!name) return null;
+    const wanted = String(name).trim().toLowerCase();
+    return categories(username).find(c => c && String(c.name).toLowerCase() === wanted) || null;
+  }
+
+  /**
+   * Queue an import job for files already checked by the route.
+   * @param {string} username
+   * @param {Object} opts
+   * @param {string[]} opts.files - absolute video paths
+   * @param {Object} opts.library - from libraryRegistry.forPath
+   * @param {string} [opts.category]
+   * @param {Object} opts.hints - from normalizeHints
+   * @returns {{ job: Object, category: Object|null }}
+   */
+  function enqueue(username, { files, library, category = null, hints }) {
+    const matched = categoryFor(username, category);
+    const job = ctx.jobQueue.enqueue('import', {
+      username,
+      totalItems: files.length,
+      payload: {
+        files,
+        libraryId: library.id,
+        category: matched ? matched.name : (category || null),
+        hints
+      }
+    });
+    appendLog(`IMPORT_QUEUED job=${job.id} user=${username} library=${library.id} category=${category || '-'} files=${files.length} apply=${!!(matched && matched.apply)}`);
+    return { job, category: matched };
+  }
+
+  function tmdbKeyFor(username) {
+    return userSettings(username).tmdb_api_key || (serverSettings && serverSettings.tmdb_api_key) || null;
+  }
+
+  async function enrichFile(fromPath, username, hints) {
+    const order = resolveMetadataProviderOrder ? resolveMetadataProviderOrder(username, fromPath) : [];
+    const opts = { username };
+    if (order && order[0] === 'anidb') opts.forceHash = true;
+    // A hint is new information, so an earlier failed lookup is not reused
+    if (hints.series || hints.anidbId) opts.force = true;
+    if (hints.series) opts.seriesHint = hints.series;
+    if (hints.anidbId) opts.anidbAid = hints.anidbId;
+    const data = await externalEnrich(fromPath, tmdbKeyFor(username), opts);
+    if (!data) return null;
+    const providerBlock = {
+      title: data.title, year: data.year, season: data.season, episode: data.episode,
+      episodeTitle: data.episodeTitle || '', raw: cloneProviderRaw(extractProviderRaw(data)), renderedName: renderProviderName(data, fromPath, null),
+      matched: !!data.title, source: data.source || (data.provider && data.provider.source) || null,
+      seriesTitleEnglish: data.seriesTitleEnglish || null, seriesTitleRomaji: data.seriesTitleRomaji || null,
+      seriesTitleExact: data.seriesTitleExact || null, originalSeriesTitle: data.originalSeriesTitle || null
+    };
+    return updateEnrichCache(fromPath, Object.assign({}, enrichCache[fromPath] || {}, data, { provider: providerBlock, sourceId: 'provider', cachedAt: Date.now() }));
+  }
+
+  // Output folder for an applying category; null leaves it to each file's library and the user
+  function explicitOutputFor(category) {
+    return category && category.outputFolder ? canonicalize(category.outputFolder) : null;
+  }
+
+  function defaultOutputFor(username) {
+    const out = userSettings(username).scan_output_path || (serverSettings && serverSettings.scan_output_path) || '';
+    return out ? canonicalize(out) : '';
+  }
+
+  /**
+   * Plan and preflight the matched files, and queue an approve job for those without errors.
+   * @returns {{ jobId: string|null, planned: number, skipped: Array<{path:string, reason:string}> }}
+   */
+  function queueApply(username, paths, category, library) {
+    const skipped = [];
+    const explicit = explicitOutputFor(category);
+    const effectiveOutput = explicit || defaultOutputFor(username);
+    if (!effectiveOutput && !(library && library.scan_output_path)) {
+      return { jobId: null, planned: 0, skipped: paths.map(p => ({ path: p, reason: 'no output folder configured' })) };
+    }
+    const plans = [];
+    for (const p of paths) {
+      const entry = enrichCache[p];
+      if (!entry || !isProviderComplete(entry.provider)) { skipped.push({ path: p, reason: 'not matched' }); continue; }
+      if (entry.applied || entry.hidden) { skipped.push({ path: p, reason: entry.applied ? 'already applied' : 'hidden' }); continue; }
+      const plan = generatePlanForItem({ id: p, canonicalPath: p }, { username, effectiveOutput, explicitOutput: !!explicit });
+      if (plan && plan.toPath) plans.push(plan); else skipped.push({ path: p, reason: 'no plan' });
+    }
+    const blocked = new Set();
+    if (plans.length && ctx.preflightChecker) {
+      const preflight = ctx.preflightChecker.check(plans, { username });
+      for (const r of preflight.results) {
+        const errors = r.issues.filter(i => i.severity === 'error');
+        if (!errors.length) continue;
+        blocked.add(r.itemId);
+        skipped.push({ path: r.fromPath, reason: errors.map(i => i.code).join(',') });
+      }
+    }
+    const items = plans.filter(p => !blocked.has(p.itemId)).map(p => ({ canonicalPath: p.fromPath }));
+    if (!items.length) return { jobId: null, planned: 0, skipped };
+    const job = ctx.jobQueue.enqueue('approve', {
+      username,
+      totalItems: items.length,
+      payload: { items, effectiveOutput, explicitOutput: !!explicit, template: null, applyFilenameAsTitle: false, atomic: null, ignoreIntegrity: false }
+    });
+    if (ctx.auditLog) ctx.auditLog.record(username, 'rename.approve', { target: job.id, details: { items: items.length, outputFolder: explicit, trigger: 'import' } });
+    return { jobId: job.id, planned: items.length, skipped };
+  }
+
+  /**
+   * Job handler: enrich the payload files, rescan their library without enriching again, then
+   * apply or hand over to the auto-apply rules.
+   */
+  async function run(job, ctl) {
+    const payload = job.payload || {};
+    const username = job.username;
+    const files = Array.isArray(payload.files) ? payload.files : [];
+    const hints = payload.hints || {};
+    const library = ctx.libraryRegistry.get(username, payload.libraryId);
+    if (!library) throw new Error(`unknown library: ${payload.libraryId}`);
+    job.totalItems = files.length;
+    for (const file of files) {
+      if (ctl.signal.aborted) break;
+      const fromPath = canonicalize(file);
+      const result = { path: fromPath, status: 'pending' };
+      try {
+        if (!fs.existsSync(fromPath)) throw new Error('file not found');
+        const entry = await enrichFile(fromPath, username, hints);
+        result.status = entry ? 'ok' : 'empty';
+        result.matched = !!(entry && isProviderComplete(entry.provider));
+      } catch (e) {
+        result.status = 'error';
+        result.error = e.message;
+        appendLog(`IMPORT_ENRICH_FAIL job=${job.id} path=${fromPath} err=${e.message}`);
+      }
+      job.results.push(result);
+      job.processedItems = job.results.length;
+      ctl.save();
+    }
+    try { persistEnrichCacheNow(); } catch (e) {}
+    if (ctl.signal.aborted) return;
+
+    // The library scan lists the new files; they are already enriched
+    ctx.jobQueue.enqueue('incremental-scan', { username, payload: { libraryId: library.id, enrich: false } });
+
+    const enriched = job.results.filter(r => r.status === 'ok').map(r => r.path);
+    const category = categoryFor(username, payload.category);
+    if (category && category.apply) {
+      const outcome = queueApply(username, enriched, category, library);
+      job.applyJobId = outcome.jobId;
+      job.skipped = outcome.skipped;
+      appendLog(`IMPORT_APPLY job=${job.id} approveJob=${outcome.jobId || '-'} planned=${outcome.planned} skipped=${outcome.skipped.length}`);
+    } else if (ctx.autoApplier) {
+      ctx.autoApplier.trigger(username, enriched, 'import');
+    }
+    const matched = job.results.filter(r => r.matched).length;
+    appendLog(`IMPORT_DONE job=${job.id} user=${username} files=${files.length} matched=${matched} category=${payload.category || '-'}`);
+  }
+
+  return { categories, categoryFor, enqueue, run };
+};
+
+module.exports.VIDEO_EXTS = VIDEO_EXTS;
+module.exports.normalizeCategories = normalizeCategories;
+module.exports.normalizeHints = normalizeHints;
+module.exports.collectMediaFiles = collectMediaFiles;
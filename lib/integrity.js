@@ -0,0 +1,159 @@
+/**
+ * File integrity
+ *
+ * Fansub releases usually carry the CRC32 of the file in the name (`[A1B2C3D4]`). The hashing
+ * pass in lib/ed2k-hash.js takes the CRC32 in the same read as the ED2K hash and stores it in the
+ * `ed2k_hashes` table, so checking a file costs nothing once it has been hashed for AniDB. A file
+ * whose content does not match its tag is either corrupt or mislabelled; the two cannot be told
+ * apart from the checksum alone, so both are reported as `mismatch` and held back from apply
+ * until the user overrides the check.
+ *
+ * Verdicts: `ok`, `mismatch`, or `unverified` (tagged but not hashed yet). Files without a tag get
+ * no verdict at all.
+ */
+
+const { parseReleaseInfo } = require('./release-info');
+const { computeFileHashes } = require('./ed2k-hash');
+
+const STATUSES = ['ok', 'mismatch', 'unverified'];
+const REPORT_ORDER = ['mismatch', 'unverified', 'ok'];
+
+/**
+ * Compare the CRC32 a filename claims with the one computed from its content.
+ * @param {string} filePath
+ * @param {string|null} actualCrc32 - hex CRC32 of the content, null when not hashed yet
+ * @returns {{status:string, expected:string, actual:string|null}|null} null when the name has no tag
+ */
+function verdict(filePath, actualCrc32) {
+  const expected = parseReleaseInfo(filePath).crc32;
+  if (!expected) return null;
+  const actual = actualCrc32 ? String(actualCrc32).toUpperCase().padStart(8, '0') : null;
+  if (!actual) return { status: 'unverified', expected, actual: null };
+  return { status: actual === expected ? 'ok' : 'mismatch', expected, actual };
+}
+
+module.exports = function buildIntegrityChecker(ctx) {
+  const { fs, db, appendLog, scans, enrichCache, canonicalize } = ctx;
+
+  const log = (line) => { try { if (typeof appendLog === 'function') appendLog(line); } catch (e) {} };
+
+  function fileSize(filePath) {
+    try { return fs.statSync(filePath).size; } catch (e) { return null; }
+  }
+
+  /**
+   * Current verdict for a file from the hash cache; never reads the file.
+   */
+  function status(filePath) {
+    if (!parseReleaseInfo(filePath).crc32) return null;
+    const size = fileSize(filePath);
+    if (size == null) return null;
+    let hashes = null;
+    try { hashes = db ? db.getFileHashes(filePath, size) : null; } catch (e) {}
+    const out = verdict(filePath, hashes && hashes.crc32);
+    if (out && hashes && hashes.crc32) out.checkedAt = hashes.computedAt;
+    return out;
+  }
+
+  /**
+   * Hash a tagged file (unless a CRC32 is already cached for it) and return its verdict.
+   * The ED2K hash from the same read is cached too, so AniDB lookups skip hashing later.
+   */
+  async function verify(filePath, { force = false } = {}) {
+    if (!parseReleaseInfo(filePath).crc32) return null;
+    const cached = status(filePath);
+    if (!cached) return null;
+    if (cached.status !== 'unverified' && !force) return cached;
+    const size = fileSize(filePath);
+    const hashes = await computeFileHashes(filePath);
+    try { if (db) db.setEd2kHash(filePath, hashes.ed2k, size, hashes.crc32); } catch (e) {
+      log(`INTEGRITY_CACHE_FAIL path=${filePath} err=${e.message}`);
+    }
+    const out = verdict(filePath, hashes.crc32);
+    out.checkedAt = Date.now();
+    if (out.status === 'mismatch') log(`CRC_MISMATCH path=${filePath} expected=${out.expected} actual=${out.actual}`);
+    else log(`INTEGRITY_OK path=${filePath} crc32=${out.actual}`);
+    return out;
+  }
+
+  // Scanned files that are still waiting to be applied
+  function pendingPaths() {
+    const seen = new Set();
+    for (const scan of Object.values(scans || {})) {
+      for (const it of (scan && Array.isArray(scan.items) ? scan.items : [])) {
+        if (!it || !it.canonicalPath) continue;
+        const key = canonicalize(it.canonicalPath);
+        const entry = enrichCache && enrichCache[key];
+        if (entry && (entry.hidden || entry.applied)) continue;
+        seen.add(key);
+      }
+    }
+    return Array.from(seen);
+  }
+
+  /**
+   * Every tagged file in the scans with its verdict, mismatches first.
+   * @param {Object} [opts]
+   * @param {string} [opts.status] - only files with this verdict
+   */
+  function report({ status: only = null } = {}) {
+    const files = [];
+    const counts = { ok: 0, mismatch: 0, unverified: 0 };
+    for (const filePath of pendingPaths()) {
+      const v = status(filePath);
+      if (!v) continue;
+      counts[v.status]++;
+      if (only && v.status !== only) continue;
+      files.push(Object.assign({ path: filePath }, v));
+    }
+    files.sort((a, b) => REPORT_ORDER.indexOf(a.status) - REPORT_ORDER.indexOf(b.status) || a.path.localeCompare(b.path));
+    return { files, counts, total: counts.ok + counts.mismatch + counts.unverified, generatedAt: Date.now() };
+  }
+
+  /**
+   * Hash every unverified tagged file (or `paths`), one at a time.
+   * @returns {Promise<{checked:number, mismatched:string[], failed:number}>}
+   */
+  async function verifyAll({ paths = null, force = false, signal = null, onProgress = null } = {}) {
+    const targets = (Array.isArray(paths) && paths.length ? paths.map(p => canonicalize(p)) : pendingPaths())
+      .filter(p => parseReleaseInfo(p).crc32);
+    const outcome = { checked: 0, mismatched: [], failed: 0 };
+    for (let i = 0; i < targets.length; i++) {
+      if (signal && signal.aborted) break;
+      try {
+        const v = await verify(targets[i], { force });
+        if (v && v.status !== 'unverified') outcome.checked++;
+        if (v && v.status === 'mismatch') outcome.mismatched.push(targets[i]);
+      } catch (e) {
+        outcome.failed++;
+        log(`INTEGRITY_VERIFY_FAIL path=${targets[i]} err=${e.message}`);
+      }
+      if (typeof onProgress === 'function') onProgress(i + 1, targets.length);
+    }
+    return outcome;
+  }
+
+  /**
+   * Copies of scan items with an `integrity` verdict attached to the tagged ones.
+   */
+  function annotate(items) {
+    return (items || []).map(it => {
+      const v = it && it.canonicalPath ? status(it.canonicalPath) : null;
+      return v ? Object.assign({}, it, { integrity: v }) : it;
+    });
+  }
+
+  /**
+   * Why a file must not be applied, or null when it may be.
+   */
+  function blockReason(filePath) {
+    const v = status(filePath);
+    if (!v || v.status !== 'mismatch') return null;
+    return `CRC32 mismatch: file is corrupt or mislabelled (name says ${v.expected}, content is ${v.actual})`;
+  }
+
+  return { status, verify, verifyAll, report, annotate, blockReason };
+};
+
+module.exports.STATUSES = STATUSES;
+module.exports.verdict = verdict;
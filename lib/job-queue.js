@@ -0,0 +1,454 @@
+/**
+ * Persistent background job queue
+ *
+ * Jobs are rows in the `jobs` table (in memory only when SQLite is unavailable) and move through
+ * queued -> running -> done | error | cancelled. Handlers are registered per type by the module
+ * that owns the work and receive `(job, ctl)`; they report progress by mutating
+ * `job.processedItems` / `job.results` and should stop early once `ctl.signal.aborted` is set.
+ *
+ * A handler that throws is retried with exponential backoff until `maxAttempts` is reached.
+ * On startup, jobs left running by a crash are re-queued when their type is resumable and
+ * failed otherwise. Users can attach cron schedules (`settings.job_schedules`) that enqueue
+ * jobs on their behalf. The server registers system schedules for its own upkeep with
+ * `addSystemSchedule`; their jobs have no user.
+ */
+
+const { setImmediate } = require('timers');
+const { parseCron, nextCronRun } = require('./cron');
+
+const JOB_TYPES = {
+  'full-scan': { concurrency: 1, maxAttempts: 3, resumable: true, schedulable: true },
+  'incremental-scan': { concurrency: 1, maxAttempts: 3, resumable: true, schedulable: true },
+  'bulk-rescan': { concurrency: 1, maxAttempts: 2, resumable: true, schedulable: true },
+  'artwork-fetch': { concurrency: 1, maxAttempts: 3, resumable: true, schedulable: true, adminOnly: true },
+  'cache-sweep': { concurrency: 1, maxAttempts: 1, resumable: true, schedulable: true, adminOnly: true },
+  'auto-apply': { concurrency: 1, maxAttempts: 1, resumable: false, schedulable: true },
+  'completeness-refresh': { concurrency: 1, maxAttempts: 2, resumable: true, schedulable: true },
+  'integrity-verify': { concurrency: 1, maxAttempts: 1, resumable: true, schedulable: true },
+  // Re-enriches incomplete items while nobody is using the server; only run by a system schedule
+  'auto-rescan': { concurrency: 1, maxAttempts: 1, resumable: true },
+  // Enrichment is idempotent, so a crashed import simply runs again
+  'import': { concurrency: 1, maxAttempts: 2, resumable: true },
+  // Applying files is journaled separately; re-running a half-done approve after a crash is not safe
+  'approve': { concurrency: 2, maxAttempts: 1, resumable: false },
+  'backfill-subtitles': { concurrency: 1, maxAttempts: 1, resumable: true }
+};
+
+const JOB_STATUSES = ['queued', 'running', 'done', 'error', 'cancelled'];
+const FINISHED_STATUSES = ['done', 'error', 'cancelled'];
+const DEFAULT_CONCURRENCY = 3;
+const DEFAULT_RETRY_BASE_MS = 30000;
+const MAX_RETRY_DELAY_MS = 15 * 60 * 1000;
+const PROGRESS_SAVE_INTERVAL_MS = 2000;
+const SCHEDULE_CHECK_INTERVAL_MS = 15000;
+// Finished jobs kept in memory when there is no database to hold history
+const MEMORY_HISTORY_LIMIT = 200;
+
+// Fields stored in their own columns; everything else on the job object goes into `state`
+const COLUMN_FIELDS = new Set(['id', 'type', 'status', 'username', 'scheduleId', 'payload', 'error', 'attempts', 'maxAttempts',
+  'runAfter', 'totalItems', 'processedItems', 'createdAt', 'startedAt', 'completedAt']);
+const TRANSIENT_FIELDS = new Set(['currentItemProgress']);
+
+function toRow(job) {
+  const state = {};
+  for (const k of Object.keys(job)) {
+    if (!COLUMN_FIELDS.has(k) && !TRANSIENT_FIELDS.has(k)) state[k] = job[k];
+  }
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    username: job.username || null,
+    schedule_id: job.scheduleId || null,
+    payload: JSON.stringify(job.payload == null ? null : job.payload),
+    state: JSON.stringify(state),
+    error: job.error || null,
+    attempts: job.attempts || 0,
+    max_attempts: job.maxAttempts || 1,
+    run_after: job.runAfter || null,
+    total_items: job.totalItems || 0,
+    processed_items: job.processedItems || 0,
+    created_at: job.createdAt,
+    started_at: job.startedAt || null,
+    completed_at: job.completedAt || null
+  };
+}
+
+function fromRow(row) {
+  if (!row) return null;
+  const parse = (text, fallback) => { try { return text ? JSON.parse(text) : fallback; } catch (e) { return fallback; } };
+  return Object.assign({ results: [] }, parse(row.state, {}), {
+    id: row.id,
+    type: row.type,
+    status: row.status,
+    username: row.username || null,
+    scheduleId: row.schedule_id || null,
+    payload: parse(row.payload, null),
+    error: row.error || null,
+    attempts: row.attempts || 0,
+    maxAttempts: row.max_attempts || 1,
+    runAfter: row.run_after || null,
+    totalItems: row.total_items || 0,
+    processedItems: row.processed_items || 0,
+    createdAt: row.created_at,
+    startedAt: row.started_at || null,
+    completedAt: row.completed_at || null
+  });
+}
+
+/**
+ * Validate and normalise a user job schedule coming from the API.
+ * @param {Object} input - { type, cron, enabled, payload }
+ * @param {Object} [existing]
+ * @throws {Error} when the schedule is invalid
+ */
+function normalizeSchedule(input, existing = null) {
+  const src = Object.assign({}, existing || {}, input || {});
+  const def = JOB_TYPES[src.type];
+  if (!def || !def.schedulable) throw new Error(`job type "${src.type}" cannot be scheduled`);
+  const cron = String(src.cron || '').trim();
+  parseCron(cron);
+  const payload = src.payload && typeof src.payload === 'object' && !Array.isArray(src.payload) ? src.payload : {};
+  return {
+    id: existing && existing.id ? existing.id : src.id,
+    type: src.type,
+    cron,
+    enabled: src.enabled !== false && src.enabled !== 'false',
+    payload
+  };
+}
+
+module.exports = function buildJobQueue(ctx) {
+  const { db, appendLog, uuidv4, serverSettings, users } = ctx;
+  const retryBaseMs = Number.isFinite(ctx.jobRetryBaseMs) ? ctx.jobRetryBaseMs : DEFAULT_RETRY_BASE_MS;
+  const handlers = new Map();
+  const live = new Map();
+  const controllers = new Map();
+  const lastSavedAt = new Map();
+  const nextRuns = new Map();
+  const systemSchedules = new Map();
+  let scheduleTimer = null;
+  let pumpQueued = false;
+  let wakeTimer = null;
+
+  const log = (line) => { try { appendLog(line); } catch (e) {} };
+
+  function emit(job) {
+    if (typeof ctx.broadcastEvent !== 'function') return;
+    try { ctx.broadcastEvent('job_updated', job); } catch (e) {}
+  }
+
+  function persist(job) {
+    lastSavedAt.set(job.id, Date.now());
+    if (!db || typeof db.upsertJob !== 'function') return;
+    try { db.upsertJob(toRow(job)); } catch (e) { log(`JOB_PERSIST_FAIL id=${job.id} err=${e.message}`); }
+  }
+
+  function persistThrottled(job) {
+    if (Date.now() - (lastSavedAt.get(job.id) || 0) < PROGRESS_SAVE_INTERVAL_MS) return;
+    persist(job);
+    emit(job);
+  }
+
+  function concurrencyLimit() {
+    const n = parseInt(serverSettings && serverSettings.job_concurrency, 10);
+    return Number.isFinite(n) && n > 0 ? n : DEFAULT_CONCURRENCY;
+  }
+
+  function finish(job, status, error = null) {
+    job.status = status;
+    job.error = error;
+    job.completedAt = Date.now();
+    job.runAfter = null;
+    delete job.currentItemProgress;
+    persist(job);
+    lastSavedAt.delete(job.id);
+    emit(job);
+    log(`JOB_${status.toUpperCase()} id=${job.id} type=${job.type} attempts=${job.attempts}${error ? ` err=${error}` : ''}`);
+    if (db && typeof db.upsertJob === 'function') {
+      live.delete(job.id);
+      return;
+    }
+    // Without a database the live map doubles as history
+    const finished = [...live.values()].filter(j => FINISHED_STATUSES.includes(j.status));
+    for (const old of finished.slice(0, Math.max(0, finished.length - MEMORY_HISTORY_LIMIT))) live.delete(old.id);
+  }
+
+  /**
+   * Register the function that performs jobs of one type.
+   * @param {string} type
+   * @param {(job: Object, ctl: {signal: AbortSignal, save: Function}) => Promise<void>} handler
+   */
+  function registerHandler(type, handler) {
+    if (!JOB_TYPES[type]) throw new Error(`unknown job type ${type}`);
+    handlers.set(type, handler);
+    schedulePump();
+  }
+
+  /**
+   * Queue a job. It starts as soon as a concurrency slot for its type is free.
+   * @returns {Object} the live job record
+   */
+  function enqueue(type, { username = null, payload = {}, totalItems = 0, scheduleId = null, maxAttempts } = {}) {
+    const def = JOB_TYPES[type];
+    if (!def) throw new Error(`unknown job type ${type}`);
+    const job = {
+      id: uuidv4(),
+      type,
+      status: 'queued',
+      username,
+      scheduleId,
+      payload,
+      createdAt: Date.now(),
+      startedAt: null,
+      completedAt: null,
+      runAfter: null,
+      attempts: 0,
+      maxAttempts: Number.isFinite(maxAttempts) && maxAttempts > 0 ? maxAttempts : def.maxAttempts,
+      totalItems: totalItems || 0,
+      processedItems: 0,
+      results: [],
+      error: null
+    };
+    live.set(job.id, job);
+    persist(job);
+    emit(job);
+    log(`JOB_QUEUED id=${job.id} type=${type} user=${username || '-'}${scheduleId ? ` schedule=${scheduleId}` : ''}`);
+    schedulePump();
+    return job;
+  }
+
+  function schedulePump() {
+    if (pumpQueued) return;
+    pumpQueued = true;
+    setImmediate(() => { pumpQueued = false; pump(); });
+  }
+
+  function pump() {
+    const now = Date.now();
+    const all = [...live.values()];
+    const running = all.filter(j => j.status === 'running');
+    const perType = {};
+    for (const j of running) perType[j.type] = (perType[j.type] || 0) + 1;
+    let slots = concurrencyLimit() - running.length;
+    const ready = all.filter(j => j.status === 'queued' && (!j.runAfter || j.runAfter <= now))
+      .sort((a, b) => a.createdAt - b.createdAt);
+    for (const job of ready) {
+      if (slots <= 0) break;
+      if ((perType[job.type] || 0) >= JOB_TYPES[job.type].concurrency) continue;
+      const handler = handlers.get(job.type);
+      if (!handler) {
+        finish(job, 'error', `no handler registered for job type ${job.type}`);
+        continue;
+      }
+      slots--;
+      perType[job.type] = (perType[job.type] || 0) + 1;
+      void run(job, handler);
+    }
+    // Wake for the earliest retry; re-armed on every pump, so a timer that fires a little early is harmless
+    const deferred = all.filter(j => j.status === 'queued' && j.runAfter && j.runAfter > now);
+    if (wakeTimer) { clearTimeout(wakeTimer); wakeTimer = null; }
+    if (deferred.length) {
+      wakeTimer = setTimeout(() => { wakeTimer = null; schedulePump(); }, Math.min(...deferred.map(j => j.runAfter)) - now);
+      if (typeof wakeTimer.unref === 'function') wakeTimer.unref();
+    }
+  }
+
+  async function run(job, handler) {
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+    job.status = 'running';
+    job.startedAt = Date.now();
+    job.completedAt = null;
+    job.runAfter = null;
+    job.attempts += 1;
+    job.error = null;
+    job.processedItems = 0;
+    job.results = [];
+    persist(job);
+    emit(job);
+    log(`JOB_START id=${job.id} type=${job.type} attempt=${job.attempts}/${job.maxAttempts}`);
+    const ctl = { signal: controller.signal, save: () => persistThrottled(job) };
+    try {
+      await handler(job, ctl);
+      finish(job, controller.signal.aborted ? 'cancelled' : 'done');
+    } catch (e) {
+      const message = e && e.message ? e.message : String(e);
+      if (controller.signal.aborted) {
+        finish(job, 'cancelled');
+      } else if (job.attempts < job.maxAttempts) {
+        const delay = Math.min(MAX_RETRY_DELAY_MS, retryBaseMs * Math.pow(2, job.attempts - 1));
+        job.status = 'queued';
+        job.error = message;
+        job.runAfter = Date.now() + delay;
+        persist(job);
+        emit(job);
+        log(`JOB_RETRY id=${job.id} type=${job.type} attempt=${job.attempts} in_ms=${delay} err=${message}`);
+      } else {
+        finish(job, 'error', message);
+      }
+    } finally {
+      controllers.delete(job.id);
+      schedulePump();
+    }
+  }
+
+  /**
+   * Cancel a queued job immediately, or ask a running one to stop after its current item.
+   * @returns {Object|null} the job, or null when it is unknown or already finished
+   */
+  function cancel(id) {
+    const job = live.get(id);
+    if (!job || FINISHED_STATUSES.includes(job.status)) return null;
+    if (job.status === 'queued') {
+      finish(job, 'cancelled');
+      return job;
+    }
+    const controller = controllers.get(id);
+    if (controller) controller.abort();
+    job.cancelRequested = true;
+    persist(job);
+    emit(job);
+    log(`JOB_CANCEL_REQUESTED id=${id} type=${job.type}`);
+    return job;
+  }
+
+  function getJob(id) {
+    if (live.has(id)) return live.get(id);
+    if (db && typeof db.getJob === 'function') {
+      try { return fromRow(db.getJob(id)); } catch (e) { return null; }
+    }
+    return null;
+  }
+
+  /**
+   * Queued, running and finished jobs visible to a user (admins see everyone's).
+   */
+  function listJobs({ username = null, isAdmin = false, limit = 50 } = {}) {
+    const visible = (j) => isAdmin || !j.username || j.username === username;
+    const active = [...live.values()].filter(visible);
+    let history;
+    if (db && typeof db.listJobs === 'function') {
+      history = db.listJobs({ statuses: FINISHED_STATUSES, limit: limit * 4 }).map(fromRow).filter(visible);
+    } else {
+      history = active.filter(j => FINISHED_STATUSES.includes(j.status)).sort((a, b) => (b.completedAt || 0) - (a.completedAt || 0));
+    }
+    return {
+      queued: active.filter(j => j.status === 'queued').sort((a, b) => a.createdAt - b.createdAt),
+      running: active.filter(j => j.status === 'running'),
+      history: history.slice(0, limit)
+    };
+  }
+
+  function recover() {
+    if (!db || typeof db.listJobs !== 'function') return;
+    let rows = [];
+    try { rows = db.listJobs({ statuses: ['queued', 'running'], limit: 100000 }); } catch (e) { log(`JOB_RECOVER_FAIL err=${e.message}`); return; }
+    for (const row of rows.reverse()) {
+      const job = fromRow(row);
+      if (live.has(job.id)) continue;
+      const def = JOB_TYPES[job.type];
+      live.set(job.id, job);
+      if (job.status === 'running') {
+        if (def && def.resumable && !job.cancelRequested) {
+          job.status = 'queued';
+          job.runAfter = null;
+          persist(job);
+          log(`JOB_RESUMED id=${job.id} type=${job.type}`);
+        } else {
+          finish(job, job.cancelRequested ? 'cancelled' : 'error', job.cancelRequested ? null : 'interrupted by server restart');
+        }
+      }
+    }
+  }
+
+  function schedulesByUser() {
+    const out = [];
+    for (const username of Object.keys(users || {})) {
+      const list = users[username] && users[username].settings && Array.isArray(users[username].settings.job_schedules)
+        ? users[username].settings.job_schedules : [];
+      for (const schedule of list) if (schedule && schedule.id) out.push({ username, schedule });
+    }
+    return out;
+  }
+
+  /**
+   * Register a schedule the server owns. Its jobs run without a user.
+   * @param {Object} schedule
+   * @param {string} schedule.id - unique, e.g. `system:artwork-fetch`
+   * @param {string} schedule.type - a JOB_TYPES key
+   * @param {string} schedule.cron
+   * @param {Object} [schedule.payload]
+   * @param {Function} [schedule.when] - checked when the schedule is due; a falsy result skips
+   *   that run, so schedules with nothing to do leave no job behind
+   */
+  function addSystemSchedule({ id, type, cron, payload = {}, when = null }) {
+    if (!JOB_TYPES[type]) throw new Error(`unknown job type ${type}`);
+    parseCron(cron);
+    systemSchedules.set(id, { id, type, cron, enabled: true, payload, when });
+  }
+
+  function nextRunFor(username, schedule) {
+    const key = `${username || ''}:${schedule.id}`;
+    let entry = nextRuns.get(key);
+    if (!entry || entry.cron !== schedule.cron) {
+      let at = null;
+      try { const next = nextCronRun(schedule.cron); at = next ? next.getTime() : null; } catch (e) { at = null; }
+      entry = { cron: schedule.cron, at };
+      nextRuns.set(key, entry);
+    }
+    return entry.at;
+  }
+
+  /**
+   * Enqueue jobs for schedules whose next run time has passed. Runs missed while the
+   * server was down are not replayed; a schedule is skipped while its previous job is pending.
+   */
+  function checkSchedules(now = Date.now()) {
+    const seen = new Set();
+    const system = [...systemSchedules.values()].map(schedule => ({ username: null, schedule }));
+    for (const { username, schedule } of [...system, ...schedulesByUser()]) {
+      const key = `${username || ''}:${schedule.id}`;
+      seen.add(key);
+      if (!schedule.enabled) { nextRuns.delete(key); continue; }
+      const at = nextRunFor(username, schedule);
+      if (at == null || now < at) continue;
+      nextRuns.delete(key);
+      nextRunFor(username, schedule);
+      const pending = [...live.values()].some(j => j.scheduleId === schedule.id && !FINISHED_STATUSES.includes(j.status));
+      if (pending) {
+        log(`JOB_SCHEDULE_SKIP schedule=${schedule.id} user=${username || '-'} reason=previous_run_pending`);
+        continue;
+      }
+      try {
+        if (typeof schedule.when === 'function' && !schedule.when()) continue;
+        enqueue(schedule.type, { username, payload: schedule.payload || {}, scheduleId: schedule.id });
+      } catch (e) {
+        log(`JOB_SCHEDULE_FAIL schedule=${schedule.id} user=${username || '-'} err=${e.message}`);
+      }
+    }
+    for (const key of [...nextRuns.keys()]) if (!seen.has(key)) nextRuns.delete(key);
+  }
+
+  function start() {
+    recover();
+    if (!scheduleTimer) {
+      scheduleTimer = setInterval(() => { checkSchedules(); }, SCHEDULE_CHECK_INTERVAL_MS);
+      if (typeof scheduleTimer.unref === 'function') scheduleTimer.unref();
+    }
+    schedulePump();
+    log(`JOB_QUEUE_STARTED concurrency=${concurrencyLimit()}`);
+  }
+
+  function stop() {
+    if (scheduleTimer) { clearInterval(scheduleTimer); scheduleTimer = null; }
+    if (wakeTimer) { clearTimeout(wakeTimer); wakeTimer = null; }
+  }
+
+  return { registerHandler, enqueue, cancel, getJob, listJobs, addSystemSchedule, checkSchedules, nextRunFor, start, stop };
+};
+
+module.exports.JOB_TYPES = JOB_TYPES;
+module.exports.JOB_STATUSES = JOB_STATUSES;
+module.exports.FINISHED_STATUSES = FINISHED_STATUSES;
+module.exports.normalizeSchedule = normalizeSchedule;
@@ -0,0 +1,142 @@
+/**
+ * Libraries
+ *
+ * A user's media can be split into named libraries ("Anime", "Western TV", "Movies"), each with
+ * its own input path and optional overrides for the output folder, rename template, metadata
+ * provider order, folder watching and apply mode. Libraries are kept in the user's `libraries`
+ * setting. The user's own `scan_input_path` is the implicit `local` library, so setups that never
+ * define libraries behave as before and scans tagged `local` keep their meaning.
+ *
+ * A file belongs to the library whose input path contains it (the deepest one when libraries
+ * nest). That library's overrides win over the user's settings for the file; overrides it leaves
+ * unset fall through to the user's and then the server's settings.
+ */
+
+const path = require('path');
+const { normalizeApplyMode } = require('./file-ops');
+
+const DEFAULT_LIBRARY_ID = 'local';
+const DEFAULT_LIBRARY_NAME = 'Local folder';
+// Per-library overrides, named like the user settings they override
+const LIBRARY_SETTINGS = ['scan_output_path', 'rename_template', 'metadata_provider_order', 'enable_folder_watch', 'apply_mode'];
+
+function slugify(name) {
+  return String(name || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+}
+
+function optionalString(value) {
+  if (value === undefined || value === null) return null;
+  const s = String(value).trim();
+  return s || null;
+}
+
+/**
+ * Validate a library definition from a client.
+ * @param {Object} src - { name, scan_input_path, ...LIBRARY_SETTINGS }
+ * @param {Object} [existing] - stored library being updated; fields missing from `src` are kept
+ * @param {Object} [opts]
+ * @param {string[]} [opts.takenIds] - ids already used by the user's other libraries
+ * @param {Function} [opts.sanitizeProviderOrder] - cleans a provider id list
+ * @returns {Object} stored form
+ */
+function normalizeLibrary(src, existing = null, { takenIds = [], sanitizeProviderOrder = null } = {}) {
+  const input = Object.assign({}, existing || {}, src || {});
+  const name = optionalString(input.name);
+  if (!name) throw new Error('library name is required');
+  const inputPath = optionalString(input.scan_input_path);
+  if (!inputPath) throw new Error('scan_input_path is required');
+
+  let id = existing && existing.id;
+  if (!id) {
+    const base = slugify(name) || 'library';
+    if (base === DEFAULT_LIBRARY_ID) throw new Error(`"${DEFAULT_LIBRARY_ID}" is reserved for the scan input path in settings`);
+    id = base;
+    for (let n = 2; takenIds.includes(id) || id === DEFAULT_LIBRARY_ID; n++) id = `${base}-${n}`;
+  }
+
+  const out = { id, name, scan_input_path: path.resolve(inputPath) };
+  const outputPath = optionalString(input.scan_output_path);
+  if (outputPath) out.scan_output_path = path.resolve(outputPath);
+  const template = optionalString(input.rename_template);
+  if (template) out.rename_template = template;
+  if (Array.isArray(input.metadata_provider_order) && input.metadata_provider_order.length) {
+    const order = typeof sanitizeProviderOrder === 'function'
+      ? sanitizeProviderOrder(input.metadata_provider_order)
+      : input.metadata_provider_order.map(String);
+    if (order.length) out.metadata_provider_order = order;
+  }
+  if (input.enable_folder_watch !== undefined && input.enable_folder_watch !== null && input.enable_folder_watch !== '') {
+    out.enable_folder_watch = input.enable_folder_watch === true || ['true', '1', 'yes', 'on'].includes(String(input.enable_folder_watch).toLowerCase());
+  }
+  if (optionalString(input.apply_mode)) {
+    const mode = normalizeApplyMode(input.apply_mode);
+    if (!mode) throw new Error(`unknown apply mode: ${input.apply_mode}`);
+    out.apply_mode = mode;
+  }
+  return out;
+}
+
+module.exports = function buildLibraryRegistry(ctx) {
+  const { users, canonicalize, getEffectiveScanInputPath } = ctx;
+
+  const key = (p) => {
+    try { return canonicalize ? canonicalize(p) : path.resolve(p); } catch (e) { return String(p || ''); }
+  };
+
+  function stored(username) {
+    const settings = username && users && users[username] && users[username].settings;
+    return settings && Array.isArray(settings.libraries) ? settings.libraries.filter(l => l && l.id && l.scan_input_path) : [];
+  }
+
+  /**
+   * The user's libraries: the implicit `local` one (when a scan input path is configured) first.
+   */
+  function list(username) {
+    const out = [];
+    const legacyPath = typeof getEffectiveScanInputPath === 'function' ? getEffectiveScanInputPath(username) : null;
+    if (legacyPath) out.push({ id: DEFAULT_LIBRARY_ID, name: DEFAULT_LIBRARY_NAME, scan_input_path: path.resolve(legacyPath), implicit: true });
+    for (const lib of stored(username)) out.push(Object.assign({}, lib));
+    return out;
+  }
+
+  function get(username, id) {
+    if (!id) return null;
+    return list(username).find(l => l.id === String(id)) || null;
+  }
+
+  /**
+   * The library a file lives in, or null when it is outside every library.
+   */
+  function forPath(username, filePath) {
+    if (!filePath) return null;
+    const target = key(filePath);
+    let best = null;
+    let bestLen = -1;
+    for (const lib of list(username)) {
+      const root = key(lib.scan_input_path).replace(/[\\/]+$/, '');
+      if (target !== root && !target.startsWith(root + '/') && !target.startsWith(root + '\\')) continue;
+      if (root.length > bestLen) { best = lib; bestLen = root.length; }
+    }
+    return best;
+  }
+
+  /**
+   * A library override for a file, or undefined when its library leaves the setting to the user.
+   * @param {string} username
+   * @param {string|Object} fileOrLibrary - file path, or a library from list()/get()
+   * @param {string} setting - one of LIBRARY_SETTINGS
+   */
+  function override(username, fileOrLibrary, setting) {
+    const lib = fileOrLibrary && typeof fileOrLibrary === 'object' ? fileOrLibrary : forPath(username, fileOrLibrary);
+    if (!lib || lib[setting] === undefined || lib[setting] === null || lib[setting] === '') return undefined;
+    return lib[setting];
+  }
+
+  return { list, get, forPath, override, stored };
+};
+
+module.exports.DEFAULT_LIBRARY_ID = DEFAULT_LIBRARY_ID;
+module.exports.DEFAULT_LIBRARY_NAME = DEFAULT_LIBRARY_NAME;
+module.exports.LIBRARY_SETTINGS = LIBRARY_SETTINGS;
+module.exports.normalizeLibrary = normalizeLibrary;
@@ -0,0 +1,117 @@
+/**
+ * Match candidates
+ *
+ * Provider searches usually return several plausible series; only the best one becomes the match.
+ * The runners-up are kept here in one shape per provider so the user can pick a different series
+ * when the automatic choice is wrong. The pick is saved as a series-wide manual ID.
+ */
+
+const MAX_CANDIDATES = 5;
+const TMDB_POSTER_BASE = 'https://image.tmdb.org/t/p/w185';
+const PICKABLE_PROVIDERS = ['anilist', 'tmdb', 'tvdb'];
+
+function yearOf(value) {
+  if (value == null || value === '') return null;
+  const m = String(value).match(/^(\d{4})/);
+  return m ? Number(m[1]) : null;
+}
+
+function positiveCount(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+/**
+ * @param {Object} media - AniList `Media` node
+ * @returns {{provider:'anilist',id:string,title:string,altTitles:string[],year:number|null,type:string|null,episodes:number|null,poster:string|null}|null}
+ */
+function fromAniList(media) {
+  if (!media || media.id == null) return null;
+  const t = media.title || {};
+  const titles = [t.english, t.romaji, t.native].filter(Boolean);
+  if (!titles.length) return null;
+  return {
+    provider: 'anilist',
+    id: String(media.id),
+    title: titles[0],
+    altTitles: titles.slice(1),
+    year: media.seasonYear || (media.startDate && media.startDate.year) || null,
+    type: media.format || null,
+    episodes: positiveCount(media.episodes),
+    poster: (media.coverImage && (media.coverImage.medium || media.coverImage.large)) || null
+  };
+}
+
+/**
+ * @param {Object} hit - TMDb `/search/tv` or `/search/movie` result
+ * @param {'tv'|'movie'} mediaType
+ */
+function fromTmdb(hit, mediaType) {
+  if (!hit || hit.id == null) return null;
+  const title = hit.name || hit.title || hit.original_name || hit.original_title || null;
+  if (!title) return null;
+  const original = hit.original_name || hit.original_title || null;
+  return {
+    provider: 'tmdb',
+    id: String(hit.id),
+    title,
+    altTitles: original && original !== title ? [original] : [],
+    year: yearOf(hit.first_air_date || hit.release_date),
+    type: mediaType || hit.media_type || null,
+    episodes: positiveCount(hit.number_of_episodes),
+    poster: hit.poster_path ? `${TMDB_POSTER_BASE}${hit.poster_path}` : null
+  };
+}
+
+/**
+ * @param {Object} item - TVDB v4 `/search` result
+ */
+function fromTvdb(item) {
+  if (!item) return null;
+  const id = item.tvdb_id != null ? item.tvdb_id : item.id;
+  const title = item.seriesName || item.name || null;
+  if (id == null || !title) return null;
+  return {
+    provider: 'tvdb',
+    id: String(id).replace(/^series-/, ''),
+    title,
+    altTitles: Array.isArray(item.aliases) ? item.aliases.filter(a => typeof a === 'string' && a !== title).slice(0, 3) : [],
+    year: yearOf(item.year || item.first_air_time || item.firstAired),
+    type: item.type || 'series',
+    episodes: positiveCount(item.episode_count || item.episodes),
+    poster: item.image_url || item.thumbnail || item.image || null
+  };
+}
+
+/**
+ * Merge candidates into a per-provider sink, keeping the first occurrence of each ID and at most
+ * `MAX_CANDIDATES` per provider. Lists arrive best-first, so earlier searches win ties.
+ * @param {Object<string, Array>} sink
+ * @param {string} provider
+ * @param {Array} list - already mapped with fromAniList/fromTmdb/fromTvdb; nulls are skipped
+ */
+function addCandidates(sink, provider, list) {
+  if (!sink || !provider || !Array.isArray(list)) return sink;
+  const existing = Array.isArray(sink[provider]) ? sink[provider] : [];
+  for (const c of list) {
+    if (!c || existing.length >= MAX_CANDIDATES) continue;
+    if (existing.some(e => e.id === c.id)) continue;
+    existing.push(c);
+  }
+  if (existing.length) sink[provider] = existing;
+  return sink;
+}
+
+/**
+ * Manual-ID fields for a picked candidate, in the shape POST /api/manual-ids stores.
+ * @returns {Object|null} null when the provider cannot be pinned by manual ID
+ */
+function manualIdEntryFor(candidate) {
+  if (!candidate || !PICKABLE_PROVIDERS.includes(candidate.provider) || !candidate.id) return null;
+  const entry = { [candidate.provider]: String(candidate.id) };
+  if (candidate.provider === 'tmdb') entry.tmdbType = candidate.type === 'movie' ? 'movie' : 'tv';
+  if (candidate.provider === 'tvdb') entry.tvdbType = candidate.type === 'movie' ? 'movie' : 'series';
+  return entry;
+}
+
+module.exports = { MAX_CANDIDATES, PICKABLE_PROVIDERS, fromAniList, fromTmdb, fromTvdb, addCandidates, manualIdEntryFor };
@@ -0,0 +1,168 @@
+/**
+ * Match confidence
+ *
+ * Scores how sure an enrichment is that the provider answer belongs to the file and records why,
+ * so fuzzy title-search hits can be reviewed before solid ED2K or manual-ID matches.
+ */
+
+const CONFIDENCE_LEVELS = [
+  { level: 'high', min: 80 },
+  { level: 'medium', min: 50 },
+  { level: 'low', min: 0 }
+];
+
+const HASH_SOURCE = 'anidb-ed2k';
+
+function normalizeTitle(value) {
+  return String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/^the\s+/, '')
+    .trim();
+}
+
+function bigrams(text) {
+  const grams = new Map();
+  const compact = text.replace(/\s+/g, ' ');
+  for (let i = 0; i < compact.length - 1; i++) {
+    const g = compact.slice(i, i + 2);
+    grams.set(g, (grams.get(g) || 0) + 1);
+  }
+  return grams;
+}
+
+/**
+ * Sørensen–Dice similarity of two titles' character bigrams after normalization.
+ * @returns {number} 0..1
+ */
+function titleSimilarity(a, b) {
+  const x = normalizeTitle(a);
+  const y = normalizeTitle(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+  if (x.length < 2 || y.length < 2) return 0;
+  const gx = bigrams(x);
+  const gy = bigrams(y);
+  let overlap = 0;
+  for (const [g, n] of gx) overlap += Math.min(n, gy.get(g) || 0);
+  const total = (x.length - 1) + (y.length - 1);
+  return total ? (2 * overlap) / total : 0;
+}
+
+function levelFor(score) {
+  return CONFIDENCE_LEVELS.find(l => score >= l.min).level;
+}
+
+// Providers report series length under different keys
+function episodeCountFromRaw(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const n = raw.episodes != null ? raw.episodes : (raw.number_of_episodes != null ? raw.number_of_episodes : (raw.episodeCount != null ? raw.episodeCount : raw.episode_count));
+  const count = Number(n);
+  return Number.isFinite(count) && count > 0 ? count : null;
+}
+
+/**
+ * Score one enrichment outcome.
+ * @param {Object} input
+ * @param {string|null} input.provider - provider id that answered (anidb, anilist, tmdb, ...)
+ * @param {string|null} [input.source] - provider source tag; 'anidb-ed2k' marks a hash match
+ * @param {boolean} [input.matched]
+ * @param {boolean} [input.custom] - user-entered metadata
+ * @param {{provider:string,id:string}|null} [input.manualId] - manual ID that forced the match
+ * @param {Array<{providers:string[],query:string}>} [input.queries] - lookups tried, in order
+ * @param {string|null} [input.query] - query that produced the match
+ * @param {string[]} [input.titles] - titles the provider returned
+ * @param {boolean} [input.parentFallback] - matched on the parent folder name
+ * @param {number|null} [input.parsedYear]
+ * @param {number|null} [input.matchedYear]
+ * @param {number|null} [input.parsedEpisode]
+ * @param {number|null} [input.episodeCount]
+ * @param {boolean|null} [input.hasEpisodeTitle] - null for movies
+ * @returns {{score:number,level:string,method:string,provider:string|null,source:string|null,queries:Array,query:string|null,matchedTitle:string|null,titleSimilarity:number|null,yearMatch:boolean|null,episodeCountMatch:boolean|null,manualId:Object|null,parentFallback:boolean,reasons:string[]}}
+ */
+function scoreMatch(input = {}) {
+  const out = {
+    score: 0,
+    level: 'low',
+    method: 'none',
+    provider: input.provider || null,
+    source: input.source || null,
+    queries: Array.isArray(input.queries) ? input.queries : [],
+    query: input.query || null,
+    matchedTitle: null,
+    titleSimilarity: null,
+    yearMatch: null,
+    episodeCountMatch: null,
+    manualId: input.manualId || null,
+    parentFallback: !!input.parentFallback,
+    reasons: []
+  };
+
+  if (input.custom) {
+    out.method = 'custom';
+    out.score = 100;
+    out.level = 'high';
+    out.reasons.push('metadata entered by hand');
+    return out;
+  }
+  if (!input.matched || !input.provider) {
+    out.reasons.push(out.queries.length ? 'no provider matched any query' : 'no provider lookup was made');
+    return out;
+  }
+
+  const titles = (Array.isArray(input.titles) ? input.titles : []).filter(Boolean);
+  if (out.query && titles.length) {
+    let best = -1;
+    for (const t of titles) {
+      const s = titleSimilarity(out.query, t);
+      if (s > best) { best = s; out.matchedTitle = t; }
+    }
+    out.titleSimilarity = Math.round(best * 100) / 100;
+  }
+
+  let score;
+  if (out.source === HASH_SOURCE) {
+    out.method = 'hash';
+    score = 97;
+    out.reasons.push('AniDB ED2K hash identified the exact file');
+  } else if (out.manualId) {
+    out.method = 'manual';
+    score = 92;
+    out.reasons.push(`manual ${out.manualId.provider} ID ${out.manualId.id} forced the match`);
+  } else {
+    out.method = 'title-search';
+    const sim = out.titleSimilarity == null ? 0 : out.titleSimilarity;
+    score = 20 + Math.round(sim * 60);
+    out.reasons.push(`${out.provider} title search, ${Math.round(sim * 100)}% title similarity`);
+    if (out.parentFallback) {
+      score -= 5;
+      out.reasons.push('matched on the parent folder name');
+    }
+  }
+
+  // A hash match is authoritative; agreement checks only move search-based scores
+  const adjust = out.method !== 'hash';
+  if (input.parsedYear && input.matchedYear) {
+    out.yearMatch = Number(input.parsedYear) === Number(input.matchedYear);
+    if (adjust) score += out.yearMatch ? 8 : -15;
+    out.reasons.push(out.yearMatch ? `year ${input.matchedYear} agrees` : `year ${input.parsedYear} in filename, provider says ${input.matchedYear}`);
+  }
+  if (input.parsedEpisode != null && input.episodeCount) {
+    out.episodeCountMatch = Number(input.parsedEpisode) <= Number(input.episodeCount);
+    if (adjust) score += out.episodeCountMatch ? 5 : -20;
+    if (!out.episodeCountMatch) out.reasons.push(`episode ${input.parsedEpisode} is past the ${input.episodeCount} episodes listed`);
+  }
+  if (input.hasEpisodeTitle === false && adjust) {
+    score -= 5;
+    out.reasons.push('no episode title found');
+  }
+
+  out.score = Math.max(0, Math.min(100, score));
+  out.level = levelFor(out.score);
+  return out;
+}
+
+module.exports = { scoreMatch, titleSimilarity, normalizeTitle, episodeCountFromRaw, CONFIDENCE_LEVELS };
@@ -2,13 +2,14 @@
  * Meta Providers Module
  * 
  * Provides unified metadata lookup with multiple provider fallback chain:
- * 1. AniDB (via ED2K hash lookup) - Primary for anime
+ * 1. AniDB (title from the offline titles index, else ED2K hash lookup) - Primary for anime
  * 2. Existing provider chain (AniList -> TVDb -> TMDb) - Fallback
  * 
  * This module wraps the existing metaLookup with AniDB hash-based lookup first
  */
 
 let computeEd2kHash = null
+let computeFileHashes = null
 let getAniDBUDPClient = null
 
 // Pre-compiled regex patterns for performance
@@ -26,6 +27,7 @@ const REGEX_NON_ALPHANUMERIC = /[^a-z0-9]/gi
 try {
   const ed2kModule = require('./ed2k-hash')
   computeEd2kHash = ed2kModule.computeEd2kHash
+  computeFileHashes = ed2kModule.computeFileHashes
 } catch (e) {
   console.error('[MetaProviders] Failed to load ed2k-hash module:', e.message)
 }
@@ -39,6 +41,16 @@ try {
 
 const fs = require('fs')
 const path = require('path')
+const { verdict: integrityVerdict } = require('./integrity')
+
+// Cache both hashes from one read and flag a file whose content disagrees with its [CRC32] tag
+function cacheFileHashes(filePath, hashes, fileSize) {
+  require('./db').setEd2kHash(filePath, hashes.ed2k, fileSize, hashes.crc32)
+  const check = integrityVerdict(filePath, hashes.crc32)
+  if (check && check.status === 'mismatch') {
+    console.warn('[MetaProviders] CRC32 mismatch - file is corrupt or mislabelled:', filePath, `expected=${check.expected} actual=${check.actual}`)
+  }
+}
 
 // AniDB concurrency lock: serializes all lookupMetadataWithAniDB calls so only
 // one UDP session sequence runs at a time, preventing AUTH command pile-ups when
@@ -242,6 +254,7 @@ function parseAniDbTimestamp(value) {
  *   - force: Force refresh
  *   - fallbackMetaLookup: The existing metaLookup function to use as fallback
  *   - tmdbApiKey: TMDb API key for fallback
+ *   - resolveAnidbAid: (title, { season }) => { aid, score } | null from the offline titles index
  * @returns {Promise<object|null>} Metadata result or null
  */
 async function lookupMetadataWithAniDB(filePath, title, opts = {}, forceHash = false) {
@@ -280,16 +293,33 @@ async function lookupMetadataWithAniDB(filePath, title, opts = {}, forceHash = f
     return null;
   }
 
-  // Check for manual AniDB episode ID override
-  if (opts && opts.manualAnidbEpisodeId && opts.anidb_username && opts.anidb_password) {
-    console.log('[MetaProviders] Manual AniDB episode ID provided:', opts.manualAnidbEpisodeId);
+  // Offline title index (lib/anidb-titles.js): when the parsed title names exactly one anime,
+  // the episode is asked for by number and the file never needs hashing
+  let titleIndexMatch = null;
+  if (opts && !opts.manualAnidbEpisodeId && typeof opts.resolveAnidbAid === 'function' && opts.anidb_username && opts.anidb_password) {
+    const episodeNum = Number(opts.episode);
+    if (title && Number.isInteger(episodeNum) && episodeNum > 0) {
+      try {
+        const match = opts.resolveAnidbAid(title, { season: opts.season });
+        if (match && match.aid) titleIndexMatch = { aid: match.aid, epno: String(episodeNum), score: match.score };
+      } catch (indexErr) {
+        console.error('[MetaProviders] AniDB title index lookup error:', indexErr.message);
+      }
+    }
+  }
+
+  // Check for manual AniDB episode ID override, or the episode of the title index match
+  if (opts && (opts.manualAnidbEpisodeId || titleIndexMatch) && opts.anidb_username && opts.anidb_password) {
+    if (opts.manualAnidbEpisodeId) console.log('[MetaProviders] Manual AniDB episode ID provided:', opts.manualAnidbEpisodeId);
+    else console.log('[MetaProviders] AniDB title index match:', titleIndexMatch);
     try {
       const clientName = opts.anidb_client_name || 'mediabrowser';
       const clientVersion = opts.anidb_client_version || 1;
       const anidbClient = getAniDBUDPClient(opts.anidb_username, opts.anidb_password, clientName, clientVersion);
       
-      console.log('[MetaProviders] Fetching episode details for manual eid:', opts.manualAnidbEpisodeId);
-      const episodeInfo = await anidbClient.lookupEpisode(opts.manualAnidbEpisodeId);
+      const episodeInfo = opts.manualAnidbEpisodeId
+        ? await anidbClient.lookupEpisode(opts.manualAnidbEpisodeId)
+        : await anidbClient.lookupEpisodeByNumber(titleIndexMatch.aid, titleIndexMatch.epno);
       
       if (episodeInfo && episodeInfo.aid) {
         console.log('[MetaProviders] Manual episode lookup successful - aid:', episodeInfo.aid);
@@ -418,7 +448,7 @@ async function lookupMetadataWithAniDB(filePath, title, opts = {}, forceHash = f
           // This ensures server.js mapping code can find all expected fields
           const rawForMapping = {
             aid: episodeInfo.aid,
-            eid: opts.manualAnidbEpisodeId,
+            eid: opts.manualAnidbEpisodeId || episodeInfo.eid,
             animeEnglishName: englishTitle,
             animeRomajiName: romajiTitle,
             animeKanjiName: kanjiTitle,
@@ -463,7 +493,8 @@ async function lookupMetadataWithAniDB(filePath, title, opts = {}, forceHash = f
           }
           if (epNumHandling.isMovieType) result.isMovie = true;
           result.raw = rawForMapping;
-          result.source = 'AniDB Manual Episode ID';
+          result.source = opts.manualAnidbEpisodeId ? 'AniDB Manual Episode ID' : 'AniDB Title Index';
+          if (titleIndexMatch) result.titleIndexScore = titleIndexMatch.score;
           
           // Extract year if available
           if (animeResponse.year || animeResponse.animeYear) {
@@ -485,11 +516,11 @@ async function lookupMetadataWithAniDB(filePath, title, opts = {}, forceHash = f
         }
       }
       
-      console.log('[MetaProviders] Manual AniDB episode lookup failed or incomplete');
+      console.log('[MetaProviders] Manual / title index AniDB episode lookup failed or incomplete');
     } catch (manualErr) {
-      console.error('[MetaProviders] Manual AniDB episode lookup error:', manualErr.message);
+      console.error('[MetaProviders] Manual / title index AniDB episode lookup error:', manualErr.message);
     }
-    // Fall through to normal ED2K lookup if manual lookup fails
+    // Fall through to normal ED2K lookup if manual or title index lookup fails
   }
 
   // Try AniDB ED2K hash lookup first if credentials are available
@@ -538,13 +569,12 @@ async function lookupMetadataWithAniDB(filePath, title, opts = {}, forceHash = f
           (async () => {
             try {
               console.log('[MetaProviders] [Background] Computing ED2K hash for:', filePath, `(${fileSizeMB}MB)`);
-              const hash = await computeEd2kHash(filePath);
-              console.log('[MetaProviders] [Background] ED2K hash computed:', hash);
+              const hashes = await computeFileHashes(filePath);
+              console.log('[MetaProviders] [Background] ED2K hash computed:', hashes.ed2k, 'CRC32:', hashes.crc32);
               
-              // Cache the computed hash
+              // Cache the computed hashes
               try {
-                const db = require('./db');
-                db.setEd2kHash(filePath, hash, fileSize);
+                cacheFileHashes(filePath, hashes, fileSize);
                 console.log('[MetaProviders] [Background] Cached ED2K hash - will be available on next enrichment');
               } catch (dbErr) {
                 console.error('[MetaProviders] [Background] Failed to cache ED2K hash:', dbErr.message);
@@ -564,13 +594,13 @@ async function lookupMetadataWithAniDB(filePath, title, opts = {}, forceHash = f
       if (!ed2kHash && shouldForceHash) {
         console.log('[MetaProviders] Forcing ED2K hash computation inline for:', filePath, `(${fileSizeMB}MB)`);
         try {
-          ed2kHash = await computeEd2kHash(filePath);
-          console.log('[MetaProviders] ED2K hash computed:', ed2kHash);
+          const hashes = await computeFileHashes(filePath);
+          ed2kHash = hashes.ed2k;
+          console.log('[MetaProviders] ED2K hash computed:', ed2kHash, 'CRC32:', hashes.crc32);
           
-          // Cache the computed hash
+          // Cache the computed hashes
           try {
-            const db = require('./db');
-            db.setEd2kHash(filePath, ed2kHash, fileSize);
+            cacheFileHashes(filePath, hashes, fileSize);
             console.log('[MetaProviders] Cached ED2K hash for future lookups');
           } catch (dbErr) {
             console.log('[MetaProviders] Failed to cache ED2K hash:', dbErr.message);
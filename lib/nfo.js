@@ -0,0 +1,328 @@
+/**
+ * NFO and artwork sidecars
+ *
+ * Writes Kodi/Jellyfin compatible metadata next to applied files so media servers take
+ * our identification instead of re-scraping:
+ * - <episode>.nfo (or <movie>.nfo) next to the video
+ * - tvshow.nfo, poster.jpg and folder.jpg in the series folder
+ * - season.nfo in the season folder
+ *
+ * Series-level files are only created when missing, so hand-edited files are kept. Episode
+ * NFOs carry a marker comment; only marked files are replaced or removed on unapprove.
+ */
+
+const http = require('http');
+const https = require('https');
+
+const GENERATED_MARKER = '<!-- generated by MMP-Renamer -->';
+
+function escapeXml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Provider descriptions (AniList in particular) contain HTML line breaks and tags
+function plainText(value) {
+  if (!value) return '';
+  return String(value)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function firstValue(...vals) {
+  for (const v of vals) {
+    if (v === null || v === undefined) continue;
+    const s = String(v).trim();
+    if (s) return s;
+  }
+  return '';
+}
+
+function positiveId(...vals) {
+  for (const v of vals) {
+    if (v === null || v === undefined) continue;
+    const s = String(v).trim();
+    if (/^\d+$/.test(s) && Number(s) > 0) return s;
+  }
+  return null;
+}
+
+/**
+ * Collect provider ids from an enrichment entry.
+ * @returns {{ anidb: string|null, anilist: string|null, tvdb: string|null, tmdb: string|null }}
+ */
+function collectProviderIds(entry) {
+  const e = entry || {};
+  const provider = e.provider || {};
+  const raw = (provider.raw && typeof provider.raw === 'object') ? provider.raw : ((e.raw && typeof e.raw === 'object') ? e.raw : {});
+  const providerName = String(provider.provider || raw.source || '').toLowerCase();
+  const tmdbRaw = e.tmdb && e.tmdb.raw ? e.tmdb.raw : null;
+  return {
+    anidb: positiveId(raw.aid, raw.animeId, raw.anidbId, e.aid, e.anidbId, providerName === 'anidb' ? provider.id : null),
+    anilist: positiveId(raw.anilistId, e.anilistId, providerName === 'anilist' ? (provider.id || raw.id) : null),
+    tvdb: positiveId(raw.tvdb && raw.tvdb.seriesId, raw.tvdbId, providerName === 'tvdb' ? provider.id : null),
+    tmdb: positiveId(raw.tmdb && raw.tmdb.id, tmdbRaw && (tmdbRaw.id || tmdbRaw.seriesId), raw.tmdbId, providerName === 'tmdb' ? (provider.id || raw.id) : null)
+  };
+}
+
+/**
+ * Normalise the fields NFO builders need from an enrichment entry.
+ */
+function describeEntry(entry) {
+  const e = entry || {};
+  const provider = e.provider || {};
+  const raw = (provider.raw && typeof provider.raw === 'object') ? provider.raw : {};
+  const season = firstValue(provider.season, e.season);
+  const episode = firstValue(provider.episode, e.episode);
+  return {
+    seriesTitle: firstValue(e.seriesTitleEnglish, e.seriesTitle, provider.title, e.title),
+    originalTitle: firstValue(e.seriesTitleRomaji, e.originalSeriesTitle, e.seriesTitleExact),
+    episodeTitle: firstValue(provider.episodeTitle, e.episodeTitle),
+    year: firstValue(provider.year, e.year).slice(0, 4),
+    season: season !== '' && !Number.isNaN(Number(season)) ? Number(season) : null,
+    episode: episode !== '' && !Number.isNaN(Number(episode)) ? Number(episode) : null,
+    plot: plainText(firstValue(raw.description, raw.overview, raw.synopsis, raw.attributes && raw.attributes.synopsis)),
+    episodePlot: plainText(firstValue(raw.episodeOverview, raw.episode && raw.episode.overview, raw.episodeSummary)),
+    isMovie: e.isMovie === true,
+    ids: collectProviderIds(e)
+  };
+}
+
+function uniqueIdLines(ids, defaultType) {
+  const lines = [];
+  for (const type of ['anidb', 'anilist', 'tvdb', 'tmdb']) {
+    if (!ids[type]) continue;
+    const isDefault = type === defaultType ? ' default="true"' : '';
+    lines.push(`  <uniqueid type="${type}"${isDefault}>${escapeXml(ids[type])}</uniqueid>`);
+  }
+  // Jellyfin's AniDB/AniList plugins read these provider-id tags
+  if (ids.anidb) lines.push(`  <anidbid>${escapeXml(ids.anidb)}</anidbid>`);
+  if (ids.anilist) lines.push(`  <anilistid>${escapeXml(ids.anilist)}</anilistid>`);
+  if (ids.tvdb) lines.push(`  <tvdbid>${escapeXml(ids.tvdb)}</tvdbid>`);
+  if (ids.tmdb) lines.push(`  <tmdbid>${escapeXml(ids.tmdb)}</tmdbid>`);
+  return lines;
+}
+
+function defaultIdType(ids) {
+  return ['anidb', 'tvdb', 'tmdb', 'anilist'].find(t => ids[t]) || null;
+}
+
+function nfoDocument(root, lines) {
+  const body = lines.filter(Boolean).join('\n');
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n${GENERATED_MARKER}\n<${root}>\n${body}\n</${root}>\n`;
+}
+
+function tag(name, value) {
+  const v = firstValue(value);
+  return v ? `  <${name}>${escapeXml(v)}</${name}>` : null;
+}
+
+function buildTvShowNfo(info, { plot } = {}) {
+  return nfoDocument('tvshow', [
+    tag('title', info.seriesTitle),
+    tag('originaltitle', info.originalTitle),
+    tag('year', info.year),
+    tag('plot', plot || info.plot),
+    ...uniqueIdLines(info.ids, defaultIdType(info.ids))
+  ]);
+}
+
+function buildSeasonNfo(info) {
+  const seasonNumber = info.season == null ? 1 : info.season;
+  return nfoDocument('season', [
+    tag('title', seasonNumber === 0 ? 'Specials' : `Season ${seasonNumber}`),
+    tag('seasonnumber', seasonNumber)
+  ]);
+}
+
+function buildEpisodeNfo(info) {
+  return nfoDocument('episodedetails', [
+    tag('title', info.episodeTitle || (info.episode != null ? `Episode ${info.episode}` : info.seriesTitle)),
+    tag('showtitle', info.seriesTitle),
+    tag('season', info.season == null ? 1 : info.season),
+    tag('episode', info.episode),
+    tag('year', info.year),
+    tag('plot', info.episodePlot),
+    ...uniqueIdLines(info.ids, defaultIdType(info.ids))
+  ]);
+}
+
+function buildMovieNfo(info, { plot } = {}) {
+  return nfoDocument('movie', [
+    tag('title', info.seriesTitle),
+    tag('originaltitle', info.originalTitle),
+    tag('year', info.year),
+    tag('plot', plot || info.plot),
+    ...uniqueIdLines(info.ids, defaultIdType(info.ids))
+  ]);
+}
+
+function isGeneratedNfo(fs, filePath) {
+  try { return fs.readFileSync(filePath, 'utf8').includes(GENERATED_MARKER); } catch (e) { return false; }
+}
+
+function nfoPathFor(path, videoPath) {
+  return path.join(path.dirname(videoPath), path.basename(videoPath, path.extname(videoPath)) + '.nfo');
+}
+
+/**
+ * Download `url` to `destPath` (written via a .partial file). Follows up to 3 redirects.
+ */
+function downloadImage(fs, url, destPath, timeoutMs = 15000, redirects = 3) {
+  return new Promise((resolve, reject) => {
+    let parsed;
+    try { parsed = new URL(url); } catch (e) { reject(new Error(`invalid image url ${url}`)); return; }
+    const client = parsed.protocol === 'http:' ? http : (parsed.protocol === 'https:' ? https : null);
+    if (!client) { reject(new Error(`unsupported image url ${url}`)); return; }
+    const req = client.get(parsed, { headers: { 'User-Agent': 'MMP-Renamer' } }, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirects > 0) {
+        res.resume();
+        downloadImage(fs, new URL(res.headers.location, parsed).toString(), destPath, timeoutMs, redirects - 1).then(resolve, reject);
+        return;
+      }
+      if (res.statusCode !== 200) {
+        res.resume();
+        reject(new Error(`image download failed status=${res.statusCode}`));
+        return;
+      }
+      const tmpPath = `${destPath}.partial`;
+      const out = fs.createWriteStream(tmpPath);
+      res.pipe(out);
+      out.on('finish', () => {
+        try { fs.renameSync(tmpPath, destPath); resolve(destPath); } catch (e) { reject(e); }
+      });
+      out.on('error', (e) => { try { fs.unlinkSync(tmpPath); } catch (ee) {} reject(e); });
+    });
+    req.on('error', reject);
+    req.setTimeout(timeoutMs, () => { req.destroy(new Error('timeout')); });
+  });
+}
+
+module.exports = function buildSidecarWriter(ctx) {
+  const {
+    fs, path, enrichCache, canonicalize, appendLog,
+    deriveAppliedSeriesInfo, getSeriesNameForApprovedEntry, resolveApprovedSeriesOutputKey,
+    getApprovedSeriesSourcePreferences, resolveApprovedSeriesSourcePreference, fetchAndCacheApprovedSeriesImage
+  } = ctx;
+
+  const log = (line) => { try { appendLog(line); } catch (e) {} };
+
+  function writeIfMissing(filePath, content) {
+    if (fs.existsSync(filePath)) return false;
+    fs.writeFileSync(filePath, content, 'utf8');
+    return true;
+  }
+
+  async function lookupSeriesArtwork(username, outputKey, seriesName) {
+    if (typeof fetchAndCacheApprovedSeriesImage !== 'function' || !outputKey || !seriesName) return null;
+    const prefs = typeof getApprovedSeriesSourcePreferences === 'function' ? getApprovedSeriesSourcePreferences(username) : {};
+    const pref = typeof resolveApprovedSeriesSourcePreference === 'function' ? resolveApprovedSeriesSourcePreference(prefs, outputKey) : { source: 'anilist' };
+    try {
+      return await fetchAndCacheApprovedSeriesImage({ username, outputKey, source: pref.source, seriesName, allowCooldown: true });
+    } catch (e) {
+      log(`SIDECAR_ARTWORK_LOOKUP_FAIL series=${String(seriesName).slice(0, 80)} err=${e.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Write NFO and/or artwork sidecars for an applied item.
+   * @param {Object} params
+   * @param {string} params.fromPath - source path (enrichment cache key)
+   * @param {string} params.toPath - applied target path
+   * @param {string} [params.username]
+   * @param {boolean} [params.nfo=true]
+   * @param {boolean} [params.artwork=true]
+   * @returns {Promise<string[]>} files written
+   */
+  async function writeSidecars({ fromPath, toPath, username = null, nfo = true, artwork = true }) {
+    const written = [];
+    if (!toPath || (!nfo && !artwork)) return written;
+    const key = canonicalize(fromPath);
+    const entry = enrichCache[key];
+    if (!entry) return written;
+    const info = describeEntry(entry);
+    const layout = deriveAppliedSeriesInfo(toPath);
+    const outputKey = typeof resolveApprovedSeriesOutputKey === 'function'
+      ? resolveApprovedSeriesOutputKey(username, toPath)
+      : (layout.outputRoot ? canonicalize(layout.outputRoot) : null);
+    // Flat applies straight into the output root have no series folder to describe
+    const hasSeriesFolder = !info.isMovie && layout.seriesFolder && canonicalize(layout.seriesFolder) !== outputKey;
+    const seasonFolder = path.dirname(toPath);
+    const inSeasonFolder = hasSeriesFolder && canonicalize(seasonFolder) !== canonicalize(layout.seriesFolder);
+
+    let artworkInfo = null;
+    if (artwork || (nfo && !info.plot)) {
+      const seriesName = typeof getSeriesNameForApprovedEntry === 'function' ? getSeriesNameForApprovedEntry(entry, toPath) : info.seriesTitle;
+      artworkInfo = await lookupSeriesArtwork(username, outputKey, seriesName);
+    }
+    const cachedPlot = artworkInfo && artworkInfo.summary ? plainText(artworkInfo.summary) : '';
+
+    if (nfo) {
+      const episodeNfo = nfoPathFor(path, toPath);
+      const content = info.isMovie ? buildMovieNfo(info, { plot: cachedPlot }) : buildEpisodeNfo(info);
+      if (!fs.existsSync(episodeNfo) || isGeneratedNfo(fs, episodeNfo)) {
+        fs.writeFileSync(episodeNfo, content, 'utf8');
+        written.push(episodeNfo);
+      }
+      if (hasSeriesFolder) {
+        const showNfo = path.join(layout.seriesFolder, 'tvshow.nfo');
+        if (writeIfMissing(showNfo, buildTvShowNfo(info, { plot: cachedPlot }))) written.push(showNfo);
+        if (inSeasonFolder) {
+          const seasonNfo = path.join(seasonFolder, 'season.nfo');
+          if (writeIfMissing(seasonNfo, buildSeasonNfo(info))) written.push(seasonNfo);
+        }
+      }
+    }
+
+    if (artwork && artworkInfo && artworkInfo.imageUrl) {
+      const artDir = info.isMovie ? path.dirname(toPath) : (hasSeriesFolder ? layout.seriesFolder : null);
+      if (artDir) {
+        const poster = path.join(artDir, 'poster.jpg');
+        const folderImage = path.join(artDir, 'folder.jpg');
+        try {
+          if (!fs.existsSync(poster)) {
+            await downloadImage(fs, artworkInfo.imageUrl, poster);
+            written.push(poster);
+          }
+          if (!fs.existsSync(folderImage)) {
+            fs.copyFileSync(poster, folderImage);
+            written.push(folderImage);
+          }
+        } catch (e) {
+          log(`SIDECAR_ARTWORK_FAIL dir=${artDir} url=${String(artworkInfo.imageUrl).slice(0, 100)} err=${e.message}`);
+        }
+      }
+    }
+
+    if (written.length) log(`SIDECARS_WRITTEN to=${toPath} files=${written.map(f => path.basename(f)).join(',')}`);
+    return written;
+  }
+
+  /**
+   * Remove the generated episode NFO next to `toPath` (series-level files are shared and kept).
+   * @returns {boolean} true when a file was removed
+   */
+  function removeGeneratedSidecars(toPath) {
+    const episodeNfo = nfoPathFor(path, toPath);
+    if (!isGeneratedNfo(fs, episodeNfo)) return false;
+    try { fs.unlinkSync(episodeNfo); return true; } catch (e) { return false; }
+  }
+
+  return { writeSidecars, removeGeneratedSidecars };
+};
+
+module.exports.GENERATED_MARKER = GENERATED_MARKER;
+module.exports.collectProviderIds = collectProviderIds;
+module.exports.describeEntry = describeEntry;
+module.exports.buildTvShowNfo = buildTvShowNfo;
+module.exports.buildSeasonNfo = buildSeasonNfo;
+module.exports.buildEpisodeNfo = buildEpisodeNfo;
+module.exports.buildMovieNfo = buildMovieNfo;
+module.exports.escapeXml = escapeXml;
@@ -0,0 +1,27 @@
+// Lookup helpers for the `output_folders` setting ({ name, path, ...per-folder overrides })
+
+function userSettingsFor(username, users) {
+  return (username && users && users[username] && users[username].settings) ? users[username].settings : {};
+}
+
+/**
+ * Find the configured output folder entry whose path matches `effectiveOutput`.
+ * User folders take precedence over server-wide folders.
+ * @returns {Object|null}
+ */
+function findOutputFolderEntry({ username, users, serverSettings, effectiveOutput, canonicalize } = {}) {
+  if (!effectiveOutput) return null;
+  const norm = (p) => {
+    try { return canonicalize ? canonicalize(p) : String(p); } catch (e) { return String(p); }
+  };
+  const userSettings = userSettingsFor(username, users);
+  const server = serverSettings || {};
+  const target = norm(effectiveOutput);
+  const folders = [].concat(
+    Array.isArray(userSettings.output_folders) ? userSettings.output_folders : [],
+    Array.isArray(server.output_folders) ? server.output_folders : []
+  );
+  return folders.find(f => f && f.path && norm(f.path) === target) || null;
+}
+
+module.exports = { findOutputFolderEntry, userSettingsFor };
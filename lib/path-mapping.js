@@ -0,0 +1,183 @@
+/**
+ * Library path mapping
+ *
+ * Everything on the server is keyed by canonical container paths (`/media/Show/ep.mkv`), but users
+ * browse the same files as `/mnt/media/...` on the host or `\\nas\media\...` from Windows. Each user
+ * keeps a list of `{ internal, external }` prefix pairs in `settings.path_mappings`; API responses,
+ * SSE events and the log viewer are rewritten to the external form, and paths the client sends back
+ * are rewritten to the internal form before any route sees them.
+ */
+
+const MAX_MAPPINGS = 20;
+
+// Routes that edit the mappings themselves must see and return the raw prefixes
+const UNMAPPED_ROUTES = ['/api/path-mappings'];
+
+const isWindowsStyle = (p) => /^(\\\\|[a-zA-Z]:[\\/])/.test(p);
+const trimTrailing = (p) => (p.length > 1 ? p.replace(/[\\/]+$/, '') : p);
+const forwardSlashes = (p) => p.replace(/\\/g, '/');
+
+/**
+ * Validate a user's mapping list. Internal prefixes must be absolute POSIX paths; external prefixes
+ * may be POSIX, a drive letter or a UNC share.
+ * @param {Array<{internal:string, external:string}>} list
+ * @returns {Array<{internal:string, external:string}>}
+ * @throws {Error} on a malformed or duplicate entry
+ */
+function normalizeMappings(list) {
+  if (list == null) return [];
+  if (!Array.isArray(list)) throw new Error('path mappings must be a list');
+  if (list.length > MAX_MAPPINGS) throw new Error(`at most ${MAX_MAPPINGS} path mappings are allowed`);
+  const out = [];
+  for (const raw of list) {
+    const internal = trimTrailing(String((raw && raw.internal) || '').trim());
+    const external = trimTrailing(String((raw && raw.external) || '').trim());
+    if (!internal || !external) throw new Error('each path mapping needs an internal and an external prefix');
+    if (!internal.startsWith('/') || internal === '/') throw new Error(`internal prefix "${internal}" must be an absolute container path below /`);
+    if (!external.startsWith('/') && !isWindowsStyle(external)) throw new Error(`external prefix "${external}" must be an absolute path, drive letter or UNC share`);
+    if (out.some(m => m.internal === internal)) throw new Error(`internal prefix "${internal}" is mapped twice`);
+    out.push({ internal, external });
+  }
+  return out;
+}
+
+// Returns the remainder of `value` after `prefix` when it sits on a path boundary, else null
+function stripPrefix(value, prefix, caseInsensitive) {
+  const v = forwardSlashes(value);
+  const p = forwardSlashes(prefix);
+  const head = v.slice(0, p.length);
+  if (caseInsensitive ? head.toLowerCase() !== p.toLowerCase() : head !== p) return null;
+  const rest = v.slice(p.length);
+  if (rest && rest[0] !== '/' && p !== '/') return null;
+  return rest;
+}
+
+// Longest prefix wins so nested mappings (`/media` and `/media/anime`) behave
+function bestMatch(value, mappings, side) {
+  let best = null;
+  let bestRest = null;
+  for (const m of mappings) {
+    const prefix = m[side];
+    const rest = stripPrefix(value, prefix, side === 'external' && isWindowsStyle(prefix));
+    if (rest === null) continue;
+    if (!best || prefix.length > best[side].length) { best = m; bestRest = rest; }
+  }
+  return best ? { mapping: best, rest: bestRest } : null;
+}
+
+/**
+ * Rewrite a container path to the client's form; unmapped paths come back unchanged.
+ * @param {string} value
+ * @param {Array} mappings - normalized mappings
+ */
+function toExternal(value, mappings) {
+  if (typeof value !== 'string' || !value.startsWith('/') || !mappings || !mappings.length) return value;
+  const hit = bestMatch(value, mappings, 'internal');
+  if (!hit) return value;
+  const ext = hit.mapping.external;
+  const rest = isWindowsStyle(ext) ? hit.rest.replace(/\//g, '\\') : hit.rest;
+  return trimTrailing(ext) + rest;
+}
+
+/**
+ * Rewrite a client path back to the container path; unmapped paths come back unchanged.
+ * @param {string} value
+ * @param {Array} mappings - normalized mappings
+ */
+function toInternal(value, mappings) {
+  if (typeof value !== 'string' || !value || !mappings || !mappings.length) return value;
+  if (!value.startsWith('/') && !isWindowsStyle(value)) return value;
+  const hit = bestMatch(value, mappings, 'external');
+  if (!hit) return value;
+  return hit.mapping.internal + hit.rest;
+}
+
+/**
+ * Apply `fn` to every string and object key in a JSON-shaped value. Returns a copy only where
+ * something changed, so large responses without mapped paths are not duplicated.
+ */
+function mapDeep(value, fn) {
+  if (typeof value === 'string') return fn(value);
+  if (Array.isArray(value)) {
+    let copy = null;
+    for (let i = 0; i < value.length; i++) {
+      const next = mapDeep(value[i], fn);
+      if (next !== value[i]) { if (!copy) copy = value.slice(); copy[i] = next; }
+    }
+    return copy || value;
+  }
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    let copy = null;
+    const keys = Object.keys(value);
+    for (const k of keys) {
+      const nk = fn(k);
+      const nv = mapDeep(value[k], fn);
+      if (nk !== k || nv !== value[k]) {
+        if (!copy) { copy = {}; for (const k2 of keys) { if (k2 === k) break; copy[k2] = value[k2]; } }
+      }
+      if (copy) copy[nk] = nv;
+    }
+    return copy || value;
+  }
+  return value;
+}
+
+/**
+ * Rewrite container paths embedded anywhere in free text, such as log lines.
+ */
+function mapText(text, mappings) {
+  if (typeof text !== 'string' || !mappings || !mappings.length) return text;
+  const ordered = mappings.slice().sort((a, b) => b.internal.length - a.internal.length);
+  const escape = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`(^|[\\s=:"'(\\[])(${ordered.map(m => escape(m.internal)).join('|')})(?=/|$|[\\s"')\\],])([^\\s"')\\],]*)`, 'gm');
+  return text.replace(pattern, (whole, lead, prefix, rest) => lead + toExternal(prefix + rest, ordered));
+}
+
+module.exports = function buildPathMapper(ctx) {
+  const { users } = ctx;
+
+  function mappingsFor(username) {
+    const settings = username && users[username] && users[username].settings;
+    return settings && Array.isArray(settings.path_mappings) ? settings.path_mappings : [];
+  }
+
+  const hasMappings = (username) => mappingsFor(username).length > 0;
+
+  /**
+   * Translate request paths in, and response paths out, for the session user. Mounted ahead of the
+   * API routers so none of them need to know about mappings.
+   */
+  function middleware(req, res, next) {
+    const username = req.session && req.session.username;
+    const mappings = mappingsFor(username);
+    if (!mappings.length || UNMAPPED_ROUTES.some(r => req.path === r || req.path.startsWith(`${r}/`))) return next();
+    const inward = (s) => toInternal(s, mappings);
+    if (req.body && typeof req.body === 'object') req.body = mapDeep(req.body, inward);
+    if (req.query) {
+      for (const k of Object.keys(req.query)) req.query[k] = mapDeep(req.query[k], inward);
+    }
+    const json = res.json.bind(res);
+    res.json = (body) => json(mapDeep(body, (s) => toExternal(s, mappings)));
+    next();
+  }
+
+  return {
+    mappingsFor,
+    hasMappings,
+    middleware,
+    toExternal: (username, p) => toExternal(p, mappingsFor(username)),
+    toInternal: (username, p) => toInternal(p, mappingsFor(username)),
+    externalize: (username, value) => {
+      const mappings = mappingsFor(username);
+      return mappings.length ? mapDeep(value, (s) => toExternal(s, mappings)) : value;
+    },
+    mapText: (username, text) => mapText(text, mappingsFor(username))
+  };
+};
+
+module.exports.MAX_MAPPINGS = MAX_MAPPINGS;
+module.exports.normalizeMappings = normalizeMappings;
+module.exports.toExternal = toExternal;
+module.exports.toInternal = toInternal;
+module.exports.mapDeep = mapDeep;
+module.exports.mapText = mapText;
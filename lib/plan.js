@@ -1,3 +1,7 @@
+const { renderTemplate, renderFolderTemplate, selectTemplates } = require('./rename-template');
+const { selectApplyMode } = require('./file-ops');
+const { releaseTokens } = require('./release-info');
+
 module.exports = function buildPlanGenerator(ctx) {
   const {
     fs, path, sanitizeForFilename, extractSeasonNumberFromTitle, tvdbInfo, tvdbInfoParent,
@@ -11,10 +15,13 @@ module.exports = function buildPlanGenerator(ctx) {
     getMaxFilenameLengthForOS, truncateFilenameComponent, ensureRenderedNameHasYear
   } = ctx;
 
-  function generatePlanForItem(it, { username, effectiveOutput, applyFilenameAsTitle, template }) {
+  function generatePlanForItem(it, { username, effectiveOutput, applyFilenameAsTitle, template, explicitOutput = false }) {
     try {
 
     const fromPath = canonicalize(it.canonicalPath);
+    // The file's library may route it to its own output folder, unless the request named one
+    const library = ctx.libraryRegistry && username ? ctx.libraryRegistry.forPath(username, fromPath) : null;
+    if (library && library.scan_output_path && !explicitOutput) effectiveOutput = canonicalize(library.scan_output_path);
     const key = fromPath;
     const meta = enrichCache[fromPath] || {};
   const rawTitle = (meta && (meta.title || (meta.extraGuess && meta.extraGuess.title))) ? (meta.title || (meta.extraGuess && meta.extraGuess.title)) : path.basename(fromPath, path.extname(fromPath));
@@ -30,8 +37,8 @@ module.exports = function buildPlanGenerator(ctx) {
   } catch (e) { year = '' }
     const ext = path.extname(fromPath);
     const filenameBase = sanitize(path.basename(fromPath, ext));
-  const userTemplate = (username && users[username] && users[username].settings && users[username].settings.rename_template) ? users[username].settings.rename_template : null;
-  const baseNameTemplate = template || userTemplate || serverSettings.rename_template || '{title}';
+  const templates = selectTemplates({ username, users, serverSettings, effectiveOutput, canonicalize, template, library });
+  const baseNameTemplate = templates.fileTemplate;
     function pad(n){ return String(n).padStart(2,'0') }
     const anidbRawEpisode = meta && meta.extraGuess && meta.extraGuess.anidb && meta.extraGuess.anidb.episodeNumberRaw;
     const shouldUseAnidbRaw = anidbRawEpisode && /^[SCTPO]\d+$/i.test(String(anidbRawEpisode));
@@ -133,11 +140,34 @@ module.exports = function buildPlanGenerator(ctx) {
   } catch (e) {}
   const titleFolder = folderYear ? `${sanitizedBaseFolder} (${folderYear})` : sanitizedBaseFolder;
   const seasonFolder = (!isMovie && meta && meta.season != null) ? `Season ${String(meta.season).padStart(2,'0')}` : '';
-  const folder = applyFilenameAsTitle ? effectiveOutput : (seasonFolder ? path.join(effectiveOutput, titleFolder, seasonFolder) : path.join(effectiveOutput, titleFolder));
+  const titleForFilename = (isMovie === true) ? title : stripSeasonNumberSuffix(title);
+  const templateTokens = {
+    title: titleForFilename,
+    basename: path.basename(key, path.extname(key)),
+    year: templateYear,
+    epLabel,
+    episodeTitle: episodeTitleToken,
+    season: seasonToken,
+    episode: episodeToken,
+    episodeRange: episodeRangeToken,
+    tmdbId: tmdbIdToken,
+    seriesFolder: titleFolder,
+    seasonFolder,
+    ...releaseTokens(key, meta && meta.mediaInfo)
+  };
+  let folder;
+  if (applyFilenameAsTitle) {
+    folder = effectiveOutput;
+  } else if (templates.folderTemplate && effectiveOutput) {
+    const segments = renderFolderTemplate(templates.folderTemplate, templateTokens, { sanitize });
+    folder = segments.length ? path.join(effectiveOutput, ...segments) : path.join(effectiveOutput, titleFolder);
+  } else {
+    folder = seasonFolder ? path.join(effectiveOutput, titleFolder, seasonFolder) : path.join(effectiveOutput, titleFolder);
+  }
   let nameWithoutExtRaw = null;
   if (applyFilenameAsTitle && filenameBase) {
     nameWithoutExtRaw = filenameBase;
-  } else if (meta && meta.provider && meta.provider.renderedName) {
+  } else if (meta && meta.provider && meta.provider.renderedName && !templates.fileTemplateFromOutput) {
     let providerName = String(meta.provider.renderedName).replace(/\.[^/.]+$/, '');
     try {
       const shouldStripSeason = !(isMovie === true);
@@ -175,17 +205,7 @@ module.exports = function buildPlanGenerator(ctx) {
     }
   }
   if (!nameWithoutExtRaw) {
-    const titleForFilename = (isMovie === true) ? title : stripSeasonNumberSuffix(title);
-    nameWithoutExtRaw = baseNameTemplate
-  .replace('{title}', sanitize(titleForFilename))
-      .replace('{basename}', sanitize(path.basename(key, path.extname(key))))
-  .replace('{year}', sanitize(templateYear))
-      .replace('{epLabel}', sanitize(epLabel))
-      .replace('{episodeTitle}', sanitize(episodeTitleToken))
-      .replace('{season}', sanitize(seasonToken))
-      .replace('{episode}', sanitize(episodeToken))
-      .replace('{episodeRange}', sanitize(episodeRangeToken))
-  .replace('{tmdbId}', sanitize(tmdbIdToken));
+    nameWithoutExtRaw = renderTemplate(baseNameTemplate, templateTokens, { sanitize });
   }
   if (!nameWithoutExtRaw && filenameBase) {
     nameWithoutExtRaw = filenameBase;
@@ -214,8 +234,10 @@ module.exports = function buildPlanGenerator(ctx) {
     } else {
       toPath = path.join(path.dirname(fromPath), fileName).replace(/\\/g, '/');
     }
-    const action = effectiveOutput ? 'hardlink' : (fromPath === toPath ? 'noop' : 'move');
-  return { itemId: it.id, fromPath, toPath, actions: [{ op: action }], templateUsed: baseNameTemplate };
+    const action = effectiveOutput
+      ? selectApplyMode({ username, users, serverSettings, effectiveOutput, canonicalize, library })
+      : (fromPath === toPath ? 'noop' : 'move');
+  return { itemId: it.id, fromPath, toPath, actions: [{ op: action }], templateUsed: baseNameTemplate, folderTemplateUsed: templates.folderTemplate || null };
 
     } catch (e) {
       if (typeof appendLog === 'function') appendLog(`PLAN_GEN_ERROR item=${it && it.canonicalPath} err=${e && e.message}`);
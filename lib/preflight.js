@@ -0,0 +1,223 @@
+/**
+ * Apply preflight
+ *
+ * Checks a batch of rename plans against the filesystem before anything is written, so the
+ * preview can show what apply would trip over instead of apply failing item by item:
+ * - hardlinks that would cross devices
+ * - copies (and reflinks or moves that fall back to copying) that do not fit in the free space
+ * - target folders that are read-only or not writable, sources a move cannot remove
+ * - names and paths too long, or with characters the `client_os` filesystem rejects
+ * - targets that collide within the batch, exactly or only by letter case
+ * - targets that already exist
+ *
+ * Nothing here touches the files; every check is a stat, access or statfs call.
+ */
+
+const path = require('path');
+const { normalizeApplyMode, isOpTarget } = require('./file-ops');
+
+const SEVERITIES = ['error', 'warning'];
+
+// Component and full-path limits of the filesystems behind each `client_os` choice
+const OS_LIMITS = {
+  windows: { name: 255, path: 260, unit: 'chars' },
+  mac: { name: 255, path: 1024, unit: 'bytes' },
+  linux: { name: 255, path: 4096, unit: 'bytes' }
+};
+
+const WINDOWS_FORBIDDEN = /[<>:"|?*\\\u0000-\u001f]/;
+const WINDOWS_RESERVED = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\..*)?$/i;
+
+function normalizeClientOs(value) {
+  const key = String(value || '').trim().toLowerCase();
+  if (key === 'windows' || key === 'win32') return 'windows';
+  if (key === 'mac' || key === 'macos' || key === 'darwin') return 'mac';
+  return 'linux';
+}
+
+function measure(text, unit) {
+  return unit === 'chars' ? String(text).length : Buffer.byteLength(String(text), 'utf8');
+}
+
+function formatBytes(n) {
+  if (n >= 1024 ** 3) return `${(n / 1024 ** 3).toFixed(1)} GB`;
+  if (n >= 1024 ** 2) return `${(n / 1024 ** 2).toFixed(1)} MB`;
+  return `${Math.round(n / 1024)} KB`;
+}
+
+/**
+ * Problems with one path component on the client's filesystem.
+ * @param {string} name - a single file or folder name
+ * @param {string} clientOs - `windows`, `mac` or `linux`
+ * @returns {{code:string, severity:string, message:string}[]}
+ */
+function nameIssues(name, clientOs) {
+  const os = normalizeClientOs(clientOs);
+  const limits = OS_LIMITS[os];
+  const issues = [];
+  if (measure(name, limits.unit) > limits.name) {
+    issues.push({ code: 'name-too-long', severity: 'error', message: `"${name.slice(0, 40)}…" is longer than ${limits.name} ${limits.unit === 'chars' ? 'characters' : 'bytes'}` });
+  }
+  if (os === 'windows') {
+    const bad = name.match(WINDOWS_FORBIDDEN);
+    if (bad) issues.push({ code: 'forbidden-characters', severity: 'error', message: `"${name}" contains ${JSON.stringify(bad[0])}, which Windows does not allow` });
+    else if (/[. ]$/.test(name)) issues.push({ code: 'forbidden-characters', severity: 'error', message: `"${name}" ends with a dot or space, which Windows drops` });
+    if (WINDOWS_RESERVED.test(name)) issues.push({ code: 'reserved-name', severity: 'error', message: `"${name}" is a reserved device name on Windows` });
+  } else if (os === 'mac' && name.includes(':')) {
+    issues.push({ code: 'forbidden-characters', severity: 'error', message: `"${name}" contains ":", which macOS does not allow` });
+  }
+  return issues;
+}
+
+module.exports = function buildPreflight(ctx) {
+  const { fs, users, serverSettings, appendLog } = ctx;
+
+  const log = (line) => { try { if (typeof appendLog === 'function') appendLog(line); } catch (e) {} };
+
+  function clientOsFor(username) {
+    const settings = username && users && users[username] && users[username].settings;
+    return normalizeClientOs((settings && settings.client_os) || (serverSettings && serverSettings.client_os));
+  }
+
+  function statOrNull(p) {
+    try { return fs.statSync(p); } catch (e) { return null; }
+  }
+
+  // Deepest part of `dir` that exists already; apply creates the rest
+  function existingAncestor(dir) {
+    let cur = path.resolve(dir);
+    while (!fs.existsSync(cur)) {
+      const up = path.dirname(cur);
+      if (up === cur) return null;
+      cur = up;
+    }
+    return cur;
+  }
+
+  function freeBytes(dir) {
+    if (typeof fs.statfsSync !== 'function') return null;
+    try {
+      const st = fs.statfsSync(dir);
+      return Number(st.bavail) * Number(st.bsize);
+    } catch (e) { return null; }
+  }
+
+  function writeIssue(dir, code, what) {
+    try {
+      fs.accessSync(dir, fs.constants.W_OK);
+      return null;
+    } catch (e) {
+      const why = e.code === 'EROFS' ? 'is on a read-only filesystem' : 'is not writable';
+      return { code, severity: 'error', message: `${what} ${dir} ${why}` };
+    }
+  }
+
+  /**
+   * Check rename plans (as produced by the plan generator) without touching any file.
+   * @param {Object[]} plans - { itemId, fromPath, toPath, actions: [{ op }] }
+   * @param {Object} [opts]
+   * @param {string} [opts.username] - selects `client_os` and path mappings
+   * @returns {{ok:boolean, clientOs:string, counts:{error:number, warning:number},
+   *   results:{itemId:*, fromPath:string, toPath:string, op:string, issues:Object[]}[]}}
+   */
+  function check(plans, { username = null } = {}) {
+    const clientOs = clientOsFor(username);
+    const limits = OS_LIMITS[clientOs];
+    const pathMapper = ctx.pathMapper;
+    const results = [];
+    const byLowerTarget = new Map();
+    // Bytes each target filesystem has to take, keyed by device: { dir, needed, results }
+    const space = new Map();
+
+    for (const plan of (Array.isArray(plans) ? plans : [])) {
+      if (!plan || !plan.fromPath || !plan.toPath) continue;
+      const rawOp = plan.actions && plan.actions[0] && plan.actions[0].op;
+      const op = rawOp === 'noop' ? 'noop' : (normalizeApplyMode(rawOp) || 'hardlink');
+      const result = { itemId: plan.itemId, fromPath: plan.fromPath, toPath: plan.toPath, op, issues: [] };
+      results.push(result);
+      if (op === 'noop') continue;
+      const issues = result.issues;
+
+      const lower = path.resolve(plan.toPath).toLowerCase();
+      if (!byLowerTarget.has(lower)) byLowerTarget.set(lower, []);
+      byLowerTarget.get(lower).push(result);
+
+      const source = statOrNull(plan.fromPath);
+      if (!source) {
+        issues.push({ code: 'source-missing', severity: 'error', message: `source ${plan.fromPath} no longer exists` });
+        continue;
+      }
+
+      if (fs.existsSync(plan.toPath)) {
+        if (isOpTarget(op, plan.fromPath, plan.toPath)) issues.push({ code: 'already-applied', severity: 'warning', message: 'target already points at this file' });
+        else issues.push({ code: 'target-exists', severity: 'error', message: `${plan.toPath} already exists` });
+      }
+
+      // Only the components apply will create are checked against the client's naming rules
+      const ancestor = existingAncestor(path.dirname(plan.toPath));
+      const created = path.relative(ancestor || path.parse(plan.toPath).root, path.resolve(plan.toPath)).split(path.sep).filter(Boolean);
+      for (const name of created) issues.push(...nameIssues(name, clientOs));
+      const clientPath = pathMapper && username ? pathMapper.toExternal(username, plan.toPath) : plan.toPath;
+      if (measure(clientPath, limits.unit) > limits.path) {
+        issues.push({ code: 'path-too-long', severity: 'error', message: `target path is ${measure(clientPath, limits.unit)} ${limits.unit === 'chars' ? 'characters' : 'bytes'}, over the ${limits.path} limit` });
+      }
+
+      if (!ancestor) continue;
+      const writable = writeIssue(ancestor, 'not-writable', 'target folder');
+      if (writable) issues.push(writable);
+      if (op === 'move') {
+        const sourceDir = writeIssue(path.dirname(plan.fromPath), 'source-not-writable', 'source folder');
+        if (sourceDir) issues.push(sourceDir);
+      }
+
+      const target = statOrNull(ancestor);
+      const crossDevice = !!target && target.dev !== source.dev;
+      if (op === 'hardlink' && crossDevice) {
+        issues.push({ code: 'cross-device', severity: 'error', message: 'hardlinks cannot cross filesystems; source and target are on different devices (use copy or move)' });
+      }
+      const copies = op === 'copy' || ((op === 'reflink' || op === 'move') && crossDevice);
+      if (copies && target) {
+        const bucket = space.get(target.dev) || { dir: ancestor, needed: 0, results: [] };
+        bucket.needed += source.size;
+        bucket.results.push(result);
+        space.set(target.dev, bucket);
+      }
+    }
+
+    for (const group of byLowerTarget.values()) {
+      if (group.length < 2) continue;
+      for (const result of group) {
+        const others = group.filter(r => r !== result);
+        const exact = others.some(r => path.resolve(r.toPath) === path.resolve(result.toPath));
+        result.issues.push({
+          code: exact ? 'duplicate-target' : 'case-collision',
+          // Names differing only in case coexist on Linux, but not once Windows or macOS sees them
+          severity: exact || clientOs !== 'linux' ? 'error' : 'warning',
+          message: exact
+            ? `same target as ${others.map(r => r.fromPath).join(', ')}`
+            : `differs only in letter case from ${others.map(r => r.toPath).join(', ')}`
+        });
+      }
+    }
+
+    for (const bucket of space.values()) {
+      const free = freeBytes(bucket.dir);
+      if (free === null || bucket.needed <= free) continue;
+      for (const result of bucket.results) {
+        result.issues.push({ code: 'insufficient-space', severity: 'error', message: `batch needs ${formatBytes(bucket.needed)} on ${bucket.dir}, only ${formatBytes(free)} free` });
+      }
+    }
+
+    const counts = { error: 0, warning: 0 };
+    for (const result of results) for (const issue of result.issues) counts[issue.severity]++;
+    if (counts.error || counts.warning) log(`PREFLIGHT user=${username || ''} plans=${results.length} errors=${counts.error} warnings=${counts.warning}`);
+    return { ok: counts.error === 0, clientOs, counts, results };
+  }
+
+  return { check };
+};
+
+module.exports.SEVERITIES = SEVERITIES;
+module.exports.OS_LIMITS = OS_LIMITS;
+module.exports.nameIssues = nameIssues;
+module.exports.normalizeClientOs = normalizeClientOs;
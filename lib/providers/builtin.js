@@ -0,0 +1,63 @@
+/**
+ * Built-in metadata sources. Their lookups run in the enrichment chain in server.js (metaLookup
+ * and the AniDB hash lookup), so only the settings-facing part is described here: display name,
+ * credential fields and per-host pacing.
+ */
+
+module.exports = [
+  {
+    id: 'anidb',
+    name: 'AniDB',
+    description: 'ED2K hash lookup for anime (series and episodes).',
+    credentials: [
+      { key: 'anidb_username', label: 'AniDB Username', type: 'password', required: true, placeholder: 'AniDB Username' },
+      { key: 'anidb_password', label: 'AniDB Password', type: 'password', required: true, placeholder: 'AniDB Password' },
+      { key: 'anidb_client_name', label: 'Client Name', type: 'text', default: 'mediabrowser', placeholder: 'Client Name (default: mediabrowser)' },
+      { key: 'anidb_client_version', label: 'Client Version', type: 'number', default: '1', placeholder: 'Client Version (default: 1)' }
+    ],
+    // The UDP client paces every packet itself (lib/anidb-rate-limiter.js)
+    rateLimit: { minIntervalMs: 0, concurrency: 1 }
+  },
+  {
+    id: 'anilist',
+    name: 'AniList',
+    description: 'Anime catalog titles (series metadata only).',
+    credentials: [
+      { key: 'anilist_api_key', label: 'AniList API Key', type: 'password', placeholder: 'Enter AniList API key (optional)', help: 'AniList is used to find anime series titles (preferred).' }
+    ],
+    rateLimit: { minIntervalMs: 250, hosts: ['graphql.anilist.co'] }
+  },
+  {
+    id: 'tvdb',
+    name: 'TVDB',
+    description: 'Series and episode metadata with localized titles.',
+    credentials: [
+      { key: 'tvdb_v4_api_key', label: 'TVDB v4 Project API Key', type: 'password', required: true, placeholder: 'Project API key', help: 'Use theTVDB project API key from your v4 account dashboard. Tokens refresh automatically.' },
+      { key: 'tvdb_v4_user_pin', label: 'TVDB v4 User PIN', type: 'password', placeholder: 'User PIN (optional)' }
+    ],
+    rateLimit: { minIntervalMs: 0, concurrency: 2, hosts: ['api4.thetvdb.com'] }
+  },
+  {
+    id: 'tmdb',
+    name: 'TMDb',
+    description: 'Series and episode metadata via The Movie Database.',
+    credentials: [
+      { key: 'tmdb_api_key', label: 'TMDb API Key', type: 'password', required: true, placeholder: 'Enter TMDb API key', help: 'TMDb is used for general TV/Movie lookups.' }
+    ],
+    rateLimit: { minIntervalMs: 300, hosts: ['api.themoviedb.org'] }
+  },
+  {
+    id: 'wikipedia',
+    name: 'Wikipedia',
+    description: 'Episode titles from Wikipedia episode lists.',
+    credentials: [],
+    rateLimit: { minIntervalMs: 300, hosts: ['en.wikipedia.org'] }
+  },
+  {
+    id: 'kitsu',
+    name: 'Kitsu',
+    description: 'Anime episode metadata from Kitsu.io.',
+    credentials: [],
+    rateLimit: { minIntervalMs: 250, hosts: ['kitsu.io'] }
+  }
+];
@@ -0,0 +1,281 @@
+/**
+ * Metadata provider plugins
+ *
+ * Extra metadata sources are drop-in plugins: a plain module exporting a descriptor
+ *
+ *   {
+ *     id: 'tmdb',                       // lowercase, used in metadata_provider_order
+ *     name: 'TMDb',                     // shown in Settings
+ *     description: '...',
+ *     credentials: [{ key, label, type: 'text'|'password'|'number', required, default, placeholder, help }],
+ *     rateLimit: { minIntervalMs, concurrency, hosts: ['api.example.org'] },
+ *     create(ctx) { return { searchSeries, getSeries, getEpisode, getArtwork, identifyFile } }
+ *   }
+ *
+ * Instance methods are all optional and take `(params, { credentials, username, log })`:
+ *   searchSeries({ query, year, limit })               -> [{ id, title, year, raw }]
+ *   getSeries({ id })                                   -> { id, title, year, raw } | null
+ *   getEpisode({ seriesId, seriesTitle, season, episode, episodeId }) -> { title, season, episode, airDate, raw } | null
+ *   getArtwork({ id })                                  -> { poster, fanart } | null
+ *   identifyFile({ filePath, title })                   -> provider-specific match | null
+ *
+ * Credential keys are setting keys: values come from the user's settings, then the server's, then
+ * the field default. Plugins are loaded from each directory in `pluginDirs` (a `.js` file or a
+ * folder with an `index.js`) and consulted through `lookup` at their place in the provider order.
+ * The built-in sources (./builtin.js) are registered as descriptors without `create`: they stay
+ * in the enrichment chain in server.js and only share the settings, naming and pacing here.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const BUILTIN_DESCRIPTORS = require('./builtin');
+
+const BUILTIN_PROVIDERS = BUILTIN_DESCRIPTORS.map(d => d.id);
+const PLUGIN_METHODS = ['searchSeries', 'getSeries', 'getEpisode', 'getArtwork', 'identifyFile'];
+const CREDENTIAL_TYPES = new Set(['text', 'password', 'number']);
+const PROVIDER_ID = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/**
+ * Check a plugin descriptor and fill in defaults. Built-in descriptors may omit `create`.
+ * @throws {Error} when the descriptor is unusable
+ */
+function normalizeDescriptor(raw, source, { builtin = false } = {}) {
+  const d = raw && raw.default && !raw.id ? raw.default : raw;
+  if (!d || typeof d !== 'object') throw new Error(`${source}: plugin must export an object`);
+  const id = String(d.id || '').trim().toLowerCase();
+  if (!PROVIDER_ID.test(id)) throw new Error(`${source}: invalid provider id "${d.id}"`);
+  if (!builtin && typeof d.create !== 'function') throw new Error(`${source}: plugin "${id}" has no create(ctx) function`);
+  const credentials = [];
+  for (const field of Array.isArray(d.credentials) ? d.credentials : []) {
+    if (!field || !field.key) throw new Error(`${source}: credential field without a key in "${id}"`);
+    credentials.push({
+      key: String(field.key),
+      label: String(field.label || field.key),
+      type: CREDENTIAL_TYPES.has(field.type) ? field.type : 'text',
+      required: field.required === true,
+      default: field.default != null ? String(field.default) : '',
+      placeholder: field.placeholder ? String(field.placeholder) : '',
+      help: field.help ? String(field.help) : ''
+    });
+  }
+  const limit = d.rateLimit || {};
+  return {
+    id,
+    name: String(d.name || id),
+    description: String(d.description || ''),
+    credentials,
+    rateLimit: {
+      minIntervalMs: Math.max(0, Number(limit.minIntervalMs) || 0),
+      concurrency: Math.max(1, Math.floor(Number(limit.concurrency) || 1)),
+      hosts: Array.isArray(limit.hosts) ? limit.hosts.map(String) : []
+    },
+    create: typeof d.create === 'function' ? d.create : null
+  };
+}
+
+/**
+ * Run calls at most `concurrency` at a time and at least `minIntervalMs` apart.
+ */
+function createLimiter({ minIntervalMs = 0, concurrency = 1 } = {}) {
+  let active = 0;
+  let last = 0;
+  const waiting = [];
+  return async function limited(fn) {
+    // A finishing call hands its slot straight to the next waiter
+    if (active < concurrency) active++;
+    else await new Promise(r => waiting.push(r));
+    try {
+      const wait = last + minIntervalMs - Date.now();
+      if (wait > 0) await sleep(wait);
+      last = Date.now();
+      return await fn();
+    } finally {
+      const next = waiting.shift();
+      if (next) next(); else active--;
+    }
+  };
+}
+
+module.exports = function buildProviderRegistry({ appendLog, pluginDirs = [] } = {}) {
+  const plugins = new Map();
+  let ctx = null;
+
+  const log = (line) => { try { if (typeof appendLog === 'function') appendLog(line); } catch (e) {} };
+
+  function register(raw, { builtin = false, source = null } = {}) {
+    const descriptor = normalizeDescriptor(raw, source || 'plugin', { builtin });
+    if (plugins.has(descriptor.id)) throw new Error(`${source || descriptor.id}: provider "${descriptor.id}" is already installed`);
+    plugins.set(descriptor.id, { descriptor, builtin, source, instance: null, limiter: createLimiter(descriptor.rateLimit) });
+    return descriptor.id;
+  }
+
+  function loadDirectory(dir) {
+    let names = [];
+    try { names = fs.readdirSync(dir).sort(); } catch (e) { return; }
+    for (const name of names) {
+      const full = path.join(dir, name);
+      let entry = null;
+      try {
+        const st = fs.statSync(full);
+        if (st.isDirectory() && fs.existsSync(path.join(full, 'index.js'))) entry = full;
+        else if (st.isFile() && name.endsWith('.js')) entry = full;
+      } catch (e) {}
+      if (!entry) continue;
+      try {
+        const id = register(require(entry), { source: entry });
+        log(`PROVIDER_PLUGIN_LOADED id=${id} source=${entry}`);
+      } catch (e) {
+        log(`PROVIDER_PLUGIN_FAIL source=${entry} err=${e && e.message ? e.message : String(e)}`);
+      }
+    }
+  }
+
+  for (const d of BUILTIN_DESCRIPTORS) register(d, { builtin: true, source: 'lib/providers/builtin.js' });
+  for (const dir of pluginDirs) loadDirectory(dir);
+
+  // Plugins are created lazily so server.js can attach the context after its helpers exist
+  function attach(nextCtx) {
+    ctx = nextCtx;
+    for (const p of plugins.values()) p.instance = null;
+  }
+
+  function instanceOf(p) {
+    if (!p.instance) {
+      if (!ctx) throw new Error('provider registry used before attach(ctx)');
+      p.instance = (p.descriptor.create && p.descriptor.create(ctx)) || {};
+    }
+    return p.instance;
+  }
+
+  function capabilitiesOf(p) {
+    const caps = {};
+    let inst = null;
+    try { inst = instanceOf(p); } catch (e) { inst = {}; }
+    for (const m of PLUGIN_METHODS) caps[m] = typeof inst[m] === 'function';
+    return caps;
+  }
+
+  function credentialsFor(id, username = null) {
+    const p = plugins.get(id);
+    if (!p) return {};
+    const users = (ctx && ctx.users) || {};
+    const serverSettings = (ctx && ctx.serverSettings) || {};
+    const own = username && users[username] && users[username].settings ? users[username].settings : {};
+    const out = {};
+    for (const field of p.descriptor.credentials) {
+      const value = [own[field.key], serverSettings[field.key]].find(v => v !== undefined && v !== null && String(v).trim() !== '');
+      out[field.key] = value !== undefined ? String(value).trim() : field.default;
+    }
+    return out;
+  }
+
+  function missingCredentials(id, username = null) {
+    const p = plugins.get(id);
+    if (!p) return [];
+    const creds = credentialsFor(id, username);
+    return p.descriptor.credentials.filter(f => f.required && !creds[f.key]).map(f => f.key);
+  }
+
+  /**
+   * Call one plugin method with the user's credentials under the plugin's rate limit.
+   * Resolves null when the plugin lacks the method or required credentials.
+   */
+  async function call(id, method, params = {}, { username = null } = {}) {
+    const p = plugins.get(id);
+    if (!p) throw new Error(`unknown provider: ${id}`);
+    const inst = instanceOf(p);
+    if (typeof inst[method] !== 'function') return null;
+    const missing = missingCredentials(id, username);
+    if (missing.length) {
+      log(`PROVIDER_SKIP_NO_CREDENTIALS id=${id} method=${method} missing=${missing.join(',')}`);
+      return null;
+    }
+    const options = { credentials: credentialsFor(id, username), username, log };
+    return p.limiter(() => inst[method](params, options));
+  }
+
+  /**
+   * Match a parsed file through one plugin: search the series, then fetch the episode. The result
+   * has the shape metaLookup returns so the enrichment chain can treat it like any provider hit.
+   */
+  async function lookup(id, { title, year = null, season = null, episode = null, filePath = null } = {}, { username = null } = {}) {
+    if (!title) return null;
+    const hits = await call(id, 'searchSeries', { query: title, year, limit: 5 }, { username });
+    const series = Array.isArray(hits) && hits.length ? hits[0] : null;
+    if (!series || !series.title) {
+      log(`PROVIDER_LOOKUP_NONE id=${id} title=${title}`);
+      return null;
+    }
+    let ep = null;
+    if (season != null && episode != null) {
+      try {
+        ep = await call(id, 'getEpisode', { seriesId: series.id, seriesTitle: series.title, season, episode, filePath }, { username });
+      } catch (e) {
+        log(`PROVIDER_EPISODE_FAIL id=${id} series=${series.id} err=${e && e.message ? e.message : String(e)}`);
+      }
+    }
+    log(`PROVIDER_LOOKUP_OK id=${id} title=${title} series=${series.id} episode=${ep && ep.title ? 'yes' : 'no'}`);
+    const raw = Object.assign({}, series.raw || {}, { id: series.id, source: id });
+    if (series.year && !raw.year) raw.year = series.year;
+    return {
+      provider: id,
+      id: series.id,
+      name: series.title,
+      source: id,
+      raw,
+      episode: ep && ep.title ? { name: ep.title, title: ep.title, localized_name: ep.title, air_date: ep.airDate || null, source: id, raw: ep.raw || null } : null
+    };
+  }
+
+  function describe(username = null) {
+    return Array.from(plugins.values()).map(p => ({
+      id: p.descriptor.id,
+      name: p.descriptor.name,
+      description: p.descriptor.description,
+      builtin: p.builtin,
+      credentials: p.descriptor.credentials,
+      rateLimit: { minIntervalMs: p.descriptor.rateLimit.minIntervalMs, concurrency: p.descriptor.rateLimit.concurrency },
+      capabilities: capabilitiesOf(p),
+      configured: missingCredentials(p.descriptor.id, username).length === 0
+    }));
+  }
+
+  // Minimum gap per API host, for code that paces its own requests (metaLookup)
+  function hostPacing() {
+    const out = {};
+    for (const p of plugins.values()) {
+      for (const host of p.descriptor.rateLimit.hosts) out[host] = Math.max(out[host] || 0, p.descriptor.rateLimit.minIntervalMs);
+    }
+    return out;
+  }
+
+  function displayNames() {
+    const out = {};
+    for (const p of plugins.values()) out[p.descriptor.id] = p.descriptor.name;
+    return out;
+  }
+
+  return {
+    attach,
+    register,
+    call,
+    lookup,
+    describe,
+    credentialsFor,
+    missingCredentials,
+    hostPacing,
+    displayNames,
+    ids: () => Array.from(plugins.keys()),
+    has: (id) => plugins.has(id),
+    isBuiltin: (id) => !!(plugins.get(id) && plugins.get(id).builtin),
+    credentialKeys: () => Array.from(new Set(Array.from(plugins.values()).flatMap(p => p.descriptor.credentials.map(f => f.key))))
+  };
+};
+
+module.exports.BUILTIN_PROVIDERS = BUILTIN_PROVIDERS;
+module.exports.PLUGIN_METHODS = PLUGIN_METHODS;
+module.exports.normalizeDescriptor = normalizeDescriptor;
+module.exports.createLimiter = createLimiter;
@@ -0,0 +1,172 @@
+/**
+ * Release info
+ *
+ * Reads the release tokens a filename carries besides title and episode: group, resolution,
+ * video and audio codec, source, CRC32, version, dual audio and language tags. The filename
+ * parser returns them with every parse, file quality ranks duplicates by them, and the rename
+ * templates expose them as `{releaseGroup}`, `{resolution}`, `{codec}` and friends. Where a
+ * name has no resolution or video codec, ffprobe output fills the gap (see `fromProbe`).
+ */
+
+const RESOLUTIONS = [4320, 2160, 1440, 1080, 720, 576, 480, 360];
+
+// [label, pattern]; first match wins, so more specific patterns come first
+const VIDEO_CODECS = [
+  ['HEVC', /\b(x265|h ?265|hevc)\b/i],
+  ['AVC', /\b(x264|h ?264|avc|hi10p?)\b/i],
+  ['AV1', /\bav1\b/i],
+  ['VP9', /\bvp9\b/i],
+  ['XviD', /\bxvid\b/i],
+  ['DivX', /\bdivx\b/i],
+  ['MPEG2', /\bmpeg-?2\b/i]
+];
+
+const AUDIO_CODECS = [
+  ['TrueHD', /\btrue-?hd\b/i],
+  ['DTS-HD', /\bdts-?(hd|x)(-?ma)?\b/i],
+  ['DTS', /\bdts\b/i],
+  ['EAC3', /\b(e-?ac-?3|ddp\d?)\b/i],
+  ['AC3', /\b(ac-?3|dd\d)\b/i],
+  ['FLAC', /\bflac\d?\b/i],
+  ['AAC', /\baac\d?\b/i],
+  ['Opus', /\bopus\d?\b/i],
+  ['MP3', /\bmp3\b/i],
+  ['Vorbis', /\bvorbis\b/i],
+  ['PCM', /\bl?pcm\b/i]
+];
+
+const SOURCES = [
+  ['BluRay', /\b(blu-?ray|bdrip|bdremux|bdmv|bd)\b/i],
+  ['WEB-DL', /\bweb-?dl\b/i],
+  ['WEBRip', /\bweb-?rip\b/i],
+  ['WEB', /\bweb\b/i],
+  ['HDTV', /\b(hdtv|tvrip)\b/i],
+  ['DVD', /\b(dvd-?rip|dvd)\b/i]
+];
+
+// Language tags by ISO 639-2 code. Full names only count inside brackets, where a title cannot be.
+const LANGUAGES = {
+  eng: ['eng', 'english'],
+  jpn: ['jpn', 'jap', 'japanese'],
+  ger: ['ger', 'deu', 'german'],
+  fre: ['fre', 'fra', 'french', 'vostfr'],
+  spa: ['spa', 'esp', 'spanish', 'latino'],
+  ita: ['ita', 'italian'],
+  por: ['por', 'portuguese', 'pt-br', 'ptbr'],
+  rus: ['rus', 'russian'],
+  chi: ['chi', 'chs', 'cht', 'chinese'],
+  kor: ['kor', 'korean'],
+  multi: ['multi', 'multi-subs', 'multisubs', 'multi-sub', 'multisub', 'multi-audio']
+};
+const LANGUAGE_BY_TAG = new Map();
+for (const [code, tags] of Object.entries(LANGUAGES)) for (const tag of tags) LANGUAGE_BY_TAG.set(tag, code);
+// Outside brackets only unmistakable scene tags count ("ENG", "VOSTFR", "MULTi")
+const LOOSE_LANGUAGE_RE = /\b(ENG|JPN|GER|FRE|SPA|ITA|POR|RUS|KOR|CHI|VOSTFR|MULTi|MULTI)\b/g;
+
+// file-quality codec names folded onto the labels above
+const PROBE_CODECS = { hevc: 'HEVC', avc: 'AVC', av1: 'AV1', vp9: 'VP9', mpeg4: 'MPEG4', mpeg2: 'MPEG2' };
+
+function firstMatch(table, text) {
+  for (const [label, re] of table) if (re.test(text)) return label;
+  return null;
+}
+
+function isTechToken(text) {
+  const t = String(text || '');
+  return /^(\d+|dl|rip)$/i.test(t) || /^\d{3,4}[pi]$/i.test(t) || /^[0-9a-f]{8}$/i.test(t)
+    || !!firstMatch(VIDEO_CODECS, t) || !!firstMatch(AUDIO_CODECS, t) || !!firstMatch(SOURCES, t);
+}
+
+function emptyReleaseInfo() {
+  return { releaseGroup: null, resolution: null, videoCodec: null, audioCodec: null, source: null, crc32: null, version: null, dualAudio: false, languages: [] };
+}
+
+/**
+ * Read the release tokens of a filename.
+ * @param {string} filename - basename or full path
+ * @returns {{releaseGroup:string|null, resolution:string|null, videoCodec:string|null, audioCodec:string|null,
+ *   source:string|null, crc32:string|null, version:number|null, dualAudio:boolean, languages:string[]}}
+ */
+function parseReleaseInfo(filename) {
+  const info = emptyReleaseInfo();
+  if (!filename) return info;
+  const base = String(filename).split(/[\\/]/).pop();
+  const stem = base.replace(/\.[a-z0-9]{2,4}$/i, '');
+  const words = stem.replace(/[._]/g, ' ');
+
+  const res = words.match(/\b(4320|2160|1440|1080|720|576|480|360)([pi])\b/i);
+  const dims = words.match(/\b\d{3,4}x(\d{3,4})\b/i);
+  if (res) info.resolution = `${res[1]}${res[2].toLowerCase()}`;
+  else if (dims) info.resolution = `${dims[1]}p`;
+  else if (/\b(4k|uhd)\b/i.test(words)) info.resolution = '2160p';
+
+  info.videoCodec = firstMatch(VIDEO_CODECS, words);
+  info.audioCodec = firstMatch(AUDIO_CODECS, words);
+  info.source = firstMatch(SOURCES, words);
+
+  // `[Group] Title - 05` is the fansub convention, `Title.S01E05.1080p-GROUP` the scene one
+  const lead = stem.match(/^\s*\[([^\]]+)\]/);
+  const trail = stem.match(/-([A-Za-z0-9]\w*)(?:\[[^\]]*\])?$/);
+  if (lead && !isTechToken(lead[1].trim())) info.releaseGroup = lead[1].trim();
+  else if (trail && !isTechToken(trail[1])) info.releaseGroup = trail[1];
+
+  const crcs = stem.match(/[[(]([0-9a-f]{8})[\])]/ig);
+  if (crcs) info.crc32 = crcs[crcs.length - 1].slice(1, 9).toUpperCase();
+
+  const version = words.match(/(?:\b|\d)v([2-9])\b/i);
+  if (version) info.version = Number(version[1]);
+
+  info.dualAudio = /\b(?:audio[ \-]*dual|dual[ \-]*audio|multi[ \-]*audio)\b/i.test(words);
+
+  const languages = new Set();
+  for (const group of stem.match(/[[(][^\])]+[\])]/g) || []) {
+    for (const tag of group.slice(1, -1).toLowerCase().split(/[\s,+&|/_.]+/)) {
+      const code = LANGUAGE_BY_TAG.get(tag) || LANGUAGE_BY_TAG.get(tag.replace(/-?subs?$/, ''));
+      if (code) languages.add(code);
+    }
+  }
+  let loose;
+  while ((loose = LOOSE_LANGUAGE_RE.exec(words)) !== null) languages.add(LANGUAGE_BY_TAG.get(loose[1].toLowerCase()));
+  LOOSE_LANGUAGE_RE.lastIndex = 0;
+  info.languages = Array.from(languages);
+  return info;
+}
+
+/**
+ * Resolution and video codec from `file-quality.fromProbe` output, in release-name form.
+ * Heights between standard sizes (cropped widescreen) round up to the next standard.
+ */
+function fromProbe(probed) {
+  const out = { resolution: null, videoCodec: null };
+  if (!probed) return out;
+  const height = Number(probed.resolution);
+  if (Number.isFinite(height) && height > 0) {
+    const standard = RESOLUTIONS.slice().reverse().find(r => height <= r) || RESOLUTIONS[0];
+    out.resolution = `${standard}p`;
+  }
+  if (probed.codec) out.videoCodec = PROBE_CODECS[probed.codec] || String(probed.codec).toUpperCase();
+  return out;
+}
+
+/**
+ * Template token values for a file: release info from the name, with `mediaInfo`
+ * (probed resolution / videoCodec) filling what the name leaves out.
+ */
+function releaseTokens(filename, mediaInfo) {
+  const info = parseReleaseInfo(filename);
+  const media = mediaInfo || {};
+  const resolution = info.resolution || media.resolution || '';
+  return {
+    releaseGroup: info.releaseGroup || '',
+    resolution,
+    codec: info.videoCodec || media.videoCodec || '',
+    audioCodec: info.audioCodec || '',
+    source: info.source || '',
+    crc32: info.crc32 || '',
+    version: info.version ? `v${info.version}` : '',
+    dualAudio: info.dualAudio ? 'Dual Audio' : '',
+    languages: info.languages.map(l => l.toUpperCase()).join('+')
+  };
+}
+
+module.exports = { RESOLUTIONS, parseReleaseInfo, fromProbe, releaseTokens };
@@ -0,0 +1,228 @@
+/**
+ * Rename template engine
+ *
+ * Renders filename and folder templates used by preview, apply and conflict checks.
+ *
+ * Syntax:
+ * - `{token}`                    token value (unknown tokens are kept literally)
+ * - `{token|filter|filter:arg}`  token value piped through filters
+ * - `{?token:text {token}}`      optional section, rendered only when `token` is non-empty
+ * - `{!token:text}`              inverse section, rendered only when `token` is empty
+ *
+ * Filters: upper, lower, title, trim, pad[:width], ifempty:text, truncate:length,
+ * prefix:text, suffix:text (prefix/suffix only apply to non-empty values).
+ */
+
+const titleCase = require('./title-case')
+const { findOutputFolderEntry, userSettingsFor } = require('./output-folders')
+
+const DEFAULT_FILE_TEMPLATE = '{title} ({year}) - {epLabel} - {episodeTitle}'
+
+// Tokens exposed to templates; descriptions are surfaced by the settings UI
+const TEMPLATE_TOKENS = {
+  title: 'Series or movie title',
+  basename: 'Original filename without extension',
+  year: 'Release year',
+  epLabel: 'Episode label such as S01E02',
+  episodeTitle: 'Episode title',
+  season: 'Season number',
+  episode: 'Episode number',
+  episodeRange: 'Episode range such as 01-02',
+  tmdbId: 'TMDb series or movie id',
+  releaseGroup: 'Release group such as SubsPlease',
+  resolution: 'Resolution such as 1080p (from ffprobe when the name has none)',
+  codec: 'Video codec such as HEVC (from ffprobe when the name has none)',
+  audioCodec: 'Audio codec such as FLAC',
+  source: 'Source such as BluRay or WEB-DL',
+  crc32: 'CRC32 from the filename such as ABCD1234',
+  version: 'Release version such as v2',
+  dualAudio: '"Dual Audio" when the release has it',
+  languages: 'Language tags such as ENG+JPN',
+  seriesFolder: 'Computed series folder name (folder templates)',
+  seasonFolder: 'Computed season folder name such as "Season 01" (folder templates)'
+}
+
+const FILTERS = {
+  upper: (v) => v.toUpperCase(),
+  lower: (v) => v.toLowerCase(),
+  title: (v) => titleCase(v) || '',
+  trim: (v) => v.trim(),
+  pad: (v, arg) => {
+    const width = parseInt(arg || '2', 10)
+    if (!/^\d+$/.test(v) || !Number.isFinite(width)) return v
+    return v.padStart(width, '0')
+  },
+  ifempty: (v, arg) => (v ? v : String(arg || '')),
+  truncate: (v, arg) => {
+    const max = parseInt(arg, 10)
+    if (!Number.isFinite(max) || max < 0 || v.length <= max) return v
+    return v.slice(0, max).trim()
+  },
+  prefix: (v, arg) => (v ? String(arg || '') + v : v),
+  suffix: (v, arg) => (v ? v + String(arg || '') : v)
+}
+
+function tokenValue(tokens, name) {
+  if (!tokens || !Object.prototype.hasOwnProperty.call(tokens, name)) return undefined
+  const v = tokens[name]
+  if (v === null || v === undefined) return ''
+  return String(v)
+}
+
+// Split `s` on the first occurrence of `sep` that is not nested inside braces
+function splitTopLevel(s, sep, firstOnly) {
+  const parts = []
+  let depth = 0
+  let start = 0
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i]
+    if (ch === '{') depth++
+    else if (ch === '}') depth = Math.max(0, depth - 1)
+    else if (ch === sep && depth === 0) {
+      parts.push(s.slice(start, i))
+      start = i + 1
+      if (firstOnly) break
+    }
+  }
+  parts.push(s.slice(start))
+  return parts
+}
+
+// Returns index of the brace closing the one opened at `open`, or -1
+function findClosingBrace(s, open) {
+  let depth = 0
+  for (let i = open; i < s.length; i++) {
+    if (s[i] === '{') depth++
+    else if (s[i] === '}') {
+      depth--
+      if (depth === 0) return i
+    }
+  }
+  return -1
+}
+
+function renderExpression(inner, tokens, opts, errors) {
+  const sanitize = typeof opts.sanitize === 'function' ? opts.sanitize : (v) => v
+  const head = inner.charAt(0)
+  if (head === '?' || head === '!') {
+    const [nameRaw, body] = splitTopLevel(inner.slice(1), ':', true)
+    const name = String(nameRaw || '').trim()
+    const value = tokenValue(tokens, name)
+    if (value === undefined && errors) errors.push(`unknown token "${name}" in section`)
+    const present = !!(value && value.trim())
+    const show = head === '?' ? present : !present
+    return show ? renderSegments(body || '', tokens, opts, errors) : ''
+  }
+
+  const [nameRaw, ...filterSpecs] = splitTopLevel(inner, '|')
+  const name = String(nameRaw || '').trim()
+  let value = tokenValue(tokens, name)
+  if (value === undefined) {
+    if (errors) errors.push(`unknown token "${name}"`)
+    return `{${inner}}`
+  }
+  for (const spec of filterSpecs) {
+    const [fnameRaw, arg] = splitTopLevel(spec, ':', true)
+    const fname = String(fnameRaw || '').trim()
+    const fn = FILTERS[fname]
+    if (!fn) {
+      if (errors) errors.push(`unknown filter "${fname}"`)
+      continue
+    }
+    value = String(fn(value, arg === undefined ? undefined : renderSegments(arg, tokens, opts, errors)))
+  }
+  return sanitize(value)
+}
+
+function renderSegments(template, tokens, opts, errors) {
+  const s = String(template || '')
+  let out = ''
+  let i = 0
+  while (i < s.length) {
+    const open = s.indexOf('{', i)
+    if (open === -1) { out += s.slice(i); break }
+    out += s.slice(i, open)
+    const close = findClosingBrace(s, open)
+    if (close === -1) {
+      if (errors) errors.push('unbalanced "{"')
+      out += s.slice(open)
+      break
+    }
+    out += renderExpression(s.slice(open + 1, close), tokens, opts, errors)
+    i = close + 1
+  }
+  return out
+}
+
+/**
+ * Render a filename template
+ * @param {string} template - Template string
+ * @param {Object} tokens - Token name -> value map
+ * @param {Object} [opts]
+ * @param {Function} [opts.sanitize] - Applied to every substituted token value
+ * @returns {string}
+ */
+function renderTemplate(template, tokens, opts = {}) {
+  return renderSegments(template, tokens || {}, opts || {}, null)
+}
+
+/**
+ * Render a folder template into path segments. Each segment is rendered separately so a
+ * sanitize function stripping "/" cannot merge segments; empty segments are dropped.
+ * @returns {string[]}
+ */
+function renderFolderTemplate(template, tokens, opts = {}) {
+  const segments = String(template || '').split(/[\\/]+/)
+  const out = []
+  for (const seg of segments) {
+    const rendered = renderSegments(seg, tokens || {}, opts || {}, null).replace(/\s{2,}/g, ' ').trim()
+    if (rendered && rendered !== '.' && rendered !== '..') out.push(rendered)
+  }
+  return out
+}
+
+/**
+ * Validate a template without rendering real data.
+ * @returns {string[]} list of problems (empty when valid)
+ */
+function validateTemplate(template) {
+  const errors = []
+  const sample = {}
+  for (const k of Object.keys(TEMPLATE_TOKENS)) sample[k] = 'x'
+  renderSegments(template, sample, {}, errors)
+  return Array.from(new Set(errors))
+}
+
+/**
+ * Pick filename/folder templates for an output path.
+ * Precedence: matching `output_folders` entry -> explicit request template -> user -> server -> default.
+ * Folder templates are only used when configured (null keeps the built-in Series/Season layout).
+ */
+function selectTemplates({ username, users, serverSettings, effectiveOutput, canonicalize, template, library } = {}) {
+  const userSettings = userSettingsFor(username, users)
+  const server = serverSettings || {}
+  const outputFolder = findOutputFolderEntry({ username, users, serverSettings, effectiveOutput, canonicalize })
+  const pick = (...vals) => {
+    for (const v of vals) if (typeof v === 'string' && v.trim()) return v
+    return null
+  }
+  const folderFileTemplate = outputFolder ? pick(outputFolder.rename_template) : null
+  // Clients send the user's saved template, so a library's own template has to win over it
+  const libraryTemplate = library ? pick(library.rename_template) : null
+  return {
+    outputFolder,
+    fileTemplate: folderFileTemplate || libraryTemplate || pick(template, userSettings.rename_template, server.rename_template) || '{title}',
+    fileTemplateFromOutput: !!folderFileTemplate,
+    folderTemplate: pick(outputFolder && outputFolder.folder_template, userSettings.folder_template, server.folder_template)
+  }
+}
+
+module.exports = {
+  DEFAULT_FILE_TEMPLATE,
+  TEMPLATE_TOKENS,
+  FILTERS,
+  renderTemplate,
+  renderFolderTemplate,
+  validateTemplate,
+  selectTemplates
+}
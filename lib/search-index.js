@@ -0,0 +1,349 @@
+/**
+ * Search index
+ *
+ * A full-text index (SQLite FTS5) over every scanned file: path, file name, parsed title, provider
+ * titles (English, romaji, native, synonyms), episode title and provider ids. A file is re-indexed
+ * whenever `updateEnrichCache` stores its enrichment, and scan items that were never enriched are
+ * indexed the first time a search covers them.
+ *
+ * Queries are words (matched as prefixes), "quoted phrases" and field terms:
+ *   frieren                      any text field
+ *   title:frieren file:1080p     one text field: title, file, path, id or eptitle
+ *   provider:anidb season:2      filters: provider, season, episode, year, matched, applied, hidden
+ *
+ * `applied` and `hidden` are read from the enrichment cache when the query runs, because many code
+ * paths flip those flags in place rather than through updateEnrichCache.
+ */
+
+const { collectProviderIds } = require('./nfo');
+
+// Bump when docFor changes so existing indexes are rebuilt on startup
+const INDEX_VERSION = 1;
+const VERSION_KEY = 'searchIndexVersion';
+const FLUSH_DELAY_MS = 250;
+const REBUILD_CHUNK = 1000;
+const MAX_FIELD_LENGTH = 4000;
+const MARK_OPEN = '\u0002';
+const MARK_CLOSE = '\u0003';
+
+// Same order as the search_fts columns in lib/db.js
+const COLUMNS = [
+  { column: 'basename', key: 'basename', weight: 4 },
+  { column: 'title', key: 'title', weight: 10 },
+  { column: 'alt_titles', key: 'altTitles', weight: 6 },
+  { column: 'episode_title', key: 'episodeTitle', weight: 3 },
+  { column: 'ids', key: 'ids', weight: 2 },
+  { column: 'path', key: 'path', weight: 1 }
+];
+
+const TEXT_FIELDS = {
+  title: ['title', 'alt_titles'],
+  file: ['basename'],
+  path: ['path'],
+  id: ['ids'],
+  eptitle: ['episode_title']
+};
+const FILTER_FIELDS = {
+  provider: 'text',
+  season: 'int',
+  episode: 'int',
+  year: 'int',
+  matched: 'bool',
+  applied: 'bool',
+  hidden: 'bool'
+};
+
+function parseFilterValue(field, value) {
+  const type = FILTER_FIELDS[field];
+  const v = String(value).trim().toLowerCase();
+  if (type === 'int') {
+    if (!/^\d+$/.test(v)) throw new Error(`${field} must be a whole number`);
+    return Number(v);
+  }
+  if (type === 'bool') {
+    if (['true', 'yes', '1'].includes(v)) return true;
+    if (['false', 'no', '0'].includes(v)) return false;
+    throw new Error(`${field} must be true or false`);
+  }
+  if (!v) throw new Error(`${field} needs a value`);
+  return v;
+}
+
+/**
+ * Split a search box query into text terms and filters.
+ * @param {string} q
+ * @returns {{ terms: Array<{ text: string, phrase: boolean, columns: string[]|null }>, filters: Object }}
+ * @throws {Error} when a filter value has the wrong type (season:abc)
+ */
+function parseQuery(q) {
+  const terms = [];
+  const filters = {};
+  const re = /(?:([a-zA-Z]+):)?(?:"([^"]*)"?|(\S+))/g;
+  let m;
+  while ((m = re.exec(String(q || ''))) !== null) {
+    const field = m[1] ? m[1].toLowerCase() : null;
+    const phrase = m[2] !== undefined;
+    const value = phrase ? m[2] : m[3];
+    if (field && FILTER_FIELDS[field]) {
+      filters[field] = parseFilterValue(field, value || '');
+    } else if (field && TEXT_FIELDS[field]) {
+      if (value) terms.push({ text: value, phrase, columns: TEXT_FIELDS[field] });
+    } else {
+      // `foo:bar` with an unknown field is searched as text
+      const text = field ? `${m[1]}:${value || ''}` : value;
+      if (text) terms.push({ text, phrase, columns: null });
+    }
+  }
+  return { terms, filters };
+}
+
+/**
+ * The FTS5 MATCH expression for parsed terms, or null when none has a letter or digit.
+ * Words are prefix-matched; a term like `Show.Name` must match as adjacent words.
+ */
+function toMatchExpression(terms) {
+  const parts = [];
+  for (const term of terms || []) {
+    const words = String(term.text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    if (!words.length) continue;
+    const expr = `"${words.join(' ')}"${term.phrase ? '' : '*'}`;
+    parts.push(term.columns ? `{${term.columns.join(' ')}} : ${expr}` : expr);
+  }
+  return parts.length ? parts.join(' AND ') : null;
+}
+
+function hasFilters(filters) {
+  return Object.keys(filters || {}).some(k => filters[k] !== undefined && filters[k] !== null);
+}
+
+function intOrNull(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = parseInt(String(value), 10);
+  return Number.isFinite(n) ? n : null;
+}
+
+function joinUnique(values) {
+  const seen = new Set();
+  const out = [];
+  for (const v of values) {
+    if (v === null || v === undefined || typeof v === 'object') continue;
+    const s = String(v).trim();
+    if (!s || seen.has(s.toLowerCase())) continue;
+    seen.add(s.toLowerCase());
+    out.push(s);
+  }
+  return out.join(' | ').slice(0, MAX_FIELD_LENGTH) || null;
+}
+
+// Alternate titles the providers return in their raw payloads (AniList, TMDb, AniDB)
+function rawTitles(raw) {
+  const out = [];
+  if (raw.title && typeof raw.title === 'object') out.push(raw.title.english, raw.title.romaji, raw.title.native);
+  if (Array.isArray(raw.synonyms)) out.push(...raw.synonyms);
+  if (Array.isArray(raw.titles)) out.push(...raw.titles.map(t => (t && typeof t === 'object' ? t.title : t)));
+  out.push(raw.name, raw.original_name, raw.original_title, raw.romajiTitle, raw.nativeTitle);
+  return out;
+}
+
+/**
+ * The search document for one file.
+ * @param {string} filePath - canonical path
+ * @param {Object|null} entry - its enrichment cache entry
+ */
+function docFor(filePath, entry) {
+  const e = entry || {};
+  const provider = e.provider && typeof e.provider === 'object' ? e.provider : {};
+  const parsed = e.parsed && typeof e.parsed === 'object' ? e.parsed : {};
+  const raw = provider.raw && typeof provider.raw === 'object' ? provider.raw : {};
+  const ids = collectProviderIds(e);
+  const source = provider.source || provider.provider || raw.source || null;
+  return {
+    path: filePath,
+    basename: String(filePath).split(/[\\/]/).pop(),
+    title: joinUnique([provider.title, provider.renderedName, parsed.title, parsed.parsedName, e.title, e.seriesTitle]),
+    altTitles: joinUnique([
+      e.seriesTitleEnglish, e.seriesTitleRomaji, e.seriesTitleExact, e.originalSeriesTitle,
+      provider.seriesTitleEnglish, provider.seriesTitleRomaji, provider.seriesTitleExact, provider.originalSeriesTitle,
+      ...rawTitles(raw)
+    ]),
+    episodeTitle: joinUnique([provider.episodeTitle, e.episodeTitle]),
+    ids: Object.keys(ids).filter(k => ids[k]).map(k => `${k}:${ids[k]}`).join(' ') || null,
+    provider: typeof source === 'string' && source ? source.toLowerCase() : null,
+    season: intOrNull(provider.season != null ? provider.season : (e.season != null ? e.season : parsed.season)),
+    episode: intOrNull(provider.episode != null ? provider.episode : (e.episode != null ? e.episode : parsed.episode)),
+    year: intOrNull(String(provider.year || e.year || '').slice(0, 4)),
+    matched: provider.matched === true
+  };
+}
+
+/**
+ * Highlighted text split into runs, so clients never have to render markup from file names.
+ * @returns {Array<{ text: string, match: boolean }>}
+ */
+function splitHighlight(text) {
+  const out = [];
+  let match = false;
+  let buf = '';
+  for (const ch of String(text || '')) {
+    if (ch === MARK_OPEN || ch === MARK_CLOSE) {
+      if (buf) out.push({ text: buf, match });
+      buf = '';
+      match = ch === MARK_OPEN;
+    } else {
+      buf += ch;
+    }
+  }
+  if (buf) out.push({ text: buf, match });
+  return out;
+}
+
+module.exports = function buildSearchIndex(ctx) {
+  const { db, appendLog } = ctx;
+  const pending = new Set();
+  let known = null;
+  let flushTimer = null;
+
+  const log = (line) => { try { appendLog(line); } catch (e) {} };
+
+  function available() {
+    return !!(db && db.isSearchFtsAvailable && db.isSearchFtsAvailable());
+  }
+
+  function knownPaths() {
+    if (!known) known = new Set(db.listSearchDocPaths());
+    return known;
+  }
+
+  /**
+   * Write queued documents now.
+   * @returns {number} documents written
+   */
+  function flush() {
+    if (flushTimer) { clearTimeout(flushTimer); flushTimer = null; }
+    if (!pending.size) return 0;
+    const cache = ctx.enrichCache || {};
+    const docs = Array.from(pending, p => docFor(p, cache[p]));
+    pending.clear();
+    try {
+      db.upsertSearchDocs(docs);
+      const k = knownPaths();
+      for (const d of docs) k.add(d.path);
+    } catch (e) {
+      log(`SEARCH_INDEX_FAIL docs=${docs.length} err=${e && e.message ? e.message : String(e)}`);
+      return 0;
+    }
+    return docs.length;
+  }
+
+  /**
+   * Re-index a file from its current enrichment. Writes are batched, so a bulk rescan costs one
+   * transaction per batch rather than one per file.
+   */
+  function update(filePath) {
+    if (!filePath || !available()) return;
+    pending.add(filePath);
+    if (!flushTimer) {
+      flushTimer = setTimeout(flush, FLUSH_DELAY_MS);
+      if (flushTimer.unref) flushTimer.unref();
+    }
+  }
+
+  function remove(paths) {
+    if (!available() || !paths || !paths.length) return 0;
+    for (const p of paths) { pending.delete(p); if (known) known.delete(p); }
+    return db.deleteSearchDocs(paths);
+  }
+
+  // Index files that have no document yet, e.g. scan items that were never enriched
+  function ensure(paths) {
+    if (!available()) return 0;
+    const k = knownPaths();
+    for (const p of paths || []) if (p && !k.has(p)) pending.add(p);
+    return flush();
+  }
+
+  /**
+   * Drop every document and index the enrichment cache plus `paths`.
+   * @returns {number} documents written
+   */
+  function rebuild(paths = []) {
+    if (!available()) return 0;
+    const started = Date.now();
+    const cache = ctx.enrichCache || {};
+    const all = Array.from(new Set([...Object.keys(cache), ...paths.filter(Boolean)]));
+    pending.clear();
+    db.clearSearchDocs();
+    for (let i = 0; i < all.length; i += REBUILD_CHUNK) {
+      db.upsertSearchDocs(all.slice(i, i + REBUILD_CHUNK).map(p => docFor(p, cache[p])));
+    }
+    known = new Set(all);
+    db.setKV(VERSION_KEY, INDEX_VERSION);
+    log(`SEARCH_INDEX_REBUILT docs=${all.length} ms=${Date.now() - started}`);
+    return all.length;
+  }
+
+  /**
+   * Build the index on first start, or again when INDEX_VERSION changed.
+   * @param {string[]} paths - scan item paths to index alongside the enrichment cache
+   */
+  function init(paths = []) {
+    if (!available()) {
+      if (db) log('SEARCH_INDEX_UNAVAILABLE reason=no-fts5');
+      return false;
+    }
+    if (db.getKV(VERSION_KEY) === INDEX_VERSION) return false;
+    rebuild(paths);
+    return true;
+  }
+
+  function highlightsOf(row) {
+    if (!row) return null;
+    const out = {};
+    for (const c of COLUMNS) {
+      const text = row[c.column];
+      if (text && text.indexOf(MARK_OPEN) !== -1) out[c.key] = splitHighlight(text);
+    }
+    return Object.keys(out).length ? out : null;
+  }
+
+  /**
+   * Best matches first, or by path for filter-only queries.
+   * @param {Object} query - from parseQuery
+   * @param {Object} [opts]
+   * @param {string[]} [opts.within] - canonical paths to search (a scan's items); every indexed file when omitted
+   * @param {Function} [opts.include] - (path, entry) => boolean, checked after the query's own filters
+   * @param {number} [opts.offset]
+   * @param {number} [opts.limit]
+   * @returns {{ total: number, hits: Array<{ path: string, score: number|null, highlights: Object|null }> }}
+   */
+  function search(query, { within = null, include = null, offset = 0, limit = 50 } = {}) {
+    if (within) ensure(within); else flush();
+    const filters = (query && query.filters) || {};
+    const match = toMatchExpression(query && query.terms);
+    if (!match && !hasFilters(filters)) return { total: 0, hits: [] };
+    const rows = db.searchDocs({ match, filters, weights: COLUMNS.map(c => c.weight) });
+    const scope = within ? new Set(within) : null;
+    const cache = ctx.enrichCache || {};
+    const matches = rows.filter(r => {
+      if (scope && !scope.has(r.path)) return false;
+      const entry = cache[r.path] || null;
+      if (typeof filters.applied === 'boolean' && !!(entry && entry.applied) !== filters.applied) return false;
+      if (typeof filters.hidden === 'boolean' && !!(entry && entry.hidden) !== filters.hidden) return false;
+      return include ? include(r.path, entry) : true;
+    });
+    const page = matches.slice(offset, offset + limit);
+    const marked = match ? db.highlightSearchDocs(match, page.map(r => r.path), MARK_OPEN, MARK_CLOSE) : {};
+    return {
+      total: matches.length,
+      hits: page.map(r => ({ path: r.path, score: r.score, highlights: highlightsOf(marked[r.path]) }))
+    };
+  }
+
+  return { available, update, remove, ensure, flush, rebuild, init, search };
+};
+
+module.exports.INDEX_VERSION = INDEX_VERSION;
+module.exports.parseQuery = parseQuery;
+module.exports.toMatchExpression = toMatchExpression;
+module.exports.docFor = docFor;
+module.exports.splitHighlight = splitHighlight;
@@ -1,4 +1,5 @@
 const https = require('https')
+const fixtures = require('./fixtures')
 
 const authCache = new Map()
 
@@ -18,7 +19,7 @@ function cacheKey(creds) {
 }
 
 function request(options, body, timeoutMs = 5000) {
-  return new Promise((resolve, reject) => {
+  return fixtures.exchange('tvdb', { host: options.hostname, method: options.method, path: options.path, body }, () => new Promise((resolve, reject) => {
     const req = https.request(options, (res) => {
       let data = ''
       res.on('data', chunk => { data += chunk })
@@ -28,7 +29,7 @@ function request(options, body, timeoutMs = 5000) {
     req.setTimeout(timeoutMs, () => { req.destroy(new Error('timeout')) })
     if (body) req.write(body)
     req.end()
-  })
+  }))
 }
 
 function safe(val, limit = 200) {
@@ -511,7 +512,8 @@ async function fetchSeriesExtended(creds, seriesId, log) {
   return result
 }
 
-async function fetchSeries(creds, name, log) {
+// onCandidates, when given, receives the filtered search hits ranked best-first
+async function fetchSeries(creds, name, log, onCandidates) {
   if (!name) return null
   const query = encodeURIComponent(String(name).slice(0, 200))
   const path = `/v4/search?type=series&q=${query}`
@@ -547,6 +549,7 @@ async function fetchSeries(creds, name, log) {
   if (!list.length) return null
   let best = null
   let bestScore = -Infinity
+  const itemScores = new Map()
   const target = String(name).toLowerCase()
   for (let i = 0; i < list.length; i++) {
     const item = list[i]
@@ -575,9 +578,16 @@ async function fetchSeries(creds, name, log) {
         try { log(`TVDB_SERIES_SCORE mode=v4 candidate="${safe(t)}" target="${safe(name)}" score=${score.toFixed(3)} position=${i}`) } catch (e) {}
       }
       if (score > bestScore) { bestScore = score; best = item }
+      if (!itemScores.has(item) || score > itemScores.get(item)) itemScores.set(item, score)
     }
   }
   const pick = best || list[0]
+  if (typeof onCandidates === 'function') {
+    try {
+      const ranked = list.filter(Boolean).sort((a, b) => (itemScores.get(b) || 0) - (itemScores.get(a) || 0))
+      onCandidates(ranked)
+    } catch (e) {}
+  }
   if (log && pick) {
     try { log(`TVDB_SERIES_PICK mode=v4 id=${pick.id || '<none>'} name=${safe(pick.seriesName || pick.series_name || pick.name || name)} bestScore=${bestScore.toFixed(3)}`) } catch (e) {}
   }
@@ -659,9 +669,44 @@ async function fetchEpisodeBySeries(creds, seriesId, season, episode, log) {
   return fetchEpisodeBySeriesV4(creds, seriesId, season, episode, log)
 }
 
+// Every episode of a series in default order, for completeness reports. Titles are the listing's
+// own names; no per-episode translation lookups are made.
+async function fetchSeriesEpisodes(creds, seriesId, log) {
+  if (!creds || !seriesId) return null
+  const episodes = []
+  let page = 0
+  let safety = 0
+  while (safety < 20) {
+    const path = `/v4/series/${encodeURIComponent(seriesId)}/episodes/default?page=${page}`
+    const res = await apiRequest(path, creds, {}, log)
+    if (!res || res.statusCode !== 200) return page === 0 ? null : episodes
+    let parsed
+    try { parsed = JSON.parse(res.body || '{}') } catch (e) { parsed = null }
+    const list = parsed && parsed.data && Array.isArray(parsed.data.episodes) ? parsed.data.episodes : (parsed && Array.isArray(parsed.data) ? parsed.data : [])
+    for (const ep of list) {
+      if (!ep) continue
+      const s = Number(ep.seasonNumber != null ? ep.seasonNumber : ep.airedSeason)
+      const e = Number(ep.number != null ? ep.number : ep.airedEpisodeNumber)
+      if (!Number.isFinite(s) || !Number.isFinite(e) || e <= 0) continue
+      episodes.push({ season: s, episode: e, title: ep.name || null, airDate: ep.aired || null })
+    }
+    // `links.next` is a page number on some responses and a full URL on others
+    const next = parsed && parsed.links ? parsed.links.next : null
+    const m = next == null ? null : String(next).match(/(\d+)$/)
+    if (!list.length || !m || Number(m[1]) <= page) break
+    page = Number(m[1])
+    safety += 1
+  }
+  if (log) {
+    try { log(`TVDB_SERIES_EPISODES mode=v4 seriesId=${seriesId} count=${episodes.length}`) } catch (e) {}
+  }
+  return episodes
+}
+
 async function fetchEpisode(creds, titles, season, episode, options = {}) {
   if (!creds || season == null || episode == null) return null
   const log = typeof options.log === 'function' ? options.log : null
+  const onCandidates = typeof options.onCandidates === 'function' ? options.onCandidates : null
   if (log) {
     try {
       log(`TVDB_FETCH_REQUEST mode=v4 titles=${safe(Array.isArray(titles) ? titles.join('|') : titles)} season=${season} episode=${episode}`)
@@ -675,7 +720,7 @@ async function fetchEpisode(creds, titles, season, episode, options = {}) {
     const key = cand.toLowerCase()
     if (tried.has(key)) continue
     tried.add(key)
-    const series = await fetchSeries(creds, cand, log)
+    const series = await fetchSeries(creds, cand, log, onCandidates)
     const seriesId = resolveSeriesId(series)
     if (!series) {
       if (log) {
@@ -881,4 +926,4 @@ async function fetchMovieById(creds, movieId, log) {
   return { id: String(data.id), name: data.name || null, year, raw: Object.assign({}, data, { source: 'tvdb', media_type: 'movie' }) }
 }
 
-module.exports = { fetchEpisode, extractEpisodeTitle, fetchSeriesExtended, fetchSeriesById, fetchEpisodeBySeriesId, fetchEpisodeBySeries, fetchMovieById }
+module.exports = { fetchEpisode, extractEpisodeTitle, fetchSeriesExtended, fetchSeriesEpisodes, fetchSeriesById, fetchEpisodeBySeriesId, fetchEpisodeBySeries, fetchMovieById }
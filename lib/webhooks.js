@@ -0,0 +1,248 @@
+/**
+ * Outgoing webhooks
+ *
+ * Subscribes to the same event types `broadcastEvent` sends over SSE and POSTs them to
+ * configured targets. Webhook definitions live in `serverSettings.webhooks`; every attempt
+ * is recorded in the `webhook_deliveries` table (or an in-memory ring when SQLite is off).
+ *
+ * Target kinds:
+ * - generic   POST { id, event, timestamp, payload } as JSON, optionally HMAC-SHA256 signed
+ *             (`X-MMP-Signature: sha256=<hex>` over the raw body)
+ * - jellyfin  POST {url}/Library/Refresh with the API key
+ * - plex      GET {url}/library/sections/{id}/refresh for each configured section (all when empty)
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+const WEBHOOK_EVENTS = ['scan_completed', 'items_enriched', 'items_applied', 'items_unapproved', 'provider_failed'];
+const WEBHOOK_KINDS = ['generic', 'jellyfin', 'plex'];
+// Media servers only need to rescan when library contents change
+const MEDIA_SERVER_DEFAULT_EVENTS = ['items_applied', 'items_unapproved'];
+// Per-item events are collected for this long and delivered as one { items: [...] } payload
+const COALESCED_EVENTS = new Set(['provider_failed']);
+const COALESCE_WINDOW_MS = 5000;
+const DEFAULT_RETRY_DELAYS_MS = [5000, 30000, 120000];
+const MEMORY_LOG_LIMIT = 200;
+
+function signPayload(secret, body) {
+  return 'sha256=' + crypto.createHmac('sha256', String(secret)).update(body).digest('hex');
+}
+
+function sendRequest(url, { method = 'POST', headers = {}, body = null, timeoutMs = 10000 } = {}) {
+  return new Promise((resolve, reject) => {
+    let parsed;
+    try { parsed = new URL(url); } catch (e) { reject(new Error(`invalid url ${url}`)); return; }
+    const client = parsed.protocol === 'https:' ? https : (parsed.protocol === 'http:' ? http : null);
+    if (!client) { reject(new Error(`unsupported protocol ${parsed.protocol}`)); return; }
+    const reqHeaders = Object.assign({ 'User-Agent': 'MMP-Renamer' }, headers);
+    if (body != null) reqHeaders['Content-Length'] = Buffer.byteLength(body);
+    const req = client.request(parsed, { method, headers: reqHeaders }, (res) => {
+      let data = '';
+      res.on('data', chunk => { if (data.length < 4096) data += chunk; });
+      res.on('end', () => resolve({ statusCode: res.statusCode, body: data }));
+    });
+    req.on('error', reject);
+    req.setTimeout(timeoutMs, () => { req.destroy(new Error('timeout')); });
+    if (body != null) req.write(body);
+    req.end();
+  });
+}
+
+function joinUrl(base, suffix) {
+  return String(base || '').replace(/\/+$/, '') + suffix;
+}
+
+/**
+ * Validate and normalise a webhook definition coming from the API.
+ * @param {Object} input
+ * @param {Object} [existing] - current definition when updating (secrets are kept when omitted)
+ * @throws {Error} when the definition is invalid
+ */
+function normalizeWebhook(input, existing = null) {
+  const src = Object.assign({}, existing || {}, input || {});
+  const kind = WEBHOOK_KINDS.includes(src.kind) ? src.kind : 'generic';
+  const url = String(src.url || '').trim();
+  let parsed;
+  try { parsed = new URL(url); } catch (e) { throw new Error('url must be an absolute http(s) URL'); }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') throw new Error('url must be an absolute http(s) URL');
+  const events = Array.isArray(src.events)
+    ? Array.from(new Set(src.events.filter(e => WEBHOOK_EVENTS.includes(e))))
+    : (kind === 'generic' ? WEBHOOK_EVENTS.slice() : MEDIA_SERVER_DEFAULT_EVENTS.slice());
+  if (!events.length) throw new Error('at least one event is required');
+  if (kind !== 'generic' && !String(src.token || '').trim()) throw new Error(`${kind} targets need an API token`);
+  const sections = kind === 'plex'
+    ? String(Array.isArray(src.sections) ? src.sections.join(',') : (src.sections || '')).split(',').map(s => s.trim()).filter(s => /^\d+$/.test(s))
+    : [];
+  return {
+    id: existing && existing.id ? existing.id : src.id,
+    name: String(src.name || '').trim() || parsed.host,
+    kind,
+    url,
+    events,
+    enabled: src.enabled !== false && src.enabled !== 'false',
+    secret: kind === 'generic' ? (String(src.secret || '').trim() || null) : null,
+    token: kind === 'generic' ? null : String(src.token).trim(),
+    sections
+  };
+}
+
+module.exports = function buildWebhookDispatcher(ctx) {
+  const { db, appendLog, uuidv4, serverSettings } = ctx;
+  const retryDelays = Array.isArray(ctx.webhookRetryDelaysMs) ? ctx.webhookRetryDelaysMs : DEFAULT_RETRY_DELAYS_MS;
+  const memoryLog = [];
+  const pendingCoalesce = new Map();
+
+  const log = (line) => { try { appendLog(line); } catch (e) {} };
+
+  function listWebhooks() {
+    return Array.isArray(serverSettings && serverSettings.webhooks) ? serverSettings.webhooks : [];
+  }
+
+  function record(delivery, fields) {
+    Object.assign(delivery, fields, { updated_at: Date.now() });
+    if (db && typeof db.upsertWebhookDelivery === 'function') {
+      try { db.upsertWebhookDelivery(delivery); return; } catch (e) { log(`WEBHOOK_LOG_FAIL id=${delivery.id} err=${e.message}`); }
+    }
+    if (!memoryLog.includes(delivery)) {
+      memoryLog.unshift(delivery);
+      if (memoryLog.length > MEMORY_LOG_LIMIT) memoryLog.length = MEMORY_LOG_LIMIT;
+    }
+  }
+
+  async function plexSectionIds(hook) {
+    if (hook.sections && hook.sections.length) return hook.sections;
+    const res = await sendRequest(joinUrl(hook.url, `/library/sections?X-Plex-Token=${encodeURIComponent(hook.token)}`), {
+      method: 'GET', headers: { Accept: 'application/json' }
+    });
+    if (res.statusCode < 200 || res.statusCode >= 300) throw new Error(`plex section list failed status=${res.statusCode}`);
+    let parsed = null;
+    try { parsed = JSON.parse(res.body); } catch (e) { parsed = null; }
+    const dirs = parsed && parsed.MediaContainer && Array.isArray(parsed.MediaContainer.Directory) ? parsed.MediaContainer.Directory : [];
+    return dirs.map(d => String(d.key)).filter(Boolean);
+  }
+
+  // Perform one attempt; resolves with the last HTTP status or throws
+  async function send(hook, envelope) {
+    if (hook.kind === 'jellyfin') {
+      return sendRequest(joinUrl(hook.url, '/Library/Refresh'), {
+        method: 'POST',
+        headers: { 'X-Emby-Token': hook.token, Authorization: `MediaBrowser Token="${hook.token}"` },
+        body: ''
+      });
+    }
+    if (hook.kind === 'plex') {
+      let last = null;
+      for (const id of await plexSectionIds(hook)) {
+        last = await sendRequest(joinUrl(hook.url, `/library/sections/${encodeURIComponent(id)}/refresh?X-Plex-Token=${encodeURIComponent(hook.token)}`), { method: 'GET' });
+        if (last.statusCode < 200 || last.statusCode >= 300) return last;
+      }
+      return last || { statusCode: 204, body: '' };
+    }
+    const body = JSON.stringify(envelope);
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-MMP-Event': envelope.event,
+      'X-MMP-Delivery': envelope.id
+    };
+    if (hook.secret) headers['X-MMP-Signature'] = signPayload(hook.secret, body);
+    return sendRequest(hook.url, { method: 'POST', headers, body });
+  }
+
+  /**
+   * Deliver an event to one webhook, retrying with backoff on network errors and non-2xx.
+   * @returns {Promise<Object>} the delivery record after the first attempt
+   */
+  async function deliver(hook, type, payload, { retries = true } = {}) {
+    const envelope = { id: uuidv4(), event: type, timestamp: new Date().toISOString(), payload };
+    const delivery = {
+      id: envelope.id,
+      webhook_id: hook.id,
+      event: type,
+      status: 'pending',
+      attempts: 0,
+      response_status: null,
+      error: null,
+      created_at: Date.now(),
+      payload: JSON.stringify(envelope)
+    };
+    record(delivery, {});
+
+    const attempt = async () => {
+      let status = null;
+      let error = null;
+      try {
+        const res = await send(hook, envelope);
+        status = res ? res.statusCode : null;
+        if (!status || status < 200 || status >= 300) error = `HTTP ${status}`;
+      } catch (e) {
+        error = e.message;
+      }
+      const attempts = delivery.attempts + 1;
+      if (!error) {
+        record(delivery, { status: 'delivered', attempts, response_status: status, error: null });
+        log(`WEBHOOK_DELIVERED hook=${hook.id} event=${type} status=${status} attempts=${attempts}`);
+        return;
+      }
+      const delay = retries ? retryDelays[attempts - 1] : undefined;
+      if (delay === undefined) {
+        record(delivery, { status: 'failed', attempts, response_status: status, error });
+        log(`WEBHOOK_FAILED hook=${hook.id} event=${type} attempts=${attempts} err=${error}`);
+        return;
+      }
+      record(delivery, { status: 'retrying', attempts, response_status: status, error });
+      log(`WEBHOOK_RETRY hook=${hook.id} event=${type} attempt=${attempts} in_ms=${delay} err=${error}`);
+      const timer = setTimeout(() => { attempt().catch(() => {}); }, delay);
+      if (timer && typeof timer.unref === 'function') timer.unref();
+    };
+    await attempt();
+    return delivery;
+  }
+
+  function fanOut(type, payload) {
+    for (const hook of listWebhooks()) {
+      if (!hook || !hook.enabled || !Array.isArray(hook.events) || !hook.events.includes(type)) continue;
+      deliver(hook, type, payload).catch(e => log(`WEBHOOK_DISPATCH_FAIL hook=${hook.id} event=${type} err=${e.message}`));
+    }
+  }
+
+  /**
+   * Entry point from `broadcastEvent`. Types outside WEBHOOK_EVENTS are ignored.
+   */
+  function dispatch(type, payload) {
+    if (!WEBHOOK_EVENTS.includes(type)) return;
+    if (!listWebhooks().some(h => h && h.enabled && Array.isArray(h.events) && h.events.includes(type))) return;
+    if (!COALESCED_EVENTS.has(type)) { fanOut(type, payload); return; }
+    let pending = pendingCoalesce.get(type);
+    if (!pending) {
+      pending = { items: [] };
+      pendingCoalesce.set(type, pending);
+      const timer = setTimeout(() => {
+        pendingCoalesce.delete(type);
+        fanOut(type, { count: pending.items.length, items: pending.items });
+      }, COALESCE_WINDOW_MS);
+      if (timer && typeof timer.unref === 'function') timer.unref();
+    }
+    pending.items.push(payload);
+  }
+
+  /**
+   * Send a single test event without retries.
+   */
+  function sendTest(hook) {
+    return deliver(hook, 'test', { message: 'MMP-Renamer webhook test' }, { retries: false });
+  }
+
+  function getDeliveries({ webhookId = null, limit = 100 } = {}) {
+    if (db && typeof db.getWebhookDeliveries === 'function') return db.getWebhookDeliveries({ webhookId, limit });
+    return memoryLog.filter(d => !webhookId || d.webhook_id === webhookId).slice(0, limit);
+  }
+
+  return { dispatch, deliver, sendTest, getDeliveries, listWebhooks };
+};
+
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+module.exports.WEBHOOK_KINDS = WEBHOOK_KINDS;
+module.exports.normalizeWebhook = normalizeWebhook;
+module.exports.signPayload = signPayload;
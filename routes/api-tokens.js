@@ -0,0 +1,50 @@
+const { SCOPES } = require('../lib/api-tokens');
+const { getUser } = require('../lib/accounts');
+
+module.exports = function createApiTokenRoutes(ctx) {
+  const router = require('express').Router();
+  const {
+  users,
+  requireAuth,
+  coerceBoolean,
+  apiTokens,
+  auditLog
+} = ctx;
+
+  const sessionUser = (req) => (req.session && req.session.username ? req.session.username : null);
+  const isAdmin = (username) => { const u = getUser(users, username); return !!(u && u.role === 'admin'); };
+
+  // The caller's tokens; admins can add ?all=true to see everyone's
+  router.get('/api/tokens', requireAuth, (req, res) => {
+  try {
+    const username = sessionUser(req);
+    const all = coerceBoolean(req.query.all) && isAdmin(username);
+    res.json({ tokens: apiTokens.list(all ? null : username), scopes: SCOPES });
+  } catch (e) { res.status(500).json({ error: e.message }) }
+});
+
+// The token itself is only in this response; afterwards only its prefix is shown
+router.post('/api/tokens', requireAuth, (req, res) => {
+  try {
+    const { label, scopes, expiresInDays } = req.body || {};
+    let created;
+    try {
+      created = apiTokens.create(sessionUser(req), { label, scopes, expiresInDays });
+    } catch (e) { return res.status(400).json({ error: e.message }) }
+    auditLog.record(req, 'token.create', { target: created.token.id, details: { label: created.token.label, scopes: created.token.scopes, expiresAt: created.token.expiresAt } });
+    res.status(201).json(created);
+  } catch (e) { res.status(500).json({ error: e.message }) }
+});
+
+router.delete('/api/tokens/:id', requireAuth, (req, res) => {
+  try {
+    const username = sessionUser(req);
+    const token = apiTokens.get(String(req.params.id));
+    if (!token || (token.username !== username && !isAdmin(username))) return res.status(404).json({ error: 'token not found' });
+    if (!token.revokedAt && apiTokens.revoke(token.id, username)) auditLog.record(req, 'token.revoke', { target: token.id, details: { owner: token.username } });
+    res.json({ ok: true, id: token.id });
+  } catch (e) { res.status(500).json({ error: e.message }) }
+});
+
+  return router;
+};
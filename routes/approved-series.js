@@ -19,14 +19,25 @@ module.exports = function createApprovedSeriesRoutes(ctx) {
   normalizeApprovedSeriesSource,
   setApprovedSeriesSourcePreference,
   fetchAndCacheApprovedSeriesImage,
-  deriveAppliedSeriesInfo
+  deriveAppliedSeriesInfo,
+  libraryRegistry,
+  auditLog
 } = ctx;
 
+  // `libraryId` narrows approved series to files that came from one library
+  function requestedLibraryId(req, username) {
+    const libraryId = req.query && req.query.libraryId ? String(req.query.libraryId) : null;
+    if (libraryId && !libraryRegistry.get(username, libraryId)) return { error: `unknown library: ${libraryId}` };
+    return { libraryId };
+  }
+
   router.get('/api/approved-series', requireAuth, (req, res) => {
   try {
     const username = req.session && req.session.username ? req.session.username : null;
-    const payload = buildApprovedSeriesPayload(username);
-    return res.json(payload);
+    const { libraryId, error } = requestedLibraryId(req, username);
+    if (error) return res.status(404).json({ error });
+    const payload = buildApprovedSeriesPayload(username, { libraryId });
+    return res.json(Object.assign(payload, { libraryId }));
   } catch (e) {
     return res.status(500).json({ error: e && e.message ? e.message : String(e) });
   }
@@ -37,11 +48,16 @@ router.get('/api/approved-series/items', requireAuth, (req, res) => {
     const outputKey = normalizeOutputKey(req.query.outputKey || '');
     const seriesName = String(req.query.seriesName || '').trim();
     if (!outputKey || !seriesName) return res.status(400).json({ error: 'outputKey and seriesName are required' });
+    const username = req.session && req.session.username ? req.session.username : null;
+    const { libraryId, error } = requestedLibraryId(req, username);
+    if (error) return res.status(404).json({ error });
+    const library = libraryId ? libraryRegistry.get(username, libraryId) : null;
 
     const items = [];
     for (const cacheKey of Object.keys(enrichCache || {})) {
       const entry = enrichCache[cacheKey];
       if (!entry || entry.applied !== true || !entry.appliedTo) continue;
+      if (library && (libraryRegistry.forPath(username, cacheKey) || {}).id !== library.id) continue;
       const targets = Array.isArray(entry.appliedTo) ? entry.appliedTo : [entry.appliedTo];
       for (const target of targets) {
         if (!target) continue;
@@ -106,6 +122,7 @@ router.post('/api/approved-series/clear-cache', requireAuth, requireAdmin, (req,
 
     try { writeJson(approvedSeriesImagesFile, approvedSeriesImages); } catch (e) {}
     try { appendLog(`APPROVED_SERIES_CACHE_CLEARED outputKey=${outputKey} removed=${removed}`); } catch (e) {}
+    auditLog.record(req, 'cache.clear_artwork', { target: outputKey, details: { removed } });
     return res.json({ ok: true, removed, outputKey });
   } catch (e) {
     return res.status(500).json({ error: e && e.message ? e.message : String(e) });
@@ -0,0 +1,34 @@
+const { parseFilters } = require('../lib/audit');
+module.exports = function createAuditRoutes(ctx) {
+  const router = require('express').Router();
+  const {
+  requireAuth,
+  requireAdmin,
+  appendLog,
+  auditLog
+} = ctx;
+
+  // One page of entries, newest first, plus the users and actions seen so far for the filter menus
+  router.get('/api/audit', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const filters = parseFilters(req.query);
+    const { entries, total } = auditLog.query(filters);
+    res.json({ entries, total, limit: filters.limit, offset: filters.offset, facets: auditLog.facets(), retentionDays: auditLog.retentionDays() });
+  } catch (e) { res.status(500).json({ error: e.message }) }
+});
+
+// Same filters as /api/audit but every match rather than a page
+router.get('/api/audit/export', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const format = String(req.query.format || 'json').toLowerCase();
+    if (format !== 'json' && format !== 'csv') return res.status(400).json({ error: 'format must be json or csv' });
+    const { body, contentType, extension } = auditLog.exportEntries(parseFilters(req.query), format);
+    appendLog(`AUDIT_EXPORT by=${req.session.username} format=${format}`);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="mmp-audit-${new Date().toISOString().slice(0, 10)}.${extension}"`);
+    res.send(body);
+  } catch (e) { res.status(500).json({ error: e.message }) }
+});
+
+  return router;
+};
@@ -1,3 +1,5 @@
+const { getUser, hasActiveAdmin } = require('../lib/accounts');
+
 module.exports = function createAuthRoutes(ctx) {
   const router = require('express').Router();
   const {
@@ -45,27 +47,39 @@ router.post('/api/login', (req, res) => {
   try {
     const { username, password } = req.body || {};
     if (!username) return res.status(400).json({ error: 'username required' });
-    const user = users[username];
+    const user = getUser(users, username);
     if (!user) return res.status(401).json({ error: 'invalid credentials' });
-    // If no passwordHash is configured, allow login with empty password (bootstrap convenience)
+    const role = user.role || 'user';
+    // Without a passwordHash an empty password logs in, but only until an admin has set a password
     if (!user.passwordHash) {
+      if (hasActiveAdmin(users)) return res.status(401).json({ error: 'invalid credentials' });
       if (password && String(password).length) return res.status(401).json({ error: 'invalid credentials' });
+      if (user.disabled) return res.status(403).json({ error: 'account disabled' });
       req.session.username = username;
       // Pause background enrichment so the UI stays responsive during the session
       try { if (typeof pauseBgEnrich === 'function') pauseBgEnrich(); } catch (e) {}
-      return res.json({ ok: true, username });
+      return res.json({ ok: true, username, role });
     }
     // compare hashed password
     bcrypt.compare(String(password || ''), String(user.passwordHash || ''), (err, same) => {
       if (err) return res.status(500).json({ error: 'compare error' });
       if (!same) return res.status(401).json({ error: 'invalid credentials' });
+      // Checked after the password so a disabled account is not revealed to a guesser
+      if (user.disabled) return res.status(403).json({ error: 'account disabled' });
       req.session.username = username;
       // Pause background enrichment so the UI stays responsive during the session
       try { if (typeof pauseBgEnrich === 'function') pauseBgEnrich(); } catch (e) {}
-      return res.json({ ok: true, username });
+      return res.json({ ok: true, username, role });
     });
   } catch (e) { return res.status(500).json({ error: e && e.message ? e.message : String(e) }); }
 });
 
+router.post('/api/logout', (req, res) => {
+  try {
+    req.session = null;
+    return res.json({ ok: true });
+  } catch (e) { return res.status(500).json({ error: e && e.message ? e.message : String(e) }); }
+});
+
   return router;
 };
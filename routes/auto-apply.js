@@ -0,0 +1,106 @@
+const { normalizeRule, RULE_CONDITIONS } = require('../lib/auto-apply');
+module.exports = function createAutoApplyRoutes(ctx) {
+  const router = require('express').Router();
+  const {
+  users,
+  usersFile,
+  writeJson,
+  requireAuth,
+  appendLog,
+  uuidv4,
+  jobQueue,
+  auditLog
+} = ctx;
+
+  const sessionUser = (req) => (req.session && req.session.username ? req.session.username : null);
+
+  // Rules are evaluated top to bottom, so the stored order is significant
+  function userRules(username) {
+    const settings = users[username].settings || (users[username].settings = {});
+    if (!Array.isArray(settings.auto_apply_rules)) settings.auto_apply_rules = [];
+    return settings.auto_apply_rules;
+  }
+
+  router.get('/api/auto-apply/rules', requireAuth, (req, res) => {
+  try {
+    const username = sessionUser(req);
+    if (!users[username]) return res.status(404).json({ error: 'user not found' });
+    res.json({ rules: userRules(username), conditions: RULE_CONDITIONS });
+  } catch (e) { res.status(500).json({ error: e.message }) }
+});
+
+router.post('/api/auto-apply/rules', requireAuth, (req, res) => {
+  try {
+    const username = sessionUser(req);
+    if (!users[username]) return res.status(404).json({ error: 'user not found' });
+    let rule;
+    try { rule = normalizeRule(Object.assign({}, req.body || {}, { id: uuidv4() })); } catch (e) { return res.status(400).json({ error: e.message }); }
+    userRules(username).push(rule);
+    writeJson(usersFile, users);
+    appendLog(`AUTO_APPLY_RULE_CREATED id=${rule.id} match=${rule.match} conditions=${rule.conditions.join(',')} user=${username}`);
+    auditLog.record(req, 'auto_apply.rule_create', { target: rule.id, details: { match: rule.match, conditions: rule.conditions } });
+    res.json({ ok: true, rule });
+  } catch (e) { res.status(500).json({ error: e.message }) }
+});
+
+router.post('/api/auto-apply/rules/order', requireAuth, (req, res) => {
+  try {
+    const username = sessionUser(req);
+    if (!users[username]) return res.status(404).json({ error: 'user not found' });
+    const ids = req.body && Array.isArray(req.body.ids) ? req.body.ids.map(String) : null;
+    const list = userRules(username);
+    if (!ids || ids.length !== list.length || !list.every(r => ids.includes(r.id))) {
+      return res.status(400).json({ error: 'ids must list every rule exactly once' });
+    }
+    users[username].settings.auto_apply_rules = ids.map(id => list.find(r => r.id === id));
+    writeJson(usersFile, users);
+    auditLog.record(req, 'auto_apply.rule_order', { details: { ids } });
+    res.json({ ok: true, rules: users[username].settings.auto_apply_rules });
+  } catch (e) { res.status(500).json({ error: e.message }) }
+});
+
+router.put('/api/auto-apply/rules/:id', requireAuth, (req, res) => {
+  try {
+    const username = sessionUser(req);
+    if (!users[username]) return res.status(404).json({ error: 'user not found' });
+    const list = userRules(username);
+    const idx = list.findIndex(r => r && r.id === req.params.id);
+    if (idx === -1) return res.status(404).json({ error: 'rule not found' });
+    let rule;
+    try { rule = normalizeRule(Object.assign({}, req.body || {}, { id: list[idx].id }), list[idx]); } catch (e) { return res.status(400).json({ error: e.message }); }
+    list[idx] = rule;
+    writeJson(usersFile, users);
+    appendLog(`AUTO_APPLY_RULE_UPDATED id=${rule.id} user=${username}`);
+    auditLog.record(req, 'auto_apply.rule_update', { target: rule.id });
+    res.json({ ok: true, rule });
+  } catch (e) { res.status(500).json({ error: e.message }) }
+});
+
+router.delete('/api/auto-apply/rules/:id', requireAuth, (req, res) => {
+  try {
+    const username = sessionUser(req);
+    if (!users[username]) return res.status(404).json({ error: 'user not found' });
+    const list = userRules(username);
+    const next = list.filter(r => r && r.id !== req.params.id);
+    if (next.length === list.length) return res.status(404).json({ error: 'rule not found' });
+    users[username].settings.auto_apply_rules = next;
+    writeJson(usersFile, users);
+    appendLog(`AUTO_APPLY_RULE_DELETED id=${req.params.id} user=${username}`);
+    auditLog.record(req, 'auto_apply.rule_delete', { target: req.params.id });
+    res.json({ ok: true });
+  } catch (e) { res.status(500).json({ error: e.message }) }
+});
+
+// Run the rules now over the given paths, or over the user's latest scan when none are sent
+router.post('/api/auto-apply/run', requireAuth, (req, res) => {
+  try {
+    const username = sessionUser(req);
+    const paths = req.body && Array.isArray(req.body.paths) ? req.body.paths : null;
+    const job = jobQueue.enqueue('auto-apply', { username, totalItems: paths ? paths.length : 0, payload: { paths, trigger: 'manual' } });
+    auditLog.record(req, 'auto_apply.run', { target: job.id, details: { paths: paths ? paths.length : null } });
+    res.json({ jobId: job.id, status: job.status });
+  } catch (e) { res.status(500).json({ error: e.message }) }
+});
+
+  return router;
+};
@@ -0,0 +1,43 @@
+module.exports = function createCompletenessRoutes(ctx) {
+  const router = require('express').Router();
+  const {
+  requireAuth,
+  appendLog,
+  jobQueue,
+  completenessReporter
+} = ctx;
+
+  const sessionUser = (req) => (req.session && req.session.username ? req.session.username : null);
+
+  // Overview from cached provider lists; `stale` marks series whose list needs a refresh
+  router.get('/api/completeness', requireAuth, (req, res) => {
+  try {
+    const series = completenessReporter.summary();
+    res.json({ series, total: series.length, generatedAt: Date.now() });
+  } catch (e) { res.status(500).json({ error: e.message }) }
+});
+
+router.get('/api/completeness/series', requireAuth, async (req, res) => {
+  try {
+    const key = String(req.query.key || '').trim();
+    if (!key) return res.status(400).json({ error: 'key is required' });
+    const refresh = req.query.refresh === '1' || req.query.refresh === 'true';
+    const report = await completenessReporter.seriesReport(key, { username: sessionUser(req), force: refresh });
+    if (!report) return res.status(404).json({ error: 'series not found' });
+    res.json(report);
+  } catch (e) { res.status(500).json({ error: e.message }) }
+});
+
+// Refresh every stale list in the background; `force` refetches lists that are still fresh
+router.post('/api/completeness/refresh', requireAuth, (req, res) => {
+  try {
+    const username = sessionUser(req);
+    const force = !!(req.body && req.body.force === true);
+    const job = jobQueue.enqueue('completeness-refresh', { username, payload: { force } });
+    appendLog(`COMPLETENESS_REFRESH_QUEUED job=${job.id} user=${username} force=${force}`);
+    res.json({ jobId: job.id, status: job.status });
+  } catch (e) { res.status(500).json({ error: e.message }) }
+});
+
+  return router;
+};
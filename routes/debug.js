@@ -13,12 +13,18 @@ module.exports = function createDebugRoutes(ctx) {
   db,
   enrichCache,
   activeScans,
+  dataLock,
   refreshProgress,
   sseClients,
   requireAuth,
   requireAdmin,
   appendLog,
-  performUnapprove
+  performUnapprove,
+  broadcastEvent,
+  pathMapper,
+  duplicateResolver,
+  auditLog,
+  fixtures
 } = ctx;
 
   router.get('/api/events', requireAuth, (req, res) => {
@@ -47,7 +53,9 @@ router.get('/api/debug/locks', requireAuth, (req, res) => {
       renderedIndexFile: statFor(renderedIndexFile),
       scansFile: statFor(scanStoreFile)
     }
-    return res.json({ locks, files });
+    // Locks in the shared table, including ones the CLI holds
+    const shared = dataLock ? dataLock.list() : [];
+    return res.json({ locks, shared, files });
   } catch (e) { return res.status(500).json({ error: e && e.message ? e.message : String(e) }) }
 })
 
@@ -78,34 +86,74 @@ router.get('/api/_health', (req, res) => {
 router.get('/api/history', requireAuth, requireAdmin, (req, res) => {
   try {
     const limit = parseInt(req.query.limit || '100', 10);
-    const history = db ? db.getHistory(limit) : [];
+    const actionType = req.query.actionType ? String(req.query.actionType) : null;
+    const history = db ? db.getHistory(limit, { actionType }) : [];
     res.json({ ok: true, history });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-router.post('/api/history/undo', requireAuth, requireAdmin, (req, res) => {
+router.get('/api/history/batches', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit || '50', 10);
+    const batches = db ? db.getRenameBatches(limit) : [];
+    res.json({ ok: true, batches });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+router.get('/api/history/batches/:id', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const batch = db ? db.getRenameBatch(req.params.id) : null;
+    if (!batch) return res.status(404).json({ error: 'batch not found' });
+    res.json({ ok: true, batch });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+router.post('/api/history/undo', requireAuth, requireAdmin, async (req, res) => {
   try {
     const username = req.session && req.session.username ? req.session.username : null;
-    const ids = Array.isArray(req.body.ids) ? req.body.ids : [req.body.id].filter(Boolean);
+    const batchId = req.body && req.body.batchId ? String(req.body.batchId) : null;
+    let ids = Array.isArray(req.body.ids) ? req.body.ids : [req.body.id].filter(Boolean);
+    let isRenameBatch = false;
+    if (batchId) {
+      isRenameBatch = !!(db && db.getRenameBatch(batchId));
+      ids = db ? db.getActionsByBatch(batchId).map(a => a.id) : [];
+      if (!isRenameBatch && !ids.length) return res.status(404).json({ error: 'batch not found' });
+    }
     if (!ids.length) return res.status(400).json({ error: 'Missing action IDs to undo' });
     
     const pathsToUnapprove = [];
+    // Duplicate resolutions carry their own snapshot and are reversed by the resolver
+    const duplicateActions = [];
     if (db) {
       for (const id of ids) {
         const action = db.getActionById(id);
         if (action && action.status === 'applied') {
+          if (String(action.action_type || '').startsWith('duplicate-')) { duplicateActions.push(action); continue; }
           pathsToUnapprove.push(action.original_path);
           db.updateActionStatus(id, 'reverted');
         }
       }
+      if (isRenameBatch) db.setRenameBatchStatus(batchId, 'reverted');
+    }
+    auditLog.record(req, 'history.undo', { target: batchId, details: { ids, unapproved: pathsToUnapprove.length, duplicates: duplicateActions.length } });
+    if (duplicateActions.length) {
+      const { restored, errors } = await duplicateResolver.undoActions(duplicateActions, username);
+      if (!pathsToUnapprove.length) return res.json({ ok: !errors.length, unapproved: [], restored, errors, batchId });
     }
     
     if (pathsToUnapprove.length > 0) {
       const { changed, deletedHardlinks, hardlinkErrors } = performUnapprove({ requestedPaths: pathsToUnapprove, username });
-      appendLog(`UNDO_HISTORY ids=${ids.join(',')} unapproved=${changed.length}`);
-      res.json({ ok: true, unapproved: changed, deletedHardlinks, hardlinkErrors });
+      appendLog(`UNDO_HISTORY ids=${ids.join(',')}${batchId ? ` batch=${batchId}` : ''} unapproved=${changed.length}`);
+      if (changed.length) {
+        try { broadcastEvent('items_unapproved', { source: 'undo', batchId: batchId || null, username, count: changed.length, paths: changed, removed: deletedHardlinks }); } catch (e) {}
+      }
+      res.json({ ok: true, unapproved: changed, deletedHardlinks, hardlinkErrors, batchId });
     } else {
       res.json({ ok: true, unapproved: [] });
     }
@@ -199,7 +247,8 @@ router.get('/api/logs/recent', requireAuth, requireAdmin, (req, res) => {
         
         // Take the last N lines and join them back
         const tail = lines.slice(-lineCount).join('\n')
-        return res.json({ logs: tail })
+        const viewer = req.session && req.session.username
+        return res.json({ logs: pathMapper ? pathMapper.mapText(viewer, tail) : tail })
       } catch (e) {
         try { console.error('logs/recent post-process failed', e && e.message ? e.message : e) } catch (ee) {}
         return res.status(500).json({ error: e && e.message ? e.message : String(e) })
@@ -213,6 +262,7 @@ router.get('/api/logs/recent', requireAuth, requireAdmin, (req, res) => {
 
 router.post('/api/logs/clear', requireAuth, requireAdmin, (req, res) => {
   fs.writeFileSync(logsFile, '');
+  auditLog.record(req, 'logs.clear');
   res.json({ ok: true });
 });
 
@@ -234,5 +284,29 @@ router.get('/api/debug/trace', requireAuth, requireAdmin, (req, res) => {
   }
 })
 
+// Provider fixtures: current mode, and the recorded traffic as one bundle for bug reports
+router.get('/api/debug/fixtures', requireAuth, requireAdmin, (req, res) => {
+  try {
+    return res.json(fixtures.status());
+  } catch (e) { return res.status(500).json({ error: e.message }) }
+});
+
+router.get('/api/debug/fixtures/bundle', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const bundle = fixtures.exportBundle();
+    appendLog(`FIXTURES_EXPORT by=${req.session.username} count=${Object.keys(bundle.fixtures).length}`);
+    res.setHeader('Content-Disposition', 'attachment; filename="mmp-fixtures.json"');
+    return res.json(bundle);
+  } catch (e) { return res.status(500).json({ error: e.message }) }
+});
+
+router.post('/api/debug/fixtures/bundle', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const written = fixtures.importBundle(req.body);
+    appendLog(`FIXTURES_IMPORT by=${req.session.username} count=${written}`);
+    return res.json({ ok: true, written });
+  } catch (e) { return res.status(400).json({ error: e.message }) }
+});
+
   return router;
 };
@@ -1,3 +1,5 @@
+const { scoreMatch } = require('../lib/match-confidence');
+const { manualIdEntryFor } = require('../lib/match-candidates');
 module.exports = function createEnrichRoutes(ctx) {
   const router = require('express').Router();
   const {
@@ -38,10 +40,14 @@ module.exports = function createEnrichRoutes(ctx) {
   sanitizeExtraGuess,
   renderCustomMetadataName,
   hideEventsClientCache,
+  manualIds,
+  manualIdsFile,
+  normalizeManualIdKey,
   HIDE_EVENTS_CACHE_WINDOW_MS,
   isBgEnrichPaused,
   resumeBgEnrich,
-  pauseBgEnrich
+  pauseBgEnrich,
+  auditLog
 } = ctx;
 
   // Background enrich pause status and control
@@ -183,10 +189,12 @@ router.post('/api/enrich/custom', requireAuth, (req, res) => {
       extraGuess: cleanExtra,
       provider: providerBlock,
       sourceId: 'custom',
+      confidence: scoreMatch({ custom: true }),
       cachedAt: Date.now()
     }))
 
     console.log('[CUSTOM_META] Updated cache, has renderedName:', !!updated?.provider?.renderedName, 'source:', updated?.provider?.source)
+    auditLog.record(req, 'metadata.custom', { target: key, details: cleanExtra })
     // For custom metadata, keep renderedName in response so UI can display it immediately
     // Add cache buster to force client to process the update
     const response = { ok: true, enrichment: updated, _cacheBuster: Date.now() }
@@ -210,6 +218,50 @@ router.get('/api/enrich/by-rendered', requireAuth, (req, res) => {
   } catch (e) { return res.status(500).json({ error: e.message }) }
 })
 
+// Runner-up series the last lookup found for a file, grouped by provider
+router.get('/api/enrich/candidates', requireAuth, (req, res) => {
+  try {
+    const key = canonicalize(req.query.path || '')
+    if (!key) return res.status(400).json({ error: 'path required' })
+    const e = enrichCache[key] || null
+    if (!e) return res.status(404).json({ error: 'no enrichment for path' })
+    const current = e.provider && e.provider.matched ? { provider: (e.confidence && e.confidence.provider) || null, title: e.provider.title || e.title || null } : null
+    return res.json({ path: key, lookupTitle: e.seriesLookupTitle || null, current, candidates: e.candidates || {} })
+  } catch (e) { return res.status(500).json({ error: e.message }) }
+})
+
+// Save a picked candidate as a manual ID under every title the series is looked up by,
+// so this file and later episodes of the same series resolve to it
+router.post('/api/enrich/candidates/pick', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const body = req.body || {}
+    const key = canonicalize(body.path || '')
+    if (!key) return res.status(400).json({ error: 'path required' })
+    const e = enrichCache[key] || null
+    if (!e) return res.status(404).json({ error: 'no enrichment for path' })
+    const list = e.candidates && Array.isArray(e.candidates[body.provider]) ? e.candidates[body.provider] : []
+    const candidate = list.find(c => c && String(c.id) === String(body.id))
+    if (!candidate) return res.status(404).json({ error: 'candidate not found' })
+    const idEntry = manualIdEntryFor(candidate)
+    if (!idEntry) return res.status(400).json({ error: `${candidate.provider} matches cannot be pinned` })
+
+    const lookupTitles = [e.seriesLookupTitle, e.parsed && e.parsed.title, e.parentCandidate]
+    if (e.confidence && Array.isArray(e.confidence.queries)) {
+      for (const q of e.confidence.queries) if (q && q.query) lookupTitles.push(q.query)
+    }
+    const titleKeys = [...new Set(lookupTitles.map(t => (t ? normalizeManualIdKey(t) : null)).filter(Boolean))]
+    if (!titleKeys.length) return res.status(400).json({ error: 'no series title to attach the manual ID to' })
+
+    for (const k of titleKeys) {
+      manualIds[k] = Object.assign(manualIds[k] || {}, idEntry)
+    }
+    try { writeJson(manualIdsFile, manualIds) } catch (err) {}
+    appendLog(`MATCH_CANDIDATE_PICKED path=${key} provider=${candidate.provider} id=${candidate.id} title=${candidate.title} keys=${titleKeys.length} by=${req.session && req.session.username ? req.session.username : 'unknown'}`)
+    auditLog.record(req, 'manual_id.pick', { target: key, details: { provider: candidate.provider, id: candidate.id, title: candidate.title, titleKeys } })
+    return res.json({ ok: true, candidate, manualId: idEntry, titleKeys })
+  } catch (e) { return res.status(500).json({ error: e.message }) }
+})
+
 router.post('/api/enrich/bulk', requireAuth, (req, res) => {
   try {
     const paths = Array.isArray(req.body && req.body.paths) ? req.body.paths : null
@@ -429,6 +481,7 @@ router.post('/api/enrich/hide', requireAuth, async (req, res) => {
     enrichCache[key].hidden = true;
     try { schedulePersistEnrichCache(50); } catch (e) {}
   } catch (e) { appendLog(`HIDE_UPDATE_FAIL path=${p} err=${e && e.message ? e.message : String(e)}`) }
+  auditLog.record(req, 'item.hide', { target: key })
 
   // respond immediately to the client so UI hides instantly
   res.json({ ok: true, path: key, enrichment: enrichCache[key] || null, modifiedScanIds: [] });
@@ -516,6 +569,7 @@ router.post('/api/enrich/sweep', requireAuth, requireAdmin, (req, res) => {
   try { if (db) db.setKV('enrichCache', enrichCache); else writeJson(enrichStoreFile, enrichCache); } catch (e) {}
   try { if (db) db.setKV('renderedIndex', renderedIndex); else writeJson(renderedIndexFile, renderedIndex); } catch (e) {}
     appendLog(`ENRICH_SWEEP removed=${removed.length}`);
+    auditLog.record(req, 'cache.sweep', { details: { removed: removed.length } });
     return res.json({ ok: true, removedCount: removed.length, removed });
   } catch (e) {
     return res.status(500).json({ error: e && e.message ? e.message : String(e) });
@@ -0,0 +1,64 @@
+const { normalizeCategories, normalizeHints, collectMediaFiles } = require('../lib/import');
+
+module.exports = function createImportRoutes(ctx) {
+  const router = require('express').Router();
+  const {
+  fs,
+  users,
+  usersFile,
+  writeJson,
+  requireAuth,
+  canonicalize,
+  appendLog,
+  libraryRegistry,
+  importer,
+  auditLog
+} = ctx;
+
+  const sessionUser = (req) => (req.session && req.session.username ? req.session.username : null);
+
+  // Called by download clients when a download finishes; `path` is a file or folder inside one of the caller's libraries
+  router.post('/api/import', requireAuth, (req, res) => {
+  try {
+    const username = sessionUser(req);
+    const body = req.body || {};
+    const rawPath = String(body.path || '').trim();
+    if (!rawPath) return res.status(400).json({ error: 'path is required' });
+    let hints;
+    try { hints = normalizeHints(body); } catch (e) { return res.status(400).json({ error: e.message }) }
+    const target = canonicalize(rawPath);
+    if (!fs.existsSync(target)) return res.status(404).json({ error: 'path does not exist', path: target });
+    const library = libraryRegistry.forPath(username, target);
+    if (!library) return res.status(400).json({ error: 'path is not inside any of your libraries', path: target });
+    const files = collectMediaFiles(target);
+    if (!files.length) return res.status(400).json({ error: 'no video files found', path: target });
+    const category = String(body.category || '').trim() || null;
+    const { job, category: matched } = importer.enqueue(username, { files: files.map(f => canonicalize(f)), library, category, hints });
+    auditLog.record(req, 'import.queue', { target, details: { jobId: job.id, files: files.length, library: library.id, category, series: hints.series, anidbId: hints.anidbId } });
+    res.status(202).json({ jobId: job.id, status: job.status, files: files.length, library: library.id, category: matched ? matched.name : category, apply: !!(matched && matched.apply) });
+  } catch (e) { res.status(500).json({ error: e.message }) }
+});
+
+router.get('/api/import/categories', requireAuth, (req, res) => {
+  try {
+    res.json({ categories: importer.categories(sessionUser(req)) });
+  } catch (e) { res.status(500).json({ error: e.message }) }
+});
+
+router.put('/api/import/categories', requireAuth, (req, res) => {
+  try {
+    const username = sessionUser(req);
+    if (!users[username]) return res.status(404).json({ error: 'user not found' });
+    let categories;
+    try { categories = normalizeCategories((req.body || {}).categories); } catch (e) { return res.status(400).json({ error: e.message }) }
+    users[username].settings = users[username].settings || {};
+    users[username].settings.import_categories = categories;
+    writeJson(usersFile, users);
+    appendLog(`IMPORT_CATEGORIES_SAVED user=${username} count=${categories.length}`);
+    auditLog.record(req, 'import.categories', { details: { categories: categories.map(c => c.name) } });
+    res.json({ categories });
+  } catch (e) { res.status(500).json({ error: e.message }) }
+});
+
+  return router;
+};
@@ -0,0 +1,37 @@
+const { STATUSES } = require('../lib/integrity');
+
+module.exports = function createIntegrityRoutes(ctx) {
+  const router = require('express').Router();
+  const {
+  requireAuth,
+  appendLog,
+  jobQueue,
+  integrityChecker
+} = ctx;
+
+  const sessionUser = (req) => (req.session && req.session.username ? req.session.username : null);
+
+  // CRC32 verdicts for tagged files in the scans, from the hash cache; `status` filters by verdict
+  router.get('/api/integrity', requireAuth, (req, res) => {
+  try {
+    const status = req.query.status ? String(req.query.status) : null;
+    if (status && !STATUSES.includes(status)) return res.status(400).json({ error: `status must be one of ${STATUSES.join(', ')}` });
+    res.json(integrityChecker.report({ status }));
+  } catch (e) { res.status(500).json({ error: e.message }) }
+});
+
+// Hash unverified files (or `paths`) in the background; `force` re-reads files already checked
+router.post('/api/integrity/verify', requireAuth, (req, res) => {
+  try {
+    const username = sessionUser(req);
+    const body = req.body || {};
+    const paths = Array.isArray(body.paths) ? body.paths.filter(p => typeof p === 'string' && p) : null;
+    const force = body.force === true;
+    const job = jobQueue.enqueue('integrity-verify', { username, payload: { paths, force } });
+    appendLog(`INTEGRITY_VERIFY_QUEUED job=${job.id} user=${username} paths=${paths ? paths.length : 'all'} force=${force}`);
+    res.json({ jobId: job.id, status: job.status });
+  } catch (e) { res.status(500).json({ error: e.message }) }
+});
+
+  return router;
+};
@@ -1,6 +1,12 @@
 const buildPlanGenerator = require('../lib/plan');
+const buildBatchApplier = require('../lib/apply');
+const buildSidecarWriter = require('../lib/nfo');
+const { OP_STATUS } = require('../lib/file-ops');
+const { JOB_TYPES, normalizeSchedule } = require('../lib/job-queue');
 module.exports = function createJobsRoutes(ctx) {
   const generatePlanForItem = buildPlanGenerator(ctx);
+  const { applyBatch } = buildBatchApplier(ctx);
+  const { writeSidecars } = buildSidecarWriter(ctx);
   const router = require('express').Router();
   const {
   app,
@@ -11,16 +17,19 @@ module.exports = function createJobsRoutes(ctx) {
   renderedIndexFile,
   serverSettings,
   users,
+  usersFile,
   db,
   enrichCache,
   renderedIndex,
   scans,
   requireAuth,
+  uuidv4,
   coerceBoolean,
   appendLog,
   writeJson,
   persistEnrichCacheNow,
   broadcastEvent,
+  preflightChecker,
   canonicalize,
   extractProviderRaw,
   cloneProviderRaw,
@@ -28,18 +37,22 @@ module.exports = function createJobsRoutes(ctx) {
   updateEnrichCache,
   externalEnrich,
   isProviderComplete,
-  bgJobs,
   sanitizeForFilename,
-  createBgJob,
   resolveCopySidecarSubtitlesSetting,
   copyExternalSubtitles,
+  resolveNfoSidecarsSetting,
+  resolveArtworkSidecarsSetting,
   resolveExtractSubtitlesSetting,
   resolveExtractSubtitleFormat,
   extractSubtitlesToSrt,
   resolveHardsubSetting,
   resolveHardsubLanguage,
   burnHardsubToFile,
-  SUBTITLE_EXTS
+  resolveApplyAtomicSetting,
+  SUBTITLE_EXTS,
+  jobQueue,
+  autoApplier,
+  auditLog
 } = ctx;
 
   const resolveMetadataProviderOrder = (username) => {
@@ -52,23 +65,143 @@ module.exports = function createJobsRoutes(ctx) {
     return ['anidb', 'anilist', 'tmdb', 'tvdb'];
   };
 
+  const isAdminUser = (username) => !!(username && users[username] && users[username].role === 'admin');
+  const sessionUser = (req) => (req.session && req.session.username ? req.session.username : null);
+  const canSeeJob = (req, job) => {
+    const username = sessionUser(req);
+    return isAdminUser(username) || !job.username || job.username === username;
+  };
+
+  const resolveTmdbKey = (username) => {
+    try {
+      if (username && users[username] && users[username].settings && users[username].settings.tmdb_api_key) return users[username].settings.tmdb_api_key;
+      if (serverSettings && serverSettings.tmdb_api_key) return serverSettings.tmdb_api_key;
+    } catch (e) {}
+    return null;
+  };
+
+  // Resolve effective output path the same way the preview route does
+  function resolveEffectiveOutput(username, outputFolder) {
+    try {
+      if (outputFolder) return canonicalize(outputFolder);
+      if (username && users[username] && users[username].settings && users[username].settings.scan_output_path) {
+        return canonicalize(users[username].settings.scan_output_path);
+      }
+      if (serverSettings && serverSettings.scan_output_path) return canonicalize(serverSettings.scan_output_path);
+    } catch (e) { return outputFolder ? canonicalize(outputFolder) : ''; }
+    return '';
+  }
+
+  function userSchedules(username) {
+    const settings = users[username].settings || (users[username].settings = {});
+    if (!Array.isArray(settings.job_schedules)) settings.job_schedules = [];
+    return settings.job_schedules;
+  }
+
+  function publicSchedule(username, schedule) {
+    return Object.assign({}, schedule, { nextRunAt: schedule.enabled ? jobQueue.nextRunFor(username, schedule) : null });
+  }
+
+  function schedulableTypes(username) {
+    return Object.keys(JOB_TYPES).filter(t => JOB_TYPES[t].schedulable && (!JOB_TYPES[t].adminOnly || isAdminUser(username)));
+  }
+
   router.get('/api/jobs', requireAuth, (req, res) => {
   try {
-    const now = Date.now();
-    // Return jobs created in the last 30 minutes or still running
-    const jobs = [...bgJobs.values()].filter(j => j.status === 'running' || (now - j.createdAt < 30 * 60 * 1000));
-    res.json({ jobs });
+    const username = sessionUser(req);
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const { queued, running, history } = jobQueue.listJobs({ username, isAdmin: isAdminUser(username), limit });
+    // `jobs` keeps the flat list older clients use to reconnect to in-flight work
+    res.json({ queued, running, history, jobs: [...running, ...queued, ...history] });
+  } catch (e) { res.status(500).json({ error: e.message }) }
+});
+
+router.post('/api/jobs/run', requireAuth, (req, res) => {
+  try {
+    const username = sessionUser(req);
+    const { type, payload } = req.body || {};
+    if (!schedulableTypes(username).includes(type)) return res.status(400).json({ error: `job type "${type}" cannot be started manually` });
+    const job = jobQueue.enqueue(type, { username, payload: payload && typeof payload === 'object' ? payload : {} });
+    auditLog.record(req, 'job.run', { target: job.id, details: { type } });
+    res.json({ jobId: job.id, status: job.status });
+  } catch (e) { res.status(500).json({ error: e.message }) }
+});
+
+router.get('/api/jobs/schedules', requireAuth, (req, res) => {
+  try {
+    const username = sessionUser(req);
+    if (!users[username]) return res.status(404).json({ error: 'user not found' });
+    res.json({ schedules: userSchedules(username).map(s => publicSchedule(username, s)), types: schedulableTypes(username) });
+  } catch (e) { res.status(500).json({ error: e.message }) }
+});
+
+router.post('/api/jobs/schedules', requireAuth, (req, res) => {
+  try {
+    const username = sessionUser(req);
+    if (!users[username]) return res.status(404).json({ error: 'user not found' });
+    let schedule;
+    try { schedule = normalizeSchedule(Object.assign({}, req.body || {}, { id: uuidv4() })); } catch (e) { return res.status(400).json({ error: e.message }); }
+    if (!schedulableTypes(username).includes(schedule.type)) return res.status(403).json({ error: 'forbidden' });
+    userSchedules(username).push(schedule);
+    writeJson(usersFile, users);
+    appendLog(`JOB_SCHEDULE_CREATED id=${schedule.id} type=${schedule.type} cron="${schedule.cron}" user=${username}`);
+    auditLog.record(req, 'schedule.create', { target: schedule.id, details: { type: schedule.type, cron: schedule.cron } });
+    res.json({ ok: true, schedule: publicSchedule(username, schedule) });
+  } catch (e) { res.status(500).json({ error: e.message }) }
+});
+
+router.put('/api/jobs/schedules/:id', requireAuth, (req, res) => {
+  try {
+    const username = sessionUser(req);
+    if (!users[username]) return res.status(404).json({ error: 'user not found' });
+    const list = userSchedules(username);
+    const idx = list.findIndex(s => s && s.id === req.params.id);
+    if (idx === -1) return res.status(404).json({ error: 'schedule not found' });
+    let schedule;
+    try { schedule = normalizeSchedule(req.body || {}, list[idx]); } catch (e) { return res.status(400).json({ error: e.message }); }
+    if (!schedulableTypes(username).includes(schedule.type)) return res.status(403).json({ error: 'forbidden' });
+    list[idx] = schedule;
+    writeJson(usersFile, users);
+    appendLog(`JOB_SCHEDULE_UPDATED id=${schedule.id} user=${username}`);
+    auditLog.record(req, 'schedule.update', { target: schedule.id, details: { type: schedule.type, cron: schedule.cron, enabled: schedule.enabled } });
+    res.json({ ok: true, schedule: publicSchedule(username, schedule) });
+  } catch (e) { res.status(500).json({ error: e.message }) }
+});
+
+router.delete('/api/jobs/schedules/:id', requireAuth, (req, res) => {
+  try {
+    const username = sessionUser(req);
+    if (!users[username]) return res.status(404).json({ error: 'user not found' });
+    const list = userSchedules(username);
+    const next = list.filter(s => s && s.id !== req.params.id);
+    if (next.length === list.length) return res.status(404).json({ error: 'schedule not found' });
+    users[username].settings.job_schedules = next;
+    writeJson(usersFile, users);
+    appendLog(`JOB_SCHEDULE_DELETED id=${req.params.id} user=${username}`);
+    auditLog.record(req, 'schedule.delete', { target: req.params.id });
+    res.json({ ok: true });
   } catch (e) { res.status(500).json({ error: e.message }) }
 });
 
 router.get('/api/jobs/:id', requireAuth, (req, res) => {
   try {
-    const job = bgJobs.get(req.params.id);
-    if (!job) return res.status(404).json({ error: 'job not found' });
+    const job = jobQueue.getJob(req.params.id);
+    if (!job || !canSeeJob(req, job)) return res.status(404).json({ error: 'job not found' });
     res.json({ job });
   } catch (e) { res.status(500).json({ error: e.message }) }
 });
 
+router.post('/api/jobs/:id/cancel', requireAuth, (req, res) => {
+  try {
+    const job = jobQueue.getJob(req.params.id);
+    if (!job || !canSeeJob(req, job)) return res.status(404).json({ error: 'job not found' });
+    const cancelled = jobQueue.cancel(job.id);
+    if (!cancelled) return res.status(409).json({ error: 'job already finished' });
+    appendLog(`JOB_CANCEL id=${job.id} type=${job.type} by=${sessionUser(req)}`);
+    res.json({ ok: true, job: cancelled });
+  } catch (e) { res.status(500).json({ error: e.message }) }
+});
+
 router.post('/api/jobs/check-conflicts', requireAuth, async (req, res) => {
   try {
     const { items, outputFolder, template, useFilenameAsTitle, skipAnimeProviders } = req.body || {};
@@ -90,411 +223,450 @@ router.post('/api/jobs/check-conflicts', requireAuth, async (req, res) => {
     } catch (e) { }
     if (!effectiveOutput) return res.status(400).json({ error: 'Output path not configured.' });
 
-    const tmpl = template || (username && users[username] && users[username].settings && users[username].settings.rename_template) || serverSettings.rename_template || '{title} - {epLabel} - {episodeTitle}';
-
     const conflicts = [];
+    const plans = [];
     for (const reqItem of items) {
       if (!reqItem || !reqItem.canonicalPath) continue;
-      const fromPath = String(reqItem.canonicalPath);
-      let parsedName = '', epLabel = '', season = null, title = '', episodeTitle = '';
       try {
-        const enrichment = enrichCache[canonicalize(fromPath)];
-        if (!enrichment) continue;
-
-        if (applyFilenameAsTitle) {
-          const parseFilename = require('../lib/filename-parser');
-          const parsed = parseFilename(fromPath);
-          season = enrichment.season || parsed.season;
-          title = parsed.title || enrichment.title || '';
-        } else {
-          season = enrichment.season;
-          title = enrichment.title || '';
-        }
-        
-        episodeTitle = enrichment.episodeTitle || '';
-        
-        const isMovie = enrichment.type === 'movie';
-        if (isMovie) {
-          const y = enrichment.year ? ` (${enrichment.year})` : '';
-          parsedName = `${title}${y}`;
-          epLabel = '';
-        } else if (enrichment.episodeRange) {
-          epLabel = (season != null) ? `S${String(season).padStart(2,'0')}E${enrichment.episodeRange}` : `E${enrichment.episodeRange}`;
-          parsedName = tmpl.replace('{title}', sanitizeForFilename(title)).replace('{epLabel}', epLabel).replace('{episodeTitle}', sanitizeForFilename(episodeTitle)).replace('{year}', enrichment.year || '').replace('{season}', season != null ? season : '').replace('{episode}', enrichment.episode != null ? enrichment.episode : '').replace('{episodeRange}', enrichment.episodeRange).replace('{tmdbId}', enrichment.tmdbId || '');
-        } else if (enrichment.episode != null) {
-          const pad = n => String(n).padStart(2, '0');
-          epLabel = (season != null) ? `S${pad(season)}E${pad(enrichment.episode)}` : `E${pad(enrichment.episode)}`;
-          parsedName = tmpl.replace('{title}', sanitizeForFilename(title)).replace('{epLabel}', epLabel).replace('{episodeTitle}', sanitizeForFilename(episodeTitle)).replace('{year}', enrichment.year || '').replace('{season}', season != null ? season : '').replace('{episode}', enrichment.episode != null ? enrichment.episode : '').replace('{episodeRange}', '').replace('{tmdbId}', enrichment.tmdbId || '');
-        } else {
-          // Fallback if no episode data is present
-          epLabel = '';
-          const y = enrichment.year ? ` (${enrichment.year})` : '';
-          parsedName = `${sanitizeForFilename(title)}${y}`;
-        }
-
-        parsedName = parsedName.replace(/\s+/g, ' ').replace(/ - \s*$/, '').replace(/^ - /, '').trim();
-        const ext = path.extname(fromPath);
-        
-        // Use keepBothTarget if supplied, otherwise compute toPath
-        const finalName = reqItem.keepBothTarget ? reqItem.keepBothTarget : parsedName + ext;
-        let toPath = path.join(effectiveOutput, sanitizeForFilename(title));
-        if (!isMovie && season != null) {
-          toPath = path.join(toPath, `Season ${String(season).padStart(2,'0')}`);
-        }
-        toPath = path.join(toPath, finalName);
-        
+        const fromPath = String(reqItem.canonicalPath);
+        if (!enrichCache[canonicalize(fromPath)]) continue;
+        // Render through the same plan generator as preview/approve so conflicts match the real target
+        const plan = generatePlanForItem({ id: reqItem.id || fromPath, canonicalPath: fromPath }, { username, effectiveOutput, applyFilenameAsTitle, template, explicitOutput: !!outputFolder });
+        if (!plan || !plan.toPath) continue;
+        const toPath = reqItem.keepBothTarget ? path.join(path.dirname(plan.toPath), reqItem.keepBothTarget) : plan.toPath;
+        plans.push(Object.assign({}, plan, { toPath }));
         if (fs.existsSync(toPath)) {
           conflicts.push({
             original: reqItem.canonicalPath,
             toPath: toPath,
-            title: parsedName
+            title: path.basename(toPath, path.extname(toPath))
           });
         }
       } catch (e) {
         // Skip on error
       }
     }
-    return res.json({ conflicts });
+    // Existing targets are already listed as conflicts; preflight adds everything else apply would trip over
+    let preflight = null;
+    try { preflight = preflightChecker.check(plans, { username }); } catch (e) { appendLog(`PREFLIGHT_FAIL user=${username || ''} err=${e.message}`); }
+    return res.json({ conflicts, preflight });
   } catch (err) {
     return res.status(500).json({ error: err.message });
   }
 });
 
-router.post('/api/jobs/approve', requireAuth, async (req, res) => {
-  try {
-    const { items, outputFolder, template, useFilenameAsTitle, skipAnimeProviders } = req.body || {};
-    if (!items || !Array.isArray(items) || !items.length) return res.status(400).json({ error: 'items required' });
-    const username = req.session && req.session.username ? req.session.username : null;
-    const applyFilenameAsTitle = coerceBoolean(useFilenameAsTitle);
 
-    // Resolve effective output path the same way the preview route does
-    let effectiveOutput = '';
+  // Enrich, plan and apply the items of an approve job as one journaled batch
+  async function runApproveJob(job, ctl) {
+    const payload = job.payload || {};
+    const { items, effectiveOutput, template, applyFilenameAsTitle, explicitOutput } = payload;
+    const username = job.username;
     try {
-      if (outputFolder) {
-        effectiveOutput = canonicalize(outputFolder);
-      } else if (username && users[username] && users[username].settings && users[username].settings.scan_output_path) {
-        effectiveOutput = canonicalize(users[username].settings.scan_output_path);
-      } else if (serverSettings && serverSettings.scan_output_path) {
-        effectiveOutput = canonicalize(serverSettings.scan_output_path);
-      }
-    } catch (e) { effectiveOutput = outputFolder ? canonicalize(outputFolder) : ''; }
+      const tmdbKey = resolveTmdbKey(username);
 
-    const job = createBgJob('approve', items.length);
-    // Respond immediately so the client can close safely
-    res.json({ jobId: job.id, status: 'running' });
+      const _providerOrder = resolveMetadataProviderOrder(username);
+      const _forceHash = (_providerOrder && _providerOrder.length && _providerOrder[0] === 'anidb');
 
-    // Run the entire approve workflow in the background
-    ;(async () => {
-      try {
-        let tmdbKey = null;
+      // Step 1: Enrich any items not yet complete
+      for (const it of items) {
+        if (ctl.signal.aborted) break;
         try {
-          if (username && users[username] && users[username].settings && users[username].settings.tmdb_api_key) tmdbKey = users[username].settings.tmdb_api_key;
-          else if (serverSettings && serverSettings.tmdb_api_key) tmdbKey = serverSettings.tmdb_api_key;
-        } catch (e) {}
-
-        const _providerOrder = resolveMetadataProviderOrder(username);
-        const _forceHash = (_providerOrder && _providerOrder.length && _providerOrder[0] === 'anidb');
-
-        // Step 1: Enrich any items not yet complete
-        for (const it of items) {
-          try {
-            const fromPath = canonicalize(it.canonicalPath);
-            if (!applyFilenameAsTitle) {
-              const existing = enrichCache[fromPath] || null;
-              const prov = existing && existing.provider ? existing.provider : null;
-              if (!isProviderComplete(prov)) {
-                const opts = { username };
-                if (_forceHash) opts.forceHash = true;
-                const data = await externalEnrich(fromPath, tmdbKey, opts);
-                if (data) {
-                  const providerRendered = renderProviderName(data, fromPath, null);
-                  const providerRaw = cloneProviderRaw(extractProviderRaw(data));
-                  const providerBlock = {
-                    title: data.title, year: data.year, season: data.season, episode: data.episode,
-                    episodeTitle: data.episodeTitle || '', raw: providerRaw, renderedName: providerRendered,
-                    matched: !!data.title, source: data.source || (data.provider && data.provider.source) || null,
-                    seriesTitleEnglish: data.seriesTitleEnglish || null, seriesTitleRomaji: data.seriesTitleRomaji || null,
-                    seriesTitleExact: data.seriesTitleExact || null, originalSeriesTitle: data.originalSeriesTitle || null
-                  };
-                  updateEnrichCache(fromPath, Object.assign({}, enrichCache[fromPath] || {}, data, { provider: providerBlock, sourceId: 'provider', cachedAt: Date.now() }));
-                }
+          const fromPath = canonicalize(it.canonicalPath);
+          if (!applyFilenameAsTitle) {
+            const existing = enrichCache[fromPath] || null;
+            const prov = existing && existing.provider ? existing.provider : null;
+            if (!isProviderComplete(prov)) {
+              const opts = { username };
+              if (_forceHash) opts.forceHash = true;
+              const data = await externalEnrich(fromPath, tmdbKey, opts);
+              if (data) {
+                const providerRendered = renderProviderName(data, fromPath, null);
+                const providerRaw = cloneProviderRaw(extractProviderRaw(data));
+                const providerBlock = {
+                  title: data.title, year: data.year, season: data.season, episode: data.episode,
+                  episodeTitle: data.episodeTitle || '', raw: providerRaw, renderedName: providerRendered,
+                  matched: !!data.title, source: data.source || (data.provider && data.provider.source) || null,
+                  seriesTitleEnglish: data.seriesTitleEnglish || null, seriesTitleRomaji: data.seriesTitleRomaji || null,
+                  seriesTitleExact: data.seriesTitleExact || null, originalSeriesTitle: data.originalSeriesTitle || null
+                };
+                updateEnrichCache(fromPath, Object.assign({}, enrichCache[fromPath] || {}, data, { provider: providerBlock, sourceId: 'provider', cachedAt: Date.now() }));
               }
             }
-          } catch (e) { try { appendLog(`JOB_APPROVE_ENRICH_FAIL path=${it.canonicalPath} err=${e && e.message}`); } catch (ee) {} }
-          job.processedItems++;
+          }
+        } catch (e) { try { appendLog(`JOB_APPROVE_ENRICH_FAIL path=${it.canonicalPath} err=${e && e.message}`); } catch (ee) {} }
+        job.processedItems++;
+        ctl.save();
+      }
+      // Cancelling is only honoured before any file is touched
+      if (ctl.signal.aborted) return;
+
+      const applied = await applyItemsAsBatch(job, {
+        items,
+        effectiveOutput,
+        explicitOutput: explicitOutput === true,
+        template,
+        applyFilenameAsTitle,
+        atomic: payload.atomic,
+        ignoreIntegrity: payload.ignoreIntegrity === true,
+        actionType: 'approve'
+      });
+      appendLog(`JOB_APPROVE_DONE id=${job.id} applied=${applied}/${items.length}`);
+    } catch (e) {
+      appendLog(`JOB_APPROVE_FAIL id=${job.id} err=${e.message}`);
+      throw e;
+    }
+  }
+  jobQueue.registerHandler('approve', runApproveJob);
+
+  // Plan and apply already-enriched items as one journaled batch, then run the per-item
+  // subtitle and sidecar steps. Returns how many items were applied.
+  async function applyItemsAsBatch(job, { items, effectiveOutput, explicitOutput = false, template, applyFilenameAsTitle, atomic: atomicOverride, ignoreIntegrity = false, actionType }) {
+    const username = job.username;
+    const tag = actionType === 'auto-apply' ? 'JOB_AUTO_APPLY' : 'JOB_APPROVE';
+    // Step 2: Generate rename plans
+    const plans = items.map(it => {
+      const plan = generatePlanForItem(it, { username, effectiveOutput, applyFilenameAsTitle, template, explicitOutput });
+      if (!plan) return null;
+      if (it.keepBothTarget && plan.toPath) {
+        plan.toPath = path.join(path.dirname(plan.toPath), it.keepBothTarget);
+      }
+      plan.overwrite = it.overwrite;
+      return plan;
+    }).filter(Boolean);
+    try { persistEnrichCacheNow(); } catch (e) {}
+
+    // Step 3: Apply plans as one journaled batch, then handle subtitles per item
+    const atomic = atomicOverride != null ? coerceBoolean(atomicOverride) : resolveApplyAtomicSetting(username);
+    const entries = plans.map(p => ({
+      itemId: p.itemId,
+      fromPath: path.resolve(p.fromPath),
+      toPath: p.toPath ? path.resolve(p.toPath) : null,
+      op: p.actions && p.actions[0] ? p.actions[0].op : 'hardlink',
+      overwrite: p.overwrite
+    }));
+    const outcome = await applyBatch(entries, {
+      username,
+      atomic,
+      ignoreIntegrity,
+      jobId: String(job.id),
+      actionType,
+      onProgress: (progress) => {
+        job.currentItemProgress = progress;
+        if (typeof broadcastEvent === 'function') { try { broadcastEvent('job_updated', job); } catch (e) {} }
+      },
+      onItemDone: async ({ entry, result }) => {
+        const { fromPath, toPath } = entry;
+        if (result.status === OP_STATUS[result.op]) appendLog(`${tag}_${result.op === 'hardlink' ? 'HARDLINK' : 'APPLY'} op=${result.op} from=${fromPath} to=${toPath}`);
+        // Extract/copy subtitles for both new hardlinks and already-existing outputs
+        if (resolveCopySidecarSubtitlesSetting(username)) {
+          try { copyExternalSubtitles(fromPath, toPath); } catch (e) {
+            appendLog(`SUBTITLE_SIDECAR_UNEXPECTED_ERROR from=${fromPath} err=${e && e.message ? e.message : String(e)}`);
+          }
         }
-
-        // Step 2: Generate rename plans
-        const plans = items.map(it => {
-          const plan = generatePlanForItem(it, { username, effectiveOutput, applyFilenameAsTitle, template });
-          if (!plan) return null;
-          if (it.keepBothTarget && plan.toPath) {
-            plan.toPath = path.join(path.dirname(plan.toPath), it.keepBothTarget);
+        if (resolveExtractSubtitlesSetting(username)) {
+          const subtitleFmt = resolveExtractSubtitleFormat(username);
+          try { await extractSubtitlesToSrt(fromPath, toPath, subtitleFmt); } catch (e) {
+            appendLog(`SUBTITLE_EXTRACT_UNEXPECTED_ERROR from=${fromPath} err=${e && e.message ? e.message : String(e)}`);
           }
-          plan.overwrite = it.overwrite;
-          return plan;
-        }).filter(Boolean);
-        try { persistEnrichCacheNow(); } catch (e) {}
-
-        // Step 3: Apply each plan (hardlink + cache update)
-        const sleep = (ms) => new Promise(r => setTimeout(r, ms));
-        const appliedFromPaths = new Set();
-        for (const p of plans) {
-          const resultItem = { itemId: p.itemId, fromPath: p.fromPath, status: 'pending' };
-          try {
-            const fromPath = path.resolve(p.fromPath);
-            if (!p.toPath) { resultItem.status = 'error'; resultItem.error = 'Plan missing target path'; job.results.push(resultItem); continue; }
-            const toPath = path.resolve(p.toPath);
-            if (fromPath === toPath) { resultItem.status = 'noop'; job.results.push(resultItem); continue; }
-            if (!fs.existsSync(fromPath)) { resultItem.status = 'error'; resultItem.error = 'Source file not found'; job.results.push(resultItem); continue; }
-            const parentDir = path.dirname(toPath);
-            if (!fs.existsSync(parentDir)) fs.mkdirSync(parentDir, { recursive: true });
-            if (fs.existsSync(toPath) && p.overwrite) {
-              try { fs.unlinkSync(toPath); } catch (e) {}
-            }
-            if (fs.existsSync(toPath)) {
-              resultItem.status = 'exists'; resultItem.to = toPath;
-            } else {
-              let linked = false, lastErr = null;
-              for (let attempt = 0; attempt < 3; attempt++) {
-                try { fs.linkSync(fromPath, toPath); linked = true; break; }
-                catch (err) { lastErr = err; if (err.code === 'EEXIST') { linked = true; break; } await sleep(100 * (attempt + 1)); }
-              }
-              if (!linked) throw lastErr || new Error('Hardlink failed');
-              const fromKey = canonicalize(fromPath);
-              enrichCache[fromKey] = enrichCache[fromKey] || {};
-              enrichCache[fromKey].applied = true; enrichCache[fromKey].hidden = true;
-              enrichCache[fromKey].appliedAt = Date.now(); enrichCache[fromKey].appliedTo = toPath;
-              const finalBasename = path.basename(toPath);
-              enrichCache[fromKey].renderedName = finalBasename;
-              enrichCache[fromKey].metadataFilename = finalBasename.replace(path.extname(finalBasename), '');
-              const targetKey = canonicalize(toPath);
-              renderedIndex[targetKey] = { source: fromPath, renderedName: finalBasename, appliedTo: toPath,
-                metadataFilename: enrichCache[fromKey].metadataFilename, provider: enrichCache[fromKey].provider || null, parsed: enrichCache[fromKey].parsed || null };
-              if (db) { 
-                db.saveEnrichCacheBatch({ [fromKey]: enrichCache[fromKey] });
-                db.setKV('renderedIndex', renderedIndex);
-                db.logAction({ job_id: String(job.id), action_type: 'approve', original_path: fromPath, resolved_path: toPath });
-              }
-              appliedFromPaths.add(fromKey);
-              appendLog(`JOB_APPROVE_HARDLINK from=${fromPath} to=${toPath}`);
-              resultItem.status = 'hardlinked'; resultItem.to = toPath;
-            }
-            // Extract/copy subtitles for both new hardlinks and already-existing outputs
-            if (resultItem.status === 'hardlinked' || resultItem.status === 'exists') {
-              if (resolveCopySidecarSubtitlesSetting(username)) {
-                try { copyExternalSubtitles(fromPath, toPath); } catch (e) {
-                  appendLog(`SUBTITLE_SIDECAR_UNEXPECTED_ERROR from=${fromPath} err=${e && e.message ? e.message : String(e)}`);
-                }
-              }
-              if (resolveExtractSubtitlesSetting(username)) {
-                const subtitleFmt = resolveExtractSubtitleFormat(username);
-                try { await extractSubtitlesToSrt(fromPath, toPath, subtitleFmt); } catch (e) {
-                  appendLog(`SUBTITLE_EXTRACT_UNEXPECTED_ERROR from=${fromPath} err=${e && e.message ? e.message : String(e)}`);
-                }
-              }
-              if (resolveHardsubSetting(username)) {
-                const hardsubLang = resolveHardsubLanguage(username);
-                try { await burnHardsubToFile(fromPath, toPath, hardsubLang); } catch (e) {
-                  appendLog(`HARDSUB_UNEXPECTED_ERROR from=${fromPath} err=${e && e.message ? e.message : String(e)}`);
-                }
-              }
-            }
-          } catch (e) {
-            resultItem.status = 'error'; resultItem.error = e.message;
-            appendLog(`JOB_APPROVE_APPLY_ERROR item=${p.itemId} err=${e.message}`);
+        }
+        if (resolveHardsubSetting(username)) {
+          const hardsubLang = resolveHardsubLanguage(username);
+          try { await burnHardsubToFile(fromPath, toPath, hardsubLang); } catch (e) {
+            appendLog(`HARDSUB_UNEXPECTED_ERROR from=${fromPath} err=${e && e.message ? e.message : String(e)}`);
           }
-          job.results.push(resultItem);
         }
+        const nfo = resolveNfoSidecarsSetting(username);
+        const artwork = resolveArtworkSidecarsSetting(username);
+        if (nfo || artwork) {
+          try { await writeSidecars({ fromPath, toPath, username, nfo, artwork }); } catch (e) {
+            appendLog(`SIDECAR_WRITE_FAIL to=${toPath} err=${e && e.message ? e.message : String(e)}`);
+          }
+        }
+      }
+    });
+    job.batchId = outcome.batchId;
+    job.batchStatus = outcome.status;
+    const appliedFromPaths = new Set();
+    for (const r of outcome.results) {
+      if (r.op && r.status === OP_STATUS[r.op]) appliedFromPaths.add(canonicalize(r.fromPath));
+      if (r.status === 'error') appendLog(`${tag}_APPLY_ERROR item=${r.itemId} err=${r.error}`);
+      job.results.push(r);
+    }
 
-        // Step 4: Final cache flush + remove applied items from scans
-        if (!db) { try { writeJson(enrichStoreFile, enrichCache); } catch (e) {} try { writeJson(renderedIndexFile, renderedIndex); } catch (e) {} }
-        else { try { persistEnrichCacheNow(); } catch (e) {} }
-        if (appliedFromPaths.size > 0) {
-          try {
-            for (const sid of Object.keys(scans || {})) {
-              const scan = scans[sid]; if (!scan || !Array.isArray(scan.items)) continue;
-              const before = scan.items.length;
-              scan.items = scan.items.filter(it => { try { return !appliedFromPaths.has(canonicalize(it.canonicalPath)); } catch (e) { return true; } });
-              if (scan.items.length !== before) scan.totalCount = scan.items.length;
-            }
-            if (db) db.saveScansObject(scans); else writeJson(scanStoreFile, scans);
-          } catch (e) { appendLog(`JOB_APPROVE_SCAN_FILTER_FAIL err=${e && e.message ? e.message : String(e)}`); }
+    // Step 4: Final cache flush + remove applied items from scans
+    if (!db) { try { writeJson(enrichStoreFile, enrichCache); } catch (e) {} try { writeJson(renderedIndexFile, renderedIndex); } catch (e) {} }
+    else { try { persistEnrichCacheNow(); } catch (e) {} }
+    if (appliedFromPaths.size > 0) {
+      try {
+        for (const sid of Object.keys(scans || {})) {
+          const scan = scans[sid]; if (!scan || !Array.isArray(scan.items)) continue;
+          const before = scan.items.length;
+          scan.items = scan.items.filter(it => { try { return !appliedFromPaths.has(canonicalize(it.canonicalPath)); } catch (e) { return true; } });
+          if (scan.items.length !== before) scan.totalCount = scan.items.length;
         }
+        if (db) db.saveScansObject(scans); else writeJson(scanStoreFile, scans);
+      } catch (e) { appendLog(`${tag}_SCAN_FILTER_FAIL err=${e && e.message ? e.message : String(e)}`); }
+    }
 
-        job.status = 'done';
-        job.completedAt = Date.now();
-        if (typeof broadcastEvent === 'function') { try { broadcastEvent('job_updated', job); } catch(e) {} }
-        appendLog(`JOB_APPROVE_DONE id=${job.id} applied=${appliedFromPaths.size}/${items.length}`);
-      } catch (e) {
-        job.status = 'error'; job.error = e.message; job.completedAt = Date.now();
-        if (typeof broadcastEvent === 'function') { try { broadcastEvent('job_updated', job); } catch(e) {} }
-        appendLog(`JOB_APPROVE_FAIL id=${job.id} err=${e.message}`);
+    if (typeof broadcastEvent === 'function') {
+      const applied = buildBatchApplier.appliedItems(outcome.results);
+      if (applied.length) {
+        try { broadcastEvent('items_applied', { source: actionType, jobId: String(job.id), batchId: outcome.batchId, username, count: applied.length, items: applied }); } catch (e) {}
       }
-    })();
-  } catch (e) { if (!res.headersSent) res.status(500).json({ error: e.message }); }
-});
+    }
+    return appliedFromPaths.size;
+  }
 
-router.post('/api/jobs/backfill-subtitles', requireAuth, async (req, res) => {
+router.post('/api/jobs/approve', requireAuth, async (req, res) => {
   try {
+    const { items, outputFolder, template, useFilenameAsTitle, skipAnimeProviders } = req.body || {};
+    if (!items || !Array.isArray(items) || !items.length) return res.status(400).json({ error: 'items required' });
     const username = req.session && req.session.username ? req.session.username : null;
-    if (!resolveExtractSubtitlesSetting(username)) {
-      return res.status(400).json({ error: 'Extract subtitles setting is disabled' });
-    }
-    const subtitleFmt = resolveExtractSubtitleFormat(username);
+    const applyFilenameAsTitle = coerceBoolean(useFilenameAsTitle);
+
+    const effectiveOutput = resolveEffectiveOutput(username, outputFolder);
+
+    const job = jobQueue.enqueue('approve', {
+      username,
+      totalItems: items.length,
+      payload: {
+        items,
+        effectiveOutput,
+        // Library output folders only give way to a folder the user picked
+        explicitOutput: !!outputFolder,
+        template,
+        applyFilenameAsTitle,
+        atomic: req.body && req.body.atomic !== undefined ? coerceBoolean(req.body.atomic) : null,
+        // Files failing their CRC32 check are only applied when the user says so
+        ignoreIntegrity: coerceBoolean(req.body && req.body.ignoreIntegrity)
+      }
+    });
+    auditLog.record(req, 'rename.approve', { target: job.id, details: { items: items.length, outputFolder: outputFolder || null } });
+    // Respond immediately so the client can close safely; the queue runs the workflow
+    res.json({ jobId: job.id, status: job.status });
+  } catch (e) { if (!res.headersSent) res.status(500).json({ error: e.message }); }
+});
 
-    // Collect approved items: enrichCache entries where applied=true and appliedTo exists
+  function collectBackfillCandidates(exclude) {
+    // Approved items: enrichCache entries where applied=true and appliedTo exists
     const candidates = [];
     for (const [fromKey, entry] of Object.entries(enrichCache || {})) {
       if (!entry || !entry.applied || !entry.appliedTo) continue;
+      if (exclude && exclude.has(fromKey)) continue;
       candidates.push({ fromPath: fromKey, toPath: entry.appliedTo });
     }
+    return candidates;
+  }
 
-    const job = createBgJob('backfill-subtitles', candidates.length);
-    res.json({ jobId: job.id, status: 'running', total: candidates.length });
+  // Extract subtitles for approved items whose output has none yet
+  async function runBackfillSubtitlesJob(job, ctl) {
+    const username = job.username;
+    const subtitleFmt = resolveExtractSubtitleFormat(username);
+    const candidates = collectBackfillCandidates(null);
+    job.totalItems = candidates.length;
+    let skipped = 0, extracted = 0, missing = 0, errors = 0;
+    const processedFromPaths = new Set(candidates.map(c => c.fromPath));
+
+    async function processBackfillItem(fromPath, toPath) {
+      if (!fs.existsSync(fromPath)) { missing++; return; }
+      if (!fs.existsSync(toPath)) { missing++; return; }
+      const toDir = path.dirname(toPath);
+      const toExt = path.extname(toPath);
+      const toBase = path.basename(toPath, toExt);
+      let existingEntries;
+      try { existingEntries = fs.readdirSync(toDir).filter(f => {
+        if (!f.startsWith(toBase)) return false;
+        const fe = path.extname(f).toLowerCase();
+        return SUBTITLE_EXTS.has(fe);
+      }); } catch (e) { existingEntries = []; }
+      if (existingEntries.length > 0) { skipped++; return; }
+      if (resolveCopySidecarSubtitlesSetting(username)) {
+        try { copyExternalSubtitles(fromPath, toPath); } catch (e) {
+          appendLog(`BACKFILL_SUBTITLE_SIDECAR_ERROR from=${fromPath} err=${e && e.message ? e.message : String(e)}`);
+        }
+      }
+      await extractSubtitlesToSrt(fromPath, toPath, subtitleFmt);
+      extracted++;
+    }
 
-    ;(async () => {
-      try {
-        let skipped = 0, extracted = 0, missing = 0, errors = 0;
-        const processedFromPaths = new Set(candidates.map(c => c.fromPath));
-
-        async function processBackfillItem(fromPath, toPath) {
-          if (!fs.existsSync(fromPath)) { missing++; return; }
-          if (!fs.existsSync(toPath)) { missing++; return; }
-          const toDir = path.dirname(toPath);
-          const toExt = path.extname(toPath);
-          const toBase = path.basename(toPath, toExt);
-          let existingEntries;
-          try { existingEntries = fs.readdirSync(toDir).filter(f => {
-            if (!f.startsWith(toBase)) return false;
-            const fe = path.extname(f).toLowerCase();
-            return SUBTITLE_EXTS.has(fe);
-          }); } catch (e) { existingEntries = []; }
-          if (existingEntries.length > 0) { skipped++; return; }
-          if (resolveCopySidecarSubtitlesSetting(username)) {
-            try { copyExternalSubtitles(fromPath, toPath); } catch (e) {
-              appendLog(`BACKFILL_SUBTITLE_SIDECAR_ERROR from=${fromPath} err=${e && e.message ? e.message : String(e)}`);
-            }
-          }
-          await extractSubtitlesToSrt(fromPath, toPath, subtitleFmt);
-          extracted++;
+    try {
+      for (const { fromPath, toPath } of candidates) {
+        if (ctl.signal.aborted) return;
+        try {
+          await processBackfillItem(fromPath, toPath);
+        } catch (e) {
+          errors++;
+          appendLog(`BACKFILL_SUBTITLE_ERROR from=${fromPath} err=${e && e.message ? e.message : String(e)}`);
         }
+        job.processedItems++;
+        ctl.save();
+      }
 
-        for (const { fromPath, toPath } of candidates) {
+      // Second sweep: pick up any items approved while this backfill was running
+      const lateEntries = collectBackfillCandidates(processedFromPaths);
+      if (lateEntries.length > 0) {
+        job.totalItems += lateEntries.length;
+        for (const { fromPath, toPath } of lateEntries) {
+          if (ctl.signal.aborted) return;
           try {
             await processBackfillItem(fromPath, toPath);
           } catch (e) {
             errors++;
-            appendLog(`BACKFILL_SUBTITLE_ERROR from=${fromPath} err=${e && e.message ? e.message : String(e)}`);
+            appendLog(`BACKFILL_SUBTITLE_LATE_ERROR from=${fromPath} err=${e && e.message ? e.message : String(e)}`);
           }
           job.processedItems++;
+          ctl.save();
         }
+      }
 
-        // Second sweep: pick up any items approved while this backfill was running
-        const lateEntries = [];
-        for (const [fromKey, entry] of Object.entries(enrichCache || {})) {
-          if (!entry || !entry.applied || !entry.appliedTo) continue;
-          if (processedFromPaths.has(fromKey)) continue; // already handled above
-          lateEntries.push({ fromPath: fromKey, toPath: entry.appliedTo });
-        }
-        if (lateEntries.length > 0) {
-          job.totalItems += lateEntries.length;
-          for (const { fromPath, toPath } of lateEntries) {
-            try {
-              await processBackfillItem(fromPath, toPath);
-            } catch (e) {
-              errors++;
-              appendLog(`BACKFILL_SUBTITLE_LATE_ERROR from=${fromPath} err=${e && e.message ? e.message : String(e)}`);
-            }
-            job.processedItems++;
-          }
-        }
+      const total = candidates.length + lateEntries.length;
+      job.results = [{ extracted, skipped, missing, errors, total }];
+      appendLog(`JOB_BACKFILL_SUBTITLES done extracted=${extracted} skipped=${skipped} missing=${missing} errors=${errors} late=${lateEntries.length}`);
+    } catch (e) {
+      appendLog(`JOB_BACKFILL_SUBTITLES_FAIL err=${e.message}`);
+      throw e;
+    }
+  }
+  jobQueue.registerHandler('backfill-subtitles', runBackfillSubtitlesJob);
 
-        job.status = 'done'; job.completedAt = Date.now();
-        const total = candidates.length + lateEntries.length;
-        job.results = [{ extracted, skipped, missing, errors, total }];
-        appendLog(`JOB_BACKFILL_SUBTITLES done extracted=${extracted} skipped=${skipped} missing=${missing} errors=${errors} late=${lateEntries.length}`);
-      } catch (e) {
-        job.status = 'error'; job.error = e.message; job.completedAt = Date.now();
-        appendLog(`JOB_BACKFILL_SUBTITLES_FAIL err=${e.message}`);
-      }
-    })();
+router.post('/api/jobs/backfill-subtitles', requireAuth, async (req, res) => {
+  try {
+    const username = sessionUser(req);
+    if (!resolveExtractSubtitlesSetting(username)) {
+      return res.status(400).json({ error: 'Extract subtitles setting is disabled' });
+    }
+    const total = collectBackfillCandidates(null).length;
+    const job = jobQueue.enqueue('backfill-subtitles', { username, totalItems: total });
+    res.json({ jobId: job.id, status: job.status, total });
   } catch (e) { if (!res.headersSent) res.status(500).json({ error: e.message }); }
 });
 
-router.post('/api/jobs/bulk-rescan', requireAuth, async (req, res) => {
-  try {
-    const { paths, force, skipAnimeProviders } = req.body || {};
-    if (!paths || !Array.isArray(paths) || !paths.length) return res.status(400).json({ error: 'paths required' });
-    const username = req.session && req.session.username ? req.session.username : null;
-    let tmdbKey = null;
-    try {
-      if (username && users[username] && users[username].settings && users[username].settings.tmdb_api_key) tmdbKey = users[username].settings.tmdb_api_key;
-      else if (serverSettings && serverSettings.tmdb_api_key) tmdbKey = serverSettings.tmdb_api_key;
-    } catch (e) {}
+  // Scheduled rescans and auto-apply runs carry no paths; they work from the user's latest scan
+  function unappliedPathsFromLatestScan(username) {
+    const all = Object.keys(scans || {}).map(k => scans[k]).filter(s => s && Array.isArray(s.items));
+    const own = all.filter(s => !s.username || s.username === username);
+    own.sort((a, b) => (b.generatedAt || 0) - (a.generatedAt || 0));
+    const latest = own[0];
+    if (!latest) return [];
+    return latest.items.map(it => canonicalize(it.canonicalPath)).filter(p => {
+      const entry = enrichCache[p];
+      return !(entry && (entry.hidden || entry.applied));
+    });
+  }
 
-    const job = createBgJob('bulk-rescan', paths.length);
-    res.json({ jobId: job.id, status: 'running' });
+  function incompletePathsFromLatestScan(username) {
+    return unappliedPathsFromLatestScan(username).filter(p => !isProviderComplete(enrichCache[p] && enrichCache[p].provider));
+  }
 
-    ;(async () => {
-      let forcedHash = false;
-      let globalSkipAnime = false;
-      if (username && users[username] && users[username].settings && users[username].settings.default_rescan_force_hash !== undefined) {
-        forcedHash = coerceBoolean(users[username].settings.default_rescan_force_hash);
-      } else if (serverSettings && serverSettings.default_rescan_force_hash !== undefined) {
-        forcedHash = coerceBoolean(serverSettings.default_rescan_force_hash);
-      } else {
-        const _refreshProviderOrder = resolveMetadataProviderOrder(username);
-        forcedHash = (_refreshProviderOrder && _refreshProviderOrder.length && _refreshProviderOrder[0] === 'anidb');
-      }
+  // Enrich a list of paths with rate limiting
+  async function runBulkRescanJob(job, ctl) {
+    const payload = job.payload || {};
+    const username = job.username;
+    const paths = Array.isArray(payload.paths) ? payload.paths : incompletePathsFromLatestScan(username);
+    const { force, skipAnimeProviders } = payload;
+    job.totalItems = paths.length;
+    const tmdbKey = resolveTmdbKey(username);
+
+    let forcedHash = false;
+    let globalSkipAnime = false;
+    if (username && users[username] && users[username].settings && users[username].settings.default_rescan_force_hash !== undefined) {
+      forcedHash = coerceBoolean(users[username].settings.default_rescan_force_hash);
+    } else if (serverSettings && serverSettings.default_rescan_force_hash !== undefined) {
+      forcedHash = coerceBoolean(serverSettings.default_rescan_force_hash);
+    } else {
+      const _refreshProviderOrder = resolveMetadataProviderOrder(username);
+      forcedHash = (_refreshProviderOrder && _refreshProviderOrder.length && _refreshProviderOrder[0] === 'anidb');
+    }
 
-      if (username && users[username] && users[username].settings && users[username].settings.default_rescan_skip_anime !== undefined) {
-        globalSkipAnime = coerceBoolean(users[username].settings.default_rescan_skip_anime);
-      } else if (serverSettings && serverSettings.default_rescan_skip_anime !== undefined) {
-        globalSkipAnime = coerceBoolean(serverSettings.default_rescan_skip_anime);
-      }
+    if (username && users[username] && users[username].settings && users[username].settings.default_rescan_skip_anime !== undefined) {
+      globalSkipAnime = coerceBoolean(users[username].settings.default_rescan_skip_anime);
+    } else if (serverSettings && serverSettings.default_rescan_skip_anime !== undefined) {
+      globalSkipAnime = coerceBoolean(serverSettings.default_rescan_skip_anime);
+    }
 
-      const RATE_DELAY_MS = 350;
-      const sleep = (ms) => new Promise(r => setTimeout(r, ms));
-      for (let i = 0; i < paths.length; i++) {
-        const p = paths[i];
-        const resultItem = { path: p, status: 'pending' };
-        try {
-          const fromPath = canonicalize(p);
-          const opts = { username, force: coerceBoolean(force) };
-          if (forcedHash) opts.forceHash = true;
-          if (typeof skipAnimeProviders === 'boolean') {
-            opts.skipAnimeProviders = skipAnimeProviders;
-          } else if (globalSkipAnime) {
-            opts.skipAnimeProviders = true;
-          }
-          const data = await externalEnrich(fromPath, tmdbKey, opts);
-          if (data) {
-            // Mirror what the POST /enrich route does: build provider block + update cache
-            const providerRendered = renderProviderName(data, fromPath, null);
-            const providerRaw = cloneProviderRaw(extractProviderRaw(data));
-            const providerBlock = {
-              title: data.title, year: data.year, season: data.season, episode: data.episode,
-              episodeTitle: data.episodeTitle || '', raw: providerRaw, renderedName: providerRendered,
-              matched: !!data.title, source: data.source || (data.provider && data.provider.source) || null,
-              seriesTitleEnglish: data.seriesTitleEnglish || null, seriesTitleRomaji: data.seriesTitleRomaji || null,
-              seriesTitleExact: data.seriesTitleExact || null, originalSeriesTitle: data.originalSeriesTitle || null
-            };
-            updateEnrichCache(fromPath, Object.assign({}, enrichCache[fromPath] || {}, data, { provider: providerBlock, sourceId: 'provider', cachedAt: Date.now() }));
-          }
-          resultItem.status = data ? 'ok' : 'empty';
-        } catch (e) {
-          resultItem.status = 'error'; resultItem.error = e.message;
-          appendLog(`JOB_RESCAN_FAIL path=${p} err=${e.message}`);
+    const RATE_DELAY_MS = 350;
+    const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+    for (let i = 0; i < paths.length; i++) {
+      if (ctl.signal.aborted) break;
+      const p = paths[i];
+      const resultItem = { path: p, status: 'pending' };
+      try {
+        const fromPath = canonicalize(p);
+        const opts = { username, force: coerceBoolean(force) };
+        if (forcedHash) opts.forceHash = true;
+        if (typeof skipAnimeProviders === 'boolean') {
+          opts.skipAnimeProviders = skipAnimeProviders;
+        } else if (globalSkipAnime) {
+          opts.skipAnimeProviders = true;
+        }
+        const data = await externalEnrich(fromPath, tmdbKey, opts);
+        if (data) {
+          // Mirror what the POST /enrich route does: build provider block + update cache
+          const providerRendered = renderProviderName(data, fromPath, null);
+          const providerRaw = cloneProviderRaw(extractProviderRaw(data));
+          const providerBlock = {
+            title: data.title, year: data.year, season: data.season, episode: data.episode,
+            episodeTitle: data.episodeTitle || '', raw: providerRaw, renderedName: providerRendered,
+            matched: !!data.title, source: data.source || (data.provider && data.provider.source) || null,
+            seriesTitleEnglish: data.seriesTitleEnglish || null, seriesTitleRomaji: data.seriesTitleRomaji || null,
+            seriesTitleExact: data.seriesTitleExact || null, originalSeriesTitle: data.originalSeriesTitle || null
+          };
+          updateEnrichCache(fromPath, Object.assign({}, enrichCache[fromPath] || {}, data, { provider: providerBlock, sourceId: 'provider', cachedAt: Date.now() }));
         }
-        job.results.push(resultItem);
-        job.processedItems = i + 1;
-        if (i < paths.length - 1) await sleep(RATE_DELAY_MS);
+        resultItem.status = data ? 'ok' : 'empty';
+      } catch (e) {
+        resultItem.status = 'error'; resultItem.error = e.message;
+        appendLog(`JOB_RESCAN_FAIL path=${p} err=${e.message}`);
       }
-      try { persistEnrichCacheNow(); } catch (e) {}
-      job.status = 'done'; job.completedAt = Date.now();
-      appendLog(`JOB_RESCAN_DONE id=${job.id} processed=${job.processedItems}/${paths.length}`);
-    })();
+      job.results.push(resultItem);
+      job.processedItems = i + 1;
+      ctl.save();
+      if (i < paths.length - 1) await sleep(RATE_DELAY_MS);
+    }
+    try { persistEnrichCacheNow(); } catch (e) {}
+    appendLog(`JOB_RESCAN_DONE id=${job.id} processed=${job.processedItems}/${paths.length}`);
+    autoApplier.trigger(username, job.results.filter(r => r.status === 'ok').map(r => r.path), 'bulk-rescan');
+  }
+  jobQueue.registerHandler('bulk-rescan', runBulkRescanJob);
+
+  // Apply the payload paths that still match one of the user's auto-apply rules, one batch per
+  // rule. History rows get the 'auto-apply' action type so they can be reviewed and undone.
+  async function runAutoApplyJob(job, ctl) {
+    const payload = job.payload || {};
+    const username = job.username;
+    const paths = Array.isArray(payload.paths) ? payload.paths : unappliedPathsFromLatestScan(username);
+    const groups = autoApplier.evaluate(username, paths);
+    job.totalItems = groups.reduce((n, g) => n + g.paths.length, 0);
+    let applied = 0;
+    for (const { rule, paths: rulePaths } of groups) {
+      if (ctl.signal.aborted) break;
+      const before = job.results.length;
+      const count = await applyItemsAsBatch(job, {
+        items: rulePaths.map(p => ({ canonicalPath: p })),
+        effectiveOutput: resolveEffectiveOutput(username, rule.outputFolder),
+        explicitOutput: !!rule.outputFolder,
+        actionType: 'auto-apply'
+      });
+      for (const r of job.results.slice(before)) { r.ruleId = rule.id; r.ruleName = rule.name; }
+      applied += count;
+      job.processedItems += rulePaths.length;
+      appendLog(`JOB_AUTO_APPLY_RULE id=${job.id} rule=${rule.id} applied=${count}/${rulePaths.length}`);
+      ctl.save();
+    }
+    appendLog(`JOB_AUTO_APPLY_DONE id=${job.id} trigger=${payload.trigger || 'manual'} applied=${applied}/${job.totalItems}`);
+  }
+  jobQueue.registerHandler('auto-apply', runAutoApplyJob);
+
+router.post('/api/jobs/bulk-rescan', requireAuth, async (req, res) => {
+  try {
+    const { paths, force, skipAnimeProviders } = req.body || {};
+    if (!paths || !Array.isArray(paths) || !paths.length) return res.status(400).json({ error: 'paths required' });
+    const job = jobQueue.enqueue('bulk-rescan', {
+      username: sessionUser(req),
+      totalItems: paths.length,
+      payload: { paths, force, skipAnimeProviders }
+    });
+    res.json({ jobId: job.id, status: job.status });
   } catch (e) { if (!res.headersSent) res.status(500).json({ error: e.message }); }
 });
 
@@ -0,0 +1,99 @@
+const { DEFAULT_LIBRARY_ID, normalizeLibrary } = require('../lib/libraries');
+
+module.exports = function createLibraryRoutes(ctx) {
+  const router = require('express').Router();
+  const {
+  fs,
+  requireAuth,
+  appendLog,
+  writeJson,
+  users,
+  usersFile,
+  libraryRegistry,
+  restartLibraryWatchers,
+  sanitizeMetadataProviderOrder,
+  auditLog
+} = ctx;
+
+  const sessionUser = (req) => (req.session && req.session.username ? req.session.username : null);
+
+  // Input paths must be readable directories when a library is saved, not only when it is scanned
+  function checkInputPath(library) {
+    try {
+      if (!fs.existsSync(library.scan_input_path)) return 'scan_input_path does not exist';
+      if (!fs.statSync(library.scan_input_path).isDirectory()) return 'scan_input_path is not a directory';
+    } catch (e) { return `scan_input_path is not usable: ${e.message}`; }
+    return null;
+  }
+
+  function saveLibraries(username, libraries) {
+    users[username] = users[username] || {};
+    users[username].settings = users[username].settings || {};
+    users[username].settings.libraries = libraries;
+    writeJson(usersFile, users);
+    restartLibraryWatchers(username);
+  }
+
+  // The user's libraries; `local` is the scan input path from settings and is edited there
+  router.get('/api/libraries', requireAuth, (req, res) => {
+  try {
+    res.json(libraryRegistry.list(sessionUser(req)).map(lib => Object.assign({ canonicalPath: lib.scan_input_path }, lib)));
+  } catch (e) { res.status(500).json({ error: e.message }) }
+});
+
+router.post('/api/libraries', requireAuth, (req, res) => {
+  try {
+    const username = sessionUser(req);
+    if (!username) return res.status(401).json({ error: 'unauthenticated' });
+    const stored = libraryRegistry.stored(username);
+    let library;
+    try {
+      library = normalizeLibrary(req.body, null, { takenIds: stored.map(l => l.id), sanitizeProviderOrder: sanitizeMetadataProviderOrder });
+    } catch (e) { return res.status(400).json({ error: e.message }) }
+    const pathError = checkInputPath(library);
+    if (pathError) return res.status(400).json({ error: pathError, path: library.scan_input_path });
+    saveLibraries(username, stored.concat([library]));
+    appendLog(`LIBRARY_CREATED user=${username} id=${library.id} path=${library.scan_input_path}`);
+    auditLog.record(req, 'library.create', { target: library.id, details: { path: library.scan_input_path } });
+    res.status(201).json(library);
+  } catch (e) { res.status(500).json({ error: e.message }) }
+});
+
+router.put('/api/libraries/:id', requireAuth, (req, res) => {
+  try {
+    const username = sessionUser(req);
+    const id = String(req.params.id);
+    if (id === DEFAULT_LIBRARY_ID) return res.status(400).json({ error: 'the local library follows scan_input_path; change it in settings' });
+    const stored = libraryRegistry.stored(username);
+    const existing = stored.find(l => l.id === id);
+    if (!existing) return res.status(404).json({ error: 'library not found' });
+    let library;
+    try {
+      // Overrides sent as null or '' are dropped, so the user's setting applies again
+      library = normalizeLibrary(req.body, existing, { sanitizeProviderOrder: sanitizeMetadataProviderOrder });
+    } catch (e) { return res.status(400).json({ error: e.message }) }
+    const pathError = checkInputPath(library);
+    if (pathError) return res.status(400).json({ error: pathError, path: library.scan_input_path });
+    saveLibraries(username, stored.map(l => (l.id === id ? library : l)));
+    appendLog(`LIBRARY_UPDATED user=${username} id=${id} keys=${Object.keys(req.body || {}).join(',')}`);
+    auditLog.record(req, 'library.update', { target: id, details: { keys: Object.keys(req.body || {}) } });
+    res.json(library);
+  } catch (e) { res.status(500).json({ error: e.message }) }
+});
+
+// Scans already tagged with the library stay until pruned; files on disk are not touched
+router.delete('/api/libraries/:id', requireAuth, (req, res) => {
+  try {
+    const username = sessionUser(req);
+    const id = String(req.params.id);
+    const stored = libraryRegistry.stored(username);
+    if (!stored.some(l => l.id === id)) return res.status(404).json({ error: 'library not found' });
+    saveLibraries(username, stored.filter(l => l.id !== id));
+    appendLog(`LIBRARY_DELETED user=${username} id=${id}`);
+    auditLog.record(req, 'library.delete', { target: id });
+    res.json({ ok: true, id });
+  } catch (e) { res.status(500).json({ error: e.message }) }
+});
+
+  return router;
+};
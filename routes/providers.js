@@ -0,0 +1,47 @@
+module.exports = function createProviderRoutes(ctx) {
+  const router = require('express').Router();
+  const {
+  requireAuth,
+  requireAdmin,
+  appendLog,
+  providerRegistry,
+  resolveMetadataProviderOrder,
+  DEFAULT_METADATA_PROVIDER_ORDER
+} = ctx;
+
+  const sessionUser = (req) => (req.session && req.session.username ? req.session.username : null);
+
+  // Installed providers with their credential fields; Settings renders its forms from this
+  router.get('/api/providers', requireAuth, (req, res) => {
+  try {
+    const username = sessionUser(req);
+    res.json({
+      providers: providerRegistry.describe(username),
+      order: resolveMetadataProviderOrder(username),
+      defaultOrder: DEFAULT_METADATA_PROVIDER_ORDER
+    });
+  } catch (e) { res.status(500).json({ error: e.message }) }
+});
+
+// Quick check that a provider answers with the caller's credentials
+router.get('/api/providers/:id/search', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const id = String(req.params.id || '').toLowerCase();
+    if (!providerRegistry.has(id)) return res.status(404).json({ error: 'unknown provider' });
+    const query = String(req.query.q || '').trim();
+    if (!query) return res.status(400).json({ error: 'q is required' });
+    const username = sessionUser(req);
+    const missing = providerRegistry.missingCredentials(id, username);
+    if (missing.length) return res.status(400).json({ error: 'missing credentials', missing });
+    const results = await providerRegistry.call(id, 'searchSeries', { query, limit: 10 }, { username });
+    if (results === null) return res.status(400).json({ error: 'provider does not support search' });
+    appendLog(`PROVIDER_SEARCH id=${id} user=${username} q=${query} results=${results.length}`);
+    res.json({ provider: id, results: results.map(r => ({ id: r.id, title: r.title, year: r.year || null })) });
+  } catch (e) {
+    appendLog(`PROVIDER_SEARCH_FAIL id=${req.params.id} err=${e && e.message ? e.message : String(e)}`);
+    res.status(502).json({ error: e.message });
+  }
+});
+
+  return router;
+};
@@ -1,6 +1,14 @@
 const buildPlanGenerator = require('../lib/plan');
+const buildBatchApplier = require('../lib/apply');
+const buildSidecarWriter = require('../lib/nfo');
+const { selectApplyMode, normalizeApplyMode, OP_STATUS } = require('../lib/file-ops');
+const { renderTemplate, renderFolderTemplate, validateTemplate, selectTemplates, TEMPLATE_TOKENS } = require('../lib/rename-template');
+const { normalizeKeeperRules, suggestKeeper, KEEPER_CRITERIA, ACTIONS: DUPLICATE_ACTIONS } = require('../lib/duplicates');
+const { parseQuery } = require('../lib/search-index');
 module.exports = function createRenameRoutes(ctx) {
   const generatePlanForItem = buildPlanGenerator(ctx);
+  const { applyBatch } = buildBatchApplier(ctx);
+  const { writeSidecars } = buildSidecarWriter(ctx);
   const router = require('express').Router();
   const {
   app,
@@ -21,18 +29,27 @@ module.exports = function createRenameRoutes(ctx) {
   appendLog,
   writeJson,
   persistEnrichCacheNow,
+  integrityChecker,
+  preflightChecker,
+  auditLog,
   healCachedEnglishAndMovieFlags,
   canonicalize,
   extractProviderRaw,
   cloneProviderRaw,
   renderProviderName,
   updateEnrichCache,
-  normalizeEnrichEntry,
   externalEnrich,
   performUnapprove,
   isProviderComplete,
   resolveMetadataProviderOrder,
-  normalizeForCache
+  resolveApplyAtomicSetting,
+  resolveNfoSidecarsSetting,
+  resolveArtworkSidecarsSetting,
+  broadcastEvent,
+  duplicateResolver,
+  libraryRegistry,
+  searchIndex,
+  settingsFile
 } = ctx;
 
   router.post('/api/rename/preview', requireAuth, async (req, res) => {
@@ -58,6 +75,14 @@ module.exports = function createRenameRoutes(ctx) {
   } catch (e) {
     effectiveOutput = outputPath || (serverSettings && serverSettings.scan_output_path) || '';
   }
+  // The client echoes the saved output path on every preview; only a different folder is an explicit
+  // choice that overrides library output folders
+  let explicitOutput = false;
+  try {
+    const sessionUser = req.session && req.session.username;
+    const saved = sessionUser && users[sessionUser] && users[sessionUser].settings && users[sessionUser].settings.scan_output_path;
+    explicitOutput = !!outputPath && (!saved || canonicalize(outputPath) !== canonicalize(saved));
+  } catch (e) { explicitOutput = !!outputPath; }
   try { appendLog(`PREVIEW_EFFECTIVE_OUTPUT user=${req.session && req.session.username ? req.session.username : ''} effectiveOutput=${effectiveOutput || ''}`); } catch (e) {}
   
   // Enrich items on-demand if not already enriched (fixes issue where items beyond first 12 lack metadata)
@@ -98,7 +123,7 @@ module.exports = function createRenameRoutes(ctx) {
       try {
         // When previewing/enriching items on-demand, if AniDB is the user's primary
         // metadata provider, prefer forcing hash so AniDB results are authoritative.
-        const _previewProviderOrder = resolveMetadataProviderOrder(username);
+        const _previewProviderOrder = resolveMetadataProviderOrder(username, fromPath);
         const _previewForceHash = (_previewProviderOrder && _previewProviderOrder.length && _previewProviderOrder[0] === 'anidb');
         const _previewOpts = Object.assign({}, { username });
         if (_previewForceHash) _previewOpts.forceHash = true;
@@ -139,7 +164,7 @@ module.exports = function createRenameRoutes(ctx) {
   // Wait for all enrichments to complete
   await Promise.all(enrichPromises);
 
-  const plans = items.map(it => generatePlanForItem(it, { username, effectiveOutput, applyFilenameAsTitle, template })).filter(Boolean);
+  const plans = items.map(it => generatePlanForItem(it, { username, effectiveOutput, applyFilenameAsTitle, template, explicitOutput })).filter(Boolean);
   // DEBUG: persist a compact preview plan summary to logs for diagnostic purposes
   try {
     const uname = username || '<anon>';
@@ -150,12 +175,60 @@ module.exports = function createRenameRoutes(ctx) {
   // Ensure any side-effect updates (English titles, movie flags) are persisted immediately
   try { persistEnrichCacheNow(); } catch (e) {}
 
-  res.json({ plans });
+  // Filesystem problems apply would hit are reported with the preview, before anything is written
+  let preflight = null;
+  try { preflight = preflightChecker.check(plans, { username }); } catch (e) { appendLog(`PREFLIGHT_FAIL user=${username || ''} err=${e.message}`); }
+
+  res.json({ plans, preflight });
+});
+
+// Re-check plans the client already holds, e.g. after freeing space or fixing permissions
+router.post('/api/rename/preflight', requireAuth, (req, res) => {
+  try {
+    const { plans } = req.body || {};
+    if (!Array.isArray(plans)) return res.status(400).json({ error: 'plans array required' });
+    const username = req.session && req.session.username ? req.session.username : null;
+    res.json(preflightChecker.check(plans, { username }));
+  } catch (e) { res.status(500).json({ error: e.message }) }
+});
+
+// Render a template against sample data so the settings page can show a live preview
+router.post('/api/rename/template-preview', requireAuth, (req, res) => {
+  try {
+    const { template, folderTemplate } = req.body || {};
+    const sample = {
+      title: 'Example Show',
+      basename: 'Example.Show.S01E02.1080p',
+      year: '2024',
+      epLabel: 'S01E02',
+      episodeTitle: 'Pilot',
+      season: '1',
+      episode: '2',
+      episodeRange: '',
+      tmdbId: '12345',
+      seriesFolder: 'Example Show',
+      seasonFolder: 'Season 01',
+      releaseGroup: 'SubsPlease',
+      resolution: '1080p',
+      codec: 'HEVC',
+      audioCodec: 'AAC',
+      source: 'WEB-DL',
+      crc32: 'ABCD1234',
+      version: 'v2',
+      dualAudio: '',
+      languages: 'ENG'
+    };
+    const name = template ? renderTemplate(template, sample).replace(/\s{2,}/g, ' ').trim() : '';
+    const folder = folderTemplate ? renderFolderTemplate(folderTemplate, sample).join('/') : '';
+    const errors = [].concat(template ? validateTemplate(template) : [], folderTemplate ? validateTemplate(folderTemplate) : []);
+    res.json({ name, folder, errors, tokens: TEMPLATE_TOKENS });
+  } catch (e) { res.status(500).json({ error: e.message }) }
 });
 
 router.post('/api/rename/apply', requireAuth, async (req, res) => {
-  const { plans, dryRun, outputFolder } = req.body || {};
+  const { plans, dryRun, outputFolder, template, useFilenameAsTitle } = req.body || {};
   if (!plans || !Array.isArray(plans)) return res.status(400).json({ error: 'plans required' });
+  const applyFilenameAsTitle = coerceBoolean(useFilenameAsTitle);
 
   // Diagnostic: dump the incoming plans payload
   try {
@@ -166,23 +239,13 @@ router.post('/api/rename/apply', requireAuth, async (req, res) => {
 
   try { healCachedEnglishAndMovieFlags(); } catch (e) {}
 
-  const results = [];
-  const sleep = (ms) => new Promise(r => setTimeout(r, ms));
-
-  // Helper to ensure directory exists with retries
-  const ensureDir = async (dir) => {
-    if (fs.existsSync(dir)) return;
-    try {
-      fs.mkdirSync(dir, { recursive: true });
-    } catch (e) {
-      // retry once after delay
-      await sleep(50);
-      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-    }
-  };
+  const username = req.session && req.session.username ? req.session.username : null;
+  const atomic = (req.body && req.body.atomic !== undefined) ? coerceBoolean(req.body.atomic) : resolveApplyAtomicSetting(username);
+  const ignoreIntegrity = coerceBoolean(req.body && req.body.ignoreIntegrity);
+  const entries = [];
+  const resolveErrors = [];
 
   for (const p of plans) {
-    const resultItem = { itemId: p.itemId, status: 'pending' };
     try {
       const fromPath = path.resolve(p.fromPath);
       
@@ -192,14 +255,27 @@ router.post('/api/rename/apply', requireAuth, async (req, res) => {
       }
       
       let toPath = path.resolve(p.toPath);
+      let op = normalizeApplyMode(p.actions && p.actions[0] && p.actions[0].op) || 'hardlink';
 
       // If an explicit output folder override was provided (e.g. via "Apply to..." UI),
       // re-base the target path to be inside that folder, preserving the folder structure
       // (series folder, season folder) from the preview.
+      // Output folders with their own templates need the plan re-rendered rather than re-based.
+      const folderTemplates = (outputFolder && typeof outputFolder === 'string')
+        ? selectTemplates({ username, users, serverSettings, effectiveOutput: outputFolder, canonicalize })
+        : null;
+      const regenerated = (folderTemplates && folderTemplates.outputFolder && (folderTemplates.fileTemplateFromOutput || folderTemplates.outputFolder.folder_template))
+        ? generatePlanForItem({ id: p.itemId, canonicalPath: p.fromPath }, { username, effectiveOutput: canonicalize(outputFolder), applyFilenameAsTitle, template, explicitOutput: true })
+        : null;
       if (outputFolder && typeof outputFolder === 'string') {
+        const library = libraryRegistry && username ? libraryRegistry.forPath(username, p.fromPath) : null;
+        op = selectApplyMode({ username, users, serverSettings, effectiveOutput: outputFolder, canonicalize, library });
+      }
+      if (regenerated && regenerated.toPath) {
+        toPath = path.resolve(regenerated.toPath);
+      } else if (outputFolder && typeof outputFolder === 'string') {
         // Extract the relative path from the original preview by finding the portion
         // after the configured output path. This preserves Series/Season folder structure.
-        const username = req.session && req.session.username ? req.session.username : null;
         const userOutput = username && users[username] && users[username].settings && users[username].settings.scan_output_path 
           ? users[username].settings.scan_output_path 
           : null;
@@ -221,102 +297,57 @@ router.post('/api/rename/apply', requireAuth, async (req, res) => {
         toPath = path.join(outputFolder, relativePath);
       }
 
-      // Validation
-      if (fromPath === toPath) {
-        resultItem.status = 'noop';
-        results.push(resultItem);
-        continue;
-      }
-
-      if (!fs.existsSync(fromPath)) {
-        resultItem.status = 'error';
-        resultItem.error = 'Source file not found';
-        results.push(resultItem);
-        continue;
-      }
-
-      if (!dryRun) {
-        const parentDir = path.dirname(toPath);
-        await ensureDir(parentDir);
-
-        if (fs.existsSync(toPath)) {
-          resultItem.status = 'exists';
-          resultItem.to = toPath;
-        } else {
-          // Hardlink with retry for "fails first time" issues
-          let linked = false;
-          let lastErr = null;
-          for (let attempt = 0; attempt < 3; attempt++) {
-            try {
-              fs.linkSync(fromPath, toPath);
-              linked = true;
-              break;
-            } catch (err) {
-              lastErr = err;
-              if (err.code === 'EEXIST') {
-                linked = true; // effectively success
-                break;
-              }
-              // Wait and retry
-              await sleep(100 * (attempt + 1));
-            }
-          }
-
-          if (!linked) {
-            throw lastErr || new Error('Hardlink failed after retries');
-          }
-
-          resultItem.status = 'hardlinked';
-          resultItem.to = toPath;
-          appendLog(`HARDLINK_SUCCESS from=${fromPath} to=${toPath}`);
-
-          // Update Cache/DB
-          try {
-            const fromKey = canonicalize(fromPath);
-            enrichCache[fromKey] = enrichCache[fromKey] || {};
-            enrichCache[fromKey].applied = true;
-            enrichCache[fromKey].hidden = true;
-            enrichCache[fromKey].appliedAt = Date.now();
-            enrichCache[fromKey].appliedTo = toPath;
-            
-            const finalBasename = path.basename(toPath);
-            enrichCache[fromKey].renderedName = finalBasename;
-            enrichCache[fromKey].metadataFilename = finalBasename.replace(path.extname(finalBasename), '');
-
-            // Update renderedIndex
-            const targetKey = canonicalize(toPath);
-            renderedIndex[targetKey] = {
-                source: fromPath,
-                renderedName: finalBasename,
-                appliedTo: toPath,
-                metadataFilename: enrichCache[fromKey].metadataFilename,
-                provider: enrichCache[fromKey].provider || null,
-                parsed: enrichCache[fromKey].parsed || null
-            };
-            
-            // Persist immediately to avoid data loss
-            if (db) {
-                db.setKV('enrichCache', enrichCache);
-                db.setKV('renderedIndex', renderedIndex);
-            }
-          } catch (dbErr) {
-            appendLog(`DB_UPDATE_FAIL ${dbErr.message}`);
-          }
-        }
-      } else {
-        resultItem.status = 'dry-run';
-        resultItem.to = toPath;
-      }
-      results.push(resultItem);
-
+      entries.push({ itemId: p.itemId, fromPath, toPath, op, planIndex: resolveErrors.length + entries.length });
     } catch (e) {
-      resultItem.status = 'error';
-      resultItem.error = e.message;
       appendLog(`APPLY_ERROR item=${p.itemId} err=${e.message}`);
-      results.push(resultItem);
+      resolveErrors.push({ itemId: p.itemId, status: 'error', error: e.message, planIndex: resolveErrors.length + entries.length });
     }
   }
 
+  let results;
+  let batchId = null;
+  let batchStatus = null;
+  if (dryRun) {
+    results = entries.map(e => {
+      const blocked = !ignoreIntegrity && integrityChecker && e.fromPath !== e.toPath ? integrityChecker.blockReason(e.fromPath) : null;
+      if (blocked && fs.existsSync(e.fromPath)) return { itemId: e.itemId, status: 'error', error: blocked, blocked: 'integrity', op: e.op, to: e.toPath };
+      return {
+        itemId: e.itemId,
+        status: e.fromPath === e.toPath ? 'noop' : (fs.existsSync(e.fromPath) ? 'dry-run' : 'error'),
+        error: fs.existsSync(e.fromPath) ? undefined : 'Source file not found',
+        op: e.op,
+        to: e.toPath
+      };
+    });
+  } else if (atomic && resolveErrors.length) {
+    batchStatus = 'aborted';
+    results = entries.map(e => ({ itemId: e.itemId, status: 'skipped', error: 'Batch aborted: another item failed validation' }));
+  } else {
+    const outcome = await applyBatch(entries, {
+      username,
+      atomic,
+      ignoreIntegrity,
+      actionType: 'apply',
+      onProgress: (progress) => { try { broadcastEvent('apply_progress', progress); } catch (e) {} },
+      onItemDone: async ({ entry }) => {
+        const nfo = resolveNfoSidecarsSetting(username);
+        const artwork = resolveArtworkSidecarsSetting(username);
+        if (!nfo && !artwork) return;
+        try { await writeSidecars({ fromPath: entry.fromPath, toPath: entry.toPath, username, nfo, artwork }); } catch (e) {
+          appendLog(`SIDECAR_WRITE_FAIL to=${entry.toPath} err=${e && e.message ? e.message : String(e)}`);
+        }
+      }
+    });
+    results = outcome.results;
+    batchId = outcome.batchId;
+    batchStatus = outcome.status;
+  }
+  // Keep results in plan order; the client falls back to index matching when itemId is missing
+  const ordered = new Array(plans.length);
+  entries.forEach((e, i) => { ordered[e.planIndex] = results[i]; });
+  for (const r of resolveErrors) { ordered[r.planIndex] = r; delete r.planIndex; }
+  results = ordered.filter(Boolean);
+
   // Final bulk save if no DB
   if (!db) {
       try { writeJson(enrichStoreFile, enrichCache); } catch (e) {}
@@ -332,7 +363,7 @@ router.post('/api/rename/apply', requireAuth, async (req, res) => {
     let removedFromScans = 0;
     const appliedPaths = new Set(plans.filter(p => {
       const r = results.find(res => res.itemId === p.itemId);
-      return r && r.status === 'hardlinked';
+      return r && r.op && r.status === OP_STATUS[r.op];
     }).map(p => canonicalize(p.fromPath)));
 
     if (appliedPaths.size > 0) {
@@ -370,7 +401,13 @@ router.post('/api/rename/apply', requireAuth, async (req, res) => {
     appendLog(`APPLY_SCAN_FILTER_FAIL err=${e && e.message ? e.message : String(e)}`);
   }
 
-  res.json({ results });
+  const applied = buildBatchApplier.appliedItems(results);
+  if (applied.length) {
+    try { broadcastEvent('items_applied', { source: 'apply', batchId, username, count: applied.length, items: applied }); } catch (e) {}
+  }
+  if (!dryRun) auditLog.record(req, 'rename.apply', { target: batchId, details: { plans: plans.length, applied: applied.length, status: batchStatus, outputFolder: outputFolder || null } });
+
+  res.json({ results, batchId, batchStatus });
 });
 
 router.post('/api/rename/unapprove', requireAuth, requireAdmin, (req, res) => {
@@ -387,26 +424,25 @@ router.post('/api/rename/unapprove', requireAuth, requireAdmin, (req, res) => {
     const { changed, deletedHardlinks, hardlinkErrors, shouldDeleteHardlinks } = performUnapprove({ requestedPaths, count, username });
 
     appendLog(`UNAPPROVE count=${changed.length} deleteHardlinks=${shouldDeleteHardlinks ? 'yes' : 'no'} removed=${deletedHardlinks.length}`);
+    // Unapproving also unhides, so this is the audit trail for unhide too
+    auditLog.record(req, 'rename.unapprove', { details: { paths: changed, deletedHardlinks: deletedHardlinks.length } });
+    if (changed.length) {
+      try { broadcastEvent('items_unapproved', { source: 'unapprove', username, count: changed.length, paths: changed, removed: deletedHardlinks }); } catch (e) {}
+    }
     res.json({ ok: true, unapproved: changed, deletedHardlinks, hardlinkErrors });
   } catch (e) { res.status(500).json({ error: e.message }) }
 });
 
+// Applied and hidden entries, newest first; `q` searches them like the main list, best match first
 router.get('/api/rename/hidden', requireAuth, requireAdmin, (req, res) => {
   try {
-    const items = []
-    const entries = enrichCache || {}
-    for (const key of Object.keys(entries)) {
-      const entry = entries[key]
-      if (!entry) continue
-      const hidden = entry.hidden === true
-      const applied = entry.applied === true
-      if (!hidden && !applied) continue
+    const toItem = (key, entry) => {
       const provider = entry.provider || {}
       const parsed = entry.parsed || {}
-      items.push({
+      return {
         path: key,
-        hidden,
-        applied,
+        hidden: entry.hidden === true,
+        applied: entry.applied === true,
         appliedAt: entry.appliedAt || null,
         appliedTo: entry.appliedTo || null,
         providerTitle: provider.renderedName || provider.title || null,
@@ -414,7 +450,29 @@ router.get('/api/rename/hidden', requireAuth, requireAdmin, (req, res) => {
         providerEpisodeTitle: provider.episodeTitle || null,
         parsedTitle: parsed.parsedName || parsed.title || null,
         basename: path.basename(key)
-      })
+      }
+    }
+    const isHiddenOrApplied = (entry) => !!entry && (entry.hidden === true || entry.applied === true)
+    const entries = enrichCache || {}
+    const q = String(req.query.q || '').trim()
+
+    if (q && searchIndex && searchIndex.available()) {
+      let query
+      try { query = parseQuery(q) } catch (e) { return res.status(400).json({ error: e.message }) }
+      const limit = Math.min(parseInt(req.query.limit || '1000', 10) || 1000, 5000)
+      const { total, hits } = searchIndex.search(query, { include: (key, entry) => isHiddenOrApplied(entry), limit })
+      const items = hits.map(h => Object.assign(toItem(h.path, entries[h.path]), { score: h.score, highlights: h.highlights }))
+      return res.json({ items, total })
+    }
+
+    const needle = q.toLowerCase()
+    const items = []
+    for (const key of Object.keys(entries)) {
+      const entry = entries[key]
+      if (!isHiddenOrApplied(entry)) continue
+      const item = toItem(key, entry)
+      if (needle && ![item.path, item.providerTitle, item.parsedTitle].some(v => v && String(v).toLowerCase().includes(needle))) continue
+      items.push(item)
     }
     items.sort((a, b) => {
       const aKey = a.appliedAt || 0
@@ -422,7 +480,7 @@ router.get('/api/rename/hidden', requireAuth, requireAdmin, (req, res) => {
       if (aKey !== bKey) return bKey - aKey
       return a.path.localeCompare(b.path)
     })
-    res.json({ items })
+    res.json({ items, total: items.length })
   } catch (e) {
     try { appendLog(`RENAME_HIDDEN_LIST_FAIL err=${e && e.message ? e.message : String(e)}`) } catch (ee) {}
     res.status(500).json({ error: e && e.message ? e.message : String(e) })
@@ -431,106 +489,76 @@ router.get('/api/rename/hidden', requireAuth, requireAdmin, (req, res) => {
 
 router.get('/api/rename/duplicates', requireAuth, requireAdmin, (req, res) => {
   try {
-    const groupsByPreview = new Map();
-    const groupsByHash = new Map();
-    const groupsByMetadata = new Map();
-
-    const derivePreviewName = (key, entry) => {
-      try {
-        const normalized = normalizeEnrichEntry(entry || {}) || {};
-        if (normalized.provider && normalized.provider.renderedName) return normalized.provider.renderedName;
-        if (entry && entry.renderedName) return entry.renderedName;
-        // Do not fall back to parsed names here; duplicates should be based on provider-rendered previews only
-        return path.basename(key);
-      } catch (e) { return path.basename(key); }
-    };
+    const groups = duplicateResolver.findGroups();
+    res.json({ groups, total: groups.length, generatedAt: Date.now() });
+  } catch (e) {
+    try { appendLog(`DUPLICATES_LIST_FAIL err=${e && e.message ? e.message : String(e)}`); } catch (ee) {}
+    res.status(500).json({ error: e && e.message ? e.message : String(e) });
+  }
+})
 
-    const deriveMetadataKey = (entry) => {
-      try {
-        const normalized = normalizeEnrichEntry(entry || {}) || {};
-        const seriesTitle = normalized.seriesTitleExact || normalized.seriesTitle || normalized.title || null;
-        const season = normalized.season != null ? normalized.season : null;
-        const episode = normalized.episode != null ? normalized.episode : null;
-        if (!seriesTitle || season == null || episode == null) return null;
-        const seriesNorm = normalizeForCache(seriesTitle);
-        return `${seriesNorm}::S${String(season).padStart(2,'0')}E${String(episode).padStart(2,'0')}`;
-      } catch (e) { return null; }
-    };
+router.post('/api/rename/duplicates/inspect', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const paths = Array.isArray(req.body && req.body.paths) ? [...new Set(req.body.paths.map(p => canonicalize(p)).filter(Boolean))] : [];
+    if (paths.length < 2) return res.status(400).json({ error: 'at least two paths are required' });
+    if (paths.length > 20) return res.status(400).json({ error: 'at most 20 paths can be inspected at once' });
+    const files = await duplicateResolver.inspect(paths);
+    const suggestion = suggestKeeper(paths.map(p => duplicateResolver.rankingInput(p, files[p])), duplicateResolver.keeperRules());
+    res.json({ files, suggestedKeeper: suggestion ? suggestion.keeper : null, keeperReason: suggestion ? suggestion.reason : null });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
 
-    const resolveHash = (key, entry) => {
-      let h = null;
-      try {
-        if (db) {
-          try {
-            const st = fs.existsSync(key) ? fs.statSync(key) : null;
-            h = db.getEd2kHash(key, st ? st.size : null) || null;
-          } catch (e) {}
-        }
-        if (!h && entry && entry.provider && entry.provider.raw && entry.provider.raw.ed2k) {
-          h = entry.provider.raw.ed2k;
-        }
-      } catch (e) { h = null; }
-      return h;
-    };
+router.post('/api/rename/duplicates/resolve', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const username = req.session && req.session.username ? req.session.username : null;
+    const { keep, losers, action } = req.body || {};
+    if (!keep || !Array.isArray(losers) || !losers.length) return res.status(400).json({ error: 'keep and losers are required' });
+    if (!DUPLICATE_ACTIONS.includes(action)) return res.status(400).json({ error: `action must be one of ${DUPLICATE_ACTIONS.join(', ')}` });
+    let outcome;
+    try {
+      outcome = duplicateResolver.resolve({ keep, losers, action, username });
+    } catch (e) { return res.status(400).json({ error: e.message }) }
+    auditLog.record(req, 'duplicates.resolve', { target: keep, details: { action, losers, batchId: outcome.batchId || null } });
+    res.json({ ok: outcome.results.every(r => r.ok), ...outcome });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
 
-    const addItem = (map, groupKey, meta, ctx = {}) => {
-      if (!groupKey) return;
-      if (!map.has(groupKey)) map.set(groupKey, { key: groupKey, items: [], ...ctx });
-      const group = map.get(groupKey);
-      if (ctx.previewName && !group.previewName) group.previewName = ctx.previewName;
-      if (ctx.previewKey && !group.previewKey) group.previewKey = ctx.previewKey;
-      group.items.push(meta);
-    };
+router.get('/api/rename/duplicates/resolutions', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    res.json({ resolutions: duplicateResolver.recentResolutions(limit) });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
 
-    for (const key of Object.keys(enrichCache || {})) {
-      const entry = enrichCache[key];
-      if (!entry) continue;
-      const previewNameRaw = derivePreviewName(key, entry);
-      const previewKey = previewNameRaw ? previewNameRaw.toLowerCase() : null;
-      const metadataKey = deriveMetadataKey(entry);
-      const hash = resolveHash(key, entry);
-      const parsed = entry.parsed || {};
-      const provider = entry.provider || {};
-      const meta = {
-        path: key,
-        basename: path.basename(key),
-        previewName: previewNameRaw || null,
-        applied: entry.applied === true,
-        hidden: entry.hidden === true,
-        appliedTo: entry.appliedTo || null,
-        appliedAt: entry.appliedAt || null,
-        providerTitle: provider.renderedName || provider.title || null,
-        parsedTitle: parsed.parsedName || parsed.title || null
-      };
+router.post('/api/rename/duplicates/undo', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const username = req.session && req.session.username ? req.session.username : null;
+    const batchId = req.body && req.body.batchId ? String(req.body.batchId) : null;
+    if (!batchId) return res.status(400).json({ error: 'batchId is required' });
+    const outcome = await duplicateResolver.undoBatch(batchId, username);
+    if (!outcome) return res.status(404).json({ error: 'resolution not found' });
+    auditLog.record(req, 'duplicates.undo', { target: batchId, details: { errors: outcome.errors.length } });
+    res.json({ ok: !outcome.errors.length, batchId, ...outcome });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
 
-      if (previewKey) addItem(groupsByPreview, previewKey, meta, { previewName: previewNameRaw || null, previewKey });
-      if (hash) addItem(groupsByHash, hash, meta, { previewName: previewNameRaw || null });
-      if (metadataKey) addItem(groupsByMetadata, metadataKey, meta, { previewName: previewNameRaw || null });
-    }
+router.get('/api/rename/duplicates/rules', requireAuth, requireAdmin, (req, res) => {
+  try {
+    res.json({ rules: duplicateResolver.keeperRules(), criteria: KEEPER_CRITERIA });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
 
-    const previewGroups = Array.from(groupsByPreview.values())
-      .map((v) => ({
-        groupType: 'preview',
-        previewName: v.previewName || v.items[0]?.previewName || v.previewKey || v.key,
-        previewKey: v.previewKey || v.key,
-        items: v.items
-      }))
-      .filter(g => g.items.length > 1);
-    const hashGroups = Array.from(groupsByHash.entries())
-      .map(([k, v]) => ({ groupType: 'hash', hash: k, previewName: v.items[0]?.previewName || null, items: v.items }))
-      .filter(g => g.items.length > 1);
-    const metadataGroups = Array.from(groupsByMetadata.entries())
-      .map(([k, v]) => ({ groupType: 'metadata', metadataKey: k, previewName: v.items[0]?.previewName || null, items: v.items }))
-      .filter(g => g.items.length > 1);
-
-    const deduped = [...previewGroups, ...hashGroups, ...metadataGroups];
-    deduped.sort((a, b) => b.items.length - a.items.length || (a.previewName || '').localeCompare(b.previewName || ''));
-    res.json({ groups: deduped, total: deduped.length, generatedAt: Date.now() });
-  } catch (e) {
-    try { appendLog(`DUPLICATES_LIST_FAIL err=${e && e.message ? e.message : String(e)}`); } catch (ee) {}
-    res.status(500).json({ error: e && e.message ? e.message : String(e) });
-  }
-})
+router.put('/api/rename/duplicates/rules', requireAuth, requireAdmin, (req, res) => {
+  try {
+    let rules;
+    try { rules = normalizeKeeperRules(req.body ? req.body.rules : null); } catch (e) { return res.status(400).json({ error: e.message }); }
+    serverSettings.duplicate_keeper_rules = rules;
+    writeJson(settingsFile, serverSettings);
+    appendLog(`DUPLICATE_RULES_SAVED by=${req.session && req.session.username} order=${rules.order.join(',')}`);
+    auditLog.record(req, 'settings.duplicate_rules', { details: { order: rules.order } });
+    res.json({ ok: true, rules });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
 
   return router;
 };
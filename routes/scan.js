@@ -1,3 +1,6 @@
+const { DEFAULT_LIBRARY_ID } = require('../lib/libraries');
+const { parseQuery } = require('../lib/search-index');
+
 module.exports = function createScanRoutes(ctx) {
   const router = require('express').Router();
   const {
@@ -8,7 +11,8 @@ module.exports = function createScanRoutes(ctx) {
   enrichStoreFile,
   parsedCacheFile,
   scanStoreFile,
-  scanCacheFile,
+  scanCacheFileFor,
+  libraryRegistry,
   renderedIndexFile,
   serverSettings,
   users,
@@ -24,6 +28,7 @@ module.exports = function createScanRoutes(ctx) {
   requireAdmin,
   coerceBoolean,
   appendLog,
+  broadcastEvent,
   writeJson,
   canonicalize,
   doProcessParsedItem,
@@ -41,9 +46,18 @@ module.exports = function createScanRoutes(ctx) {
   updateEnrichCacheInMemory,
   bgEnrichPaused: _bgEnrichPaused,
   resumeBgEnrich,
-  isProviderComplete
+  isProviderComplete,
+  autoApplier,
+  integrityChecker,
+  auditLog,
+  searchIndex
 } = ctx;
 
+  // CRC32 verdicts (lib/integrity.js) on tagged items, so the list can flag corrupt files
+  const annotateIntegrity = (items) => {
+    try { return integrityChecker ? integrityChecker.annotate(items) : items; } catch (e) { return items; }
+  };
+
   // Local reference so mutations in backgroundEnrichAll can read the current value
   const isBgEnrichPaused = () => {
     try { return typeof ctx.isBgEnrichPaused === 'function' && ctx.isBgEnrichPaused(); } catch (e) { return false; }
@@ -135,20 +149,44 @@ module.exports = function createScanRoutes(ctx) {
 
     appendLog(`BACKGROUND_ENRICH_ALL_DONE scan=${scanId}`);
     try { activeScans.delete(lockKey); appendLog(`SCAN_LOCK_RELEASED path=${libPath}`); } catch (ee) {}
+    autoApplier.trigger(username, enrichCandidates, 'scan');
   };
 
-  router.get('/api/libraries', requireAuth, (req, res) => {
-    // Let user choose an existing folder under cwd or provide custom path via config later
-    res.json([{ id: 'local', name: 'Local folder', canonicalPath: path.resolve('.') }]);
-  });
+  // A named library from the request body; `local` (or none) means the user's scan input path
+  function requestedLibrary(req) {
+    const { libraryId } = req.body || {};
+    if (!libraryId || libraryId === DEFAULT_LIBRARY_ID) return { library: null };
+    const library = libraryRegistry.get(req.session && req.session.username, libraryId);
+    return library ? { library } : { error: `unknown library: ${libraryId}` };
+  }
+
+  // Keep the most recent scans of every library, so scanning one library never drops another's
+  function pruneScans(keep) {
+    const byLibrary = {};
+    for (const id of Object.keys(scans || {})) {
+      const lib = (scans[id] && scans[id].libraryId) || DEFAULT_LIBRARY_ID;
+      (byLibrary[lib] = byLibrary[lib] || []).push(id);
+    }
+    for (const ids of Object.values(byLibrary)) {
+      ids.sort((a, b) => Number((scans[b] && scans[b].generatedAt) || 0) - Number((scans[a] && scans[a].generatedAt) || 0));
+      for (const rid of ids.slice(keep)) {
+        try { delete scans[rid]; } catch (e) {}
+      }
+    }
+  }
 
 router.post('/api/scan', requireAuth, async (req, res) => {
-  const { libraryId, path: libraryPath } = req.body || {};
-  // Resolve chosen path in order: explicit request -> requesting user's per-user setting
+  const { path: libraryPath } = req.body || {};
+  const { library, error: libraryError } = requestedLibrary(req);
+  if (libraryError) return res.status(404).json({ error: libraryError });
+  const libraryId = library ? library.id : DEFAULT_LIBRARY_ID;
+  // Resolve chosen path in order: explicit request -> library -> requesting user's per-user setting
   // Do NOT fallback to a global server setting here; admins are regular users with extra privileges
   let libPath = null;
   if (libraryPath) {
     libPath = path.resolve(libraryPath);
+  } else if (library) {
+    libPath = path.resolve(library.scan_input_path);
   } else if (req.session && req.session.username && users[req.session.username] && users[req.session.username].settings && users[req.session.username].settings.scan_input_path) {
     libPath = path.resolve(users[req.session.username].settings.scan_input_path);
   } else {
@@ -164,7 +202,7 @@ router.post('/api/scan', requireAuth, async (req, res) => {
     appendLog(`SCAN_VALIDATION_ERROR path=${libPath} err=${err.message}`);
     return res.status(400).json({ error: 'invalid path', detail: err.message });
   }
-  appendLog(`SCAN_START library=${libraryId || 'local'} path=${libPath}`);
+  appendLog(`SCAN_START library=${libraryId} path=${libPath}`);
   // perform filesystem walk synchronously but non-blocking via promises
 
   // directories to skip during scan to avoid crawling node_modules and VCS folders
@@ -195,6 +233,7 @@ router.post('/api/scan', requireAuth, async (req, res) => {
 
   // Delegate scan helpers to lib/scan.js
   const scanLib = require('../lib/scan');
+  const scanCacheFile = scanCacheFileFor(libraryId);
   function loadScanCache() { return scanLib.loadScanCache(scanCacheFile); }
   function saveScanCache(obj) { return scanLib.saveScanCache(scanCacheFile, obj); }
 
@@ -309,32 +348,19 @@ router.post('/api/scan', requireAuth, async (req, res) => {
     // refresh metadata for new/changed items (toProcess). For full scans, use the
     // artifact items as before.
     const enrichCandidates = (Array.isArray(incrementalNewItems) && incrementalNewItems.length) ? incrementalNewItems : items;
-    const artifact = { id: scanId, libraryId: libraryId || 'local', totalCount: items.length, items, generatedAt: Date.now() };
+    const artifact = { id: scanId, libraryId, totalCount: items.length, items, generatedAt: Date.now() };
     scans[scanId] = artifact;
     // Persist scans and prune older scan artifacts so we keep only the two most recent scans.
     try {
       // write current set first including the new artifact
       if (db) db.saveScansObject(scans); else writeJson(scanStoreFile, scans);
-      // prune: keep only the most recent N scans (current + previous)
-      const KEEP = 2;
-      const allIds = Object.keys(scans || {});
-      if (allIds.length > KEEP) {
-        // sort ids by generatedAt desc (most recent first)
-        const sorted = allIds.map(id => ({ id, ts: (scans[id] && scans[id].generatedAt) ? Number(scans[id].generatedAt) : 0 }))
-          .sort((a, b) => b.ts - a.ts)
-          .map(x => x.id);
-        const toKeep = new Set(sorted.slice(0, KEEP));
-        const toRemove = sorted.slice(KEEP);
-        if (toRemove.length) {
-          for (const rid of toRemove) {
-            try { delete scans[rid]; } catch (e) {}
-          }
-        }
-      }
+      // prune: keep only the most recent N scans (current + previous) of each library
+      pruneScans(2);
     } catch (e) {
       try { appendLog(`SCAN_PERSIST_PRUNE_FAIL scan=${scanId} err=${e && e.message ? e.message : String(e)}`); } catch (ee) {}
     }
-    appendLog(`SCAN_COMPLETE id=${scanId} total=${items.length}`);
+    appendLog(`SCAN_COMPLETE id=${scanId} library=${libraryId} total=${items.length}`);
+    try { broadcastEvent('scan_completed', { scanId, kind: 'full', libraryId, totalCount: items.length, username: req.session && req.session.username ? req.session.username : null }); } catch (e) {}
     // Auto-sweep stale enrich cache entries after a scan completes
     try { const removed = sweepEnrichCache(); if (removed && removed.length) appendLog(`AUTOSWEEP_AFTER_SCAN removed=${removed.length}`); } catch (e) {}
     res.json({ scanId, totalCount: items.length });
@@ -351,9 +377,13 @@ router.post('/api/scan', requireAuth, async (req, res) => {
 });
 
 router.post('/api/scan/incremental', requireAuth, async (req, res) => {
-  const { libraryId, path: libraryPath } = req.body || {};
+  const { path: libraryPath } = req.body || {};
+  const { library, error: libraryError } = requestedLibrary(req);
+  if (libraryError) return res.status(404).json({ error: libraryError });
+  const libraryId = library ? library.id : DEFAULT_LIBRARY_ID;
   let libPath = null;
   if (libraryPath) libPath = path.resolve(libraryPath);
+  else if (library) libPath = path.resolve(library.scan_input_path);
   else if (req.session && req.session.username && users[req.session.username] && users[req.session.username].settings && users[req.session.username].settings.scan_input_path) libPath = path.resolve(users[req.session.username].settings.scan_input_path);
   if (!libPath) return res.status(400).json({ error: 'library path required' });
   try {
@@ -363,8 +393,9 @@ router.post('/api/scan/incremental', requireAuth, async (req, res) => {
     try { fs.accessSync(libPath, fs.constants.R_OK); } catch (accErr) { return res.status(400).json({ error: 'path is not readable', path: libPath, detail: accErr.message }); }
   } catch (err) { appendLog(`SCAN_VALIDATION_ERROR path=${libPath} err=${err.message}`); return res.status(400).json({ error: 'invalid path', detail: err.message }); }
 
-  appendLog(`INCREMENTAL_SCAN_START library=${libraryId || 'local'} path=${libPath}`);
+  appendLog(`INCREMENTAL_SCAN_START library=${libraryId} path=${libPath}`);
   const scanLib = require('../lib/scan');
+  const scanCacheFile = scanCacheFileFor(libraryId);
   function loadScanCache() { return scanLib.loadScanCache(scanCacheFile); }
   function saveScanCache(obj) { return scanLib.saveScanCache(scanCacheFile, obj); }
 
@@ -379,7 +410,7 @@ router.post('/api/scan/incremental', requireAuth, async (req, res) => {
     if ((!prior || !prior.files || Object.keys(prior.files).length === 0) && scans && Object.keys(scans || {}).length) {
       try {
         // pick the most recent scan by generatedAt
-        const allIds = Object.keys(scans || {}).map(k => scans[k]).filter(Boolean);
+        const allIds = Object.keys(scans || {}).map(k => scans[k]).filter(s => s && (s.libraryId || DEFAULT_LIBRARY_ID) === libraryId);
         allIds.sort((a,b) => (b.generatedAt || 0) - (a.generatedAt || 0));
         const recent = allIds[0];
         if (recent && Array.isArray(recent.items) && recent.items.length) {
@@ -440,10 +471,11 @@ router.post('/api/scan/incremental', requireAuth, async (req, res) => {
       return !isHiddenOrAppliedPath(k) && !_appliedSources3.has(k);
     } catch (e) { return true; }
   });
-  const artifact = { id: scanId, libraryId: libraryId || 'local', totalCount: filteredItems.length, items: filteredItems, generatedAt: Date.now() };
+  const artifact = { id: scanId, libraryId, totalCount: filteredItems.length, items: filteredItems, generatedAt: Date.now() };
   scans[scanId] = artifact;
   try { if (db) db.saveScansObject(scans); else writeJson(scanStoreFile, scans); } catch (e) {}
-  appendLog(`INCREMENTAL_SCAN_COMPLETE id=${scanId} total=${filteredItems.length} hidden_filtered=${items.length - filteredItems.length}`);
+  appendLog(`INCREMENTAL_SCAN_COMPLETE id=${scanId} library=${libraryId} total=${filteredItems.length} hidden_filtered=${items.length - filteredItems.length}`);
+  try { broadcastEvent('scan_completed', { scanId, kind: 'incremental', libraryId, totalCount: filteredItems.length, username: req.session && req.session.username ? req.session.username : null }); } catch (e) {}
   // include a small sample of first-page items to help clients refresh UI without
   // requiring an extra request. Clients may pass a 'limit' query param when
   // invoking incremental scan; default to 100.
@@ -454,39 +486,7 @@ router.post('/api/scan/incremental', requireAuth, async (req, res) => {
   // Enrichment will happen when user manually requests it or during full scans
 });
 
-router.get('/api/scan/:scanId', requireAuth, (req, res) => { const s = scans[req.params.scanId]; if (!s) return res.status(404).json({ error: 'scan not found' }); res.json({ libraryId: s.libraryId, totalCount: s.totalCount, generatedAt: s.generatedAt }); });
-
-router.get('/api/scan/:scanId/items', requireAuth, (req, res) => { 
-  const s = scans[req.params.scanId]; 
-  if (!s) return res.status(404).json({ error: 'scan not found' }); 
-  
-  // Build set of applied source paths from renderedIndex as a secondary check
-  // (handles the case where enrichCache entries were lost by the old sweep bug)
-  const appliedSources = new Set();
-  try {
-    for (const rk of Object.keys(renderedIndex || {})) {
-      const re = renderedIndex[rk];
-      if (re && re.source) appliedSources.add(canonicalize(re.source));
-    }
-  } catch (err) {}
-
-  // Filter out applied/hidden items
-  const filteredItems = (s.items || []).filter(it => {
-    try {
-      const k = canonicalize(it.canonicalPath);
-      const e = enrichCache[k] || null;
-      if (e && (e.hidden || e.applied)) return false;
-      if (appliedSources.has(k)) return false;
-      return true;
-    } catch (err) { return true; }
-  });
-  
-  const offset = parseInt(req.query.offset || '0', 10); 
-  const limit = Math.min(parseInt(req.query.limit || '50', 10), 500); 
-  const slice = filteredItems.slice(offset, offset + limit); 
-  res.json({ items: slice, offset, limit, total: filteredItems.length }); 
-});
-
+// Registered before /api/scan/:scanId, which would otherwise take "latest" for a scan id
 router.get('/api/scan/latest', requireAuth, (req, res) => {
   try {
     const lib = req.query.libraryId || null
@@ -522,13 +522,46 @@ router.get('/api/scan/latest', requireAuth, (req, res) => {
           return true;
         } catch (err) { return true; }
       })
-      const items = visibleItems.slice(0, limit)
+      const items = annotateIntegrity(visibleItems.slice(0, limit))
       return res.json({ scanId: pick.id, libraryId: pick.libraryId, totalCount: visibleItems.length, generatedAt: pick.generatedAt, items })
     }
     return res.json({ scanId: pick.id, libraryId: pick.libraryId, totalCount: pick.totalCount, generatedAt: pick.generatedAt })
   } catch (e) { return res.status(500).json({ error: e.message }) }
 })
 
+router.get('/api/scan/:scanId', requireAuth, (req, res) => { const s = scans[req.params.scanId]; if (!s) return res.status(404).json({ error: 'scan not found' }); res.json({ libraryId: s.libraryId, totalCount: s.totalCount, generatedAt: s.generatedAt }); });
+
+router.get('/api/scan/:scanId/items', requireAuth, (req, res) => { 
+  const s = scans[req.params.scanId]; 
+  if (!s) return res.status(404).json({ error: 'scan not found' }); 
+  
+  // Build set of applied source paths from renderedIndex as a secondary check
+  // (handles the case where enrichCache entries were lost by the old sweep bug)
+  const appliedSources = new Set();
+  try {
+    for (const rk of Object.keys(renderedIndex || {})) {
+      const re = renderedIndex[rk];
+      if (re && re.source) appliedSources.add(canonicalize(re.source));
+    }
+  } catch (err) {}
+
+  // Filter out applied/hidden items
+  const filteredItems = (s.items || []).filter(it => {
+    try {
+      const k = canonicalize(it.canonicalPath);
+      const e = enrichCache[k] || null;
+      if (e && (e.hidden || e.applied)) return false;
+      if (appliedSources.has(k)) return false;
+      return true;
+    } catch (err) { return true; }
+  });
+  
+  const offset = parseInt(req.query.offset || '0', 10); 
+  const limit = Math.min(parseInt(req.query.limit || '50', 10), 500); 
+  const slice = filteredItems.slice(offset, offset + limit); 
+  res.json({ items: annotateIntegrity(slice), offset, limit, total: filteredItems.length }); 
+});
+
 router.get('/api/scan/:scanId/search', requireAuth, (req, res) => {
   try {
     const s = scans[req.params.scanId];
@@ -537,7 +570,6 @@ router.get('/api/scan/:scanId/search', requireAuth, (req, res) => {
     const offset = parseInt(req.query.offset || '0', 10) || 0;
     const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 500);
     if (!q) return res.json({ items: [], offset, limit, total: 0 });
-    const needle = String(q).toLowerCase();
     // Build set of applied source paths from renderedIndex as a secondary check
     const appliedSources = new Set();
     try {
@@ -546,6 +578,38 @@ router.get('/api/scan/:scanId/search', requireAuth, (req, res) => {
         if (re && re.source) appliedSources.add(canonicalize(re.source));
       }
     } catch (err) {}
+    // Attach cached enrichment to search results so client can render preview names immediately
+    const withEnrichment = (it) => {
+      const copy = { ...it };
+      try {
+        const key = canonicalize(copy.canonicalPath || '');
+        const raw = enrichCache[key] || null;
+        if (raw) {
+          const normalized = normalizeEnrichEntry(raw);
+          if (normalized) copy.enrichment = normalized;
+        }
+      } catch (e) {}
+      return copy;
+    };
+
+    // Ranked full-text search with field filters (lib/search-index.js)
+    if (searchIndex && searchIndex.available()) {
+      let query;
+      try { query = parseQuery(q); } catch (e) { return res.status(400).json({ error: e.message }) }
+      const byPath = new Map();
+      for (const it of s.items || []) { try { byPath.set(canonicalize(it.canonicalPath), it); } catch (e) {} }
+      const { total, hits } = searchIndex.search(query, {
+        within: Array.from(byPath.keys()),
+        include: (key, entry) => !(entry && (entry.hidden || entry.applied)) && !appliedSources.has(key),
+        offset,
+        limit
+      });
+      const items = hits.map(h => Object.assign(withEnrichment(byPath.get(h.path)), { score: h.score, highlights: h.highlights }));
+      return res.json({ items, offset, limit, total });
+    }
+
+    // Without FTS5: substring match on the path, then fuzzy basename match
+    const needle = String(q).toLowerCase();
     // Pre-filter: exclude hidden/applied items before searching
     const visibleForSearch = (s.items || []).filter(it => {
       try {
@@ -598,28 +662,18 @@ router.get('/api/scan/:scanId/search', requireAuth, (req, res) => {
     }
     const total = matched.length;
     const slice = matched.slice(offset, offset + limit);
-    // Attach cached enrichment to search results so client can render preview names immediately
-    const enrichedSlice = slice.map(it => {
-      const copy = { ...it };
-      try {
-        const key = canonicalize(copy.canonicalPath || '');
-        const raw = enrichCache[key] || null;
-        if (raw) {
-          const normalized = normalizeEnrichEntry(raw);
-          if (normalized) copy.enrichment = normalized;
-        }
-      } catch (e) {}
-      return copy;
-    });
-    return res.json({ items: enrichedSlice, offset, limit, total });
+    return res.json({ items: slice.map(withEnrichment), offset, limit, total });
   } catch (e) { return res.status(500).json({ error: e.message }) }
 })
 
 router.post('/api/scan/force', requireAdmin, (req, res) => {
   try {
-    // remove scan cache file so next /api/scan will perform a full walk
+    // remove the library's scan cache file so its next /api/scan will perform a full walk
+    const libraryId = (req.body && req.body.libraryId) || DEFAULT_LIBRARY_ID;
+    const scanCacheFile = scanCacheFileFor(libraryId);
     try { if (fs.existsSync(scanCacheFile)) fs.unlinkSync(scanCacheFile); } catch (e) { appendLog(`SCAN_FORCE_UNLINK_FAIL err=${e && e.message ? e.message : String(e)}`); }
-    appendLog(`SCAN_FORCE_CLEARED by=${req.session && req.session.username ? req.session.username : '<unknown>'}`);
+    appendLog(`SCAN_FORCE_CLEARED by=${req.session && req.session.username ? req.session.username : '<unknown>'} library=${libraryId}`);
+    auditLog.record(req, 'scan.force', { target: libraryId });
     return res.json({ ok: true, forced: true });
   } catch (e) { return res.status(500).json({ error: e.message }) }
 });
@@ -802,6 +856,10 @@ router.post('/api/scan/:scanId/refresh', requireAuth, async (req, res) => {
         try { if (db) db.setKV('renderedIndex', renderedIndex); else writeJson(renderedIndexFile, renderedIndex); } catch (e) {}
       }
       appendLog(`REFRESH_SCAN_COMPLETE scan=${req.params.scanId} items=${results.length}`);
+      const enrichedPaths = results.filter(r => r && r.ok).map(r => r.path);
+      if (enrichedPaths.length) {
+        try { broadcastEvent('items_enriched', { scanId: req.params.scanId, count: enrichedPaths.length, paths: enrichedPaths, username: req.session && req.session.username ? req.session.username : null }); } catch (e) {}
+      }
       // Ensure stored scan artifacts reflect applied/hidden flags updated during refresh
       try {
         const modified = [];
@@ -1,3 +1,7 @@
+const { normalizeApplyMode } = require('../lib/file-ops');
+const { normalizeMappings, MAX_MAPPINGS } = require('../lib/path-mapping');
+const { FIXTURE_MODES } = require('../lib/fixtures');
+const { normalizeRetentionDays } = require('../lib/audit');
 module.exports = function createSettingsRoutes(ctx) {
   const router = require('express').Router();
   const {
@@ -21,13 +25,13 @@ module.exports = function createSettingsRoutes(ctx) {
   coerceBoolean,
   appendLog,
   writeJson,
-  getEffectiveScanInputPath,
-  isFolderWatchEnabledForUser,
-  startFolderWatcher,
-  stopFolderWatcher,
+  restartLibraryWatchers,
   canonicalize,
   resolveDeleteHardlinksSetting,
   sanitizeMetadataProviderOrder,
+  providerRegistry,
+  configureFixtures,
+  auditLog,
   VALID_SUBTITLE_FORMATS
 } = ctx;
 
@@ -97,6 +101,8 @@ router.get('/api/tmdb/status', (req, res) => {
 router.get('/api/settings', requireAuth, (req, res) => {
   const userSettings = (req.session && req.session.username && users[req.session.username] && users[req.session.username].settings) ? users[req.session.username].settings : {};
   const serverOut = { ...(serverSettings || {}) };
+  // Webhook secrets are only exposed through the admin webhook API
+  delete serverOut.webhooks;
   serverOut.delete_hardlinks_on_unapprove = resolveDeleteHardlinksSetting(req.session && req.session.username ? req.session.username : null);
   return res.json({ serverSettings: serverOut, userSettings });
 });
@@ -108,7 +114,7 @@ router.post('/api/settings', requireAuth, (req, res) => {
     // if admin requested global update
     if (username && users[username] && users[username].role === 'admin' && body.global) {
       // Admins may set global server settings, but not a global scan_input_path (per-user only)
-  const allowed = ['tmdb_api_key', 'anilist_api_key', 'anidb_username', 'anidb_password', 'anidb_client_name', 'anidb_client_version', 'scan_output_path', 'rename_template', 'default_meta_provider', 'metadata_provider_order', 'tvdb_v4_api_key', 'tvdb_v4_user_pin', 'output_folders', 'delete_hardlinks_on_unapprove', 'extract_subtitles', 'extract_subtitle_format', 'copy_sidecar_subtitles', 'client_os', 'log_timezone', 'custom_regexes', 'default_rescan_force_hash', 'default_rescan_skip_anime'];
+  const allowed = [...providerRegistry.credentialKeys(), 'scan_output_path', 'rename_template', 'folder_template', 'default_meta_provider', 'metadata_provider_order', 'output_folders', 'delete_hardlinks_on_unapprove', 'apply_atomic', 'apply_mode', 'write_nfo', 'write_artwork', 'extract_subtitles', 'extract_subtitle_format', 'copy_sidecar_subtitles', 'client_os', 'log_timezone', 'custom_regexes', 'default_rescan_force_hash', 'default_rescan_skip_anime', 'job_concurrency', 'provider_fixtures', 'audit_retention_days'];
       for (const k of allowed) {
         if (body[k] === undefined) continue;
         if (k === 'metadata_provider_order') {
@@ -124,6 +130,13 @@ router.post('/api/settings', requireAuth, (req, res) => {
           serverSettings.output_folders = Array.isArray(body[k]) ? body[k] : [];
         } else if (k === 'delete_hardlinks_on_unapprove') {
           serverSettings.delete_hardlinks_on_unapprove = coerceBoolean(body[k]);
+        } else if (k === 'apply_atomic') {
+          serverSettings.apply_atomic = coerceBoolean(body[k]);
+        } else if (k === 'write_nfo' || k === 'write_artwork') {
+          serverSettings[k] = coerceBoolean(body[k]);
+        } else if (k === 'apply_mode') {
+          const mode = normalizeApplyMode(body[k]);
+          if (mode) serverSettings.apply_mode = mode;
         } else if (k === 'extract_subtitles') {
           serverSettings.extract_subtitles = coerceBoolean(body[k]);
         } else if (k === 'extract_subtitle_format') {
@@ -134,6 +147,15 @@ router.post('/api/settings', requireAuth, (req, res) => {
           serverSettings.default_rescan_force_hash = coerceBoolean(body[k]);
         } else if (k === 'default_rescan_skip_anime') {
           serverSettings.default_rescan_skip_anime = coerceBoolean(body[k]);
+        } else if (k === 'job_concurrency') {
+          const n = parseInt(body[k], 10);
+          if (Number.isFinite(n) && n >= 1 && n <= 16) serverSettings.job_concurrency = n;
+        } else if (k === 'provider_fixtures') {
+          const mode = String(body[k] || '').trim().toLowerCase() || 'off';
+          if (FIXTURE_MODES.includes(mode)) serverSettings.provider_fixtures = mode;
+        } else if (k === 'audit_retention_days') {
+          const days = normalizeRetentionDays(body[k]);
+          if (days !== null) serverSettings.audit_retention_days = days;
         } else {
           serverSettings[k] = body[k];
         }
@@ -146,7 +168,11 @@ router.post('/api/settings', requireAuth, (req, res) => {
       }
       global.customRegexes = (serverSettings.custom_regexes || []).map(r => { try { return new RegExp(r, 'i') } catch(e) { return null } }).filter(Boolean);
       writeJson(settingsFile, serverSettings);
+      if (body.provider_fixtures !== undefined) configureFixtures();
       appendLog(`SETTINGS_SAVED_GLOBAL by=${username} keys=${Object.keys(body).join(',')}`);
+      // Key names only: several settings are provider credentials
+      auditLog.record(req, 'settings.update', { details: { scope: 'global', keys: allowed.filter(k => body[k] !== undefined) } });
+      if (body.audit_retention_days !== undefined) auditLog.prune();
       return res.json({ ok: true, settings: serverSettings });
     }
 
@@ -154,7 +180,7 @@ router.post('/api/settings', requireAuth, (req, res) => {
     if (!username) return res.status(401).json({ error: 'unauthenticated' });
     users[username] = users[username] || {};
     users[username].settings = users[username].settings || {};
-  const allowed = ['tmdb_api_key', 'anilist_api_key', 'anidb_username', 'anidb_password', 'anidb_client_name', 'anidb_client_version', 'scan_input_path', 'scan_output_path', 'rename_template', 'default_meta_provider', 'metadata_provider_order', 'tvdb_v4_api_key', 'tvdb_v4_user_pin', 'output_folders', 'enable_folder_watch', 'delete_hardlinks_on_unapprove', 'extract_subtitles', 'copy_sidecar_subtitles', 'client_os', 'log_timezone', 'custom_regexes', 'default_rescan_force_hash', 'default_rescan_skip_anime'];
+  const allowed = [...providerRegistry.credentialKeys(), 'scan_input_path', 'scan_output_path', 'rename_template', 'folder_template', 'default_meta_provider', 'metadata_provider_order', 'output_folders', 'enable_folder_watch', 'delete_hardlinks_on_unapprove', 'apply_atomic', 'apply_mode', 'write_nfo', 'write_artwork', 'extract_subtitles', 'copy_sidecar_subtitles', 'client_os', 'log_timezone', 'custom_regexes', 'default_rescan_force_hash', 'default_rescan_skip_anime'];
     
     // Check if scan_input_path changed to update watcher
     const oldScanPath = users[username].settings.scan_input_path;
@@ -181,6 +207,13 @@ router.post('/api/settings', requireAuth, (req, res) => {
         newWatchEnabled = normalized;
       } else if (k === 'delete_hardlinks_on_unapprove') {
         users[username].settings.delete_hardlinks_on_unapprove = coerceBoolean(body[k]);
+      } else if (k === 'apply_atomic') {
+        users[username].settings.apply_atomic = coerceBoolean(body[k]);
+      } else if (k === 'write_nfo' || k === 'write_artwork') {
+        users[username].settings[k] = coerceBoolean(body[k]);
+      } else if (k === 'apply_mode') {
+        const mode = normalizeApplyMode(body[k]);
+        if (mode) users[username].settings.apply_mode = mode;
       } else if (k === 'extract_subtitles') {
         users[username].settings.extract_subtitles = coerceBoolean(body[k]);
       } else if (k === 'extract_subtitle_format') {
@@ -212,16 +245,12 @@ router.post('/api/settings', requireAuth, (req, res) => {
     }
     writeJson(usersFile, users);
     appendLog(`SETTINGS_SAVED_USER user=${username} keys=${Object.keys(body).join(',')}`);
+    auditLog.record(req, 'settings.update', { details: { scope: 'user', keys: allowed.filter(k => body[k] !== undefined) } });
     
     const pathChanged = newScanPath !== undefined && newScanPath !== oldScanPath;
     const watchToggled = watchProvided && newWatchEnabled !== oldWatchEnabled;
     if (pathChanged || watchToggled) {
-      stopFolderWatcher(username);
-      const finalPath = getEffectiveScanInputPath(username);
-      if (isFolderWatchEnabledForUser(username) && finalPath) {
-        const libPath = path.resolve(finalPath);
-        startFolderWatcher(username, libPath);
-      }
+      restartLibraryWatchers(username);
     }
     
     return res.json({ ok: true, userSettings: users[username].settings });
@@ -238,6 +267,31 @@ router.get('/api/manual-ids', requireAuth, (req, res) => {
 
 router.get('/api/path/exists', requireAuth, (req, res) => { const p = req.query.path || ''; try { const rp = path.resolve(p); const exists = fs.existsSync(rp); const stat = exists ? fs.statSync(rp) : null; res.json({ exists, isDirectory: stat ? stat.isDirectory() : false, resolved: rp }); } catch (err) { res.json({ exists: false, isDirectory: false, error: err.message }); } });
 
+// Per-user container <-> host/client prefix pairs; see lib/path-mapping.js
+router.get('/api/path-mappings', requireAuth, (req, res) => {
+  try {
+    const username = req.session && req.session.username;
+    if (!username || !users[username]) return res.status(404).json({ error: 'user not found' });
+    const settings = users[username].settings || {};
+    return res.json({ mappings: Array.isArray(settings.path_mappings) ? settings.path_mappings : [], max: MAX_MAPPINGS });
+  } catch (e) { return res.status(500).json({ error: e.message }); }
+});
+
+router.put('/api/path-mappings', requireAuth, (req, res) => {
+  try {
+    const username = req.session && req.session.username;
+    if (!username || !users[username]) return res.status(404).json({ error: 'user not found' });
+    let mappings;
+    try { mappings = normalizeMappings(req.body ? req.body.mappings : null); } catch (e) { return res.status(400).json({ error: e.message }); }
+    users[username].settings = users[username].settings || {};
+    users[username].settings.path_mappings = mappings;
+    writeJson(usersFile, users);
+    appendLog(`PATH_MAPPINGS_SAVED user=${username} count=${mappings.length}`);
+    auditLog.record(req, 'settings.path_mappings', { details: { count: mappings.length } });
+    return res.json({ ok: true, mappings });
+  } catch (e) { return res.status(500).json({ error: e.message }); }
+});
+
 router.get('/api/manual-ids', requireAuth, requireAdmin, (req, res) => {
   try {
     return res.json({ manualIds: manualIds || {} });
@@ -311,6 +365,7 @@ router.post('/api/manual-ids', requireAuth, requireAdmin, (req, res) => {
       try {
         appendLog(`MANUAL_ID_CLEARED title=${normalizeManualIdKey(title)} aliases=${Math.max(0, keys.length - 1)} by=${req && req.session && req.session.username ? req.session.username : 'unknown'}`);
       } catch (e) {}
+      auditLog.record(req, 'manual_id.clear', { target: normalizeManualIdKey(title), details: { aliases: keys.slice(1), filePath: normalizedFilePath } });
     } else {
       // Save series-level IDs to all title keys
       if (Object.keys(seriesEntry).length > 0) {
@@ -355,6 +410,7 @@ router.post('/api/manual-ids', requireAuth, requireAdmin, (req, res) => {
         const canonicalNote = canonicalFilePath ? ` canonicalFilePath=${canonicalFilePath}` : '';
         appendLog(`MANUAL_ID_SAVED title=${normalizeManualIdKey(title)} anilist=${anilistId != null ? anilistId : '<none>'} tmdb=${tmdbId != null ? tmdbId : '<none>'} tvdb=${tvdbId != null ? tvdbId : '<none>'} anidbEpisode=${anidbEpisodeId != null ? anidbEpisodeId : '<none>'}${episodeNote}${canonicalNote} filePathKeys=${filePathKeys.length} aliases=${Math.max(0, keys.length - 1)} by=${req && req.session && req.session.username ? req.session.username : 'unknown'}`);
       } catch (e) {}
+      auditLog.record(req, 'manual_id.set', { target: normalizeManualIdKey(title), details: { ids: seriesEntry, anidbEpisode: anidbEpisodeId, aliases: keys.slice(1), filePath: normalizedFilePath } });
     }
 
     try { writeJson(manualIdsFile, manualIds); } catch (e) {}
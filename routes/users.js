@@ -0,0 +1,156 @@
+const {
+  BCRYPT_ROUNDS,
+  getUser,
+  isRegistrationOpen,
+  validateUsername,
+  validatePassword,
+  validateRole,
+  publicUser,
+  lastAdminGuard
+} = require('../lib/accounts');
+
+module.exports = function createUserRoutes(ctx) {
+  const router = require('express').Router();
+  const {
+  bcrypt,
+  users,
+  usersFile,
+  requireAuth,
+  requireAdmin,
+  coerceBoolean,
+  appendLog,
+  writeJson,
+  apiTokens,
+  auditLog
+} = ctx;
+
+  const sessionUser = (req) => (req.session && req.session.username ? req.session.username : null);
+  const save = () => writeJson(usersFile, users);
+
+  // Tells the login page whether to offer first-run registration
+  router.get('/api/auth/status', (req, res) => {
+  try {
+    const registrationOpen = isRegistrationOpen(users);
+    res.json({ hasUsers: !registrationOpen, registrationOpen });
+  } catch (e) { res.status(500).json({ error: e.message }) }
+});
+
+// First-run registration creates the initial admin and closes itself; a passwordless bootstrap
+// entry with the same name keeps its settings
+router.post('/api/register', async (req, res) => {
+  try {
+    if (!isRegistrationOpen(users)) return res.status(403).json({ error: 'registration is closed' });
+    let username;
+    try {
+      username = validateUsername((req.body || {}).username);
+      validatePassword((req.body || {}).password);
+    } catch (e) { return res.status(400).json({ error: e.message }) }
+    const existing = getUser(users, username);
+    if (existing && existing.passwordHash) return res.status(409).json({ error: 'user already exists' });
+    const passwordHash = await bcrypt.hash(req.body.password, BCRYPT_ROUNDS);
+    // Re-check after hashing so two concurrent registrations cannot both create an admin
+    if (!isRegistrationOpen(users)) return res.status(403).json({ error: 'registration is closed' });
+    users[username] = Object.assign({ settings: {}, createdAt: Date.now() }, existing || {}, { username, role: 'admin', passwordHash, disabled: false });
+    save();
+    req.session.username = username;
+    appendLog(`USER_REGISTERED user=${username}`);
+    auditLog.record(req, 'user.register', { target: username });
+    res.status(201).json({ ok: true, username, role: 'admin' });
+  } catch (e) { res.status(500).json({ error: e.message }) }
+});
+
+router.get('/api/users', requireAdmin, (req, res) => {
+  try {
+    const list = Object.keys(users).filter(name => users[name]).sort().map(name => publicUser(name, users[name]));
+    res.json({ users: list });
+  } catch (e) { res.status(500).json({ error: e.message }) }
+});
+
+router.post('/api/users', requireAdmin, async (req, res) => {
+  try {
+    const body = req.body || {};
+    let username;
+    let role;
+    try {
+      username = validateUsername(body.username);
+      validatePassword(body.password);
+      role = validateRole(body.role);
+    } catch (e) { return res.status(400).json({ error: e.message }) }
+    if (getUser(users, username)) return res.status(409).json({ error: 'user already exists' });
+    const passwordHash = await bcrypt.hash(body.password, BCRYPT_ROUNDS);
+    users[username] = { username, role, passwordHash, disabled: false, createdAt: Date.now(), settings: {} };
+    save();
+    appendLog(`USER_CREATED user=${username} role=${role} by=${sessionUser(req)}`);
+    auditLog.record(req, 'user.create', { target: username, details: { role } });
+    res.status(201).json(publicUser(username, users[username]));
+  } catch (e) { res.status(500).json({ error: e.message }) }
+});
+
+// Role changes and enabling/disabling; a disabled user's sessions stop working on their next request
+router.patch('/api/users/:username', requireAdmin, (req, res) => {
+  try {
+    const username = String(req.params.username);
+    const user = getUser(users, username);
+    if (!user) return res.status(404).json({ error: 'user not found' });
+    const body = req.body || {};
+    let role = user.role || 'user';
+    try {
+      if (body.role !== undefined) role = validateRole(body.role);
+    } catch (e) { return res.status(400).json({ error: e.message }) }
+    const disabled = body.disabled === undefined ? !!user.disabled : coerceBoolean(body.disabled);
+    if (disabled && username === sessionUser(req)) return res.status(400).json({ error: 'cannot disable your own account' });
+    if (role !== 'admin' || disabled) {
+      const guard = lastAdminGuard(users, username);
+      if (guard) return res.status(400).json({ error: guard });
+    }
+    user.role = role;
+    user.disabled = disabled;
+    save();
+    appendLog(`USER_UPDATED user=${username} role=${role} disabled=${disabled} by=${sessionUser(req)}`);
+    auditLog.record(req, 'user.update', { target: username, details: { role, disabled } });
+    res.json(publicUser(username, user));
+  } catch (e) { res.status(500).json({ error: e.message }) }
+});
+
+router.delete('/api/users/:username', requireAdmin, (req, res) => {
+  try {
+    const username = String(req.params.username);
+    if (!getUser(users, username)) return res.status(404).json({ error: 'user not found' });
+    if (username === sessionUser(req)) return res.status(400).json({ error: 'cannot delete your own account' });
+    const guard = lastAdminGuard(users, username);
+    if (guard) return res.status(400).json({ error: guard });
+    delete users[username];
+    save();
+    if (apiTokens) apiTokens.revokeAllFor(username, sessionUser(req));
+    appendLog(`USER_DELETED user=${username} by=${sessionUser(req)}`);
+    auditLog.record(req, 'user.delete', { target: username });
+    res.json({ ok: true, username });
+  } catch (e) { res.status(500).json({ error: e.message }) }
+});
+
+// Admins reset other users' passwords; changing your own needs the current password once one is set
+router.post('/api/users/:username/password', requireAuth, async (req, res) => {
+  try {
+    const username = String(req.params.username);
+    const actor = sessionUser(req);
+    const actorUser = getUser(users, actor);
+    const isAdmin = !!(actorUser && actorUser.role === 'admin');
+    if (username !== actor && !isAdmin) return res.status(403).json({ error: 'forbidden' });
+    const user = getUser(users, username);
+    if (!user) return res.status(404).json({ error: 'user not found' });
+    const { newPassword, currentPassword } = req.body || {};
+    try { validatePassword(newPassword); } catch (e) { return res.status(400).json({ error: e.message }) }
+    if (username === actor && user.passwordHash) {
+      const same = await bcrypt.compare(String(currentPassword || ''), String(user.passwordHash));
+      if (!same) return res.status(401).json({ error: 'current password is incorrect' });
+    }
+    user.passwordHash = await bcrypt.hash(newPassword, BCRYPT_ROUNDS);
+    save();
+    appendLog(`USER_PASSWORD_CHANGED user=${username} by=${actor}`);
+    auditLog.record(req, 'user.password', { target: username });
+    res.json({ ok: true, username });
+  } catch (e) { res.status(500).json({ error: e.message }) }
+});
+
+  return router;
+};
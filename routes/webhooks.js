@@ -0,0 +1,100 @@
+const { normalizeWebhook, WEBHOOK_EVENTS, WEBHOOK_KINDS } = require('../lib/webhooks');
+module.exports = function createWebhookRoutes(ctx) {
+  const router = require('express').Router();
+  const {
+  serverSettings,
+  settingsFile,
+  writeJson,
+  requireAuth,
+  requireAdmin,
+  appendLog,
+  uuidv4,
+  webhookDispatcher,
+  auditLog
+} = ctx;
+
+  // Secrets and tokens are write-only over the API
+  function publicWebhook(hook) {
+    const out = Object.assign({}, hook, { hasSecret: !!hook.secret, hasToken: !!hook.token });
+    delete out.secret;
+    delete out.token;
+    return out;
+  }
+
+  function saveWebhooks(list) {
+    serverSettings.webhooks = list;
+    writeJson(settingsFile, serverSettings);
+  }
+
+  router.get('/api/webhooks', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const hooks = Array.isArray(serverSettings.webhooks) ? serverSettings.webhooks : [];
+    return res.json({ webhooks: hooks.map(publicWebhook), events: WEBHOOK_EVENTS, kinds: WEBHOOK_KINDS });
+  } catch (e) { return res.status(500).json({ error: e.message }); }
+});
+
+router.post('/api/webhooks', requireAuth, requireAdmin, (req, res) => {
+  try {
+    let hook;
+    try { hook = normalizeWebhook(Object.assign({}, req.body || {}, { id: uuidv4() })); } catch (e) { return res.status(400).json({ error: e.message }); }
+    const hooks = Array.isArray(serverSettings.webhooks) ? serverSettings.webhooks.slice() : [];
+    hooks.push(hook);
+    saveWebhooks(hooks);
+    appendLog(`WEBHOOK_CREATED id=${hook.id} kind=${hook.kind} by=${req.session.username}`);
+    auditLog.record(req, 'webhook.create', { target: hook.id, details: { kind: hook.kind } });
+    return res.json({ ok: true, webhook: publicWebhook(hook) });
+  } catch (e) { return res.status(500).json({ error: e.message }); }
+});
+
+router.put('/api/webhooks/:id', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const hooks = Array.isArray(serverSettings.webhooks) ? serverSettings.webhooks.slice() : [];
+    const idx = hooks.findIndex(h => h && h.id === req.params.id);
+    if (idx === -1) return res.status(404).json({ error: 'webhook not found' });
+    const body = Object.assign({}, req.body || {});
+    // Empty secret/token fields mean "unchanged" because the client never sees the stored value
+    if (!body.secret) delete body.secret;
+    if (!body.token) delete body.token;
+    let hook;
+    try { hook = normalizeWebhook(body, hooks[idx]); } catch (e) { return res.status(400).json({ error: e.message }); }
+    if (req.body && req.body.clearSecret) hook.secret = null;
+    hooks[idx] = hook;
+    saveWebhooks(hooks);
+    appendLog(`WEBHOOK_UPDATED id=${hook.id} by=${req.session.username}`);
+    auditLog.record(req, 'webhook.update', { target: hook.id });
+    return res.json({ ok: true, webhook: publicWebhook(hook) });
+  } catch (e) { return res.status(500).json({ error: e.message }); }
+});
+
+router.delete('/api/webhooks/:id', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const hooks = Array.isArray(serverSettings.webhooks) ? serverSettings.webhooks : [];
+    const next = hooks.filter(h => h && h.id !== req.params.id);
+    if (next.length === hooks.length) return res.status(404).json({ error: 'webhook not found' });
+    saveWebhooks(next);
+    appendLog(`WEBHOOK_DELETED id=${req.params.id} by=${req.session.username}`);
+    auditLog.record(req, 'webhook.delete', { target: req.params.id });
+    return res.json({ ok: true });
+  } catch (e) { return res.status(500).json({ error: e.message }); }
+});
+
+router.post('/api/webhooks/:id/test', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const hooks = Array.isArray(serverSettings.webhooks) ? serverSettings.webhooks : [];
+    const hook = hooks.find(h => h && h.id === req.params.id);
+    if (!hook) return res.status(404).json({ error: 'webhook not found' });
+    const delivery = await webhookDispatcher.sendTest(hook);
+    return res.json({ ok: delivery.status === 'delivered', delivery });
+  } catch (e) { return res.status(500).json({ error: e.message }); }
+});
+
+router.get('/api/webhooks/deliveries', requireAuth, requireAdmin, (req, res) => {
+  try {
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 100));
+    const webhookId = req.query.webhookId ? String(req.query.webhookId) : null;
+    return res.json({ deliveries: webhookDispatcher.getDeliveries({ webhookId, limit }) });
+  } catch (e) { return res.status(500).json({ error: e.message }); }
+});
+
+  return router;
+};
@@ -0,0 +1,19 @@
+#!/bin/sh
+# Send a finished download to MMP-Renamer.
+# Usage: MMP_URL=http://mmp:3000 MMP_TOKEN=mmp_... sh mmp-import.sh <path> [category]
+# Optional hints: MMP_SERIES="Series Name" MMP_ANIDB_ID=1234
+# The token needs the `import` scope. Paths are mapped by the token owner's path mappings.
+if [ -z "$MMP_URL" ] || [ -z "$MMP_TOKEN" ]; then
+  echo "Set MMP_URL and MMP_TOKEN before running this script." >&2
+  exit 1
+fi
+if [ -z "$1" ]; then
+  echo "Usage: $0 <path> [category]" >&2
+  exit 1
+fi
+curl -fsS -X POST "${MMP_URL%/}/api/import" \
+  -H "Authorization: Bearer $MMP_TOKEN" \
+  --data-urlencode "path=$1" \
+  --data-urlencode "category=${2:-}" \
+  --data-urlencode "series=${MMP_SERIES:-}" \
+  --data-urlencode "anidbId=${MMP_ANIDB_ID:-}"
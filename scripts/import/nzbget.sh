@@ -0,0 +1,45 @@
+#!/bin/sh
+#
+##############################################################################
+### NZBGET POST-PROCESSING SCRIPT                                          ###
+
+# Send finished downloads to MMP-Renamer.
+#
+# Needs an MMP-Renamer API token with the import scope.
+
+##############################################################################
+### OPTIONS                                                                ###
+
+# MMP-Renamer URL.
+#Url=http://localhost:3000
+
+# API token.
+#Token=
+
+### NZBGET POST-PROCESSING SCRIPT                                          ###
+##############################################################################
+
+POSTPROCESS_SUCCESS=93
+POSTPROCESS_ERROR=94
+POSTPROCESS_NONE=95
+
+MMP_URL="${NZBPO_URL:-${MMP_URL:-http://localhost:3000}}"
+MMP_TOKEN="${NZBPO_TOKEN:-$MMP_TOKEN}"
+if [ -z "$MMP_TOKEN" ]; then
+  echo "[ERROR] Token is not set"
+  exit $POSTPROCESS_ERROR
+fi
+if [ -n "$NZBPP_TOTALSTATUS" ] && [ "$NZBPP_TOTALSTATUS" != "SUCCESS" ]; then
+  echo "[INFO] Download status is $NZBPP_TOTALSTATUS, not importing"
+  exit $POSTPROCESS_NONE
+fi
+if curl -fsS -X POST "${MMP_URL%/}/api/import" \
+  -H "Authorization: Bearer $MMP_TOKEN" \
+  --data-urlencode "path=$NZBPP_DIRECTORY" \
+  --data-urlencode "category=${NZBPP_CATEGORY:-}"; then
+  echo
+  echo "[INFO] Sent to MMP-Renamer"
+  exit $POSTPROCESS_SUCCESS
+fi
+echo "[ERROR] MMP-Renamer import request failed"
+exit $POSTPROCESS_ERROR
@@ -0,0 +1,14 @@
+#!/bin/sh
+# qBittorrent: Options > Downloads > "Run external program on torrent finished":
+#   /path/to/qbittorrent.sh "%F" "%L"
+# %F is the content path (file or root folder) and %L the torrent's category.
+# Set MMP_URL and MMP_TOKEN (a token with the `import` scope) in qBittorrent's environment or below.
+MMP_URL="${MMP_URL:-http://localhost:3000}"
+if [ -z "$MMP_TOKEN" ]; then
+  echo "MMP_TOKEN is not set." >&2
+  exit 1
+fi
+curl -fsS -X POST "${MMP_URL%/}/api/import" \
+  -H "Authorization: Bearer $MMP_TOKEN" \
+  --data-urlencode "path=$1" \
+  --data-urlencode "category=${2:-}"
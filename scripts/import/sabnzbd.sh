@@ -0,0 +1,20 @@
+#!/bin/sh
+# SABnzbd: put this script in the Scripts Folder and pick it as the category's or the default
+# post-processing script. SABnzbd passes the final folder as $1, the category as $5 and the
+# post-processing status (0 = OK) as $7.
+# Set MMP_URL and MMP_TOKEN (a token with the `import` scope) in SABnzbd's environment or below.
+MMP_URL="${MMP_URL:-http://localhost:3000}"
+if [ -z "$MMP_TOKEN" ]; then
+  echo "MMP_TOKEN is not set."
+  exit 1
+fi
+if [ "${7:-0}" != "0" ]; then
+  echo "Download failed (status $7), not importing."
+  exit 0
+fi
+curl -fsS -X POST "${MMP_URL%/}/api/import" \
+  -H "Authorization: Bearer $MMP_TOKEN" \
+  --data-urlencode "path=$1" \
+  --data-urlencode "category=${5:-}" || exit 1
+echo
+echo "Sent to MMP-Renamer"
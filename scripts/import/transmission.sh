@@ -0,0 +1,15 @@
+#!/bin/sh
+# Transmission: set "script-torrent-done-enabled": true and
+# "script-torrent-done-filename": "/path/to/transmission.sh" in settings.json.
+# Transmission has no categories; the first label (Transmission 4+) is sent as the category.
+# Set MMP_URL and MMP_TOKEN (a token with the `import` scope) in Transmission's environment or below.
+MMP_URL="${MMP_URL:-http://localhost:3000}"
+if [ -z "$MMP_TOKEN" ]; then
+  echo "MMP_TOKEN is not set." >&2
+  exit 1
+fi
+CATEGORY=$(printf '%s' "${TR_TORRENT_LABELS:-}" | cut -d, -f1)
+curl -fsS -X POST "${MMP_URL%/}/api/import" \
+  -H "Authorization: Bearer $MMP_TOKEN" \
+  --data-urlencode "path=$TR_TORRENT_DIR/$TR_TORRENT_NAME" \
+  --data-urlencode "category=$CATEGORY"
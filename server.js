@@ -18,6 +18,14 @@ const cookieParser = require('cookie-parser')
 const cookieSession = require('cookie-session')
 const titleCase = require('./lib/title-case')
 const normalizeApostrophes = require('./lib/normalize-apostrophes')
+const { renderTemplate, DEFAULT_FILE_TEMPLATE } = require('./lib/rename-template')
+const { moveFileSync } = require('./lib/file-ops')
+const { scoreMatch, episodeCountFromRaw } = require('./lib/match-confidence')
+const { fromAniList, fromTmdb, fromTvdb, addCandidates } = require('./lib/match-candidates')
+const buildAnidbTitleIndex = require('./lib/anidb-titles')
+const releaseInfo = require('./lib/release-info')
+const fileQuality = require('./lib/file-quality')
+const { isReadMethod } = require('./lib/api-tokens')
 
 // Pre-compiled regex patterns for performance optimization
 const REGEX_NEWLINES = /[\r\n]+/g
@@ -51,17 +59,8 @@ const REGEX_SEASON_KEYWORD = /\bseason\b/i
 // below is a no-op stub that returns null so the rest of the server continues
 // to operate without external provider lookups.
 
-const METADATA_PROVIDER_IDS = ['anidb', 'anilist', 'tvdb', 'tmdb', 'wikipedia', 'kitsu'];
 const DEFAULT_METADATA_PROVIDER_ORDER = ['anidb', 'anilist', 'tvdb', 'tmdb'];
 const FOLDER_WATCH_RESTART_DELAY_MS = 5000;
-const PROVIDER_DISPLAY_NAMES = {
-  anidb: 'AniDB',
-  anilist: 'AniList',
-  tvdb: 'TVDB',
-  tmdb: 'TMDB',
-  wikipedia: 'Wikipedia',
-  kitsu: 'Kitsu'
-};
 const DEFAULT_ALLOWED_ORIGINS = ['http://localhost:5173'];
 const CSRF_COOKIE_NAME = 'XSRF-TOKEN';
 const CSRF_HEADER_NAME = 'X-CSRF-Token';
@@ -76,7 +75,12 @@ app.set('trust proxy', 1);
 // simple auth middleware helpers
 function requireAuth(req, res, next) {
   try {
-    if (req && req.session && req.session.username) return next();
+    if (req && req.session && req.session.username) {
+      // Sessions of users deleted or disabled since logging in are dropped
+      const user = Object.prototype.hasOwnProperty.call(users || {}, req.session.username) ? users[req.session.username] : null;
+      if (user && !user.disabled) return next();
+      req.session = null;
+    }
     return res.status(401).json({ error: 'unauthenticated' });
   } catch (e) { return res.status(401).json({ error: 'unauthenticated' }) }
 }
@@ -87,7 +91,9 @@ function requireAdmin(req, res, next) {
   try {
     const username = req && req.session && req.session.username;
     if (!username) return res.status(401).json({ error: 'unauthenticated' });
-    if (users && users[username] && users[username].role === 'admin') return next();
+    // An admin's API token may make the admin writes its scopes cover, but not read the admin views
+    if (req.apiToken && isReadMethod(req.method)) return res.status(403).json({ error: 'forbidden' });
+    if (users && users[username] && users[username].role === 'admin' && !users[username].disabled) return next();
     return res.status(403).json({ error: 'forbidden' });
   } catch (e) { return res.status(403).json({ error: 'forbidden' }) }
 }
@@ -179,6 +185,15 @@ const approvedSeriesImagesFile = path.join(DATA_DIR, 'approved-series-images.jso
 const wikiEpisodeCacheFile = path.join(DATA_DIR, 'wiki-episode-cache.json');
 const wikiSearchLogFile = path.join(DATA_DIR, 'wiki-search.log');
 
+// Metadata provider plugins: the built-ins plus any dropped into providers/ or data/providers/
+// (see lib/providers/index.js). The context is attached once the server helpers exist.
+const providerRegistry = require('./lib/providers')({
+  appendLog,
+  pluginDirs: [path.join(__dirname, 'providers'), path.join(DATA_DIR, 'providers')]
+});
+const METADATA_PROVIDER_IDS = providerRegistry.ids();
+const PROVIDER_DISPLAY_NAMES = providerRegistry.displayNames();
+
 // ensure we have a persistent session signing key
 const sessionKeyFile = path.join(DATA_DIR, 'session.key');
 function ensureSessionKey() {
@@ -224,6 +239,24 @@ let serverSettings = {};
 let users = {};
 try { ensureFile(settingsFile, {}); serverSettings = JSON.parse(fs.readFileSync(settingsFile, 'utf8') || '{}') } catch (e) { serverSettings = {} }
 try { ensureFile(usersFile, { admin: { username: 'admin', role: 'admin', passwordHash: null, settings: {} } }); users = JSON.parse(fs.readFileSync(usersFile, 'utf8') || '{}') } catch (e) { users = {} }
+
+// Record/replay of provider traffic (lib/fixtures.js). MMP_FIXTURES overrides the setting so CI
+// and bug-report replays never depend on what settings.json says.
+const fixtures = require('./lib/fixtures');
+function configureFixtures() {
+  const mode = process.env.MMP_FIXTURES || serverSettings.provider_fixtures || 'off';
+  const dir = process.env.MMP_FIXTURES_DIR || path.join(DATA_DIR, 'fixtures');
+  try {
+    const st = fixtures.configure({ mode, dir, appendLog });
+    if (st.mode !== 'off') appendLog(`FIXTURES_MODE mode=${st.mode} dir=${st.dir}`);
+    return st;
+  } catch (e) {
+    appendLog(`FIXTURES_CONFIG_FAIL mode=${mode} err=${e && e.message ? e.message : String(e)}`);
+    return fixtures.configure({ mode: 'off' });
+  }
+}
+configureFixtures();
+
 let allRegexesInit = new Set(serverSettings.custom_regexes || []);
 for (const u of Object.values(users)) {
   if (u.settings && u.settings.custom_regexes) {
@@ -521,6 +554,10 @@ if (SESSION_KEY) {
   });
 }
 
+// Bearer API tokens stand in for the session cookie and CSRF token (see lib/api-tokens.js)
+let apiTokens = null;
+app.use((req, res, next) => (apiTokens ? apiTokens.middleware(req, res, next) : next()));
+
 app.use(verifyCsrfToken);
 app.use(attachCsrfToken);
 
@@ -536,7 +573,7 @@ function ensureCsrfToken(req) {
 }
 
 function verifyCsrfToken(req, res, next) {
-  if (SAFE_CSRF_METHODS.has(req.method)) return next();
+  if (SAFE_CSRF_METHODS.has(req.method) || req.apiToken) return next();
   try {
     const expected = req && req.session ? req.session.csrfToken : null;
     const provided = req.get(CSRF_HEADER_NAME) || (req.body && req.body._csrf) || (req.query && req.query._csrf);
@@ -556,6 +593,7 @@ function verifyCsrfToken(req, res, next) {
 }
 
 function attachCsrfToken(req, res, next) {
+  if (req.apiToken) return next();
   try {
     const token = res.locals && res.locals.csrfToken ? res.locals.csrfToken : ensureCsrfToken(req);
     res.locals.csrfToken = token;
@@ -583,6 +621,42 @@ function resolveDeleteHardlinksSetting(username) {
   return true;
 }
 
+function resolveApplyAtomicSetting(username) {
+  try {
+    if (username && users && users[username] && users[username].settings && typeof users[username].settings.apply_atomic !== 'undefined') {
+      return coerceBoolean(users[username].settings.apply_atomic);
+    }
+    if (serverSettings && typeof serverSettings.apply_atomic !== 'undefined') {
+      return coerceBoolean(serverSettings.apply_atomic);
+    }
+  } catch (e) {}
+  return false;
+}
+
+function resolveNfoSidecarsSetting(username) {
+  try {
+    if (username && users && users[username] && users[username].settings && typeof users[username].settings.write_nfo !== 'undefined') {
+      return coerceBoolean(users[username].settings.write_nfo);
+    }
+    if (serverSettings && typeof serverSettings.write_nfo !== 'undefined') {
+      return coerceBoolean(serverSettings.write_nfo);
+    }
+  } catch (e) {}
+  return false;
+}
+
+function resolveArtworkSidecarsSetting(username) {
+  try {
+    if (username && users && users[username] && users[username].settings && typeof users[username].settings.write_artwork !== 'undefined') {
+      return coerceBoolean(users[username].settings.write_artwork);
+    }
+    if (serverSettings && typeof serverSettings.write_artwork !== 'undefined') {
+      return coerceBoolean(serverSettings.write_artwork);
+    }
+  } catch (e) {}
+  return false;
+}
+
 function resolveExtractSubtitlesSetting(username) {
   try {
     if (username && users && users[username] && users[username].settings && typeof users[username].settings.extract_subtitles !== 'undefined') {
@@ -951,10 +1025,6 @@ try { approvedSeriesImages = JSON.parse(fs.readFileSync(approvedSeriesImagesFile
 const approvedSeriesImageFetchLocks = new Map();
 const APPROVED_SERIES_FETCH_COOLDOWN_MS = 3000;
 const APPROVED_SERIES_NEGATIVE_CACHE_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours: retry the next day if no image was found
-const APPROVED_SERIES_BACKGROUND_INTERVAL_MS = 25000;
-const APPROVED_SERIES_BACKGROUND_BATCH_SIZE = 3;
-let approvedSeriesBackgroundTimer = null;
-let approvedSeriesBackgroundInFlight = false;
 
 // Load optional series aliases to control canonical folder names for tricky titles
 const CONFIG_DIR = path.resolve(__dirname, 'config');
@@ -1055,10 +1125,25 @@ let enrichCache = {};
 let parsedCache = {};
 let scans = {};
 let renderedIndex = {};
+// Last enrichment_changes row this process has seen (see syncStoreFromOtherProcesses)
+let enrichChangeCursor = 0;
 // Recent hide events for client polling: { ts, path, originalPath, modifiedScanIds }
 let hideEvents = [];
-// Folder watchers by username: { [username]: watcher }
+// Folder watchers by username and library: { [username]: { [libraryId]: watcher } }
 const folderWatchers = {};
+// Named libraries per user (lib/libraries.js); built once ctx exists
+let libraryRegistry = null;
+// Full-text search over scans and enrichments (lib/search-index.js); built once ctx exists
+let searchIndex = null;
+// While set (CLI --dry-run), enrichment changes stay in memory: nothing is persisted or indexed
+let cacheWritesHeld = false;
+function holdCacheWrites(held) { cacheWritesHeld = held !== false; }
+
+// Each library keeps its own incremental scan cache; `local` keeps the original file
+function scanCacheFileFor(libraryId) {
+  if (!libraryId || libraryId === 'local') return scanCacheFile;
+  return path.join(DATA_DIR, `scan-cache-${String(libraryId).replace(/[^a-z0-9-]/gi, '_')}.json`);
+}
 
 function getEffectiveScanInputPath(username) {
   if (username && users && users[username] && users[username].settings && users[username].settings.scan_input_path) {
@@ -1071,9 +1156,11 @@ function getEffectiveScanInputPath(username) {
   return null;
 }
 
-function isFolderWatchEnabledForUser(username) {
+function isFolderWatchEnabledForUser(username, libraryId) {
   try {
     if (!username || !users || !users[username]) return false;
+    const libraryWatch = libraryId && libraryRegistry ? libraryRegistry.override(username, libraryRegistry.get(username, libraryId), 'enable_folder_watch') : undefined;
+    if (libraryWatch !== undefined) return coerceBoolean(libraryWatch);
     if (users[username].settings && typeof users[username].settings.enable_folder_watch !== 'undefined') {
       return coerceBoolean(users[username].settings.enable_folder_watch);
     }
@@ -1113,6 +1200,7 @@ try {
       renderedIndex = db.getKV('renderedIndex') || {};
       hideEvents = db.getHideEvents() || [];
       scans = db.loadScansObject() || {};
+      enrichChangeCursor = db.getLatestEnrichmentChangeId();
     } catch (e) {
       appendLog('DB_LOAD_FAIL ' + (e && e.message ? e.message : String(e)));
       console.error('DB_LOAD_FAIL', e && e.message ? e.message : e);
@@ -1195,32 +1283,148 @@ try {
 // Initialize DB for scans if available
 // (DB was initialized above; this later duplicate block removed)
 
-// Track in-flight scans to prevent concurrent runs for same path/scanId
-const activeScans = new Set();
+// Locks shared with other processes on this data directory (the CLI); released when we exit
+const dataLock = require('./lib/data-lock')({
+  db,
+  appendLog,
+  role: require.main === module ? 'server' : path.basename((require.main && require.main.filename) || 'script')
+});
+process.on('exit', () => dataLock.releaseAll());
+// Track in-flight scans to prevent concurrent runs for same path/scanId, here and in the CLI
+const activeScans = dataLock.lockSet();
 // In-memory progress tracker for background refresh operations
 const refreshProgress = {};
 
-// Folder watching helper: start watching a directory for changes
-function startFolderWatcher(username, libPath) {
+// Walk a library the way the folder watcher does (incremental when a scan cache exists) and
+// publish the result as a new scan artifact. `full` ignores the cache and walks everything.
+async function runLibraryScan(username, libPath, { full = false, kind = 'watcher', libraryId = 'local' } = {}) {
+  const scanLib = require('./lib/scan');
+  const cacheFile = scanCacheFileFor(libraryId);
+  const saveScanCacheFn = (obj) => scanLib.saveScanCache(cacheFile, obj);
+
+  const tag = kind === 'watcher' ? 'WATCHER' : 'JOB';
+  let items = [];
+  let newItems = [];
+  let allItemsCount = 0;
+
+  // Load prior scan cache; if empty, bootstrap from the most recent scan artifact
+  // so incremental scanning can proceed without a full filesystem walk (same logic
+  // as the manual /api/scan/incremental endpoint).
+  let prior = full ? null : scanLib.loadScanCache(cacheFile);
+  if (!full && (!prior || !prior.files || Object.keys(prior.files).length === 0) && scans && Object.keys(scans || {}).length) {
+    try {
+      const allScanIds = Object.keys(scans || {}).map(k => scans[k]).filter(s => s && (s.libraryId || 'local') === libraryId);
+      allScanIds.sort((a, b) => (b.generatedAt || 0) - (a.generatedAt || 0));
+      const recent = allScanIds[0];
+      if (recent && Array.isArray(recent.items) && recent.items.length) {
+        const priorFiles = {};
+        for (const it of recent.items) {
+          try {
+            const st = fs.statSync(it.canonicalPath);
+            priorFiles[it.canonicalPath] = { mtime: st.mtimeMs || Date.now(), size: st.size || 0, id: it.id || (String(st.size || 0) + ':' + String(Math.floor(st.mtimeMs || Date.now()))) };
+          } catch (e) {
+            try { priorFiles[it.canonicalPath] = { mtime: Date.now(), size: 0, id: it.id || String(Math.random()).slice(2) }; } catch (ee) {}
+          }
+        }
+        prior = { files: priorFiles, dirs: {} };
+        try { saveScanCacheFn(prior); appendLog(`${tag}_BOOTSTRAPPED_CACHE from_scan=${recent.id} entries=${Object.keys(priorFiles).length}`); } catch (e) {}
+      }
+    } catch (e) { /* best-effort */ }
+  }
+
+  if (!prior || !prior.files || Object.keys(prior.files).length === 0) {
+    // No prior cache at all â€” fall back to a full scan so we get everything
+    items = scanLib.fullScanLibrary(libPath, {
+      ignoredDirs: new Set(['node_modules', '.git', '.svn', '__pycache__']),
+      videoExts: ['mkv', 'mp4', 'avi', 'mov', 'm4v', 'mpg', 'mpeg', 'webm', 'wmv', 'flv', 'ts', 'ogg', 'ogv', '3gp', '3g2'],
+      canonicalize,
+      uuidv4
+    });
+    for (const it of items) doProcessParsedItem(it, { username });
+    newItems = items;
+  } else {
+    // incrementalScanLibrary returns { toProcess, currentCache, removed }
+    const inc = scanLib.incrementalScanLibrary(libPath, {
+      scanCacheFile: cacheFile,
+      ignoredDirs: new Set(['node_modules', '.git', '.svn', '__pycache__']),
+      videoExts: ['mkv', 'mp4', 'avi', 'mov', 'm4v', 'mpg', 'mpeg', 'webm', 'wmv', 'flv', 'ts', 'ogg', 'ogv', '3gp', '3g2'],
+      canonicalize,
+      uuidv4
+    });
+    const { toProcess, currentCache, removed } = inc || {};
+
+    // Clean up enrichCache/parsedCache for removed files (don't touch applied/hidden)
+    for (const r of (removed || [])) {
+      try {
+        const e = enrichCache[r] || null;
+        if (!e || (!e.applied && !e.hidden)) delete enrichCache[r];
+        delete parsedCache[r];
+      } catch (e) {}
+    }
+
+    // Parse new/changed files so they have basic metadata
+    for (const it of (toProcess || [])) doProcessParsedItem(it, { username });
+    newItems = toProcess || [];
+
+    // Persist updated cache â€” must happen before buildIncrementalItems
+    if (currentCache) saveScanCacheFn(currentCache);
+
+    // Build the full item list from currentCache (all known files), prioritising
+    // new/changed entries first. NOTE: pass currentCache, NOT scanCache â€” the old
+    // code incorrectly used result.scanCache (undefined) which caused buildIncrementalItems
+    // to return only the new/changed files, missing the entire existing library.
+    items = scanLib.buildIncrementalItems(currentCache, toProcess, uuidv4);
+  }
+
+  allItemsCount = items.length;
+  const _appliedSourcesW = buildAppliedSourcesSet();
+  const filteredItems = items.filter(it => {
+    try {
+      const k = canonicalize(it.canonicalPath);
+      return !isHiddenOrAppliedPath(k) && !_appliedSourcesW.has(k);
+    } catch (e) { return true; }
+  });
+
+  const scanId = uuidv4();
+  const scanObj = { id: scanId, libraryId, items: filteredItems, generatedAt: Date.now(), incrementalScanPath: libPath, username, totalCount: filteredItems.length };
+
+  // Persist to DB (upsertScan) or JSON fallback; always keep in-memory scans map
+  // so /api/scan/latest can find it without a round-trip.
+  scans[scanId] = scanObj;
+  if (db) {
+    try { db.upsertScan(scanObj); } catch (e) {
+      appendLog(`${tag}_DB_UPSERT_ERROR username=${username} err=${e && e.message ? e.message : String(e)}`);
+    }
+  } else {
+    writeJson(scanStoreFile, scans);
+  }
+
+  appendLog(`${tag}_SCAN_COMPLETE username=${username} library=${libraryId} scanId=${scanId} items=${filteredItems.length} hidden_filtered=${allItemsCount - filteredItems.length}`);
+  if (typeof broadcastEvent === 'function') {
+    try { broadcastEvent('scan_updated', { scanId }); } catch(e) {}
+    try { broadcastEvent('scan_completed', { scanId, kind, libraryId, totalCount: filteredItems.length, username }); } catch(e) {}
+  }
+  return { scanId, totalCount: filteredItems.length, newItems: newItems.map(it => it.canonicalPath) };
+}
+
+// Folder watching helper: start watching a library's directory for changes
+function startFolderWatcher(username, libPath, libraryId = 'local') {
   try {
     // Stop existing watcher if any
-    if (folderWatchers[username]) {
-      try { folderWatchers[username].close(); } catch (e) {}
-      delete folderWatchers[username];
-    }
+    stopFolderWatcher(username, libraryId);
 
-    if (!isFolderWatchEnabledForUser(username)) {
-      appendLog(`WATCHER_SKIP_DISABLED username=${username}`);
+    if (!isFolderWatchEnabledForUser(username, libraryId)) {
+      appendLog(`WATCHER_SKIP_DISABLED username=${username} library=${libraryId}`);
       return;
     }
     if (!libPath) {
-      appendLog(`WATCHER_SKIP_NO_PATH username=${username}`);
+      appendLog(`WATCHER_SKIP_NO_PATH username=${username} library=${libraryId}`);
       return;
     }
     
     // Don't start watcher if path doesn't exist
     if (!fs.existsSync(libPath) || !fs.statSync(libPath).isDirectory()) {
-      appendLog(`WATCHER_SKIP_INVALID_PATH username=${username} path=${libPath}`);
+      appendLog(`WATCHER_SKIP_INVALID_PATH username=${username} library=${libraryId} path=${libPath}`);
       return;
     }
     
@@ -1233,122 +1437,24 @@ function startFolderWatcher(username, libPath) {
       depth: 10,
       ignorePermissionErrors: true
     });
-    folderWatchers[username] = watcher;
+    if (!folderWatchers[username]) folderWatchers[username] = {};
+    folderWatchers[username][libraryId] = watcher;
     
     const triggerIncrementalScan = () => {
       if (debounceTimer) clearTimeout(debounceTimer);
       debounceTimer = setTimeout(async () => {
         try {
-          appendLog(`WATCHER_TRIGGER_SCAN username=${username} path=${libPath}`);
-          const scanLib = require('./lib/scan');
-          const saveScanCacheFn = (obj) => scanLib.saveScanCache(scanCacheFile, obj);
-
-          let items = [];
-          let allItemsCount = 0;
-
-          // Load prior scan cache; if empty, bootstrap from the most recent scan artifact
-          // so incremental scanning can proceed without a full filesystem walk (same logic
-          // as the manual /api/scan/incremental endpoint).
-          let prior = scanLib.loadScanCache(scanCacheFile);
-          if ((!prior || !prior.files || Object.keys(prior.files).length === 0) && scans && Object.keys(scans || {}).length) {
-            try {
-              const allScanIds = Object.keys(scans || {}).map(k => scans[k]).filter(Boolean);
-              allScanIds.sort((a, b) => (b.generatedAt || 0) - (a.generatedAt || 0));
-              const recent = allScanIds[0];
-              if (recent && Array.isArray(recent.items) && recent.items.length) {
-                const priorFiles = {};
-                for (const it of recent.items) {
-                  try {
-                    const st = fs.statSync(it.canonicalPath);
-                    priorFiles[it.canonicalPath] = { mtime: st.mtimeMs || Date.now(), size: st.size || 0, id: it.id || (String(st.size || 0) + ':' + String(Math.floor(st.mtimeMs || Date.now()))) };
-                  } catch (e) {
-                    try { priorFiles[it.canonicalPath] = { mtime: Date.now(), size: 0, id: it.id || String(Math.random()).slice(2) }; } catch (ee) {}
-                  }
-                }
-                prior = { files: priorFiles, dirs: {} };
-                try { saveScanCacheFn(prior); appendLog(`WATCHER_BOOTSTRAPPED_CACHE from_scan=${recent.id} entries=${Object.keys(priorFiles).length}`); } catch (e) {}
-              }
-            } catch (e) { /* best-effort */ }
-          }
-
-          if (!prior || !prior.files || Object.keys(prior.files).length === 0) {
-            // No prior cache at all â€” fall back to a full scan so we get everything
-            items = scanLib.fullScanLibrary(libPath, {
-              ignoredDirs: new Set(['node_modules', '.git', '.svn', '__pycache__']),
-              videoExts: ['mkv', 'mp4', 'avi', 'mov', 'm4v', 'mpg', 'mpeg', 'webm', 'wmv', 'flv', 'ts', 'ogg', 'ogv', '3gp', '3g2'],
-              canonicalize,
-              uuidv4
-            });
-            for (const it of items) doProcessParsedItem(it, { username });
-          } else {
-            // incrementalScanLibrary returns { toProcess, currentCache, removed }
-            const inc = scanLib.incrementalScanLibrary(libPath, {
-              scanCacheFile,
-              ignoredDirs: new Set(['node_modules', '.git', '.svn', '__pycache__']),
-              videoExts: ['mkv', 'mp4', 'avi', 'mov', 'm4v', 'mpg', 'mpeg', 'webm', 'wmv', 'flv', 'ts', 'ogg', 'ogv', '3gp', '3g2'],
-              canonicalize,
-              uuidv4
-            });
-            const { toProcess, currentCache, removed } = inc || {};
-
-            // Clean up enrichCache/parsedCache for removed files (don't touch applied/hidden)
-            for (const r of (removed || [])) {
-              try {
-                const e = enrichCache[r] || null;
-                if (!e || (!e.applied && !e.hidden)) delete enrichCache[r];
-                delete parsedCache[r];
-              } catch (e) {}
-            }
-
-            // Parse new/changed files so they have basic metadata
-            for (const it of (toProcess || [])) doProcessParsedItem(it, { username });
-
-            // Persist updated cache â€” must happen before buildIncrementalItems
-            if (currentCache) saveScanCacheFn(currentCache);
-
-            // Build the full item list from currentCache (all known files), prioritising
-            // new/changed entries first. NOTE: pass currentCache, NOT scanCache â€” the old
-            // code incorrectly used result.scanCache (undefined) which caused buildIncrementalItems
-            // to return only the new/changed files, missing the entire existing library.
-            items = scanLib.buildIncrementalItems(currentCache, toProcess, uuidv4);
-          }
-
-          allItemsCount = items.length;
-          const _appliedSourcesW = buildAppliedSourcesSet();
-          const filteredItems = items.filter(it => {
-            try {
-              const k = canonicalize(it.canonicalPath);
-              return !isHiddenOrAppliedPath(k) && !_appliedSourcesW.has(k);
-            } catch (e) { return true; }
-          });
-
-          const scanId = uuidv4();
-          const scanObj = { id: scanId, libraryId: 'local', items: filteredItems, generatedAt: Date.now(), incrementalScanPath: libPath, username, totalCount: filteredItems.length };
-
-          // Persist to DB (upsertScan) or JSON fallback; always keep in-memory scans map
-          // so /api/scan/latest can find it without a round-trip.
-          scans[scanId] = scanObj;
-          if (db) {
-            try { db.upsertScan(scanObj); } catch (e) {
-              appendLog(`WATCHER_DB_UPSERT_ERROR username=${username} err=${e && e.message ? e.message : String(e)}`);
-            }
-          } else {
-            writeJson(scanStoreFile, scans);
-          }
-
-          appendLog(`WATCHER_SCAN_COMPLETE username=${username} scanId=${scanId} items=${filteredItems.length} hidden_filtered=${allItemsCount - filteredItems.length}`);
-          if (typeof broadcastEvent === 'function') {
-            try { broadcastEvent('scan_updated', { scanId }); } catch(e) {}
-          }
+          appendLog(`WATCHER_TRIGGER_SCAN username=${username} library=${libraryId} path=${libPath}`);
+          await runLibraryScan(username, libPath, { kind: 'watcher', libraryId });
         } catch (err) {
-          appendLog(`WATCHER_SCAN_ERROR username=${username} err=${err && err.message ? err.message : String(err)}`);
+          appendLog(`WATCHER_SCAN_ERROR username=${username} library=${libraryId} err=${err && err.message ? err.message : String(err)}`);
         }
       }, 3000); // 3 second debounce
     };
     
     let readyTriggered = false;
     watcher.on('ready', () => {
-      try { appendLog(`WATCHER_READY username=${username} path=${libPath}`); } catch (e) {}
+      try { appendLog(`WATCHER_READY username=${username} library=${libraryId} path=${libPath}`); } catch (e) {}
       if (!readyTriggered) {
         readyTriggered = true;
         triggerIncrementalScan();
@@ -1362,49 +1468,58 @@ function startFolderWatcher(username, libPath) {
     watcher.on('unlinkDir', triggerIncrementalScan);
 
     watcher.on('error', (err) => {
-      try { appendLog(`WATCHER_ERROR username=${username} path=${libPath} err=${err && err.message ? err.message : String(err)}`); } catch (e) {}
+      try { appendLog(`WATCHER_ERROR username=${username} library=${libraryId} path=${libPath} err=${err && err.message ? err.message : String(err)}`); } catch (e) {}
       try { watcher.close(); } catch (closeErr) {}
-      if (folderWatchers[username] === watcher) delete folderWatchers[username];
-      if (isFolderWatchEnabledForUser(username)) {
+      if (folderWatchers[username] && folderWatchers[username][libraryId] === watcher) delete folderWatchers[username][libraryId];
+      if (isFolderWatchEnabledForUser(username, libraryId)) {
         setTimeout(() => {
-          if (isFolderWatchEnabledForUser(username)) startFolderWatcher(username, libPath);
+          if (isFolderWatchEnabledForUser(username, libraryId)) startFolderWatcher(username, libPath, libraryId);
         }, FOLDER_WATCH_RESTART_DELAY_MS);
       }
     });
     
-    appendLog(`WATCHER_STARTED username=${username} path=${libPath}`);
+    appendLog(`WATCHER_STARTED username=${username} library=${libraryId} path=${libPath}`);
   } catch (err) {
-    appendLog(`WATCHER_START_ERROR username=${username} path=${libPath} err=${err.message}`);
+    appendLog(`WATCHER_START_ERROR username=${username} library=${libraryId} path=${libPath} err=${err.message}`);
   }
 }
 
-// Stop watcher for a user
-function stopFolderWatcher(username) {
-  try {
-    if (folderWatchers[username]) {
-      const watcher = folderWatchers[username];
+// Stop one library's watcher for a user, or all of them when no library is given
+function stopFolderWatcher(username, libraryId = null) {
+  const byLibrary = folderWatchers[username] || {};
+  for (const id of (libraryId ? [libraryId] : Object.keys(byLibrary))) {
+    try {
+      const watcher = byLibrary[id];
+      if (!watcher) continue;
       const pathInfo = watcher && watcher.getWatched ? Object.keys(watcher.getWatched() || {}).join('|') : '';
       try { watcher.close(); } catch (e) {}
-      delete folderWatchers[username];
-      appendLog(`WATCHER_STOPPED username=${username} watched=${pathInfo || '<unknown>'}`);
+      delete byLibrary[id];
+      appendLog(`WATCHER_STOPPED username=${username} library=${id} watched=${pathInfo || '<unknown>'}`);
+    } catch (err) {
+      appendLog(`WATCHER_STOP_ERROR username=${username} library=${id} err=${err.message}`);
+    }
+  }
+}
+
+// (Re)start watchers for every library of a user after their libraries or settings change
+function restartLibraryWatchers(username) {
+  try {
+    stopFolderWatcher(username);
+    const libraries = libraryRegistry
+      ? libraryRegistry.list(username)
+      : [{ id: 'local', scan_input_path: getEffectiveScanInputPath(username) }].filter(l => l.scan_input_path);
+    for (const lib of libraries) {
+      if (isFolderWatchEnabledForUser(username, lib.id)) startFolderWatcher(username, path.resolve(lib.scan_input_path), lib.id);
     }
   } catch (err) {
-    appendLog(`WATCHER_STOP_ERROR username=${username} err=${err.message}`);
+    appendLog(`WATCHER_RESTART_ERROR username=${username} err=${err.message}`);
   }
 }
 
-// Initialize watchers for all users with scan_input_path on startup
+// Initialize watchers for all users' libraries on startup
 function initializeAllWatchers() {
   try {
-    for (const username in users) {
-      const scanPath = getEffectiveScanInputPath(username);
-      if (scanPath && isFolderWatchEnabledForUser(username)) {
-        const libPath = path.resolve(scanPath);
-        startFolderWatcher(username, libPath);
-      } else {
-        stopFolderWatcher(username);
-      }
-    }
+    for (const username in users) restartLibraryWatchers(username);
   } catch (err) {
     appendLog(`WATCHER_INIT_ALL_ERROR err=${err.message}`);
   }
@@ -1909,7 +2024,7 @@ function stripAniListSeasonSuffix(name, rawPick) {
 
 
 function httpRequest(options, body, timeoutMs = 8000) {
-  return new Promise((resolve, reject) => {
+  return fixtures.exchange('http', { host: options.hostname || options.host, method: options.method, path: options.path, body }, () => new Promise((resolve, reject) => {
     const req = https.request(options, (res) => {
       let data = '';
       res.on('data', chunk => { data += chunk; });
@@ -1919,7 +2034,7 @@ function httpRequest(options, body, timeoutMs = 8000) {
     req.setTimeout(timeoutMs, () => { req.destroy(new Error('timeout')); });
     if (body) req.write(body);
     req.end();
-  });
+  }));
 }
 
 function safeJsonParse(input) {
@@ -2086,6 +2201,13 @@ async function metaLookup(title, apiKey, opts = {}) {
   const manualTvdbType = getManualId(title, 'tvdbType') || null
   const manualAniDbEpisodeId = getManualId(title, 'anidbEpisode', opts.filePath || null)
   let manualAniDbEpisodeFetched = false
+  // Callers pass a candidateSink object to collect the runner-up series from each search
+  const candidateSink = opts && opts.candidateSink && typeof opts.candidateSink === 'object' ? opts.candidateSink : null
+  const recordCandidates = (provider, list) => {
+    if (!candidateSink) return
+    try { addCandidates(candidateSink, provider, list) } catch (e) {}
+  }
+  const tvdbCandidateHook = candidateSink ? (items) => recordCandidates('tvdb', items.map(fromTvdb)) : null
   let manualAniDbEpisodeData = null
 
   function buildManualAniDbEpisodePayload(info) {
@@ -2149,8 +2271,8 @@ async function metaLookup(title, apiKey, opts = {}) {
     }
   }
 
-  // Minimal per-host pacing to avoid hammering external APIs
-  const hostPace = { 'graphql.anilist.co': 250, 'kitsu.io': 250, 'api.themoviedb.org': 300, 'en.wikipedia.org': 300 } // ms
+  // Minimal per-host pacing to avoid hammering external APIs, from each plugin's rate-limit policy
+  const hostPace = providerRegistry.hostPacing() // ms
   const lastRequestAt = metaLookup._lastRequestAt = metaLookup._lastRequestAt || {}
   async function pace(host) {
     const now = Date.now()
@@ -2326,7 +2448,7 @@ async function metaLookup(title, apiKey, opts = {}) {
         return module.exports._test._httpRequest(options, body, timeoutMs)
       }
     } catch (e) { /* ignore and continue with real httpRequest */ }
-    return new Promise((resolve, reject) => {
+    return fixtures.exchange('http', { host: options.hostname || options.host, method: options.method, path: options.path, body }, () => new Promise((resolve, reject) => {
       let timed = false
       const req = https.request(options, (res) => {
         let sb = ''
@@ -2340,7 +2462,7 @@ async function metaLookup(title, apiKey, opts = {}) {
       req.setTimeout(timeoutMs, () => { timed = true; try{ req.destroy() }catch(e){}; reject(new Error('timeout')) })
       if (body) req.write(body)
       req.end()
-    })
+    }))
   }
 
   // AniList GraphQL search
@@ -2349,7 +2471,7 @@ async function metaLookup(title, apiKey, opts = {}) {
       await pace('graphql.anilist.co')
       // Request relations/season/seasonYear so we can prefer season-specific media when available
       // Include relation edges with relationType to identify parent/prequel relationships
-      const query = `query ($search: String) { Page(page:1, perPage:8) { media(search: $search, type: ANIME) { id title { romaji english native } format episodes startDate { year } season seasonYear nextAiringEpisode { episode airingAt } relations { edges { relationType node { id title { romaji english native } format episodes } } } } } }`;
+      const query = `query ($search: String) { Page(page:1, perPage:8) { media(search: $search, type: ANIME) { id title { romaji english native } format episodes startDate { year } season seasonYear coverImage { medium } nextAiringEpisode { episode airingAt } relations { edges { relationType node { id title { romaji english native } format episodes } } } } } }`;
       // If the caller provided a season, try an AniList text search that includes the season (e.g. "Title Season 1")
       const wantedSeason = (opts && typeof opts.season !== 'undefined' && opts.season !== null) ? Number(opts.season) : null
       const baseQuery = String(q || '').trim()
@@ -2433,6 +2555,7 @@ async function metaLookup(title, apiKey, opts = {}) {
           if (!items || !items.length) return null
   // select preferred title: english -> romaji -> native
   items.sort((a,b)=> (wordOverlap(String(b.title.english||b.title.romaji||b.title.native||''), String(q)) - wordOverlap(String(a.title.english||a.title.romaji||a.title.native||''), String(q))));
+  recordCandidates('anilist', items.map(fromAniList))
   // If a season was requested, try to find a media entry or a related node that explicitly mentions that season number
   // or season-year. AniList's `season` field is an enum (e.g. "SUMMER") and not a numeric season index, but
   // AniList exposes `seasonYear` which we can compare against the requested year. We also fall back to extracting
@@ -2891,6 +3014,7 @@ async function metaLookup(title, apiKey, opts = {}) {
         return null
       }
       
+      recordCandidates('tmdb', hits.map(h => fromTmdb(h, searchType)))
       const top = hits[0]
       let name = top.name || top.original_name || top.title || top.original_title || null
       // Strip colon before Part N in movie titles
@@ -3527,7 +3651,8 @@ async function metaLookup(title, apiKey, opts = {}) {
           const tvdbEpisode = await tvdb.fetchEpisode(tvdbCreds, uniqueTitleVariants, tvdbSeason, opts.episode, {
             log: (line) => {
               try { appendLog(line) } catch (e) {}
-            }
+            },
+            onCandidates: tvdbCandidateHook
           });
           if (tvdbEpisode && tvdbEpisode.episodeTitle) {
             // Extract year from seriesFirstAired
@@ -3766,7 +3891,8 @@ async function metaLookup(title, apiKey, opts = {}) {
             const tvdbEpisode = await tvdb.fetchEpisode(tvdbCreds, uniqueTitleVariantsP, opts.season, opts.episode, {
               log: (line) => {
                 try { appendLog(line) } catch (e) {}
-              }
+              },
+              onCandidates: tvdbCandidateHook
             });
             if (tvdbEpisode && tvdbEpisode.episodeTitle) {
               // Extract year from seriesFirstAired
@@ -3951,7 +4077,8 @@ async function metaLookup(title, apiKey, opts = {}) {
       const tvdbFallback = await tvdb.fetchEpisode(tvdbCreds, fallbackCandidates, opts.season, opts.episode, {
         log: (line) => {
           try { appendLog(line) } catch (e) {}
-        }
+        },
+        onCandidates: tvdbCandidateHook
       })
       if (tvdbFallback && tvdbFallback.episodeTitle) {
         const providerRaw = { source: 'tvdb', id: tvdbFallback.seriesId, seriesName: tvdbFallback.seriesName, raw: tvdbFallback.raw }
@@ -4142,6 +4269,29 @@ async function metaLookup(title, apiKey, opts = {}) {
 
 // ...existing code...
 
+// Names without a resolution or video codec get them from ffprobe (once per file) for the
+// {resolution} and {codec} template tokens
+async function attachMediaInfo(canonicalPath, result) {
+  if (!result || typeof result !== 'object' || !canonicalPath) return result;
+  try {
+    const fromName = releaseInfo.parseReleaseInfo(canonicalPath);
+    if (fromName.resolution && fromName.videoCodec) return result;
+    const cached = enrichCache[canonicalPath] && enrichCache[canonicalPath].mediaInfo;
+    if (cached) {
+      result.mediaInfo = cached;
+      return result;
+    }
+    if (!fs.existsSync(canonicalPath)) return result;
+    const probed = await fileQuality.probe(execFile, canonicalPath);
+    if (!probed) return result;
+    result.mediaInfo = releaseInfo.fromProbe(probed);
+    appendLog(`MEDIA_INFO_PROBED path=${canonicalPath} resolution=${result.mediaInfo.resolution || ''} codec=${result.mediaInfo.videoCodec || ''}`);
+  } catch (e) {
+    appendLog(`MEDIA_INFO_PROBE_FAIL path=${canonicalPath} err=${e && e.message ? e.message : String(e)}`);
+  }
+  return result;
+}
+
 async function externalEnrich(canonicalPath, providedKey, opts = {}) {
   try {
     console.log('DEBUG: externalEnrich START path=', canonicalPath, 'providedKeyPresent=', !!providedKey);
@@ -4149,7 +4299,7 @@ async function externalEnrich(canonicalPath, providedKey, opts = {}) {
   
   try {
     // Main function body wrapped in try-catch to prevent crashes
-    return await _externalEnrichImpl(canonicalPath, providedKey, opts);
+    return await attachMediaInfo(canonicalPath, await _externalEnrichImpl(canonicalPath, providedKey, opts));
   } catch (fatalErr) {
     console.error('[Server] FATAL ERROR in externalEnrich:', fatalErr);
     try {
@@ -4215,6 +4365,12 @@ async function _externalEnrichImpl(canonicalPath, providedKey, opts = {}) {
   let attemptedProvider = false;
   let providerResult = null;
   let providerError = null;
+  // Lookups tried and the one that answered, for the confidence explanation
+  const lookupQueries = [];
+  let matchedQuery = null;
+  let usedParentFallback = false;
+  // Runner-up series per provider, offered in the candidate picker
+  const matchCandidates = {};
   let movieSignal = false;
   let seriesSignal = false;
   let detectedMediaFormat = null;
@@ -4257,6 +4413,8 @@ async function _externalEnrichImpl(canonicalPath, providedKey, opts = {}) {
 
   // split series and episode title heuristically
   let seriesName = parsed.title || parsed.parsedName || base
+  // Download-client imports can name the series outright (see lib/import.js)
+  if (opts && opts.seriesHint && String(opts.seriesHint).trim()) seriesName = String(opts.seriesHint).trim()
   let episodeTitle = parsed.episodeTitle || ''
 
   const seriesTitleCandidates = []
@@ -4425,7 +4583,7 @@ async function _externalEnrichImpl(canonicalPath, providedKey, opts = {}) {
   let seriesLookupTitle = seriesName
   // determine username (if provided) so we can honor per-user default provider and track fallback counts
   const username = opts && opts.username ? opts.username : null
-  const providerOrder = resolveMetadataProviderOrder(username)
+  const providerOrder = resolveMetadataProviderOrder(username, canonicalPath)
   if (providerOrder && providerOrder.length) {
     attemptedProvider = true;
     let res = null;
@@ -4481,7 +4639,7 @@ async function _externalEnrichImpl(canonicalPath, providedKey, opts = {}) {
   // perform name-based matching against TMDb's season-0 specials list. However
   // keep the parsed episode/season locally so the UI and hardlink names still
   // reflect the filename-derived numbers.
-  const metaOpts = { year: parsed.year, parsedEpisodeTitle: episodeTitle, parentCandidate: parentCandidate, parentPath, force: (opts && opts.force) ? true : false };
+  const metaOpts = { year: parsed.year, parsedEpisodeTitle: episodeTitle, parentCandidate: parentCandidate, parentPath, force: (opts && opts.force) ? true : false, candidateSink: matchCandidates };
   if (opts && opts.tvdbOverride) metaOpts.tvdbOverride = opts.tvdbOverride;
   // include requesting username so metaLookup may use per-user keys
   if (opts && opts.username) metaOpts.username = opts.username
@@ -4511,6 +4669,10 @@ async function _externalEnrichImpl(canonicalPath, providedKey, opts = {}) {
   } catch (manualIdErr) {
     console.error('[Server] Failed to check manual AniDB episode ID:', manualIdErr);
   }
+  // Lets the AniDB segment take the AID from the offline titles index (or an import's hint) before hashing the file
+  metaLookupOpts.resolveAnidbAid = opts && opts.anidbAid
+    ? () => ({ aid: opts.anidbAid, score: 1 })
+    : (lookupTitle, resolveOpts) => anidbTitleIndex.resolve(lookupTitle, resolveOpts);
 
   let sanitizedOrder = Array.isArray(providerOrder) ? providerOrder.filter(id => METADATA_PROVIDER_IDS.includes(id)) : [];
   // If skipAnimeProviders is enabled, filter out anidb and anilist from the provider order
@@ -4521,12 +4683,13 @@ async function _externalEnrichImpl(canonicalPath, providedKey, opts = {}) {
   const segments = [];
   let pendingMetaProviders = [];
   for (const providerId of sanitizedOrder) {
-    if (providerId === 'anidb') {
+    if (providerId === 'anidb' || !providerRegistry.isBuiltin(providerId)) {
       if (pendingMetaProviders.length) {
         segments.push({ type: 'meta', providers: pendingMetaProviders.slice() });
         pendingMetaProviders = [];
       }
-      segments.push({ type: 'anidb' });
+      // Installed plugins are looked up on their own, at their place in the order
+      segments.push(providerId === 'anidb' ? { type: 'anidb' } : { type: 'plugin', provider: providerId });
     } else {
       pendingMetaProviders.push(providerId);
     }
@@ -4535,7 +4698,7 @@ async function _externalEnrichImpl(canonicalPath, providedKey, opts = {}) {
     segments.push({ type: 'meta', providers: pendingMetaProviders.slice() });
   }
 
-  const combinedMetaProviders = sanitizedOrder.filter(id => id !== 'anidb');
+  const combinedMetaProviders = sanitizedOrder.filter(id => id !== 'anidb' && providerRegistry.isBuiltin(id));
   const realPath = canonicalPath;
   const anidbAvailable = anidbCreds.hasCredentials && realPath && fs.existsSync(realPath);
   let anidbAttempted = false;
@@ -4558,6 +4721,7 @@ async function _externalEnrichImpl(canonicalPath, providedKey, opts = {}) {
           console.error('[Server] Failed to log ANIDB_LOOKUP_START:', logErr.message);
         }
         const timeoutMs = 180000; // 3 minutes to allow for large file hashing on network drives
+        lookupQueries.push({ providers: ['anidb'], query: seriesLookupTitle });
         const anidbPromise = lookupMetadataWithAniDB(realPath, seriesLookupTitle, metaLookupOpts, opts.forceHash || opts.force);
         const timeoutPromise = new Promise((_, reject) => {
           setTimeout(() => {
@@ -4571,6 +4735,7 @@ async function _externalEnrichImpl(canonicalPath, providedKey, opts = {}) {
           console.error('[Server] Failed to log ANIDB_LOOKUP_RESULT:', logErr.message);
         }
         if (res) {
+          matchedQuery = seriesLookupTitle;
           console.log('[Server] AniDB lookup succeeded:', res.name || 'no-name');
           
           // After successful AniDB lookup, query AniList for relationship information
@@ -4604,15 +4769,25 @@ async function _externalEnrichImpl(canonicalPath, providedKey, opts = {}) {
           console.error('[Server] Failed to log ANIDB_LOOKUP_ERROR:', logErr.message);
         }
       }
+    } else if (segment.type === 'plugin') {
+      try {
+        lookupQueries.push({ providers: [segment.provider], query: seriesLookupTitle });
+        res = await providerRegistry.lookup(segment.provider, { title: seriesLookupTitle, season: normSeason, episode: normEpisode, filePath: realPath }, { username: opts && opts.username });
+        try { appendLog(`PLUGIN_LOOKUP_RESULT provider=${segment.provider} found=${!!res}`); } catch (e) {}
+        if (res) { matchedQuery = seriesLookupTitle; break; }
+      } catch (pluginErr) {
+        try { appendLog(`PLUGIN_LOOKUP_ERROR provider=${segment.provider} error=${pluginErr.message || String(pluginErr)}`); } catch (e) {}
+      }
     } else if (segment.type === 'meta') {
       const metaProviders = segment.providers.filter(p => p !== 'anidb');
       if (!metaProviders.length) continue;
       try { appendLog(`METALOOKUP_SEGMENT_START providers=${metaProviders.join('|')} title=${seriesLookupTitle}`); } catch (e) {}
       try {
         const segmentOpts = Object.assign({}, metaOpts, { providerOrder: metaProviders });
+        lookupQueries.push({ providers: metaProviders, query: seriesLookupTitle });
         res = await metaLookup(seriesLookupTitle, tmdbKey, segmentOpts);
         try { appendLog(`METALOOKUP_SEGMENT_RESULT providers=${metaProviders.join('|')} found=${!!res}`); } catch (e) {}
-        if (res) break;
+        if (res) { matchedQuery = seriesLookupTitle; break; }
       } catch (metaErr) {
         console.error('[Server] metaLookup segment failed:', metaErr);
         try { appendLog(`METALOOKUP_SEGMENT_ERROR providers=${metaProviders.join('|')} error=${metaErr.message || String(metaErr)}`); } catch (e) {}
@@ -4638,10 +4813,13 @@ async function _externalEnrichImpl(canonicalPath, providedKey, opts = {}) {
       // so TMDb will perform an episode-level lookup once the series is matched.
   const parentMetaOpts = Object.assign({}, metaOpts || {}, { season: normSeason, episode: normEpisode, parentCandidate: parentCandidate, parentPath: parentPath, _parentDirect: true, providerOrder: combinedMetaProviders });
       try { appendLog(`META_PARENT_FALLBACK invoking metaLookup parentCandidate=${parentCandidate} optsSeason=${parentMetaOpts.season != null ? parentMetaOpts.season : '<none>'} optsEpisode=${parentMetaOpts.episode != null ? parentMetaOpts.episode : '<none>'}`) } catch (e) {}
+      lookupQueries.push({ providers: combinedMetaProviders, query: parentCandidate })
       const pRes = await metaLookup(parentCandidate, tmdbKey, parentMetaOpts)
       if (pRes) {
         try { appendLog(`META_PARENT_FALLBACK success parentCandidate=${parentCandidate}`) } catch (e) {}
         res = pRes
+        matchedQuery = parentCandidate
+        usedParentFallback = true
       } else {
         try { appendLog(`META_PARENT_FALLBACK none parentCandidate=${parentCandidate}`) } catch (e) {}
       }
@@ -5380,6 +5558,23 @@ async function _externalEnrichImpl(canonicalPath, providedKey, opts = {}) {
     appendLog(_dbg);
   } catch (e) { /* ignore logging failure */ }
 
+  const confidence = scoreMatch({
+    provider: providerResult && providerResult.provider ? providerResult.provider : null,
+    source: guess.source || null,
+    matched: !!(providerResult && providerResult.name),
+    manualId: resolveMatchManualId(providerResult, matchedQuery, canonicalPath),
+    queries: lookupQueries,
+    query: matchedQuery,
+    titles: providerResult ? [providerResult.name, guess.seriesTitleEnglish, guess.seriesTitleRomaji, guess.seriesTitleExact, guess.originalSeriesTitle] : [],
+    parentFallback: usedParentFallback,
+    parsedYear: parsed.year || null,
+    matchedYear: guess.year || null,
+    parsedEpisode: normEpisode != null ? normEpisode : null,
+    episodeCount: providerResult ? episodeCountFromRaw(providerResult.raw) : null,
+    hasEpisodeTitle: guess.isMovie === true || guess.episode == null ? null : !!(guess.episodeTitle && String(guess.episodeTitle).trim())
+  });
+  try { appendLog(`META_CONFIDENCE path=${canonicalPath} score=${confidence.score} method=${confidence.method} provider=${confidence.provider || '<none>'}`) } catch (e) {}
+
   return {
     sourceId: 'mock:1',
     title: guess.title || base,
@@ -5406,9 +5601,23 @@ async function _externalEnrichImpl(canonicalPath, providedKey, opts = {}) {
     extraGuess: buildExtraGuessSnapshot(guess),
     parentSeriesTitle: guess.parentSeriesTitle || null,
     childSeriesTitle: guess.childSeriesTitle || null,
+    confidence,
+    candidates: Object.keys(matchCandidates).length ? matchCandidates : null,
   };
 }
 
+// The manual ID metaLookup would have honoured for the query that produced this match
+function resolveMatchManualId(providerResult, query, filePath) {
+  try {
+    if (!providerResult || !query) return null;
+    const provider = providerResult.provider;
+    const kind = provider === 'anidb' ? 'anidbEpisode' : provider;
+    if (!['anidbEpisode', 'anilist', 'tmdb', 'tvdb'].includes(kind)) return null;
+    const id = getManualId(query, kind, kind === 'anidbEpisode' ? filePath : null);
+    return id ? { provider: kind, id: String(id) } : null;
+  } catch (e) { return null; }
+}
+
 // Normalize path canonicalization (simple lower-case, resolve)
 function canonicalize(p) {
   return path.resolve(p).replace(/\\/g, '/');
@@ -5429,7 +5638,7 @@ function isProviderComplete(provider) {
 function renderCustomMetadataName(data, session) {
   try {
     const userTemplate = (session && session.username && users[session.username] && users[session.username].settings && users[session.username].settings.rename_template) ? users[session.username].settings.rename_template : null;
-    const baseNameTemplate = userTemplate || serverSettings.rename_template || '{title} ({year}) - {epLabel} - {episodeTitle}';
+    const baseNameTemplate = userTemplate || serverSettings.rename_template || DEFAULT_FILE_TEMPLATE;
     
     // Use the title provided by user, apply title casing if all-caps
     let cleanTitle = String(data.title || '').trim();
@@ -5458,13 +5667,14 @@ function renderCustomMetadataName(data, session) {
     const yearStr = data.year ? String(data.year).trim() : '';
     
     // Build rendered name from template
-    const rendered = String(baseNameTemplate)
-      .replace('{title}', sanitize(cleanTitle))
-      .replace('{year}', sanitize(yearStr))
-      .replace('{epLabel}', sanitize(epLabel))
-      .replace('{episodeTitle}', sanitize(cleanEpisodeTitle))
-      .replace('{season}', data.season != null ? String(data.season) : '')
-      .replace('{episode}', data.episode != null ? String(data.episode) : '')
+    const rendered = renderTemplate(baseNameTemplate, {
+      title: cleanTitle,
+      year: yearStr,
+      epLabel,
+      episodeTitle: cleanEpisodeTitle,
+      season: data.season != null ? String(data.season) : '',
+      episode: data.episode != null ? String(data.episode) : ''
+    }, { sanitize })
       .replace(/\s*-\s*-\s*/g, ' - ')  // collapse double separators
       .replace(/\s+-\s*$/g, '')  // remove trailing separator
       .replace(/\s+/g, ' ')  // normalize whitespace
@@ -5626,7 +5836,7 @@ function sanitizeMetadataProviderOrder(value) {
   }
 }
 
-function resolveMetadataProviderOrder(username) {
+function resolveMetadataProviderOrder(username, filePath) {
   const tryLoad = (source) => {
     if (!source) return null;
     if (source.metadata_provider_order != null) return sanitizeMetadataProviderOrder(source.metadata_provider_order);
@@ -5634,6 +5844,12 @@ function resolveMetadataProviderOrder(username) {
     return null;
   };
   try {
+    // The library a file lives in can prefer its own providers (e.g. AniDB first for anime)
+    const libraryOrder = filePath && libraryRegistry ? libraryRegistry.override(username, filePath, 'metadata_provider_order') : undefined;
+    if (libraryOrder) {
+      const order = sanitizeMetadataProviderOrder(libraryOrder);
+      if (order.length) return order;
+    }
     if (username && users[username] && users[username].settings) {
       const userOrder = tryLoad(users[username].settings);
       if (userOrder && userOrder.length) return userOrder;
@@ -5704,16 +5920,18 @@ function doProcessParsedItem(it, session) {
         if (parsed.episodeRange) parsedEpLabel = parsed.season != null ? `S${pad(parsed.season)}E${parsed.episodeRange}` : `E${parsed.episodeRange}`
         else if (parsed.episode != null) parsedEpLabel = parsed.season != null ? `S${pad(parsed.season)}E${pad(parsed.episode)}` : `E${pad(parsed.episode)}`
         const titleToken = cleanTitleForRender(parsed.title || '', parsedEpLabel, '');
-        const nameWithoutExtRaw = String(baseNameTemplate)
-          .replace('{title}', sanitize(titleToken))
-          .replace('{basename}', sanitize(path.basename(key, path.extname(key))))
-          .replace('{year}', parsed.year || '')
-          .replace('{epLabel}', sanitize(parsedEpLabel))
-          .replace('{episodeTitle}', '')
-          .replace('{season}', parsed.season != null ? String(parsed.season) : '')
-          .replace('{episode}', parsed.episode != null ? String(parsed.episode) : '')
-          .replace('{episodeRange}', parsed.episodeRange || '')
-          .replace('{tmdbId}', '')
+        const nameWithoutExtRaw = renderTemplate(baseNameTemplate, {
+          title: titleToken,
+          basename: path.basename(key, path.extname(key)),
+          year: parsed.year || '',
+          epLabel: parsedEpLabel,
+          episodeTitle: '',
+          season: parsed.season != null ? String(parsed.season) : '',
+          episode: parsed.episode != null ? String(parsed.episode) : '',
+          episodeRange: parsed.episodeRange || '',
+          tmdbId: '',
+          ...releaseInfo.releaseTokens(key, enrichCache[key] && enrichCache[key].mediaInfo)
+        }, { sanitize })
         let parsedRendered = String(nameWithoutExtRaw).replace(/\s{2,}/g, ' ').trim();
         try { parsedRendered = parsedRendered.replace(/\s*\(\s*\)\s*/g, '').replace(/\s*[-â€“â€”]\s*$/g, '').replace(/\s{2,}/g, ' ').trim(); } catch (e) {}
         const parsedBlock = { title: parsed.title, parsedName: parsedRendered, season: parsed.season, episode: parsed.episode, episodeRange: parsed.episodeRange || null, timestamp: now };
@@ -5734,110 +5952,24 @@ function doProcessParsedItem(it, session) {
   } catch (e) { appendLog(`PARSE_ITEM_FAIL path=${it && it.canonicalPath} err=${e && e.message ? e.message : String(e)}`) }
 }
 
-// Background enricher: enrich up to first N candidates, update caches and write progress
-async function backgroundEnrichFirstN(scanId, enrichCandidates, session, libPath, lockKey, N = 12) {
-  try {
-    const first = (enrichCandidates && Array.isArray(enrichCandidates) ? enrichCandidates : (scans[scanId] && scans[scanId].items) || []).slice(0, N);
-    const username = session && session.username;
-    let tmdbKey = null;
-    try { if (username && users[username] && users[username].settings && users[username].settings.tmdb_api_key) tmdbKey = users[username].settings.tmdb_api_key; else if (serverSettings && serverSettings.tmdb_api_key) tmdbKey = serverSettings.tmdb_api_key; } catch (e) { tmdbKey = null }
-    const refreshProgressKey = `refreshScan:${scanId}`;
-    try { refreshProgress[refreshProgressKey] = { processed: 0, total: first.length, lastUpdated: Date.now(), status: 'running' }; } catch (e) {}
-    for (const it of first) {
-      try {
-        const key = canonicalize(it.canonicalPath);
-        const existing = enrichCache[key] || null;
-        const prov = existing && existing.provider ? existing.provider : null;
-        if (isProviderComplete(prov)) { continue; }
-        if (existing && existing.providerFailure) {
-          try { appendLog(`BACKGROUND_ENRICH_SKIP_FAILURE path=${key}`); } catch (e) {}
-          continue;
-        }
-        // If the user's provider order prefers AniDB first, force computing ED2K hash
-        const _providerOrder = resolveMetadataProviderOrder(username);
-        const _forceHashForAniDB = (_providerOrder && _providerOrder.length && _providerOrder[0] === 'anidb');
-        const _opts = Object.assign({}, { username });
-        if (_forceHashForAniDB) _opts.forceHash = true;
-        const data = await externalEnrich(key, tmdbKey, _opts);
-        if (!data) { continue; }
-        try {
-          const providerRendered = renderProviderName(data, key, session);
-          const providerRaw = cloneProviderRaw(extractProviderRaw(data));
-          const providerBlock = { 
-            title: data.title, 
-            year: data.year, 
-            season: data.season, 
-            episode: data.episode, 
-            episodeTitle: data.episodeTitle || '', 
-            raw: providerRaw, 
-            renderedName: providerRendered, 
-            matched: !!data.title,
-            source: data.source || (data.provider && data.provider.source) || null,
-            seriesTitleEnglish: data.seriesTitleEnglish || null,
-            seriesTitleRomaji: data.seriesTitleRomaji || null,
-            seriesTitleExact: data.seriesTitleExact || null,
-            originalSeriesTitle: data.originalSeriesTitle || null
-          };
-          try { logMissingEpisodeTitleIfNeeded(key, providerBlock) } catch (e) {}
-          // Merge entire data object to preserve seriesTitleEnglish, seriesTitleRomaji, etc.
-          updateEnrichCache(key, Object.assign({}, enrichCache[key] || {}, data, { provider: providerBlock, sourceId: 'provider', cachedAt: Date.now() }));
-        } catch (e) {
-          updateEnrichCache(key, Object.assign({}, enrichCache[key] || {}, data, { sourceId: 'provider', cachedAt: Date.now() }));
-        }
-        try { if (db) db.setKV('enrichCache', enrichCache); else writeJson(enrichStoreFile, enrichCache); } catch (e) {}
-        try { if (refreshProgress[refreshProgressKey]) { refreshProgress[refreshProgressKey].processed += 1; refreshProgress[refreshProgressKey].lastUpdated = Date.now(); } } catch (e) {}
-      } catch (e) { appendLog(`BACKGROUND_ENRICH_FAIL path=${it && it.canonicalPath} err=${e && e.message ? e.message : String(e)}`); }
-    }
-    try { if (refreshProgress[refreshProgressKey]) { refreshProgress[refreshProgressKey].status = 'complete'; refreshProgress[refreshProgressKey].lastUpdated = Date.now(); } setTimeout(() => { try { delete refreshProgress[refreshProgressKey]; } catch (e) {} }, 30*1000) } catch (e) {}
-    // release lock and persist scans after enrichment
-    try { activeScans.delete(lockKey); appendLog(`SCAN_LOCK_RELEASED path=${libPath}`); } catch (e) {}
-    try {
-      const modified = [];
-      const sids = Object.keys(scans || {});
-      const _appliedSourcesBg = buildAppliedSourcesSet();
-      for (const sid of sids) {
-        try {
-          const s = scans[sid];
-          if (!s || !Array.isArray(s.items)) continue;
-          const before = s.items.length;
-          s.items = s.items.map(it => (it && it.canonicalPath) ? Object.assign({}, it) : it).filter(it => {
-            try {
-              const k = canonicalize(it.canonicalPath);
-              if (isHiddenOrAppliedPath(k) || _appliedSourcesBg.has(k)) return false;
-              try { it.enrichment = enrichCache[k] || null } catch (ee) { it.enrichment = null }
-              return true;
-            } catch (e) { return true }
-          });
-          if (s.items.length !== before) { s.totalCount = s.items.length; modified.push(sid); } else {
-            let anySnapshot = false; for (const it of s.items) { try { if (it && it.enrichment) { anySnapshot = true; break } } catch (e) {} }
-            if (anySnapshot) modified.push(sid);
-          }
-        } catch (e) {}
-      }
-  if (modified.length) { try { if (db) db.saveScansObject(scans); else writeJson(scanStoreFile, scans); appendLog(`POST_BACKGROUND_ENRICH_SCANS_UPDATED ids=${modified.join(',')}`) } catch (e) {} }
-    // Notify clients that scans were updated so UI can reconcile without manual refresh
-    try {
-      if (modified && modified.length && Array.isArray(hideEvents)) {
-        const evt = { ts: Date.now(), path: libPath || null, originalPath: libPath || null, modifiedScanIds: modified.map(String) };
-        hideEvents.push(evt);
-        try { if (db) db.setHideEvents(hideEvents); } catch (e) {}
-        // keep recent events bounded
-        if (hideEvents.length > 200) hideEvents.splice(0, hideEvents.length - 200);
-        appendLog(`HIDE_EVENTS_PUSH_BY_BACKGROUND_ENRICH ids=${modified.join(',')}`);
-        if (typeof broadcastEvent === 'function') {
-          try { broadcastEvent('scan_updated', {}); } catch(e) {}
-        }
-      }
-    } catch (e) {}
-    } catch (e) {}
-  } catch (e) { appendLog(`BACKGROUND_FIRSTN_ENRICH_FAIL scan=${scanId} err=${e && e.message ? e.message : String(e)}`); }
-}
 // â”€â”€â”€ Server-Sent Events (SSE) â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
 const sseClients = new Set();
+// Set once ctx exists; outgoing webhooks receive the same events as SSE clients
+let webhookDispatcher = null;
+// Per-user path mapping (lib/path-mapping.js); SSE payloads are rewritten per client
+let pathMapper = null;
 function broadcastEvent(type, payload) {
   const data = JSON.stringify({ type, payload });
   for (const client of sseClients) {
-    try { client.res.write(`data: ${data}\n\n`); } catch(e) {}
+    try {
+      const mapped = pathMapper && pathMapper.hasMappings(client.username)
+        ? JSON.stringify({ type, payload: pathMapper.externalize(client.username, payload) })
+        : data;
+      client.res.write(`data: ${mapped}\n\n`);
+    } catch(e) {}
+  }
+  if (webhookDispatcher) {
+    try { webhookDispatcher.dispatch(type, payload); } catch (e) {}
   }
 }
 
@@ -5922,7 +6054,7 @@ function renderProviderName(data, fromPath, session) {
     const userTemplate = (session && session.username && users[session.username] && users[session.username].settings && users[session.username].settings.rename_template)
       ? users[session.username].settings.rename_template
       : null;
-    const baseNameTemplate = userTemplate || serverSettings.rename_template || '{title} ({year}) - {epLabel} - {episodeTitle}';
+    const baseNameTemplate = userTemplate || serverSettings.rename_template || DEFAULT_FILE_TEMPLATE;
 
     function pad(n) { return String(n).padStart(2, '0'); }
 
@@ -5980,15 +6112,18 @@ function renderProviderName(data, fromPath, session) {
 
     const titleToken = isMovie ? rawTitle : cleanTitleForRender(rawTitle, epLabel, episodeTitle);
 
-    let rendered = String(baseNameTemplate)
-      .replace('{title}', sanitize(titleToken))
-      .replace('{basename}', sanitize(path.basename(fromPath || '', path.extname(fromPath || ''))))
-      .replace('{year}', sanitize(templateYear || ''))
-      .replace('{epLabel}', sanitize(epLabel || ''))
-      .replace('{episodeTitle}', sanitize(episodeTitle || ''))
-      .replace('{season}', data.season != null ? String(data.season) : '')
-      .replace('{episode}', data.episode != null ? String(data.episode) : '')
-      .replace('{episodeRange}', data.episodeRange || '');
+    let rendered = renderTemplate(baseNameTemplate, {
+      title: titleToken,
+      basename: path.basename(fromPath || '', path.extname(fromPath || '')),
+      year: templateYear || '',
+      epLabel: epLabel || '',
+      episodeTitle: episodeTitle || '',
+      season: data.season != null ? String(data.season) : '',
+      episode: data.episode != null ? String(data.episode) : '',
+      episodeRange: data.episodeRange || '',
+      tmdbId: (data.tmdb && data.tmdb.raw && (data.tmdb.raw.id || data.tmdb.raw.seriesId)) ? String(data.tmdb.raw.id || data.tmdb.raw.seriesId) : '',
+      ...releaseInfo.releaseTokens(fromPath || '', data.mediaInfo)
+    }, { sanitize });
 
     rendered = String(rendered)
       .replace(/\s*\(\s*\)\s*/g, '')
@@ -6176,16 +6311,18 @@ function generatePlanForItem(it, { username, effectiveOutput, applyFilenameAsTit
   }
   if (!nameWithoutExtRaw) {
     const titleForFilename = (isMovie === true) ? title : stripSeasonNumberSuffix(title);
-    nameWithoutExtRaw = baseNameTemplate
-  .replace('{title}', sanitize(titleForFilename))
-      .replace('{basename}', sanitize(path.basename(key, path.extname(key))))
-  .replace('{year}', sanitize(templateYear))
-      .replace('{epLabel}', sanitize(epLabel))
-      .replace('{episodeTitle}', sanitize(episodeTitleToken))
-      .replace('{season}', sanitize(seasonToken))
-      .replace('{episode}', sanitize(episodeToken))
-      .replace('{episodeRange}', sanitize(episodeRangeToken))
-  .replace('{tmdbId}', sanitize(tmdbIdToken));
+    nameWithoutExtRaw = renderTemplate(baseNameTemplate, {
+      title: titleForFilename,
+      basename: path.basename(key, path.extname(key)),
+      year: templateYear,
+      epLabel,
+      episodeTitle: episodeTitleToken,
+      season: seasonToken,
+      episode: episodeToken,
+      episodeRange: episodeRangeToken,
+      tmdbId: tmdbIdToken,
+      ...releaseInfo.releaseTokens(fromPath, meta.mediaInfo)
+    }, { sanitize });
   }
   if (!nameWithoutExtRaw && filenameBase) {
     nameWithoutExtRaw = filenameBase;
@@ -6622,6 +6759,7 @@ function updateEnrichCache(key, nextObj) {
     }
     const normalized = normalizeEnrichEntry(merged);
     enrichCache[key] = preserveAppliedFlags(prev, normalized);
+    if (searchIndex && !cacheWritesHeld) searchIndex.update(key);
     try { schedulePersistEnrichCache(50); } catch (e) {}
     return enrichCache[key];
   } catch (e) {
@@ -6633,6 +6771,7 @@ function updateEnrichCache(key, nextObj) {
 const dirtyEnrichKeys = new Set();
 let _enrichPersistTimeout = null;
 function persistEnrichCacheNow() {
+  if (cacheWritesHeld) return;
   try {
     const cacheSize = Object.keys(enrichCache || {}).length;
     if (db) {
@@ -6660,7 +6799,61 @@ function persistEnrichCacheNow() {
   try { if (_enrichPersistTimeout) { clearTimeout(_enrichPersistTimeout); _enrichPersistTimeout = null; } } catch (e) {}
 }
 
+// Another process (the CLI) may save enrichments and scans to the same database. Reload what it
+// wrote so this process neither serves stale rows nor overwrites them on its next persist.
+const storeSyncStartedAt = Date.now();
+const STORE_SYNC_INTERVAL_MS = 5000;
+function syncStoreFromOtherProcesses() {
+  if (!db) return { enrichments: 0, scans: [] };
+  const { lastId, paths } = db.getEnrichmentChangesSince(enrichChangeCursor);
+  enrichChangeCursor = lastId;
+  const changed = paths.filter(p => !dirtyEnrichKeys.has(p));
+  if (changed.length) {
+    const rows = db.loadEnrichments(changed);
+    const changedSet = new Set(changed);
+    for (const rk of Object.keys(renderedIndex)) {
+      const entry = renderedIndex[rk];
+      if (entry && entry.source && changedSet.has(canonicalize(entry.source))) delete renderedIndex[rk];
+    }
+    for (const key of changed) {
+      const row = rows[key];
+      if (searchIndex) searchIndex.update(key);
+      if (!row) { delete enrichCache[key]; continue; }
+      enrichCache[key] = row;
+      if (row.applied && row.appliedTo) {
+        renderedIndex[canonicalize(row.appliedTo)] = {
+          source: key,
+          renderedName: row.renderedName || path.basename(row.appliedTo),
+          appliedTo: row.appliedTo,
+          metadataFilename: row.metadataFilename || null,
+          provider: row.provider || null,
+          parsed: row.parsed || null
+        };
+      }
+    }
+  }
+  const added = [];
+  for (const header of db.listScanHeaders()) {
+    if (scans[header.id] || (header.generatedAt || 0) < storeSyncStartedAt) continue;
+    const scan = db.loadScan(header.id);
+    if (scan) { scans[header.id] = scan; added.push(header.id); }
+  }
+  if (changed.length || added.length) {
+    appendLog(`STORE_SYNC enrichments=${changed.length} scans=${added.length}`);
+    try { broadcastEvent('scan_updated', { scanId: added[added.length - 1] || null, source: 'store-sync' }); } catch (e) {}
+  }
+  return { enrichments: changed.length, scans: added };
+}
+
+function startStoreSync() {
+  const timer = setInterval(() => {
+    try { syncStoreFromOtherProcesses(); } catch (e) { appendLog(`STORE_SYNC_FAIL err=${e && e.message ? e.message : String(e)}`); }
+  }, STORE_SYNC_INTERVAL_MS);
+  if (timer.unref) timer.unref();
+}
+
 function schedulePersistEnrichCache(delayMs = 100) {
+  if (cacheWritesHeld) return;
   try {
     if (_enrichPersistTimeout) clearTimeout(_enrichPersistTimeout);
     _enrichPersistTimeout = setTimeout(() => { try { persistEnrichCacheNow(); } catch (e) {} }, delayMs);
@@ -6700,6 +6893,7 @@ function purgeCachesForPath(rawKey, { preserveFlags = true, persist = false } =
         delete enrichCache[key];
       }
       result.enrichCache = true;
+      if (searchIndex && !cacheWritesHeld) searchIndex.update(key);
     }
 
     // Purge parsed cache entry
@@ -6752,6 +6946,7 @@ function updateEnrichCacheInMemory(key, nextObj) {
     }
     const normalized = normalizeEnrichEntry(merged);
     enrichCache[key] = preserveAppliedFlags(prev, normalized);
+    if (searchIndex && !cacheWritesHeld) searchIndex.update(key);
     if (typeof dirtyEnrichKeys !== 'undefined') dirtyEnrichKeys.add(key);
     
     // Broadcast real-time update
@@ -6786,6 +6981,7 @@ function recordProviderFailure(key, info = {}) {
     if (!normalized.firstAttemptAt) normalized.firstAttemptAt = now;
     updateEnrichCacheInMemory(key, Object.assign({}, prev, { providerFailure: normalized }));
     schedulePersistEnrichCache(100);
+    try { broadcastEvent('provider_failed', { path: key, provider: normalized.provider || null, reason: normalized.reason || null, error: normalized.lastError || null, attemptCount }); } catch (e) {}
     return normalized;
   } catch (e) { return null; }
 }
@@ -7168,6 +7364,7 @@ function performUnapprove({ requestedPaths = null, count = 10, username = null }
       // Determine if we need to restore a moved file or delete a hardlink
       const sourceExists = fs.existsSync(key);
       const appliedTo = entry.appliedTo;
+      const appliedOp = entry.appliedOp || null;
       
       if (appliedTo) {
         const list = Array.isArray(appliedTo) ? appliedTo : [appliedTo];
@@ -7179,12 +7376,15 @@ function performUnapprove({ requestedPaths = null, count = 10, username = null }
             if (!canonicalTarget || canonicalTarget === key) continue;
             
             // If source is missing and target exists, this was likely a move (rename).
-            // We must restore the file by moving it back.
-            if (!sourceExists && fs.existsSync(resolved)) {
+            // We must restore the file by moving it back. Symlinks are never moved back:
+            // with the source gone they only point at nothing.
+            const isSymlinkOp = appliedOp === 'symlink' || appliedOp === 'symlink-relative';
+            if (!sourceExists && !isSymlinkOp && fs.existsSync(resolved)) {
               try {
                 const sourceDir = path.dirname(key);
                 if (!fs.existsSync(sourceDir)) fs.mkdirSync(sourceDir, { recursive: true });
-                fs.renameSync(resolved, key);
+                moveFileSync(resolved, key);
+                try { sidecarWriter.removeGeneratedSidecars(resolved); } catch (e) {}
                 appendLog(`UNAPPROVE_RESTORE_MOVE from=${resolved} to=${key}`);
                 // Since we moved it back, we don't delete the target (it's gone)
                 // and we don't treat it as a hardlink target.
@@ -7197,7 +7397,7 @@ function performUnapprove({ requestedPaths = null, count = 10, username = null }
               // Schedule for deletion if configured.
               canonicalTargets.add(canonicalTarget);
               if (!hardlinkTargets.has(canonicalTarget)) {
-                hardlinkTargets.set(canonicalTarget, { resolved, original: raw });
+                hardlinkTargets.set(canonicalTarget, { resolved, original: raw, op: appliedOp });
               }
             }
           } catch (e) { /* ignore invalid paths */ }
@@ -7209,9 +7409,11 @@ function performUnapprove({ requestedPaths = null, count = 10, username = null }
         entry.applied = false;
         delete entry.appliedAt;
         delete entry.appliedTo;
+        delete entry.appliedOp;
         updated = true;
       } else if (entry.appliedTo) {
         delete entry.appliedTo;
+        delete entry.appliedOp;
         updated = true;
       }
       if (entry.hidden) {
@@ -7252,8 +7454,11 @@ function performUnapprove({ requestedPaths = null, count = 10, username = null }
       const info = hardlinkTargets.get(canonicalTarget);
       if (!info || !info.resolved) continue;
       try {
-        // Check if file still exists (might have been moved back already if logic was mixed, but here we separated it)
-        if (!fs.existsSync(info.resolved)) continue;
+        // Check if file still exists (might have been moved back already if logic was mixed, but here we separated it).
+        // lstat so dangling symlinks created by the symlink modes are still removed.
+        let present = false;
+        try { fs.lstatSync(info.resolved); present = true; } catch (e) { present = false; }
+        if (!present) continue;
         
         const stat = fs.lstatSync(info.resolved);
         if (stat.isDirectory()) {
@@ -7261,6 +7466,7 @@ function performUnapprove({ requestedPaths = null, count = 10, username = null }
           continue;
         }
         fs.unlinkSync(info.resolved);
+        try { sidecarWriter.removeGeneratedSidecars(info.resolved); } catch (e) {}
         deletedHardlinks.push(info.resolved);
       } catch (err) {
         if (err && err.code === 'ENOENT') {
@@ -7838,59 +8044,15 @@ function getSeriesNameForApprovedEntry(entry, targetPath) {
 }
 
 // â”€â”€â”€ AniDB Titles Database â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
-// Mirrors Jellyfin's AniDbTitleMatcher / AniDbTitleDownloader exactly:
+// Mirrors Jellyfin's AniDbTitleMatcher / AniDbTitleDownloader, backed by the SQLite title index:
 //   1. Download https://anidb.net/api/anime-titles.xml.gz once per week (same TTL as Jellyfin)
-//   2. Parse every <title> element â†’ Map<normalizedTitle, aid>
-//   3. Resolve AID offline â€” zero HTTP API rate-limit cost for title lookup
-const ANIDB_TITLES_URL    = 'https://anidb.net/api/anime-titles.xml.gz';
-const ANIDB_TITLES_FILE   = path.join(DATA_DIR, 'anidb-titles-db.json');
-const ANIDB_TITLES_TTL_MS = 7 * 24 * 60 * 60 * 1000; // refresh weekly (same as Jellyfin)
-
-let _anidbTitlesMap = null;        // plain object { title -> aid } â€” built once
-let _anidbTitlesLoadPromise = null; // deduplicate concurrent loads
-
-// Direct port of AniDbTitleMatcher.GetComparableName() from the Jellyfin plugin
-function _anidbComparableName(name) {
-  const REMOVE  = new Set([...'"\' !`?']);
-  const SPACERS = new Set([...'/,.:;\\(){}[]+-_=\u2013*']);
-  let result = String(name || '').toLowerCase().normalize('NFC');
-  let sb = '';
-  for (const ch of result) {
-    const cp = ch.codePointAt(0);
-    if (cp >= 0x2B0 && cp <= 0x0333) continue;  // skip modifiers / diacritics
-    else if (REMOVE.has(ch))  continue;           // drop punctuation
-    else if (SPACERS.has(ch)) sb += ' ';          // spacers â†’ space
-    else if (ch === '&')      sb += ' and ';
-    else                      sb += ch;
-  }
-  result = sb;
-  result = result.replace(/, the/g, '').replace(/the /g, ' ').replace(/ the /g, ' ');
-  let prev;
-  do { prev = result; result = result.replace(/  +/g, ' '); } while (result !== prev);
-  return result.trim();
-}
-
-function _buildAnidbTitlesMap(xml) {
-  const map  = Object.create(null);
-  const animeRe = /<anime\s+aid="(\d+)"[^>]*>([\s\S]*?)<\/anime>/g;
-  let m;
-  while ((m = animeRe.exec(xml)) !== null) {
-    const aid = Number(m[1]);
-    if (!aid) continue;
-    const titleRe = /<title[^>]*>([^<]+)<\/title>/g;
-    let t;
-    while ((t = titleRe.exec(m[2])) !== null) {
-      const raw = t[1].trim();
-      if (!raw) continue;
-      if (!map[raw]) map[raw] = aid;
-      const comp = _anidbComparableName(raw);
-      if (comp && !map[comp]) map[comp] = aid;
-    }
-  }
-  return map;
-}
+//   2. Store every <title> (main, official, synonym, short; all languages) in lib/db.js
+//   3. Resolve AID offline (exact here, fuzzy in lib/anidb-titles.js) with zero HTTP API cost
+const ANIDB_TITLES_URL = 'https://anidb.net/api/anime-titles.xml.gz';
 
 async function _downloadAnidbTitlesXml() {
+  // Replayed fixtures must not touch the network; the dump is too large to record
+  if (fixtures.isReplay()) throw new Error('titles download skipped in fixture replay mode');
   return new Promise((resolve, reject) => {
     require('https').get(ANIDB_TITLES_URL, { headers: { 'User-Agent': 'mediabrowser/1' } }, (res) => {
       const chunks = [];
@@ -7905,41 +8067,15 @@ async function _downloadAnidbTitlesXml() {
   });
 }
 
-async function _doLoadAnidbTitlesDb() {
-  try {
-    if (fs.existsSync(ANIDB_TITLES_FILE)) {
-      const cached = JSON.parse(fs.readFileSync(ANIDB_TITLES_FILE, 'utf8'));
-      if (cached && cached.titles && (Date.now() - cached.fetchedAt) < ANIDB_TITLES_TTL_MS) {
-        _anidbTitlesMap = cached.titles;
-        try { appendLog(`APPROVED_SERIES_ANIDB_TITLES_DB_LOADED source=cache entries=${Object.keys(cached.titles).length}`); } catch (e) {}
-        return;
-      }
-    }
-  } catch (e) {}
-  try {
-    try { appendLog('APPROVED_SERIES_ANIDB_TITLES_DB_DOWNLOAD_START'); } catch (e) {}
-    const xml    = await _downloadAnidbTitlesXml();
-    const titles = _buildAnidbTitlesMap(xml);
-    _anidbTitlesMap = titles;
-    try { writeJson(ANIDB_TITLES_FILE, { fetchedAt: Date.now(), titles }); } catch (e) {}
-    try { appendLog(`APPROVED_SERIES_ANIDB_TITLES_DB_DOWNLOAD_OK entries=${Object.keys(titles).length}`); } catch (e) {}
-  } catch (e) {
-    try { appendLog(`APPROVED_SERIES_ANIDB_TITLES_DB_DOWNLOAD_FAIL err=${e.message}`); } catch (ee) {}
-  }
-}
+const anidbTitleIndex = buildAnidbTitleIndex({ db, appendLog, download: _downloadAnidbTitlesXml });
+const _anidbComparableName = buildAnidbTitleIndex.comparableName;
 
 function loadAnidbTitlesDb() {
-  if (_anidbTitlesMap) return Promise.resolve();
-  if (!_anidbTitlesLoadPromise) {
-    _anidbTitlesLoadPromise = _doLoadAnidbTitlesDb().finally(() => { _anidbTitlesLoadPromise = null; });
-  }
-  return _anidbTitlesLoadPromise;
+  return anidbTitleIndex.load();
 }
 
 function anidbLookupTitle(seriesName) {
-  if (!_anidbTitlesMap) return null;
-  const name = String(seriesName || '').trim();
-  return _anidbTitlesMap[name] || _anidbTitlesMap[_anidbComparableName(name)] || null;
+  return anidbTitleIndex.lookupExact(seriesName);
 }
 
 // Per-session per-AID anime cache â€” avoids duplicate HTTP calls within one server run
@@ -8006,7 +8142,7 @@ async function findAniDbAidByTitle(seriesName) {
   //   2. try GetComparableName(name) (lowercased, punctuation stripped)
   try {
     await loadAnidbTitlesDb();
-    const titlesLoaded = _anidbTitlesMap ? Object.keys(_anidbTitlesMap).length : 0;
+    const titlesLoaded = anidbTitleIndex.info().titles;
     const query = normalizeApprovedSeriesLookupTitle(seriesName) || String(seriesName || '').trim();
     const comparable = _anidbComparableName(String(seriesName || '').trim());
     appendLog(`APPROVED_SERIES_ANIDB_TITLE_LOOKUP series=${String(seriesName || '').slice(0,120)} query=${String(query || '').slice(0,120)} comparable=${String(comparable || '').slice(0,120)} titlesDbEntries=${titlesLoaded}`);
@@ -8427,8 +8563,14 @@ function getConfiguredOutputRoots(username) {
   return out;
 }
 
-function buildApprovedSeriesPayload(username) {
+function buildApprovedSeriesPayload(username, { libraryId = null } = {}) {
   const configuredOutputs = getConfiguredOutputRoots(username);
+  // Only series whose source files came from this library
+  const inLibrary = (sourcePath) => {
+    if (!libraryId || !libraryRegistry) return true;
+    const lib = libraryRegistry.forPath(username, sourcePath);
+    return !!lib && lib.id === libraryId;
+  };
   const outputMap = new Map();
   const sourcePrefs = getApprovedSeriesSourcePreferences(username);
 
@@ -8467,6 +8609,7 @@ function buildApprovedSeriesPayload(username) {
   for (const cacheKey of Object.keys(enrichCache || {})) {
     const entry = enrichCache[cacheKey];
     if (!entry || entry.applied !== true || !entry.appliedTo) continue;
+    if (!inLibrary(cacheKey)) continue;
     const targets = Array.isArray(entry.appliedTo) ? entry.appliedTo : [entry.appliedTo];
     for (const target of targets) {
       if (!target) continue;
@@ -8540,173 +8683,159 @@ function buildApprovedSeriesPayload(username) {
   return { outputs, totalSeries };
 }
 
-async function runApprovedSeriesBackgroundFetchCycle() {
-  if (approvedSeriesBackgroundInFlight) return;
-  approvedSeriesBackgroundInFlight = true;
-  try {
-    let fetched = 0;
-    const usernames = Object.keys(users || {});
-    for (const username of usernames) {
-      if (fetched >= APPROVED_SERIES_BACKGROUND_BATCH_SIZE) break;
-      const payload = buildApprovedSeriesPayload(username);
-      const outputs = Array.isArray(payload.outputs) ? payload.outputs : [];
-      for (const output of outputs) {
-        if (fetched >= APPROVED_SERIES_BACKGROUND_BATCH_SIZE) break;
-        const source = normalizeApprovedSeriesSource(output.source || 'anilist');
-        if (source === 'tmdb') continue;
-        const seriesList = Array.isArray(output.series) ? output.series : [];
-        for (const series of seriesList) {
-          if (fetched >= APPROVED_SERIES_BACKGROUND_BATCH_SIZE) break;
-          const seriesName = series && series.name ? String(series.name).trim() : '';
-          if (!seriesName) continue;
-          try {
-            const result = await fetchAndCacheApprovedSeriesImage({
-              username,
-              outputKey: output.key,
-              source,
-              seriesName,
-              allowCooldown: true
-            });
-            if (result && result.fetched) fetched += 1;
-          } catch (e) {
-            // best-effort background processing
-          }
+// 'artwork-fetch' job: fetch missing artwork for every user's approved series. Cached images
+// and the negative cache are honoured, so a run with nothing new makes no provider requests.
+async function runArtworkFetchJob(job, ctl) {
+  let checked = 0;
+  let fetched = 0;
+  for (const username of Object.keys(users || {})) {
+    const payload = buildApprovedSeriesPayload(username);
+    const outputs = Array.isArray(payload.outputs) ? payload.outputs : [];
+    for (const output of outputs) {
+      const source = normalizeApprovedSeriesSource(output.source || 'anilist');
+      if (source === 'tmdb') continue;
+      const seriesList = Array.isArray(output.series) ? output.series : [];
+      for (const series of seriesList) {
+        if (ctl.signal.aborted) return;
+        const seriesName = series && series.name ? String(series.name).trim() : '';
+        if (!seriesName) continue;
+        try {
+          const result = await fetchAndCacheApprovedSeriesImage({
+            username,
+            outputKey: output.key,
+            source,
+            seriesName,
+            allowCooldown: true
+          });
+          if (result && result.fetched) fetched += 1;
+        } catch (e) {
+          // best-effort; the next run tries again
         }
+        job.processedItems = ++checked;
+        ctl.save();
       }
     }
-    if (fetched > 0) {
-      try { appendLog(`APPROVED_SERIES_BACKGROUND_FETCH fetched=${fetched}`); } catch (e) {}
-    }
-  } catch (e) {
-    try { appendLog(`APPROVED_SERIES_BACKGROUND_FETCH_FAIL err=${e && e.message ? e.message : String(e)}`); } catch (ee) {}
-  } finally {
-    approvedSeriesBackgroundInFlight = false;
   }
-}
-
-function startApprovedSeriesBackgroundWorker() {
-  try {
-    if (approvedSeriesBackgroundTimer) return;
-    approvedSeriesBackgroundTimer = setInterval(() => {
-      runApprovedSeriesBackgroundFetchCycle();
-    }, APPROVED_SERIES_BACKGROUND_INTERVAL_MS);
-    setTimeout(() => { runApprovedSeriesBackgroundFetchCycle(); }, 5000);
-    appendLog(`APPROVED_SERIES_BACKGROUND_WORKER_STARTED intervalMs=${APPROVED_SERIES_BACKGROUND_INTERVAL_MS}`);
-  } catch (e) {
-    try { appendLog(`APPROVED_SERIES_BACKGROUND_WORKER_START_FAIL err=${e && e.message ? e.message : String(e)}`); } catch (ee) {}
+  job.totalItems = checked;
+  job.results = [{ checked, fetched }];
+  if (fetched > 0) {
+    try { appendLog(`APPROVED_SERIES_BACKGROUND_FETCH fetched=${fetched}`); } catch (e) {}
   }
 }
 
 // â”€â”€â”€ Auto-Rescan Background Worker â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
 
-let autoRescanTimer = null;
-let autoRescanInFlight = false;
-const AUTO_RESCAN_INTERVAL_MS = 30000; 
+const AUTO_RESCAN_ITEM_DELAY_MS = 30000;
 const IDLE_THRESHOLD_MS = 15 * 60 * 1000;
 const AUTO_RESCAN_ITEM_COOLDOWN_MS = 24 * 60 * 60 * 1000;
 
-async function runAutoRescanCycle() {
-  if (autoRescanInFlight) return;
-  if (Date.now() - lastGlobalActivityTime < IDLE_THRESHOLD_MS) return;
+function isServerIdle() {
+  return Date.now() - lastGlobalActivityTime >= IDLE_THRESHOLD_MS;
+}
 
-  autoRescanInFlight = true;
-  try {
-    const allScans = Object.keys(scans || {}).map(k => scans[k]).filter(Boolean);
-    allScans.sort((a, b) => (b.generatedAt || 0) - (a.generatedAt || 0));
-    const recentScan = allScans[0];
-    
-    if (recentScan && Array.isArray(recentScan.items)) {
-      for (const item of recentScan.items) {
-        if (Date.now() - lastGlobalActivityTime < IDLE_THRESHOLD_MS) break;
+// Items of the most recent scan whose metadata is incomplete and not retried in the last day
+function autoRescanCandidates() {
+  const allScans = Object.keys(scans || {}).map(k => scans[k]).filter(Boolean);
+  allScans.sort((a, b) => (b.generatedAt || 0) - (a.generatedAt || 0));
+  const recentScan = allScans[0];
+  if (!recentScan || !Array.isArray(recentScan.items)) return [];
+  const out = [];
+  for (const item of recentScan.items) {
+    const p = canonicalize(item.canonicalPath);
+    const existing = enrichCache[p] || {};
+    if (existing.hidden || existing.applied || isProviderComplete(existing.provider)) continue;
+    if (existing._lastAutoRescan && (Date.now() - existing._lastAutoRescan < AUTO_RESCAN_ITEM_COOLDOWN_MS)) continue;
+    out.push(p);
+  }
+  return out;
+}
 
-        const p = canonicalize(item.canonicalPath);
-        const existing = enrichCache[p] || {};
-        
-        if (existing.hidden || existing.applied) continue;
-        
-        if (!isProviderComplete(existing.provider)) {
-          if (existing._lastAutoRescan && (Date.now() - existing._lastAutoRescan < AUTO_RESCAN_ITEM_COOLDOWN_MS)) {
-            continue;
-          }
-          
-          appendLog(`AUTO_RESCAN_TRIGGER path=${p}`);
-          existing._lastAutoRescan = Date.now();
-          updateEnrichCacheInMemory(p, existing);
+// The system schedule only queues an auto-rescan when the server is idle and there is work
+function autoRescanDue() {
+  return isServerIdle() && autoRescanCandidates().length > 0;
+}
 
-          try {
-            let tmdbKey = serverSettings && serverSettings.tmdb_api_key ? serverSettings.tmdb_api_key : null;
-            if (!tmdbKey && typeof users !== 'undefined' && users) {
-              const usernames = Object.keys(users);
-              if (usernames.length > 0) {
-                 const uSettings = users[usernames[0]].settings;
-                 if (uSettings && uSettings.tmdb_api_key) tmdbKey = uSettings.tmdb_api_key;
-              }
-            }
-            
-            let username = null;
-            if (typeof users !== 'undefined' && users) {
-              const usernames = Object.keys(users);
-              for (const u of usernames) {
-                if (users[u].settings && (users[u].settings.anidb_username || users[u].settings.tmdb_api_key)) {
-                  username = u;
-                  break;
-                }
-              }
-              if (!username && usernames.length > 0) {
-                 username = usernames[0];
-              }
-            }
-            
-            let forcedHash = false;
-            let skipAnime = false;
-            if (username && users[username] && users[username].settings && users[username].settings.default_rescan_force_hash !== undefined) {
-              forcedHash = coerceBoolean(users[username].settings.default_rescan_force_hash);
-            } else if (serverSettings && serverSettings.default_rescan_force_hash !== undefined) {
-              forcedHash = coerceBoolean(serverSettings.default_rescan_force_hash);
-            } else {
-              const _refreshProviderOrder = resolveMetadataProviderOrder(username);
-              forcedHash = (_refreshProviderOrder && _refreshProviderOrder.length && _refreshProviderOrder[0] === 'anidb');
-            }
+// 'auto-rescan' job: re-enrich incomplete items one at a time until the server is used again
+async function runAutoRescanJob(job, ctl) {
+  const candidates = autoRescanCandidates();
+  job.totalItems = candidates.length;
 
-            if (username && users[username] && users[username].settings && users[username].settings.default_rescan_skip_anime !== undefined) {
-              skipAnime = coerceBoolean(users[username].settings.default_rescan_skip_anime);
-            } else if (serverSettings && serverSettings.default_rescan_skip_anime !== undefined) {
-              skipAnime = coerceBoolean(serverSettings.default_rescan_skip_anime);
-            }
-            
-            const data = await externalEnrich(p, tmdbKey, { username: username, forceHash: forcedHash, skipAnimeProviders: skipAnime });
-            if (data) {
-              const providerRendered = renderProviderName(data, p, null);
-              const providerRaw = cloneProviderRaw(extractProviderRaw(data));
-              const providerBlock = {
-                title: data.title, year: data.year, season: data.season, episode: data.episode,
-                episodeTitle: data.episodeTitle || '', raw: providerRaw, renderedName: providerRendered,
-                matched: !!data.title, source: data.source || (data.provider && data.provider.source) || null,
-                seriesTitleEnglish: data.seriesTitleEnglish || null, seriesTitleRomaji: data.seriesTitleRomaji || null,
-                seriesTitleExact: data.seriesTitleExact || null, originalSeriesTitle: data.originalSeriesTitle || null
-              };
-              updateEnrichCacheInMemory(p, Object.assign({}, existing, data, { provider: providerBlock, sourceId: 'provider', cachedAt: Date.now() }));
-            }
-          } catch (e) {
-            appendLog(`AUTO_RESCAN_FAIL path=${p} err=${e.message}`);
-          }
-          
-          break; 
-        }
+  let tmdbKey = serverSettings && serverSettings.tmdb_api_key ? serverSettings.tmdb_api_key : null;
+  if (!tmdbKey && typeof users !== 'undefined' && users) {
+    const usernames = Object.keys(users);
+    if (usernames.length > 0) {
+       const uSettings = users[usernames[0]].settings;
+       if (uSettings && uSettings.tmdb_api_key) tmdbKey = uSettings.tmdb_api_key;
+    }
+  }
+
+  let username = null;
+  if (typeof users !== 'undefined' && users) {
+    const usernames = Object.keys(users);
+    for (const u of usernames) {
+      if (users[u].settings && (users[u].settings.anidb_username || users[u].settings.tmdb_api_key)) {
+        username = u;
+        break;
       }
     }
-  } catch (err) {
-    appendLog(`AUTO_RESCAN_CYCLE_ERROR err=${err.message}`);
-  } finally {
-    autoRescanInFlight = false;
+    if (!username && usernames.length > 0) {
+       username = usernames[0];
+    }
   }
-}
 
-function startAutoRescanWorker() {
-  if (autoRescanTimer) return;
-  autoRescanTimer = setInterval(() => {
-    runAutoRescanCycle();
-  }, AUTO_RESCAN_INTERVAL_MS);
+  let forcedHash = false;
+  let skipAnime = false;
+  if (username && users[username] && users[username].settings && users[username].settings.default_rescan_force_hash !== undefined) {
+    forcedHash = coerceBoolean(users[username].settings.default_rescan_force_hash);
+  } else if (serverSettings && serverSettings.default_rescan_force_hash !== undefined) {
+    forcedHash = coerceBoolean(serverSettings.default_rescan_force_hash);
+  } else {
+    const _refreshProviderOrder = resolveMetadataProviderOrder(username);
+    forcedHash = (_refreshProviderOrder && _refreshProviderOrder.length && _refreshProviderOrder[0] === 'anidb');
+  }
+
+  if (username && users[username] && users[username].settings && users[username].settings.default_rescan_skip_anime !== undefined) {
+    skipAnime = coerceBoolean(users[username].settings.default_rescan_skip_anime);
+  } else if (serverSettings && serverSettings.default_rescan_skip_anime !== undefined) {
+    skipAnime = coerceBoolean(serverSettings.default_rescan_skip_anime);
+  }
+
+  const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+  for (let i = 0; i < candidates.length; i++) {
+    if (ctl.signal.aborted || !isServerIdle()) break;
+    const p = candidates[i];
+    const existing = enrichCache[p] || {};
+    if (existing.hidden || existing.applied || isProviderComplete(existing.provider)) continue;
+
+    appendLog(`AUTO_RESCAN_TRIGGER path=${p}`);
+    existing._lastAutoRescan = Date.now();
+    updateEnrichCacheInMemory(p, existing);
+    const resultItem = { path: p, status: 'pending' };
+    try {
+      const data = await externalEnrich(p, tmdbKey, { username: username, forceHash: forcedHash, skipAnimeProviders: skipAnime });
+      if (data) {
+        const providerRendered = renderProviderName(data, p, null);
+        const providerRaw = cloneProviderRaw(extractProviderRaw(data));
+        const providerBlock = {
+          title: data.title, year: data.year, season: data.season, episode: data.episode,
+          episodeTitle: data.episodeTitle || '', raw: providerRaw, renderedName: providerRendered,
+          matched: !!data.title, source: data.source || (data.provider && data.provider.source) || null,
+          seriesTitleEnglish: data.seriesTitleEnglish || null, seriesTitleRomaji: data.seriesTitleRomaji || null,
+          seriesTitleExact: data.seriesTitleExact || null, originalSeriesTitle: data.originalSeriesTitle || null
+        };
+        updateEnrichCacheInMemory(p, Object.assign({}, existing, data, { provider: providerBlock, sourceId: 'provider', cachedAt: Date.now() }));
+        autoApplier.trigger(username, [p], 'auto-rescan');
+      }
+      resultItem.status = data ? 'ok' : 'empty';
+    } catch (e) {
+      resultItem.status = 'error'; resultItem.error = e.message;
+      appendLog(`AUTO_RESCAN_FAIL path=${p} err=${e.message}`);
+    }
+    job.results.push(resultItem);
+    job.processedItems = i + 1;
+    ctl.save();
+    if (i < candidates.length - 1) await sleep(AUTO_RESCAN_ITEM_DELAY_MS);
+  }
 }
 
 // â”€â”€â”€ Background Job Queue â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
@@ -8740,20 +8869,10 @@ function resumeBgEnrich() {
   try { appendLog('BG_ENRICH_RESUMED'); } catch (e) {}
 }
 
-// Clients submit a job, get back a jobId, then poll GET /api/jobs/:id.
-const bgJobs = new Map();
-let _bgJobIdCounter = 1;
-function createBgJob(type, totalItems) {
-  const id = String(_bgJobIdCounter++);
-  const job = { id, type, status: 'running', createdAt: Date.now(), completedAt: null,
-                totalItems: totalItems || 0, processedItems: 0, results: [], error: null };
-  bgJobs.set(id, job);
-  // Keep at most 200 jobs to avoid unbounded memory growth
-  if (bgJobs.size > 200) { const oldest = bgJobs.keys().next().value; bgJobs.delete(oldest); }
-  return job;
-}
+// Clients submit a job, get back a jobId, then poll GET /api/jobs/:id. Jobs are persisted by
+// lib/job-queue.js (`jobQueue`, created with the route context) so they outlive restarts.
 
-// GET /api/jobs â€” list recent/active jobs (useful for reconnecting clients)
+// GET /api/jobs â€” list queued, running and finished jobs (useful for reconnecting clients)
 // GET /api/jobs/:id â€” poll a specific job
 // POST /api/jobs/approve â€” run preview + apply entirely server-side
 // App Engine (Approve items and hardlink)
@@ -8761,6 +8880,9 @@ function createBgJob(type, totalItems) {
 // POST /api/jobs/backfill-subtitles â€” for all approved items, extract subtitles if the .srt is missing
 // POST /api/jobs/bulk-rescan â€” enrich a list of paths server-side with rate limiting
 // Body: { paths: [...], force, skipAnimeProviders }
+// POST /api/jobs/:id/cancel â€” cancel a queued job or stop a running one after its current item
+// GET/POST/PUT/DELETE /api/jobs/schedules â€” per-user cron schedules that enqueue jobs
+// GET/POST/PUT/DELETE /api/auto-apply/rules â€” per-user rules; matching items are applied by 'auto-apply' jobs
 // â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
 
 // Returns the individual approved files that make up a given series within an output.
@@ -8858,7 +8980,7 @@ function cleanEnrichmentForClient(entry) {
   return entry;
 }
 
-const hostPace = { 'graphql.anilist.co': 250, 'kitsu.io': 250, 'api.themoviedb.org': 300, 'en.wikipedia.org': 300 }
+const hostPace = providerRegistry.hostPacing()
 
 async function pace(host) {
     const now = Date.now()
@@ -9575,7 +9697,7 @@ function isPlaceholderTitle(s) {
 function renderCustomMetadataName(data, session) {
   try {
     const userTemplate = (session && session.username && users[session.username] && users[session.username].settings && users[session.username].settings.rename_template) ? users[session.username].settings.rename_template : null;
-    const baseNameTemplate = userTemplate || serverSettings.rename_template || '{title} ({year}) - {epLabel} - {episodeTitle}';
+    const baseNameTemplate = userTemplate || serverSettings.rename_template || DEFAULT_FILE_TEMPLATE;
     
     // Use the title provided by user, apply title casing if all-caps
     let cleanTitle = String(data.title || '').trim();
@@ -9604,13 +9726,14 @@ function renderCustomMetadataName(data, session) {
     const yearStr = data.year ? String(data.year).trim() : '';
     
     // Build rendered name from template
-    const rendered = String(baseNameTemplate)
-      .replace('{title}', sanitize(cleanTitle))
-      .replace('{year}', sanitize(yearStr))
-      .replace('{epLabel}', sanitize(epLabel))
-      .replace('{episodeTitle}', sanitize(cleanEpisodeTitle))
-      .replace('{season}', data.season != null ? String(data.season) : '')
-      .replace('{episode}', data.episode != null ? String(data.episode) : '')
+    const rendered = renderTemplate(baseNameTemplate, {
+      title: cleanTitle,
+      year: yearStr,
+      epLabel,
+      episodeTitle: cleanEpisodeTitle,
+      season: data.season != null ? String(data.season) : '',
+      episode: data.episode != null ? String(data.episode) : ''
+    }, { sanitize })
       .replace(/\s*-\s*-\s*/g, ' - ')  // collapse double separators
       .replace(/\s+-\s*$/g, '')  // remove trailing separator
       .replace(/\s+/g, ' ')  // normalize whitespace
@@ -9622,7 +9745,7 @@ function renderCustomMetadataName(data, session) {
   }
 }
 
-function resolveMetadataProviderOrder(username) {
+function resolveMetadataProviderOrder(username, filePath) {
   const tryLoad = (source) => {
     if (!source) return null;
     if (source.metadata_provider_order != null) return sanitizeMetadataProviderOrder(source.metadata_provider_order);
@@ -9630,6 +9753,12 @@ function resolveMetadataProviderOrder(username) {
     return null;
   };
   try {
+    // The library a file lives in can prefer its own providers (e.g. AniDB first for anime)
+    const libraryOrder = filePath && libraryRegistry ? libraryRegistry.override(username, filePath, 'metadata_provider_order') : undefined;
+    if (libraryOrder) {
+      const order = sanitizeMetadataProviderOrder(libraryOrder);
+      if (order.length) return order;
+    }
     if (username && users[username] && users[username].settings) {
       const userOrder = tryLoad(users[username].settings);
       if (userOrder && userOrder.length) return userOrder;
@@ -9640,7 +9769,8 @@ function resolveMetadataProviderOrder(username) {
   return [...DEFAULT_METADATA_PROVIDER_ORDER];
 }
 
-const IGNORED_DIRS = new Set(['node_modules', '.git', '.svn', '__pycache__']);
+// .mmp-trash holds duplicates retired with the "delete" action until their resolution is undone
+const IGNORED_DIRS = new Set(['node_modules', '.git', '.svn', '__pycache__', '.mmp-trash']);
 
 const VIDEO_EXTS = ['mkv','mp4','avi','mov','m4v','mpg','mpeg','webm','wmv','flv','ts','ogg','ogv','3gp','3g2'];
 
@@ -9668,6 +9798,7 @@ function updateEnrichCacheInMemory(key, nextObj) {
     }
     const normalized = normalizeEnrichEntry(merged);
     enrichCache[key] = preserveAppliedFlags(prev, normalized);
+    if (searchIndex && !cacheWritesHeld) searchIndex.update(key);
     // Persist sooner so rescans show updated values quickly (best-effort, debounced)
     try { schedulePersistEnrichCache(50); } catch (e) {}
     return enrichCache[key];
@@ -9908,8 +10039,32 @@ function deriveAppliedSeriesInfo(appliedPath) {
   }
 }
 
-function buildApprovedSeriesPayload(username) {
+// Output root an applied file belongs to: the longest configured output containing it,
+// otherwise the parent of its Series/Season folders. Keys match the approved-series image cache.
+function resolveApprovedSeriesOutput(username, targetPath, configuredOutputs = null) {
+  const configured = Array.isArray(configuredOutputs) ? configuredOutputs : getConfiguredOutputRoots(username);
+  const targetKey = normalizeOutputKey(targetPath);
+  const sorted = [...configured].sort((a, b) => b.key.length - a.key.length);
+  for (const conf of sorted) {
+    if (targetKey === conf.key || targetKey.startsWith(conf.key + '/')) return { key: conf.key, path: conf.path };
+  }
+  const inferred = deriveAppliedSeriesInfo(targetPath);
+  const inferredKey = normalizeOutputKey(inferred.outputRoot || path.dirname(path.dirname(targetPath || '')));
+  return { key: inferredKey, path: inferred.outputRoot || inferredKey };
+}
+
+function resolveApprovedSeriesOutputKey(username, targetPath) {
+  return resolveApprovedSeriesOutput(username, targetPath).key;
+}
+
+function buildApprovedSeriesPayload(username, { libraryId = null } = {}) {
   const configuredOutputs = getConfiguredOutputRoots(username);
+  // Only series whose source files came from this library
+  const inLibrary = (sourcePath) => {
+    if (!libraryId || !libraryRegistry) return true;
+    const lib = libraryRegistry.forPath(username, sourcePath);
+    return !!lib && lib.id === libraryId;
+  };
   const outputMap = new Map();
   const sourcePrefs = getApprovedSeriesSourcePreferences(username);
 
@@ -9932,22 +10087,15 @@ function buildApprovedSeriesPayload(username) {
     ensureOutputBucket(conf.key, conf.path);
   }
 
-  const configuredSorted = [...configuredOutputs].sort((a, b) => b.key.length - a.key.length);
   const getOutputBucketForPath = (targetPath) => {
-    const targetKey = normalizeOutputKey(targetPath);
-    for (const conf of configuredSorted) {
-      if (targetKey === conf.key || targetKey.startsWith(conf.key + '/')) {
-        return ensureOutputBucket(conf.key, conf.path);
-      }
-    }
-    const inferred = deriveAppliedSeriesInfo(targetPath);
-    const inferredKey = normalizeOutputKey(inferred.outputRoot || path.dirname(path.dirname(targetPath || '')));
-    return ensureOutputBucket(inferredKey, inferred.outputRoot || inferredKey);
+    const output = resolveApprovedSeriesOutput(username, targetPath, configuredOutputs);
+    return ensureOutputBucket(output.key, output.path);
   };
 
   for (const cacheKey of Object.keys(enrichCache || {})) {
     const entry = enrichCache[cacheKey];
     if (!entry || entry.applied !== true || !entry.appliedTo) continue;
+    if (!inLibrary(cacheKey)) continue;
     const targets = Array.isArray(entry.appliedTo) ? entry.appliedTo : [entry.appliedTo];
     for (const target of targets) {
       if (!target) continue;
@@ -10021,19 +10169,9 @@ function buildApprovedSeriesPayload(username) {
   return { outputs, totalSeries };
 }
 
-function createBgJob(type, totalItems) {
-  const id = String(_bgJobIdCounter++);
-  const job = { id, type, status: 'running', createdAt: Date.now(), completedAt: null,
-                totalItems: totalItems || 0, processedItems: 0, results: [], error: null };
-  bgJobs.set(id, job);
-  // Keep at most 200 jobs to avoid unbounded memory growth
-  if (bgJobs.size > 200) { const oldest = bgJobs.keys().next().value; bgJobs.delete(oldest); }
-  return job;
-}
-
 
 const ctx = {
-    getSeriesNameForApprovedEntry, isMeaningfulTitle, isPlaceholderTitle, extractSeasonNumberFromTitle, fullScanLibrary, searchTmdbAndEpisode, incrementalScanLibrary, loadScanCache, saveScanCache, lookupWikipediaEpisode, cleanEnrichmentForClient, sanitize, sanitizeExtraGuess, renderCustomMetadataName, updateEnrichCacheInMemory, sweepEnrichCache, normalizeForCache, normalizeOutputKey, buildApprovedSeriesPayload, getApprovedSeriesSourcePreferences, resolveApprovedSeriesSourcePreference, normalizeApprovedSeriesSource, setApprovedSeriesSourcePreference, fetchAndCacheApprovedSeriesImage, createBgJob, resolveMetadataProviderOrder, bgJobs, approvedSeriesImages, approvedSeriesImageFetchLocks, tvdbInfo, tvdbInfoParent, resolveCopySidecarSubtitlesSetting, copyExternalSubtitles, resolveExtractSubtitlesSetting, resolveExtractSubtitleFormat, extractSubtitlesToSrt, resolveHardsubSetting, resolveHardsubLanguage, burnHardsubToFile, sanitizeForFilename, determineIsMovie, ensureRenderedNameHasYear, SUBTITLE_EXTS, VALID_SUBTITLE_FORMATS, hideEventsClientCache, HIDE_EVENTS_CACHE_WINDOW_MS, pace, deriveAppliedSeriesInfo, resolveSeriesTitle, extractEnglishSeriesTitle, getSeriesAlias, stripEpisodeArtifactsForFolder, stripTrailingYear, stripSeasonNumberSuffix, cleanTitleForRender, getMaxFilenameLengthForOS, truncateFilenameComponent, performUnapprove, extractYear,
+    getSeriesNameForApprovedEntry, isMeaningfulTitle, isPlaceholderTitle, extractSeasonNumberFromTitle, fullScanLibrary, searchTmdbAndEpisode, incrementalScanLibrary, loadScanCache, saveScanCache, lookupWikipediaEpisode, cleanEnrichmentForClient, sanitize, sanitizeExtraGuess, renderCustomMetadataName, updateEnrichCacheInMemory, sweepEnrichCache, normalizeForCache, normalizeOutputKey, buildApprovedSeriesPayload, getApprovedSeriesSourcePreferences, resolveApprovedSeriesSourcePreference, normalizeApprovedSeriesSource, setApprovedSeriesSourcePreference, fetchAndCacheApprovedSeriesImage, resolveMetadataProviderOrder, approvedSeriesImages, approvedSeriesImageFetchLocks, tvdbInfo, tvdbInfoParent, resolveCopySidecarSubtitlesSetting, copyExternalSubtitles, resolveExtractSubtitlesSetting, resolveExtractSubtitleFormat, extractSubtitlesToSrt, resolveHardsubSetting, resolveHardsubLanguage, burnHardsubToFile, sanitizeForFilename, determineIsMovie, ensureRenderedNameHasYear, SUBTITLE_EXTS, VALID_SUBTITLE_FORMATS, hideEventsClientCache, HIDE_EVENTS_CACHE_WINDOW_MS, pace, deriveAppliedSeriesInfo, resolveSeriesTitle, extractEnglishSeriesTitle, getSeriesAlias, stripEpisodeArtifactsForFolder, stripTrailingYear, stripSeasonNumberSuffix, cleanTitleForRender, getMaxFilenameLengthForOS, truncateFilenameComponent, performUnapprove, extractYear,
     
   app, express, fs, path, os, crypto, https, execFile, uuidv4, tvdb, chokidar,
   lookupMetadataWithAniDB, getAniDBCredentials, getAniDBUDPClient, getAniDBClient,
@@ -10056,7 +10194,7 @@ const ctx = {
   allowedOriginsNormalized, baseCorsOptions, corsOptionsDelegate,
   resolvedSameSite, secureCookies, lastGlobalActivityTime, hideEvents,
   folderWatchers, db, enrichCache, parsedCache, renderedIndex, scans,
-  activeScans, refreshProgress, sseClients, activeEnriches,
+  activeScans, dataLock, refreshProgress, sseClients, activeEnriches,
   bgEnrichPaused, pauseBgEnrich, resumeBgEnrich, isBgEnrichPaused: () => bgEnrichPaused,
   truncateProviderDetail, assignProviderSourceMetadata, ensureSessionKey,
   ensureFile, normalizeManualIdKey, normalizeManualIdValue,
@@ -10064,25 +10202,134 @@ const ctx = {
   loadManualIds, getManualId, isOriginTrusted, ensureCsrfToken,
   verifyCsrfToken, attachCsrfToken, requireAuth, requireAdmin, coerceBoolean,
   normalizeProviderId, appendLog, writeJson, persistEnrichCacheNow,
-  schedulePersistEnrichCache, getEffectiveScanInputPath,
+  schedulePersistEnrichCache, holdCacheWrites, getEffectiveScanInputPath,
   isFolderWatchEnabledForUser, healCachedEnglishAndMovieFlags,
-  startFolderWatcher, stopFolderWatcher, initializeAllWatchers,
+  startFolderWatcher, stopFolderWatcher, restartLibraryWatchers, initializeAllWatchers, scanCacheFileFor,
   broadcastEvent, canonicalize, doProcessParsedItem, extractProviderRaw,
   cloneProviderRaw, renderProviderName, logMissingEpisodeTitleIfNeeded,
   updateEnrichCache, purgeCachesForPath, normalizeEnrichEntry,
   externalEnrich, buildAppliedSourcesSet, isHiddenOrAppliedPath,
-  resolveDeleteHardlinksSetting, sanitizeMetadataProviderOrder, isProviderComplete
+  resolveDeleteHardlinksSetting, resolveApplyAtomicSetting, resolveNfoSidecarsSetting, resolveArtworkSidecarsSetting, resolveApprovedSeriesOutputKey, sanitizeMetadataProviderOrder, isProviderComplete,
+  httpRequest, fetchAniListById, resolveTvdbCredentials, runLibraryScan,
+  providerRegistry, fixtures, configureFixtures, anidbTitleIndex
   
 };
+
+providerRegistry.attach(ctx);
 
+webhookDispatcher = require('./lib/webhooks')(ctx);
+ctx.webhookDispatcher = webhookDispatcher;
+pathMapper = require('./lib/path-mapping')(ctx);
+ctx.pathMapper = pathMapper;
+
+const jobQueue = require('./lib/job-queue')(ctx);
+ctx.jobQueue = jobQueue;
+const autoApplier = require('./lib/auto-apply')(ctx);
+ctx.autoApplier = autoApplier;
+const duplicateResolver = require('./lib/duplicates')(ctx);
+ctx.duplicateResolver = duplicateResolver;
+const completenessReporter = require('./lib/completeness')(ctx);
+ctx.completenessReporter = completenessReporter;
+const integrityChecker = require('./lib/integrity')(ctx);
+ctx.integrityChecker = integrityChecker;
+libraryRegistry = require('./lib/libraries')(ctx);
+ctx.libraryRegistry = libraryRegistry;
+const preflightChecker = require('./lib/preflight')(ctx);
+ctx.preflightChecker = preflightChecker;
+apiTokens = require('./lib/api-tokens')(ctx);
+ctx.apiTokens = apiTokens;
+const auditLog = require('./lib/audit')(ctx);
+ctx.auditLog = auditLog;
+auditLog.prune();
+searchIndex = require('./lib/search-index')(ctx);
+ctx.searchIndex = searchIndex;
+searchIndex.init(Object.values(scans).flatMap(s => (s && s.items ? s.items : []).map(it => canonicalize(it.canonicalPath))));
+const importer = require('./lib/import')(ctx);
+ctx.importer = importer;
+
+// Scheduled scans take the same per-path lock as POST /api/scan; a busy path throws so the
+// queue retries later. New or changed files are handed to a follow-up bulk-rescan job.
+async function runScanJob(job, full) {
+  const payload = job.payload || {};
+  const library = payload.libraryId ? libraryRegistry.get(job.username, payload.libraryId) : null;
+  if (payload.libraryId && !library) throw new Error(`unknown library: ${payload.libraryId}`);
+  const inputPath = payload.path || (library && library.scan_input_path) || getEffectiveScanInputPath(job.username);
+  if (!inputPath) throw new Error('no scan input path configured');
+  const libPath = path.resolve(inputPath);
+  if (!fs.existsSync(libPath) || !fs.statSync(libPath).isDirectory()) throw new Error(`scan path is not a directory: ${libPath}`);
+  const lockKey = `scanPath:${libPath}`;
+  if (activeScans.has(lockKey)) throw new Error('scan already in progress for this path');
+  activeScans.add(lockKey);
+  try {
+    const outcome = await runLibraryScan(job.username, libPath, { full, kind: full ? 'full' : 'incremental', libraryId: library ? library.id : 'local' });
+    job.scanId = outcome.scanId;
+    job.totalItems = outcome.totalCount;
+    job.processedItems = outcome.totalCount;
+    job.results = [{ scanId: outcome.scanId, totalCount: outcome.totalCount, newItems: outcome.newItems.length }];
+    if (outcome.newItems.length && payload.enrich !== false) {
+      jobQueue.enqueue('bulk-rescan', { username: job.username, payload: { paths: outcome.newItems }, totalItems: outcome.newItems.length });
+    }
+  } finally {
+    activeScans.delete(lockKey);
+  }
+}
+
+jobQueue.registerHandler('full-scan', (job) => runScanJob(job, true));
+jobQueue.registerHandler('incremental-scan', (job) => runScanJob(job, false));
+jobQueue.registerHandler('artwork-fetch', runArtworkFetchJob);
+jobQueue.registerHandler('auto-rescan', runAutoRescanJob);
+jobQueue.registerHandler('cache-sweep', async (job) => {
+  const removed = sweepEnrichCache() || [];
+  job.results = [{ removed: removed.length }];
+});
+jobQueue.registerHandler('completeness-refresh', async (job, ctl) => {
+  const payload = job.payload || {};
+  const outcome = await completenessReporter.refreshAll({
+    username: job.username,
+    force: payload.force === true,
+    signal: ctl.signal,
+    onProgress: (done, total) => { job.processedItems = done; job.totalItems = total; ctl.save(); }
+  });
+  job.results = [outcome];
+});
+jobQueue.registerHandler('integrity-verify', async (job, ctl) => {
+  const payload = job.payload || {};
+  const outcome = await integrityChecker.verifyAll({
+    paths: Array.isArray(payload.paths) ? payload.paths : null,
+    force: payload.force === true,
+    signal: ctl.signal,
+    onProgress: (done, total) => { job.processedItems = done; job.totalItems = total; ctl.save(); }
+  });
+  job.results = [{ checked: outcome.checked, mismatched: outcome.mismatched.length, failed: outcome.failed, paths: outcome.mismatched }];
+});
+jobQueue.registerHandler('import', (job, ctl) => importer.run(job, ctl));
+// Server upkeep; these jobs have no user, so they show up in everyone's job list
+jobQueue.addSystemSchedule({ id: 'system:artwork-fetch', type: 'artwork-fetch', cron: '0 * * * *' });
+jobQueue.addSystemSchedule({ id: 'system:auto-rescan', type: 'auto-rescan', cron: '*/5 * * * *', when: autoRescanDue });
+
+// Must run ahead of the API routers so they only ever see container paths
+app.use(pathMapper.middleware);
 app.use(require('./routes/auth')(ctx));
+app.use(require('./routes/users')(ctx));
+app.use(require('./routes/api-tokens')(ctx));
+app.use(require('./routes/audit')(ctx));
+app.use(require('./routes/import')(ctx));
 app.use(require('./routes/settings')(ctx));
 app.use(require('./routes/scan')(ctx));
+app.use(require('./routes/libraries')(ctx));
 app.use(require('./routes/enrich')(ctx));
 app.use(require('./routes/rename')(ctx));
 app.use(require('./routes/jobs')(ctx));
 app.use(require('./routes/approved-series')(ctx));
+app.use(require('./routes/completeness')(ctx));
+app.use(require('./routes/integrity')(ctx));
 app.use(require('./routes/debug')(ctx));
+app.use(require('./routes/webhooks')(ctx));
+app.use(require('./routes/auto-apply')(ctx));
+app.use(require('./routes/providers')(ctx));
+
+const batchApplier = require('./lib/apply')(ctx);
+const sidecarWriter = require('./lib/nfo')(ctx);
 
 app.use((err, req, res, next) => {
   if (!err) return next();
@@ -10115,6 +10362,8 @@ module.exports.extractYear = extractYear;
 module.exports.normalizeEnrichEntry = normalizeEnrichEntry;
 // Expose enrichCache for debugging/tests
 module.exports.enrichCache = enrichCache;
+// The wired-up context, for bin/mmp-renamer which runs the same engine without the HTTP server
+module.exports.ctx = ctx;
 module.exports.parsedCache = parsedCache;
 // Export internal helpers for test harnesses (non-production)
 module.exports._test = module.exports._test || {};
@@ -10126,6 +10375,7 @@ module.exports._test.loadScanCache = typeof loadScanCache !== 'undefined' ? load
 module.exports._test.saveScanCache = typeof saveScanCache !== 'undefined' ? saveScanCache : null;
 module.exports._test.processParsedItem = doProcessParsedItem;
 module.exports._test.performUnapprove = performUnapprove;
+module.exports._test.batchApplier = batchApplier;
 module.exports._test.renderedIndex = renderedIndex;
 module.exports._test.serverSettings = serverSettings;
 module.exports._test.users = users;
@@ -10170,13 +10420,15 @@ process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 
 // Only start the HTTP server when this file is run directly, not when required as a module
 if (require.main === module) {
+  // Finish or undo rename batches interrupted by a crash before accepting new work
+  try { batchApplier.recoverIncompleteBatches(); } catch (e) { appendLog(`BATCH_RECOVERY_FAIL err=${e && e.message ? e.message : String(e)}`); }
   app.listen(PORT, () => {
     console.log(`Server listening on ${PORT}`);
     // Initialize folder watchers for all users with scan_input_path
     initializeAllWatchers();
-    // Run approved-series image caching in the background regardless of UI route activity.
-    startApprovedSeriesBackgroundWorker();
-    startAutoRescanWorker();
+    // Re-queue jobs interrupted by the last shutdown and begin firing user and system schedules
+    jobQueue.start();
+    startStoreSync();
   });
 }
 
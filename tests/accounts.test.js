@@ -0,0 +1,72 @@
+/**
+ * Account Tests
+ *
+ * When the install counts as bootstrapped and registration closes, what usernames, passwords and roles are accepted, what
+ * the API exposes about a user, and that the last admin cannot be removed.
+ */
+
+const assert = require('assert');
+
+const {
+  getUser,
+  hasActiveAdmin,
+  isRegistrationOpen,
+  validateUsername,
+  validatePassword,
+  validateRole,
+  publicUser,
+  lastAdminGuard
+} = require('../lib/accounts');
+
+describe('Accounts', function() {
+  it('treats a passwordless or disabled admin as still bootstrapping', function() {
+    assert.strictEqual(hasActiveAdmin({}), false);
+    assert.strictEqual(hasActiveAdmin({ admin: { role: 'admin', passwordHash: null } }), false);
+    assert.strictEqual(hasActiveAdmin({ admin: { role: 'admin', passwordHash: 'x', disabled: true } }), false);
+    assert.strictEqual(hasActiveAdmin({ bob: { role: 'user', passwordHash: 'x' } }), false);
+    assert.strictEqual(hasActiveAdmin({ admin: { role: 'admin', passwordHash: null }, root: { role: 'admin', passwordHash: 'x' } }), true);
+  });
+
+  it('closes registration once any user has a password', function() {
+    assert.strictEqual(isRegistrationOpen({}), true);
+    assert.strictEqual(isRegistrationOpen({ admin: { role: 'admin', passwordHash: null } }), true);
+    const usersOnly = { admin: { role: 'admin', passwordHash: null }, bob: { role: 'user', passwordHash: 'x' } };
+    assert.strictEqual(hasActiveAdmin(usersOnly), false);
+    assert.strictEqual(isRegistrationOpen(usersOnly), false);
+    assert.strictEqual(isRegistrationOpen({ carol: { role: 'user', passwordHash: 'x', disabled: true } }), false);
+  });
+
+  it('validates usernames, passwords and roles', function() {
+    assert.strictEqual(validateUsername(' alice.b '), 'alice.b');
+    assert.throws(() => validateUsername(''), /required/);
+    assert.throws(() => validateUsername('__proto__'), /letters, digits/);
+    assert.throws(() => validateUsername('a/b'), /letters, digits/);
+    assert.throws(() => validatePassword('12345'), /at least 6/);
+    assert.strictEqual(validatePassword('123456'), '123456');
+    assert.strictEqual(validateRole(undefined), 'user');
+    assert.throws(() => validateRole('root'), /role must be one of/);
+  });
+
+  it('does not look users up through the object prototype', function() {
+    assert.strictEqual(getUser({}, 'constructor'), null);
+    assert.strictEqual(getUser({ alice: { role: 'user' } }, 'alice').role, 'user');
+  });
+
+  it('exposes users without their password hash or settings', function() {
+    const view = publicUser('alice', { role: 'user', passwordHash: 'secret', settings: { tmdb_api_key: 'k' }, createdAt: 5 });
+    assert.deepStrictEqual(view, { username: 'alice', role: 'user', disabled: false, hasPassword: true, createdAt: 5 });
+  });
+
+  it('keeps the last enabled admin with a password', function() {
+    const users = {
+      root: { role: 'admin', passwordHash: 'x' },
+      old: { role: 'admin', passwordHash: 'x', disabled: true },
+      bob: { role: 'user', passwordHash: 'x' }
+    };
+    assert.match(lastAdminGuard(users, 'root'), /last admin/);
+    assert.strictEqual(lastAdminGuard(users, 'old'), null);
+    assert.strictEqual(lastAdminGuard(users, 'bob'), null);
+    users.second = { role: 'admin', passwordHash: 'y' };
+    assert.strictEqual(lastAdminGuard(users, 'root'), null);
+  });
+});
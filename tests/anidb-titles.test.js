@@ -0,0 +1,211 @@
+/**
+ * AniDB Title Index Tests
+ *
+ * Parsing the anime-titles dump into SQLite, exact and fuzzy search across title types and
+ * languages, season-aware AID resolution, download pacing, and the AniDB lookup asking for
+ * an episode by number once the index has named the anime.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+let dbLib = null;
+try {
+  dbLib = require('../lib/db');
+  require('better-sqlite3');
+} catch (e) {
+  dbLib = null;
+}
+
+const buildAnidbTitleIndex = require('../lib/anidb-titles');
+const { parseTitlesXml, comparableName, similarity } = buildAnidbTitleIndex;
+
+const TITLES_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<animetitles>
+<anime aid="17617">
+<title xml:lang="x-jat" type="main">Sousou no Frieren</title>
+<title xml:lang="en" type="official">Frieren: Beyond Journey&apos;s End</title>
+<title xml:lang="ja" type="official">葬送のフリーレン</title>
+<title xml:lang="en" type="syn">Frieren at the Funeral</title>
+<title xml:lang="x-jat" type="short">Frieren</title>
+</anime>
+<anime aid="9541">
+<title xml:lang="x-jat" type="main">Shingeki no Kyojin</title>
+<title xml:lang="en" type="official">Attack on Titan</title>
+</anime>
+<anime aid="10944">
+<title xml:lang="x-jat" type="main">Shingeki no Kyojin (2017)</title>
+<title xml:lang="en" type="official">Attack on Titan Season 2</title>
+</anime>
+<anime aid="100">
+<title xml:lang="en" type="main">Twin Star</title>
+</anime>
+<anime aid="101">
+<title xml:lang="x-jat" type="main">Twin Star (2016)</title>
+<title xml:lang="en" type="syn">Twin Star</title>
+</anime>
+</animetitles>`;
+
+describe('AniDB titles dump parsing', function() {
+  it('keeps every title with its language and type, entities decoded', function() {
+    const rows = parseTitlesXml(TITLES_XML);
+    const frieren = rows.filter(r => r.aid === 17617);
+    assert.strictEqual(frieren.length, 5);
+    assert.deepStrictEqual(frieren[1], {
+      aid: 17617,
+      title: "Frieren: Beyond Journey's End",
+      lang: 'en',
+      type: 'official',
+      comparable: 'frieren beyondjourneysend'
+    });
+    assert.strictEqual(frieren[2].comparable, '葬送のフリーレン');
+  });
+
+  it('scores identical comparable names 1 and typos close to it', function() {
+    // Jellyfin drops spaces and turns separators into one
+    assert.strictEqual(comparableName('Attack on Titan!'), 'attackontitan');
+    assert.strictEqual(comparableName('Re:Zero'), 're zero');
+    assert.strictEqual(similarity('attackontitan', 'attackontitan'), 1);
+    assert.ok(similarity('atackontitan', 'attackontitan') > 0.8);
+    assert.ok(similarity('attackontitan', 'twinstar') < 0.2);
+  });
+});
+
+describe('AniDB title index', function() {
+  let tmpRoot;
+  let logged;
+  let downloads;
+  let index;
+
+  before(function() {
+    if (!dbLib) return this.skip();
+    tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'mmp-anidb-titles-'));
+    dbLib.init(path.join(tmpRoot, 'titles.db'));
+  });
+
+  after(function() {
+    if (tmpRoot) try { fs.rmSync(tmpRoot, { recursive: true, force: true }); } catch (e) {}
+  });
+
+  beforeEach(async function() {
+    logged = [];
+    downloads = 0;
+    dbLib.replaceAnidbTitles([], 0);
+    index = buildAnidbTitleIndex({
+      db: dbLib,
+      appendLog: (l) => logged.push(l),
+      download: async () => { downloads++; return TITLES_XML; }
+    });
+    await index.load();
+  });
+
+  it('downloads into SQLite once and serves later loads from it', async function() {
+    assert.strictEqual(downloads, 1);
+    const info = index.info();
+    assert.strictEqual(info.titles, 12);
+    assert.strictEqual(info.anime, 5);
+    assert.strictEqual(info.fts, true);
+    await index.load();
+    assert.strictEqual(downloads, 1);
+    assert.ok(logged.includes('ANIDB_TITLES_DB_DOWNLOAD_OK titles=12 anime=5 fts=true'));
+  });
+
+  it('refreshes a stale dump in the background and backs off after a failed download', async function() {
+    let failing = true;
+    const stale = buildAnidbTitleIndex({
+      db: dbLib,
+      appendLog: (l) => logged.push(l),
+      ttlMs: 0,
+      download: async () => { downloads++; if (failing) throw new Error('banned'); return TITLES_XML; }
+    });
+    assert.strictEqual(await stale.load(), true);
+    await stale.refresh();
+    assert.strictEqual(downloads, 2);
+    assert.ok(logged.includes('ANIDB_TITLES_DB_DOWNLOAD_FAIL err=banned'));
+    failing = false;
+    assert.strictEqual(await stale.refresh(), false);
+    assert.strictEqual(downloads, 2);
+    // The old dump keeps answering
+    assert.strictEqual(stale.lookupExact('Sousou no Frieren'), 17617);
+  });
+
+  it('matches exact names the way Jellyfin does', function() {
+    assert.strictEqual(index.lookupExact('Attack on Titan'), 9541);
+    assert.strictEqual(index.lookupExact('attack on titan!'), 9541);
+    assert.strictEqual(index.lookupExact('Frieren'), 17617);
+    assert.strictEqual(index.lookupExact('Attack on Titans'), null);
+  });
+
+  it('finds anime by fuzzy titles in any type and language', function() {
+    const [typo] = index.search('Sosou no Frieren');
+    assert.strictEqual(typo.aid, 17617);
+    assert.strictEqual(typo.mainTitle, 'Sousou no Frieren');
+    assert.strictEqual(typo.englishTitle, "Frieren: Beyond Journey's End");
+
+    assert.strictEqual(index.search('Frieren at the Funeral')[0].type, 'syn');
+    assert.strictEqual(index.search('葬送のフリーレン')[0].aid, 17617);
+    const hits = index.search('Attack on Titan');
+    assert.deepStrictEqual(hits.map(h => h.aid), [9541, 10944]);
+    assert.strictEqual(hits[0].score, 1);
+    assert.deepStrictEqual(index.search('Completely Unrelated Show'), []);
+  });
+
+  it('resolves one AID per title and season, and nothing when unsure', function() {
+    assert.strictEqual(index.resolve('Attack on Titan', { season: 1 }).aid, 9541);
+    assert.strictEqual(index.resolve('Attack on Titan', { season: 2 }).aid, 10944);
+    assert.strictEqual(index.resolve('Atack on Titan').aid, 9541);
+    assert.ok(logged.some(l => /^ANIDB_TITLE_INDEX_HIT title=Attack on Titan season=2 aid=10944 /.test(l)));
+    // Too far from any title
+    assert.strictEqual(index.resolve('Frieren the Mage'), null);
+    assert.ok(logged.includes('ANIDB_TITLE_INDEX_MISS title=Frieren the Mage season='));
+    // Both anime are called "Twin Star"
+    assert.strictEqual(index.resolve('Twin Star'), null);
+    assert.ok(logged.includes('ANIDB_TITLE_INDEX_AMBIGUOUS title=Twin Star season= aids=100,101 score=1'));
+  });
+
+  it('starts the download instead of blocking enrichment while empty', async function() {
+    dbLib.replaceAnidbTitles([], 0);
+    assert.strictEqual(index.resolve('Attack on Titan'), null);
+    await index.load();
+    assert.strictEqual(downloads, 2);
+    assert.strictEqual(index.resolve('Attack on Titan').aid, 9541);
+  });
+});
+
+describe('AniDB lookup through the title index', function() {
+  it('asks AniDB for the episode by number instead of hashing the file', async function() {
+    const { lookupMetadataWithAniDB } = require('../lib/meta-providers');
+    const { getAniDBUDPClient } = require('../lib/anidb-udp');
+    const client = getAniDBUDPClient('title-index-user', 'pw', 'mediabrowser', 1);
+    const sent = [];
+    client.sessionKey = 'key';
+    client.loggedIn = true;
+    client.sessionExpiry = Date.now() + 60000;
+    client._sendCommand = async (command, params) => {
+      sent.push([command, params]);
+      return { code: '240', data: '250001|10944|24|0|0|3|Walls|Kabe|壁|1491004800|1' };
+    };
+    client.lookupAnime = async (aid) => ({ aid, englishName: 'Attack on Titan Season 2', romajiName: 'Shingeki no Kyojin (2017)', animeType: 'TV Series', year: '2017' });
+
+    try {
+      const result = await lookupMetadataWithAniDB('/no/such/file.mkv', 'Attack on Titan', {
+        anidb_username: 'title-index-user',
+        anidb_password: 'pw',
+        season: 2,
+        episode: 3,
+        resolveAnidbAid: (title, { season }) => (title === 'Attack on Titan' && season === 2 ? { aid: 10944, score: 1 } : null)
+      });
+      assert.deepStrictEqual(sent, [['EPISODE', { s: 'key', aid: 10944, epno: '3' }]]);
+      assert.strictEqual(result.source, 'AniDB Title Index');
+      assert.strictEqual(result.id, '10944');
+      assert.strictEqual(result.name, 'Attack on Titan Season 2');
+      assert.strictEqual(result.episodeTitle, 'Walls');
+      assert.strictEqual(result.seasonNumber, 2);
+      assert.strictEqual(result.raw.eid, '250001');
+    } finally {
+      if (client.socket) client.socket.close();
+    }
+  });
+});
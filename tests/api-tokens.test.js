@@ -0,0 +1,160 @@
+/**
+ * API Token Tests
+ *
+ * Scope validation and which requests each scope allows, tokens stored only as hashes, and the
+ * Bearer middleware accepting, rejecting and revoking tokens.
+ */
+
+const assert = require('assert');
+
+const buildApiTokens = require('../lib/api-tokens');
+const { normalizeScopes, scopeAllows, hashToken } = buildApiTokens;
+
+// In-memory stand-in for the api_tokens table in lib/db.js
+function memoryDb() {
+  const rows = new Map();
+  return {
+    rows,
+    insertApiToken: (row) => rows.set(row.id, Object.assign({ last_used_at: null, revoked_at: null }, row)),
+    getApiTokenByHash: (hash) => [...rows.values()].find(r => r.token_hash === hash) || null,
+    getApiToken: (id) => rows.get(id) || null,
+    listApiTokens: (username) => [...rows.values()].filter(r => !username || r.username === username),
+    touchApiToken: (id, at) => { rows.get(id).last_used_at = at; },
+    revokeApiTokens: ({ id, username }) => {
+      let n = 0;
+      for (const r of rows.values()) {
+        if (r.revoked_at || (id ? r.id !== id : r.username !== username)) continue;
+        r.revoked_at = Date.now();
+        n++;
+      }
+      return n;
+    }
+  };
+}
+
+function fakeRequest(method, path, token) {
+  const headers = token ? { authorization: `Bearer ${token}` } : {};
+  return { method, path, get: (name) => headers[String(name).toLowerCase()], session: { username: 'cookie-user' } };
+}
+
+function fakeResponse() {
+  return { statusCode: 200, body: null, status(code) { this.statusCode = code; return this; }, json(body) { this.body = body; return this; } };
+}
+
+describe('API token scopes', function() {
+  it('accepts known scopes in a fixed order and rejects others', function() {
+    assert.deepStrictEqual(normalizeScopes('apply, read'), ['read', 'apply']);
+    assert.throws(() => normalizeScopes([]), /at least one scope/);
+    assert.throws(() => normalizeScopes(['admin']), /unknown scope: admin/);
+  });
+
+  it('needs the read scope for reads and limits writes to the matching area', function() {
+    assert.strictEqual(scopeAllows(['read'], 'GET', '/api/scan/latest'), true);
+    assert.strictEqual(scopeAllows(['import'], 'GET', '/api/scan/latest'), false);
+    assert.strictEqual(scopeAllows(['scan', 'enrich', 'apply'], 'HEAD', '/api/jobs'), false);
+    assert.strictEqual(scopeAllows(['read'], 'POST', '/api/scan/incremental'), false);
+    assert.strictEqual(scopeAllows(['scan'], 'POST', '/api/scan/incremental'), true);
+    assert.strictEqual(scopeAllows(['scan'], 'POST', '/api/rename/apply'), false);
+    assert.strictEqual(scopeAllows(['apply'], 'POST', '/api/rename/apply'), true);
+    assert.strictEqual(scopeAllows(['enrich'], 'POST', '/api/enrich/bulk'), true);
+    assert.strictEqual(scopeAllows(['scan', 'enrich', 'apply'], 'POST', '/api/settings'), false);
+    assert.strictEqual(scopeAllows(['scan', 'enrich', 'apply'], 'POST', '/api/tokens'), false);
+  });
+
+  it('never lets a token read settings, tokens or debug views', function() {
+    const all = ['read', 'scan', 'enrich', 'apply', 'import'];
+    assert.strictEqual(scopeAllows(all, 'GET', '/api/settings'), false);
+    assert.strictEqual(scopeAllows(all, 'GET', '/api/tokens'), false);
+    assert.strictEqual(scopeAllows(all, 'GET', '/api/debug/session'), false);
+    assert.strictEqual(scopeAllows(all, 'GET', '/api/meta/status'), true);
+  });
+});
+
+describe('API token middleware', function() {
+  let db;
+  let tokens;
+  let logs;
+  const users = { alice: { role: 'user' }, mallory: { role: 'user', disabled: true } };
+
+  beforeEach(function() {
+    db = memoryDb();
+    logs = [];
+    let n = 0;
+    tokens = buildApiTokens({ db, users, appendLog: (line) => logs.push(line), uuidv4: () => `t${++n}` });
+  });
+
+  it('stores only a hash and shows the token once', function() {
+    const { token, secret } = tokens.create('alice', { label: 'sonarr', scopes: ['scan'], expiresInDays: 30 });
+    assert.match(secret, /^mmp_/);
+    const row = db.rows.get(token.id);
+    assert.strictEqual(row.token_hash, hashToken(secret));
+    assert.ok(!JSON.stringify(row).includes(secret));
+    assert.ok(!('token_hash' in token));
+    assert.ok(token.expiresAt > Date.now());
+    assert.throws(() => tokens.create('alice', { scopes: ['scan'], expiresInDays: -1 }), /expiresInDays/);
+  });
+
+  it('runs an allowed request as the token user and logs the use', function() {
+    const { secret } = tokens.create('alice', { scopes: ['scan'] });
+    const req = fakeRequest('POST', '/api/scan/incremental', secret);
+    let called = false;
+    tokens.middleware(req, fakeResponse(), () => { called = true; });
+    assert.strictEqual(called, true);
+    assert.strictEqual(req.session.username, 'alice');
+    assert.deepStrictEqual(req.apiToken.scopes, ['scan']);
+    assert.ok(logs.some(l => /^API_TOKEN_USED id=t1 user=alice method=POST path=\/api\/scan\/incremental/.test(l)));
+  });
+
+  it('passes requests without a Bearer header through to the session', function() {
+    const req = fakeRequest('GET', '/api/session', null);
+    let called = false;
+    tokens.middleware(req, fakeResponse(), () => { called = true; });
+    assert.strictEqual(called, true);
+    assert.strictEqual(req.session.username, 'cookie-user');
+  });
+
+  it('rejects unknown, out-of-scope, revoked, expired and disabled-user tokens', function() {
+    const run = (method, path, token) => {
+      const res = fakeResponse();
+      tokens.middleware(fakeRequest(method, path, token), res, () => { res.statusCode = 'next'; });
+      return res;
+    };
+    assert.strictEqual(run('GET', '/api/session', 'mmp_unknown').statusCode, 401);
+
+    const scan = tokens.create('alice', { scopes: ['scan'] });
+    assert.strictEqual(run('POST', '/api/rename/apply', scan.secret).statusCode, 403);
+    assert.strictEqual(tokens.revoke(scan.token.id, 'alice'), true);
+    assert.deepStrictEqual(run('GET', '/api/session', scan.secret).body, { error: 'token revoked' });
+
+    const old = tokens.create('alice', { scopes: ['read'] });
+    db.rows.get(old.token.id).expires_at = Date.now() - 1;
+    assert.deepStrictEqual(run('GET', '/api/session', old.secret).body, { error: 'token expired' });
+
+    const disabled = tokens.create('mallory', { scopes: ['read'] });
+    assert.strictEqual(run('GET', '/api/session', disabled.secret).statusCode, 401);
+    assert.ok(logs.some(l => /^API_TOKEN_REJECTED id=t1 reason=scope/.test(l)));
+  });
+
+  it('refuses reads without the read scope and never returns settings to a token', function() {
+    const run = (method, path, token) => {
+      const res = fakeResponse();
+      tokens.middleware(fakeRequest(method, path, token), res, () => { res.statusCode = 'next'; });
+      return res;
+    };
+    const importer = tokens.create('alice', { scopes: ['import'] });
+    assert.strictEqual(run('GET', '/api/jobs', importer.secret).statusCode, 403);
+    assert.strictEqual(run('POST', '/api/import', importer.secret).statusCode, 'next');
+    const reader = tokens.create('alice', { scopes: ['read', 'scan', 'enrich', 'apply', 'import'] });
+    assert.strictEqual(run('GET', '/api/jobs', reader.secret).statusCode, 'next');
+    const res = run('GET', '/api/settings', reader.secret);
+    assert.strictEqual(res.statusCode, 403);
+    assert.ok(!/serverSettings|tmdb_api_key/.test(JSON.stringify(res.body)));
+  });
+
+  it('revokes every live token of a user', function() {
+    tokens.create('alice', { scopes: ['read'] });
+    tokens.create('alice', { scopes: ['scan'] });
+    assert.strictEqual(tokens.revokeAllFor('alice'), 2);
+    assert.ok(tokens.list('alice').every(t => t.revokedAt));
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Audit Log Tests
+ *
+ * Who an entry is attributed to, filtering and exporting entries from SQLite, retention pruning,
+ * and that a failed write never breaks the action being audited.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const buildAuditLog = require('../lib/audit');
+const { normalizeRetentionDays, parseFilters, toCsv } = buildAuditLog;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Audit log helpers', function() {
+  it('accepts whole-day retention values only', function() {
+    assert.strictEqual(normalizeRetentionDays('30'), 30);
+    assert.strictEqual(normalizeRetentionDays(0), 0);
+    assert.strictEqual(normalizeRetentionDays(''), null);
+    assert.strictEqual(normalizeRetentionDays(-1), null);
+    assert.strictEqual(normalizeRetentionDays(1.5), null);
+  });
+
+  it('parses query-string filters with bounded paging', function() {
+    const f = parseFilters({ username: ' alice ', action: 'user.', since: '2024-05-01', until: '1700000000000', limit: '9999', offset: '-3' });
+    assert.strictEqual(f.username, 'alice');
+    assert.strictEqual(f.action, 'user.');
+    assert.strictEqual(f.since, Date.parse('2024-05-01'));
+    assert.strictEqual(f.until, 1700000000000);
+    assert.strictEqual(f.limit, 500);
+    assert.strictEqual(f.offset, 0);
+    assert.strictEqual(parseFilters({ since: 'soon' }).since, null);
+  });
+
+  it('quotes CSV cells that need it', function() {
+    const csv = toCsv([{ id: 1, at: 0, username: 'alice', via: 'session', action: 'settings.update', target: null, details: '{"keys":["a","b"]}', ip: null }]);
+    assert.strictEqual(csv, 'id,at,username,via,action,target,details,ip\n1,1970-01-01T00:00:00.000Z,alice,session,settings.update,,"{""keys"":[""a"",""b""]}",\n');
+  });
+});
+
+describe('Audit log', function() {
+  let dbLib;
+  let tmpRoot;
+  let serverSettings;
+  let logs;
+  let audit;
+
+  before(function() {
+    try { dbLib = require('../lib/db'); } catch (e) { this.skip(); return; }
+    tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'mmp-audit-'));
+    dbLib.init(path.join(tmpRoot, 'audit.db'));
+  });
+
+  after(function() {
+    try { fs.rmSync(tmpRoot, { recursive: true, force: true }); } catch (e) {}
+  });
+
+  beforeEach(function() {
+    dbLib.deleteAuditEntriesBefore(Number.MAX_SAFE_INTEGER);
+    serverSettings = {};
+    logs = [];
+    audit = buildAuditLog({ db: dbLib, serverSettings, appendLog: (line) => logs.push(line) });
+  });
+
+  it('attributes entries to the session, token or system actor', function() {
+    audit.record({ session: { username: 'alice' }, ip: '10.0.0.2' }, 'settings.update', { details: { scope: 'user', keys: ['rename_template'] } });
+    audit.record({ session: { username: 'bot' }, apiToken: { id: 't1' } }, 'rename.apply', { target: 'batch-1' });
+    audit.record(null, 'scan.force', { target: 'local' });
+    const { entries, total } = audit.query({});
+    assert.strictEqual(total, 3);
+    const byAction = Object.fromEntries(entries.map(e => [e.action, e]));
+    assert.deepStrictEqual([byAction['settings.update'].username, byAction['settings.update'].via, byAction['settings.update'].ip], ['alice', 'session', '10.0.0.2']);
+    assert.deepStrictEqual(byAction['settings.update'].details, { scope: 'user', keys: ['rename_template'] });
+    assert.strictEqual(byAction['rename.apply'].via, 'token:t1');
+    assert.strictEqual(byAction['scan.force'].via, 'system');
+  });
+
+  it('filters by user, action group, time and text', function() {
+    const req = (username) => ({ session: { username } });
+    audit.record(req('alice'), 'user.create', { target: 'bob' });
+    audit.record(req('alice'), 'user.delete', { target: 'carol' });
+    audit.record(req('bob'), 'item.hide', { target: '/media/show/ep1.mkv' });
+    assert.strictEqual(audit.query({ username: 'alice' }).total, 2);
+    assert.strictEqual(audit.query({ action: 'user.' }).total, 2);
+    assert.strictEqual(audit.query({ action: 'user.create' }).total, 1);
+    assert.strictEqual(audit.query({ q: 'ep1' }).entries[0].username, 'bob');
+    assert.strictEqual(audit.query({ since: Date.now() + DAY }).total, 0);
+    assert.deepStrictEqual(audit.facets(), { actions: ['item.hide', 'user.create', 'user.delete'], usernames: ['alice', 'bob'] });
+    const page = audit.query({ limit: 1, offset: 1 });
+    assert.strictEqual(page.entries.length, 1);
+    assert.strictEqual(page.total, 3);
+  });
+
+  it('exports matching entries as CSV or JSON', function() {
+    audit.record({ session: { username: 'alice' } }, 'history.undo', { target: 'batch-9' });
+    audit.record({ session: { username: 'bob' } }, 'item.hide', { target: '/x' });
+    const csv = audit.exportEntries({ username: 'alice' }, 'csv');
+    assert.strictEqual(csv.extension, 'csv');
+    assert.strictEqual(csv.body.trim().split('\n').length, 2);
+    assert.ok(csv.body.includes('history.undo'));
+    const json = JSON.parse(audit.exportEntries({}, 'json').body);
+    assert.strictEqual(json.length, 2);
+  });
+
+  it('prunes entries older than the retention setting', function() {
+    const now = Date.now();
+    dbLib.insertAuditEntry({ at: now - 40 * DAY, username: 'alice', via: 'session', action: 'old', target: null, details: null, ip: null });
+    dbLib.insertAuditEntry({ at: now - DAY, username: 'alice', via: 'session', action: 'recent', target: null, details: null, ip: null });
+    serverSettings.audit_retention_days = 0;
+    assert.strictEqual(audit.prune(now), 0);
+    serverSettings.audit_retention_days = 30;
+    assert.strictEqual(audit.prune(now), 1);
+    assert.deepStrictEqual(audit.query({}).entries.map(e => e.action), ['recent']);
+    assert.ok(logs.some(l => /^AUDIT_PRUNED removed=1 retentionDays=30/.test(l)));
+  });
+
+  it('logs a failed write instead of throwing', function() {
+    const broken = buildAuditLog({ db: { insertAuditEntry: () => { throw new Error('disk full'); } }, serverSettings, appendLog: (line) => logs.push(line) });
+    assert.doesNotThrow(() => broken.record({ session: { username: 'alice' } }, 'settings.update'));
+    assert.ok(logs.some(l => l === 'AUDIT_FAIL action=settings.update err=disk full'));
+  });
+});
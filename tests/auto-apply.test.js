@@ -0,0 +1,142 @@
+/**
+ * Auto-apply Rule Tests
+ *
+ * Rule validation, condition matching, rule ordering and job triggering.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const buildAutoApplier = require('../lib/auto-apply');
+const { normalizeRule, ruleMatches } = buildAutoApplier;
+
+const completeProvider = (extra = {}) => Object.assign({ matched: true, renderedName: 'Show - S01E01 - Pilot', episode: 1, episodeTitle: 'Pilot' }, extra);
+
+function makeApplier(rules, enrichCache) {
+  const enqueued = [];
+  const ctx = {
+    users: { alice: { settings: { auto_apply_rules: rules } } },
+    enrichCache,
+    canonicalize: (p) => p,
+    isProviderComplete: (prov) => !!(prov && prov.matched && prov.renderedName && (prov.episode == null || prov.episodeTitle)),
+    getSeriesNameForApprovedEntry: (entry, target) => target.split('/')[2],
+    normalizeForCache: (s) => String(s).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim(),
+    appendLog: () => {},
+    jobQueue: { enqueue: (type, opts) => { const job = Object.assign({ id: `job-${enqueued.length + 1}`, type }, opts); enqueued.push(job); return job; } }
+  };
+  return { applier: buildAutoApplier(ctx), enqueued };
+}
+
+describe('Auto-apply rules', function() {
+  it('validates rules and fills defaults', function() {
+    assert.throws(() => normalizeRule({ conditions: [] }), /at least one condition/);
+    assert.throws(() => normalizeRule({ conditions: ['nope'] }), /unknown condition/);
+    assert.throws(() => normalizeRule({ conditions: ['hash_match'], outputFolder: 'relative/out' }), /absolute/);
+    const rule = normalizeRule({ id: 'r1', conditions: ['provider_complete', 'series_approved', 'provider_complete'], match: 'bogus' });
+    assert.deepStrictEqual(rule.conditions, ['provider_complete', 'series_approved']);
+    assert.strictEqual(rule.match, 'all');
+    assert.strictEqual(rule.enabled, true);
+    assert.strictEqual(rule.name, 'provider complete and series approved');
+    const updated = normalizeRule({ enabled: false }, rule);
+    assert.strictEqual(updated.id, 'r1');
+    assert.deepStrictEqual(updated.conditions, rule.conditions);
+    assert.strictEqual(updated.enabled, false);
+  });
+
+  it('matches all or any of the conditions', function() {
+    const all = normalizeRule({ conditions: ['provider_complete', 'series_approved'] });
+    const any = normalizeRule({ conditions: ['hash_match', 'series_approved'], match: 'any' });
+    const facts = { hash_match: true, provider_complete: true, series_approved: false };
+    assert.strictEqual(ruleMatches(all, facts), false);
+    assert.strictEqual(ruleMatches(any, facts), true);
+    assert.strictEqual(ruleMatches(Object.assign({}, any, { enabled: false }), facts), false);
+  });
+
+  it('routes each item to the first matching rule', function() {
+    const rules = [
+      normalizeRule({ id: 'hash', conditions: ['hash_match'], outputFolder: '/media/verified' }),
+      normalizeRule({ id: 'known', conditions: ['provider_complete', 'series_approved'] }),
+      normalizeRule({ id: 'off', conditions: ['provider_complete'], enabled: false })
+    ];
+    const enrichCache = {
+      '/in/hashed.mkv': { source: 'anidb-ed2k', provider: completeProvider({ source: 'anidb-ed2k' }) },
+      '/in/known.mkv': { seriesTitleEnglish: 'Known Show', provider: completeProvider() },
+      '/in/unknown.mkv': { seriesTitleEnglish: 'Other Show', provider: completeProvider() },
+      '/in/partial.mkv': { seriesTitleEnglish: 'Known Show', provider: completeProvider({ episodeTitle: '' }) },
+      '/in/done.mkv': { source: 'anidb-ed2k', applied: true, appliedTo: '/out/Known Show/ep1.mkv', provider: completeProvider({ source: 'anidb-ed2k' }) }
+    };
+    const { applier } = makeApplier(rules, enrichCache);
+    const groups = applier.evaluate('alice', Object.keys(enrichCache));
+    assert.deepStrictEqual(groups.map(g => [g.rule.id, g.paths]), [
+      ['hash', ['/in/hashed.mkv']],
+      ['known', ['/in/known.mkv']]
+    ]);
+    assert.deepStrictEqual(applier.evaluate('bob', Object.keys(enrichCache)), []);
+  });
+
+  it('only queues a job when something matches', function() {
+    const rules = [normalizeRule({ id: 'hash', conditions: ['hash_match'] })];
+    const enrichCache = {
+      '/in/a.mkv': { provider: completeProvider({ source: 'anidb-ed2k' }) },
+      '/in/b.mkv': { provider: completeProvider({ source: 'anilist' }) }
+    };
+    const { applier, enqueued } = makeApplier(rules, enrichCache);
+    assert.strictEqual(applier.trigger('alice', ['/in/b.mkv'], 'scan'), null);
+    const job = applier.trigger('alice', ['/in/a.mkv', '/in/b.mkv'], 'auto-rescan');
+    assert.strictEqual(enqueued.length, 1);
+    assert.strictEqual(job.type, 'auto-apply');
+    assert.strictEqual(job.username, 'alice');
+    assert.deepStrictEqual(job.payload, { paths: ['/in/a.mkv'], trigger: 'auto-rescan' });
+  });
+
+  it('records applied items under the auto-apply action type', async function() {
+    let dbLib;
+    try { dbLib = require('../lib/db'); } catch (e) { this.skip(); return; }
+    const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'mmp-auto-apply-'));
+    try {
+      dbLib.init(path.join(tmpRoot, 'auto-apply.db'));
+      const src = path.join(tmpRoot, 'input', 'show.01.mkv');
+      fs.mkdirSync(path.dirname(src), { recursive: true });
+      fs.writeFileSync(src, 'video');
+      const outputFolder = path.join(tmpRoot, 'out');
+      const rule = normalizeRule({ id: 'known', conditions: ['provider_complete'], outputFolder });
+      const enrichCache = { [src]: { title: 'Show', season: 1, episode: 1, episodeTitle: 'Pilot', isMovie: false, provider: completeProvider() } };
+      const same = (s) => s;
+      const off = () => false;
+      const handlers = {};
+      const ctx = {
+        fs, path, uuidv4, db: dbLib, enrichCache, renderedIndex: {}, scans: {},
+        users: { alice: { settings: {} } }, serverSettings: {},
+        canonicalize: (p) => path.resolve(p),
+        appendLog: () => {},
+        requireAuth: (req, res, next) => next(),
+        persistEnrichCacheNow: () => {},
+        updateEnrichCacheInMemory: () => {},
+        schedulePersistEnrichCache: () => {},
+        isProviderComplete: () => true,
+        autoApplier: { evaluate: () => [{ rule, paths: [src] }] },
+        jobQueue: { registerHandler: (type, fn) => { handlers[type] = fn; } },
+        extractYear: () => '', determineIsMovie: () => false,
+        resolveSeriesTitle: () => 'Show', extractEnglishSeriesTitle: () => 'Show', getSeriesAlias: () => null,
+        sanitize: same, titleCase: same, stripEpisodeArtifactsForFolder: same, stripSeasonNumberSuffix: same,
+        stripTrailingYear: same, ensureRenderedNameHasYear: same, truncateFilenameComponent: same,
+        getMaxFilenameLengthForOS: () => 255,
+        resolveApplyAtomicSetting: off, resolveCopySidecarSubtitlesSetting: off, resolveExtractSubtitlesSetting: off,
+        resolveHardsubSetting: off, resolveNfoSidecarsSetting: off, resolveArtworkSidecarsSetting: off
+      };
+      require('../routes/jobs')(ctx);
+      const job = { id: 'job-1', username: 'alice', payload: { paths: [src] }, results: [], processedItems: 0 };
+      await handlers['auto-apply'](job, { signal: { aborted: false }, save: () => {} });
+
+      assert.deepStrictEqual(job.results.map(r => r.status), ['hardlinked']);
+      const rows = dbLib.getActionsByBatch(job.batchId);
+      assert.strictEqual(rows.length, 1);
+      assert.strictEqual(rows[0].action_type, 'auto-apply');
+      assert.strictEqual(dbLib.getRenameBatch(job.batchId).action_type, 'auto-apply');
+    } finally {
+      try { fs.rmSync(tmpRoot, { recursive: true, force: true }); } catch (e) {}
+    }
+  });
+});
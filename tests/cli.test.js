@@ -0,0 +1,210 @@
+/**
+ * CLI Tests
+ *
+ * Argument parsing and table output, the cross-process locks shared with the server, and
+ * commands run against a stub context.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const buildCli = require('../lib/cli');
+const buildDataLock = require('../lib/data-lock');
+
+describe('CLI argument parsing and output', function() {
+  it('splits the command from positional paths and flags', function() {
+    const { command, args } = buildCli.parseArgs(['apply', '/media/a.mkv', '--dry-run', '--user', 'bob', '--no-enrich']);
+    assert.strictEqual(command, 'apply');
+    assert.deepStrictEqual(args._, ['/media/a.mkv']);
+    assert.strictEqual(args['dry-run'], true);
+    assert.strictEqual(args.user, 'bob');
+    assert.strictEqual(args.enrich, false);
+  });
+
+  it('pads table columns and prints (none) for no rows', function() {
+    const out = buildCli.formatTable([{ a: 'x', b: 1 }, { a: 'long', b: null }], [['a', 'A'], ['b', 'B']]);
+    assert.deepStrictEqual(out.split('\n'), ['A     B', '----  -', 'x     1', 'long']);
+    assert.strictEqual(buildCli.formatTable([], [['a', 'A']]), '(none)');
+  });
+});
+
+describe('Cross-process data locks', function() {
+  let dbLib;
+  let tmpRoot;
+
+  before(function() {
+    try { dbLib = require('../lib/db'); } catch (e) { this.skip(); return; }
+    tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'mmp-cli-'));
+    dbLib.init(path.join(tmpRoot, 'cli.db'));
+  });
+
+  after(function() {
+    try { fs.rmSync(tmpRoot, { recursive: true, force: true }); } catch (e) {}
+  });
+
+  // Two roles in one process stand in for the server and the CLI
+  function pair() {
+    return [buildDataLock({ db: dbLib, role: 'server' }), buildDataLock({ db: dbLib, role: 'cli' })];
+  }
+
+  it('refuses a lock another owner holds and nests for the same owner', function() {
+    const [server, cli] = pair();
+    server.acquire('apply');
+    server.acquire('apply');
+    assert.throws(() => cli.acquire('apply'), (e) => e.code === 'ELOCKED' && e.holder.owner === server.owner);
+    server.release('apply');
+    assert.ok(cli.holder('apply'));
+    server.release('apply');
+    assert.strictEqual(cli.holder('apply'), null);
+    cli.acquire('apply');
+    cli.releaseAll();
+    assert.strictEqual(dbLib.getLock('apply'), null);
+  });
+
+  it('takes over a lock whose holder process has exited', function() {
+    const [, cli] = pair();
+    dbLib.acquireLock({ name: 'scanPath:/media', owner: 'server:gone', pid: 2 ** 22 + 1, host: os.hostname() });
+    cli.acquire('scanPath:/media');
+    assert.strictEqual(dbLib.getLock('scanPath:/media').owner, cli.owner);
+    cli.releaseAll();
+  });
+
+  it('lets the activeScans view see scans running in the other process', function() {
+    const [server, cli] = pair();
+    const serverScans = server.lockSet();
+    const cliScans = cli.lockSet();
+    serverScans.add('scanPath:/media');
+    assert.strictEqual(cliScans.has('scanPath:/media'), true);
+    assert.throws(() => cliScans.add('scanPath:/media'), /locked by/);
+    serverScans.delete('scanPath:/media');
+    cliScans.add('scanPath:/media');
+    assert.strictEqual(cliScans.size, 1);
+    cliScans.delete('scanPath:/media');
+    assert.strictEqual(dbLib.getLock('scanPath:/media'), null);
+  });
+
+  it('aborts an apply batch while another process holds the apply lock', async function() {
+    const [server, cli] = pair();
+    const src = path.join(tmpRoot, 'a.mkv');
+    fs.writeFileSync(src, 'a');
+    const applier = require('../lib/apply')({
+      fs, path, db: dbLib, enrichCache: {}, renderedIndex: {}, uuidv4, dataLock: cli,
+      canonicalize: (p) => path.resolve(p),
+      appendLog: () => {}
+    });
+    server.acquire('apply');
+    try {
+      const outcome = await applier.applyBatch([{ itemId: 'a', fromPath: src, toPath: path.join(tmpRoot, 'out', 'A.mkv') }]);
+      assert.strictEqual(outcome.status, 'aborted');
+      assert.strictEqual(outcome.results[0].status, 'skipped');
+      assert.ok(!fs.existsSync(path.join(tmpRoot, 'out', 'A.mkv')));
+      assert.deepStrictEqual(applier.recoverIncompleteBatches(), []);
+    } finally {
+      server.releaseAll();
+    }
+  });
+
+  it('reports enrichment rows saved after a change cursor', function() {
+    const cursor = dbLib.getLatestEnrichmentChangeId();
+    dbLib.saveEnrichCacheBatch({ '/media/b.mkv': { title: 'B' } });
+    const { lastId, paths } = dbLib.getEnrichmentChangesSince(cursor);
+    assert.ok(lastId > cursor);
+    // Rows written by this process are skipped; the cursor still moves past them
+    assert.deepStrictEqual(paths, []);
+    assert.strictEqual(dbLib.loadEnrichments(['/media/b.mkv', '/media/none.mkv'])['/media/b.mkv'].title, 'B');
+  });
+});
+
+describe('CLI commands', function() {
+  function makeCli(overrides = {}) {
+    const logged = [];
+    const ctx = Object.assign({
+      fs, path, users: { admin: { role: 'admin', settings: {} } }, serverSettings: {}, enrichCache: {}, scans: {},
+      canonicalize: (p) => path.resolve(p),
+      appendLog: (line) => logged.push(line),
+      db: { getHistory: (limit, opts) => [{ id: 7, timestamp: 0, action_type: opts.actionType || 'apply', status: 'applied', original_path: '/in/a.mkv', resolved_path: '/out/A.mkv' }].slice(0, limit) },
+      buildAppliedSourcesSet: () => new Set(),
+      isHiddenOrAppliedPath: () => false,
+      duplicateResolver: { findGroups: () => [{ groupType: 'hash', hash: 'abc', items: [{}, {}], suggestedKeeper: '/in/a.mkv' }] }
+    }, overrides);
+    return { cli: buildCli(ctx), logged };
+  }
+
+  function capture() {
+    const io = { stdout: '', stderr: '' };
+    io.out = (s) => { io.stdout += s; };
+    io.err = (s) => { io.stderr += s; };
+    return io;
+  }
+
+  it('prints history as JSON with --json', async function() {
+    const { cli, logged } = makeCli();
+    const io = capture();
+    const code = await cli.run(['history', '--json', '--type', 'unapprove'], io);
+    assert.strictEqual(code, buildCli.EXIT.ok);
+    assert.strictEqual(JSON.parse(io.stdout)[0].action_type, 'unapprove');
+    assert.ok(logged.some(l => /^CLI_COMMAND cmd=history user=admin/.test(l)));
+  });
+
+  it('lists duplicate groups with the suggested keeper', async function() {
+    const { cli } = makeCli();
+    const io = capture();
+    await cli.run(['duplicates'], io);
+    assert.match(io.stdout, /hash\s+2\s+abc\s+\/in\/a\.mkv/);
+  });
+
+  it('exits with usage errors for unknown commands, users and missing arguments', async function() {
+    const { cli } = makeCli();
+    for (const argv of [['frobnicate'], ['history', '--user', 'nobody'], ['enrich'], ['unapprove'], ['preview']]) {
+      const io = capture();
+      assert.strictEqual(await cli.run(argv, io), buildCli.EXIT.usage, argv.join(' '));
+      assert.ok(io.stderr.length);
+    }
+  });
+
+  it('holds cache writes while a dry-run enrich runs', async function() {
+    const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'mmp-cli-dry-'));
+    try {
+      const file = path.join(tmpRoot, 'Show - 01.mkv');
+      fs.writeFileSync(file, 'video');
+      let held = false;
+      const heldDuringUpdate = [];
+      const saved = [];
+      const enrichCache = {};
+      const { cli } = makeCli({
+        enrichCache,
+        db: { saveEnrichCacheBatch: (batch) => saved.push(...Object.keys(batch)) },
+        holdCacheWrites: (on) => { held = on !== false; },
+        isProviderComplete: () => false,
+        resolveMetadataProviderOrder: () => ['anilist'],
+        externalEnrich: async () => ({ title: 'Show', season: 1, episode: 1, source: 'anilist' }),
+        renderProviderName: () => 'Show - S01E01',
+        extractProviderRaw: () => ({}),
+        cloneProviderRaw: (raw) => raw,
+        updateEnrichCache: (key, next) => { heldDuringUpdate.push(held); enrichCache[key] = next; return next; }
+      });
+      const dry = await cli.run(['enrich', file, '--dry-run'], capture());
+      assert.strictEqual(dry, buildCli.EXIT.ok);
+      assert.deepStrictEqual(heldDuringUpdate, [true]);
+      assert.strictEqual(held, false);
+      assert.deepStrictEqual(saved, []);
+
+      await cli.run(['enrich', file, '--force'], capture());
+      assert.deepStrictEqual(heldDuringUpdate, [true, false]);
+      assert.deepStrictEqual(saved, [file]);
+    } finally {
+      try { fs.rmSync(tmpRoot, { recursive: true, force: true }); } catch (e) {}
+    }
+  });
+
+  it('maps a lock held elsewhere to the locked exit code', async function() {
+    const busy = () => { const e = new Error('apply is locked by server:host:1'); e.code = 'ELOCKED'; throw e; };
+    const { cli } = makeCli({ dataLock: { withLock: busy } });
+    const io = capture();
+    assert.strictEqual(await cli.run(['unapprove', '--last', '2'], io), buildCli.EXIT.locked);
+    assert.match(io.stderr, /locked by/);
+  });
+});
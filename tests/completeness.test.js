@@ -0,0 +1,125 @@
+/**
+ * Series Completeness Tests
+ *
+ * Series identity, episode lists from each provider shape, and the per-series report.
+ */
+
+const assert = require('assert');
+const path = require('path');
+const buildCompletenessReporter = require('../lib/completeness');
+const { seriesIdentity, fileEpisodes, expectedFromTmdb, expectedFromTvdb, expectedFromCount, buildReport } = buildCompletenessReporter;
+
+describe('Series completeness', function() {
+  it('identifies the provider series an enrichment matched', function() {
+    assert.deepStrictEqual(seriesIdentity({ provider: { raw: { aid: 17 } } }), { provider: 'anidb', id: '17' });
+    assert.deepStrictEqual(seriesIdentity({ provider: { raw: { source: 'TVDB', id: 81189 } } }), { provider: 'tvdb', id: '81189' });
+    assert.deepStrictEqual(seriesIdentity({ provider: { raw: { source: 'tmdb', id: 1399 } } }), { provider: 'tmdb', id: '1399' });
+    assert.strictEqual(seriesIdentity({ provider: { raw: { source: 'tmdb', id: 603, media_type: 'movie' } } }), null);
+    assert.deepStrictEqual(seriesIdentity({ provider: { raw: { source: 'anilist', id: 154587 } } }), { provider: 'anilist', id: '154587' });
+    assert.strictEqual(seriesIdentity({ provider: { title: 'Show' } }), null);
+  });
+
+  it('expands episode ranges', function() {
+    assert.deepStrictEqual(fileEpisodes({ season: 2, episode: 4 }), { season: 2, episodes: [4] });
+    assert.deepStrictEqual(fileEpisodes({ episode: 1, episodeRange: '01-03' }), { season: 1, episodes: [1, 2, 3] });
+    assert.deepStrictEqual(fileEpisodes({ season: 0, episode: null }), { season: 0, episodes: [] });
+  });
+
+  it('builds expected lists from provider data', function() {
+    const tmdb = expectedFromTmdb({
+      seasons: [{ season_number: 0, episode_count: 1 }, { season_number: 1, episode_count: 3 }, { season_number: 2, episode_count: 10 }, { season_number: 3, episode_count: 8 }],
+      last_episode_to_air: { season_number: 2, episode_number: 4 }
+    });
+    assert.deepStrictEqual(tmdb.map(ep => `${ep.season}x${ep.episode}`), ['0x1', '1x1', '1x2', '1x3', '2x1', '2x2', '2x3', '2x4']);
+    assert.strictEqual(expectedFromTmdb({}), null);
+
+    const now = Date.parse('2026-01-10T00:00:00Z');
+    const tvdb = expectedFromTvdb([
+      { season: 1, episode: 1, title: 'Pilot', airDate: '2026-01-01' },
+      { season: 1, episode: 2, title: null, airDate: null },
+      { season: 1, episode: 3, title: 'Later', airDate: '2026-02-01' }
+    ], now);
+    assert.deepStrictEqual(tvdb.map(ep => ep.episode), [1, 2]);
+
+    assert.deepStrictEqual(expectedFromCount(2, 3).map(ep => [ep.season, ep.episode]), [[3, 1], [3, 2]]);
+    assert.strictEqual(expectedFromCount(0, 1), null);
+  });
+
+  it('marks applied, input and missing episodes and separates specials and extras', function() {
+    const series = {
+      key: 'tvdb:1',
+      title: 'Show',
+      provider: 'tvdb',
+      id: '1',
+      files: [
+        { path: '/in/Show - 01.mkv', season: 1, episodes: [1], applied: true },
+        { path: '/in/Show - 02.mkv', season: 1, episodes: [2], applied: false },
+        { path: '/in/Show - 02v2.mkv', season: 1, episodes: [2], applied: true },
+        { path: '/in/Show - OVA.mkv', season: 0, episodes: [1], applied: false },
+        { path: '/in/Show - 13.mkv', season: 1, episodes: [13], applied: false },
+        { path: '/in/Extras/NCOP.mkv', season: 1, episodes: [1], applied: false, extrasFolder: true }
+      ]
+    };
+    const expected = expectedFromCount(4, 1);
+    const report = buildReport(series, expected);
+
+    assert.strictEqual(report.known, true);
+    assert.strictEqual(report.complete, false);
+    assert.deepStrictEqual(report.counts, { expected: 4, have: 2, applied: 2, missing: 2, specials: 1, extras: 2 });
+    const s1 = report.seasons[0];
+    assert.deepStrictEqual(s1.episodes.map(ep => ep.status), ['applied', 'applied', 'missing', 'missing']);
+    assert.deepStrictEqual(s1.missing, [3, 4]);
+    assert.deepStrictEqual(s1.episodes[1].files, ['/in/Show - 02.mkv', '/in/Show - 02v2.mkv']);
+    assert.deepStrictEqual(report.specials.episodes.map(ep => [ep.episode, ep.status]), [[1, 'input']]);
+    assert.deepStrictEqual(report.extras.map(x => path.basename(x.path)), ['Show - 13.mkv', 'NCOP.mkv']);
+  });
+
+  it('reports what is present when no list is known', function() {
+    const report = buildReport({ key: 'title:show', title: 'Show', provider: null, id: null, files: [
+      { path: '/a.mkv', season: 1, episodes: [1, 2], applied: false },
+      { path: '/b.mkv', season: 1, episodes: [], applied: false }
+    ] }, null);
+    assert.strictEqual(report.known, false);
+    assert.strictEqual(report.complete, false);
+    assert.deepStrictEqual(report.counts, { expected: null, have: 2, applied: 0, missing: 0, specials: 0, extras: 1 });
+  });
+
+  it('summarizes from cached lists and fetches one series on demand', async function() {
+    const kv = {};
+    let fetches = 0;
+    const reporter = buildCompletenessReporter({
+      path,
+      db: { getKV: (k) => kv[k] || null, setKV: (k, v) => { kv[k] = v; } },
+      enrichCache: {
+        '/in/Show - 01.mkv': { provider: { matched: true, raw: { source: 'tvdb', id: 7 } }, seriesTitle: 'Show', season: 1, episode: 1, applied: true, hidden: true },
+        '/in/Show - 02.mkv': { provider: { matched: true, raw: { source: 'tvdb', id: 7 } }, seriesTitle: 'Show', season: 1, episode: 2, hidden: true },
+        '/in/Movie.mkv': { provider: { matched: true, raw: { source: 'tmdb', id: 9 } }, isMovie: true }
+      },
+      users: {},
+      serverSettings: {},
+      normalizeForCache: (s) => String(s).toLowerCase(),
+      appendLog: () => {},
+      resolveTvdbCredentials: () => ({ apiKey: 'k' }),
+      tvdb: {
+        fetchSeriesEpisodes: async () => {
+          fetches += 1;
+          return [{ season: 1, episode: 1, title: 'One', airDate: '2020-01-01' }, { season: 1, episode: 2, title: 'Two', airDate: '2020-01-08' }];
+        }
+      }
+    });
+
+    const before = reporter.summary();
+    assert.deepStrictEqual(before.map(s => [s.key, s.known, s.stale, s.counts.have]), [['tvdb:7', false, true, 1]]);
+    assert.strictEqual(fetches, 0);
+
+    const report = await reporter.seriesReport('tvdb:7');
+    assert.deepStrictEqual(report.seasons[0].episodes.map(ep => [ep.title, ep.status]), [['One', 'applied'], ['Two', 'missing']]);
+    assert.strictEqual(await reporter.seriesReport('tvdb:404'), null);
+
+    await reporter.refreshAll();
+    assert.strictEqual(fetches, 1);
+    const after = reporter.summary()[0];
+    assert.strictEqual(after.stale, false);
+    assert.deepStrictEqual(after.counts.missing, 1);
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Duplicate Resolution Tests
+ *
+ * File quality from names and ffprobe, keeper ranking, and resolving a group then undoing it.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const fileQuality = require('../lib/file-quality');
+const buildDuplicateResolver = require('../lib/duplicates');
+const { normalizeKeeperRules, suggestKeeper, rankFiles, TRASH_DIR_NAME } = buildDuplicateResolver;
+
+describe('Duplicate resolution', function() {
+  it('reads quality from release names', function() {
+    const fansub = fileQuality.fromFilename('/media/[SubsPlease] Frieren - 05v2 (1080p) [ABCD1234].mkv');
+    assert.strictEqual(fansub.resolution, 1080);
+    assert.strictEqual(fansub.releaseGroup, 'SubsPlease');
+    assert.strictEqual(fansub.version, 2);
+
+    const scene = fileQuality.fromFilename('Show.Name.S01E05.720p.WEB-DL.x264-GROUP.mkv');
+    assert.deepStrictEqual(
+      [scene.resolution, scene.codec, scene.source, scene.releaseGroup, scene.version],
+      [720, 'avc', 'web', 'GROUP', 1]
+    );
+    assert.strictEqual(fileQuality.fromFilename('Show.WEB-DL.mkv').releaseGroup, null);
+    assert.strictEqual(fileQuality.fromFilename('Show - 05 [BD 1920x1080 HEVC].mkv').source, 'bluray');
+  });
+
+  it('prefers ffprobe values over the name', function() {
+    const probed = fileQuality.fromProbe(JSON.stringify({
+      streams: [{ codec_type: 'video', codec_name: 'mjpeg', height: 300, disposition: { attached_pic: 1 } }, { codec_type: 'video', codec_name: 'hevc', height: 1080 }],
+      format: { bit_rate: '4500000', size: '734003200' }
+    }));
+    assert.deepStrictEqual(probed, { resolution: 1080, codec: 'hevc', bitrate: 4500000, size: 734003200 });
+    const merged = fileQuality.merge(fileQuality.fromFilename('Show - 05 (720p) x264.mkv'), probed);
+    assert.strictEqual(merged.resolution, 1080);
+    assert.strictEqual(merged.codec, 'hevc');
+  });
+
+  it('validates keeper rules', function() {
+    assert.deepStrictEqual(normalizeKeeperRules(null).order.slice(0, 3), ['group', 'applied', 'resolution']);
+    assert.throws(() => normalizeKeeperRules({ order: ['resolution', 'colour'] }), /unknown keeper criterion/);
+    assert.throws(() => normalizeKeeperRules({ codecs: ['h266'] }), /unknown codec/);
+    assert.deepStrictEqual(normalizeKeeperRules({ codecs: ['AVC', 'hevc', 'avc'] }).codecs, ['avc', 'hevc']);
+  });
+
+  it('suggests a keeper by the first criterion that differs', function() {
+    const files = [
+      { path: '/a.mkv', applied: false, quality: { resolution: 720, codec: 'hevc', version: 1, size: 900 } },
+      { path: '/b.mkv', applied: false, quality: { resolution: 1080, codec: 'avc', version: 1, size: 500 } },
+      { path: '/c.mkv', applied: false, quality: { resolution: 1080, codec: 'avc', version: 2, size: 400, releaseGroup: 'Good' } }
+    ];
+    const rules = normalizeKeeperRules(null);
+    assert.deepStrictEqual(rankFiles(files, rules).map(f => f.path), ['/c.mkv', '/b.mkv', '/a.mkv']);
+    assert.deepStrictEqual(suggestKeeper(files, rules), { keeper: '/c.mkv', reason: 'Newer release version (v2) (v2 vs v1)' });
+
+    const bySize = normalizeKeeperRules({ order: ['size'] });
+    assert.strictEqual(suggestKeeper(files, bySize).keeper, '/a.mkv');
+    const byGroup = normalizeKeeperRules({ order: ['group', 'resolution'], preferredGroups: ['good'] });
+    assert.strictEqual(suggestKeeper([files[1], files[2]], byGroup).keeper, '/c.mkv');
+    assert.strictEqual(suggestKeeper([files[0]], rules), null);
+  });
+
+  describe('resolve and undo', function() {
+    let dbLib;
+    let tmpRoot;
+    let enrichCache;
+    let scans;
+    let resolver;
+
+    before(function() {
+      try { dbLib = require('../lib/db'); } catch (e) { this.skip(); return; }
+      tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'mmp-dupes-'));
+      dbLib.init(path.join(tmpRoot, 'dupes.db'));
+    });
+
+    after(function() {
+      try { fs.rmSync(tmpRoot, { recursive: true, force: true }); } catch (e) {}
+    });
+
+    beforeEach(function() {
+      enrichCache = {};
+      scans = { s1: { items: [] } };
+      resolver = buildDuplicateResolver({
+        fs, path, db: dbLib, uuidv4, enrichCache, scans, renderedIndex: {}, serverSettings: {}, hideEvents: [],
+        execFile: (cmd, args, opts, cb) => cb(new Error('ffprobe not installed')),
+        canonicalize: (p) => path.resolve(p),
+        normalizeEnrichEntry: (entry) => entry,
+        normalizeForCache: (s) => String(s).toLowerCase(),
+        performUnapprove: ({ requestedPaths }) => {
+          for (const p of requestedPaths) { enrichCache[p].applied = false; delete enrichCache[p].appliedTo; }
+          return { changed: requestedPaths, hardlinkErrors: [] };
+        },
+        persistEnrichCacheNow: () => {},
+        writeJson: () => {},
+        appendLog: () => {},
+        broadcastEvent: () => {}
+      });
+    });
+
+    function makeFile(name, previewName) {
+      const dir = path.join(tmpRoot, 'input');
+      fs.mkdirSync(dir, { recursive: true });
+      const p = path.join(dir, name);
+      fs.writeFileSync(p, name);
+      enrichCache[p] = { parsed: { title: 'Show' }, provider: { renderedName: previewName } };
+      scans.s1.items.push({ id: name, canonicalPath: p });
+      return p;
+    }
+
+    it('moves deleted losers to the trash and restores them on undo', async function() {
+      const keep = makeFile('Show - 01 (1080p).mkv', 'Show - S01E01');
+      const loser = makeFile('Show - 01 (720p).mkv', 'Show - S01E01');
+      const out = resolver.resolve({ keep, losers: [loser, keep], action: 'delete' });
+      assert.deepStrictEqual(out.results, [{ path: loser, ok: true }]);
+      assert.ok(!fs.existsSync(loser));
+      assert.ok(fs.existsSync(path.join(path.dirname(loser), TRASH_DIR_NAME, path.basename(loser))));
+      assert.strictEqual(enrichCache[loser].hidden, true);
+      assert.deepStrictEqual(scans.s1.items.map(it => it.canonicalPath), [keep]);
+
+      const rows = dbLib.getActionsByBatch(out.batchId);
+      assert.deepStrictEqual(rows.map(r => [r.action_type, r.original_path, r.resolved_path]), [['duplicate-delete', loser, keep]]);
+      assert.strictEqual(resolver.recentResolutions()[0].batchId, out.batchId);
+
+      const undo = await resolver.undoBatch(out.batchId);
+      assert.deepStrictEqual(undo, { restored: [loser], errors: [] });
+      assert.ok(fs.existsSync(loser));
+      assert.ok(!fs.existsSync(path.join(path.dirname(loser), TRASH_DIR_NAME)));
+      assert.strictEqual(enrichCache[loser].hidden, false);
+      assert.ok(scans.s1.items.some(it => it.canonicalPath === loser));
+      assert.strictEqual(dbLib.getActionsByBatch(out.batchId)[0].status, 'reverted');
+      assert.strictEqual(resolver.recentResolutions()[0].reverted, true);
+    });
+
+    it('recreates the output of an unapproved loser on undo', async function() {
+      const keep = makeFile('Show - 02 v2.mkv', 'Show - S01E02');
+      const loser = makeFile('Show - 02.mkv', 'Show - S01E02');
+      const target = path.join(tmpRoot, 'out', 'Show - S01E02.mkv');
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      Object.assign(enrichCache[loser], { applied: true, hidden: true, appliedTo: target, appliedOp: 'hardlink', appliedAt: 5 });
+
+      const out = resolver.resolve({ keep, losers: [loser], action: 'unapprove' });
+      assert.ok(out.results[0].ok);
+      assert.strictEqual(enrichCache[loser].applied, false);
+
+      await resolver.undoBatch(out.batchId);
+      assert.ok(fs.existsSync(target));
+      assert.strictEqual(enrichCache[loser].applied, true);
+      assert.strictEqual(enrichCache[loser].appliedTo, target);
+      assert.strictEqual(enrichCache[loser].hidden, true);
+      assert.strictEqual(await resolver.undoBatch('missing'), null);
+    });
+
+    it('rejects unknown actions and empty loser lists', function() {
+      const keep = makeFile('Show - 03.mkv', 'Show - S01E03');
+      assert.throws(() => resolver.resolve({ keep, losers: [keep], action: 'hide' }), /at least one other file/);
+      assert.throws(() => resolver.resolve({ keep, losers: ['/x.mkv'], action: 'shred' }), /action must be one of/);
+    });
+
+    it('refuses losers outside the keeper\'s duplicate group', function() {
+      const keep = makeFile('Show - 04.mkv', 'Show - S01E04');
+      const copy = makeFile('Show - 04 (720p).mkv', 'Show - S01E04');
+      const other = makeFile('Other - 01.mkv', 'Other - S01E01');
+      assert.throws(() => resolver.resolve({ keep, losers: [copy, other], action: 'delete' }), /same duplicate group/);
+      assert.throws(() => resolver.resolve({ keep, losers: [path.join(tmpRoot, 'settings.json')], action: 'delete' }), /same duplicate group/);
+      assert.ok(fs.existsSync(copy));
+      assert.ok(fs.existsSync(other));
+      assert.strictEqual(enrichCache[copy].hidden, undefined);
+    });
+  });
+});
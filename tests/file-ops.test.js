@@ -0,0 +1,137 @@
+/**
+ * Apply Mode Tests
+ *
+ * Each file op must create its target, recognise it afterwards and reverse cleanly.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { performFileOp, isOpTarget, targetIdentity, reverseFileOp, selectApplyMode, normalizeApplyMode } = require('../lib/file-ops');
+
+describe('Apply mode file operations', function() {
+  let tmpRoot;
+
+  beforeEach(function() {
+    tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'mmp-fileops-'));
+    fs.mkdirSync(path.join(tmpRoot, 'in'));
+    fs.mkdirSync(path.join(tmpRoot, 'out'));
+  });
+
+  afterEach(function() {
+    try { fs.rmSync(tmpRoot, { recursive: true, force: true }); } catch (e) {}
+  });
+
+  function source(name, body) {
+    const p = path.join(tmpRoot, 'in', name);
+    fs.writeFileSync(p, body || name);
+    return p;
+  }
+
+  it('hardlinks share the source inode and are removed on reverse', async function() {
+    const from = source('a.mkv');
+    const to = path.join(tmpRoot, 'out', 'A.mkv');
+    await performFileOp('hardlink', from, to);
+    assert.strictEqual(fs.statSync(to).ino, fs.statSync(from).ino);
+    assert.ok(isOpTarget('hardlink', from, to));
+    assert.strictEqual(reverseFileOp('hardlink', from, to), 'removed');
+    assert.ok(!fs.existsSync(to));
+    assert.ok(fs.existsSync(from));
+  });
+
+  it('creates absolute and relative symlinks', async function() {
+    const from = source('b.mkv');
+    const abs = path.join(tmpRoot, 'out', 'B1.mkv');
+    const rel = path.join(tmpRoot, 'out', 'B2.mkv');
+    await performFileOp('symlink', from, abs);
+    await performFileOp('symlink-relative', from, rel);
+    assert.strictEqual(fs.readlinkSync(abs), from);
+    assert.strictEqual(fs.readlinkSync(rel), path.join('..', 'in', 'b.mkv'));
+    assert.strictEqual(fs.readFileSync(rel, 'utf8'), 'b.mkv');
+    assert.ok(isOpTarget('symlink-relative', from, rel));
+    assert.strictEqual(reverseFileOp('symlink', from, abs), 'removed');
+    assert.ok(!fs.existsSync(abs));
+  });
+
+  it('copies with progress and leaves no partial file behind', async function() {
+    const from = source('c.mkv', Buffer.alloc(256 * 1024, 7));
+    const to = path.join(tmpRoot, 'out', 'C.mkv');
+    const reports = [];
+    await performFileOp('copy', from, to, { onProgress: (p) => reports.push(p) });
+    assert.strictEqual(fs.statSync(to).size, 256 * 1024);
+    assert.notStrictEqual(fs.statSync(to).ino, fs.statSync(from).ino);
+    assert.ok(!fs.existsSync(`${to}.partial`));
+    assert.deepStrictEqual(reports[reports.length - 1], { bytes: 256 * 1024, total: 256 * 1024 });
+    assert.ok(isOpTarget('copy', from, to));
+  });
+
+  it('falls back to a plain copy for reflink where cloning is unsupported', async function() {
+    const from = source('d.mkv');
+    const to = path.join(tmpRoot, 'out', 'D.mkv');
+    await performFileOp('reflink', from, to);
+    assert.strictEqual(fs.readFileSync(to, 'utf8'), 'd.mkv');
+    assert.strictEqual(reverseFileOp('reflink', from, to), 'removed');
+  });
+
+  it('moves the source and restores it on reverse', async function() {
+    const from = source('e.mkv');
+    const to = path.join(tmpRoot, 'out', 'E.mkv');
+    await performFileOp('move', from, to);
+    assert.ok(!fs.existsSync(from));
+    assert.ok(isOpTarget('move', from, to));
+    assert.strictEqual(reverseFileOp('move', from, to), 'restored');
+    assert.ok(fs.existsSync(from));
+    assert.ok(!fs.existsSync(to));
+  });
+
+  it('never removes a target the op did not create', async function() {
+    const from = source('f.mkv');
+    const to = path.join(tmpRoot, 'out', 'F.mkv');
+    fs.writeFileSync(to, 'unrelated');
+    assert.ok(!isOpTarget('hardlink', from, to));
+    assert.strictEqual(reverseFileOp('hardlink', from, to), 'skipped');
+    assert.ok(fs.existsSync(to));
+    await assert.rejects(() => performFileOp('copy', from, to));
+  });
+
+  it('tells a copy apart from an unrelated file of the same size', async function() {
+    const from = source('g.mkv', Buffer.alloc(200 * 1024, 1));
+    const to = path.join(tmpRoot, 'out', 'G.mkv');
+    await performFileOp('copy', from, to);
+    const identity = targetIdentity(to);
+    assert.ok(isOpTarget('copy', from, to, identity));
+
+    // Same size, different bytes, and a different file at the recorded path
+    fs.unlinkSync(to);
+    const other = Buffer.alloc(200 * 1024, 1);
+    other[150 * 1024] = 2;
+    fs.writeFileSync(to, other);
+    assert.ok(!isOpTarget('copy', from, to));
+    assert.ok(!isOpTarget('copy', from, to, identity));
+    assert.strictEqual(reverseFileOp('copy', from, to, identity), 'skipped');
+    assert.strictEqual(reverseFileOp('reflink', from, to), 'skipped');
+    assert.ok(fs.existsSync(to));
+
+    // The recorded identity still recognises the copy once its source is gone
+    fs.unlinkSync(to);
+    await performFileOp('copy', from, to);
+    const copied = targetIdentity(to);
+    fs.unlinkSync(from);
+    assert.strictEqual(reverseFileOp('copy', from, to, copied), 'removed');
+  });
+
+  it('resolves the apply mode from output folder, then user, then server', function() {
+    const users = {
+      alice: { settings: { apply_mode: 'copy', output_folders: [{ name: 'Anime', path: '/media/anime', apply_mode: 'symlink-relative' }] } },
+      bob: { settings: {} }
+    };
+    const serverSettings = { apply_mode: 'move' };
+    assert.strictEqual(selectApplyMode({ username: 'alice', users, serverSettings, effectiveOutput: '/media/anime' }), 'symlink-relative');
+    assert.strictEqual(selectApplyMode({ username: 'alice', users, serverSettings, effectiveOutput: '/media/tv' }), 'copy');
+    assert.strictEqual(selectApplyMode({ username: 'bob', users, serverSettings, effectiveOutput: '/media/tv' }), 'move');
+    assert.strictEqual(selectApplyMode({ username: 'bob', users, serverSettings: {}, effectiveOutput: '/media/tv' }), 'hardlink');
+    assert.strictEqual(normalizeApplyMode('Symlink'), 'symlink');
+    assert.strictEqual(normalizeApplyMode('teleport'), null);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Provider Fixture Tests
+ *
+ * Record and replay through lib/fixtures.js, secret redaction in fixture keys and files, and
+ * the TVDB and AniDB UDP clients answering from fixtures with no network.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const fixtures = require('../lib/fixtures');
+
+describe('Provider fixtures', function() {
+  let dir;
+
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mmp-fixtures-'));
+  });
+
+  afterEach(function() {
+    fixtures.configure({ mode: 'off' });
+    try { fs.rmSync(dir, { recursive: true, force: true }); } catch (e) {}
+  });
+
+  const tmdbRequest = (key) => ({ host: 'api.themoviedb.org', method: 'GET', path: `/3/search/tv?query=Frieren&api_key=${key}`, body: null });
+
+  function writeFixture(kind, request, response) {
+    const { file, described } = fixtures.fixtureKey(kind, request);
+    fs.writeFileSync(path.join(dir, file), JSON.stringify({ kind, request: described, response }));
+  }
+
+  it('passes straight through when off', async function() {
+    fixtures.configure({ mode: 'off', dir });
+    assert.strictEqual(await fixtures.exchange('http', tmdbRequest('k'), async () => 'live'), 'live');
+    assert.deepStrictEqual(fs.readdirSync(dir), []);
+  });
+
+  it('records a response without the credentials and replays it for any key', async function() {
+    fixtures.configure({ mode: 'record', dir });
+    const live = { statusCode: 200, headers: {}, body: JSON.stringify({ results: [{ id: 1 }], token: 'abc' }) };
+    assert.deepStrictEqual(await fixtures.exchange('http', tmdbRequest('secret-key'), async () => live), live);
+    const [file] = fs.readdirSync(dir);
+    assert.match(file, /^http-api\.themoviedb\.org-[0-9a-f]{16}\.json$/);
+    const text = fs.readFileSync(path.join(dir, file), 'utf8');
+    assert.ok(!text.includes('secret-key'));
+    assert.ok(!text.includes('"abc"'));
+
+    fixtures.configure({ mode: 'replay' });
+    let called = false;
+    const replayed = await fixtures.exchange('http', tmdbRequest('other-key'), async () => { called = true; });
+    assert.strictEqual(called, false);
+    assert.strictEqual(replayed.statusCode, 200);
+    assert.deepStrictEqual(JSON.parse(replayed.body).results, [{ id: 1 }]);
+    assert.ok(fixtures.status().stats.replayed >= 1);
+  });
+
+  it('fails a replayed request that has no fixture', async function() {
+    fixtures.configure({ mode: 'replay', dir });
+    await assert.rejects(fixtures.exchange('http', tmdbRequest('k'), async () => 'live'), (e) => e.code === 'EFIXTUREMISSING');
+  });
+
+  it('records and replays request errors', async function() {
+    fixtures.configure({ mode: 'record', dir });
+    await assert.rejects(fixtures.exchange('http', tmdbRequest('k'), async () => { throw new Error('timeout'); }), /timeout/);
+    fixtures.configure({ mode: 'replay' });
+    await assert.rejects(fixtures.exchange('http', tmdbRequest('k'), async () => 'live'), /timeout/);
+  });
+
+  it('moves a directory as one bundle and refuses unsafe names', function() {
+    fixtures.configure({ mode: 'off', dir });
+    writeFixture('http', tmdbRequest('k'), { statusCode: 404, body: '' });
+    const bundle = fixtures.exportBundle();
+    const target = path.join(dir, 'copy');
+    assert.strictEqual(fixtures.importBundle(bundle, target), 1);
+    assert.deepStrictEqual(fs.readdirSync(target), Object.keys(bundle.fixtures));
+    assert.throws(() => fixtures.importBundle({ version: 1, fixtures: { '../x.json': {} } }, target), /invalid fixture name/);
+    assert.throws(() => fixtures.importBundle({ fixtures: {} }, target), /not a fixture bundle/);
+  });
+
+  it('serves TVDB login and series lookups from fixtures', async function() {
+    const tvdb = require('../lib/tvdb');
+    writeFixture('tvdb', { host: 'api4.thetvdb.com', method: 'POST', path: '/v4/login', body: JSON.stringify({ apikey: 'x' }) },
+      { statusCode: 200, headers: {}, body: JSON.stringify({ data: { token: 'REDACTED' } }) });
+    writeFixture('tvdb', { host: 'api4.thetvdb.com', method: 'GET', path: '/v4/series/81189/extended', body: null },
+      { statusCode: 200, headers: {}, body: JSON.stringify({ data: { id: 81189, name: 'Breaking Bad', year: '2008' } }) });
+    fixtures.configure({ mode: 'replay', dir });
+    const series = await tvdb.fetchSeriesExtended({ apiKey: 'replay-key' }, 81189);
+    assert.strictEqual(series.name, 'Breaking Bad');
+  });
+
+  it('replays AniDB UDP commands without opening a socket', async function() {
+    const { getAniDBUDPClient } = require('../lib/anidb-udp');
+    const recorder = getAniDBUDPClient('alice', 'hunter2', 'mmprename', 1);
+    recorder._sendCommandLive = async (command) => ({ code: '200', data: 'sEsSiOn LOGIN ACCEPTED', dataLines: ['sEsSiOn LOGIN ACCEPTED'], fullResponse: `1 200 sEsSiOn LOGIN ACCEPTED ${command}` });
+    fixtures.configure({ mode: 'record', dir });
+    await recorder.loginToAniDB();
+    const text = fs.readFileSync(path.join(dir, fs.readdirSync(dir)[0]), 'utf8');
+    assert.ok(!text.includes('hunter2') && !text.includes('sEsSiOn'));
+    recorder.socket.close();
+
+    fixtures.configure({ mode: 'replay' });
+    const client = getAniDBUDPClient('bob', 'other', 'mmprename', 1);
+    assert.notStrictEqual(client, recorder);
+    assert.strictEqual(await client.loginToAniDB(), 'REDACTED');
+    assert.strictEqual(client.socket, null);
+  });
+});
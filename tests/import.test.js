@@ -0,0 +1,149 @@
+/**
+ * Download Client Import Tests
+ *
+ * Category and hint validation, collecting the video files of a download, and the import job
+ * handing its files to the scan and to auto-apply or the category's apply.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const buildImporter = require('../lib/import');
+const { normalizeCategories, normalizeHints, collectMediaFiles } = buildImporter;
+
+describe('Import helpers', function() {
+  it('validates categories', function() {
+    assert.deepStrictEqual(normalizeCategories([{ name: ' anime ', outputFolder: '/media/out', apply: true }, { name: 'tv' }]), [
+      { name: 'anime', outputFolder: '/media/out', apply: true },
+      { name: 'tv', outputFolder: null, apply: false }
+    ]);
+    assert.deepStrictEqual(normalizeCategories(undefined), []);
+    assert.throws(() => normalizeCategories([{ name: 'TV' }, { name: 'tv' }]), /duplicate category/);
+    assert.throws(() => normalizeCategories([{ name: '' }]), /name is required/);
+    assert.throws(() => normalizeCategories([{ name: 'x', outputFolder: 'relative/out' }]), /absolute/);
+    assert.throws(() => normalizeCategories({ name: 'x' }), /must be an array/);
+  });
+
+  it('parses lookup hints', function() {
+    assert.deepStrictEqual(normalizeHints({ series: ' Frieren ', anidbId: '17617' }), { series: 'Frieren', anidbId: 17617 });
+    assert.deepStrictEqual(normalizeHints({ series: '', anidbId: '' }), { series: null, anidbId: null });
+    assert.throws(() => normalizeHints({ anidbId: 'abc' }), /anidbId/);
+    assert.throws(() => normalizeHints({ anidbId: '-4' }), /anidbId/);
+  });
+
+  it('collects the video files of a file or folder', function() {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'mmp-import-'));
+    try {
+      fs.mkdirSync(path.join(root, 'Show S01', 'Extras'), { recursive: true });
+      fs.mkdirSync(path.join(root, 'Show S01', '.git'));
+      fs.writeFileSync(path.join(root, 'Show S01', 'Show - 02.mkv'), '');
+      fs.writeFileSync(path.join(root, 'Show S01', 'Show - 01.MKV'), '');
+      fs.writeFileSync(path.join(root, 'Show S01', 'Extras', 'NCOP.mp4'), '');
+      fs.writeFileSync(path.join(root, 'Show S01', 'Show - 01.nfo'), '');
+      fs.writeFileSync(path.join(root, 'Show S01', '.git', 'x.mkv'), '');
+      const dir = path.join(root, 'Show S01');
+      assert.deepStrictEqual(collectMediaFiles(dir), [
+        path.join(dir, 'Extras', 'NCOP.mp4'),
+        path.join(dir, 'Show - 01.MKV'),
+        path.join(dir, 'Show - 02.mkv')
+      ]);
+      assert.deepStrictEqual(collectMediaFiles(path.join(dir, 'Show - 02.mkv')), [path.join(dir, 'Show - 02.mkv')]);
+      assert.deepStrictEqual(collectMediaFiles(path.join(dir, 'Show - 01.nfo')), []);
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('Import job', function() {
+  let root;
+  let files;
+  let ctx;
+  let enqueued;
+  let enrichCalls;
+  let triggered;
+  let logs;
+
+  beforeEach(function() {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'mmp-import-job-'));
+    files = ['Show - 01.mkv', 'Show - 02.mkv'].map(name => path.join(root, name));
+    files.forEach(f => fs.writeFileSync(f, ''));
+    enqueued = [];
+    enrichCalls = [];
+    triggered = [];
+    logs = [];
+    const enrichCache = {};
+    const library = { id: 'anime', scan_input_path: root, scan_output_path: null };
+    ctx = {
+      users: { alice: { username: 'alice', settings: { import_categories: [{ name: 'anime', outputFolder: null, apply: true }] } } },
+      serverSettings: {},
+      enrichCache,
+      canonicalize: (p) => p,
+      externalEnrich: async (p, key, opts) => {
+        enrichCalls.push({ path: p, opts });
+        return p.endsWith('01.mkv') ? { title: 'Show', season: 1, episode: 1 } : { title: null };
+      },
+      updateEnrichCache: (p, entry) => { enrichCache[p] = entry; return entry; },
+      renderProviderName: () => 'Show - S01E01',
+      extractProviderRaw: () => ({}),
+      cloneProviderRaw: (raw) => raw,
+      isProviderComplete: (block) => !!(block && block.matched),
+      resolveMetadataProviderOrder: () => ['anidb', 'tmdb'],
+      persistEnrichCacheNow: () => {},
+      appendLog: (line) => logs.push(line),
+      libraryRegistry: { get: (username, id) => (id === library.id ? library : null), forPath: () => library },
+      jobQueue: { enqueue: (type, opts) => { const job = { id: `job-${enqueued.length + 1}`, type, status: 'queued', ...opts }; enqueued.push(job); return job; } },
+      autoApplier: { trigger: (username, paths, trigger) => triggered.push({ username, paths, trigger }) }
+    };
+  });
+
+  afterEach(function() {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  const runJob = async (importer, job) => {
+    const running = Object.assign({ results: [], processedItems: 0 }, job);
+    await importer.run(running, { signal: { aborted: false }, save: () => {} });
+    return running;
+  };
+
+  it('queues an import job with the matched category', function() {
+    const importer = buildImporter(ctx);
+    const { job, category } = importer.enqueue('alice', { files, library: { id: 'anime' }, category: 'ANIME', hints: { series: null, anidbId: null } });
+    assert.strictEqual(job.type, 'import');
+    assert.strictEqual(job.totalItems, 2);
+    assert.strictEqual(job.payload.category, 'anime');
+    assert.strictEqual(category.apply, true);
+    assert.ok(logs.some(l => /^IMPORT_QUEUED .* files=2 apply=true$/.test(l)));
+  });
+
+  it('enriches with hints, rescans without enriching and hands off to auto-apply', async function() {
+    const importer = buildImporter(ctx);
+    const { job } = importer.enqueue('alice', { files, library: { id: 'anime' }, category: 'movies', hints: { series: 'Show', anidbId: 42 } });
+    const done = await runJob(importer, job);
+    assert.deepStrictEqual(enrichCalls.map(c => c.opts), files.map(() => ({ username: 'alice', forceHash: true, force: true, seriesHint: 'Show', anidbAid: 42 })));
+    assert.deepStrictEqual(done.results.map(r => [r.status, r.matched]), [['ok', true], ['ok', false]]);
+    const scan = enqueued.find(j => j.type === 'incremental-scan');
+    assert.deepStrictEqual(scan.payload, { libraryId: 'anime', enrich: false });
+    assert.deepStrictEqual(triggered, [{ username: 'alice', paths: files, trigger: 'import' }]);
+  });
+
+  it('skips unmatched files when the category applies', async function() {
+    ctx.users.alice.settings.scan_output_path = '/media/out';
+    ctx.externalEnrich = async () => ({ title: null });
+    const importer = buildImporter(ctx);
+    const { job } = importer.enqueue('alice', { files, library: { id: 'anime' }, category: 'anime', hints: { series: null, anidbId: null } });
+    const done = await runJob(importer, job);
+    assert.strictEqual(done.applyJobId, null);
+    assert.deepStrictEqual(done.skipped.map(s => s.reason), ['not matched', 'not matched']);
+    assert.ok(!enqueued.some(j => j.type === 'approve'));
+    assert.strictEqual(triggered.length, 0);
+  });
+
+  it('fails the job for a library that no longer exists', async function() {
+    const importer = buildImporter(ctx);
+    await assert.rejects(runJob(importer, { id: 'j', username: 'alice', payload: { files, libraryId: 'gone' } }), /unknown library/);
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * File Integrity Tests
+ *
+ * CRC32 taken in the same read as the ED2K hash, verdicts against the `[CRC32]` filename tag,
+ * the integrity report and item annotations, and apply refusing mismatched files unless the
+ * check is overridden.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { v4: uuidv4 } = require('uuid');
+
+const { computeFileHashes, computeEd2kHash, updateCrc32, ED2K_CHUNK_SIZE } = require('../lib/ed2k-hash');
+const buildIntegrityChecker = require('../lib/integrity');
+const { verdict } = buildIntegrityChecker;
+
+let dbLib = null;
+try {
+  dbLib = require('../lib/db');
+  require('better-sqlite3');
+} catch (e) {
+  dbLib = null;
+}
+
+// CRC32 of the ASCII string "123456789", the standard check value
+const CHECK_CRC = 'CBF43926';
+
+describe('CRC32 in the hashing pass', function() {
+  it('computes the CRC32 alongside the ED2K hash from one stream', async function() {
+    const { ed2k, crc32 } = await computeFileHashes(Readable.from([Buffer.from('1234'), Buffer.from('56789')]));
+    assert.strictEqual(crc32, CHECK_CRC);
+    assert.strictEqual(ed2k, await computeEd2kHash(Readable.from([Buffer.from('123456789')])));
+  });
+
+  it('pads short checksums and continues across chunk boundaries', async function() {
+    assert.strictEqual((await computeFileHashes(Readable.from([Buffer.alloc(0)]))).crc32, '00000000');
+    const data = Buffer.alloc(ED2K_CHUNK_SIZE + 10, 7);
+    const whole = updateCrc32(data);
+    assert.strictEqual(updateCrc32(data.subarray(ED2K_CHUNK_SIZE), updateCrc32(data.subarray(0, ED2K_CHUNK_SIZE))), whole);
+  });
+
+  it('judges content against the tag in the name', function() {
+    assert.deepStrictEqual(verdict('/in/[Group] Show - 01 [CBF43926].mkv', 'cbf43926'), { status: 'ok', expected: CHECK_CRC, actual: CHECK_CRC });
+    assert.deepStrictEqual(verdict('/in/[Group] Show - 01 [CBF43926].mkv', '0BAD0BAD'), { status: 'mismatch', expected: CHECK_CRC, actual: '0BAD0BAD' });
+    assert.deepStrictEqual(verdict('/in/[Group] Show - 01 [CBF43926].mkv', null), { status: 'unverified', expected: CHECK_CRC, actual: null });
+    assert.strictEqual(verdict('/in/Show - 01.mkv', CHECK_CRC), null);
+  });
+});
+
+describe('Integrity checker', function() {
+  let tmpRoot;
+  let logged;
+  let scans;
+  let enrichCache;
+  let checker;
+  let goodPath;
+  let badPath;
+  let plainPath;
+
+  before(function() {
+    if (!dbLib) return this.skip();
+    tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'mmp-integrity-'));
+    dbLib.init(path.join(tmpRoot, 'integrity.db'));
+  });
+
+  after(function() {
+    if (tmpRoot) try { fs.rmSync(tmpRoot, { recursive: true, force: true }); } catch (e) {}
+  });
+
+  beforeEach(function() {
+    const dir = fs.mkdtempSync(path.join(tmpRoot, 'input-'));
+    goodPath = path.join(dir, `[Group] Show - 01 [${CHECK_CRC}].mkv`);
+    badPath = path.join(dir, '[Group] Show - 02 [0BAD0BAD].mkv');
+    plainPath = path.join(dir, 'Show - 03.mkv');
+    for (const p of [goodPath, badPath, plainPath]) fs.writeFileSync(p, '123456789');
+    logged = [];
+    enrichCache = {};
+    scans = { s1: { id: 's1', items: [goodPath, badPath, plainPath].map((p, i) => ({ id: String(i), canonicalPath: p })) } };
+    checker = buildIntegrityChecker({
+      fs, db: dbLib, scans, enrichCache,
+      canonicalize: (p) => path.resolve(p),
+      appendLog: (l) => logged.push(l)
+    });
+  });
+
+  it('reports tagged files as unverified until they are hashed', function() {
+    const report = checker.report();
+    assert.deepStrictEqual(report.counts, { ok: 0, mismatch: 0, unverified: 2 });
+    assert.deepStrictEqual(report.files.map(f => f.path), [goodPath, badPath]);
+    assert.strictEqual(checker.blockReason(badPath), null);
+  });
+
+  it('verifies files, caches both hashes and lists mismatches first', async function() {
+    const outcome = await checker.verifyAll();
+    assert.deepStrictEqual(outcome, { checked: 2, mismatched: [badPath], failed: 0 });
+    assert.ok(logged.includes(`CRC_MISMATCH path=${badPath} expected=0BAD0BAD actual=${CHECK_CRC}`));
+    assert.strictEqual(dbLib.getEd2kHash(goodPath, 9), await computeEd2kHash(goodPath));
+
+    const report = checker.report();
+    assert.deepStrictEqual(report.counts, { ok: 1, mismatch: 1, unverified: 0 });
+    assert.deepStrictEqual(report.files.map(f => [f.path, f.status]), [[badPath, 'mismatch'], [goodPath, 'ok']]);
+    assert.deepStrictEqual(checker.report({ status: 'ok' }).files.map(f => f.path), [goodPath]);
+
+    const items = checker.annotate(scans.s1.items);
+    assert.strictEqual(items[0].integrity.status, 'ok');
+    assert.strictEqual(items[1].integrity.status, 'mismatch');
+    assert.strictEqual(items[2].integrity, undefined);
+    assert.match(checker.blockReason(badPath), /corrupt or mislabelled/);
+  });
+
+  it('drops a verdict when the file changes size', async function() {
+    await checker.verify(badPath);
+    fs.appendFileSync(badPath, 'more');
+    assert.strictEqual(checker.status(badPath).status, 'unverified');
+  });
+
+  it('keeps mismatched files out of apply unless overridden', async function() {
+    await checker.verifyAll();
+    const applier = require('../lib/apply')({
+      fs, path, db: dbLib, enrichCache, renderedIndex: {}, uuidv4,
+      canonicalize: (p) => path.resolve(p),
+      appendLog: (l) => logged.push(l),
+      integrityChecker: checker
+    });
+    const out = path.join(tmpRoot, 'out', path.basename(path.dirname(badPath)));
+    const entries = [
+      { itemId: 'good', fromPath: goodPath, toPath: path.join(out, 'Show - 01.mkv') },
+      { itemId: 'bad', fromPath: badPath, toPath: path.join(out, 'Show - 02.mkv') }
+    ];
+
+    const blocked = await applier.applyBatch(entries, { username: 'admin' });
+    assert.deepStrictEqual(blocked.results.map(r => r.status), ['hardlinked', 'error']);
+    assert.strictEqual(blocked.results[1].blocked, 'integrity');
+    assert.ok(!fs.existsSync(entries[1].toPath));
+    assert.ok(logged.includes(`APPLY_BLOCKED_INTEGRITY user=admin from=${badPath}`));
+
+    const overridden = await applier.applyBatch(entries.slice(1), { username: 'admin', ignoreIntegrity: true });
+    assert.deepStrictEqual(overridden.results.map(r => r.status), ['hardlinked']);
+    assert.ok(fs.existsSync(entries[1].toPath));
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Job Queue Tests
+ *
+ * Cron parsing, concurrency, retries, cancellation, restart recovery and schedules.
+ */
+
+const assert = require('assert');
+const { parseCron, nextCronRun } = require('../lib/cron');
+const buildJobQueue = require('../lib/job-queue');
+const { normalizeSchedule } = buildJobQueue;
+
+// Stand-in for lib/db's job functions backed by a Map of rows
+function fakeDb() {
+  const rows = new Map();
+  return {
+    rows,
+    upsertJob: (row) => { rows.set(row.id, Object.assign({}, row)); },
+    getJob: (id) => rows.get(id) || null,
+    listJobs: ({ statuses = null, limit = 100 } = {}) => [...rows.values()]
+      .filter(r => !statuses || statuses.includes(r.status))
+      .sort((a, b) => b.created_at - a.created_at)
+      .slice(0, limit)
+  };
+}
+
+let seq = 0;
+function makeQueue(overrides = {}) {
+  return buildJobQueue(Object.assign({
+    db: fakeDb(),
+    appendLog: () => {},
+    uuidv4: () => `job-${++seq}`,
+    serverSettings: {},
+    users: {},
+    jobRetryBaseMs: 5
+  }, overrides));
+}
+
+function waitFor(predicate, timeoutMs = 2000) {
+  const started = Date.now();
+  return new Promise((resolve, reject) => {
+    (function poll() {
+      if (predicate()) return resolve();
+      if (Date.now() - started > timeoutMs) return reject(new Error('timed out waiting'));
+      setTimeout(poll, 5);
+    })();
+  });
+}
+
+describe('Job queue', function() {
+  this.timeout(10000);
+
+  describe('cron', function() {
+    it('parses lists, ranges, steps and names', function() {
+      const spec = parseCron('*/15 9-17 * jan,jul mon-fri');
+      assert.deepStrictEqual([...spec.minute], [0, 15, 30, 45]);
+      assert.strictEqual(spec.hour.size, 9);
+      assert.deepStrictEqual([...spec.month], [1, 7]);
+      assert.deepStrictEqual([...spec.dayOfWeek], [1, 2, 3, 4, 5]);
+      assert.throws(() => parseCron('61 * * * *'), /out of range/);
+      assert.throws(() => parseCron('* * *'), /5 fields/);
+    });
+
+    it('finds the next matching minute', function() {
+      const from = new Date(2024, 0, 1, 10, 7, 30);
+      assert.strictEqual(nextCronRun('*/15 * * * *', from).getTime(), new Date(2024, 0, 1, 10, 15).getTime());
+      assert.strictEqual(nextCronRun('@daily', from).getTime(), new Date(2024, 0, 2, 0, 0).getTime());
+      // 2024-01-01 is a Monday; the next Sunday is the 7th
+      assert.strictEqual(nextCronRun('30 4 * * 7', from).getTime(), new Date(2024, 0, 7, 4, 30).getTime());
+      assert.strictEqual(nextCronRun('0 0 30 2 *', from), null);
+    });
+  });
+
+  it('respects per-type concurrency and records history', async function() {
+    const queue = makeQueue();
+    let inFlight = 0;
+    let maxInFlight = 0;
+    queue.registerHandler('bulk-rescan', async (job) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(r => setTimeout(r, 10));
+      job.results.push({ ok: true });
+      inFlight--;
+    });
+    const jobs = [1, 2, 3].map(() => queue.enqueue('bulk-rescan', { username: 'alice' }));
+    await waitFor(() => jobs.every(j => j.status === 'done'));
+    assert.strictEqual(maxInFlight, 1);
+    const listed = queue.listJobs({ username: 'alice' });
+    assert.strictEqual(listed.history.length, 3);
+    assert.deepStrictEqual(listed.history[0].results, [{ ok: true }]);
+    assert.strictEqual(queue.listJobs({ username: 'bob' }).history.length, 0);
+  });
+
+  it('retries failures with backoff until max attempts', async function() {
+    const queue = makeQueue();
+    let calls = 0;
+    queue.registerHandler('full-scan', async () => {
+      calls++;
+      if (calls < 3) throw new Error('busy');
+    });
+    const ok = queue.enqueue('full-scan');
+    await waitFor(() => ok.status === 'done');
+    assert.strictEqual(ok.attempts, 3);
+
+    queue.registerHandler('approve', async () => { throw new Error('boom'); });
+    const failed = queue.enqueue('approve');
+    await waitFor(() => failed.status === 'error');
+    assert.strictEqual(failed.attempts, 1);
+    assert.strictEqual(queue.getJob(failed.id).error, 'boom');
+  });
+
+  it('cancels queued and running jobs', async function() {
+    const queue = makeQueue();
+    let seenAbort = false;
+    queue.registerHandler('backfill-subtitles', async (job, ctl) => {
+      while (!ctl.signal.aborted) await new Promise(r => setTimeout(r, 5));
+      seenAbort = true;
+    });
+    const running = queue.enqueue('backfill-subtitles');
+    const waiting = queue.enqueue('backfill-subtitles');
+    await waitFor(() => running.status === 'running');
+    assert.strictEqual(queue.cancel(waiting.id).status, 'cancelled');
+    queue.cancel(running.id);
+    await waitFor(() => running.status === 'cancelled');
+    assert.ok(seenAbort);
+    assert.strictEqual(queue.cancel(running.id), null);
+  });
+
+  it('re-queues resumable jobs after a restart and fails the rest', async function() {
+    const db = fakeDb();
+    const first = makeQueue({ db });
+    // Handlers that never finish leave the rows marked running, as a crash would
+    first.registerHandler('bulk-rescan', () => new Promise(() => {}));
+    first.registerHandler('approve', () => new Promise(() => {}));
+    const rescan = first.enqueue('bulk-rescan');
+    const approve = first.enqueue('approve');
+    await waitFor(() => db.rows.get(rescan.id).status === 'running' && db.rows.get(approve.id).status === 'running');
+
+    const second = makeQueue({ db });
+    let resumed = 0;
+    second.registerHandler('bulk-rescan', async () => { resumed++; });
+    second.registerHandler('approve', async () => { throw new Error('should not run'); });
+    second.start();
+    second.stop();
+    await waitFor(() => db.rows.get(rescan.id).status === 'done');
+    assert.strictEqual(resumed, 1);
+    assert.strictEqual(db.rows.get(approve.id).status, 'error');
+    assert.strictEqual(db.rows.get(approve.id).error, 'interrupted by server restart');
+  });
+
+  it('enqueues scheduled jobs once their cron time passes', async function() {
+    const users = { alice: { settings: { job_schedules: [normalizeSchedule({ id: 's1', type: 'cache-sweep', cron: '* * * * *' })] } } };
+    const queue = makeQueue({ users });
+    let runs = 0;
+    queue.registerHandler('cache-sweep', async () => { runs++; });
+    const now = Date.now();
+    queue.checkSchedules(now);
+    assert.strictEqual(runs, 0);
+    queue.checkSchedules(now + 61 * 1000);
+    await waitFor(() => runs === 1);
+    const history = queue.listJobs({ username: 'alice' }).history;
+    assert.strictEqual(history[0].scheduleId, 's1');
+    assert.throws(() => normalizeSchedule({ type: 'approve', cron: '* * * * *' }), /cannot be scheduled/);
+    assert.throws(() => normalizeSchedule({ type: 'full-scan', cron: 'nope' }), /5 fields/);
+  });
+
+  it('runs system schedules without a user, skipping runs their guard declines', async function() {
+    const queue = makeQueue();
+    let runs = 0;
+    let due = false;
+    queue.registerHandler('auto-rescan', async () => { runs++; });
+    queue.addSystemSchedule({ id: 'system:auto-rescan', type: 'auto-rescan', cron: '* * * * *', when: () => due });
+    const now = Date.now();
+    queue.checkSchedules(now);
+    queue.checkSchedules(now + 61 * 1000);
+    assert.strictEqual(queue.listJobs({ isAdmin: true }).queued.length, 0);
+    due = true;
+    queue.checkSchedules(now + 121 * 1000);
+    await waitFor(() => runs === 1);
+    const [job] = queue.listJobs({ username: 'alice' }).history;
+    assert.deepStrictEqual([job.type, job.username, job.scheduleId], ['auto-rescan', null, 'system:auto-rescan']);
+    assert.throws(() => queue.addSystemSchedule({ id: 'x', type: 'nope', cron: '* * * * *' }), /unknown job type/);
+  });
+});
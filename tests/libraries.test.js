@@ -0,0 +1,88 @@
+/**
+ * Library Tests
+ *
+ * Named libraries next to the implicit `local` one, validation of library definitions, which
+ * library a file belongs to, and library overrides winning over the user's template and apply
+ * mode.
+ */
+
+const assert = require('assert');
+const path = require('path');
+
+const buildLibraryRegistry = require('../lib/libraries');
+const { normalizeLibrary, DEFAULT_LIBRARY_ID } = buildLibraryRegistry;
+const { selectTemplates } = require('../lib/rename-template');
+const { selectApplyMode } = require('../lib/file-ops');
+
+describe('Library definitions', function() {
+  it('derives a unique id from the name and resolves paths', function() {
+    const lib = normalizeLibrary({ name: 'Western TV', scan_input_path: '/media/in/tv', scan_output_path: '/media/out/tv' }, null, { takenIds: ['western-tv'] });
+    assert.deepStrictEqual(lib, { id: 'western-tv-2', name: 'Western TV', scan_input_path: path.resolve('/media/in/tv'), scan_output_path: path.resolve('/media/out/tv') });
+    assert.strictEqual(normalizeLibrary({ name: 'Animé', scan_input_path: '/a' }).id, 'anime');
+  });
+
+  it('rejects incomplete definitions, the reserved id and unknown apply modes', function() {
+    assert.throws(() => normalizeLibrary({ scan_input_path: '/a' }), /name is required/);
+    assert.throws(() => normalizeLibrary({ name: 'Anime' }), /scan_input_path is required/);
+    assert.throws(() => normalizeLibrary({ name: 'Local', scan_input_path: '/a' }), /reserved/);
+    assert.throws(() => normalizeLibrary({ name: 'Anime', scan_input_path: '/a', apply_mode: 'teleport' }), /unknown apply mode/);
+  });
+
+  it('keeps the id on update and drops overrides sent empty', function() {
+    const existing = normalizeLibrary({ name: 'Anime', scan_input_path: '/a', rename_template: '{title}', enable_folder_watch: 'false', metadata_provider_order: ['anidb'] });
+    assert.strictEqual(existing.enable_folder_watch, false);
+    const updated = normalizeLibrary({ name: 'Anime & Donghua', rename_template: '', metadata_provider_order: null, apply_mode: 'symlink' }, existing);
+    assert.deepStrictEqual(updated, { id: 'anime', name: 'Anime & Donghua', scan_input_path: path.resolve('/a'), enable_folder_watch: false, apply_mode: 'symlink' });
+  });
+});
+
+describe('Library registry', function() {
+  const users = {
+    alice: {
+      settings: {
+        scan_input_path: '/media/in',
+        rename_template: '{title} - {epLabel}',
+        apply_mode: 'copy',
+        libraries: [
+          { id: 'anime', name: 'Anime', scan_input_path: '/media/in/anime', scan_output_path: '/media/out/anime', rename_template: '[{releaseGroup}] {title} - {episode}', apply_mode: 'hardlink', metadata_provider_order: ['anidb', 'anilist'] },
+          { id: 'movies', name: 'Movies', scan_input_path: '/media/movies' }
+        ]
+      }
+    },
+    bob: { settings: {} }
+  };
+  const registry = buildLibraryRegistry({
+    users,
+    canonicalize: (p) => path.resolve(p),
+    getEffectiveScanInputPath: (u) => (users[u] && users[u].settings.scan_input_path) || null
+  });
+
+  it('lists the scan input path as the local library first', function() {
+    assert.deepStrictEqual(registry.list('alice').map(l => l.id), [DEFAULT_LIBRARY_ID, 'anime', 'movies']);
+    assert.strictEqual(registry.get('alice', DEFAULT_LIBRARY_ID).implicit, true);
+    assert.deepStrictEqual(registry.list('bob'), []);
+    assert.strictEqual(registry.get('alice', 'nope'), null);
+  });
+
+  it('places files in the deepest library containing them', function() {
+    assert.strictEqual(registry.forPath('alice', '/media/in/anime/Show/01.mkv').id, 'anime');
+    assert.strictEqual(registry.forPath('alice', '/media/in/tv/Show/01.mkv').id, DEFAULT_LIBRARY_ID);
+    assert.strictEqual(registry.forPath('alice', '/media/in/anime-extra/01.mkv').id, DEFAULT_LIBRARY_ID);
+    assert.strictEqual(registry.forPath('alice', '/elsewhere/01.mkv'), null);
+  });
+
+  it('returns overrides only where the library sets them', function() {
+    assert.deepStrictEqual(registry.override('alice', '/media/in/anime/01.mkv', 'metadata_provider_order'), ['anidb', 'anilist']);
+    assert.strictEqual(registry.override('alice', '/media/movies/Film.mkv', 'metadata_provider_order'), undefined);
+    assert.strictEqual(registry.override('alice', registry.get('alice', 'anime'), 'apply_mode'), 'hardlink');
+  });
+
+  it('lets the library template and apply mode win over the user settings', function() {
+    const library = registry.forPath('alice', '/media/in/anime/01.mkv');
+    const base = { username: 'alice', users, serverSettings: {}, effectiveOutput: '/media/out/anime' };
+    assert.strictEqual(selectTemplates(Object.assign({ template: '{title}', library }, base)).fileTemplate, '[{releaseGroup}] {title} - {episode}');
+    assert.strictEqual(selectTemplates(Object.assign({ template: '{title}' }, base)).fileTemplate, '{title}');
+    assert.strictEqual(selectApplyMode(Object.assign({ library }, base)), 'hardlink');
+    assert.strictEqual(selectApplyMode(Object.assign({ library: registry.get('alice', 'movies') }, base)), 'copy');
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Match Candidate Tests
+ *
+ * Provider result mapping, per-provider capping and the manual ID saved for a pick.
+ */
+
+const assert = require('assert');
+const { fromAniList, fromTmdb, fromTvdb, addCandidates, manualIdEntryFor, MAX_CANDIDATES } = require('../lib/match-candidates');
+
+describe('Match candidates', function() {
+  it('maps provider search results to one shape', function() {
+    const a = fromAniList({ id: 154587, title: { english: 'Frieren', romaji: 'Sousou no Frieren', native: null }, format: 'TV', episodes: 28, seasonYear: 2023, coverImage: { medium: 'https://img/a.jpg' } });
+    assert.deepStrictEqual(a, { provider: 'anilist', id: '154587', title: 'Frieren', altTitles: ['Sousou no Frieren'], year: 2023, type: 'TV', episodes: 28, poster: 'https://img/a.jpg' });
+
+    const t = fromTmdb({ id: 209867, name: 'Frieren', original_name: '葬送のフリーレン', first_air_date: '2023-09-29', poster_path: '/p.jpg' }, 'tv');
+    assert.strictEqual(t.id, '209867');
+    assert.strictEqual(t.year, 2023);
+    assert.strictEqual(t.type, 'tv');
+    assert.strictEqual(t.poster, 'https://image.tmdb.org/t/p/w185/p.jpg');
+    assert.deepStrictEqual(t.altTitles, ['葬送のフリーレン']);
+
+    const v = fromTvdb({ id: 'series-424536', tvdb_id: '424536', name: 'Frieren', year: '2023', image_url: 'https://img/v.jpg', aliases: ['Frieren', 'Frieren: Beyond Journey\'s End'] });
+    assert.strictEqual(v.id, '424536');
+    assert.strictEqual(v.type, 'series');
+    assert.deepStrictEqual(v.altTitles, ['Frieren: Beyond Journey\'s End']);
+
+    assert.strictEqual(fromAniList({ id: 1, title: {} }), null);
+    assert.strictEqual(fromTmdb(null), null);
+  });
+
+  it('keeps the first of each ID and caps each provider', function() {
+    const sink = {};
+    const many = Array.from({ length: MAX_CANDIDATES + 3 }, (_, i) => ({ provider: 'tmdb', id: String(i), title: `Show ${i}` }));
+    addCandidates(sink, 'tmdb', [many[0], null, many[0]]);
+    addCandidates(sink, 'tmdb', many);
+    assert.strictEqual(sink.tmdb.length, MAX_CANDIDATES);
+    assert.deepStrictEqual(sink.tmdb.map(c => c.id), ['0', '1', '2', '3', '4']);
+    addCandidates(sink, 'anilist', []);
+    assert.strictEqual(sink.anilist, undefined);
+  });
+
+  it('builds the manual ID entry for a pick', function() {
+    assert.deepStrictEqual(manualIdEntryFor({ provider: 'tmdb', id: '12', type: 'movie' }), { tmdb: '12', tmdbType: 'movie' });
+    assert.deepStrictEqual(manualIdEntryFor({ provider: 'tvdb', id: '34', type: 'series' }), { tvdb: '34', tvdbType: 'series' });
+    assert.deepStrictEqual(manualIdEntryFor({ provider: 'anilist', id: '56' }), { anilist: '56' });
+    assert.strictEqual(manualIdEntryFor({ provider: 'kitsu', id: '7' }), null);
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Match Confidence Tests
+ *
+ * Scoring and explanations for hash, manual-ID, title-search, custom and unmatched enrichments.
+ */
+
+const assert = require('assert');
+const { scoreMatch, titleSimilarity, episodeCountFromRaw } = require('../lib/match-confidence');
+
+describe('Match confidence', function() {
+  it('measures title similarity after normalization', function() {
+    assert.strictEqual(titleSimilarity('The Show: Part 2', 'show part 2'), 1);
+    assert.strictEqual(titleSimilarity('Frieren', ''), 0);
+    const close = titleSimilarity('Sousou no Frieren', 'Sousou no Frieren 2nd Season');
+    const far = titleSimilarity('Sousou no Frieren', 'Dungeon Meshi');
+    assert.ok(close > 0.7 && close < 1);
+    assert.ok(far < 0.3);
+  });
+
+  it('reads episode counts from provider payloads', function() {
+    assert.strictEqual(episodeCountFromRaw({ episodes: 12 }), 12);
+    assert.strictEqual(episodeCountFromRaw({ number_of_episodes: '24' }), 24);
+    assert.strictEqual(episodeCountFromRaw({ episodes: 0 }), null);
+    assert.strictEqual(episodeCountFromRaw(null), null);
+  });
+
+  it('trusts hash matches regardless of other signals', function() {
+    const c = scoreMatch({ matched: true, provider: 'anidb', source: 'anidb-ed2k', parsedYear: 2020, matchedYear: 2021, hasEpisodeTitle: false });
+    assert.strictEqual(c.method, 'hash');
+    assert.strictEqual(c.score, 97);
+    assert.strictEqual(c.level, 'high');
+    assert.strictEqual(c.yearMatch, false);
+  });
+
+  it('scores manual IDs high and records the ID', function() {
+    const c = scoreMatch({ matched: true, provider: 'anilist', manualId: { provider: 'anilist', id: '154587' }, hasEpisodeTitle: true });
+    assert.strictEqual(c.method, 'manual');
+    assert.strictEqual(c.score, 92);
+    assert.deepStrictEqual(c.manualId, { provider: 'anilist', id: '154587' });
+    assert.ok(c.reasons.some(r => r.includes('154587')));
+  });
+
+  it('adjusts title-search scores by year and episode agreement', function() {
+    const queries = [{ providers: ['anilist'], query: 'Show' }];
+    const good = scoreMatch({ matched: true, provider: 'anilist', queries, query: 'Show', titles: ['Show'], parsedYear: 2020, matchedYear: 2020, parsedEpisode: 3, episodeCount: 12, hasEpisodeTitle: true });
+    assert.strictEqual(good.method, 'title-search');
+    assert.strictEqual(good.score, 93);
+    assert.strictEqual(good.yearMatch, true);
+    assert.strictEqual(good.episodeCountMatch, true);
+    assert.strictEqual(good.matchedTitle, 'Show');
+    assert.deepStrictEqual(good.queries, queries);
+
+    const bad = scoreMatch({ matched: true, provider: 'anilist', query: 'Show', titles: ['Show'], parsedYear: 2020, matchedYear: 2008, parsedEpisode: 30, episodeCount: 12, hasEpisodeTitle: false, parentFallback: true });
+    assert.strictEqual(bad.score, 35);
+    assert.strictEqual(bad.level, 'low');
+    assert.strictEqual(bad.episodeCountMatch, false);
+    assert.ok(bad.reasons.some(r => r.includes('parent folder')));
+  });
+
+  it('handles custom metadata and misses', function() {
+    assert.strictEqual(scoreMatch({ custom: true }).score, 100);
+    const miss = scoreMatch({ matched: false, queries: [{ providers: ['tmdb'], query: 'Nope' }] });
+    assert.strictEqual(miss.score, 0);
+    assert.strictEqual(miss.method, 'none');
+    assert.deepStrictEqual(miss.reasons, ['no provider matched any query']);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * NFO Sidecar Tests
+ *
+ * NFO content, provider id extraction and sidecar placement for applied files.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const buildSidecarWriter = require('../lib/nfo');
+const { collectProviderIds, describeEntry, buildEpisodeNfo, buildTvShowNfo } = buildSidecarWriter;
+
+const entry = {
+  title: 'Example Show',
+  seriesTitleEnglish: 'Example Show',
+  seriesTitleRomaji: 'Rei no Show',
+  season: 1,
+  episode: 2,
+  episodeTitle: 'Tom & Jerry <Part 2>',
+  year: 2021,
+  provider: {
+    provider: 'anidb',
+    id: 1234,
+    title: 'Example Show',
+    episodeTitle: 'Tom & Jerry <Part 2>',
+    raw: { aid: 1234, tvdb: { seriesId: 777 }, description: 'Line one<br>Line two' }
+  },
+  tmdb: { raw: { id: 42 } }
+};
+
+describe('NFO sidecars', function() {
+  it('collects ids from provider raw data and the TMDb block', function() {
+    assert.deepStrictEqual(collectProviderIds(entry), { anidb: '1234', anilist: null, tvdb: '777', tmdb: '42' });
+  });
+
+  it('builds escaped episode and show NFOs with unique ids', function() {
+    const info = describeEntry(entry);
+    const episode = buildEpisodeNfo(info);
+    assert.ok(episode.includes('<title>Tom &amp; Jerry &lt;Part 2&gt;</title>'));
+    assert.ok(episode.includes('<season>1</season>'));
+    assert.ok(episode.includes('<episode>2</episode>'));
+    assert.ok(episode.includes('<uniqueid type="anidb" default="true">1234</uniqueid>'));
+    const show = buildTvShowNfo(info);
+    assert.ok(show.includes('<originaltitle>Rei no Show</originaltitle>'));
+    assert.ok(show.includes('<plot>Line one\nLine two</plot>'));
+    assert.ok(show.includes('<tmdbid>42</tmdbid>'));
+  });
+
+  describe('writer', function() {
+    let tmpRoot;
+    let server;
+    let imageUrl;
+
+    before(function(done) {
+      server = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'image/jpeg' });
+        res.end('jpegdata');
+      });
+      server.listen(0, '127.0.0.1', () => {
+        imageUrl = `http://127.0.0.1:${server.address().port}/poster.jpg`;
+        done();
+      });
+    });
+
+    after(function(done) { server.close(done); });
+
+    beforeEach(function() {
+      tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'mmp-nfo-'));
+    });
+
+    afterEach(function() {
+      try { fs.rmSync(tmpRoot, { recursive: true, force: true }); } catch (e) {}
+    });
+
+    function makeWriter(cache) {
+      return buildSidecarWriter({
+        fs, path,
+        enrichCache: cache,
+        canonicalize: (p) => path.resolve(p),
+        appendLog: () => {},
+        deriveAppliedSeriesInfo: (p) => {
+          const seasonFolder = path.dirname(p);
+          const seriesFolder = path.dirname(seasonFolder);
+          return { resolved: p, seriesFolder, outputRoot: path.dirname(seriesFolder), seriesName: path.basename(seriesFolder) };
+        },
+        getSeriesNameForApprovedEntry: () => 'Example Show',
+        resolveApprovedSeriesOutputKey: () => path.resolve(tmpRoot, 'out'),
+        getApprovedSeriesSourcePreferences: () => ({}),
+        resolveApprovedSeriesSourcePreference: () => ({ source: 'anilist' }),
+        fetchAndCacheApprovedSeriesImage: async () => ({ ok: true, cached: true, imageUrl, summary: 'Cached summary' })
+      });
+    }
+
+    it('writes episode, season and show NFOs plus artwork without replacing existing series files', async function() {
+      const from = path.join(tmpRoot, 'in', 'ep2.mkv');
+      const seasonDir = path.join(tmpRoot, 'out', 'Example Show (2021)', 'Season 01');
+      const to = path.join(seasonDir, 'Example Show (2021) - S01E02.mkv');
+      fs.mkdirSync(seasonDir, { recursive: true });
+      fs.writeFileSync(to, 'video');
+      fs.writeFileSync(path.join(seasonDir, 'season.nfo'), '<season>mine</season>');
+      const writer = makeWriter({ [path.resolve(from)]: entry });
+
+      const written = await writer.writeSidecars({ fromPath: from, toPath: to });
+      const seriesDir = path.dirname(seasonDir);
+      assert.deepStrictEqual(written.map(f => path.basename(f)).sort(), ['Example Show (2021) - S01E02.nfo', 'folder.jpg', 'poster.jpg', 'tvshow.nfo']);
+      assert.strictEqual(fs.readFileSync(path.join(seasonDir, 'season.nfo'), 'utf8'), '<season>mine</season>');
+      assert.strictEqual(fs.readFileSync(path.join(seriesDir, 'poster.jpg'), 'utf8'), 'jpegdata');
+      assert.ok(fs.readFileSync(path.join(seriesDir, 'tvshow.nfo'), 'utf8').includes('<title>Example Show</title>'));
+
+      assert.strictEqual(writer.removeGeneratedSidecars(to), true);
+      assert.ok(!fs.existsSync(path.join(seasonDir, 'Example Show (2021) - S01E02.nfo')));
+      assert.ok(fs.existsSync(path.join(seriesDir, 'tvshow.nfo')));
+    });
+
+    it('leaves a hand-written episode NFO alone', async function() {
+      const from = path.join(tmpRoot, 'in', 'ep3.mkv');
+      const seasonDir = path.join(tmpRoot, 'out', 'Example Show', 'Season 01');
+      const to = path.join(seasonDir, 'E3.mkv');
+      fs.mkdirSync(seasonDir, { recursive: true });
+      fs.writeFileSync(path.join(seasonDir, 'E3.nfo'), '<episodedetails>custom</episodedetails>');
+      const writer = makeWriter({ [path.resolve(from)]: entry });
+
+      await writer.writeSidecars({ fromPath: from, toPath: to, artwork: false });
+      assert.strictEqual(fs.readFileSync(path.join(seasonDir, 'E3.nfo'), 'utf8'), '<episodedetails>custom</episodedetails>');
+      assert.strictEqual(writer.removeGeneratedSidecars(to), false);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Path Mapping Tests
+ *
+ * Prefix validation, both translation directions, deep response rewriting, log text and the middleware.
+ */
+
+const assert = require('assert');
+const buildPathMapper = require('../lib/path-mapping');
+const { normalizeMappings, toExternal, toInternal, mapDeep, mapText } = buildPathMapper;
+
+const MAPPINGS = normalizeMappings([
+  { internal: '/media/', external: '\\\\nas\\media' },
+  { internal: '/media/anime', external: '/mnt/anime' }
+]);
+
+describe('Path mapping', function() {
+  it('validates mappings', function() {
+    assert.deepStrictEqual(normalizeMappings(null), []);
+    assert.strictEqual(MAPPINGS[0].internal, '/media');
+    assert.throws(() => normalizeMappings([{ internal: 'media', external: '/mnt/media' }]), /absolute container path/);
+    assert.throws(() => normalizeMappings([{ internal: '/', external: '/mnt' }]), /absolute container path/);
+    assert.throws(() => normalizeMappings([{ internal: '/media', external: 'nas/media' }]), /UNC share/);
+    assert.throws(() => normalizeMappings([{ internal: '/a', external: '/b' }, { internal: '/a/', external: '/c' }]), /mapped twice/);
+  });
+
+  it('translates in both directions using the longest prefix', function() {
+    assert.strictEqual(toExternal('/media/Show/ep.mkv', MAPPINGS), '\\\\nas\\media\\Show\\ep.mkv');
+    assert.strictEqual(toExternal('/media/anime/Show/ep.mkv', MAPPINGS), '/mnt/anime/Show/ep.mkv');
+    assert.strictEqual(toExternal('/mediafiles/x.mkv', MAPPINGS), '/mediafiles/x.mkv');
+    assert.strictEqual(toInternal('\\\\NAS\\Media\\Show\\ep.mkv', MAPPINGS), '/media/Show/ep.mkv');
+    assert.strictEqual(toInternal('/mnt/anime/Show', MAPPINGS), '/media/anime/Show');
+    assert.strictEqual(toInternal('Show title', MAPPINGS), 'Show title');
+  });
+
+  it('rewrites keys and values without copying untouched objects', function() {
+    const untouched = { title: 'Show', list: [1, 2] };
+    const body = { items: [{ canonicalPath: '/media/anime/a.mkv' }], byPath: { '/media/b.mkv': { ok: true } }, untouched };
+    const out = mapDeep(body, (s) => toExternal(s, MAPPINGS));
+    assert.strictEqual(out.items[0].canonicalPath, '/mnt/anime/a.mkv');
+    assert.deepStrictEqual(Object.keys(out.byPath), ['\\\\nas\\media\\b.mkv']);
+    assert.strictEqual(out.untouched, untouched);
+    assert.strictEqual(body.items[0].canonicalPath, '/media/anime/a.mkv');
+  });
+
+  it('rewrites paths inside log text', function() {
+    const line = '2024-01-01T00:00:00Z ENRICH_REQUEST path=/media/anime/a.mkv from=/mediafiles/x';
+    assert.strictEqual(mapText(line, MAPPINGS), '2024-01-01T00:00:00Z ENRICH_REQUEST path=/mnt/anime/a.mkv from=/mediafiles/x');
+  });
+
+  it('maps requests in and responses out for users with mappings', function() {
+    const mapper = buildPathMapper({ users: { alice: { settings: { path_mappings: MAPPINGS } }, bob: { settings: {} } } });
+    const run = (username, reqPath, body, query) => {
+      const req = { session: { username }, path: reqPath, body, query };
+      let sent = null;
+      const res = { json: (b) => { sent = b; return res; } };
+      let nextCalled = false;
+      mapper.middleware(req, res, () => { nextCalled = true; });
+      assert.ok(nextCalled);
+      return { req, res, sent: () => sent };
+    };
+
+    const a = run('alice', '/api/enrich', { path: '/mnt/anime/a.mkv' }, { path: '\\\\nas\\media\\b.mkv' });
+    assert.strictEqual(a.req.body.path, '/media/anime/a.mkv');
+    assert.strictEqual(a.req.query.path, '/media/b.mkv');
+    a.res.json({ path: '/media/anime/a.mkv' });
+    assert.deepStrictEqual(a.sent(), { path: '/mnt/anime/a.mkv' });
+
+    const raw = run('alice', '/api/path-mappings', { mappings: [{ internal: '/media', external: '/mnt/media' }] }, {});
+    raw.res.json({ mappings: MAPPINGS });
+    assert.strictEqual(raw.sent().mappings[0].internal, '/media');
+
+    const b = run('bob', '/api/enrich', { path: '/mnt/anime/a.mkv' }, {});
+    assert.strictEqual(b.req.body.path, '/mnt/anime/a.mkv');
+  });
+});
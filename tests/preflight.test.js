@@ -0,0 +1,119 @@
+/**
+ * Preflight Tests
+ *
+ * Filesystem checks run with the preview: existing targets, collisions inside a batch, naming
+ * rules of the client's OS, write permission, devices and free space. The disk-dependent cases
+ * use a fake `fs` so they do not need a second mount or a full disk.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const buildPreflight = require('../lib/preflight');
+const { nameIssues } = buildPreflight;
+
+const plan = (fromPath, toPath, op = 'hardlink') => ({ itemId: fromPath, fromPath, toPath, actions: [{ op, from: fromPath, to: toPath }] });
+const codes = (result) => result.issues.map(i => i.code).sort();
+
+describe('Preflight name rules', function() {
+  it('applies Windows characters, trailing dots and reserved names only for Windows clients', function() {
+    assert.deepStrictEqual(nameIssues('What? (2020).mkv', 'windows').map(i => i.code), ['forbidden-characters']);
+    assert.deepStrictEqual(nameIssues('Show.', 'windows').map(i => i.code), ['forbidden-characters']);
+    assert.deepStrictEqual(nameIssues('CON.mkv', 'windows').map(i => i.code), ['reserved-name']);
+    assert.deepStrictEqual(nameIssues('What? (2020).mkv', 'linux'), []);
+    assert.deepStrictEqual(nameIssues('Re:Zero', 'mac').map(i => i.code), ['forbidden-characters']);
+  });
+
+  it('measures name length in bytes on Linux and characters on Windows', function() {
+    const name = 'あ'.repeat(100);
+    assert.deepStrictEqual(nameIssues(name, 'linux').map(i => i.code), ['name-too-long']);
+    assert.deepStrictEqual(nameIssues(name, 'windows'), []);
+  });
+});
+
+describe('Preflight checks', function() {
+  let tmp;
+  let src;
+
+  beforeEach(function() {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'preflight-'));
+    fs.mkdirSync(path.join(tmp, 'in'));
+    fs.mkdirSync(path.join(tmp, 'out'));
+    src = path.join(tmp, 'in', 'a.mkv');
+    fs.writeFileSync(src, 'video');
+  });
+
+  afterEach(function() {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  it('passes a clean batch and flags existing targets and missing sources', function() {
+    const users = { alice: { settings: {} } };
+    const { check } = buildPreflight({ fs, users, serverSettings: {} });
+    const clean = check([plan(src, path.join(tmp, 'out', 'Show', 'Show - 01.mkv'))], { username: 'alice' });
+    assert.strictEqual(clean.ok, true);
+    assert.deepStrictEqual(clean.results[0].issues, []);
+
+    fs.writeFileSync(path.join(tmp, 'out', 'taken.mkv'), 'other');
+    fs.linkSync(src, path.join(tmp, 'out', 'linked.mkv'));
+    const out = check([
+      plan(src, path.join(tmp, 'out', 'taken.mkv')),
+      plan(src, path.join(tmp, 'out', 'linked.mkv')),
+      plan(path.join(tmp, 'in', 'gone.mkv'), path.join(tmp, 'out', 'gone.mkv'))
+    ], { username: 'alice' });
+    assert.strictEqual(out.ok, false);
+    assert.deepStrictEqual(out.results.map(codes), [['target-exists'], ['already-applied'], ['source-missing']]);
+    assert.deepStrictEqual(out.counts, { error: 2, warning: 1 });
+  });
+
+  it('reports targets colliding only by case as errors for Windows clients and warnings on Linux', function() {
+    const other = path.join(tmp, 'in', 'b.mkv');
+    fs.writeFileSync(other, 'video');
+    const plans = [plan(src, path.join(tmp, 'out', 'Show - 01.mkv')), plan(other, path.join(tmp, 'out', 'show - 01.mkv'))];
+    const linux = buildPreflight({ fs, users: {}, serverSettings: {} }).check(plans);
+    assert.deepStrictEqual(linux.results.map(r => r.issues.map(i => `${i.code}:${i.severity}`)), [['case-collision:warning'], ['case-collision:warning']]);
+    const windows = buildPreflight({ fs, users: {}, serverSettings: { client_os: 'windows' } }).check(plans);
+    assert.strictEqual(windows.counts.error, 2);
+    const same = buildPreflight({ fs, users: {}, serverSettings: {} }).check([plans[0], plan(other, plans[0].toPath)]);
+    assert.deepStrictEqual(same.results.map(codes), [['duplicate-target'], ['duplicate-target']]);
+  });
+
+  it('checks only the folders apply will create against the client naming rules', function() {
+    const users = { win: { settings: { client_os: 'windows' } } };
+    const { check } = buildPreflight({ fs, users, serverSettings: {} });
+    const out = check([plan(src, path.join(tmp, 'out', 'Show: Part 2', 'aux.mkv'))], { username: 'win' });
+    assert.deepStrictEqual(codes(out.results[0]), ['forbidden-characters', 'reserved-name']);
+  });
+
+  it('measures the path length as the client sees it through path mappings', function() {
+    const users = { win: { settings: { client_os: 'windows' } } };
+    const pathMapper = { toExternal: (u, p) => 'Z:\\' + 'x'.repeat(300) + p };
+    const out = buildPreflight({ fs, users, serverSettings: {}, pathMapper }).check([plan(src, path.join(tmp, 'out', 'a.mkv'))], { username: 'win' });
+    assert.deepStrictEqual(codes(out.results[0]), ['path-too-long']);
+  });
+
+  it('flags cross-device hardlinks, unwritable targets and copies that do not fit', function() {
+    const outDir = path.join(tmp, 'out');
+    // Report the output folder as another, nearly full, read-only device
+    const fakeFs = Object.assign({}, fs, {
+      statSync: (p) => {
+        const st = fs.statSync(p);
+        return p.startsWith(outDir) ? Object.assign({}, st, { dev: st.dev + 1, size: st.size }) : st;
+      },
+      statfsSync: () => ({ bavail: 1, bsize: 2 }),
+      accessSync: (p, mode) => {
+        if (p.startsWith(outDir)) { const e = new Error('EROFS'); e.code = 'EROFS'; throw e; }
+        return fs.accessSync(p, mode);
+      }
+    });
+    const { check } = buildPreflight({ fs: fakeFs, users: {}, serverSettings: {} });
+    const out = check([
+      plan(src, path.join(outDir, 'link.mkv'), 'hardlink'),
+      plan(src, path.join(outDir, 'copy.mkv'), 'copy')
+    ]);
+    assert.deepStrictEqual(out.results.map(codes), [['cross-device', 'not-writable'], ['insufficient-space', 'not-writable']]);
+    assert.match(out.results[0].issues.find(i => i.code === 'not-writable').message, /read-only/);
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Provider Plugin Tests
+ *
+ * Descriptor validation, drop-in plugin loading, credential resolution, the per-plugin rate
+ * limiter and the metaLookup-shaped result of `lookup`.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const buildProviderRegistry = require('../lib/providers');
+const { normalizeDescriptor, createLimiter, BUILTIN_PROVIDERS } = buildProviderRegistry;
+
+const PLUGIN_SOURCE = `
+module.exports = {
+  id: 'fakedb',
+  name: 'Fake DB',
+  credentials: [
+    { key: 'fakedb_api_key', label: 'Fake DB API Key', type: 'password', required: true },
+    { key: 'fakedb_region', label: 'Region', default: 'us' }
+  ],
+  rateLimit: { minIntervalMs: 40, hosts: ['api.fakedb.test'] },
+  create(ctx) {
+    return {
+      async searchSeries({ query }, { credentials }) {
+        ctx.calls.push(['search', query, credentials.fakedb_api_key, credentials.fakedb_region]);
+        return [{ id: 42, title: 'Fake Show', year: 2020, raw: { slug: 'fake-show' } }];
+      },
+      async getEpisode({ seriesId, season, episode }) {
+        ctx.calls.push(['episode', seriesId, season, episode]);
+        return { title: 'Pilot', season, episode, airDate: '2020-01-01' };
+      }
+    };
+  }
+};
+`;
+
+describe('Provider descriptors', function() {
+  it('fills defaults and rejects unusable descriptors', function() {
+    const d = normalizeDescriptor({ id: 'MyDB', create() {}, credentials: [{ key: 'k', type: 'weird' }] }, 'test');
+    assert.strictEqual(d.id, 'mydb');
+    assert.strictEqual(d.name, 'mydb');
+    assert.deepStrictEqual(d.credentials[0], { key: 'k', label: 'k', type: 'text', required: false, default: '', placeholder: '', help: '' });
+    assert.deepStrictEqual(d.rateLimit, { minIntervalMs: 0, concurrency: 1, hosts: [] });
+    assert.throws(() => normalizeDescriptor({ id: 'bad id', create() {} }, 'test'), /invalid provider id/);
+    assert.throws(() => normalizeDescriptor({ id: 'nocreate' }, 'test'), /no create/);
+    assert.throws(() => normalizeDescriptor({ id: 'x', create() {}, credentials: [{ label: 'no key' }] }, 'test'), /without a key/);
+  });
+
+  it('describes the built-in providers with their credential fields', function() {
+    const registry = buildProviderRegistry();
+    registry.attach({ users: {}, serverSettings: {} });
+    assert.deepStrictEqual(registry.ids(), BUILTIN_PROVIDERS);
+    const tmdb = registry.describe().find(p => p.id === 'tmdb');
+    assert.strictEqual(tmdb.configured, false);
+    // Built-ins are looked up by the enrichment chain, not through the plugin methods
+    assert.ok(Object.values(tmdb.capabilities).every(v => v === false));
+    assert.ok(registry.credentialKeys().includes('tvdb_v4_api_key'));
+    assert.strictEqual(registry.hostPacing()['api.themoviedb.org'], 300);
+  });
+});
+
+describe('Provider plugin loading and calls', function() {
+  let tmpRoot;
+  let logged;
+  let ctx;
+  let registry;
+
+  before(function() {
+    tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'mmp-providers-'));
+    fs.writeFileSync(path.join(tmpRoot, 'fakedb.js'), PLUGIN_SOURCE);
+    fs.mkdirSync(path.join(tmpRoot, 'broken'));
+    fs.writeFileSync(path.join(tmpRoot, 'broken', 'index.js'), "module.exports = { id: 'broken' };");
+    fs.writeFileSync(path.join(tmpRoot, 'notes.txt'), 'ignored');
+  });
+
+  after(function() {
+    try { fs.rmSync(tmpRoot, { recursive: true, force: true }); } catch (e) {}
+  });
+
+  beforeEach(function() {
+    logged = [];
+    ctx = {
+      calls: [],
+      users: { alice: { settings: { fakedb_api_key: 'alice-key' } }, bob: { settings: {} } },
+      serverSettings: { fakedb_region: 'eu' }
+    };
+    registry = buildProviderRegistry({ appendLog: (l) => logged.push(l), pluginDirs: [tmpRoot, path.join(tmpRoot, 'missing')] });
+    registry.attach(ctx);
+  });
+
+  it('loads drop-in plugins and logs the ones that fail', function() {
+    assert.ok(registry.has('fakedb'));
+    assert.strictEqual(registry.isBuiltin('fakedb'), false);
+    assert.strictEqual(registry.has('broken'), false);
+    assert.ok(logged.some(l => /^PROVIDER_PLUGIN_LOADED id=fakedb /.test(l)));
+    assert.ok(logged.some(l => /^PROVIDER_PLUGIN_FAIL .*broken.*no create/.test(l)));
+    assert.strictEqual(registry.displayNames().fakedb, 'Fake DB');
+  });
+
+  it('resolves credentials from the user, then the server, then the default', function() {
+    assert.deepStrictEqual(registry.credentialsFor('fakedb', 'alice'), { fakedb_api_key: 'alice-key', fakedb_region: 'eu' });
+    ctx.serverSettings.fakedb_region = '';
+    assert.deepStrictEqual(registry.credentialsFor('fakedb', 'bob'), { fakedb_api_key: '', fakedb_region: 'us' });
+    assert.deepStrictEqual(registry.missingCredentials('fakedb', 'bob'), ['fakedb_api_key']);
+  });
+
+  it('skips calls while required credentials are missing', async function() {
+    assert.strictEqual(await registry.call('fakedb', 'searchSeries', { query: 'x' }, { username: 'bob' }), null);
+    assert.deepStrictEqual(ctx.calls, []);
+    assert.ok(logged.some(l => l === 'PROVIDER_SKIP_NO_CREDENTIALS id=fakedb method=searchSeries missing=fakedb_api_key'));
+    // Methods a plugin does not implement resolve null as well
+    assert.strictEqual(await registry.call('fakedb', 'getArtwork', { id: 1 }, { username: 'alice' }), null);
+  });
+
+  it('returns a metaLookup-shaped match with the episode title', async function() {
+    const res = await registry.lookup('fakedb', { title: 'fake show', season: 1, episode: 2 }, { username: 'alice' });
+    assert.deepStrictEqual(ctx.calls, [['search', 'fake show', 'alice-key', 'eu'], ['episode', 42, 1, 2]]);
+    assert.strictEqual(res.provider, 'fakedb');
+    assert.strictEqual(res.name, 'Fake Show');
+    assert.strictEqual(res.raw.year, 2020);
+    assert.strictEqual(res.raw.slug, 'fake-show');
+    assert.deepStrictEqual(res.episode, { name: 'Pilot', title: 'Pilot', localized_name: 'Pilot', air_date: '2020-01-01', source: 'fakedb', raw: null });
+  });
+
+  it('paces calls to a plugin by its minimum interval', async function() {
+    const started = Date.now();
+    await Promise.all([1, 2, 3].map(n => registry.call('fakedb', 'searchSeries', { query: `q${n}` }, { username: 'alice' })));
+    assert.strictEqual(ctx.calls.length, 3);
+    assert.ok(Date.now() - started >= 80);
+  });
+});
+
+describe('Provider rate limiter', function() {
+  it('never runs more than the configured number of calls at once', async function() {
+    const limited = createLimiter({ concurrency: 2 });
+    let active = 0;
+    let peak = 0;
+    const task = () => limited(async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(r => setTimeout(r, 10));
+      active--;
+    });
+    await Promise.all([task(), task(), task(), task(), task()]);
+    assert.strictEqual(peak, 2);
+    assert.strictEqual(active, 0);
+  });
+
+  it('releases its slot when a call throws', async function() {
+    const limited = createLimiter({ concurrency: 1 });
+    await assert.rejects(limited(async () => { throw new Error('boom'); }), /boom/);
+    assert.strictEqual(await limited(async () => 'ok'), 'ok');
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Release Info Tests
+ *
+ * Release group, resolution, codec, source, CRC32, version, dual audio and language tags read
+ * from filenames, returned by the filename parser, filled in from ffprobe, and rendered through
+ * the rename template tokens.
+ */
+
+const assert = require('assert');
+
+const { parseReleaseInfo, fromProbe, releaseTokens } = require('../lib/release-info');
+const parseFilename = require('../lib/filename-parser');
+const { renderTemplate, validateTemplate } = require('../lib/rename-template');
+
+describe('Release info', function() {
+  it('reads fansub brackets', function() {
+    assert.deepStrictEqual(parseReleaseInfo('/media/[SubsPlease] Frieren - 05v2 (1080p) [HEVC][Dual Audio][ENG+JPN] [ABCD1234].mkv'), {
+      releaseGroup: 'SubsPlease',
+      resolution: '1080p',
+      videoCodec: 'HEVC',
+      audioCodec: null,
+      source: null,
+      crc32: 'ABCD1234',
+      version: 2,
+      dualAudio: true,
+      languages: ['eng', 'jpn']
+    });
+  });
+
+  it('reads scene names', function() {
+    const info = parseReleaseInfo('Show.Name.S01E05.VOSTFR.720p.WEB-DL.DDP5.1.H.264-GROUP.mkv');
+    assert.deepStrictEqual(
+      [info.releaseGroup, info.resolution, info.videoCodec, info.audioCodec, info.source, info.languages],
+      ['GROUP', '720p', 'AVC', 'EAC3', 'WEB-DL', ['fre']]
+    );
+    assert.strictEqual(parseReleaseInfo('Show - 05 [BD 1920x1080 x265 FLAC].mkv').source, 'BluRay');
+    assert.strictEqual(parseReleaseInfo('Show - 05 [BD 1920x1080 x265 FLAC].mkv').resolution, '1080p');
+  });
+
+  it('does not mistake titles and tech tokens for groups or languages', function() {
+    assert.strictEqual(parseReleaseInfo('Re-Zero.S01E05.1080p.mkv').releaseGroup, null);
+    assert.strictEqual(parseReleaseInfo('Show.WEB-DL.mkv').releaseGroup, null);
+    assert.strictEqual(parseReleaseInfo('[1080p] Show - 01.mkv').releaseGroup, null);
+    assert.deepStrictEqual(parseReleaseInfo('French Kiss (English) - 01.mkv').languages, ['eng']);
+    assert.strictEqual(parseReleaseInfo('Show - 01 (2019).mkv').crc32, null);
+  });
+
+  it('is returned by the filename parser without changing the title', function() {
+    const parsed = parseFilename('[Erai-raws] Sousou no Frieren - 05 [1080p][Multiple Subtitle][0A1B2C3D].mkv');
+    assert.strictEqual(parsed.title, 'Sousou no Frieren');
+    assert.strictEqual(parsed.episode, 5);
+    assert.strictEqual(parsed.releaseGroup, 'Erai-raws');
+    assert.strictEqual(parsed.resolution, '1080p');
+    assert.strictEqual(parsed.crc32, '0A1B2C3D');
+  });
+
+  it('maps ffprobe quality onto release-name labels', function() {
+    assert.deepStrictEqual(fromProbe({ resolution: 1080, codec: 'hevc' }), { resolution: '1080p', videoCodec: 'HEVC' });
+    // 1920x800 scope crops round up to the next standard height
+    assert.deepStrictEqual(fromProbe({ resolution: 800, codec: 'avc' }), { resolution: '1080p', videoCodec: 'AVC' });
+    assert.deepStrictEqual(fromProbe(null), { resolution: null, videoCodec: null });
+  });
+
+  it('renders template tokens, probing only what the name lacks', function() {
+    const tokens = releaseTokens('Show - 05 [x264].mkv', { resolution: '720p', videoCodec: 'HEVC' });
+    assert.strictEqual(tokens.resolution, '720p');
+    assert.strictEqual(tokens.codec, 'AVC');
+    const name = renderTemplate('{title} - {epLabel} - {resolution}{?releaseGroup: [{releaseGroup}]}', Object.assign({ title: 'Show', epLabel: 'S01E05' }, tokens));
+    assert.strictEqual(name, 'Show - S01E05 - 720p');
+    assert.deepStrictEqual(validateTemplate('{title} [{releaseGroup}] {resolution} {codec} {audioCodec} {source} {crc32} {version} {dualAudio} {languages}'), []);
+  });
+});
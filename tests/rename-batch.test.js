@@ -0,0 +1,221 @@
+/**
+ * Rename Batch Tests
+ *
+ * Journaled apply: best-effort batches, atomic rollback and startup recovery.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+describe('Journaled rename batches', function() {
+  let dbLib;
+  let tmpRoot;
+  let applier;
+  let enrichCache;
+  let renderedIndex;
+
+  before(function() {
+    try { dbLib = require('../lib/db'); } catch (e) { this.skip(); return; }
+    tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'mmp-batch-'));
+    dbLib.init(path.join(tmpRoot, 'batch.db'));
+  });
+
+  after(function() {
+    try { fs.rmSync(tmpRoot, { recursive: true, force: true }); } catch (e) {}
+  });
+
+  beforeEach(function() {
+    enrichCache = {};
+    renderedIndex = {};
+    applier = require('../lib/apply')({
+      fs, path, db: dbLib, enrichCache, renderedIndex, uuidv4,
+      canonicalize: (p) => path.resolve(p),
+      appendLog: () => {}
+    });
+  });
+
+  function makeSource(name) {
+    const dir = path.join(tmpRoot, 'input');
+    fs.mkdirSync(dir, { recursive: true });
+    const p = path.join(dir, name);
+    fs.writeFileSync(p, name);
+    return p;
+  }
+
+  it('journals a best-effort batch and records history rows with the batch id', async function() {
+    const a = makeSource('a.mkv');
+    const outA = path.join(tmpRoot, 'out1', 'Show', 'Season 01', 'A.mkv');
+    const outB = path.join(tmpRoot, 'out1', 'Show', 'Season 01', 'B.mkv');
+    const { batchId, status, results } = await applier.applyBatch([
+      { itemId: 'a', fromPath: a, toPath: outA },
+      { itemId: 'b', fromPath: path.join(tmpRoot, 'input', 'missing.mkv'), toPath: outB }
+    ], { username: 'admin' });
+
+    assert.strictEqual(status, 'committed');
+    assert.deepStrictEqual(results.map(r => r.status), ['hardlinked', 'error']);
+    assert.ok(fs.existsSync(outA));
+    assert.strictEqual(enrichCache[a].applied, true);
+    assert.strictEqual(enrichCache[a].appliedTo, outA);
+
+    const batch = dbLib.getRenameBatch(batchId);
+    assert.strictEqual(batch.status, 'committed');
+    assert.strictEqual(batch.items.length, 1);
+    assert.strictEqual(batch.items[0].status, 'done');
+    const actions = dbLib.getActionsByBatch(batchId);
+    assert.strictEqual(actions.length, 1);
+    assert.strictEqual(actions[0].original_path, a);
+  });
+
+  it('rolls back links and created directories when an atomic batch fails', async function() {
+    const c = makeSource('c.mkv');
+    const d = makeSource('d.mkv');
+    const outC = path.join(tmpRoot, 'out2', 'Show', 'C.mkv');
+    // A file where a directory is expected makes the second item fail mid-batch
+    fs.mkdirSync(path.join(tmpRoot, 'out2'), { recursive: true });
+    fs.writeFileSync(path.join(tmpRoot, 'out2', 'Blocked'), 'x');
+    const outD = path.join(tmpRoot, 'out2', 'Blocked', 'D.mkv');
+
+    const { batchId, status, results } = await applier.applyBatch([
+      { itemId: 'c', fromPath: c, toPath: outC },
+      { itemId: 'd', fromPath: d, toPath: outD }
+    ], { atomic: true });
+
+    assert.strictEqual(status, 'rolled_back');
+    assert.deepStrictEqual(results.map(r => r.status), ['rolled_back', 'error']);
+    assert.ok(!fs.existsSync(outC));
+    assert.ok(!fs.existsSync(path.join(tmpRoot, 'out2', 'Show')));
+    assert.ok(fs.existsSync(c));
+    assert.ok(!enrichCache[c] || !enrichCache[c].applied);
+    assert.strictEqual(dbLib.getRenameBatch(batchId).status, 'rolled_back');
+  });
+
+  it('removes the directories a failed item created before its link failed', async function() {
+    const i = makeSource('i.mkv');
+    // A directory passes validation but cannot be hardlinked, so the link fails after mkdir
+    const folder = path.join(tmpRoot, 'input', 'folder.mkv');
+    fs.mkdirSync(folder, { recursive: true });
+    const outI = path.join(tmpRoot, 'out6', 'Show', 'I.mkv');
+    const outJ = path.join(tmpRoot, 'out6', 'Other', 'Season 01', 'J.mkv');
+    const atomic = await applier.applyBatch([
+      { itemId: 'i', fromPath: i, toPath: outI },
+      { itemId: 'j', fromPath: folder, toPath: outJ }
+    ], { atomic: true });
+    assert.strictEqual(atomic.status, 'rolled_back');
+    assert.ok(!fs.existsSync(path.join(tmpRoot, 'out6')));
+
+    const bestEffort = await applier.applyBatch([{ itemId: 'j', fromPath: folder, toPath: outJ }]);
+    assert.deepStrictEqual(bestEffort.results.map(r => r.status), ['error']);
+    assert.ok(!fs.existsSync(path.join(tmpRoot, 'out6')));
+  });
+
+  it('leaves a same-size file that replaced a journaled copy on rollback', async function() {
+    const m = makeSource('m.mkv');
+    const outM = path.join(tmpRoot, 'out9', 'M.mkv');
+    const { batchId, results } = await applier.applyBatch([{ itemId: 'm', fromPath: m, toPath: outM, op: 'copy' }]);
+    assert.deepStrictEqual(results.map(r => r.status), ['copied']);
+    assert.strictEqual(JSON.parse(dbLib.getRenameBatch(batchId).items[0].target_stat).size, fs.statSync(m).size);
+
+    fs.unlinkSync(outM);
+    fs.writeFileSync(outM, 'M.MKV');
+    const summary = applier.rollbackBatch(batchId, 'test');
+    assert.deepStrictEqual(summary.reverted, []);
+    assert.strictEqual(fs.readFileSync(outM, 'utf8'), 'M.MKV');
+  });
+
+  it('aborts an atomic batch before touching disk when validation fails', async function() {
+    const e = makeSource('e.mkv');
+    const outE = path.join(tmpRoot, 'out3', 'E.mkv');
+    const { batchId, status } = await applier.applyBatch([
+      { itemId: 'e', fromPath: e, toPath: outE },
+      { itemId: 'f', fromPath: path.join(tmpRoot, 'input', 'nope.mkv'), toPath: path.join(tmpRoot, 'out3', 'F.mkv') }
+    ], { atomic: true });
+    assert.strictEqual(status, 'aborted');
+    assert.strictEqual(batchId, null);
+    assert.ok(!fs.existsSync(path.join(tmpRoot, 'out3')));
+  });
+
+  it('aborts a batch whose journal cannot be written', async function() {
+    // Journal calls pass through to the real database until `failOn` matches
+    let failOn = () => false;
+    const flakyDb = Object.create(dbLib);
+    for (const fn of ['createRenameBatch', 'updateRenameBatchItem']) {
+      flakyDb[fn] = (...args) => {
+        if (failOn(fn, ...args)) throw new Error('disk I/O error');
+        return dbLib[fn](...args);
+      };
+    }
+    const flaky = require('../lib/apply')({
+      fs, path, db: flakyDb, enrichCache, renderedIndex, uuidv4,
+      canonicalize: (p) => path.resolve(p),
+      appendLog: () => {}
+    });
+    const k = makeSource('k.mkv');
+    const l = makeSource('l.mkv');
+    const outK = path.join(tmpRoot, 'out8', 'K.mkv');
+    const outL = path.join(tmpRoot, 'out8', 'L.mkv');
+    const entries = [{ itemId: 'k', fromPath: k, toPath: outK }, { itemId: 'l', fromPath: l, toPath: outL }];
+
+    failOn = (fn) => fn === 'createRenameBatch';
+    const unjournaled = await flaky.applyBatch(entries);
+    assert.deepStrictEqual([unjournaled.batchId, unjournaled.status], [null, 'aborted']);
+    assert.deepStrictEqual(unjournaled.results.map(r => r.status), ['skipped', 'skipped']);
+    assert.ok(!fs.existsSync(path.join(tmpRoot, 'out8')));
+
+    failOn = (fn, batchId, idx, fields) => fn === 'updateRenameBatchItem' && idx === 1 && fields.status === 'in_progress';
+    const atomic = await flaky.applyBatch(entries, { atomic: true });
+    assert.strictEqual(atomic.status, 'aborted');
+    assert.deepStrictEqual(atomic.results.map(r => r.status), ['rolled_back', 'skipped']);
+    assert.ok(!fs.existsSync(path.join(tmpRoot, 'out8')));
+
+    const bestEffort = await flaky.applyBatch(entries);
+    assert.strictEqual(bestEffort.status, 'aborted');
+    assert.deepStrictEqual(bestEffort.results.map(r => r.status), ['hardlinked', 'skipped']);
+    assert.match(bestEffort.results[1].error, /journal write failed: disk I\/O error/);
+    assert.ok(fs.existsSync(outK));
+    assert.ok(!fs.existsSync(outL));
+    assert.strictEqual(dbLib.getRenameBatch(bestEffort.batchId).status, 'aborted');
+    assert.strictEqual(dbLib.getActionsByBatch(bestEffort.batchId).length, 1);
+  });
+
+  it('recovers interrupted batches: finishes best-effort, undoes atomic', function() {
+    const g = makeSource('g.mkv');
+    const h = makeSource('h.mkv');
+    const outG = path.join(tmpRoot, 'out4', 'G.mkv');
+    const outH = path.join(tmpRoot, 'out5', 'H.mkv');
+    fs.mkdirSync(path.dirname(outG), { recursive: true });
+    fs.mkdirSync(path.dirname(outH), { recursive: true });
+    fs.linkSync(g, outG);
+    fs.linkSync(h, outH);
+
+    const bestEffortId = uuidv4();
+    dbLib.createRenameBatch({ id: bestEffortId, mode: 'best-effort', items: [{ idx: 0, item_id: 'g', from_path: g, to_path: outG }] });
+    dbLib.updateRenameBatchItem(bestEffortId, 0, { status: 'in_progress', created_dirs: '[]' });
+    const atomicId = uuidv4();
+    dbLib.createRenameBatch({ id: atomicId, mode: 'atomic', items: [{ idx: 0, item_id: 'h', from_path: h, to_path: outH }] });
+    dbLib.updateRenameBatchItem(atomicId, 0, { status: 'done', created_dirs: JSON.stringify([path.dirname(outH)]) });
+    // A failed item whose directory was left behind by a crash before its cleanup
+    const failedDir = path.join(tmpRoot, 'out7', 'Show');
+    fs.mkdirSync(failedDir, { recursive: true });
+    const failedId = uuidv4();
+    dbLib.createRenameBatch({ id: failedId, mode: 'best-effort', items: [{ idx: 0, item_id: 'k', from_path: g, to_path: path.join(failedDir, 'K.mkv') }] });
+    dbLib.updateRenameBatchItem(failedId, 0, { status: 'failed', created_dirs: JSON.stringify([path.dirname(failedDir), failedDir]) });
+
+    const summary = applier.recoverIncompleteBatches();
+    assert.strictEqual(summary.length, 3);
+
+    assert.strictEqual(dbLib.getRenameBatch(bestEffortId).status, 'committed');
+    assert.strictEqual(enrichCache[g].appliedTo, outG);
+    assert.strictEqual(dbLib.getActionsByBatch(bestEffortId).length, 1);
+
+    assert.strictEqual(dbLib.getRenameBatch(atomicId).status, 'rolled_back');
+    assert.ok(!fs.existsSync(outH));
+    assert.ok(!fs.existsSync(path.dirname(outH)));
+    assert.ok(fs.existsSync(h));
+
+    assert.strictEqual(dbLib.getRenameBatch(failedId).status, 'committed');
+    assert.ok(!fs.existsSync(path.join(tmpRoot, 'out7')));
+  });
+});
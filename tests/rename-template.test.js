@@ -0,0 +1,90 @@
+/**
+ * Rename Template Tests
+ *
+ * Covers token substitution, optional sections, filters, folder templates
+ * and per-output-folder template selection.
+ */
+
+const assert = require('assert');
+const { renderTemplate, renderFolderTemplate, validateTemplate, selectTemplates } = require('../lib/rename-template');
+
+describe('Rename template engine', function() {
+  const tokens = {
+    title: 'Example Show',
+    year: '2024',
+    epLabel: 'S01E02',
+    episodeTitle: 'Pilot',
+    season: '1',
+    episode: '2',
+    seriesFolder: 'Example Show',
+    seasonFolder: 'Season 01'
+  };
+
+  it('substitutes every occurrence of a token', function() {
+    assert.strictEqual(renderTemplate('{title} - {title}', tokens), 'Example Show - Example Show');
+  });
+
+  it('keeps unknown tokens literally', function() {
+    assert.strictEqual(renderTemplate('{title} {nope}', tokens), 'Example Show {nope}');
+  });
+
+  it('renders optional sections only when the token has a value', function() {
+    const tpl = '{title} - {epLabel}{?episodeTitle: - {episodeTitle}}';
+    assert.strictEqual(renderTemplate(tpl, tokens), 'Example Show - S01E02 - Pilot');
+    assert.strictEqual(renderTemplate(tpl, Object.assign({}, tokens, { episodeTitle: '' })), 'Example Show - S01E02');
+  });
+
+  it('renders inverse sections only when the token is empty', function() {
+    assert.strictEqual(renderTemplate('{title}{!year: (no year)}', Object.assign({}, tokens, { year: '' })), 'Example Show (no year)');
+    assert.strictEqual(renderTemplate('{title}{!year: (no year)}', tokens), 'Example Show');
+  });
+
+  it('applies filters and filter chains', function() {
+    assert.strictEqual(renderTemplate('{title|upper}', tokens), 'EXAMPLE SHOW');
+    assert.strictEqual(renderTemplate('{episode|pad:3}', tokens), '002');
+    assert.strictEqual(renderTemplate('{episode|pad}', tokens), '02');
+    assert.strictEqual(renderTemplate('{year|ifempty:Unknown}', Object.assign({}, tokens, { year: '' })), 'Unknown');
+    assert.strictEqual(renderTemplate('{year|ifempty:Unknown}', tokens), '2024');
+    assert.strictEqual(renderTemplate('{title|lower|truncate:7}', tokens), 'example');
+    assert.strictEqual(renderTemplate('{title|prefix:[|suffix:]}', tokens), '[Example Show]');
+  });
+
+  it('passes substituted values through sanitize', function() {
+    const sanitize = (s) => String(s).replace(/[:]/g, '');
+    assert.strictEqual(renderTemplate('{title}: {episodeTitle}', Object.assign({}, tokens, { episodeTitle: 'A: B' }), { sanitize }), 'Example Show: A B');
+  });
+
+  it('renders folder templates into segments and drops empty ones', function() {
+    assert.deepStrictEqual(renderFolderTemplate('{seriesFolder}/{seasonFolder}', tokens), ['Example Show', 'Season 01']);
+    assert.deepStrictEqual(renderFolderTemplate('{seriesFolder}/{seasonFolder}', Object.assign({}, tokens, { seasonFolder: '' })), ['Example Show']);
+    assert.deepStrictEqual(renderFolderTemplate('Anime/{title|upper} ({year})', tokens), ['Anime', 'EXAMPLE SHOW (2024)']);
+  });
+
+  it('reports unknown tokens, filters and unbalanced braces', function() {
+    assert.deepStrictEqual(validateTemplate('{title|upper} - {epLabel}'), []);
+    const errors = validateTemplate('{titel|shout} {year');
+    assert.ok(errors.some(e => e.includes('titel')));
+    assert.ok(errors.some(e => e.includes('unbalanced')));
+  });
+
+  it('prefers output-folder templates over user and server templates', function() {
+    const users = {
+      alice: {
+        settings: {
+          rename_template: '{title} - {epLabel}',
+          output_folders: [{ name: 'Anime', path: '/media/anime', rename_template: '{title|upper}', folder_template: 'Anime/{seriesFolder}' }]
+        }
+      }
+    };
+    const serverSettings = { rename_template: '{title}', folder_template: '{seriesFolder}' };
+    const forFolder = selectTemplates({ username: 'alice', users, serverSettings, effectiveOutput: '/media/anime' });
+    assert.strictEqual(forFolder.fileTemplate, '{title|upper}');
+    assert.strictEqual(forFolder.folderTemplate, 'Anime/{seriesFolder}');
+    assert.strictEqual(forFolder.fileTemplateFromOutput, true);
+
+    const forDefault = selectTemplates({ username: 'alice', users, serverSettings, effectiveOutput: '/media/tv', template: '{title} x' });
+    assert.strictEqual(forDefault.fileTemplate, '{title} x');
+    assert.strictEqual(forDefault.folderTemplate, '{seriesFolder}');
+    assert.strictEqual(forDefault.fileTemplateFromOutput, false);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Search Index Tests
+ *
+ * Query parsing, the documents built from enrichment entries, and ranked, filtered and highlighted
+ * searches against an SQLite FTS5 index.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const buildSearchIndex = require('../lib/search-index');
+const { parseQuery, toMatchExpression, docFor, splitHighlight } = buildSearchIndex;
+
+describe('Search index helpers', function() {
+  it('splits text terms from field filters', function() {
+    const q = parseQuery('frieren "sousou no" title:elf provider:AniDB season:2 applied:false foo:bar');
+    assert.deepStrictEqual(q.filters, { provider: 'anidb', season: 2, applied: false });
+    assert.deepStrictEqual(q.terms, [
+      { text: 'frieren', phrase: false, columns: null },
+      { text: 'sousou no', phrase: true, columns: null },
+      { text: 'elf', phrase: false, columns: ['title', 'alt_titles'] },
+      { text: 'foo:bar', phrase: false, columns: null }
+    ]);
+    assert.throws(() => parseQuery('season:two'), /season must be a whole number/);
+    assert.throws(() => parseQuery('hidden:maybe'), /hidden must be true or false/);
+  });
+
+  it('builds prefix, phrase and column MATCH expressions', function() {
+    assert.strictEqual(toMatchExpression(parseQuery('Show.Name s01e02').terms), '"Show Name"* AND "s01e02"*');
+    assert.strictEqual(toMatchExpression(parseQuery('"sousou no" id:17617').terms), '"sousou no" AND {ids} : "17617"*');
+    assert.strictEqual(toMatchExpression(parseQuery('- "" ...').terms), null);
+  });
+
+  it('indexes titles, ids and numbers from an enrichment entry', function() {
+    const doc = docFor('/media/anime/Frieren - 03.mkv', {
+      parsed: { title: 'Frieren', season: 1, episode: 3 },
+      seriesTitleRomaji: 'Sousou no Frieren',
+      provider: {
+        title: "Frieren: Beyond Journey's End", episodeTitle: 'Killing Magic', season: '1', episode: '3', year: '2023',
+        matched: true, source: 'AniDB', raw: { aid: 17617, title: { native: '葬送のフリーレン' }, synonyms: ['Frieren'] }
+      }
+    });
+    assert.strictEqual(doc.basename, 'Frieren - 03.mkv');
+    assert.ok(doc.title.startsWith("Frieren: Beyond Journey's End"));
+    assert.strictEqual(doc.altTitles, 'Sousou no Frieren | 葬送のフリーレン | Frieren');
+    assert.strictEqual(doc.ids, 'anidb:17617');
+    assert.deepStrictEqual([doc.provider, doc.season, doc.episode, doc.year, doc.matched], ['anidb', 1, 3, 2023, true]);
+    const bare = docFor('/media/x.mkv', null);
+    assert.deepStrictEqual([bare.title, bare.provider, bare.matched], [null, null, false]);
+  });
+
+  it('splits highlighted text into runs', function() {
+    assert.deepStrictEqual(splitHighlight('Sousou no \u0002Frieren\u0003!'), [
+      { text: 'Sousou no ', match: false },
+      { text: 'Frieren', match: true },
+      { text: '!', match: false }
+    ]);
+  });
+});
+
+describe('Search index', function() {
+  let dbLib;
+  let tmpRoot;
+  let enrichCache;
+  let index;
+
+  const entry = (title, extra = {}) => Object.assign({
+    provider: Object.assign({ title, matched: true, source: 'anidb', season: 1, episode: 1 }, extra.provider || {})
+  }, extra.entry || {});
+
+  before(function() {
+    try { dbLib = require('../lib/db'); } catch (e) { this.skip(); return; }
+    tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'mmp-search-'));
+    dbLib.init(path.join(tmpRoot, 'search.db'));
+    if (!dbLib.isSearchFtsAvailable()) this.skip();
+  });
+
+  after(function() {
+    try { fs.rmSync(tmpRoot, { recursive: true, force: true }); } catch (e) {}
+  });
+
+  beforeEach(function() {
+    enrichCache = {
+      '/lib/Frieren/Frieren - 01.mkv': entry('Frieren', { provider: { episodeTitle: "The Journey's End" } }),
+      '/lib/Frieren/Frieren S2 - 01.mkv': entry('Frieren', { provider: { season: 2 } }),
+      '/lib/Dungeon Meshi/Dungeon Meshi - 01.mkv': entry('Delicious in Dungeon', { provider: { source: 'tmdb' }, entry: { seriesTitleRomaji: 'Dungeon Meshi' } }),
+      '/lib/Old/Old Show - 01.mkv': entry('Old Show', { entry: { applied: true } })
+    };
+    index = buildSearchIndex({ db: dbLib, enrichCache, appendLog: () => {} });
+    index.rebuild(['/lib/Unsorted/random.release.mkv']);
+  });
+
+  it('ranks title matches above path matches and highlights them', function() {
+    enrichCache['/lib/Misc/frieren-fanart-reel.mkv'] = entry('Fanart Reel');
+    index.update('/lib/Misc/frieren-fanart-reel.mkv');
+    const { total, hits } = index.search(parseQuery('frieren'), { limit: 10 });
+    assert.strictEqual(total, 3);
+    assert.strictEqual(hits[2].path, '/lib/Misc/frieren-fanart-reel.mkv');
+    assert.deepStrictEqual(hits[0].highlights.title, [{ text: 'Frieren', match: true }]);
+  });
+
+  it('applies field filters with or without text', function() {
+    assert.deepStrictEqual(index.search(parseQuery('frieren season:2')).hits.map(h => h.path), ['/lib/Frieren/Frieren S2 - 01.mkv']);
+    assert.deepStrictEqual(index.search(parseQuery('provider:tmdb')).hits.map(h => h.path), ['/lib/Dungeon Meshi/Dungeon Meshi - 01.mkv']);
+    assert.deepStrictEqual(index.search(parseQuery('applied:true')).hits.map(h => h.path), ['/lib/Old/Old Show - 01.mkv']);
+    assert.strictEqual(index.search(parseQuery('matched:false')).hits[0].path, '/lib/Unsorted/random.release.mkv');
+    assert.strictEqual(index.search(parseQuery('eptitle:journey')).total, 1);
+    assert.strictEqual(index.search(parseQuery('title:meshi')).total, 1);
+  });
+
+  it('limits results to the given paths and include check', function() {
+    const within = ['/lib/Frieren/Frieren - 01.mkv', '/lib/Old/Old Show - 01.mkv', '/lib/New/Frieren - 02.mkv'];
+    const res = index.search(parseQuery('frieren'), { within, include: (p, e) => !(e && e.applied) });
+    assert.deepStrictEqual(res.hits.map(h => h.path).sort(), ['/lib/Frieren/Frieren - 01.mkv', '/lib/New/Frieren - 02.mkv']);
+  });
+
+  it('re-indexes an entry when it is updated', function() {
+    assert.strictEqual(index.search(parseQuery('marcille')).total, 0);
+    enrichCache['/lib/Dungeon Meshi/Dungeon Meshi - 01.mkv'].provider.episodeTitle = 'Marcille';
+    index.update('/lib/Dungeon Meshi/Dungeon Meshi - 01.mkv');
+    assert.strictEqual(index.search(parseQuery('marcille')).total, 1);
+    index.remove(['/lib/Dungeon Meshi/Dungeon Meshi - 01.mkv']);
+    assert.strictEqual(index.search(parseQuery('marcille')).total, 0);
+  });
+
+  it('rebuilds only when the index version changes', function() {
+    assert.strictEqual(index.init([]), false);
+    dbLib.setKV('searchIndexVersion', 0);
+    assert.strictEqual(index.init([]), true);
+    assert.strictEqual(dbLib.getKV('searchIndexVersion'), buildSearchIndex.INDEX_VERSION);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Webhook Tests
+ *
+ * Signing, retries, event filtering and media-server refresh targets.
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const http = require('http');
+const buildWebhookDispatcher = require('../lib/webhooks');
+const { normalizeWebhook, signPayload } = buildWebhookDispatcher;
+
+describe('Webhooks', function() {
+  let server;
+  let baseUrl;
+  let requests;
+  let responder;
+
+  before(function(done) {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+        const status = responder(req, requests.length);
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end('{}');
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  after(function(done) { server.close(done); });
+
+  beforeEach(function() {
+    requests = [];
+    responder = () => 200;
+  });
+
+  let seq = 0;
+  function makeDispatcher(webhooks) {
+    return buildWebhookDispatcher({
+      db: null,
+      appendLog: () => {},
+      uuidv4: () => `delivery-${++seq}`,
+      serverSettings: { webhooks },
+      webhookRetryDelaysMs: [10, 10]
+    });
+  }
+
+  function waitFor(predicate, timeoutMs = 2000) {
+    const started = Date.now();
+    return new Promise((resolve, reject) => {
+      (function poll() {
+        if (predicate()) return resolve();
+        if (Date.now() - started > timeoutMs) return reject(new Error('timed out waiting'));
+        setTimeout(poll, 5);
+      })();
+    });
+  }
+
+  it('validates definitions and defaults media-server events', function() {
+    assert.throws(() => normalizeWebhook({ url: 'ftp://example.com' }), /http\(s\)/);
+    assert.throws(() => normalizeWebhook({ kind: 'jellyfin', url: 'http://jf:8096' }), /API token/);
+    const plex = normalizeWebhook({ kind: 'plex', url: 'http://plex:32400', token: 't', sections: '1, 2,x' });
+    assert.deepStrictEqual(plex.events, ['items_applied', 'items_unapproved']);
+    assert.deepStrictEqual(plex.sections, ['1', '2']);
+    const kept = normalizeWebhook({ name: 'renamed' }, { id: 'h1', url: 'http://x/hook', secret: 's' });
+    assert.strictEqual(kept.id, 'h1');
+    assert.strictEqual(kept.secret, 's');
+  });
+
+  it('signs generic payloads with the shared secret', async function() {
+    const hook = normalizeWebhook({ id: 'h1', url: `${baseUrl}/hook`, secret: 'shh' });
+    const delivery = await makeDispatcher([hook]).deliver(hook, 'items_applied', { count: 1 });
+    assert.strictEqual(delivery.status, 'delivered');
+    const req = requests[0];
+    assert.strictEqual(req.headers['x-mmp-event'], 'items_applied');
+    const expected = 'sha256=' + crypto.createHmac('sha256', 'shh').update(req.body).digest('hex');
+    assert.strictEqual(req.headers['x-mmp-signature'], expected);
+    assert.strictEqual(signPayload('shh', req.body), expected);
+    assert.deepStrictEqual(JSON.parse(req.body).payload, { count: 1 });
+  });
+
+  it('retries failed deliveries and records the outcome', async function() {
+    responder = (req, n) => (n < 3 ? 503 : 200);
+    const hook = normalizeWebhook({ id: 'h2', url: `${baseUrl}/flaky` });
+    const dispatcher = makeDispatcher([hook]);
+    const delivery = await dispatcher.deliver(hook, 'scan_completed', {});
+    assert.strictEqual(delivery.status, 'retrying');
+    await waitFor(() => delivery.status === 'delivered');
+    assert.strictEqual(delivery.attempts, 3);
+    assert.strictEqual(dispatcher.getDeliveries({ webhookId: 'h2' })[0].status, 'delivered');
+
+    responder = () => 500;
+    const failed = await dispatcher.deliver(hook, 'scan_completed', {});
+    await waitFor(() => failed.status === 'failed');
+    assert.strictEqual(failed.attempts, 3);
+    assert.strictEqual(failed.error, 'HTTP 500');
+  });
+
+  it('only dispatches subscribed events to enabled hooks', async function() {
+    const hooks = [
+      normalizeWebhook({ id: 'a', url: `${baseUrl}/a`, events: ['items_applied'] }),
+      normalizeWebhook({ id: 'b', url: `${baseUrl}/b`, events: ['items_applied'], enabled: false }),
+      normalizeWebhook({ id: 'c', url: `${baseUrl}/c`, events: ['scan_completed'] })
+    ];
+    const dispatcher = makeDispatcher(hooks);
+    dispatcher.dispatch('items_applied', { count: 2 });
+    dispatcher.dispatch('hello', {});
+    await waitFor(() => requests.length >= 1);
+    await new Promise(r => setTimeout(r, 30));
+    assert.deepStrictEqual(requests.map(r => r.url), ['/a']);
+  });
+
+  it('refreshes Jellyfin and each configured Plex section', async function() {
+    const jellyfin = normalizeWebhook({ id: 'jf', kind: 'jellyfin', url: `${baseUrl}/jf/`, token: 'abc' });
+    const plex = normalizeWebhook({ id: 'px', kind: 'plex', url: baseUrl, token: 'p t', sections: '3,4' });
+    const dispatcher = makeDispatcher([jellyfin, plex]);
+    assert.strictEqual((await dispatcher.deliver(jellyfin, 'items_applied', {})).status, 'delivered');
+    assert.strictEqual((await dispatcher.deliver(plex, 'items_applied', {})).status, 'delivered');
+    assert.strictEqual(requests[0].method, 'POST');
+    assert.strictEqual(requests[0].url, '/jf/Library/Refresh');
+    assert.strictEqual(requests[0].headers['x-emby-token'], 'abc');
+    assert.deepStrictEqual(requests.slice(1).map(r => r.url), [
+      '/library/sections/3/refresh?X-Plex-Token=p%20t',
+      '/library/sections/4/refresh?X-Plex-Token=p%20t'
+    ]);
+  });
+});
@@ -10,17 +10,19 @@ import ManualIdInputs, { mergeManualIdDebugLogs, setManualIdLogSubscriber } from
 import { IconRefresh, IconCopy, IconApply, IconHelp } from './components/Icons'
 import { Spinner, LoadingIndicator } from './components/LoadingComponents'
 import VirtualizedList from './components/VirtualizedList'
-import { API, PROVIDER_LABELS } from './constants'
+import { API, PROVIDER_LABELS, APPLY_MODE_LABELS, APPLIED_STATUSES, JOB_FINISHED_STATUSES } from './constants'
 // Lazy load KeyboardShortcutsHelp since it's only shown on user action
 const KeyboardShortcutsHelp = React.lazy(() => import('./components/KeyboardShortcutsHelp'))
 import Settings from './Settings'
 import Login from './Login'
 import Register from './Register'
 import Users from './Users'
+import AuditLog from './AuditLog'
 import Notifications from './Notifications'
 import HiddenItems from './HiddenItems'
 import Duplicates from './Duplicates'
 import ApprovedSeries from './ApprovedSeries'
+import Completeness from './Completeness'
 
 
 function ProviderStats({ filteredItems, enrichCache, total, metaPhase, metaProgress, selectMode, selectedPathsList, filterProvider, setFilterProvider }) {
@@ -154,6 +156,9 @@ export default function App() {
   const [defaultOutputPath, setDefaultOutputPath] = useState(() => {
     try { return localStorage.getItem('scan_output_path') || '' } catch (e) { return '' }
   })
+  const [defaultApplyMode, setDefaultApplyMode] = useState(() => {
+    try { return localStorage.getItem('apply_mode') || 'hardlink' } catch (e) { return 'hardlink' }
+  })
   const [alternativeOutputFolders, setAlternativeOutputFolders] = useState(() => {
     try {
       const stored = localStorage.getItem('output_folders')
@@ -182,6 +187,7 @@ export default function App() {
   const [filterSortOrder, setFilterSortOrder] = useLocalState('filterSortOrder', 'dateAdded-desc')
   const [filterProvider, setFilterProvider] = useLocalState('filterProvider', 'all')
   const [filterShowMode, setFilterShowMode] = useLocalState('filterShowMode', 'all')
+  const [filterConfidence, setFilterConfidence] = useLocalState('filterConfidence', 'all')
   const [showKeyboardHelp, setShowKeyboardHelp] = useState(false)
   const [showScrollTop, setShowScrollTop] = useState(false)
   // Context menu state for rescan buttons
@@ -193,7 +199,7 @@ export default function App() {
   // Use useMemo to compute the filtered list
   const computedFilteredItems = React.useMemo(() => {
     return applyFiltersAndSort(items)
-  }, [items, filterSortOrder, filterProvider, filterShowMode, enrichCache])
+  }, [items, filterSortOrder, filterProvider, filterShowMode, filterConfidence, enrichCache])
   
   // Use deferred value to prevent flickering during filter changes
   const filteredItems = React.useDeferredValue(computedFilteredItems)
@@ -235,6 +241,7 @@ export default function App() {
       }
     } catch (e) { nextOutputPath = '' }
     setDefaultOutputPath(nextOutputPath)
+    try { setDefaultApplyMode(localStorage.getItem('apply_mode') || 'hardlink') } catch (e) {}
 
     let nextOutputFolders = []
     try {
@@ -605,7 +612,8 @@ export default function App() {
       // we don't cause a full server-side update that could reset the view.
       if (searchQuery && searchQuery.length) {
         try {
-          if ((clean.length || 0) <= MAX_IN_MEMORY_SEARCH) {
+          // With a scan the server index answers searches (field filters, ranking)
+          if (!scanId && (clean.length || 0) <= MAX_IN_MEMORY_SEARCH) {
             const q = searchQuery
             const lowered = q.toLowerCase()
             // choose sourceForSearch carefully: prefer baseline only if present
@@ -714,6 +722,15 @@ export default function App() {
         return true
       })
     }
+
+    // Filter by match confidence level
+    if (filterConfidence && filterConfidence !== 'all') {
+      filtered = filtered.filter(it => {
+        const confidence = getNorm(it)?.confidence
+        if (filterConfidence === 'unscored') return !confidence
+        return !!confidence && confidence.level === filterConfidence
+      })
+    }
     
     // Sort items
     if (filterSortOrder && filterSortOrder !== 'none') {
@@ -739,6 +756,12 @@ export default function App() {
         } else if (filterSortOrder === 'path-asc' || filterSortOrder === 'path-desc') {
           const cmp = aPath.localeCompare(bPath)
           return filterSortOrder === 'path-asc' ? cmp : -cmp
+        } else if (filterSortOrder === 'confidence-asc' || filterSortOrder === 'confidence-desc') {
+          // Unscored items always go last
+          const aScore = aNorm?.confidence ? aNorm.confidence.score : null
+          const bScore = bNorm?.confidence ? bNorm.confidence.score : null
+          if (aScore == null || bScore == null) return (aScore == null ? 1 : 0) - (bScore == null ? 1 : 0)
+          return filterSortOrder === 'confidence-asc' ? aScore - bScore : bScore - aScore
         }
         return 0
       })
@@ -1036,16 +1059,18 @@ export default function App() {
 
   async function triggerScan(lib, options = {}) {
     const mode = options && options.mode === 'full' ? 'full' : 'incremental'
+    // Named libraries carry their own input path; the server resolves it from the id
+    const namedLibrary = !!(lib && lib.id && !lib.implicit)
     // prefer user-configured input path (localStorage fallback), otherwise ask server
     let configuredPath = ''
-    try { configuredPath = localStorage.getItem('scan_input_path') || '' } catch {}
-    if (!configuredPath) {
+    if (!namedLibrary) try { configuredPath = localStorage.getItem('scan_input_path') || '' } catch {}
+    if (!configuredPath && !namedLibrary) {
       try {
         const s = await axios.get(API('/settings'))
         configuredPath = (s.data && s.data.userSettings && s.data.userSettings.scan_input_path) || ''
       } catch (e) { /* ignore */ }
     }
-    if (!configuredPath) {
+    if (!configuredPath && !namedLibrary) {
       pushToast && pushToast('Scan', 'No input path configured — set one in Settings before scanning')
       return null
     }
@@ -1061,7 +1086,7 @@ export default function App() {
     setMetaProgress(0)
 
     try {
-      const response = await axios.post(API(endpoint), { libraryId: lib?.id, path: configuredPath })
+      const response = await axios.post(API(endpoint), namedLibrary ? { libraryId: lib.id } : { libraryId: lib?.id, path: configuredPath })
       const result = response && response.data ? response.data : {}
       const changedPaths = Array.isArray(result.changedPaths) ? result.changedPaths.filter(Boolean) : []
       const changedPathSet = new Set(changedPaths)
@@ -1585,8 +1610,9 @@ export default function App() {
     // explicit Search button: perform server-side search and ensure each result is enriched
     try {
       setSearching(true)
-      // If we have the baseline in-memory, perform client-side filtering using enriched metadata
-      if (allItems && allItems.length) {
+      // If we have the baseline in-memory, perform client-side filtering using enriched metadata;
+      // queries against a scan go to the server index, which understands field filters and ranks results
+      if (allItems && allItems.length && (!scanId || !(q || '').trim())) {
         const qq = (q || '').trim()
         if (!qq) {
           if (allItems.length <= MAX_IN_MEMORY_SEARCH) {
@@ -1698,8 +1724,8 @@ export default function App() {
             setItems(allItems.slice())
             setTotal(allItems.length)
           } else {
-            // If baseline is too large, fall back to server-side search
-            if (allItems.length > MAX_IN_MEMORY_SEARCH) {
+            // Searches within a scan, or a baseline too large to filter here, go to the server index
+            if (scanId || allItems.length > MAX_IN_MEMORY_SEARCH) {
               const r = await searchScan(searchQuery, 0, batchSize)
               if (r.items && r.items.length) {
                 const newEnrich = {}
@@ -1800,7 +1826,12 @@ export default function App() {
     const payload = { items: itemPaths, template: effectiveTemplate, outputPath, useFilenameAsTitle }
     if (typeof skipAnimeProviders === 'boolean') payload.skipAnimeProviders = skipAnimeProviders
     const r = await axios.post(API('/rename/preview'), payload)
-    return r.data.plans
+    // Attach preflight issues to their plan so callers can stop before applying
+    const results = (r.data.preflight && Array.isArray(r.data.preflight.results)) ? r.data.preflight.results : []
+    return (r.data.plans || []).map(p => {
+      const found = results.find(x => x.fromPath === p.fromPath)
+      return found && found.issues.length ? { ...p, preflight: found.issues } : p
+    })
   }
 
   // Refresh enrichment for a list of canonical paths and update visible items
@@ -2034,6 +2065,10 @@ export default function App() {
       const outputFolders = Array.isArray(user.output_folders) ? user.output_folders : []
       try { if (outputPath) localStorage.setItem('scan_output_path', outputPath) } catch (e) {}
       try { localStorage.setItem('output_folders', JSON.stringify(outputFolders)) } catch (e) {}
+      if (user.apply_mode) {
+        try { localStorage.setItem('apply_mode', user.apply_mode) } catch (e) {}
+        setDefaultApplyMode(user.apply_mode)
+      }
       setDefaultOutputPath(outputPath)
       setAlternativeOutputFolders(outputFolders)
       return { outputPath, outputFolders }
@@ -2093,7 +2128,7 @@ export default function App() {
         const appliedPaths = new Set()
         for (let i = 0; i < results.length; i++) {
           const res = results[i]
-          if (res.status === 'hardlinked') {
+          if (APPLIED_STATUSES.has(res.status)) {
             // itemId is undefined when plans come from preview (client sends only canonicalPath, not id)
             // Fall back to index-based match since server processes plans in the same order
             const plan = (res.itemId != null ? planByItemId.get(res.itemId) : null) || (plans && plans[i])
@@ -2135,7 +2170,7 @@ export default function App() {
           if (!r || !r.data || !r.data.job) return
           const job = r.data.job
           if (onProgress) onProgress(job)
-          if (job.status === 'done' || job.status === 'error') { cleanup(); resolve(job) }
+          if (JOB_FINISHED_STATUSES.has(job.status)) { cleanup(); resolve(job) }
         } catch (e) { /* keep polling on transient errors */ }
       }
       // Wake up immediately when the browser tab becomes visible again —
@@ -2173,9 +2208,15 @@ export default function App() {
           items: selItems.map(it => ({ canonicalPath: it.canonicalPath })),
           outputFolder, useFilenameAsTitle, skipAnimeProviders
         });
-        if (checkRes.data && checkRes.data.conflicts && checkRes.data.conflicts.length > 0) {
+        const conflicts = (checkRes.data && checkRes.data.conflicts) || []
+        // Existing targets are resolved through the conflict list; other preflight issues are shown beside it
+        const preflightIssues = ((checkRes.data && checkRes.data.preflight && checkRes.data.preflight.results) || [])
+          .map(r => ({ ...r, issues: r.issues.filter(i => i.code !== 'target-exists' && i.code !== 'already-applied') }))
+          .filter(r => r.issues.length)
+        if (conflicts.length > 0 || preflightIssues.length > 0) {
           setConflictResolutionState({
-            conflicts: checkRes.data.conflicts,
+            conflicts,
+            preflightIssues,
             originalPayload: { selItems, outputFolder, useFilenameAsTitle, skipAnimeProviders },
             resolutions: {}
           });
@@ -2225,10 +2266,12 @@ export default function App() {
         untrackBgJob(jobId)
         for (const p of paths) pendingHiddenRef.current.delete(p)
         removeToast(progressToastId)
-        const applied = (job.results || []).filter(r => r.status === 'hardlinked').length
+        const applied = (job.results || []).filter(r => APPLIED_STATUSES.has(r.status)).length
         const errors  = (job.results || []).filter(r => r.status === 'error').length
         if (job.status === 'error') {
           pushToast && pushToast('Approve', `Approve failed: ${job.error || 'unknown error'}`)
+        } else if (job.status === 'cancelled') {
+          pushToast && pushToast('Approve', 'Approve cancelled')
         } else if (errors) {
           pushToast && pushToast('Approve', `Approved ${applied} item(s) (${errors} failed)`)
         } else {
@@ -2276,6 +2319,8 @@ export default function App() {
         const errors = (job.results || []).filter(r => r.status === 'error').length
         if (job.status === 'error') {
           pushToast && pushToast('Rescan', `Rescan failed: ${job.error || 'unknown error'}`)
+        } else if (job.status === 'cancelled') {
+          pushToast && pushToast('Rescan', `Rescan cancelled after ${ok} item(s)`)
         } else if (errors) {
           pushToast && pushToast('Rescan', `Rescanned ${ok} item(s) (${errors} failed)`)
         } else {
@@ -2536,7 +2581,7 @@ export default function App() {
           const r = await axios.get(API(`/jobs/${trackedJob.jobId}`)).catch(() => null)
           if (!r || !r.data || !r.data.job) { untrackBgJob(trackedJob.jobId); continue }
           const serverJob = r.data.job
-          if (serverJob.status === 'done' || serverJob.status === 'error') {
+          if (JOB_FINISHED_STATUSES.has(serverJob.status)) {
             // Job finished while tab was closed — handle completion and show toast
             untrackBgJob(trackedJob.jobId)
             if (trackedJob.type === 'rescan') {
@@ -2552,7 +2597,7 @@ export default function App() {
               }
               try { await refreshEnrichForPaths(trackedJob.paths) } catch (e) {}
             } else if (trackedJob.type === 'approve') {
-              const applied = (serverJob.results || []).filter(r => r.status === 'hardlinked').length
+              const applied = (serverJob.results || []).filter(r => APPLIED_STATUSES.has(r.status)).length
               const errors = (serverJob.results || []).filter(r => r.status === 'error').length
               if (serverJob.status === 'error') {
                 pushToast && pushToast('Approve', `Approve failed: ${serverJob.error || 'unknown error'}`)
@@ -2604,7 +2649,7 @@ export default function App() {
                 try { await refreshEnrichForPaths(trackedJob.paths) } catch (e) {}
               } else if (trackedJob.type === 'approve') {
                 for (const p of trackedJob.paths) pendingHiddenRef.current.delete(p)
-                const applied = (job.results || []).filter(r => r.status === 'hardlinked').length
+                const applied = (job.results || []).filter(r => APPLIED_STATUSES.has(r.status)).length
                 const errors = (job.results || []).filter(r => r.status === 'error').length
                 if (job.status === 'error') {
                   pushToast && pushToast('Approve', `Approve failed: ${job.error || 'unknown error'}`)
@@ -2895,6 +2940,37 @@ export default function App() {
     return () => { mounted = false; window.removeEventListener('renamer:sse_trigger_poll', handleSseTrigger) }
   }, [lastLibraryId, scanMeta, searchQuery])
 
+  // Libraries for the scan selector; Settings announces changes so the list stays current
+  useEffect(() => {
+    if (!authChecked || !auth) return
+    let mounted = true
+    const loadLibraries = async () => {
+      const r = await axios.get(API('/libraries')).catch(() => null)
+      if (mounted && r && Array.isArray(r.data)) setLibraries(r.data)
+    }
+    void loadLibraries()
+    window.addEventListener('renamer:libraries_changed', loadLibraries)
+    return () => { mounted = false; window.removeEventListener('renamer:libraries_changed', loadLibraries) }
+  }, [authChecked, auth])
+
+  const selectedLibrary = libraries.find(l => l.id === lastLibraryId) || libraries[0] || null
+
+  // Show the latest scan of another library (or an empty list until it has been scanned)
+  async function switchLibrary(libraryId) {
+    if (!libraryId || libraryId === lastLibraryId) return
+    setLastLibraryId(libraryId)
+    const r = await axios.get(API('/scan/latest'), { params: { libraryId } }).catch(() => null)
+    const latestId = r && r.data && r.data.scanId
+    if (latestId) { setLastScanId(latestId); return }
+    setLastScanId(null)
+    setScanId(null)
+    setScanMeta(null)
+    setAllItems([])
+    setItems([])
+    setTotal(0)
+    setCurrentScanPaths(new Set())
+  }
+
   // Keep a ref in sync with searchQuery so closures in long-lived effects always see the latest value
   React.useEffect(() => { searchQueryRef.current = searchQuery }, [searchQuery])
 
@@ -2982,7 +3058,7 @@ export default function App() {
                 onClick={() => {
                   if (scanning) return
                   setConfirmFullScanOpen(false)
-                  void triggerScan(libraries[0], { mode: 'full' }).catch(() => {})
+                  void triggerScan(selectedLibrary, { mode: 'full' }).catch(() => {})
                 }}
                 disabled={scanning}
               >
@@ -3071,6 +3147,7 @@ export default function App() {
                     <div className="folder-name">Default Output Path</div>
                     <div className="folder-path">{defaultOutputPath || '(not configured)'}</div>
                   </div>
+                  <span className="folder-chip" title="Apply mode">{APPLY_MODE_LABELS[defaultApplyMode] || APPLY_MODE_LABELS.hardlink}</span>
                   <span className="folder-option-icon" aria-hidden="true">&gt;</span>
                 </div>
               </button>
@@ -3092,6 +3169,7 @@ export default function App() {
                       <div className="folder-name">{folder.name || `Folder ${idx + 1}`}</div>
                       <div className="folder-path">{folder.path || '(no path set)'}</div>
                     </div>
+                    <span className="folder-chip" title="Apply mode">{APPLY_MODE_LABELS[folder.apply_mode || defaultApplyMode] || APPLY_MODE_LABELS.hardlink}</span>
                     <span className="folder-option-icon" aria-hidden="true">&gt;</span>
                   </div>
                 </button>
@@ -3142,7 +3220,8 @@ export default function App() {
     <div className="header-search">
       <input
         className="form-input"
-        placeholder="Search files (server-side)"
+        placeholder="Search titles and files, e.g. frieren provider:anidb season:2"
+        title="Words match titles, file names, episode titles and ids. Filters: provider, season, episode, year, matched. Fields: title:, file:, path:, id:, eptitle:"
         value={searchQuery}
         onChange={e => setSearchQuery(e.target.value)}
         disabled={searchDisabled}
@@ -3158,7 +3237,9 @@ export default function App() {
         '#/duplicates': 'Duplicates',
         '#/notifications': 'Notifications',
         '#/approved-series': 'Approved Series',
+        '#/completeness': 'Completeness',
         '#/users': 'Users',
+        '#/audit': 'Audit Log',
       }[route] ?? 'MMP Renamer'}
     </div>
   ) : null}
@@ -3380,6 +3461,18 @@ export default function App() {
                       title="Rescan selected"
                     >Rescan selected</button>
                 ) : null}
+              {(route === '#/' || route === '#/approved-series') && libraries.length > 1 && (
+              <select
+                className="library-select"
+                style={{ display: selectMode && selectedCount ? 'none' : '' }}
+                value={selectedLibrary ? selectedLibrary.id : ''}
+                onChange={ev => { void switchLibrary(ev.target.value) }}
+                disabled={scanning}
+                title="Library to scan and review"
+              >
+                {libraries.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+              </select>
+              )}
               {route === '#/' && (
               <button
                 className={"btn-save" + (selectMode && selectedCount ? ' shifted' : '')}
@@ -3402,7 +3495,7 @@ export default function App() {
                 style={{ display: selectMode && selectedCount ? 'none' : '' }}
                 onClick={() => {
                   if (scanning) { pushToast && pushToast('Scan','Scan already in progress'); return }
-                  void triggerScan(libraries[0], { mode: 'incremental' }).catch(() => {})
+                  void triggerScan(selectedLibrary, { mode: 'incremental' }).catch(() => {})
                 }}
                 disabled={scanning}
                 title="Incremental scan"
@@ -3429,7 +3522,9 @@ export default function App() {
               </svg>
             </button>
             <button className="btn-ghost" onClick={() => (window.location.hash = route === '#/approved-series' ? '#/' : '#/approved-series')}>Approved Series</button>
+            <button className="btn-ghost" onClick={() => (window.location.hash = route === '#/completeness' ? '#/' : '#/completeness')}>Completeness</button>
             {auth && auth.role === 'admin' && <button className="btn-ghost" onClick={() => (window.location.hash = '#/users')}>Users</button>}
+            {auth && auth.role === 'admin' && <button className="btn-ghost" onClick={() => (window.location.hash = '#/audit')}>Audit</button>}
             {auth && <button className="btn-ghost" onClick={async ()=>{ try { await axios.post(API('/logout')); setAuth(null); pushToast && pushToast('Auth','Logged out') } catch { pushToast && pushToast('Auth','Logout failed') } }}>Logout</button>}
             </div>
           </div>
@@ -3449,6 +3544,10 @@ export default function App() {
             <section className="list">
               <Users pushToast={pushToast} />
             </section>
+          ) : route === '#/audit' ? (
+            <section className="list">
+              <AuditLog pushToast={pushToast} />
+            </section>
           ) : route === '#/settings' ? (
             <section className="list settings-page">
               <Settings pushToast={pushToast} cardParallax={cardParallax} setCardParallax={setCardParallax} />
@@ -3463,7 +3562,11 @@ export default function App() {
             </section>
           ) : route === '#/approved-series' ? (
             <section className="list settings-page">
-              <ApprovedSeries pushToast={pushToast} parallax={cardParallax} />
+              <ApprovedSeries pushToast={pushToast} parallax={cardParallax} libraryId={libraries.length > 1 && selectedLibrary ? selectedLibrary.id : null} />
+            </section>
+          ) : route === '#/completeness' ? (
+            <section className="list">
+              <Completeness pushToast={pushToast} />
             </section>
           ) : route === '#/notifications' ? (
             <section className="list">
@@ -3493,12 +3596,15 @@ export default function App() {
                         onProviderChange={setFilterProvider}
                         showMode={filterShowMode}
                         onShowModeChange={setFilterShowMode}
+                        confidence={filterConfidence}
+                        onConfidenceChange={setFilterConfidence}
                         totalItems={items.length}
                         filteredItems={filteredItems.length}
                         onClearFilters={() => {
                           setFilterSortOrder('dateAdded-desc')
                           setFilterProvider('all')
                           setFilterShowMode('all')
+                          setFilterConfidence('all')
                         }}
                       />
                       <ProviderStats 
@@ -3950,7 +4056,9 @@ export default function App() {
 }
 
 function ConflictResolutionModal({ state, onClose, onConfirm }) {
-  const { conflicts, originalPayload } = state;
+  const { conflicts, originalPayload, preflightIssues = [] } = state;
+  // Files with preflight errors would fail during apply, so they are left out of the job
+  const blocked = new Set(preflightIssues.filter(r => r.issues.some(i => i.severity === 'error')).map(r => r.fromPath));
   const [resolutions, setResolutions] = useState({});
 
   const handleResolve = (originalPath, action) => {
@@ -3959,6 +4067,7 @@ function ConflictResolutionModal({ state, onClose, onConfirm }) {
 
   const handleConfirm = () => {
     const resolvedItems = originalPayload.selItems.filter(it => {
+      if (blocked.has(it.canonicalPath)) return false;
       const conflict = conflicts.find(c => c.original === it.canonicalPath);
       if (!conflict) return true; // no conflict
       const action = resolutions[it.canonicalPath] || 'skip';
@@ -3982,11 +4091,31 @@ function ConflictResolutionModal({ state, onClose, onConfirm }) {
   return (
     <div className="modal-backdrop" onClick={onClose} style={{ zIndex: 9999 }}>
       <div className="modal-content" onClick={e => e.stopPropagation()} style={{ maxWidth: 800, width: '100%' }}>
-        <h2>File Conflicts Detected</h2>
+        <h2>{conflicts.length ? 'File Conflicts Detected' : 'Preflight Issues Detected'}</h2>
+        {preflightIssues.length ? (
+          <>
+            <p style={{ color: 'var(--muted)', marginBottom: 16 }}>
+              These files would fail or misbehave when applied. Files with errors are skipped; warnings do not block approval.
+            </p>
+            <div style={{ maxHeight: conflicts.length ? '30vh' : '60vh', overflowY: 'auto', marginBottom: 24, border: '1px solid var(--bg-600)', borderRadius: 8 }}>
+              {preflightIssues.map(r => (
+                <div key={r.fromPath} style={{ padding: 12, borderBottom: '1px solid var(--bg-600)' }}>
+                  <div style={{ fontSize: 12, color: 'var(--muted)', textOverflow: 'ellipsis', overflow: 'hidden', whiteSpace: 'nowrap' }}>{r.toPath}</div>
+                  {r.issues.map((issue, i) => (
+                    <div key={i} style={{ fontSize: 13, color: issue.severity === 'error' ? '#e74c3c' : '#f39c12' }}>
+                      {issue.severity === 'error' ? 'Skipped' : 'Warning'}: {issue.message}
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+          </>
+        ) : null}
+        {conflicts.length ? (
+        <>
         <p style={{ color: 'var(--muted)', marginBottom: 16 }}>
           The following files already exist at the destination. Please select how to resolve these conflicts.
         </p>
-        
         <div style={{ maxHeight: '60vh', overflowY: 'auto', marginBottom: 24, border: '1px solid var(--bg-600)', borderRadius: 8 }}>
           {conflicts.map(c => {
             const currentRes = resolutions[c.original] || 'skip';
@@ -4014,6 +4143,8 @@ function ConflictResolutionModal({ state, onClose, onConfirm }) {
             )
           })}
         </div>
+        </>
+        ) : null}
 
         <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 12 }}>
           <button className="btn-ghost" onClick={onClose}>Cancel</button>
@@ -95,7 +95,7 @@ const SeriesCard = React.memo(function SeriesCard({ series, outputKey, isFetchin
   )
 })
 
-export default function ApprovedSeries({ pushToast, parallax = true }) {
+export default function ApprovedSeries({ pushToast, parallax = true, libraryId = null }) {
   const [loading, setLoading] = useState(true)
   const [outputs, setOutputs] = useState([])
   const [activeOutputKey, setActiveOutputKey] = useState('')
@@ -123,7 +123,7 @@ export default function ApprovedSeries({ pushToast, parallax = true }) {
   const load = async () => {
     setLoading(true)
     try {
-      const r = await axios.get(API('/approved-series'))
+      const r = await axios.get(API('/approved-series'), { params: libraryId ? { libraryId } : {} })
       const payload = r && r.data ? r.data : {}
       const list = Array.isArray(payload.outputs) ? payload.outputs : []
       setOutputs(list)
@@ -140,7 +140,7 @@ export default function ApprovedSeries({ pushToast, parallax = true }) {
     }
   }
 
-  useEffect(() => { load() }, [])
+  useEffect(() => { load() }, [libraryId]) // eslint-disable-line react-hooks/exhaustive-deps
 
   // Dismiss context menu when clicking outside it
   useEffect(() => {
@@ -186,7 +186,7 @@ export default function ApprovedSeries({ pushToast, parallax = true }) {
   const openItemsModal = async (series, outputKey) => {
     setItemsModal({ seriesName: series.name, outputKey, items: [], loading: true })
     try {
-      const r = await axios.get(API(`/approved-series/items?outputKey=${encodeURIComponent(outputKey)}&seriesName=${encodeURIComponent(series.name)}`))
+      const r = await axios.get(API(`/approved-series/items?outputKey=${encodeURIComponent(outputKey)}&seriesName=${encodeURIComponent(series.name)}`), { params: libraryId ? { libraryId } : {} })
       const items = (r && r.data && Array.isArray(r.data.items)) ? r.data.items : []
       setItemsModal({ seriesName: series.name, outputKey, items, loading: false })
     } catch (e) {
@@ -0,0 +1,138 @@
+import React, { useEffect, useState } from 'react'
+import axios from 'axios'
+
+const API = (p) => `/api${p}`
+const PAGE_SIZE = 100
+
+const cell = { padding: '6px', fontSize: 13, verticalAlign: 'top' }
+const muted = { fontSize: 12, color: 'var(--muted)' }
+const selectStyle = { padding: 8, borderRadius: 10, border: '1px solid var(--bg-600)', background: 'transparent', color: 'var(--accent)' }
+
+// Date inputs cover whole local days
+function filterParams(filters) {
+  const params = new URLSearchParams()
+  if (filters.username) params.set('username', filters.username)
+  if (filters.action) params.set('action', filters.action)
+  if (filters.q) params.set('q', filters.q)
+  if (filters.since) params.set('since', String(new Date(`${filters.since}T00:00:00`).getTime()))
+  if (filters.until) params.set('until', String(new Date(`${filters.until}T23:59:59.999`).getTime()))
+  return params
+}
+
+// Action groups (`user.`, `settings.`) from the action names seen so far
+function actionGroups(actions) {
+  return [...new Set(actions.map(a => a.split('.')[0] + '.'))].sort()
+}
+
+function formatDetails(details) {
+  if (details === null || details === undefined) return ''
+  if (typeof details !== 'object') return String(details)
+  return Object.entries(details).map(([k, v]) => `${k}=${typeof v === 'object' && v !== null ? JSON.stringify(v) : v}`).join(' ')
+}
+
+function Retention({ days, pushToast, onSaved }) {
+  const [value, setValue] = useState(String(days))
+  useEffect(() => { setValue(String(days)) }, [days])
+
+  async function save() {
+    try {
+      await axios.post(API('/settings'), { global: true, audit_retention_days: value })
+      pushToast && pushToast('Audit log', 'Retention saved')
+      onSaved && onSaved()
+    } catch (err) { pushToast && pushToast('Audit log', 'Failed to save retention') }
+  }
+
+  return (
+    <div style={{display:'flex', gap:8, alignItems:'center'}}>
+      <span style={muted}>Keep entries for</span>
+      <input className='form-input' type='number' min='0' value={value} onChange={e=>setValue(e.target.value)} style={{width:90}} />
+      <span style={muted}>days (0 keeps everything)</span>
+      <button className='btn-ghost' onClick={save}>Save</button>
+    </div>
+  )
+}
+
+export default function AuditLog({ pushToast }){
+  const [filters, setFilters] = useState({ username: '', action: '', q: '', since: '', until: '' })
+  const [entries, setEntries] = useState([])
+  const [total, setTotal] = useState(0)
+  const [offset, setOffset] = useState(0)
+  const [facets, setFacets] = useState({ actions: [], usernames: [] })
+  const [retentionDays, setRetentionDays] = useState(90)
+  const [loading, setLoading] = useState(false)
+
+  async function fetchEntries(nextOffset = offset){
+    setLoading(true)
+    try {
+      const params = filterParams(filters)
+      params.set('limit', String(PAGE_SIZE))
+      params.set('offset', String(nextOffset))
+      const r = await axios.get(API(`/audit?${params.toString()}`))
+      setEntries(r.data.entries || [])
+      setTotal(r.data.total || 0)
+      setFacets(r.data.facets || { actions: [], usernames: [] })
+      setRetentionDays(r.data.retentionDays)
+      setOffset(nextOffset)
+    } catch (err) { pushToast && pushToast('Audit log', 'Failed to load audit log') }
+    finally { setLoading(false) }
+  }
+
+  useEffect(() => { fetchEntries(0) }, [filters])
+
+  const setFilter = (key, value) => setFilters(f => Object.assign({}, f, { [key]: value }))
+  const exportHref = (format) => {
+    const params = filterParams(filters)
+    params.set('format', format)
+    return API(`/audit/export?${params.toString()}`)
+  }
+
+  return (
+    <div style={{padding:16}}>
+      <h2>Audit log</h2>
+      <div style={{display:'flex', gap:12, alignItems:'center', flexWrap:'wrap'}}>
+        <select value={filters.username} onChange={e=>setFilter('username', e.target.value)} style={selectStyle}>
+          <option value=''>All users</option>
+          {facets.usernames.map(u => <option key={u} value={u}>{u}</option>)}
+        </select>
+        <select value={filters.action} onChange={e=>setFilter('action', e.target.value)} style={selectStyle}>
+          <option value=''>All actions</option>
+          {actionGroups(facets.actions).map(g => <option key={g} value={g}>{g}*</option>)}
+          {facets.actions.map(a => <option key={a} value={a}>{a}</option>)}
+        </select>
+        <input className='form-input' type='date' value={filters.since} onChange={e=>setFilter('since', e.target.value)} title='From' />
+        <input className='form-input' type='date' value={filters.until} onChange={e=>setFilter('until', e.target.value)} title='To' />
+        <input className='form-input' placeholder='search target or details' value={filters.q} onChange={e=>setFilter('q', e.target.value)} style={{width:220}} />
+        <a className='btn-ghost' href={exportHref('csv')}>Export CSV</a>
+        <a className='btn-ghost' href={exportHref('json')}>Export JSON</a>
+      </div>
+
+      <div style={{marginTop:12}}>
+        <Retention days={retentionDays} pushToast={pushToast} onSaved={() => fetchEntries(0)} />
+      </div>
+
+      <div style={{marginTop:12}}>
+        <table style={{width:'100%'}}>
+          <thead><tr><th style={cell}>When</th><th style={cell}>User</th><th style={cell}>Action</th><th style={cell}>Target</th><th style={cell}>Details</th></tr></thead>
+          <tbody>
+            {entries.map(e => (
+              <tr key={e.id}>
+                <td style={cell}>{new Date(e.at).toLocaleString()}</td>
+                <td style={cell}>{e.username || '-'}<div style={muted}>{e.via}{e.ip ? ` · ${e.ip}` : ''}</div></td>
+                <td style={cell}>{e.action}</td>
+                <td style={{...cell, wordBreak:'break-all'}}>{e.target || ''}</td>
+                <td style={{...cell, wordBreak:'break-all'}}>{formatDetails(e.details)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {!entries.length && !loading ? <div style={{...muted, padding:12}}>No matching entries</div> : null}
+      </div>
+
+      <div style={{display:'flex', gap:12, alignItems:'center', marginTop:12}}>
+        <button className='btn-ghost' disabled={offset === 0 || loading} onClick={()=>fetchEntries(Math.max(0, offset - PAGE_SIZE))}>Newer</button>
+        <span style={muted}>{total ? `${offset + 1}-${Math.min(total, offset + entries.length)} of ${total}` : '0 entries'}</span>
+        <button className='btn-ghost' disabled={offset + PAGE_SIZE >= total || loading} onClick={()=>fetchEntries(offset + PAGE_SIZE)}>Older</button>
+      </div>
+    </div>
+  )
+}
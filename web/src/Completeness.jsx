@@ -0,0 +1,221 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import axios from 'axios'
+
+const API = (p) => `/api${p}`
+
+const muted = { fontSize: 12, color: 'var(--muted)' }
+
+const STATUS_STYLES = {
+  applied: { background: 'rgba(80, 200, 120, 0.25)', border: '1px solid rgba(80, 200, 120, 0.6)' },
+  input: { background: 'rgba(90, 150, 255, 0.22)', border: '1px solid rgba(90, 150, 255, 0.6)' },
+  missing: { background: 'transparent', border: '1px dashed rgba(255, 140, 140, 0.7)', color: '#ffb4b4' }
+}
+
+const STATUS_LABELS = {
+  applied: 'Applied to output',
+  input: 'In input library',
+  missing: 'Missing'
+}
+
+const PROVIDER_LABELS = { anidb: 'AniDB', tvdb: 'TVDB', tmdb: 'TMDb', anilist: 'AniList' }
+
+function formatDate(ms) {
+  return ms ? new Date(ms).toLocaleString() : 'never'
+}
+
+function countsLine(s) {
+  const expected = s.counts.expected != null ? s.counts.expected : '?'
+  return `${s.counts.have}/${expected} episodes, ${s.counts.applied} applied`
+}
+
+function StatusBadge({ series }) {
+  if (!series.known) return <span style={muted}>{series.error ? 'List unavailable' : 'No episode list'}</span>
+  if (series.complete) return <span style={{ fontSize: 12, color: '#8fe3a8' }}>Complete</span>
+  return <span style={{ fontSize: 12, color: '#ffb4b4' }}>{series.counts.missing} missing</span>
+}
+
+function EpisodeGrid({ season }) {
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', gap: 4, marginTop: 6 }}>
+      {season.episodes.map(ep => (
+        <div
+          key={`${ep.season}:${ep.episode}`}
+          title={[`E${ep.episode}`, ep.title, ep.airDate, STATUS_LABELS[ep.status], ...(ep.files || [])].filter(Boolean).join('\n')}
+          style={{ minWidth: 34, padding: '4px 6px', borderRadius: 4, fontSize: 12, textAlign: 'center', ...STATUS_STYLES[ep.status] }}
+        >
+          {ep.episode}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+function SeriesDetail({ seriesKey, pushToast }) {
+  const [report, setReport] = useState(null)
+  const [loading, setLoading] = useState(false)
+
+  const load = async (refresh = false) => {
+    setLoading(true)
+    try {
+      const r = await axios.get(API('/completeness/series'), { params: { key: seriesKey, refresh: refresh ? 1 : undefined } })
+      setReport(r.data)
+      if (r.data.error) pushToast && pushToast('Completeness', `Episode list: ${r.data.error}`)
+    } catch (e) {
+      pushToast && pushToast('Completeness', e?.response?.data?.error || e.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => { load(false) }, [seriesKey])
+
+  if (!report) return <div style={{ ...muted, marginTop: 8 }}>{loading ? 'Loading episode list...' : 'No report'}</div>
+
+  return (
+    <div style={{ marginTop: 10, paddingLeft: 8, borderLeft: '2px solid var(--bg-600)' }}>
+      <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+        <span style={muted}>List fetched {formatDate(report.fetchedAt)}{report.error ? ` (last error: ${report.error})` : ''}</span>
+        <button className="btn-ghost small" onClick={() => load(true)} disabled={loading} style={{ marginLeft: 'auto' }}>
+          {loading ? 'Fetching...' : 'Refetch list'}
+        </button>
+      </div>
+      {report.seasons.map(season => (
+        <div key={season.season} style={{ marginTop: 10 }}>
+          <div style={{ fontSize: 13, fontWeight: 600 }}>
+            Season {season.season}
+            <span style={{ ...muted, fontWeight: 400, marginLeft: 8 }}>
+              {season.have}/{season.expected != null ? season.expected : '?'} present, {season.applied} applied
+              {season.missing.length ? `, missing ${season.missing.join(', ')}` : ''}
+            </span>
+          </div>
+          <EpisodeGrid season={season} />
+        </div>
+      ))}
+      {report.specials ? (
+        <div style={{ marginTop: 10 }}>
+          <div style={{ fontSize: 13, fontWeight: 600 }}>
+            Specials
+            <span style={{ ...muted, fontWeight: 400, marginLeft: 8 }}>{report.specials.have} present, {report.specials.applied} applied</span>
+          </div>
+          <EpisodeGrid season={report.specials} />
+        </div>
+      ) : null}
+      {report.extras.length ? (
+        <div style={{ marginTop: 10 }}>
+          <div style={{ fontSize: 13, fontWeight: 600 }}>Extra files</div>
+          <div style={{ ...muted, marginBottom: 4 }}>Files in extras folders, without an episode number, or not on the provider's list.</div>
+          {report.extras.map(x => (
+            <div key={x.path} style={{ fontSize: 12, wordBreak: 'break-all' }}>
+              {x.path}{x.applied ? <span style={{ ...muted, marginLeft: 6 }}>(applied)</span> : null}
+            </div>
+          ))}
+        </div>
+      ) : null}
+    </div>
+  )
+}
+
+export default function Completeness({ pushToast }) {
+  const [series, setSeries] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const [search, setSearch] = useState('')
+  const [onlyIncomplete, setOnlyIncomplete] = useState(false)
+  const [expanded, setExpanded] = useState(null)
+  const [refreshing, setRefreshing] = useState(false)
+
+  const fetchSeries = async () => {
+    setLoading(true)
+    setError(null)
+    try {
+      const r = await axios.get(API('/completeness'))
+      setSeries(r.data.series || [])
+    } catch (e) {
+      setError(e?.response?.data?.error || e.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => { fetchSeries() }, [])
+
+  const refreshLists = async (force) => {
+    setRefreshing(true)
+    try {
+      const r = await axios.post(API('/completeness/refresh'), { force })
+      pushToast && pushToast('Completeness', `Episode list refresh queued (job ${r.data.jobId})`)
+    } catch (e) {
+      pushToast && pushToast('Completeness', e?.response?.data?.error || e.message)
+    } finally {
+      setRefreshing(false)
+    }
+  }
+
+  const filtered = useMemo(() => {
+    const q = search.trim().toLowerCase()
+    return series.filter(s => {
+      if (onlyIncomplete && (s.complete || !s.known)) return false
+      return !q || s.title.toLowerCase().includes(q)
+    })
+  }, [series, search, onlyIncomplete])
+
+  const staleCount = series.filter(s => s.stale).length
+
+  return (
+    <div className="hidden-page" style={{ padding: 20 }}>
+      <h2 style={{ margin: 0 }}>Completeness</h2>
+      <div style={{ marginTop: 8, fontSize: 14, color: 'var(--muted)' }}>
+        Episodes each series should have according to its provider, compared with what is in the input library and what has been applied to the output.
+      </div>
+      <div style={{ display: 'flex', gap: 8, marginTop: 16, alignItems: 'center' }}>
+        <button className="btn-ghost small" onClick={fetchSeries} disabled={loading}>Reload</button>
+        <button className="btn-ghost small" onClick={() => refreshLists(false)} disabled={refreshing}>
+          Fetch stale lists{staleCount ? ` (${staleCount})` : ''}
+        </button>
+        <button className="btn-ghost small" onClick={() => refreshLists(true)} disabled={refreshing}>Refetch all</button>
+        <input
+          type="text"
+          placeholder="Search series..."
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          style={{ padding: '4px 8px', borderRadius: 4, border: '1px solid var(--bg-600)', background: 'var(--bg-700)', color: 'var(--fg)', fontSize: 13, width: 220 }}
+        />
+        <label style={{ fontSize: 13, display: 'flex', alignItems: 'center', gap: 4 }}>
+          <input type="checkbox" checked={onlyIncomplete} onChange={e => setOnlyIncomplete(e.target.checked)} />
+          Only incomplete
+        </label>
+        <div style={{ marginLeft: 'auto', fontSize: 13, color: 'var(--muted)' }}>{filtered.length} series</div>
+      </div>
+
+      {loading ? (
+        <div style={{ marginTop: 24 }}>Loading...</div>
+      ) : error ? (
+        <div style={{ marginTop: 24, color: '#ffb4b4' }}>{error}</div>
+      ) : !filtered.length ? (
+        <div style={{ marginTop: 24 }}>No series to report on.</div>
+      ) : (
+        <div className="form-card hidden-list" style={{ marginTop: 18, padding: 14 }}>
+          <div style={{ maxHeight: '70vh', overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: 10 }}>
+            {filtered.map(s => (
+              <div key={s.key} style={{ borderBottom: '1px solid var(--bg-600)', paddingBottom: 8 }}>
+                <div
+                  style={{ display: 'flex', gap: 10, alignItems: 'center', cursor: 'pointer' }}
+                  onClick={() => setExpanded(expanded === s.key ? null : s.key)}
+                >
+                  <span style={{ fontWeight: 600 }}>{s.title}</span>
+                  <span style={muted}>{s.provider ? `${PROVIDER_LABELS[s.provider] || s.provider} ${s.id}` : 'title only'}</span>
+                  <span style={{ marginLeft: 'auto', ...muted }}>{countsLine(s)}</span>
+                  {s.counts.specials ? <span style={muted}>{s.counts.specials} specials</span> : null}
+                  {s.counts.extras ? <span style={muted}>{s.counts.extras} extras</span> : null}
+                  <StatusBadge series={s} />
+                  {s.stale ? <span style={muted} title="Episode list is missing or older than a day">stale</span> : null}
+                </div>
+                {expanded === s.key ? <SeriesDetail seriesKey={s.key} pushToast={pushToast} /> : null}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
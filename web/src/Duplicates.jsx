@@ -3,11 +3,126 @@ import axios from 'axios'
 
 const API = (p) => `/api${p}`
 
+const ACTION_LABELS = {
+  hide: 'Hide the others',
+  unapprove: 'Unapprove and hide the others',
+  delete: 'Move the others to .mmp-trash'
+}
+
+const cell = { padding: '8px 6px', fontSize: 13 }
+const muted = { fontSize: 12, color: 'var(--muted)' }
+
+function formatBitrate(bps) {
+  return bps ? `${Math.round(bps / 1000)} kb/s` : '-'
+}
+
+function formatSize(bytes) {
+  if (!bytes) return '-'
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`
+  return `${(bytes / (1024 * 1024)).toFixed(0)} MB`
+}
+
+function groupKeyOf(group, idx) {
+  return `${group.groupType}:${group.previewKey || group.hash || group.metadataKey || group.previewName || idx}`
+}
+
+function KeeperRules({ pushToast }) {
+  const [rules, setRules] = useState(null)
+  const [criteria, setCriteria] = useState({})
+  const [groupsText, setGroupsText] = useState('')
+  const [codecsText, setCodecsText] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    axios.get(API('/rename/duplicates/rules')).then(r => {
+      setRules(r.data.rules)
+      setCriteria(r.data.criteria || {})
+      setGroupsText((r.data.rules.preferredGroups || []).join(', '))
+      setCodecsText((r.data.rules.codecs || []).join(', '))
+    }).catch(() => {})
+  }, [])
+
+  if (!rules) return null
+
+  const move = (idx, delta) => {
+    const order = rules.order.slice()
+    const next = idx + delta
+    if (next < 0 || next >= order.length) return
+    ;[order[idx], order[next]] = [order[next], order[idx]]
+    setRules({ ...rules, order })
+  }
+  const toggle = (c) => {
+    const order = rules.order.includes(c) ? rules.order.filter(x => x !== c) : [...rules.order, c]
+    setRules({ ...rules, order })
+  }
+  const split = (text) => text.split(',').map(s => s.trim()).filter(Boolean)
+
+  const save = async () => {
+    setSaving(true)
+    try {
+      const r = await axios.put(API('/rename/duplicates/rules'), { rules: { order: rules.order, preferredGroups: split(groupsText), codecs: split(codecsText) } })
+      setRules(r.data.rules)
+      pushToast && pushToast('Duplicates', 'Keeper rules saved')
+    } catch (e) {
+      pushToast && pushToast('Duplicates', e?.response?.data?.error || e.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <details className="form-card" style={{ marginTop: 16, padding: 14 }}>
+      <summary style={{ cursor: 'pointer', fontWeight: 600 }}>Keeper rules</summary>
+      <div style={{ ...muted, marginTop: 8 }}>The suggested keeper wins on the first rule where the files differ, checked top to bottom.</div>
+      <div style={{ display: 'flex', flexDirection: 'column', gap: 4, marginTop: 10 }}>
+        {rules.order.map((c, idx) => (
+          <div key={c} style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+            <span style={{ width: 20, ...muted }}>{idx + 1}.</span>
+            <span style={{ flex: 1, fontSize: 13 }}>{criteria[c] || c}</span>
+            <button className="btn-ghost small" onClick={() => move(idx, -1)} disabled={idx === 0}>Up</button>
+            <button className="btn-ghost small" onClick={() => move(idx, 1)} disabled={idx === rules.order.length - 1}>Down</button>
+            <button className="btn-ghost small" onClick={() => toggle(c)}>Remove</button>
+          </div>
+        ))}
+        {Object.keys(criteria).filter(c => !rules.order.includes(c)).map(c => (
+          <div key={c} style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+            <span style={{ width: 20 }} />
+            <span style={{ flex: 1, fontSize: 13, color: 'var(--muted)' }}>{criteria[c]} (unused)</span>
+            <button className="btn-ghost small" onClick={() => toggle(c)}>Add</button>
+          </div>
+        ))}
+      </div>
+      <label style={{ display: 'block', marginTop: 12, fontSize: 13 }}>
+        Preferred release groups, best first
+        <input className="form-input" value={groupsText} onChange={e => setGroupsText(e.target.value)} placeholder="SubsPlease, Erai-raws" style={{ display: 'block', width: '100%', marginTop: 4 }} />
+      </label>
+      <label style={{ display: 'block', marginTop: 8, fontSize: 13 }}>
+        Codec preference, best first
+        <input className="form-input" value={codecsText} onChange={e => setCodecsText(e.target.value)} style={{ display: 'block', width: '100%', marginTop: 4 }} />
+      </label>
+      <div style={{ marginTop: 10 }}>
+        <button className="btn-save" onClick={save} disabled={saving}>{saving ? 'Saving...' : 'Save rules'}</button>
+      </div>
+    </details>
+  )
+}
+
 export default function Duplicates({ pushToast }) {
   const [groups, setGroups] = useState([])
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState('')
   const [search, setSearch] = useState('')
+  const [keepers, setKeepers] = useState({})
+  const [actions, setActions] = useState({})
+  const [busy, setBusy] = useState(null)
+  const [resolutions, setResolutions] = useState([])
+
+  const fetchResolutions = async () => {
+    try {
+      const resp = await axios.get(API('/rename/duplicates/resolutions'))
+      setResolutions(Array.isArray(resp.data?.resolutions) ? resp.data.resolutions : [])
+    } catch (e) { /* history is optional on this page */ }
+  }
 
   const fetchGroups = async () => {
     setLoading(true)
@@ -15,12 +130,14 @@ export default function Duplicates({ pushToast }) {
       const resp = await axios.get(API('/rename/duplicates'))
       const g = Array.isArray(resp.data?.groups) ? resp.data.groups : []
       setGroups(g)
+      setKeepers({})
       setError('')
     } catch (e) {
       setError('Failed to load duplicates')
     } finally {
       setLoading(false)
     }
+    fetchResolutions()
   }
 
   useEffect(() => {
@@ -37,11 +154,64 @@ export default function Duplicates({ pushToast }) {
     })
   }, [groups, search])
 
+  const inspectGroup = async (group, key) => {
+    setBusy(key)
+    try {
+      const resp = await axios.post(API('/rename/duplicates/inspect'), { paths: group.items.map(it => it.path) })
+      const files = resp.data?.files || {}
+      setGroups(prev => prev.map(g => g !== group ? g : {
+        ...g,
+        items: g.items.map(it => files[it.path] ? { ...it, quality: files[it.path] } : it),
+        suggestedKeeper: resp.data?.suggestedKeeper || g.suggestedKeeper,
+        keeperReason: resp.data?.keeperReason || g.keeperReason
+      }))
+      setKeepers(prev => { const next = { ...prev }; delete next[key]; return next })
+    } catch (e) {
+      pushToast && pushToast('Duplicates', e?.response?.data?.error || e.message)
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const resolveGroup = async (group, key) => {
+    const keep = keepers[key] || group.suggestedKeeper || group.items[0]?.path
+    const action = actions[key] || 'hide'
+    const losers = group.items.map(it => it.path).filter(p => p !== keep)
+    if (action === 'delete' && !window.confirm(`Move ${losers.length} file(s) to .mmp-trash and keep\n\n${keep}?`)) return
+    setBusy(key)
+    try {
+      const resp = await axios.post(API('/rename/duplicates/resolve'), { keep, losers, action })
+      const failed = (resp.data?.results || []).filter(r => !r.ok)
+      if (failed.length) pushToast && pushToast('Duplicates', `${failed.length} file(s) could not be resolved: ${failed[0].error}`)
+      else pushToast && pushToast('Duplicates', `Resolved ${losers.length} duplicate(s); undo from Recent resolutions`)
+      await fetchGroups()
+    } catch (e) {
+      pushToast && pushToast('Duplicates', e?.response?.data?.error || e.message)
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const undoResolution = async (batchId) => {
+    setBusy(batchId)
+    try {
+      const resp = await axios.post(API('/rename/duplicates/undo'), { batchId })
+      const errors = resp.data?.errors || []
+      if (errors.length) pushToast && pushToast('Duplicates', `Undo left ${errors.length} file(s) unrestored: ${errors[0].error}`)
+      else pushToast && pushToast('Duplicates', `Restored ${(resp.data?.restored || []).length} file(s)`)
+      await fetchGroups()
+    } catch (e) {
+      pushToast && pushToast('Duplicates', e?.response?.data?.error || e.message)
+    } finally {
+      setBusy(null)
+    }
+  }
+
   return (
     <div className="hidden-page" style={{ padding: 20 }}>
       <h2 style={{ margin: 0 }}>Duplicates</h2>
       <div style={{ marginTop: 8, fontSize: 14, color: 'var(--muted)' }}>
-        Groups sharing either the same preview name (case-insensitive) or the same ED2K hash.
+        Groups sharing either the same preview name (case-insensitive) or the same ED2K hash. Pick a keeper and resolve the rest in one step.
       </div>
       <div style={{ display: 'flex', gap: 8, marginTop: 16, alignItems: 'center' }}>
         <button className="btn-ghost small" onClick={fetchGroups} disabled={loading}>Refresh</button>
@@ -55,6 +225,8 @@ export default function Duplicates({ pushToast }) {
         <div style={{ marginLeft: 'auto', fontSize: 13, color: 'var(--muted)' }}>{filtered.length} groups</div>
       </div>
 
+      <KeeperRules pushToast={pushToast} />
+
       {loading ? (
         <div style={{ marginTop: 24 }}>Loading...</div>
       ) : error ? (
@@ -64,8 +236,11 @@ export default function Duplicates({ pushToast }) {
       ) : (
         <div className="form-card hidden-list" style={{ marginTop: 18, padding: 14 }}>
           <div style={{ maxHeight: '64vh', overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: 16 }}>
-            {filtered.map((group, idx) => (
-              <div key={`${group.previewKey || group.hash || group.previewName || idx}`} style={{ border: '1px solid var(--bg-600)', borderRadius: 8, padding: 12 }}>
+            {filtered.map((group, idx) => {
+              const key = groupKeyOf(group, idx)
+              const keep = keepers[key] || group.suggestedKeeper || group.items?.[0]?.path
+              return (
+              <div key={key} style={{ border: '1px solid var(--bg-600)', borderRadius: 8, padding: 12 }}>
                 <div style={{ display: 'flex', alignItems: 'center', gap: 10, flexWrap: 'wrap' }}>
                   <div style={{ fontWeight: 600, fontSize: 15 }}>{group.previewName || '(no preview name)'}</div>
                   {group.hash ? <div style={{ fontFamily: 'monospace', fontSize: 12, color: 'var(--muted)' }}>{group.hash}</div> : null}
@@ -75,37 +250,85 @@ export default function Duplicates({ pushToast }) {
                     {group.groupType === 'hash' ? 'Hash match' : (group.groupType === 'metadata' ? 'Series+Season+Episode match' : 'Preview name match')}
                   </div>
                 </div>
+                {group.keeperReason ? <div style={{ ...muted, marginTop: 6 }}>Suggested keeper: {group.keeperReason}</div> : null}
                 <table style={{ width: '100%', borderCollapse: 'collapse', marginTop: 8 }}>
                   <thead>
                     <tr style={{ textAlign: 'left', borderBottom: '1px solid var(--bg-600)' }}>
+                      <th style={{ padding: '8px 6px' }}>Keep</th>
                       <th style={{ padding: '8px 6px' }}>Path</th>
                       <th style={{ padding: '8px 6px' }}>Status</th>
+                      <th style={{ padding: '8px 6px' }}>Resolution</th>
+                      <th style={{ padding: '8px 6px' }}>Codec</th>
+                      <th style={{ padding: '8px 6px' }}>Bitrate</th>
+                      <th style={{ padding: '8px 6px' }}>Size</th>
+                      <th style={{ padding: '8px 6px' }}>Group</th>
+                      <th style={{ padding: '8px 6px' }}>Version</th>
                       <th style={{ padding: '8px 6px' }}>Applied to</th>
-                      <th style={{ padding: '8px 6px' }}>Applied at</th>
                     </tr>
                   </thead>
                   <tbody>
                     {(group.items || []).map((it) => {
                       const status = it.applied ? 'Applied' : (it.hidden ? 'Hidden' : 'Pending')
+                      const q = it.quality || {}
                       return (
                         <tr key={it.path} style={{ borderBottom: '1px solid var(--bg-700)' }}>
-                          <td style={{ padding: '8px 6px', fontSize: 13 }}>
+                          <td style={cell}>
+                            <input type="radio" name={`keep-${key}`} checked={keep === it.path} onChange={() => setKeepers(prev => ({ ...prev, [key]: it.path }))} />
+                            {group.suggestedKeeper === it.path ? <div style={{ ...muted, marginTop: 2 }}>suggested</div> : null}
+                          </td>
+                          <td style={cell}>
                             <div style={{ fontWeight: 500 }}>{it.basename || it.providerTitle || it.parsedTitle || it.path}</div>
                             <div style={{ fontSize: 12, color: 'var(--muted)', marginTop: 2 }}>{it.path}</div>
                           </td>
-                          <td style={{ padding: '8px 6px', fontSize: 13 }}>{status}</td>
-                          <td style={{ padding: '8px 6px', fontSize: 13 }}>{it.appliedTo || '-'}</td>
-                          <td style={{ padding: '8px 6px', fontSize: 13 }}>{it.appliedAt ? new Date(it.appliedAt).toLocaleString() : '-'}</td>
+                          <td style={cell}>{status}</td>
+                          <td style={cell}>{q.resolution ? `${q.resolution}p` : '-'}</td>
+                          <td style={cell}>{q.codec || '-'}</td>
+                          <td style={cell}>{formatBitrate(q.bitrate)}</td>
+                          <td style={cell}>{formatSize(q.size)}</td>
+                          <td style={cell}>{q.releaseGroup || '-'}</td>
+                          <td style={cell}>{q.version > 1 ? `v${q.version}` : '-'}</td>
+                          <td style={cell}>{it.appliedTo || '-'}</td>
                         </tr>
                       )
                     })}
                   </tbody>
                 </table>
+                <div style={{ display: 'flex', gap: 8, marginTop: 10, alignItems: 'center', flexWrap: 'wrap' }}>
+                  <button className="btn-ghost small" onClick={() => inspectGroup(group, key)} disabled={!!busy}>
+                    {busy === key ? 'Working...' : 'Probe files'}
+                  </button>
+                  <select className="form-input" value={actions[key] || 'hide'} onChange={e => setActions(prev => ({ ...prev, [key]: e.target.value }))}>
+                    {Object.entries(ACTION_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                  </select>
+                  <button className="btn-save" onClick={() => resolveGroup(group, key)} disabled={!!busy || !keep}>Resolve</button>
+                </div>
               </div>
-            ))}
+              )
+            })}
           </div>
         </div>
       )}
+
+      {resolutions.length ? (
+        <div className="form-card" style={{ marginTop: 18, padding: 14 }}>
+          <div style={{ fontWeight: 600 }}>Recent resolutions</div>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: 8, marginTop: 8 }}>
+            {resolutions.map(r => (
+              <div key={r.batchId} style={{ display: 'flex', alignItems: 'center', gap: 10, fontSize: 13 }}>
+                <div style={{ flex: 1 }}>
+                  <div>{ACTION_LABELS[r.action] || r.action}: {r.paths.length} file(s), kept {r.keep}</div>
+                  <div style={muted}>{new Date(r.timestamp).toLocaleString()}{r.reverted ? ' · undone' : ''}</div>
+                </div>
+                {!r.reverted ? (
+                  <button className="btn-ghost small" onClick={() => undoResolution(r.batchId)} disabled={!!busy}>
+                    {busy === r.batchId ? 'Undoing...' : 'Undo'}
+                  </button>
+                ) : null}
+              </div>
+            ))}
+          </div>
+        </div>
+      ) : null}
     </div>
   )
 }
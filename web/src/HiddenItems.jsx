@@ -1,5 +1,6 @@
 import React, { useCallback, useEffect, useMemo, useState, useRef } from 'react'
 import axios from 'axios'
+import Highlight from './components/Highlight'
 
 const API = (p) => `/api${p}`
 
@@ -14,6 +15,13 @@ function formatTimestamp(ts) {
   }
 }
 
+// The matching title, episode title or id of a search hit; path matches already show in the path line
+function matchedText(item) {
+  const h = item && item.highlights
+  if (!h) return null
+  return h.title || h.altTitles || h.episodeTitle || h.ids || null
+}
+
 export default function HiddenItems({ pushToast }) {
   const [items, setItems] = useState([])
   const [loading, setLoading] = useState(false)
@@ -22,7 +30,11 @@ export default function HiddenItems({ pushToast }) {
   const [bulkUnapproving, setBulkUnapproving] = useState(false)
   const [rowUnapproving, setRowUnapproving] = useState({})
   const [searchQuery, setSearchQuery] = useState('')
+  // Server-ranked matches for searchQuery; null while the box is empty
+  const [results, setResults] = useState(null)
+  const [searchError, setSearchError] = useState('')
   const lastClickedIndex = useRef(null)
+  const searchSeq = useRef(0)
 
   const fetchItems = useCallback(async () => {
     setLoading(true)
@@ -51,14 +63,27 @@ export default function HiddenItems({ pushToast }) {
     fetchItems()
   }, [fetchItems])
 
-  const filteredItems = useMemo(() => {
-    if (!searchQuery) return items
-    const q = searchQuery.toLowerCase()
-    return items.filter(item => {
-      const name = item.providerTitle || item.parsedTitle || item.basename || item.path || ''
-      return name.toLowerCase().includes(q) || item.path.toLowerCase().includes(q)
-    })
-  }, [items, searchQuery])
+  const runSearch = useCallback(async (q) => {
+    const seq = ++searchSeq.current
+    if (!q) { setResults(null); setSearchError(''); return }
+    try {
+      const resp = await axios.get(API('/rename/hidden'), { params: { q } })
+      if (seq !== searchSeq.current) return
+      setResults(Array.isArray(resp.data?.items) ? resp.data.items : [])
+      setSearchError('')
+    } catch (e) {
+      if (seq !== searchSeq.current) return
+      setResults([])
+      setSearchError(e.response?.data?.error || 'Search failed')
+    }
+  }, [])
+
+  useEffect(() => {
+    const timer = setTimeout(() => { runSearch(searchQuery.trim()) }, 250)
+    return () => clearTimeout(timer)
+  }, [searchQuery, runSearch])
+
+  const filteredItems = useMemo(() => results || items, [items, results])
 
   const selectedPaths = useMemo(() => Object.keys(selected || {}).filter(k => selected[k]), [selected])
 
@@ -139,6 +164,7 @@ export default function HiddenItems({ pushToast }) {
         return next
       })
       await fetchItems()
+      await runSearch(searchQuery.trim())
     } catch (e) {
       pushToast && pushToast('Unapprove', 'Unapprove failed')
     } finally {
@@ -172,17 +198,18 @@ export default function HiddenItems({ pushToast }) {
         </button>
         <input
           type="text"
-          placeholder="Search..."
+          placeholder="Search (e.g. provider:anidb season:2)"
+          title="Words match titles, file names, episode titles and ids. Filters: provider, season, episode, year, applied, hidden, matched"
           value={searchQuery}
           onChange={e => setSearchQuery(e.target.value)}
-          style={{ marginLeft: 8, padding: '4px 8px', borderRadius: 4, border: '1px solid var(--bg-600)', background: 'var(--bg-700)', color: 'var(--fg)', fontSize: 13, width: 200 }}
+          style={{ marginLeft: 8, padding: '4px 8px', borderRadius: 4, border: '1px solid var(--bg-600)', background: 'var(--bg-700)', color: 'var(--fg)', fontSize: 13, width: 260 }}
         />
         <div style={{ marginLeft: 'auto', fontSize: 13, color: 'var(--muted)' }}>{filteredItems.length} {filteredItems.length !== items.length ? `(of ${items.length})` : 'total'}</div>
       </div>
       {loading ? (
   <div style={{ marginTop: 24 }}>Loading...</div>
-      ) : error ? (
-        <div style={{ marginTop: 24, color: '#ffb4b4' }}>{error}</div>
+      ) : error || searchError ? (
+        <div style={{ marginTop: 24, color: '#ffb4b4' }}>{error || searchError}</div>
       ) : !filteredItems.length ? (
         <div style={{ marginTop: 24 }}>No hidden or applied items found.</div>
       ) : (
@@ -226,7 +253,12 @@ export default function HiddenItems({ pushToast }) {
                       </td>
                       <td style={{ padding: '12px 14px', fontSize: 15 }}>
                         <div style={{ fontWeight: 500 }}>{displayName}</div>
-                        <div style={{ fontSize: 12, color: 'var(--muted)', marginTop: 4 }}>{item.path}</div>
+                        <div style={{ fontSize: 12, color: 'var(--muted)', marginTop: 4 }}>
+                          <Highlight runs={item.highlights && item.highlights.path} fallback={item.path} />
+                        </div>
+                        {matchedText(item) ? (
+                          <div style={{ fontSize: 12, color: 'var(--muted)', marginTop: 4 }}><Highlight runs={matchedText(item)} /></div>
+                        ) : null}
                       </td>
                       <td style={{ padding: '12px 14px', fontSize: 13, color: 'var(--muted)' }}>{item.path}</td>
                       <td style={{ padding: '12px 14px' }}>{status}</td>
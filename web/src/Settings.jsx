@@ -1,8 +1,20 @@
 import React, { useState, useEffect, useMemo, useRef } from 'react'
 import axios from 'axios'
+import { JOB_FINISHED_STATUSES } from './constants'
+import LibrariesSettings from './components/LibrariesSettings'
 
 const API = (p) => `/api${p}`
 
+const APPLY_MODES = [
+  { id: 'hardlink', label: 'Hardlink', description: 'Same file on disk, no extra space. Source and output must share a filesystem.' },
+  { id: 'symlink', label: 'Symlink (absolute)', description: 'Link pointing at the absolute source path.' },
+  { id: 'symlink-relative', label: 'Symlink (relative)', description: 'Link relative to the output folder; survives moving both trees together.' },
+  { id: 'reflink', label: 'Reflink', description: 'Copy-on-write clone on Btrfs/XFS/APFS, regular copy elsewhere.' },
+  { id: 'copy', label: 'Copy', description: 'Full copy with progress; works across filesystems.' },
+  { id: 'move', label: 'Move', description: 'Moves the source into the library. Unapprove moves it back.' }
+]
+
+// Shown until /api/providers answers; the server list also carries plugins and credential fields
 const PROVIDERS = [
   { id: 'anidb', label: 'AniDB', description: 'ED2K hash lookup for anime (series and episodes).' },
   { id: 'anilist', label: 'AniList', description: 'Anime catalog titles (series metadata only).' },
@@ -15,7 +27,29 @@ const PROVIDERS = [
 const PROVIDER_IDS = PROVIDERS.map(p => p.id)
 const DEFAULT_PROVIDER_ORDER = ['anidb', 'anilist', 'tvdb', 'tmdb']
 
-function sanitizeProviderOrder(value) {
+// Older installs stored the TMDb key under the TVDB name
+const LEGACY_CREDENTIAL_KEYS = { tmdb_api_key: 'tvdb_api_key' }
+
+function credentialFieldsOf(providers) {
+  return providers.flatMap(p => Array.isArray(p.credentials) ? p.credentials : [])
+}
+
+// First non-empty value per credential key across the lookup functions, else the field default
+function pickCredentials(fields, ...sources) {
+  const out = {}
+  for (const field of fields) {
+    let value = ''
+    for (const source of sources) {
+      let v = source(field.key)
+      if ((v == null || v === '') && LEGACY_CREDENTIAL_KEYS[field.key]) v = source(LEGACY_CREDENTIAL_KEYS[field.key])
+      if (v != null && String(v) !== '') { value = String(v); break }
+    }
+    out[field.key] = value || field.default || ''
+  }
+  return out
+}
+
+function sanitizeProviderOrder(value, knownIds = PROVIDER_IDS) {
   if (!value) return [...DEFAULT_PROVIDER_ORDER]
   let arr = []
   if (Array.isArray(value)) arr = value
@@ -32,7 +66,7 @@ function sanitizeProviderOrder(value) {
   const out = []
   for (const raw of arr) {
     const id = String(raw || '').trim().toLowerCase()
-    if (!id || !PROVIDER_IDS.includes(id)) continue
+    if (!id || !knownIds.includes(id)) continue
     if (seen.has(id)) continue
     seen.add(id)
     out.push(id)
@@ -41,42 +75,14 @@ function sanitizeProviderOrder(value) {
   return out
 }
 
-function sanitizeForPreview(s) {
-  return String(s || '').replace(/[\\/:*?"<>|]/g, '')
-}
-
-function renderPreviewSample(template) {
-  const sample = {
-    title: 'Example Show',
-    basename: 'Example_Show_S01E02',
-    year: '2023',
-    epLabel: 'S01E02',
-    episodeTitle: 'Pilot',
-    season: '1',
-    episode: '2',
-    episodeRange: '01-02',
-  tmdbId: '12345'
-  }
-  try {
-    return String(template || '{title} - {epLabel} - {episodeTitle}')
-      .replace('{title}', sanitizeForPreview(sample.title))
-      .replace('{basename}', sanitizeForPreview(sample.basename))
-      .replace('{year}', sample.year)
-      .replace('{epLabel}', sample.epLabel)
-      .replace('{episodeTitle}', sample.episodeTitle)
-      .replace('{season}', sample.season)
-      .replace('{episode}', sample.episode)
-      .replace('{episodeRange}', sample.episodeRange)
-  .replace('{tmdbId}', sample.tmdbId)
-  } catch (e) { return template }
-}
 function ActivityHistory({ pushToast }) {
   const [history, setHistory] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [autoOnly, setAutoOnly] = useState(false);
 
   const fetchHistory = async () => {
     try {
-      const r = await axios.get(API('/history'), { params: { limit: 50 } });
+      const r = await axios.get(API('/history'), { params: { limit: 50, actionType: autoOnly ? 'auto-apply' : undefined } });
       setHistory(r.data.history || []);
     } catch(e) {}
     setLoading(false);
@@ -84,11 +90,19 @@ function ActivityHistory({ pushToast }) {
 
   useEffect(() => {
     fetchHistory();
-  }, []);
+  }, [autoOnly]);
+
+  const batchSizes = useMemo(() => {
+    const counts = {};
+    for (const item of history) {
+      if (item.batch_id && item.status === 'applied') counts[item.batch_id] = (counts[item.batch_id] || 0) + 1;
+    }
+    return counts;
+  }, [history]);
 
-  const handleUndo = async (id) => {
+  const handleUndo = async (id, batchId) => {
     try {
-      const r = await axios.post(API('/history/undo'), { id });
+      const r = await axios.post(API('/history/undo'), batchId ? { batchId } : { id });
       pushToast && pushToast('Undo', `Reverted ${r.data.unapproved.length} item(s)`);
       if (r.data.unapproved.length > 0) {
         window.dispatchEvent(new CustomEvent('renamer:unapproved', { detail: { paths: r.data.unapproved } }));
@@ -101,7 +115,13 @@ function ActivityHistory({ pushToast }) {
 
   return (
     <div style={{marginTop:18}}>
-      <label style={{fontSize:13, color:'var(--muted)'}}>Activity History (Undo Log)</label>
+      <div style={{display:'flex', alignItems:'center', gap:12}}>
+        <label style={{fontSize:13, color:'var(--muted)'}}>Activity History (Undo Log)</label>
+        <label style={{fontSize:12, color:'var(--muted)', display:'flex', alignItems:'center', gap:6, marginLeft:'auto'}}>
+          <input type='checkbox' className='settings-checkbox' checked={autoOnly} onChange={e => setAutoOnly(e.target.checked)} />
+          Auto-applied only
+        </label>
+      </div>
       <div style={{marginTop:8, background:'var(--bg-800)', borderRadius:8, overflow:'hidden', border:'1px solid var(--bg-600)'}}>
         {loading ? <div style={{padding:16, fontSize:13, color:'var(--muted)'}}>Loading history...</div> : history.length === 0 ? <div style={{padding:16, fontSize:13, color:'var(--muted)'}}>No actions recorded yet.</div> : (
           <table style={{width:'100%', borderCollapse:'collapse', fontSize:12, textAlign:'left'}}>
@@ -110,18 +130,26 @@ function ActivityHistory({ pushToast }) {
                 <th style={{padding:'8px 12px'}}>Time</th>
                 <th style={{padding:'8px 12px'}}>Original File</th>
                 <th style={{padding:'8px 12px'}}>Resolved Path</th>
-                <th style={{padding:'8px 12px', width:60}}>Action</th>
+                <th style={{padding:'8px 12px', width:140}}>Action</th>
               </tr>
             </thead>
             <tbody>
               {history.map(item => (
                 <tr key={item.id} style={{borderTop:'1px solid var(--bg-600)'}}>
                   <td style={{padding:'8px 12px', color:'var(--muted)', whiteSpace:'nowrap'}}>{new Date(item.timestamp).toLocaleString()}</td>
-                  <td style={{padding:'8px 12px', color:'var(--accent)', wordBreak:'break-all'}}>{item.original_path.split(/[\/\\]/).pop()}</td>
+                  <td style={{padding:'8px 12px', color:'var(--accent)', wordBreak:'break-all'}}>
+                    {item.action_type === 'auto-apply' ? <span title='Applied by an auto-apply rule' style={{marginRight:6, padding:'1px 6px', borderRadius:6, fontSize:10, background:'var(--bg-600)', color:'var(--muted)'}}>auto</span> : null}
+                    {item.original_path.split(/[\/\\]/).pop()}
+                  </td>
                   <td style={{padding:'8px 12px', color:'var(--accent)', wordBreak:'break-all'}}>{item.resolved_path.split(/[\/\\]/).pop()}</td>
                   <td style={{padding:'8px 12px'}}>
                     {item.status === 'applied' ? (
-                      <button className='btn-ghost' style={{padding:'4px 8px', fontSize:11, background:'#e74c3c33', color:'#ffb4b4', border:'1px solid #e74c3c66'}} onClick={() => handleUndo(item.id)}>Undo</button>
+                      <div style={{display:'flex', gap:6}}>
+                        <button className='btn-ghost' style={{padding:'4px 8px', fontSize:11, background:'#e74c3c33', color:'#ffb4b4', border:'1px solid #e74c3c66'}} onClick={() => handleUndo(item.id)}>Undo</button>
+                        {item.batch_id && (batchSizes[item.batch_id] || 0) > 1 ? (
+                          <button className='btn-ghost' title={`Revert all ${batchSizes[item.batch_id]} items applied in this batch`} style={{padding:'4px 8px', fontSize:11, whiteSpace:'nowrap'}} onClick={() => handleUndo(item.id, item.batch_id)}>Undo batch</button>
+                        ) : null}
+                      </div>
                     ) : (
                       <span style={{color:'var(--muted)', fontSize:11}}>Reverted</span>
                     )}
@@ -140,26 +168,647 @@ function ActivityHistory({ pushToast }) {
   );
 }
 
+const JOB_TYPE_LABELS = {
+  'full-scan': 'Full scan',
+  'incremental-scan': 'Incremental scan',
+  'bulk-rescan': 'Rescan incomplete items',
+  'artwork-fetch': 'Fetch series artwork',
+  'cache-sweep': 'Sweep stale cache entries',
+  'auto-apply': 'Auto-apply',
+  'auto-rescan': 'Re-enrich incomplete items while idle',
+  'completeness-refresh': 'Refresh episode lists',
+  'approve': 'Approve',
+  'backfill-subtitles': 'Backfill subtitles'
+}
+
+const CRON_PRESETS = [
+  { cron: '0 * * * *', label: 'Hourly' },
+  { cron: '0 3 * * *', label: 'Daily at 03:00' },
+  { cron: '0 4 * * 0', label: 'Sundays at 04:00' }
+]
+
+function formatJobProgress(job) {
+  if (job.status === 'queued') return job.runAfter ? `retry at ${new Date(job.runAfter).toLocaleTimeString()}` : 'queued'
+  if (job.status === 'running') return job.totalItems ? `${job.processedItems || 0}/${job.totalItems}` : 'running'
+  return job.error ? `${job.status}: ${job.error}` : job.status
+}
+
+function JobSchedules({ pushToast }) {
+  const [schedules, setSchedules] = useState([])
+  const [types, setTypes] = useState([])
+  const [jobs, setJobs] = useState({ queued: [], running: [], history: [] })
+  const [draft, setDraft] = useState({ type: '', cron: CRON_PRESETS[1].cron })
+
+  const fetchAll = async () => {
+    try {
+      const r = await axios.get(API('/jobs/schedules'))
+      setSchedules(r.data.schedules || [])
+      setTypes(r.data.types || [])
+      setDraft(d => d.type ? d : { ...d, type: (r.data.types || [])[0] || '' })
+    } catch (e) {}
+    try {
+      const r = await axios.get(API('/jobs'), { params: { limit: 10 } })
+      setJobs({ queued: r.data.queued || [], running: r.data.running || [], history: r.data.history || [] })
+    } catch (e) {}
+  }
+
+  useEffect(() => {
+    fetchAll()
+    const t = setInterval(fetchAll, 5000)
+    return () => clearInterval(t)
+  }, [])
+
+  const errorText = (e, fallback) => (e && e.response && e.response.data && e.response.data.error) || fallback
+
+  const addSchedule = async () => {
+    try {
+      await axios.post(API('/jobs/schedules'), draft)
+      fetchAll()
+    } catch (e) { pushToast && pushToast('Schedules', errorText(e, 'Could not add schedule')) }
+  }
+
+  const toggleSchedule = async (s) => {
+    try {
+      await axios.put(API(`/jobs/schedules/${s.id}`), { enabled: !s.enabled })
+      fetchAll()
+    } catch (e) { pushToast && pushToast('Schedules', errorText(e, 'Update failed')) }
+  }
+
+  const deleteSchedule = async (id) => {
+    try {
+      await axios.delete(API(`/jobs/schedules/${id}`))
+      fetchAll()
+    } catch (e) { pushToast && pushToast('Schedules', 'Delete failed') }
+  }
+
+  const runNow = async (s) => {
+    try {
+      await axios.post(API('/jobs/run'), { type: s.type, payload: s.payload })
+      pushToast && pushToast('Jobs', `${JOB_TYPE_LABELS[s.type] || s.type} queued`)
+      fetchAll()
+    } catch (e) { pushToast && pushToast('Jobs', errorText(e, 'Could not start job')) }
+  }
+
+  const cancelJob = async (id) => {
+    try {
+      await axios.post(API(`/jobs/${id}/cancel`))
+      fetchAll()
+    } catch (e) { pushToast && pushToast('Jobs', errorText(e, 'Cancel failed')) }
+  }
+
+  const active = [...jobs.running, ...jobs.queued]
+  const rowStyle = {display:'flex', alignItems:'center', gap:8, padding:'8px 12px', background:'var(--bg-800)', border:'1px solid var(--bg-600)', borderRadius:8, fontSize:12}
+
+  return (
+    <div style={{marginTop:18}}>
+      <label style={{fontSize:13, color:'var(--muted)'}}>Scheduled jobs</label>
+      <div style={{fontSize:12, color:'var(--muted)', marginTop:4}}>
+        Cron expressions use server time: minute hour day-of-month month day-of-week (e.g. <code>0 3 * * *</code> runs daily at 03:00).
+      </div>
+      <div style={{marginTop:8, display:'flex', flexDirection:'column', gap:6}}>
+        {schedules.length === 0 ? <div style={{fontSize:13, color:'var(--muted)'}}>No schedules yet.</div> : schedules.map(s => (
+          <div key={s.id} style={rowStyle}>
+            <input type='checkbox' className='settings-checkbox' checked={!!s.enabled} onChange={() => toggleSchedule(s)} title='Enabled' />
+            <span style={{color:'var(--accent)', fontWeight:500}}>{JOB_TYPE_LABELS[s.type] || s.type}</span>
+            <code>{s.cron}</code>
+            <span style={{color:'var(--muted)', flex:1}}>{s.nextRunAt ? `next ${new Date(s.nextRunAt).toLocaleString()}` : 'paused'}</span>
+            <button className='btn-ghost' style={{padding:'4px 8px', fontSize:11}} onClick={() => runNow(s)}>Run now</button>
+            <button className='btn-ghost' style={{padding:'4px 8px', fontSize:11, background:'#e74c3c33', color:'#ffb4b4', border:'1px solid #e74c3c66'}} onClick={() => deleteSchedule(s.id)}>Delete</button>
+          </div>
+        ))}
+      </div>
+      <div style={{display:'flex', gap:8, marginTop:8, alignItems:'center', flexWrap:'wrap'}}>
+        <select className='form-input' value={draft.type} onChange={e => setDraft({ ...draft, type: e.target.value })} style={{maxWidth:240}}>
+          {types.map(t => <option key={t} value={t}>{JOB_TYPE_LABELS[t] || t}</option>)}
+        </select>
+        <input value={draft.cron} onChange={e => setDraft({ ...draft, cron: e.target.value })} placeholder='0 3 * * *' style={{width:160, padding:10, borderRadius:8, border:'1px solid var(--bg-600)', background:'transparent', color:'var(--accent)'}} />
+        {CRON_PRESETS.map(p => (
+          <button key={p.cron} className='btn-ghost' style={{padding:'4px 8px', fontSize:11}} onClick={() => setDraft({ ...draft, cron: p.cron })}>{p.label}</button>
+        ))}
+        <button className='btn-ghost' style={{padding:'8px 12px', fontSize:12}} disabled={!draft.type} onClick={addSchedule}>Add schedule</button>
+      </div>
+      {active.length > 0 || jobs.history.length > 0 ? (
+        <div style={{marginTop:10, display:'flex', flexDirection:'column', gap:6}}>
+          {active.map(j => (
+            <div key={j.id} style={rowStyle}>
+              <span style={{color:'var(--accent)', fontWeight:500}}>{JOB_TYPE_LABELS[j.type] || j.type}</span>
+              <span style={{color:'var(--muted)', flex:1}}>{j.cancelRequested ? 'cancelling…' : formatJobProgress(j)}</span>
+              <button className='btn-ghost' style={{padding:'4px 8px', fontSize:11}} disabled={j.cancelRequested} onClick={() => cancelJob(j.id)}>Cancel</button>
+            </div>
+          ))}
+          {jobs.history.map(j => (
+            <div key={j.id} style={{...rowStyle, opacity:0.75}}>
+              <span style={{color:'var(--muted)', whiteSpace:'nowrap'}}>{new Date(j.completedAt || j.createdAt).toLocaleString()}</span>
+              <span>{JOB_TYPE_LABELS[j.type] || j.type}</span>
+              <span style={{color: j.status === 'error' ? '#ffb4b4' : 'var(--muted)', flex:1, wordBreak:'break-all'}}>{formatJobProgress(j)}</span>
+            </div>
+          ))}
+        </div>
+      ) : null}
+    </div>
+  )
+}
+
+const AUTO_APPLY_CONDITION_ORDER = ['hash_match', 'provider_complete', 'series_approved']
+const EMPTY_AUTO_APPLY_RULE = { name: '', match: 'all', conditions: ['hash_match'], outputFolder: '' }
+
+function AutoApplyRules({ pushToast }) {
+  const [rules, setRules] = useState([])
+  const [conditions, setConditions] = useState({})
+  const [draft, setDraft] = useState(EMPTY_AUTO_APPLY_RULE)
+
+  const fetchRules = async () => {
+    try {
+      const r = await axios.get(API('/auto-apply/rules'))
+      setRules(r.data.rules || [])
+      setConditions(r.data.conditions || {})
+    } catch (e) {}
+  }
+
+  useEffect(() => { fetchRules() }, [])
+
+  const errorText = (e, fallback) => (e && e.response && e.response.data && e.response.data.error) || fallback
+
+  const toggleDraftCondition = (c) => {
+    setDraft(d => ({ ...d, conditions: d.conditions.includes(c) ? d.conditions.filter(x => x !== c) : [...d.conditions, c] }))
+  }
+
+  const addRule = async () => {
+    try {
+      await axios.post(API('/auto-apply/rules'), draft)
+      setDraft(EMPTY_AUTO_APPLY_RULE)
+      fetchRules()
+    } catch (e) { pushToast && pushToast('Auto-apply', errorText(e, 'Could not add rule')) }
+  }
+
+  const toggleRule = async (rule) => {
+    try {
+      await axios.put(API(`/auto-apply/rules/${rule.id}`), { enabled: !rule.enabled })
+      fetchRules()
+    } catch (e) { pushToast && pushToast('Auto-apply', errorText(e, 'Update failed')) }
+  }
+
+  const moveRule = async (idx, delta) => {
+    const ids = rules.map(r => r.id)
+    const target = idx + delta
+    if (target < 0 || target >= ids.length) return
+    ;[ids[idx], ids[target]] = [ids[target], ids[idx]]
+    try {
+      const r = await axios.post(API('/auto-apply/rules/order'), { ids })
+      setRules(r.data.rules || [])
+    } catch (e) { pushToast && pushToast('Auto-apply', errorText(e, 'Reorder failed')) }
+  }
+
+  const deleteRule = async (id) => {
+    try {
+      await axios.delete(API(`/auto-apply/rules/${id}`))
+      fetchRules()
+    } catch (e) { pushToast && pushToast('Auto-apply', 'Delete failed') }
+  }
+
+  const runNow = async () => {
+    try {
+      await axios.post(API('/auto-apply/run'), {})
+      pushToast && pushToast('Auto-apply', 'Checking the latest scan against your rules')
+    } catch (e) { pushToast && pushToast('Auto-apply', errorText(e, 'Could not start auto-apply')) }
+  }
+
+  const rowStyle = {display:'flex', alignItems:'center', gap:8, padding:'8px 12px', background:'var(--bg-800)', border:'1px solid var(--bg-600)', borderRadius:8, fontSize:12}
+  const describe = (rule) => rule.conditions.map(c => conditions[c] || c).join(rule.match === 'any' ? ' or ' : ' and ')
+
+  return (
+    <div style={{marginTop:18}}>
+      <label style={{fontSize:13, color:'var(--muted)'}}>Auto-apply rules</label>
+      <div style={{fontSize:12, color:'var(--muted)', marginTop:4}}>
+        After enrichment (scans, folder watcher, auto rescan) unapproved items are checked against these rules from top to bottom; the first match is applied without a manual approve. Auto-applied items are marked in the activity history and can be undone there.
+      </div>
+      <div style={{marginTop:8, display:'flex', flexDirection:'column', gap:6}}>
+        {rules.length === 0 ? <div style={{fontSize:13, color:'var(--muted)'}}>No rules yet. Every item needs a manual approve.</div> : rules.map((rule, idx) => (
+          <div key={rule.id} style={rowStyle}>
+            <input type='checkbox' className='settings-checkbox' checked={!!rule.enabled} onChange={() => toggleRule(rule)} title='Enabled' />
+            <span style={{color:'var(--accent)', fontWeight:500}}>{rule.name}</span>
+            <span style={{color:'var(--muted)', flex:1}}>{describe(rule)} → {rule.outputFolder || 'default output folder'}</span>
+            <button className='btn-ghost' style={{padding:'4px 8px', fontSize:11}} disabled={idx === 0} onClick={() => moveRule(idx, -1)} title='Move up'>↑</button>
+            <button className='btn-ghost' style={{padding:'4px 8px', fontSize:11}} disabled={idx === rules.length - 1} onClick={() => moveRule(idx, 1)} title='Move down'>↓</button>
+            <button className='btn-ghost' style={{padding:'4px 8px', fontSize:11, background:'#e74c3c33', color:'#ffb4b4', border:'1px solid #e74c3c66'}} onClick={() => deleteRule(rule.id)}>Delete</button>
+          </div>
+        ))}
+      </div>
+      <div style={{display:'flex', flexDirection:'column', gap:8, marginTop:8, padding:12, border:'1px solid var(--bg-600)', borderRadius:8}}>
+        <div style={{display:'flex', gap:8, alignItems:'center', flexWrap:'wrap'}}>
+          <input value={draft.name} onChange={e => setDraft({ ...draft, name: e.target.value })} placeholder='Rule name (optional)' style={{flex:1, minWidth:160, padding:10, borderRadius:8, border:'1px solid var(--bg-600)', background:'transparent', color:'var(--accent)'}} />
+          <select className='form-input' value={draft.match} onChange={e => setDraft({ ...draft, match: e.target.value })} style={{maxWidth:200}}>
+            <option value='all'>All conditions</option>
+            <option value='any'>Any condition</option>
+          </select>
+        </div>
+        {AUTO_APPLY_CONDITION_ORDER.filter(c => conditions[c]).map(c => (
+          <label key={c} style={{fontSize:12, display:'flex', alignItems:'center', gap:6}}>
+            <input type='checkbox' className='settings-checkbox' checked={draft.conditions.includes(c)} onChange={() => toggleDraftCondition(c)} />
+            {conditions[c]}
+          </label>
+        ))}
+        <input value={draft.outputFolder} onChange={e => setDraft({ ...draft, outputFolder: e.target.value })} placeholder='Output folder (blank uses your default output path)' style={{padding:10, borderRadius:8, border:'1px solid var(--bg-600)', background:'transparent', color:'var(--accent)'}} />
+        <div style={{display:'flex', gap:8}}>
+          <button className='btn-ghost' style={{padding:'8px 12px', fontSize:12}} disabled={!draft.conditions.length} onClick={addRule}>Add rule</button>
+          <button className='btn-ghost' style={{padding:'8px 12px', fontSize:12}} disabled={!rules.some(r => r.enabled)} onClick={runNow}>Run rules on latest scan</button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// Container prefix <-> the path this user sees on the host or a Windows share
+function PathMappings({ pushToast }) {
+  const [mappings, setMappings] = useState([])
+  const [max, setMax] = useState(20)
+  const [dirty, setDirty] = useState(false)
+
+  useEffect(() => {
+    axios.get(API('/path-mappings')).then(r => {
+      setMappings(r.data.mappings || [])
+      if (r.data.max) setMax(r.data.max)
+    }).catch(() => {})
+  }, [])
+
+  const update = (idx, field, value) => {
+    setMappings(list => list.map((m, i) => (i === idx ? { ...m, [field]: value } : m)))
+    setDirty(true)
+  }
+  const addRow = () => { setMappings(list => [...list, { internal: '', external: '' }]); setDirty(true) }
+  const removeRow = (idx) => { setMappings(list => list.filter((_, i) => i !== idx)); setDirty(true) }
+
+  const saveMappings = async () => {
+    try {
+      const r = await axios.put(API('/path-mappings'), { mappings: mappings.filter(m => m.internal || m.external) })
+      setMappings(r.data.mappings || [])
+      setDirty(false)
+      pushToast && pushToast('Path mappings', 'Saved. Reload the page to see paths in the new form.')
+    } catch (e) {
+      pushToast && pushToast('Path mappings', (e && e.response && e.response.data && e.response.data.error) || 'Save failed')
+    }
+  }
+
+  const inputStyle = {flex:1, minWidth:0, padding:10, borderRadius:8, border:'1px solid var(--bg-600)', background:'transparent', color:'var(--accent)'}
+
+  return (
+    <div style={{marginTop:18}}>
+      <label style={{fontSize:13, color:'var(--muted)'}}>Path mappings</label>
+      <div style={{fontSize:12, color:'var(--muted)', marginTop:4}}>
+        Show server paths the way you see them, e.g. <code>/media</code> as <code>/mnt/media</code> on the host or <code>\\nas\media</code> on Windows. Paths you paste into settings or manual IDs in your form are translated back automatically.
+      </div>
+      <div style={{marginTop:8, display:'flex', flexDirection:'column', gap:6}}>
+        {mappings.length === 0 ? <div style={{fontSize:13, color:'var(--muted)'}}>No mappings. Paths are shown as the server sees them.</div> : mappings.map((m, idx) => (
+          <div key={idx} style={{display:'flex', gap:8, alignItems:'center'}}>
+            <input value={m.internal} onChange={e => update(idx, 'internal', e.target.value)} placeholder='Server path, e.g. /media' style={inputStyle} />
+            <span style={{color:'var(--muted)'}}>↔</span>
+            <input value={m.external} onChange={e => update(idx, 'external', e.target.value)} placeholder='Your path, e.g. /mnt/media or \\nas\media' style={inputStyle} />
+            <button className='btn-ghost' style={{padding:'4px 8px', fontSize:11, background:'#e74c3c33', color:'#ffb4b4', border:'1px solid #e74c3c66'}} onClick={() => removeRow(idx)}>Remove</button>
+          </div>
+        ))}
+      </div>
+      <div style={{display:'flex', gap:8, marginTop:8}}>
+        <button className='btn-ghost' style={{padding:'8px 12px', fontSize:12}} disabled={mappings.length >= max} onClick={addRow}>Add mapping</button>
+        <button className='btn-ghost' style={{padding:'8px 12px', fontSize:12}} disabled={!dirty} onClick={saveMappings}>Save mappings</button>
+      </div>
+    </div>
+  )
+}
+
+const WEBHOOK_INPUT_STYLE = { width:'100%', padding:10, borderRadius:8, border:'1px solid var(--bg-600)', background:'transparent', color:'var(--accent)', boxSizing:'border-box' };
+const EMPTY_WEBHOOK = { name: '', kind: 'generic', url: '', events: [], secret: '', token: '', sections: '', enabled: true };
+
+// Admin-only; the section hides itself when the API refuses access
+function WebhookSettings({ pushToast }) {
+  const [available, setAvailable] = useState(false);
+  const [webhooks, setWebhooks] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [kinds, setKinds] = useState([]);
+  const [deliveries, setDeliveries] = useState([]);
+  const [draft, setDraft] = useState(null);
+
+  const fetchWebhooks = async () => {
+    try {
+      const r = await axios.get(API('/webhooks'));
+      setWebhooks(r.data.webhooks || []);
+      setEvents(r.data.events || []);
+      setKinds(r.data.kinds || []);
+      setAvailable(true);
+      const d = await axios.get(API('/webhooks/deliveries'), { params: { limit: 20 } });
+      setDeliveries(d.data.deliveries || []);
+    } catch (e) {
+      setAvailable(false);
+    }
+  };
+
+  useEffect(() => { fetchWebhooks(); }, []);
+
+  if (!available) return null;
+
+  const toggleEvent = (ev) => {
+    const set = new Set(draft.events || []);
+    if (set.has(ev)) set.delete(ev); else set.add(ev);
+    setDraft({ ...draft, events: Array.from(set) });
+  };
+
+  const saveDraft = async () => {
+    try {
+      const body = { ...draft, sections: draft.kind === 'plex' ? draft.sections : '' };
+      if (draft.id) await axios.put(API(`/webhooks/${draft.id}`), body);
+      else await axios.post(API('/webhooks'), body);
+      setDraft(null);
+      fetchWebhooks();
+    } catch (e) {
+      pushToast && pushToast('Webhooks', (e.response && e.response.data && e.response.data.error) || 'Save failed');
+    }
+  };
+
+  const removeWebhook = async (id) => {
+    try {
+      await axios.delete(API(`/webhooks/${id}`));
+      fetchWebhooks();
+    } catch (e) {
+      pushToast && pushToast('Webhooks', 'Delete failed');
+    }
+  };
+
+  const testWebhook = async (id) => {
+    try {
+      const r = await axios.post(API(`/webhooks/${id}/test`));
+      const d = r.data.delivery || {};
+      pushToast && pushToast('Webhooks', r.data.ok ? `Test delivered (HTTP ${d.response_status})` : `Test failed: ${d.error || 'unknown error'}`);
+      fetchWebhooks();
+    } catch (e) {
+      pushToast && pushToast('Webhooks', 'Test failed');
+    }
+  };
+
+  const hookName = (id) => {
+    const hook = webhooks.find(h => h.id === id);
+    return hook ? hook.name : id;
+  };
+
+  return (
+    <div style={{marginTop:18}}>
+      <label style={{fontSize:13, color:'var(--muted)'}}>Webhooks &amp; media server refresh</label>
+      <div style={{fontSize:12, color:'var(--muted)', marginTop:4}}>
+        Generic webhooks receive a JSON POST for each selected event (signed with <code>X-MMP-Signature</code> when a secret is set). Jellyfin and Plex targets trigger a library refresh.
+      </div>
+      <div style={{marginTop:8, display:'flex', flexDirection:'column', gap:6}}>
+        {webhooks.length === 0 ? <div style={{fontSize:13, color:'var(--muted)'}}>No webhooks configured.</div> : webhooks.map(h => (
+          <div key={h.id} style={{display:'flex', alignItems:'center', gap:8, padding:'8px 12px', background:'var(--bg-800)', border:'1px solid var(--bg-600)', borderRadius:8, fontSize:12}}>
+            <span style={{color:'var(--accent)', fontWeight:500}}>{h.name}</span>
+            <span className='folder-chip'>{h.kind}</span>
+            <span style={{color:'var(--muted)', flex:1, wordBreak:'break-all'}}>{h.enabled ? h.events.join(', ') : 'disabled'}</span>
+            <button className='btn-ghost' style={{padding:'4px 8px', fontSize:11}} onClick={() => testWebhook(h.id)}>Test</button>
+            <button className='btn-ghost' style={{padding:'4px 8px', fontSize:11}} onClick={() => setDraft({ ...EMPTY_WEBHOOK, ...h, secret: '', token: '', sections: (h.sections || []).join(',') })}>Edit</button>
+            <button className='btn-ghost' style={{padding:'4px 8px', fontSize:11, background:'#e74c3c33', color:'#ffb4b4', border:'1px solid #e74c3c66'}} onClick={() => removeWebhook(h.id)}>Delete</button>
+          </div>
+        ))}
+      </div>
+      {draft ? (
+        <div className="form-card" style={{marginTop:10, display:'flex', flexDirection:'column', gap:8}}>
+          <div style={{display:'flex', gap:8}}>
+            <input style={WEBHOOK_INPUT_STYLE} placeholder='Name' value={draft.name} onChange={e => setDraft({ ...draft, name: e.target.value })} />
+            <select className='form-input' value={draft.kind} onChange={e => setDraft({ ...draft, kind: e.target.value })}>
+              {kinds.map(k => <option key={k} value={k}>{k}</option>)}
+            </select>
+          </div>
+          <input style={WEBHOOK_INPUT_STYLE} placeholder={draft.kind === 'generic' ? 'https://example.com/hook' : 'http://server:port'} value={draft.url} onChange={e => setDraft({ ...draft, url: e.target.value })} />
+          {draft.kind === 'generic' ? (
+            <input style={WEBHOOK_INPUT_STYLE} type='password' placeholder={draft.hasSecret ? 'Secret (unchanged)' : 'Signing secret (optional)'} value={draft.secret} onChange={e => setDraft({ ...draft, secret: e.target.value })} />
+          ) : (
+            <input style={WEBHOOK_INPUT_STYLE} type='password' placeholder={draft.hasToken ? 'API token (unchanged)' : 'API token'} value={draft.token} onChange={e => setDraft({ ...draft, token: e.target.value })} />
+          )}
+          {draft.kind === 'plex' ? (
+            <input style={WEBHOOK_INPUT_STYLE} placeholder='Section ids, comma separated (blank = all)' value={draft.sections} onChange={e => setDraft({ ...draft, sections: e.target.value })} />
+          ) : null}
+          <div style={{display:'flex', flexWrap:'wrap', gap:12, fontSize:12}}>
+            {events.map(ev => (
+              <label key={ev} style={{display:'flex', alignItems:'center', gap:6}}>
+                <input type='checkbox' className='settings-checkbox' checked={(draft.events || []).includes(ev)} onChange={() => toggleEvent(ev)} />
+                {ev}
+              </label>
+            ))}
+          </div>
+          <label style={{display:'flex', alignItems:'center', gap:6, fontSize:12}}>
+            <input type='checkbox' className='settings-checkbox' checked={draft.enabled !== false} onChange={e => setDraft({ ...draft, enabled: e.target.checked })} />
+            Enabled
+          </label>
+          <div style={{display:'flex', gap:8}}>
+            <button className='btn-save' onClick={saveDraft}>{draft.id ? 'Update webhook' : 'Add webhook'}</button>
+            <button className='btn-ghost' onClick={() => setDraft(null)}>Cancel</button>
+          </div>
+        </div>
+      ) : (
+        <button className='btn-ghost' style={{marginTop:8, padding:'8px 12px', fontSize:12}} onClick={() => setDraft({ ...EMPTY_WEBHOOK })}>Add webhook</button>
+      )}
+      {deliveries.length > 0 ? (
+        <div style={{marginTop:10, background:'var(--bg-800)', borderRadius:8, overflow:'hidden', border:'1px solid var(--bg-600)'}}>
+          <table style={{width:'100%', borderCollapse:'collapse', fontSize:12, textAlign:'left'}}>
+            <thead>
+              <tr style={{background:'var(--bg-700)', color:'var(--muted)'}}>
+                <th style={{padding:'8px 12px'}}>Time</th>
+                <th style={{padding:'8px 12px'}}>Webhook</th>
+                <th style={{padding:'8px 12px'}}>Event</th>
+                <th style={{padding:'8px 12px'}}>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {deliveries.map(d => (
+                <tr key={d.id} style={{borderTop:'1px solid var(--bg-600)'}}>
+                  <td style={{padding:'8px 12px', color:'var(--muted)', whiteSpace:'nowrap'}}>{new Date(d.created_at).toLocaleString()}</td>
+                  <td style={{padding:'8px 12px'}}>{hookName(d.webhook_id)}</td>
+                  <td style={{padding:'8px 12px'}}>{d.event}</td>
+                  <td style={{padding:'8px 12px', color: d.status === 'failed' ? '#ffb4b4' : 'var(--accent)'}} title={d.error || ''}>
+                    {d.status}{d.attempts > 1 ? ` (${d.attempts} attempts)` : ''}{d.response_status ? ` · HTTP ${d.response_status}` : ''}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+const EMPTY_TOKEN = { label: '', scopes: ['read'], expiresInDays: '90' };
+
+function ApiTokens({ pushToast }) {
+  const [tokens, setTokens] = useState([]);
+  const [scopes, setScopes] = useState([]);
+  const [draft, setDraft] = useState(null);
+  // Only the create response carries the token itself
+  const [created, setCreated] = useState(null);
+
+  const fetchTokens = async () => {
+    try {
+      const r = await axios.get(API('/tokens'));
+      setTokens(r.data.tokens || []);
+      setScopes(r.data.scopes || []);
+    } catch (e) {}
+  };
+
+  useEffect(() => { fetchTokens(); }, []);
+
+  const toggleScope = (scope) => {
+    const set = new Set(draft.scopes || []);
+    if (set.has(scope)) set.delete(scope); else set.add(scope);
+    setDraft({ ...draft, scopes: Array.from(set) });
+  };
+
+  const createToken = async () => {
+    try {
+      const r = await axios.post(API('/tokens'), draft);
+      setCreated(r.data.secret);
+      setDraft(null);
+      fetchTokens();
+    } catch (e) {
+      pushToast && pushToast('API tokens', (e.response && e.response.data && e.response.data.error) || 'Create failed');
+    }
+  };
+
+  const revokeToken = async (id) => {
+    try {
+      await axios.delete(API(`/tokens/${id}`));
+      fetchTokens();
+    } catch (e) {
+      pushToast && pushToast('API tokens', 'Revoke failed');
+    }
+  };
+
+  const status = (t) => (t.revokedAt ? 'revoked' : (t.expired ? 'expired' : (t.expiresAt ? `expires ${new Date(t.expiresAt).toLocaleDateString()}` : 'no expiry')));
+
+  return (
+    <div style={{marginTop:18}}>
+      <label style={{fontSize:13, color:'var(--muted)'}}>API tokens</label>
+      <div style={{fontSize:12, color:'var(--muted)', marginTop:4}}>
+        Scripts and download clients send a token as <code>Authorization: Bearer &lt;token&gt;</code> instead of signing in. Every token can read; scan, enrich and apply allow those actions, and import lets a download client send finished downloads.
+      </div>
+      {created ? (
+        <div className="form-card" style={{marginTop:8, display:'flex', flexDirection:'column', gap:8}}>
+          <div style={{fontSize:12, color:'var(--muted)'}}>Copy this token now. It is not shown again.</div>
+          <input style={WEBHOOK_INPUT_STYLE} readOnly value={created} onFocus={e => e.target.select()} />
+          <div><button className='btn-ghost' style={{padding:'6px 10px', fontSize:12}} onClick={() => setCreated(null)}>Done</button></div>
+        </div>
+      ) : null}
+      <div style={{marginTop:8, display:'flex', flexDirection:'column', gap:6}}>
+        {tokens.length === 0 ? <div style={{fontSize:13, color:'var(--muted)'}}>No API tokens.</div> : tokens.map(t => (
+          <div key={t.id} style={{display:'flex', alignItems:'center', gap:8, padding:'8px 12px', background:'var(--bg-800)', border:'1px solid var(--bg-600)', borderRadius:8, fontSize:12, opacity: t.revokedAt || t.expired ? 0.6 : 1}}>
+            <span style={{color:'var(--accent)', fontWeight:500}}>{t.label || t.prefix}</span>
+            <code>{t.prefix}…</code>
+            <span className='folder-chip'>{t.scopes.join(', ')}</span>
+            <span style={{color:'var(--muted)', flex:1}}>{status(t)}{t.lastUsedAt ? ` · last used ${new Date(t.lastUsedAt).toLocaleString()}` : ' · never used'}</span>
+            {!t.revokedAt ? (
+              <button className='btn-ghost' style={{padding:'4px 8px', fontSize:11, background:'#e74c3c33', color:'#ffb4b4', border:'1px solid #e74c3c66'}} onClick={() => revokeToken(t.id)}>Revoke</button>
+            ) : null}
+          </div>
+        ))}
+      </div>
+      {draft ? (
+        <div className="form-card" style={{marginTop:10, display:'flex', flexDirection:'column', gap:8}}>
+          <div style={{display:'flex', gap:8}}>
+            <input style={WEBHOOK_INPUT_STYLE} placeholder='Label (e.g., qBittorrent)' value={draft.label} onChange={e => setDraft({ ...draft, label: e.target.value })} />
+            <input style={{ ...WEBHOOK_INPUT_STYLE, width:180 }} type='number' min='0' placeholder='Days (0 = never)' value={draft.expiresInDays} onChange={e => setDraft({ ...draft, expiresInDays: e.target.value })} />
+          </div>
+          <div style={{display:'flex', flexWrap:'wrap', gap:12, fontSize:12}}>
+            {scopes.map(scope => (
+              <label key={scope} style={{display:'flex', alignItems:'center', gap:6}}>
+                <input type='checkbox' className='settings-checkbox' checked={(draft.scopes || []).includes(scope)} onChange={() => toggleScope(scope)} />
+                {scope}
+              </label>
+            ))}
+          </div>
+          <div style={{display:'flex', gap:8}}>
+            <button className='btn-save' onClick={createToken}>Create token</button>
+            <button className='btn-ghost' onClick={() => setDraft(null)}>Cancel</button>
+          </div>
+        </div>
+      ) : (
+        <button className='btn-ghost' style={{marginTop:8, padding:'8px 12px', fontSize:12}} onClick={() => setDraft({ ...EMPTY_TOKEN })}>Create token</button>
+      )}
+    </div>
+  );
+}
+
+const EMPTY_CATEGORY = { name: '', outputFolder: '', apply: false };
+
+// Download-client categories for POST /api/import
+function ImportCategories({ pushToast }) {
+  const [categories, setCategories] = useState([]);
+  const [dirty, setDirty] = useState(false);
+
+  const fetchCategories = async () => {
+    try {
+      const r = await axios.get(API('/import/categories'));
+      setCategories(r.data.categories || []);
+      setDirty(false);
+    } catch (e) {}
+  };
+
+  useEffect(() => { fetchCategories(); }, []);
+
+  const update = (idx, patch) => {
+    setCategories(categories.map((c, i) => (i === idx ? { ...c, ...patch } : c)));
+    setDirty(true);
+  };
+
+  const remove = (idx) => {
+    setCategories(categories.filter((_, i) => i !== idx));
+    setDirty(true);
+  };
+
+  const save = async () => {
+    try {
+      const r = await axios.put(API('/import/categories'), { categories });
+      setCategories(r.data.categories || []);
+      setDirty(false);
+      pushToast && pushToast('Import categories', 'Saved');
+    } catch (e) {
+      pushToast && pushToast('Import categories', (e.response && e.response.data && e.response.data.error) || 'Save failed');
+    }
+  };
+
+  return (
+    <div style={{marginTop:18}}>
+      <label style={{fontSize:13, color:'var(--muted)'}}>Download client categories</label>
+      <div style={{fontSize:12, color:'var(--muted)', marginTop:4}}>
+        Downloads sent to <code>/api/import</code> with a category that applies are renamed into its output folder (or the library's when empty). Other downloads follow the auto-apply rules.
+      </div>
+      <div style={{marginTop:8, display:'flex', flexDirection:'column', gap:6}}>
+        {categories.length === 0 ? <div style={{fontSize:13, color:'var(--muted)'}}>No categories.</div> : categories.map((c, idx) => (
+          <div key={idx} style={{display:'flex', alignItems:'center', gap:8}}>
+            <input style={{ ...WEBHOOK_INPUT_STYLE, width:160 }} placeholder='Category (e.g., anime)' value={c.name} onChange={e => update(idx, { name: e.target.value })} />
+            <input style={WEBHOOK_INPUT_STYLE} placeholder='Output folder (optional)' value={c.outputFolder || ''} onChange={e => update(idx, { outputFolder: e.target.value })} />
+            <label style={{display:'flex', alignItems:'center', gap:6, fontSize:12, whiteSpace:'nowrap'}}>
+              <input type='checkbox' className='settings-checkbox' checked={!!c.apply} onChange={e => update(idx, { apply: e.target.checked })} />
+              Apply
+            </label>
+            <button className='btn-ghost' style={{padding:'4px 8px', fontSize:11}} onClick={() => remove(idx)}>Remove</button>
+          </div>
+        ))}
+      </div>
+      <div style={{display:'flex', gap:8, marginTop:8}}>
+        <button className='btn-ghost' style={{padding:'8px 12px', fontSize:12}} onClick={() => { setCategories([...categories, { ...EMPTY_CATEGORY }]); setDirty(true); }}>Add category</button>
+        {dirty ? <button className='btn-save' onClick={save}>Save categories</button> : null}
+      </div>
+    </div>
+  );
+}
+
 export default function Settings({ pushToast, cardParallax, setCardParallax }){
-  // keys: tmdb for TMDb (keep backward compatibility with tvdb_api_key)
-  const [tmdbKey, setTmdbKey] = useState('')
-  const [anilistKey, setAnilistKey] = useState('')
-  const [anidbUsername, setAnidbUsername] = useState('')
-  const [anidbPassword, setAnidbPassword] = useState('')
-  const [anidbClientName, setAnidbClientName] = useState('mediabrowser')
-  const [anidbClientVersion, setAnidbClientVersion] = useState('1')
-  const [tvdbV4ApiKey, setTvdbV4ApiKey] = useState('')
-  const [tvdbV4UserPin, setTvdbV4UserPin] = useState('')
+  // Installed metadata providers; credential values are keyed by their setting key
+  const [providers, setProviders] = useState(PROVIDERS)
+  const providersRef = useRef(PROVIDERS)
+  const [credentials, setCredentials] = useState({})
+  const [revealedCredentials, setRevealedCredentials] = useState({})
   const [providerOrder, setProviderOrder] = useState([...DEFAULT_PROVIDER_ORDER])
   const [dragProvider, setDragProvider] = useState(null)
   const [dragOverIndex, setDragOverIndex] = useState(null)
   const [renameTemplate, setRenameTemplate] = useState('{title} - {epLabel} - {episodeTitle}')
-  const [showTmdbKey, setShowTmdbKey] = useState(false)
-  const [showAnilistKey, setShowAnilistKey] = useState(false)
-  const [showAnidbUsername, setShowAnidbUsername] = useState(false)
-  const [showAnidbPassword, setShowAnidbPassword] = useState(false)
-  const [showTvdbV4ApiKey, setShowTvdbV4ApiKey] = useState(false)
-  const [showTvdbV4UserPin, setShowTvdbV4UserPin] = useState(false)
+  const [folderTemplate, setFolderTemplate] = useState('')
+  const [templatePreview, setTemplatePreview] = useState({ name: '', folder: '', errors: [] })
   const [inputPath, setInputPath] = useState('')
   const [outputPath, setOutputPath] = useState('')
   const [outputFolders, setOutputFolders] = useState([])
@@ -169,6 +818,10 @@ export default function Settings({ pushToast, cardParallax, setCardParallax }){
   const [testRegexInput, setTestRegexInput] = useState('')
   const [enableFolderWatch, setEnableFolderWatch] = useState(false)
   const [deleteHardlinksOnUnapprove, setDeleteHardlinksOnUnapprove] = useState(true)
+  const [applyAtomic, setApplyAtomic] = useState(false)
+  const [applyMode, setApplyMode] = useState('hardlink')
+  const [writeNfo, setWriteNfo] = useState(false)
+  const [writeArtwork, setWriteArtwork] = useState(false)
   const [extractSubtitles, setExtractSubtitles] = useState(false)
   const [subtitleFormat, setSubtitleFormat] = useState('ass')
   const [copySidecarSubtitles, setCopySidecarSubtitles] = useState(false)
@@ -203,23 +856,32 @@ export default function Settings({ pushToast, cardParallax, setCardParallax }){
     ]
   }, [])
 
+  const knownProviderIds = () => providersRef.current.map(p => p.id)
+  const storedValue = (k) => localStorage.getItem(k)
+
+  // The provider list decides which credential fields exist, so it loads before the settings
+  function loadProviders() {
+    return axios.get(API('/providers')).then(r => {
+      const list = Array.isArray(r.data && r.data.providers) ? r.data.providers : []
+      if (!list.length) return
+      const next = list.map(p => ({ id: p.id, label: p.name || p.id, description: p.description || '', credentials: p.credentials || [], configured: p.configured }))
+      providersRef.current = next
+      setProviders(next)
+    }).catch(() => {})
+  }
+
   useEffect(() => {
     // prefer user-specific settings from server, fall back to localStorage
-    axios.get(API('/settings')).then(r => {
+    loadProviders().then(() => axios.get(API('/settings'))).then(r => {
       const server = (r.data && r.data.serverSettings) ? r.data.serverSettings : {}
+      const fields = credentialFieldsOf(providersRef.current)
       try {
         const user = (r.data && r.data.userSettings) ? r.data.userSettings : null
         if (user) {
-          setTmdbKey(user.tmdb_api_key || user.tvdb_api_key || '')
-          setAnilistKey(user.anilist_api_key || '')
-          setAnidbUsername(user.anidb_username || '')
-          setAnidbPassword(user.anidb_password || '')
-          setAnidbClientName(user.anidb_client_name || 'mediabrowser')
-          setAnidbClientVersion(user.anidb_client_version || '1')
-          setTvdbV4ApiKey(user.tvdb_v4_api_key || '')
-          setTvdbV4UserPin(user.tvdb_v4_user_pin || '')
-          setProviderOrder(sanitizeProviderOrder(user.metadata_provider_order || user.default_meta_provider))
+          setCredentials(pickCredentials(fields, k => user[k]))
+          setProviderOrder(sanitizeProviderOrder(user.metadata_provider_order || user.default_meta_provider, knownProviderIds()))
           setRenameTemplate(user.rename_template || '{title} ({year}) - {epLabel} - {episodeTitle}')
+          setFolderTemplate(user.folder_template || '')
           setInputPath(user.scan_input_path || '')
           setOutputPath(user.scan_output_path || '')
           setEnableFolderWatch(user.enable_folder_watch === true || user.enable_folder_watch === 'true')
@@ -229,6 +891,13 @@ export default function Settings({ pushToast, cardParallax, setCardParallax }){
             ? (serverDeletePref === undefined ? true : (serverDeletePref === true || serverDeletePref === 'true'))
             : (deleteLinksPref === true || deleteLinksPref === 'true')
           setDeleteHardlinksOnUnapprove(resolvedDeletePref)
+          const atomicPref = user.apply_atomic === undefined ? server.apply_atomic : user.apply_atomic
+          setApplyAtomic(atomicPref === true || atomicPref === 'true')
+          setApplyMode(user.apply_mode || server.apply_mode || 'hardlink')
+          const nfoPref = user.write_nfo === undefined ? server.write_nfo : user.write_nfo
+          setWriteNfo(nfoPref === true || nfoPref === 'true')
+          const artworkPref = user.write_artwork === undefined ? server.write_artwork : user.write_artwork
+          setWriteArtwork(artworkPref === true || artworkPref === 'true')
           const extractPref = user.extract_subtitles
           const serverExtractPref = server.extract_subtitles
           const resolvedExtractPref = extractPref === undefined
@@ -268,14 +937,6 @@ export default function Settings({ pushToast, cardParallax, setCardParallax }){
         }
       } catch (e) {}
       try {
-        const v = server.tmdb_api_key || localStorage.getItem('tmdb_api_key') || localStorage.getItem('tvdb_api_key') || ''
-        const a = server.anilist_api_key || localStorage.getItem('anilist_api_key') || ''
-        const anidbUser = server.anidb_username || localStorage.getItem('anidb_username') || ''
-        const anidbPass = server.anidb_password || localStorage.getItem('anidb_password') || ''
-        const anidbClient = server.anidb_client_name || localStorage.getItem('anidb_client_name') || 'mediabrowser'
-        const anidbVer = server.anidb_client_version || localStorage.getItem('anidb_client_version') || '1'
-        const tvV4Key = server.tvdb_v4_api_key || localStorage.getItem('tvdb_v4_api_key') || ''
-        const tvV4Pin = server.tvdb_v4_user_pin || localStorage.getItem('tvdb_v4_user_pin') || ''
         const inp = localStorage.getItem('scan_input_path') || ''
         const out = localStorage.getItem('scan_output_path') || ''
         const storedWatch = localStorage.getItem('enable_folder_watch') === 'true'
@@ -299,18 +960,12 @@ export default function Settings({ pushToast, cardParallax, setCardParallax }){
           : (server.hardsub_enabled === true || server.hardsub_enabled === 'true')
         const storedOrder = localStorage.getItem('metadata_provider_order') || localStorage.getItem('default_meta_provider')
         const storedFolders = localStorage.getItem('output_folders')
-        setTmdbKey(v)
-        setAnilistKey(a)
-        setAnidbUsername(anidbUser)
-        setAnidbPassword(anidbPass)
-        setAnidbClientName(anidbClient)
-        setAnidbClientVersion(anidbVer)
-        setTvdbV4ApiKey(tvV4Key)
-        setTvdbV4UserPin(tvV4Pin)
+        setCredentials(pickCredentials(fields, k => server[k], storedValue))
         setInputPath(inp)
         setOutputPath(out)
         setEnableFolderWatch(storedWatch)
   setDeleteHardlinksOnUnapprove(deletePref)
+        setApplyMode(localStorage.getItem('apply_mode') || server.apply_mode || 'hardlink')
         setExtractSubtitles(extractPref)
         setSubtitleFormat(storedSubtitleFormat)
         setCopySidecarSubtitles(sidecarPref)
@@ -323,7 +978,7 @@ export default function Settings({ pushToast, cardParallax, setCardParallax }){
         const skipAnimePref2 = storedSkipAnimePref != null ? storedSkipAnimePref === 'true' : (server.default_rescan_skip_anime === true || server.default_rescan_skip_anime === 'true');
         setDefaultRescanSkipAnime(skipAnimePref2);
           setLogTimezone(server.log_timezone || localStorage.getItem('log_timezone') || '')
-        setProviderOrder(sanitizeProviderOrder(storedOrder))
+        setProviderOrder(sanitizeProviderOrder(storedOrder, knownProviderIds()))
         try {
           const parsedFolders = storedFolders ? JSON.parse(storedFolders) : []
           const normalizedFolders = Array.isArray(parsedFolders) ? parsedFolders : []
@@ -336,14 +991,6 @@ export default function Settings({ pushToast, cardParallax, setCardParallax }){
       } catch (e) {}
     }).catch(()=>{
       try {
-        const v = localStorage.getItem('tmdb_api_key') || localStorage.getItem('tvdb_api_key') || ''
-        const a = localStorage.getItem('anilist_api_key') || ''
-        const anidbUser = localStorage.getItem('anidb_username') || ''
-        const anidbPass = localStorage.getItem('anidb_password') || ''
-        const anidbClient = localStorage.getItem('anidb_client_name') || 'mediabrowser'
-        const anidbVer = localStorage.getItem('anidb_client_version') || '1'
-        const tvV4Key = localStorage.getItem('tvdb_v4_api_key') || ''
-        const tvV4Pin = localStorage.getItem('tvdb_v4_user_pin') || ''
         const inp = localStorage.getItem('scan_input_path') || ''
         const out = localStorage.getItem('scan_output_path') || ''
   const storedOrder = localStorage.getItem('metadata_provider_order') || localStorage.getItem('default_meta_provider')
@@ -353,18 +1000,12 @@ export default function Settings({ pushToast, cardParallax, setCardParallax }){
         const storedSidecarPref2 = localStorage.getItem('copy_sidecar_subtitles')
         const storedHardsubPref2 = localStorage.getItem('hardsub_enabled')
         const storedFolders = localStorage.getItem('output_folders')
-        setTmdbKey(v)
-        setAnilistKey(a)
-        setAnidbUsername(anidbUser)
-        setAnidbPassword(anidbPass)
-        setAnidbClientName(anidbClient)
-        setAnidbClientVersion(anidbVer)
-        setTvdbV4ApiKey(tvV4Key)
-        setTvdbV4UserPin(tvV4Pin)
+        setCredentials(pickCredentials(credentialFieldsOf(providersRef.current), storedValue))
         setInputPath(inp)
         setOutputPath(out)
-        setProviderOrder(sanitizeProviderOrder(storedOrder))
+        setProviderOrder(sanitizeProviderOrder(storedOrder, knownProviderIds()))
   setDeleteHardlinksOnUnapprove(storedDeletePref == null ? true : storedDeletePref !== 'false')
+        setApplyMode(localStorage.getItem('apply_mode') || 'hardlink')
         setExtractSubtitles(storedExtractPref2 === 'true')
         setSubtitleFormat(storedSubtitleFormat2)
         setCopySidecarSubtitles(storedSidecarPref2 === 'true')
@@ -392,6 +1033,16 @@ export default function Settings({ pushToast, cardParallax, setCardParallax }){
     axios.get(API('/session')).then(r => { if (r.data && r.data.authenticated) setSessionUser(r.data.username) }).catch(()=>{})
   }, [])
 
+  useEffect(() => {
+    // Render templates server-side so the preview matches what apply will produce
+    const handle = setTimeout(() => {
+      axios.post(API('/rename/template-preview'), { template: renameTemplate, folderTemplate })
+        .then(r => setTemplatePreview({ name: r.data.name || '', folder: r.data.folder || '', errors: r.data.errors || [] }))
+        .catch(() => {})
+    }, 250)
+    return () => clearTimeout(handle)
+  }, [renameTemplate, folderTemplate])
+
   const [inputExists, setInputExists] = useState(null)
   const [outputExists, setOutputExists] = useState(null)
 
@@ -405,23 +1056,24 @@ export default function Settings({ pushToast, cardParallax, setCardParallax }){
 
   async function save(){
     try {
-      // save locally as fallback (tmdb)
-      try { localStorage.setItem('tmdb_api_key', tmdbKey); localStorage.setItem('tvdb_api_key', tmdbKey) } catch (e) {}
-      try { localStorage.setItem('anilist_api_key', anilistKey) } catch (e) {}
-      try { localStorage.setItem('anidb_username', anidbUsername) } catch (e) {}
-      try { localStorage.setItem('anidb_password', anidbPassword) } catch (e) {}
-      try { localStorage.setItem('anidb_client_name', anidbClientName) } catch (e) {}
-      try { localStorage.setItem('anidb_client_version', anidbClientVersion) } catch (e) {}
-      try { localStorage.setItem('tvdb_v4_api_key', tvdbV4ApiKey) } catch (e) {}
-      try { localStorage.setItem('tvdb_v4_user_pin', tvdbV4UserPin) } catch (e) {}
+      // save locally as fallback
+      const credentialValues = {}
+      for (const field of credentialFieldsOf(providers)) {
+        const value = credentials[field.key] != null ? credentials[field.key] : (field.default || '')
+        credentialValues[field.key] = value
+        try { localStorage.setItem(field.key, value) } catch (e) {}
+        if (LEGACY_CREDENTIAL_KEYS[field.key]) { try { localStorage.setItem(LEGACY_CREDENTIAL_KEYS[field.key], value) } catch (e) {} }
+      }
       try { localStorage.setItem('metadata_provider_order', JSON.stringify(providerOrder)) } catch (e) {}
       try { localStorage.setItem('default_meta_provider', providerOrder[0] || 'tmdb') } catch (e) {}
       localStorage.setItem('rename_template', renameTemplate)
+      localStorage.setItem('folder_template', folderTemplate)
       try { localStorage.setItem('client_os', clientOS) } catch (e) {}
       localStorage.setItem('scan_input_path', inputPath)
       localStorage.setItem('scan_output_path', outputPath)
       localStorage.setItem('enable_folder_watch', String(enableFolderWatch))
       localStorage.setItem('delete_hardlinks_on_unapprove', String(deleteHardlinksOnUnapprove))
+      localStorage.setItem('apply_mode', applyMode)
       localStorage.setItem('extract_subtitles', String(extractSubtitles))
       localStorage.setItem('extract_subtitle_format', subtitleFormat)
       localStorage.setItem('copy_sidecar_subtitles', String(copySidecarSubtitles))
@@ -434,20 +1086,17 @@ export default function Settings({ pushToast, cardParallax, setCardParallax }){
       const firstProvider = providerOrder[0] || 'tmdb'
       try {
         await axios.post(API('/settings'), {
-          tmdb_api_key: tmdbKey,
-          anilist_api_key: anilistKey,
-          anidb_username: anidbUsername,
-          anidb_password: anidbPassword,
-          anidb_client_name: anidbClientName,
-          anidb_client_version: anidbClientVersion,
-          tvdb_v4_api_key: tvdbV4ApiKey,
-          tvdb_v4_user_pin: tvdbV4UserPin,
+          ...credentialValues,
           default_meta_provider: firstProvider,
           metadata_provider_order: providerOrder,
           scan_input_path: inputPath,
           scan_output_path: outputPath,
           enable_folder_watch: enableFolderWatch,
           delete_hardlinks_on_unapprove: deleteHardlinksOnUnapprove,
+          apply_atomic: applyAtomic,
+          apply_mode: applyMode,
+          write_nfo: writeNfo,
+          write_artwork: writeArtwork,
           extract_subtitles: extractSubtitles,
           extract_subtitle_format: subtitleFormat,
           copy_sidecar_subtitles: copySidecarSubtitles,
@@ -458,6 +1107,7 @@ export default function Settings({ pushToast, cardParallax, setCardParallax }){
           output_folders: outputFolders,
           custom_regexes: customRegexes,
           rename_template: renameTemplate,
+          folder_template: folderTemplate,
           client_os: clientOS,
           log_timezone: logTimezone
         })
@@ -478,20 +1128,20 @@ export default function Settings({ pushToast, cardParallax, setCardParallax }){
 
   function clearAll(){
     try {
-      setTmdbKey('')
-      setAnilistKey('')
-      setAnidbUsername('')
-      setAnidbPassword('')
-      setAnidbClientName('mediabrowser')
-      setAnidbClientVersion('1')
-      setTvdbV4ApiKey('')
-      setTvdbV4UserPin('')
+      const fields = credentialFieldsOf(providers)
+      const clearedCredentials = pickCredentials(fields)
+      setCredentials(clearedCredentials)
       setProviderOrder([...DEFAULT_PROVIDER_ORDER])
       setRenameTemplate('{title} - {epLabel} - {episodeTitle}')
+      setFolderTemplate('')
       setInputPath('')
       setOutputPath('')
   setEnableFolderWatch(false)
   setDeleteHardlinksOnUnapprove(true)
+  setApplyAtomic(false)
+  setApplyMode('hardlink')
+  setWriteNfo(false)
+  setWriteArtwork(false)
   setExtractSubtitles(false)
   setSubtitleFormat('ass')
   setCopySidecarSubtitles(false)
@@ -502,19 +1152,18 @@ export default function Settings({ pushToast, cardParallax, setCardParallax }){
   setCustomRegexes([])
   setCustomRegexesDirty([])
       setLogTimezone('')
-      localStorage.removeItem('tmdb_api_key')
-      localStorage.removeItem('anilist_api_key')
-      localStorage.removeItem('anidb_username')
-      localStorage.removeItem('anidb_password')
-      localStorage.removeItem('tvdb_api_key')
-      localStorage.removeItem('tvdb_v4_api_key')
-      localStorage.removeItem('tvdb_v4_user_pin')
+      for (const field of fields) {
+        localStorage.removeItem(field.key)
+        if (LEGACY_CREDENTIAL_KEYS[field.key]) localStorage.removeItem(LEGACY_CREDENTIAL_KEYS[field.key])
+      }
       localStorage.removeItem('default_meta_provider')
       localStorage.removeItem('metadata_provider_order')
+      localStorage.removeItem('folder_template')
       localStorage.removeItem('scan_input_path')
       localStorage.removeItem('scan_output_path')
       localStorage.removeItem('enable_folder_watch')
   localStorage.removeItem('delete_hardlinks_on_unapprove')
+      localStorage.removeItem('apply_mode')
       localStorage.removeItem('extract_subtitles')
       localStorage.removeItem('extract_subtitle_format')
       localStorage.removeItem('copy_sidecar_subtitles')
@@ -526,7 +1175,7 @@ export default function Settings({ pushToast, cardParallax, setCardParallax }){
         localStorage.removeItem('client_os')
         localStorage.removeItem('log_timezone')
       localStorage.setItem('rename_template', '{title} - {epLabel} - {episodeTitle}')
-  axios.post(API('/settings'), { tmdb_api_key: '', anilist_api_key: '', anidb_username: '', anidb_password: '', default_meta_provider: 'tmdb', metadata_provider_order: DEFAULT_PROVIDER_ORDER, tvdb_v4_api_key: '', tvdb_v4_user_pin: '', scan_input_path: '', scan_output_path: '', enable_folder_watch: false, rename_template: '{title} - {epLabel} - {episodeTitle}', output_folders: [], custom_regexes: [], log_timezone: '' }).catch(()=>{})
+  axios.post(API('/settings'), { ...clearedCredentials, default_meta_provider: 'tmdb', metadata_provider_order: DEFAULT_PROVIDER_ORDER, scan_input_path: '', scan_output_path: '', enable_folder_watch: false, rename_template: '{title} - {epLabel} - {episodeTitle}', output_folders: [], custom_regexes: [], log_timezone: '' }).catch(()=>{})
       setDirty(false)
       pushToast && pushToast('Settings', 'Cleared')
     } catch (e) { pushToast && pushToast('Error', 'Failed to clear') }
@@ -560,17 +1209,17 @@ export default function Settings({ pushToast, cardParallax, setCardParallax }){
             if (!jr || !jr.data || !jr.data.job) return
             const job = jr.data.job
             setBackfillJob(prev => ({ ...prev, processedItems: job.processedItems, total: job.totalItems }))
-            if (job.status === 'done' || job.status === 'error') {
+            if (JOB_FINISHED_STATUSES.has(job.status)) {
               clearInterval(t)
               const result = (job.results && job.results[0]) || {}
               setBackfillJob({
-                status: job.status,
+                status: job.status === 'cancelled' ? 'error' : job.status,
                 extracted: result.extracted ?? 0,
                 skipped: result.skipped ?? 0,
                 missing: result.missing ?? 0,
                 errors: result.errors ?? 0,
                 total: result.total ?? job.totalItems,
-                message: job.error || null
+                message: job.status === 'cancelled' ? 'Cancelled' : (job.error || null)
               })
               resolve()
             }
@@ -585,17 +1234,22 @@ export default function Settings({ pushToast, cardParallax, setCardParallax }){
 
   const providerDetails = useMemo(() => {
     const map = new Map()
-    for (const p of PROVIDERS) map.set(p.id, p)
+    for (const p of providers) map.set(p.id, p)
     return map
-  }, [])
+  }, [providers])
 
   const orderedProviders = useMemo(() => {
     const active = providerOrder
       .map(id => providerDetails.get(id))
       .filter(Boolean)
-    const inactive = PROVIDERS.filter(p => !providerOrder.includes(p.id))
+    const inactive = providers.filter(p => !providerOrder.includes(p.id))
     return [...active, ...inactive]
-  }, [providerDetails, providerOrder])
+  }, [providerDetails, providerOrder, providers])
+
+  const setCredential = (key, value) => {
+    setCredentials(current => ({ ...current, [key]: value }))
+    setDirty(true)
+  }
 
   return (
     <div className="settings-page-content">
@@ -607,101 +1261,30 @@ export default function Settings({ pushToast, cardParallax, setCardParallax }){
           <h3 style={{marginTop:0, marginBottom:16, fontSize:16, fontWeight:600}}>API Keys</h3>
           <div style={{display:'flex', flexDirection:'column', gap:16}}>
 
-        <div>
-          <label style={{fontSize:13, color:'var(--muted)'}}>TMDb API Key</label>
-          <div style={{display:'flex', gap:8, marginTop:6}}>
-            <input
-              type={showTmdbKey ? 'text' : 'password'}
-              value={tmdbKey}
-              onChange={e=>{ setTmdbKey(e.target.value); setDirty(true) }}
-              placeholder="Enter TMDb API key"
-              style={{flex:1, padding:10, borderRadius:8, border:`1px solid var(--bg-600)`, background:'transparent', color:'var(--accent)'}}
-            />
-            <button className="btn-ghost" onClick={() => setShowTmdbKey(s => !s)}>{showTmdbKey ? 'Hide' : 'Show'}</button>
-          </div>
-          <div style={{fontSize:12, color:'var(--muted)', marginTop:8}}>TMDb is used for general TV/Movie lookups. The API key is obfuscated by default; toggle <strong>Show</strong> to reveal it temporarily.</div>
-        </div>
-
-        <div style={{marginTop:12}}>
-          <label style={{fontSize:13, color:'var(--muted)'}}>TVDB v4 Credentials</label>
-          <div style={{display:'flex', gap:8, marginTop:6}}>
-            <input
-              type={showTvdbV4ApiKey ? 'text' : 'password'}
-              value={tvdbV4ApiKey}
-              onChange={e=>{ setTvdbV4ApiKey(e.target.value); setDirty(true) }}
-              placeholder="Project API key"
-              style={{flex:1, padding:10, borderRadius:8, border:`1px solid var(--bg-600)`, background:'transparent', color:'var(--accent)'}}
-            />
-            <button className="btn-ghost" onClick={() => setShowTvdbV4ApiKey(s => !s)}>{showTvdbV4ApiKey ? 'Hide' : 'Show'}</button>
-          </div>
-          <div style={{display:'flex', gap:8, marginTop:10}}>
-            <input
-              type={showTvdbV4UserPin ? 'text' : 'password'}
-              value={tvdbV4UserPin}
-              onChange={e=>{ setTvdbV4UserPin(e.target.value); setDirty(true) }}
-              placeholder="User PIN (optional)"
-              style={{flex:1, padding:10, borderRadius:8, border:`1px solid var(--bg-600)`, background:'transparent', color:'var(--accent)'}}
-            />
-            <button className="btn-ghost" onClick={() => setShowTvdbV4UserPin(s => !s)}>{showTvdbV4UserPin ? 'Hide' : 'Show'}</button>
-          </div>
-          <div style={{fontSize:12, color:'var(--muted)', marginTop:8}}>Use theTVDB project API key and optional user PIN from your v4 account dashboard. Tokens automatically refresh once these values are set.</div>
-        </div>
-
-        <div style={{marginTop:12}}>
-          <label style={{fontSize:13, color:'var(--muted)'}}>AniList API Key</label>
-          <div style={{display:'flex', gap:8, marginTop:6}}>
+        {providers.filter(p => p.credentials && p.credentials.length).map((provider, providerIndex) => (
+        <div key={provider.id} style={providerIndex ? {marginTop:12} : undefined}>
+          <label style={{fontSize:13, color:'var(--muted)'}}>{provider.credentials.length === 1 ? provider.credentials[0].label : `${provider.label} Credentials`}</label>
+          {provider.credentials.map((field, fieldIndex) => (
+          <div key={field.key} style={{display:'flex', gap:8, marginTop: fieldIndex ? 10 : 6}}>
             <input
-              type={showAnilistKey ? 'text' : 'password'}
-              value={anilistKey}
-              onChange={e=>{ setAnilistKey(e.target.value); setDirty(true) }}
-              placeholder="Enter AniList API key (optional)"
+              type={field.type === 'password' && !revealedCredentials[field.key] ? 'password' : 'text'}
+              inputMode={field.type === 'number' ? 'numeric' : undefined}
+              value={credentials[field.key] != null ? credentials[field.key] : (field.default || '')}
+              onChange={e => setCredential(field.key, e.target.value)}
+              placeholder={field.placeholder || field.label}
+              aria-label={field.label}
               style={{flex:1, padding:10, borderRadius:8, border:`1px solid var(--bg-600)`, background:'transparent', color:'var(--accent)'}}
             />
-            <button className="btn-ghost" onClick={() => setShowAnilistKey(s => !s)}>{showAnilistKey ? 'Hide' : 'Show'}</button>
-          </div>
-          <div style={{fontSize:12, color:'var(--muted)', marginTop:8}}>AniList is used to find anime series titles (preferred). The saved key is obfuscated by default; toggle <strong>Show</strong> to reveal it temporarily.</div>
-        </div>
-
-        <div style={{marginTop:12}}>
-          <label style={{fontSize:13, color:'var(--muted)'}}>AniDB Credentials (Anime File Hash Lookup)</label>
-          <div style={{display:'flex', gap:8, marginTop:6}}>
-            <input
-              type={showAnidbUsername ? 'text' : 'password'}
-              value={anidbUsername}
-              onChange={e=>{ setAnidbUsername(e.target.value); setDirty(true) }}
-              placeholder="AniDB Username"
-              style={{flex:1, padding:10, borderRadius:8, border:`1px solid var(--bg-600)`, background:'transparent', color:'var(--accent)'}}
-            />
-            <button className="btn-ghost" onClick={() => setShowAnidbUsername(s => !s)}>{showAnidbUsername ? 'Hide' : 'Show'}</button>
+            {field.type === 'password' && (
+              <button className="btn-ghost" onClick={() => setRevealedCredentials(s => ({ ...s, [field.key]: !s[field.key] }))}>{revealedCredentials[field.key] ? 'Hide' : 'Show'}</button>
+            )}
           </div>
-          <div style={{display:'flex', gap:8, marginTop:10}}>
-            <input
-              type={showAnidbPassword ? 'text' : 'password'}
-              value={anidbPassword}
-              onChange={e=>{ setAnidbPassword(e.target.value); setDirty(true) }}
-              placeholder="AniDB Password"
-              style={{flex:1, padding:10, borderRadius:8, border:`1px solid var(--bg-600)`, background:'transparent', color:'var(--accent)'}}
-            />
-            <button className="btn-ghost" onClick={() => setShowAnidbPassword(s => !s)}>{showAnidbPassword ? 'Hide' : 'Show'}</button>
-          </div>
-          <div style={{display:'flex', gap:8, marginTop:10}}>
-            <input
-              type="text"
-              value={anidbClientName}
-              onChange={e=>{ setAnidbClientName(e.target.value); setDirty(true) }}
-              placeholder="Client Name (default: mediabrowser)"
-              style={{flex:1, padding:10, borderRadius:8, border:`1px solid var(--bg-600)`, background:'transparent', color:'var(--accent)'}}
-            />
-          </div>
-          <div style={{display:'flex', gap:8, marginTop:10}}>
-            <input
-              type="text"
-              value={anidbClientVersion}
-              onChange={e=>{ setAnidbClientVersion(e.target.value); setDirty(true) }}
-              placeholder="Client Version (default: 1)"
-              style={{flex:1, padding:10, borderRadius:8, border:`1px solid var(--bg-600)`, background:'transparent', color:'var(--accent)'}}
-            />
+          ))}
+          <div style={{fontSize:12, color:'var(--muted)', marginTop:8}}>
+            {provider.credentials.map(f => f.help).filter(Boolean).join(' ') || provider.description}
+            {provider.credentials.some(f => f.type === 'password') && <> Saved values are obfuscated by default; toggle <strong>Show</strong> to reveal them temporarily.</>}
           </div>
+          {provider.id === 'anidb' && (
           <div style={{fontSize:12, color:'var(--muted)', marginTop:8, lineHeight:'1.6'}}>
             <div style={{marginBottom:8}}>
               <strong>Setup Instructions:</strong>
@@ -710,8 +1293,8 @@ export default function Settings({ pushToast, cardParallax, setCardParallax }){
               <li>Create a free account at <a href="https://anidb.net/user/register" target="_blank" rel="noopener noreferrer" style={{color:'var(--accent)'}}>anidb.net</a></li>
               <li>Register this client at <a href="https://anidb.net/software/add" target="_blank" rel="noopener noreferrer" style={{color:'var(--accent)'}}>AniDB Software Registration</a>
                 <ul style={{marginLeft:20, marginTop:4, fontSize:11, opacity:0.9}}>
-                  <li>Client name: <code style={{background:'var(--bg-700)', padding:'2px 6px', borderRadius:4}}>{anidbClientName || 'mediabrowser'}</code></li>
-                  <li>Version: <code style={{background:'var(--bg-700)', padding:'2px 6px', borderRadius:4}}>{anidbClientVersion || '1'}</code></li>
+                  <li>Client name: <code style={{background:'var(--bg-700)', padding:'2px 6px', borderRadius:4}}>{credentials.anidb_client_name || 'mediabrowser'}</code></li>
+                  <li>Version: <code style={{background:'var(--bg-700)', padding:'2px 6px', borderRadius:4}}>{credentials.anidb_client_version || '1'}</code></li>
                   <li>Purpose: "Anime file renaming and metadata lookup"</li>
                 </ul>
               </li>
@@ -723,7 +1306,9 @@ export default function Settings({ pushToast, cardParallax, setCardParallax }){
               Rate-limited to respect AniDB guidelines (2.5s between requests). Falls back to AniList/TVDb if file not found or client not registered yet.
             </div>
           </div>
+          )}
         </div>
+        ))}
           </div>
         </div>
 
@@ -823,7 +1408,7 @@ export default function Settings({ pushToast, cardParallax, setCardParallax }){
               </div>
             )}
             <div style={{marginTop:12, fontSize:12, color:'var(--muted)'}}>
-              {PROVIDERS.map(p => (
+              {providers.map(p => (
                 <div key={p.id} style={{marginTop:4}}>
                   <strong>{p.label}:</strong> {p.description}
                 </div>
@@ -844,10 +1429,16 @@ export default function Settings({ pushToast, cardParallax, setCardParallax }){
             </div>
           </div>
           <input value={renameTemplate} onChange={e=>{ setRenameTemplate(e.target.value); setDirty(true) }} placeholder="e.g. {title} ({year}) - {epLabel} - {episodeTitle}" style={{width:'100%', padding:10, borderRadius:8, border:`1px solid var(--bg-600)`, background:'transparent', color:'var(--accent)', marginTop:16}} />
-          <div style={{fontSize:12, color:'var(--muted)', marginTop:8}}>Available tokens: <code>{'{title}'}</code>, <code>{'{basename}'}</code>, <code>{'{year}'}</code>, <code>{'{epLabel}'}</code>, <code>{'{episodeTitle}'}</code>, <code>{'{season}'}</code>, <code>{'{episode}'}</code>, <code>{'{episodeRange}'}</code>, <code>{'{tmdbId}'}</code> <span style={{opacity:0.8}}>({'{tmdbId}'} contains the TMDb id)</span></div>
+          <div style={{fontSize:12, color:'var(--muted)', marginTop:8}}>Available tokens: <code>{'{title}'}</code>, <code>{'{basename}'}</code>, <code>{'{year}'}</code>, <code>{'{epLabel}'}</code>, <code>{'{episodeTitle}'}</code>, <code>{'{season}'}</code>, <code>{'{episode}'}</code>, <code>{'{episodeRange}'}</code>, <code>{'{tmdbId}'}</code>, <code>{'{releaseGroup}'}</code>, <code>{'{resolution}'}</code>, <code>{'{codec}'}</code>, <code>{'{audioCodec}'}</code>, <code>{'{source}'}</code>, <code>{'{crc32}'}</code>, <code>{'{version}'}</code>, <code>{'{dualAudio}'}</code>, <code>{'{languages}'}</code> <span style={{opacity:0.8}}>({'{tmdbId}'} contains the TMDb id)</span></div>
+          <div style={{fontSize:12, color:'var(--muted)', marginTop:6}}>Optional sections render only when the token has a value: <code>{'{?episodeTitle: - {episodeTitle}}'}</code>. Filters: <code>{'{title|upper}'}</code>, <code>{'{episode|pad:3}'}</code>, <code>{'{year|ifempty:Unknown}'}</code>, plus <code>lower</code>, <code>title</code>, <code>trim</code>, <code>truncate:N</code>, <code>prefix:X</code>, <code>suffix:X</code>.</div>
+          <input value={folderTemplate} onChange={e=>{ setFolderTemplate(e.target.value); setDirty(true) }} placeholder="Folder template (optional), e.g. {seriesFolder}/{seasonFolder}" style={{width:'100%', padding:10, borderRadius:8, border:`1px solid var(--bg-600)`, background:'transparent', color:'var(--accent)', marginTop:12}} />
+          <div style={{fontSize:12, color:'var(--muted)', marginTop:6}}>Leave empty for the default <code>Series Title/Season 01</code> layout. Extra tokens: <code>{'{seriesFolder}'}</code>, <code>{'{seasonFolder}'}</code>. Use <code>/</code> to create nested folders.</div>
           <div style={{marginTop:10, padding:10, borderRadius:8, background:'var(--bg-700)'}}>
             <strong style={{fontSize:13}}>Live preview</strong>
-            <div style={{marginTop:8, fontSize:14}}>{renderPreviewSample(renameTemplate)}</div>
+            <div style={{marginTop:8, fontSize:14}}>{templatePreview.folder ? `${templatePreview.folder}/` : ''}{templatePreview.name}</div>
+            {templatePreview.errors.length > 0 && (
+              <div style={{fontSize:12, color:'#ffb4b4', marginTop:6}}>{templatePreview.errors.join('; ')}</div>
+            )}
             <div style={{fontSize:12, color:'var(--muted)', marginTop:6}}>Preview uses a sample: Title="Example Show", S01E02, EpisodeTitle="Pilot"</div>
           </div>
         </div>
@@ -916,6 +1507,19 @@ export default function Settings({ pushToast, cardParallax, setCardParallax }){
               })
               setDirty(true)
             }
+            const handleTemplateChange = (field, value) => {
+              setOutputFolders(prev => {
+                const updated = [...prev]
+                updated[index] = { ...updated[index], [field]: value }
+                return updated
+              })
+              setOutputFoldersDirty(prev => {
+                const next = [...prev]
+                next[index] = true
+                return next
+              })
+              setDirty(true)
+            }
             const removeFolder = () => {
               setOutputFolders(prev => prev.filter((_, i) => i !== index))
               setOutputFoldersDirty(prev => prev.filter((_, i) => i !== index))
@@ -954,6 +1558,32 @@ export default function Settings({ pushToast, cardParallax, setCardParallax }){
                     Remove
                   </button>
                 </div>
+                <div style={{display:'flex', gap:12, alignItems:'center'}}>
+                  <input
+                    value={folder.rename_template || ''}
+                    onChange={e => handleTemplateChange('rename_template', e.target.value)}
+                    placeholder="Filename template for this folder (optional)"
+                    style={{flex:1, padding:10, borderRadius:8, border:`1px solid var(--bg-600)`, background:'transparent', color:'var(--accent)'}}
+                  />
+                  <input
+                    value={folder.folder_template || ''}
+                    onChange={e => handleTemplateChange('folder_template', e.target.value)}
+                    placeholder="Folder template for this folder (optional)"
+                    style={{flex:1, padding:10, borderRadius:8, border:`1px solid var(--bg-600)`, background:'transparent', color:'var(--accent)'}}
+                  />
+                  <select
+                    className='form-input'
+                    value={folder.apply_mode || ''}
+                    onChange={e => handleTemplateChange('apply_mode', e.target.value)}
+                    title="How files are placed in this folder"
+                    style={{maxWidth:200}}
+                  >
+                    <option value=''>Default apply mode</option>
+                    {APPLY_MODES.map(m => (
+                      <option key={m.id} value={m.id}>{m.label}</option>
+                    ))}
+                  </select>
+                </div>
               </div>
             )
           })}
@@ -970,6 +1600,8 @@ export default function Settings({ pushToast, cardParallax, setCardParallax }){
           </button>
         </div>
 
+        <LibrariesSettings pushToast={pushToast} applyModes={APPLY_MODES} />
+
         <div style={{marginTop:24}}>
           <h3 style={{ borderBottom: '1px solid var(--bg-700)', paddingBottom: 8, marginBottom: 16 }}>Custom Regex Parsing</h3>
           <div style={{ color: 'var(--muted)', fontSize: 13, marginBottom: 12 }}>
@@ -1086,7 +1718,64 @@ export default function Settings({ pushToast, cardParallax, setCardParallax }){
             <span style={{fontSize:13, color:'var(--accent)', fontWeight:500}}>Delete hardlinks when unapproved</span>
           </label>
           <div style={{fontSize:12, color:'var(--muted)', marginTop:8, marginLeft:32}}>
-            Removes generated hardlinks from any configured output folder when you unapprove an item. The original source file is never touched.
+            Removes generated hardlinks, symlinks and copies from any configured output folder when you unapprove an item. The original source file is never touched; moved files are always moved back.
+          </div>
+        </div>
+
+        <div style={{marginTop:18}}>
+          <label style={{fontSize:13, color:'var(--muted)'}}>Default apply mode</label>
+          <select className='form-input' value={applyMode} onChange={e => { setApplyMode(e.target.value); setDirty(true) }} style={{marginTop:8, maxWidth:320}}>
+            {APPLY_MODES.map(m => (
+              <option key={m.id} value={m.id}>{m.label}</option>
+            ))}
+          </select>
+          <div style={{fontSize:12, color:'var(--muted)', marginTop:8}}>
+            {(APPLY_MODES.find(m => m.id === applyMode) || APPLY_MODES[0]).description} Output folders can override this.
+          </div>
+        </div>
+
+        <div style={{marginTop:18}}>
+          <label style={{display:'flex', alignItems:'center', gap:12, cursor:'pointer', userSelect:'none'}}>
+            <input
+              type="checkbox"
+              className="settings-checkbox"
+              checked={applyAtomic}
+              onChange={e => { setApplyAtomic(e.target.checked); setDirty(true) }}
+            />
+            <span style={{fontSize:13, color:'var(--accent)', fontWeight:500}}>All-or-nothing apply</span>
+          </label>
+          <div style={{fontSize:12, color:'var(--muted)', marginTop:8, marginLeft:32}}>
+            If any item in an apply batch fails, every link and folder created by that batch is removed again. When off, successful items are kept and failures are reported individually.
+          </div>
+        </div>
+
+        <div style={{marginTop:18}}>
+          <label style={{display:'flex', alignItems:'center', gap:12, cursor:'pointer', userSelect:'none'}}>
+            <input
+              type="checkbox"
+              className="settings-checkbox"
+              checked={writeNfo}
+              onChange={e => { setWriteNfo(e.target.checked); setDirty(true) }}
+            />
+            <span style={{fontSize:13, color:'var(--accent)', fontWeight:500}}>Write NFO files</span>
+          </label>
+          <div style={{fontSize:12, color:'var(--muted)', marginTop:8, marginLeft:32}}>
+            Writes tvshow.nfo, season.nfo and an episode .nfo with AniDB/AniList/TVDB/TMDb ids so Jellyfin and Kodi use this match instead of scraping again. Existing tvshow.nfo and season.nfo files are left alone.
+          </div>
+        </div>
+
+        <div style={{marginTop:18}}>
+          <label style={{display:'flex', alignItems:'center', gap:12, cursor:'pointer', userSelect:'none'}}>
+            <input
+              type="checkbox"
+              className="settings-checkbox"
+              checked={writeArtwork}
+              onChange={e => { setWriteArtwork(e.target.checked); setDirty(true) }}
+            />
+            <span style={{fontSize:13, color:'var(--accent)', fontWeight:500}}>Write poster artwork</span>
+          </label>
+          <div style={{fontSize:12, color:'var(--muted)', marginTop:8, marginLeft:32}}>
+            Saves poster.jpg and folder.jpg into the series folder using the artwork shown on the Approved Series page.
           </div>
         </div>
 
@@ -1229,6 +1918,14 @@ export default function Settings({ pushToast, cardParallax, setCardParallax }){
           </div>
         </div>
 
+        <PathMappings pushToast={pushToast} />
+        <AutoApplyRules pushToast={pushToast} />
+        <JobSchedules pushToast={pushToast} />
+
+        <WebhookSettings pushToast={pushToast} />
+        <ApiTokens pushToast={pushToast} />
+        <ImportCategories pushToast={pushToast} />
+
         <ActivityHistory pushToast={pushToast} />
           </div>
         </div>
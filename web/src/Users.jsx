@@ -18,13 +18,15 @@ export default function Users({ pushToast }){
 
   useEffect(() => { fetchUsers() }, [])
 
+  const reason = (err, fallback) => (err && err.response && err.response.data && err.response.data.error) || fallback
+
   async function add(){
     try {
       await axios.post(API('/users'), { username, password, role })
       pushToast && pushToast('Users', 'Created')
       setUsername(''); setPassword(''); setRole('user')
       fetchUsers()
-    } catch (err) { pushToast && pushToast('Users', 'Create failed') }
+    } catch (err) { pushToast && pushToast('Users', reason(err, 'Create failed')) }
   }
 
   async function remove(u){
@@ -32,14 +34,21 @@ export default function Users({ pushToast }){
       await axios.delete(API(`/users/${u}`))
       pushToast && pushToast('Users', 'Deleted')
       fetchUsers()
-    } catch (err) { pushToast && pushToast('Users', 'Delete failed') }
+    } catch (err) { pushToast && pushToast('Users', reason(err, 'Delete failed')) }
+  }
+
+  async function update(u, changes){
+    try {
+      await axios.patch(API(`/users/${u}`), changes)
+      fetchUsers()
+    } catch (err) { pushToast && pushToast('Users', reason(err, 'Update failed')) }
   }
 
   async function changePassword(u, newPassword) {
     try {
       await axios.post(API(`/users/${u}/password`), { newPassword })
       pushToast && pushToast('Users', 'Password changed')
-    } catch (err) { pushToast && pushToast('Users', 'Change failed') }
+    } catch (err) { pushToast && pushToast('Users', reason(err, 'Change failed')) }
   }
 
   return (
@@ -54,14 +63,18 @@ export default function Users({ pushToast }){
 
       <div style={{marginTop:12}}>
         <table style={{width:'100%'}}>
-          <thead><tr><th>Username</th><th>Role</th><th></th></tr></thead>
+          <thead><tr><th>Username</th><th>Role</th><th>Status</th><th></th></tr></thead>
           <tbody>
             {users.map(u => (
               <tr key={u.username}>
                 <td>{u.username}</td>
-                <td>{u.role}</td>
+                <td>
+                  <select value={u.role} onChange={e=>update(u.username, { role: e.target.value })} style={{padding:6, borderRadius:10, border:'1px solid var(--bg-600)', background:'transparent', color:'var(--accent)'}}><option value='user'>user</option><option value='admin'>admin</option></select>
+                </td>
+                <td>{u.disabled ? 'disabled' : (u.hasPassword ? 'active' : 'no password')}</td>
                 <td style={{display:'flex',gap:8,alignItems:'center'}}>
-                  {u.username !== 'admin' && <button className='btn-ghost' onClick={()=>remove(u.username)}>Delete</button>}
+                  <button className='btn-ghost' onClick={()=>update(u.username, { disabled: !u.disabled })}>{u.disabled ? 'Enable' : 'Disable'}</button>
+                  <button className='btn-ghost' onClick={()=>remove(u.username)}>Delete</button>
                   <input placeholder='new password' type='password' className='form-input' style={{marginLeft:8, width:200}} onKeyDown={async (e)=>{ if(e.key==='Enter'){ await changePassword(u.username, e.target.value); e.target.value=''; } }} />
                 </td>
               </tr>
@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { API, PROVIDER_LABELS } from '../constants';
+
+// Lets the user swap an ambiguous match for one of the other series the provider search returned.
+// The pick is saved server-side as a series-wide manual ID, then onPicked re-enriches the row.
+export default function CandidatePicker({ path, onPicked, pushToast }) {
+  const [open, setOpen] = useState(false)
+  const [loading, setLoading] = useState(false)
+  const [saving, setSaving] = useState(null)
+  const [data, setData] = useState(null)
+
+  async function openPicker(e) {
+    e.stopPropagation()
+    setOpen(true)
+    setLoading(true)
+    try {
+      const r = await axios.get(API('/enrich/candidates'), { params: { path } })
+      setData(r.data || null)
+    } catch (err) {
+      setData(null)
+      pushToast && pushToast('Pick Match', err?.response?.data?.error || err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  async function pick(candidate) {
+    setSaving(`${candidate.provider}:${candidate.id}`)
+    try {
+      await axios.post(API('/enrich/candidates/pick'), { path, provider: candidate.provider, id: candidate.id })
+      pushToast && pushToast('Pick Match', `Saved ${candidate.title} as the match for this series`)
+      setOpen(false)
+      if (onPicked) await onPicked(candidate)
+    } catch (err) {
+      pushToast && pushToast('Pick Match', err?.response?.data?.error || err.message)
+    } finally {
+      setSaving(null)
+    }
+  }
+
+  const groups = data && data.candidates ? Object.entries(data.candidates).filter(([, list]) => Array.isArray(list) && list.length) : []
+
+  return (
+    <>
+      <button type="button" className="row-match-btn" onClick={openPicker} title="Choose a different series from the provider search results">
+        Pick Match
+      </button>
+      {open ? (
+        <div className="modal-overlay" role="dialog" aria-modal="true" onClick={(e) => { e.stopPropagation(); setOpen(false) }}>
+          <div className="modal-card candidate-picker-modal" onClick={e => e.stopPropagation()}>
+            <h3>Pick the right series</h3>
+            {data && data.current ? (
+              <p>Currently matched to <strong>{data.current.title}</strong>{data.lookupTitle ? <> from the search “{data.lookupTitle}”</> : null}.</p>
+            ) : null}
+            {loading ? <p>Loading candidates…</p> : null}
+            {!loading && !groups.length ? <p>No other candidates were found for this item. Rescan it to search again.</p> : null}
+            {groups.map(([provider, list]) => (
+              <div key={provider} className="candidate-group">
+                <div className="candidate-group-title">{PROVIDER_LABELS[provider] || provider}</div>
+                {list.map(c => {
+                  const busy = saving === `${c.provider}:${c.id}`
+                  return (
+                    <button
+                      key={c.id}
+                      type="button"
+                      className="candidate-row"
+                      disabled={!!saving}
+                      onClick={() => pick(c)}
+                    >
+                      {c.poster ? <img src={c.poster} alt="" className="candidate-poster" loading="lazy" /> : <div className="candidate-poster" />}
+                      <div className="candidate-info">
+                        <div className="candidate-title">{c.title}{c.year ? ` (${c.year})` : ''}</div>
+                        {c.altTitles && c.altTitles.length ? <div className="candidate-alt">{c.altTitles.join(' · ')}</div> : null}
+                        <div className="candidate-meta">
+                          {[c.type, c.episodes ? `${c.episodes} episodes` : null, `ID ${c.id}`].filter(Boolean).join(' · ')}
+                        </div>
+                      </div>
+                      {busy ? <span className="candidate-saving">Saving…</span> : null}
+                    </button>
+                  )
+                })}
+              </div>
+            ))}
+            <div className="modal-actions">
+              <button type="button" className="btn-ghost" onClick={() => setOpen(false)}>Close</button>
+            </div>
+          </div>
+        </div>
+      ) : null}
+    </>
+  )
+}
@@ -18,7 +18,9 @@ const SORT_OPTIONS = [
   { value: 'alphabetical-asc', label: 'Alphabetical (A-Z)' },
   { value: 'alphabetical-desc', label: 'Alphabetical (Z-A)' },
   { value: 'path-asc', label: 'Path (A-Z)' },
-  { value: 'path-desc', label: 'Path (Z-A)' }
+  { value: 'path-desc', label: 'Path (Z-A)' },
+  { value: 'confidence-asc', label: 'Confidence (Lowest First)' },
+  { value: 'confidence-desc', label: 'Confidence (Highest First)' }
 ]
 
 const SHOW_MODE_OPTIONS = [
@@ -28,6 +30,14 @@ const SHOW_MODE_OPTIONS = [
   { value: 'parsedOnly', label: 'Parsed Only' }
 ]
 
+const CONFIDENCE_OPTIONS = [
+  { value: 'all', label: 'Any Confidence' },
+  { value: 'low', label: 'Low (under 50)' },
+  { value: 'medium', label: 'Medium (50-79)' },
+  { value: 'high', label: 'High (80+)' },
+  { value: 'unscored', label: 'Not Scored' }
+]
+
 const FilterBar = React.memo(function FilterBar({
   sortOrder,
   onSortOrderChange,
@@ -35,12 +45,14 @@ const FilterBar = React.memo(function FilterBar({
   onProviderChange,
   showMode,
   onShowModeChange,
+  confidence = 'all',
+  onConfidenceChange,
   totalItems,
   filteredItems,
   onClearFilters
 }) {
-  const hasActiveFilters = provider !== 'all' || showMode !== 'all' || sortOrder !== 'dateAdded-desc'
-  const filterCount = (provider !== 'all' ? 1 : 0) + (showMode !== 'all' ? 1 : 0)
+  const hasActiveFilters = provider !== 'all' || showMode !== 'all' || confidence !== 'all' || sortOrder !== 'dateAdded-desc'
+  const filterCount = (provider !== 'all' ? 1 : 0) + (showMode !== 'all' ? 1 : 0) + (confidence !== 'all' ? 1 : 0)
 
   // Keyboard shortcut: Ctrl+Shift+C to clear filters
   React.useEffect(() => {
@@ -121,6 +133,28 @@ const FilterBar = React.memo(function FilterBar({
         </select>
       </div>
 
+      {onConfidenceChange && (
+        <div className="filter-group">
+          <label htmlFor="filter-confidence">
+            <svg style={{ width: 14, height: 14, marginRight: 4, verticalAlign: 'middle', display: 'inline-block' }} viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+              <path d="M6 20V14M12 20V8M18 20V4" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+            </svg>
+            Confidence:
+          </label>
+          <select
+            id="filter-confidence"
+            value={confidence}
+            onChange={(e) => onConfidenceChange(e.target.value)}
+            className="filter-select"
+            title="Filter by how sure the metadata match is"
+          >
+            {CONFIDENCE_OPTIONS.map(opt => (
+              <option key={opt.value} value={opt.value}>{opt.label}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
       {hasActiveFilters && (
         <button
           className="btn-ghost clear-filters-btn"
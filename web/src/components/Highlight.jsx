@@ -0,0 +1,13 @@
+import React from 'react'
+
+// Renders the { text, match } runs the search API returns for a highlighted field
+export default function Highlight({ runs, fallback }){
+  if (!Array.isArray(runs) || !runs.length) return <>{fallback}</>
+  return (
+    <>
+      {runs.map((run, i) => run.match
+        ? <mark key={i} className="search-mark">{run.text}</mark>
+        : <React.Fragment key={i}>{run.text}</React.Fragment>)}
+    </>
+  )
+}
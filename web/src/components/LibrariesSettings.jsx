@@ -0,0 +1,124 @@
+import React, { useState, useEffect } from 'react'
+import axios from 'axios'
+import { API } from '../constants'
+
+const inputStyle = { flex: 1, padding: 10, borderRadius: 8, border: '1px solid var(--bg-600)', background: 'transparent', color: 'var(--accent)' }
+
+// Libraries are saved through /api/libraries one at a time, not with the rest of the settings form
+const toDraft = (lib) => ({
+  id: lib.id || null,
+  name: lib.name || '',
+  scan_input_path: lib.scan_input_path || '',
+  scan_output_path: lib.scan_output_path || '',
+  rename_template: lib.rename_template || '',
+  metadata_provider_order: Array.isArray(lib.metadata_provider_order) ? lib.metadata_provider_order.join(', ') : '',
+  enable_folder_watch: lib.enable_folder_watch === undefined ? '' : String(lib.enable_folder_watch),
+  apply_mode: lib.apply_mode || '',
+  dirty: false
+})
+
+const toPayload = (draft) => ({
+  name: draft.name,
+  scan_input_path: draft.scan_input_path,
+  scan_output_path: draft.scan_output_path || null,
+  rename_template: draft.rename_template || null,
+  metadata_provider_order: draft.metadata_provider_order ? draft.metadata_provider_order.split(',').map(s => s.trim()).filter(Boolean) : null,
+  enable_folder_watch: draft.enable_folder_watch === '' ? null : draft.enable_folder_watch === 'true',
+  apply_mode: draft.apply_mode || null
+})
+
+export default function LibrariesSettings({ pushToast, applyModes = [] }) {
+  const [drafts, setDrafts] = useState([])
+
+  const load = async () => {
+    const r = await axios.get(API('/libraries')).catch(() => null)
+    const list = r && Array.isArray(r.data) ? r.data.filter(l => !l.implicit) : []
+    setDrafts(list.map(toDraft))
+  }
+
+  useEffect(() => { void load() }, [])
+
+  const announce = () => { try { window.dispatchEvent(new Event('renamer:libraries_changed')) } catch (e) {} }
+
+  const update = (index, field, value) => {
+    setDrafts(prev => prev.map((d, i) => (i === index ? { ...d, [field]: value, dirty: true } : d)))
+  }
+
+  const save = async (index) => {
+    const draft = drafts[index]
+    try {
+      const r = draft.id
+        ? await axios.put(API(`/libraries/${encodeURIComponent(draft.id)}`), toPayload(draft))
+        : await axios.post(API('/libraries'), toPayload(draft))
+      setDrafts(prev => prev.map((d, i) => (i === index ? toDraft(r.data) : d)))
+      announce()
+      pushToast && pushToast('Libraries', `Saved ${r.data.name}`)
+    } catch (e) {
+      pushToast && pushToast('Libraries', (e && e.response && e.response.data && e.response.data.error) || 'Failed to save library')
+    }
+  }
+
+  const remove = async (index) => {
+    const draft = drafts[index]
+    if (!draft.id) { setDrafts(prev => prev.filter((_, i) => i !== index)); return }
+    try {
+      await axios.delete(API(`/libraries/${encodeURIComponent(draft.id)}`))
+      setDrafts(prev => prev.filter((_, i) => i !== index))
+      announce()
+    } catch (e) {
+      pushToast && pushToast('Libraries', 'Failed to remove library')
+    }
+  }
+
+  return (
+    <div style={{marginTop:18}}>
+      <label style={{fontSize:13, color:'var(--muted)'}}>Libraries</label>
+      <div style={{fontSize:12, color:'var(--muted)', marginTop:4, marginBottom:10}}>
+        Split your media into named libraries, each scanned and reviewed on its own. The input path above stays available as "Local folder".
+        Leave an override empty to use the setting from this page.
+      </div>
+      {drafts.map((draft, index) => (
+        <div key={draft.id || `new-${index}`} style={{display:'flex', flexDirection:'column', gap:10, marginBottom:16}}>
+          <div style={{display:'flex', gap:12, alignItems:'center'}}>
+            <input value={draft.name} onChange={e => update(index, 'name', e.target.value)} placeholder="Library name (e.g., Anime)" style={inputStyle} />
+            <button
+              className={'btn-save' + (draft.dirty ? '' : ' disabled')}
+              onClick={() => { if (draft.dirty) void save(index) }}
+              disabled={!draft.dirty}
+              style={{padding:'8px 16px', height:'34px'}}
+            >
+              Save
+            </button>
+          </div>
+          <div style={{display:'flex', gap:12, alignItems:'center'}}>
+            <input value={draft.scan_input_path} onChange={e => update(index, 'scan_input_path', e.target.value)} placeholder="Input path" style={inputStyle} />
+            <input value={draft.scan_output_path} onChange={e => update(index, 'scan_output_path', e.target.value)} placeholder="Output path (optional)" style={inputStyle} />
+            <button className='btn-ghost' onClick={() => void remove(index)} style={{padding:'8px 16px', height:'34px'}}>Remove</button>
+          </div>
+          <div style={{display:'flex', gap:12, alignItems:'center'}}>
+            <input value={draft.rename_template} onChange={e => update(index, 'rename_template', e.target.value)} placeholder="Filename template (optional)" style={inputStyle} />
+            <input value={draft.metadata_provider_order} onChange={e => update(index, 'metadata_provider_order', e.target.value)} placeholder="Provider order, e.g. anidb, anilist, tmdb (optional)" style={inputStyle} />
+          </div>
+          <div style={{display:'flex', gap:12, alignItems:'center'}}>
+            <select className='form-input' value={draft.enable_folder_watch} onChange={e => update(index, 'enable_folder_watch', e.target.value)} style={{maxWidth:220}}>
+              <option value=''>Default folder watching</option>
+              <option value='true'>Watch this library</option>
+              <option value='false'>Don't watch this library</option>
+            </select>
+            <select className='form-input' value={draft.apply_mode} onChange={e => update(index, 'apply_mode', e.target.value)} style={{maxWidth:200}}>
+              <option value=''>Default apply mode</option>
+              {applyModes.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+            </select>
+          </div>
+        </div>
+      ))}
+      <button
+        className='btn-ghost'
+        onClick={() => setDrafts(prev => [...prev, { ...toDraft({}), dirty: true }])}
+        style={{padding:'10px 14px'}}
+      >
+        + Add Library
+      </button>
+    </div>
+  )
+}
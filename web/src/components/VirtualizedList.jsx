@@ -4,9 +4,11 @@ import { VariableSizeList as List } from 'react-window';
 import normalizeEnrichResponse from '../normalizeEnrichResponse';
 import CustomMetadataInputs from './CustomMetadataInputs';
 import ManualIdInputs, { manualIdDebugLog } from './ManualIdInputs';
+import CandidatePicker from './CandidatePicker';
+import Highlight from './Highlight';
 import { IconRefresh, IconCopy, IconApply } from './Icons';
 import { Spinner, LoadingIndicator } from './LoadingComponents';
-import { API, PROVIDER_LABELS } from '../constants';
+import { API, PROVIDER_LABELS, CONFIDENCE_LEVEL_COLORS, INTEGRITY_STATUS_COLORS } from '../constants';
 
 const DEFAULT_ROW_HEIGHT = 90;
 const autoEnrichedPaths = new Set();
@@ -96,6 +98,10 @@ export default function VirtualizedList({ items = [], enrichCache = {}, setEnric
   // Only use the two canonical outputs: parsed and provider
   const parsed = enrichment?.parsed || null
   const provider = enrichment?.provider || null
+  const confidence = enrichment?.confidence || null
+  // Worth offering the picker only when the search returned something besides the current match
+  const candidateCount = enrichment?.candidates ? Object.values(enrichment.candidates).reduce((n, list) => n + (Array.isArray(list) ? list.length : 0), 0) : 0
+  const hasCandidates = candidateCount > (provider?.matched ? 1 : 0)
 
   // parsed name should be provided by server as parsed.parsedName
   const parsedName = parsed?.parsedName || (parsed?.title ? `${parsed.title}` : null)
@@ -213,7 +219,7 @@ export default function VirtualizedList({ items = [], enrichCache = {}, setEnric
         ) : <div style={{width:36}} /> }
         <div className="meta">
           <div className="path" style={{marginTop:3, display: 'flex', alignItems: 'center', gap: '8px'}}>
-            <span style={{flex: 1, minWidth: 0, overflow: 'hidden', textOverflow: 'ellipsis'}}>{it?.canonicalPath}</span>
+            <span style={{flex: 1, minWidth: 0, overflow: 'hidden', textOverflow: 'ellipsis'}}><Highlight runs={it?.highlights?.path} fallback={it?.canonicalPath} /></span>
             <button
               onClick={(e) => {
                 e.stopPropagation()
@@ -263,6 +269,24 @@ export default function VirtualizedList({ items = [], enrichCache = {}, setEnric
                    <span style={{marginLeft:4, opacity:0.8}}>(ED2K hash)</span>}
                 </>
               ) : (parsed ? 'parsed' : 'unknown')}
+              {confidence && (
+                <span
+                  style={{marginLeft:8, color: CONFIDENCE_LEVEL_COLORS[confidence.level] || 'inherit', fontWeight:600}}
+                  title={(confidence.reasons || []).join('\n')}
+                >
+                  {confidence.score}% confidence
+                </span>
+              )}
+              {it?.integrity && it.integrity.status !== 'unverified' && (
+                <span
+                  style={{marginLeft:8, color: INTEGRITY_STATUS_COLORS[it.integrity.status], fontWeight:600}}
+                  title={it.integrity.status === 'ok'
+                    ? `Content matches the CRC32 in the name (${it.integrity.expected})`
+                    : `Name says ${it.integrity.expected}, content is ${it.integrity.actual}. The file is corrupt or mislabelled and will not be applied unless the integrity check is overridden.`}
+                >
+                  {it.integrity.status === 'ok' ? 'CRC OK' : 'CRC mismatch'}
+                </span>
+              )}
             </div>
             <CustomMetadataInputs
               path={it?.canonicalPath}
@@ -310,6 +334,13 @@ export default function VirtualizedList({ items = [], enrichCache = {}, setEnric
                 }
 
                 const plans = await previewRename([it], undefined, { useFilenameAsTitle })
+                const issues = plans.flatMap(p => p.preflight || [])
+                const errors = issues.filter(i => i.severity === 'error')
+                if (errors.length) {
+                  pushToast && pushToast('Preflight', `Not applied: ${errors.map(i => i.message).join('; ')}`)
+                  return
+                }
+                if (issues.length) pushToast && pushToast('Preflight', issues.map(i => i.message).join('; '))
 
                 // Optimistically hide before network call for instant feedback
                 optimisticHide && optimisticHide(it.canonicalPath)
@@ -319,8 +350,8 @@ export default function VirtualizedList({ items = [], enrichCache = {}, setEnric
                 try {
                   const first = (Array.isArray(res) && res.length) ? res[0] : null
                   const status = first && (first.status || first.result || '')
-                  if (status === 'hardlinked' || status === 'copied' || status === 'moved' || status === 'exists' || status === 'dryrun' || status === 'noop') {
-                    const kind = (status === 'copied') ? 'Copied (fallback)' : (status === 'hardlinked' ? 'Hardlinked' : (status === 'moved' ? 'Moved' : (status === 'exists' ? 'Exists' : (status === 'dryrun' ? 'Dry run' : 'No-op'))))
+                  if (status === 'hardlinked' || status === 'symlinked' || status === 'copied' || status === 'moved' || status === 'exists' || status === 'dryrun' || status === 'noop') {
+                    const kind = (status === 'copied') ? 'Copied' : (status === 'hardlinked' ? 'Hardlinked' : (status === 'symlinked' ? 'Symlinked' : (status === 'moved' ? 'Moved' : (status === 'exists' ? 'Exists' : (status === 'dryrun' ? 'Dry run' : 'No-op')))))
                     pushToast && pushToast('Apply', `${kind}: ${first.to || first.path || ''}`)
                     successShown = true
                     applySucceeded = true
@@ -428,6 +459,22 @@ export default function VirtualizedList({ items = [], enrichCache = {}, setEnric
             }}
             pushToast={pushToast}
           />
+          {hasCandidates && (
+            <CandidatePicker
+              path={it?.canonicalPath}
+              pushToast={pushToast}
+              onPicked={async (candidate) => {
+                setManualIdsTick(t => t + 1)
+                if (it && enrichOne) {
+                  try {
+                    await enrichOne(it, true, candidate.provider !== 'anilist')
+                  } catch (e) {
+                    console.error('[CandidatePicker] Force rescan after pick failed:', e)
+                  }
+                }
+              }}
+            />
+          )}
         </div>
       </div>
     )
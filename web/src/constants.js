@@ -8,3 +8,31 @@ export const PROVIDER_LABELS = {
   wikipedia: 'Wikipedia',
   kitsu: 'Kitsu'
 };
+
+export const APPLY_MODE_LABELS = {
+  hardlink: 'Hardlink',
+  symlink: 'Symlink',
+  'symlink-relative': 'Relative symlink',
+  reflink: 'Reflink',
+  copy: 'Copy',
+  move: 'Move'
+};
+
+// Apply result statuses that mean the file was placed in the library
+export const APPLIED_STATUSES = new Set(['hardlinked', 'symlinked', 'copied', 'moved']);
+
+// Background job statuses after which polling can stop
+export const JOB_FINISHED_STATUSES = new Set(['done', 'error', 'cancelled']);
+
+// Match confidence levels scored by lib/match-confidence.js on the server
+// CRC32 verdicts from GET /api/integrity and the scan item list
+export const INTEGRITY_STATUS_COLORS = {
+  ok: '#2ecc71',
+  mismatch: '#e74c3c'
+};
+
+export const CONFIDENCE_LEVEL_COLORS = {
+  high: '#2ecc71',
+  medium: '#f1c40f',
+  low: '#e74c3c'
+};
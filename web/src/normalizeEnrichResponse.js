@@ -14,7 +14,9 @@ export default function normalizeEnrichResponse(data) {
       year: data.year,
       season: data.season,
       episode: data.episode,
-      episodeTitle: data.episodeTitle
+      episodeTitle: data.episodeTitle,
+      confidence: data.confidence || null,
+      candidates: data.candidates || null
     }
   }
   // POST /api/enrich historically returned { enrichment: {...} } or direct enrichment object
@@ -33,7 +35,9 @@ export default function normalizeEnrichResponse(data) {
       year: e.year,
       season: e.season,
       episode: e.episode,
-      episodeTitle: e.episodeTitle
+      episodeTitle: e.episodeTitle,
+      confidence: e.confidence || null,
+      candidates: e.candidates || null
     }
   }
   // Otherwise build parsed/provider blocks from legacy enrichment shape
@@ -50,6 +54,8 @@ export default function normalizeEnrichResponse(data) {
     year: e.year,
     season: e.season,
     episode: e.episode,
-    episodeTitle: e.episodeTitle
+    episodeTitle: e.episodeTitle,
+    confidence: e.confidence || null,
+    candidates: e.candidates || null
   }
 }